@@ -4,18 +4,34 @@
 
 const App = {
     deleteTargetId: null,
+    voidTargetId: null,
+    creditTargetId: null,
+    pendingDuplicateSave: null, // {entries, failMessage, onSaved} waiting on the duplicate warning
     deleteCategoryTargetId: null,
+    deleteCounterpartyTargetId: null,
+    deleteCashTarget: null, // {kind: 'account'|'transfer', id} awaiting delete confirmation
     deleteFolderTargetId: null,
     deleteAssetTargetId: null,
+    deleteInventoryTarget: null, // {kind: 'product'|'purchase'|'sale', id} awaiting delete confirmation
     deleteLoanTargetId: null,
+    deletePayrollTarget: null, // {kind: 'employee'|'run', id} awaiting delete confirmation
+    deleteSalesTaxRateTargetId: null,
     deleteBudgetExpenseTargetId: null,
+    deleteRecurringTargetId: null,
+    deleteInvoiceTargetId: null,
     selectedAssetId: null,
+    selectedInventoryProductId: null,
     selectedLoanId: null,
+    selectedEmployeeId: null,
+    selectedSalesTaxRateKey: null, // sales tax return row showing its ledger ('' = no rate)
     selectedBudgetExpenseId: null,
     folderCreatedFromCategory: false,
     pendingFileLoad: null,
     savedFileHandle: null,
     pendingInlineStatusChange: null, // {id, newStatus, selectElement}
+    pendingBulkStatusChange: null, // {ids} waiting on the month paid prompt
+    selectedTransactionIds: new Set(), // journal rows ticked for bulk actions
+    bulkEditAction: null, // 'category' | 'shift' | 'duplicate' while the bulk edit modal is open
     currentSortMode: 'entryDate',
     _timeline: null,
     _beChartBreakeven: null,
@@ -24,6 +40,11 @@ const App = {
     _beProgressState: null,
     _syncAutoSaveWrapped: false,
     _rollbackTargetVersion: null,
+    _csvImport: null, // {text, headers, rows, firstRowNumber} for the file being imported
+    _bankImport: null, // {lines, pending} for the statement being reviewed
+    _invoiceDraft: null, // {receivables, selectedIds, dueDateEdited} for the invoice being built
+    _attachmentOwner: null, // {ownerType, ownerId} whose attachments are open
+    _attachmentViewer: null, // {attachment, url} shown in the viewer
 
     // Theme preset palettes: { c1: primary, c2: accent, c3: background, c4: surface, style?: string }
     themePresets: {
@@ -80,8 +101,12 @@ const App = {
             // Load and apply timeline
             this.loadAndApplyTimeline();
 
-            // Restore balance sheet date before refreshAll (needs timeline years populated first)
+            // Restore balance sheet / aging dates before refreshAll (needs timeline years populated first)
             this.initBalanceSheetDate();
+            this.initAgingDate();
+
+            // Create any recurring entries that have come due since the last visit
+            this.runRecurringGeneration();
 
             // Load and render data
             this.refreshAll();
@@ -106,6 +131,10 @@ const App = {
      */
     refreshAll() {
         this.refreshCategories();
+        this.refreshCounterparties();
+        this.refreshCashAccounts();
+        this.refreshSalesTaxRates();
+        this.refreshTags();
         this.refreshTransactions();
         this.refreshSummary();
         // Refresh cash flow tab if it's currently visible
@@ -120,16 +149,41 @@ const App = {
         if (bsTab && bsTab.style.display !== 'none') {
             this.refreshBalanceSheet();
         }
+        // Refresh Aging tab if visible
+        const agingTab = document.getElementById('agingTab');
+        if (agingTab && agingTab.style.display !== 'none') {
+            this.refreshAging();
+        }
+        // Refresh Sales Tax tab if visible
+        const salestaxTab = document.getElementById('salestaxTab');
+        if (salestaxTab && salestaxTab.style.display !== 'none') {
+            this.refreshSalesTax();
+        }
+        // Refresh Tags tab if visible
+        const tagsTab = document.getElementById('tagsTab');
+        if (tagsTab && tagsTab.style.display !== 'none') {
+            this.refreshTagSummary();
+        }
         // Refresh Fixed Assets tab if visible
         const assetsTab = document.getElementById('assetsTab');
         if (assetsTab && assetsTab.style.display !== 'none') {
             this.refreshFixedAssets();
         }
+        // Refresh Inventory tab if visible
+        const inventoryTab = document.getElementById('inventoryTab');
+        if (inventoryTab && inventoryTab.style.display !== 'none') {
+            this.refreshInventory();
+        }
         // Refresh Loans tab if visible
         const loanTab = document.getElementById('loanTab');
         if (loanTab && loanTab.style.display !== 'none') {
             this.refreshLoans();
         }
+        // Refresh Payroll tab if visible
+        const payrollTab = document.getElementById('payrollTab');
+        if (payrollTab && payrollTab.style.display !== 'none') {
+            this.refreshPayroll();
+        }
         // Refresh Budget tab if visible
         const budgetTab = document.getElementById('budgetTab');
         if (budgetTab && budgetTab.style.display !== 'none') {
@@ -152,6 +206,36 @@ const App = {
         UI.populateFilterFolders(Database.getFolders());
     },
 
+    /**
+     * Refresh customers/vendors in the entry picker and journal filter
+     */
+    refreshCounterparties() {
+        const counterparties = Database.getCounterparties();
+        UI.populateCounterpartyDropdown(counterparties);
+        UI.populateFilterCounterparties(counterparties);
+    },
+
+    /**
+     * Refresh the cash account pickers (entry form, payments, import, reconcile, transfers, cash flow)
+     */
+    refreshCashAccounts() {
+        UI.populateCashAccountDropdowns(Database.getCashAccounts());
+    },
+
+    /**
+     * Refresh the entry form's sales tax rate picker
+     */
+    refreshSalesTaxRates() {
+        UI.populateSalesTaxRateDropdown(Database.getSalesTaxRates());
+    },
+
+    /**
+     * Refresh tags in the journal filter
+     */
+    refreshTags() {
+        UI.populateFilterTags(Database.getTags());
+    },
+
     /**
      * Refresh transactions list
      */
@@ -159,7 +243,11 @@ const App = {
         const filters = this.getActiveFilters();
         const transactions = Database.getTransactions(filters);
 
-        UI.renderTransactions(transactions, this.currentSortMode);
+        // Rows hidden by the filters drop out of the selection so bulk actions only touch what's shown
+        const visibleIds = new Set(transactions.map(t => t.id));
+        this.selectedTransactionIds = new Set([...this.selectedTransactionIds].filter(id => visibleIds.has(id)));
+        UI.renderTransactions(transactions, this.currentSortMode, this.selectedTransactionIds);
+        this.updateBulkActionsBar();
 
         const allTransactions = Database.getTransactions();
         const months = Utils.getUniqueMonths(allTransactions);
@@ -178,10 +266,12 @@ const App = {
      * Refresh cash flow spreadsheet tab
      */
     refreshCashFlow() {
-        const data = Database.getCashFlowSpreadsheet();
+        // Projections and overrides describe the whole business, so a single account shows actuals only
+        const cashAccountId = parseInt(document.getElementById('cfCashAccount').value) || null;
+        const data = Database.getCashFlowSpreadsheet(cashAccountId);
         const timeline = this.getTimeline();
         const currentMonth = Utils.getCurrentMonth();
-        const cfOverrides = Database.getAllCashFlowOverrides();
+        const cfOverrides = cashAccountId ? {} : Database.getAllCashFlowOverrides();
 
         // Filter months by timeline
         if (timeline.start || timeline.end) {
@@ -189,7 +279,7 @@ const App = {
         }
 
         // Add future months up to timeline end (for projections)
-        if (timeline.end && timeline.end > currentMonth) {
+        if (!cashAccountId && timeline.end && timeline.end > currentMonth) {
             let m = Utils.nextMonth(currentMonth);
             while (m <= timeline.end) {
                 if (!data.months.includes(m)) {
@@ -204,7 +294,7 @@ const App = {
         let projectedSales = null;
         const psConfig = Database.getProjectedSalesConfig();
         const cfViewToggle = document.getElementById('cfViewToggle');
-        if (psConfig.enabled && psConfig.projectionStartMonth) {
+        if (!cashAccountId && psConfig.enabled && psConfig.projectionStartMonth) {
             // Ensure continuous month range through at least currentMonth for projections
             const lastNeeded = data.months.length > 0 && data.months[data.months.length - 1] > currentMonth
                 ? data.months[data.months.length - 1] : currentMonth;
@@ -522,19 +612,20 @@ const App = {
         const tlYears = Utils.getYearsInTimeline(timeline.start, timeline.end);
         UI.populateYearDropdowns(timeline);
 
-        // Constrain BS year dropdown
-        const bsYearSelect = document.getElementById('bsMonthYear');
-        if (bsYearSelect) {
-            const currentVal = bsYearSelect.value;
-            bsYearSelect.innerHTML = '<option value="">Year...</option>';
+        // Constrain BS, aging, sales tax, tag summary and payroll year dropdowns
+        ['bsMonthYear', 'agingMonthYear', 'salesTaxYear', 'tagsYear', 'payrollYear'].forEach(id => {
+            const yearSelect = document.getElementById(id);
+            if (!yearSelect) return;
+            const currentVal = yearSelect.value;
+            yearSelect.innerHTML = '<option value="">Year...</option>';
             tlYears.forEach(y => {
                 const opt = document.createElement('option');
                 opt.value = y;
                 opt.textContent = y;
-                bsYearSelect.appendChild(opt);
+                yearSelect.appendChild(opt);
             });
-            if (currentVal) bsYearSelect.value = currentVal;
-        }
+            if (currentVal) yearSelect.value = currentVal;
+        });
     },
 
     /**
@@ -558,6 +649,8 @@ const App = {
 
         // Only refresh tabs when at least one complete range endpoint exists
         if (start || end) {
+            // An extended timeline end pulls recurring entries forward for projections
+            this.runRecurringGeneration();
             this.refreshAll();
         }
     },
@@ -692,14 +785,14 @@ const App = {
 
     /**
      * Switch between main tabs
-     * @param {string} tab - 'journal' | 'cashflow' | 'pnl' | 'balancesheet' | 'assets' | 'loan' | 'budget' | 'breakeven'
+     * @param {string} tab - 'journal' | 'cashflow' | 'pnl' | 'balancesheet' | 'aging' | 'salestax' | 'tags' | 'assets' | 'inventory' | 'loan' | 'payroll' | 'budget' | 'breakeven'
      */
     switchMainTab(tab) {
         document.querySelectorAll('.main-tab').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.tab === tab);
         });
 
-        const tabs = ['journalTab', 'cashflowTab', 'pnlTab', 'balancesheetTab', 'assetsTab', 'loanTab', 'budgetTab', 'breakevenTab', 'projectedsalesTab'];
+        const tabs = ['journalTab', 'cashflowTab', 'pnlTab', 'balancesheetTab', 'agingTab', 'salestaxTab', 'tagsTab', 'assetsTab', 'inventoryTab', 'loanTab', 'payrollTab', 'budgetTab', 'breakevenTab', 'projectedsalesTab'];
         tabs.forEach(id => {
             const el = document.getElementById(id);
             if (el) el.style.display = 'none';
@@ -714,12 +807,27 @@ const App = {
         } else if (tab === 'balancesheet') {
             document.getElementById('balancesheetTab').style.display = 'block';
             this.refreshBalanceSheet();
+        } else if (tab === 'aging') {
+            document.getElementById('agingTab').style.display = 'block';
+            this.refreshAging();
+        } else if (tab === 'salestax') {
+            document.getElementById('salestaxTab').style.display = 'block';
+            this.refreshSalesTax();
+        } else if (tab === 'tags') {
+            document.getElementById('tagsTab').style.display = 'block';
+            this.refreshTagSummary();
         } else if (tab === 'assets') {
             document.getElementById('assetsTab').style.display = 'block';
             this.refreshFixedAssets();
+        } else if (tab === 'inventory') {
+            document.getElementById('inventoryTab').style.display = 'block';
+            this.refreshInventory();
         } else if (tab === 'loan') {
             document.getElementById('loanTab').style.display = 'block';
             this.refreshLoans();
+        } else if (tab === 'payroll') {
+            document.getElementById('payrollTab').style.display = 'block';
+            this.refreshPayroll();
         } else if (tab === 'budget') {
             document.getElementById('budgetTab').style.display = 'block';
             this.refreshBudget();
@@ -731,6 +839,7 @@ const App = {
             this.refreshProjectedSales();
         } else {
             document.getElementById('journalTab').style.display = 'block';
+            UI.updateJournalWindow(true);
         }
     },
 
@@ -804,7 +913,9 @@ const App = {
             status: document.getElementById('filterStatus').value || null,
             month: document.getElementById('filterMonth').value || null,
             folderId: document.getElementById('filterFolder').value || null,
-            categoryId: document.getElementById('filterCategory').value || null
+            categoryId: document.getElementById('filterCategory').value || null,
+            counterpartyId: document.getElementById('filterCounterparty').value || null,
+            tagId: document.getElementById('filterTag').value || null
         };
     },
 
@@ -829,6 +940,20 @@ const App = {
             UI.showModal('entryModal');
         });
 
+        // Quick entry bar - Enter adds the entry, Escape clears it
+        const quickEntryInput = document.getElementById('quickEntryInput');
+        quickEntryInput.addEventListener('input', Utils.debounce(() => this.updateQuickEntryPreview(), 150));
+        quickEntryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submitQuickEntry();
+            } else if (e.key === 'Escape') {
+                this.clearQuickEntry();
+            }
+        });
+        document.getElementById('quickEntrySaveBtn').addEventListener('click', () => this.submitQuickEntry());
+        document.getElementById('quickEntryOpenBtn').addEventListener('click', () => this.openQuickEntryInForm());
+
         // Cancel edit button - close modal
         document.getElementById('cancelEditBtn').addEventListener('click', () => {
             UI.resetForm();
@@ -849,6 +974,7 @@ const App = {
                     pretaxGroup.style.display = 'none';
                     document.getElementById('pretaxAmount').value = '';
                 }
+                UI.updateSalesTaxRateVisibility();
             });
         });
 
@@ -901,6 +1027,181 @@ const App = {
             } else {
                 UI.togglePaymentForMonth(false);
             }
+            UI.updateSalesTaxRateVisibility();
+        });
+
+        // Pretax amount or tax rate change - work out the amount including tax
+        document.getElementById('pretaxAmount').addEventListener('input', () => UI.applySalesTaxRate());
+        document.getElementById('salesTaxRate').addEventListener('change', () => UI.applySalesTaxRate());
+
+        // Split toggle - switch between a single category and split lines
+        document.getElementById('splitToggle').addEventListener('change', (e) => {
+            UI.toggleSplitMode(e.target.checked);
+        });
+
+        document.getElementById('addSplitLineBtn').addEventListener('click', () => {
+            UI.addSplitLine();
+        });
+
+        // Split line edits and removal (delegated)
+        const splitLines = document.getElementById('splitLines');
+        splitLines.addEventListener('input', () => UI.updateSplitRemaining());
+        splitLines.addEventListener('change', () => UI.updateSplitRemaining());
+        splitLines.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.split-remove-btn');
+            if (removeBtn) {
+                removeBtn.closest('.split-line').remove();
+                UI.updateSplitRemaining();
+            }
+        });
+
+        document.getElementById('amount').addEventListener('input', () => {
+            if (document.getElementById('splitToggle').checked) {
+                UI.updateSplitRemaining();
+            }
+        });
+
+        // Counterparty change - default month due from the counterparty's payment terms
+        document.getElementById('counterparty').addEventListener('change', (e) => {
+            const selectedOption = e.target.options[e.target.selectedIndex];
+            if (!selectedOption || !selectedOption.value || selectedOption.dataset.terms === '') return;
+            if (document.getElementById('monthDueMonth').value || document.getElementById('monthDueYear').value) return;
+
+            const entryDate = document.getElementById('entryDate').value || Utils.getTodayDate();
+            const due = new Date(entryDate + 'T00:00:00');
+            due.setDate(due.getDate() + parseInt(selectedOption.dataset.terms));
+            document.getElementById('monthDueMonth').value = String(due.getMonth() + 1).padStart(2, '0');
+            document.getElementById('monthDueYear').value = String(due.getFullYear());
+        });
+
+        // New counterparty from the entry modal
+        document.getElementById('addCounterpartyBtn').addEventListener('click', () => {
+            this.openCounterpartyModal();
+        });
+
+        // ==================== COUNTERPARTIES ====================
+
+        document.getElementById('manageCounterpartiesBtn').addEventListener('click', () => {
+            this.openManageCounterparties();
+        });
+
+        document.getElementById('closeManageCounterpartiesBtn').addEventListener('click', () => {
+            UI.hideModal('manageCounterpartiesModal');
+        });
+
+        document.getElementById('addNewCounterpartyBtn').addEventListener('click', () => {
+            this.openCounterpartyModal();
+        });
+
+        ['counterpartyAsOfMonth', 'counterpartyAsOfYear'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.refreshCounterpartyBalances();
+            });
+        });
+
+        document.getElementById('counterpartiesList').addEventListener('click', (e) => {
+            const viewBtn = e.target.closest('.view-counterparty-btn');
+            const editBtn = e.target.closest('.edit-counterparty-btn');
+            const deleteBtn = e.target.closest('.delete-counterparty-btn');
+
+            if (viewBtn) {
+                // Show this counterparty's transactions in the journal
+                UI.hideModal('manageCounterpartiesModal');
+                document.getElementById('filterCounterparty').value = viewBtn.dataset.id;
+                this.switchMainTab('journal');
+                this.refreshTransactions();
+            } else if (editBtn) {
+                this.handleEditCounterparty(parseInt(editBtn.dataset.id));
+            } else if (deleteBtn && !deleteBtn.disabled) {
+                this.handleDeleteCounterparty(parseInt(deleteBtn.dataset.id));
+            }
+        });
+
+        document.getElementById('counterpartyForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveCounterparty();
+        });
+
+        document.getElementById('cancelCounterpartyBtn').addEventListener('click', () => {
+            UI.hideModal('counterpartyModal');
+        });
+
+        document.getElementById('confirmDeleteCounterpartyBtn').addEventListener('click', () => {
+            this.confirmDeleteCounterparty();
+        });
+
+        document.getElementById('cancelDeleteCounterpartyBtn').addEventListener('click', () => {
+            UI.hideModal('deleteCounterpartyModal');
+            this.deleteCounterpartyTargetId = null;
+        });
+
+        // ==================== CASH ACCOUNTS ====================
+
+        document.getElementById('manageCashAccountsBtn').addEventListener('click', () => {
+            this.openManageCashAccounts();
+        });
+
+        document.getElementById('closeManageCashAccountsBtn').addEventListener('click', () => {
+            UI.hideModal('manageCashAccountsModal');
+        });
+
+        document.getElementById('addNewCashAccountBtn').addEventListener('click', () => {
+            this.openCashAccountModal();
+        });
+
+        document.getElementById('addCashTransferBtn').addEventListener('click', () => {
+            this.openCashTransferModal();
+        });
+
+        document.getElementById('cashAccountsList').addEventListener('click', (e) => {
+            const editBtn = e.target.closest('.edit-cash-account-btn');
+            const deleteBtn = e.target.closest('.delete-cash-account-btn');
+
+            if (editBtn) {
+                const account = Database.getCashAccountById(parseInt(editBtn.dataset.id));
+                if (account) this.openCashAccountModal(account);
+            } else if (deleteBtn && !deleteBtn.disabled) {
+                this.handleDeleteCashAccount(parseInt(deleteBtn.dataset.id));
+            }
+        });
+
+        document.getElementById('cashTransfersList').addEventListener('click', (e) => {
+            const editBtn = e.target.closest('.edit-cash-transfer-btn');
+            const deleteBtn = e.target.closest('.delete-cash-transfer-btn');
+
+            if (editBtn && !editBtn.disabled) {
+                const transfer = Database.getCashTransferById(parseInt(editBtn.dataset.id));
+                if (transfer) this.openCashTransferModal(transfer);
+            } else if (deleteBtn && !deleteBtn.disabled) {
+                this.handleDeleteCashTransfer(parseInt(deleteBtn.dataset.id));
+            }
+        });
+
+        document.getElementById('cashAccountForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveCashAccount();
+        });
+
+        document.getElementById('cancelCashAccountBtn').addEventListener('click', () => {
+            UI.hideModal('cashAccountModal');
+        });
+
+        document.getElementById('cashTransferForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveCashTransfer();
+        });
+
+        document.getElementById('cancelCashTransferBtn').addEventListener('click', () => {
+            UI.hideModal('cashTransferModal');
+        });
+
+        document.getElementById('confirmDeleteCashAccountBtn').addEventListener('click', () => {
+            this.confirmDeleteCashTarget();
+        });
+
+        document.getElementById('cancelDeleteCashAccountBtn').addEventListener('click', () => {
+            UI.hideModal('deleteCashAccountModal');
+            this.deleteCashTarget = null;
         });
 
         // ==================== JOURNAL OWNER ====================
@@ -1061,12 +1362,24 @@ const App = {
         document.getElementById('transactionsContainer').addEventListener('click', (e) => {
             const editBtn = e.target.closest('.edit-btn');
             const deleteBtn = e.target.closest('.delete-btn');
+            const voidBtn = e.target.closest('.void-btn');
+            const creditBtn = e.target.closest('.credit-btn');
+            const paymentsBtn = e.target.closest('.payments-btn');
+            const attachmentsBtn = e.target.closest('.attachments-btn');
             const notesIndicator = e.target.closest('.notes-indicator');
 
-            if (editBtn) {
+            if (attachmentsBtn) {
+                this.openAttachments('transaction', parseInt(attachmentsBtn.dataset.id));
+            } else if (paymentsBtn) {
+                this.openPaymentsModal(parseInt(paymentsBtn.dataset.id));
+            } else if (editBtn) {
                 this.handleEditTransaction(parseInt(editBtn.dataset.id));
             } else if (deleteBtn) {
                 this.handleDeleteTransaction(parseInt(deleteBtn.dataset.id));
+            } else if (voidBtn) {
+                this.handleVoidTransaction(parseInt(voidBtn.dataset.id));
+            } else if (creditBtn) {
+                this.handleCreditTransaction(parseInt(creditBtn.dataset.id));
             } else if (notesIndicator) {
                 // Toggle notes tooltip on click
                 const tooltip = document.getElementById('notesTooltip');
@@ -1078,6 +1391,24 @@ const App = {
             }
         });
 
+        // ==================== PARTIAL PAYMENTS ====================
+
+        document.getElementById('paymentForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleRecordPayment();
+        });
+
+        document.getElementById('closePaymentsBtn').addEventListener('click', () => {
+            UI.hideModal('paymentsModal');
+        });
+
+        document.getElementById('paymentsList').addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.delete-payment-btn');
+            if (deleteBtn) {
+                this.handleDeletePayment(parseInt(deleteBtn.dataset.id));
+            }
+        });
+
         // Notes tooltip on hover
         document.getElementById('transactionsContainer').addEventListener('mouseover', (e) => {
             const notesIndicator = e.target.closest('.notes-indicator');
@@ -1093,15 +1424,40 @@ const App = {
             }
         });
 
-        // Inline status dropdown change
+        // Inline status dropdown change and bulk selection checkboxes
         document.getElementById('transactionsContainer').addEventListener('change', (e) => {
             if (e.target.classList.contains('status-select')) {
                 const id = parseInt(e.target.dataset.id);
                 const newStatus = e.target.value;
                 this.handleInlineStatusChange(id, newStatus, e.target);
+            } else if (e.target.classList.contains('row-select')) {
+                this.handleSelectTransaction(parseInt(e.target.dataset.id), e.target.checked);
+            } else if (e.target.classList.contains('group-select')) {
+                // Every row of the group, including those windowed out of the DOM
+                const ids = UI.getJournalGroupIds(e.target.closest('.month-group'));
+                this.handleSelectTransactionGroup(ids, e.target.checked);
             }
         });
 
+        // ==================== BULK ACTIONS ====================
+
+        document.getElementById('bulkStatusSelect').addEventListener('change', (e) => {
+            this.handleBulkStatusChange(e.target.value);
+        });
+        document.getElementById('bulkCategoryBtn').addEventListener('click', () => this.openBulkEdit('category'));
+        document.getElementById('bulkShiftDueBtn').addEventListener('click', () => this.openBulkEdit('shift'));
+        document.getElementById('bulkDuplicateBtn').addEventListener('click', () => this.openBulkEdit('duplicate'));
+        document.getElementById('bulkExportBtn').addEventListener('click', () => this.handleBulkExport());
+        document.getElementById('bulkDeleteBtn').addEventListener('click', () => this.handleBulkDelete());
+        document.getElementById('bulkClearBtn').addEventListener('click', () => this.clearTransactionSelection());
+        document.getElementById('confirmBulkEditBtn').addEventListener('click', () => this.confirmBulkEdit());
+        document.getElementById('cancelBulkEditBtn').addEventListener('click', () => {
+            UI.hideModal('bulkEditModal');
+            this.bulkEditAction = null;
+        });
+        document.getElementById('confirmBulkDeleteBtn').addEventListener('click', () => this.confirmBulkDelete());
+        document.getElementById('cancelBulkDeleteBtn').addEventListener('click', () => UI.hideModal('bulkDeleteModal'));
+
         // Delete transaction confirmation
         document.getElementById('confirmDeleteBtn').addEventListener('click', () => {
             this.confirmDelete();
@@ -1112,6 +1468,50 @@ const App = {
             this.deleteTargetId = null;
         });
 
+        document.getElementById('voidInsteadBtn').addEventListener('click', () => {
+            const id = this.deleteTargetId;
+            UI.hideModal('deleteModal');
+            this.deleteTargetId = null;
+            this.handleVoidTransaction(id);
+        });
+
+        // Void transaction confirmation
+        document.getElementById('confirmVoidBtn').addEventListener('click', () => this.confirmVoid());
+        document.getElementById('cancelVoidBtn').addEventListener('click', () => {
+            UI.hideModal('voidModal');
+            this.voidTargetId = null;
+        });
+
+        // Refund / credit memo
+        document.getElementById('confirmCreditBtn').addEventListener('click', () => this.confirmCredit());
+        document.getElementById('cancelCreditBtn').addEventListener('click', () => {
+            UI.hideModal('creditModal');
+            this.creditTargetId = null;
+        });
+
+        // Duplicate warning before saving new entries
+        document.getElementById('cancelDuplicateBtn').addEventListener('click', () => {
+            UI.hideModal('duplicateWarningModal');
+            this.pendingDuplicateSave = null;
+        });
+        document.getElementById('skipDuplicatesBtn').addEventListener('click', () => this.resolveDuplicates('skip'));
+        document.getElementById('mergeDuplicatesBtn').addEventListener('click', () => this.resolveDuplicates('merge'));
+        document.getElementById('saveDuplicatesBtn').addEventListener('click', () => this.resolveDuplicates('proceed'));
+
+        // Find duplicates scan
+        document.getElementById('findDuplicatesBtn').addEventListener('click', () => this.openDuplicatesScan());
+        document.getElementById('closeDuplicatesScanBtn').addEventListener('click', () => UI.hideModal('duplicatesScanModal'));
+        document.getElementById('duplicateGroupsList').addEventListener('click', (e) => {
+            const group = e.target.closest('.duplicate-group');
+            if (!group) return;
+            if (e.target.closest('.merge-duplicates-btn')) {
+                const keep = group.querySelector('input[type="radio"]:checked');
+                this.handleMergeDuplicateGroup(group.dataset.key, parseInt(keep.value));
+            } else if (e.target.closest('.dismiss-duplicates-btn')) {
+                this.handleDismissDuplicateGroup(group.dataset.key);
+            }
+        });
+
         // ==================== MONTH PAID PROMPT (inline) ====================
 
         document.getElementById('confirmMonthPaidPromptBtn').addEventListener('click', () => {
@@ -1134,7 +1534,7 @@ const App = {
             this.refreshTransactions();
         });
 
-        ['filterType', 'filterStatus', 'filterMonth', 'filterCategory'].forEach(id => {
+        ['filterType', 'filterStatus', 'filterMonth', 'filterCategory', 'filterCounterparty', 'filterTag'].forEach(id => {
             document.getElementById(id).addEventListener('change', () => {
                 this.refreshTransactions();
             });
@@ -1210,7 +1610,13 @@ const App = {
 
         // P&L Tax Mode dropdown
         document.getElementById('plTaxMode').addEventListener('change', (e) => {
-            Database.setPLTaxMode(e.target.value);
+            try {
+                Database.setPLTaxMode(e.target.value);
+            } catch (error) {
+                e.target.value = Database.getPLTaxMode();
+                UI.showNotification(this._errorMessage(error, 'Failed to change the tax mode'), 'error');
+                return;
+            }
             this.refreshPnL();
         });
 
@@ -1314,6 +1720,239 @@ const App = {
             this.handleExportCsv();
         });
 
+        // CSV import wizard
+        document.getElementById('importCsvBtn').addEventListener('click', () => this.openImportCsvModal());
+        document.getElementById('importCsvFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.handleImportCsvFile(e.target.files[0]);
+        });
+        document.getElementById('importCsvHasHeader').addEventListener('change', () => {
+            if (this._csvImport) this.applyCsvImportFile(this._csvImport.text);
+        });
+        document.getElementById('importCsvMapping').addEventListener('change', () => this.updateCsvImportPreview());
+        ['importCsvDefaultType', 'importCsvCreateCategories'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateCsvImportPreview());
+        });
+        document.getElementById('cancelImportCsvBtn').addEventListener('click', () => {
+            UI.hideModal('importCsvModal');
+            this._csvImport = null;
+        });
+        document.getElementById('confirmImportCsvBtn').addEventListener('click', () => this.confirmCsvImport());
+
+        // Bank statement import
+        document.getElementById('importStatementBtn').addEventListener('click', () => this.openBankImportModal());
+        document.getElementById('bankImportFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.handleBankImportFile(e.target.files[0]);
+        });
+        // Lines already recorded depend on the account, so re-read the statement for the new one
+        document.getElementById('bankImportCashAccount').addEventListener('change', () => {
+            const files = document.getElementById('bankImportFile').files;
+            if (files && files.length > 0) this.handleBankImportFile(files[0]);
+        });
+        document.getElementById('bankImportLines').addEventListener('change', () => this.updateBankImportSummary());
+        document.getElementById('cancelBankImportBtn').addEventListener('click', () => {
+            UI.hideModal('bankImportModal');
+            this._bankImport = null;
+        });
+        document.getElementById('confirmBankImportBtn').addEventListener('click', () => this.confirmBankImport());
+
+        // Bank reconciliation
+        document.getElementById('reconcileBtn').addEventListener('click', () => this.openReconcileModal());
+        ['reconcileCashAccount', 'reconcileStatementDate', 'reconcileStatementBalance', 'reconcileOpeningBalance'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.refreshReconciliation(true));
+        });
+        document.getElementById('reconcileItems').addEventListener('change', (e) => {
+            if (e.target.classList.contains('reconcile-cleared')) {
+                this.handleToggleReconcileItem(e.target.dataset.kind, parseInt(e.target.dataset.id), e.target.checked);
+            }
+        });
+        document.getElementById('reconcileHistory').addEventListener('click', (e) => {
+            if (e.target.closest('.undo-reconcile-btn')) this.handleUndoReconciliation();
+        });
+        document.getElementById('closeReconcileBtn').addEventListener('click', () => UI.hideModal('reconcileModal'));
+        document.getElementById('confirmReconcileBtn').addEventListener('click', () => this.confirmReconciliation());
+
+        // Attachments
+        document.querySelectorAll('.record-attachments-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.openAttachments(btn.dataset.ownerType, parseInt(document.getElementById(btn.dataset.recordInput).value));
+            });
+        });
+        document.getElementById('attachmentFileInput').addEventListener('change', (e) => {
+            this.handleAddAttachments(e.target.files);
+        });
+        document.getElementById('attachmentsList').addEventListener('click', (e) => {
+            const viewBtn = e.target.closest('.view-attachment-btn');
+            const deleteBtn = e.target.closest('.delete-attachment-btn');
+            if (viewBtn) {
+                this.openAttachmentViewer(parseInt(viewBtn.dataset.id));
+            } else if (deleteBtn) {
+                this.handleDeleteAttachment(parseInt(deleteBtn.dataset.id));
+            }
+        });
+        document.getElementById('closeAttachmentsBtn').addEventListener('click', () => {
+            UI.hideModal('attachmentsModal');
+            this._attachmentOwner = null;
+        });
+        document.getElementById('downloadAttachmentBtn').addEventListener('click', () => this.downloadAttachment());
+        document.getElementById('closeAttachmentViewerBtn').addEventListener('click', () => this.closeAttachmentViewer());
+
+        // Undo / redo
+        document.getElementById('undoBtn').addEventListener('click', () => this.handleUndo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.handleRedo());
+        Database.onHistoryChange = () => this.updateUndoButtons();
+        this.updateUndoButtons();
+
+        // Audit log
+        document.getElementById('auditLogBtn').addEventListener('click', () => this.openAuditLog());
+        document.getElementById('periodCloseBtn').addEventListener('click', () => this.openPeriodClose());
+        document.getElementById('closePeriodCloseBtn').addEventListener('click', () => UI.hideModal('periodCloseModal'));
+        document.getElementById('confirmClosePeriodBtn').addEventListener('click', () => this.handleClosePeriod());
+        document.getElementById('confirmReopenPeriodBtn').addEventListener('click', () => this.handleReopenPeriod());
+        // Edits without their own error handling (spreadsheet cells, loan schedules, ...) that
+        // touch a closed period still say why nothing changed
+        window.addEventListener('error', (event) => {
+            if (event.error && event.error.code === 'PERIOD_CLOSED') {
+                UI.showNotification(event.error.message, 'error');
+                this.refreshAll();
+            }
+        });
+        document.getElementById('closeAuditLogBtn').addEventListener('click', () => UI.hideModal('auditLogModal'));
+        document.getElementById('auditLogTable').addEventListener('change', () => this.refreshAuditLog());
+        ['auditLogRecordId', 'auditLogSearch'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.refreshAuditLog());
+        });
+        document.querySelectorAll('.record-history-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.openAuditLog(btn.dataset.table, document.getElementById(btn.dataset.recordInput).value);
+            });
+        });
+
+        // Invoices
+        document.getElementById('invoicesBtn').addEventListener('click', () => this.openManageInvoices());
+        document.getElementById('closeManageInvoicesBtn').addEventListener('click', () => UI.hideModal('manageInvoicesModal'));
+        document.getElementById('addNewInvoiceBtn').addEventListener('click', () => this.openInvoiceModal());
+        document.getElementById('invoicesList').addEventListener('click', (e) => {
+            const printBtn = e.target.closest('.print-invoice-btn');
+            const deleteBtn = e.target.closest('.delete-invoice-btn');
+            if (printBtn) {
+                this.printInvoice(parseInt(printBtn.dataset.id));
+            } else if (deleteBtn) {
+                this.handleDeleteInvoice(parseInt(deleteBtn.dataset.id));
+            }
+        });
+        document.getElementById('invoiceCounterparty').addEventListener('change', () => this.refreshInvoiceLines());
+        document.getElementById('invoiceIssueDate').addEventListener('change', () => this.refreshInvoiceLines());
+        document.getElementById('invoiceDueDate').addEventListener('change', () => {
+            if (this._invoiceDraft) this._invoiceDraft.dueDateEdited = true;
+        });
+        document.getElementById('invoiceLines').addEventListener('change', (e) => {
+            if (e.target.classList.contains('invoice-line-check')) {
+                this.handleToggleInvoiceLine(parseInt(e.target.dataset.id), e.target.checked);
+            }
+        });
+        document.getElementById('cancelInvoiceBtn').addEventListener('click', () => {
+            UI.hideModal('invoiceModal');
+            this._invoiceDraft = null;
+        });
+        document.getElementById('confirmInvoiceBtn').addEventListener('click', () => this.confirmInvoice());
+        document.getElementById('confirmDeleteInvoiceBtn').addEventListener('click', () => this.confirmDeleteInvoice());
+        document.getElementById('cancelDeleteInvoiceBtn').addEventListener('click', () => {
+            UI.hideModal('deleteInvoiceModal');
+            this.deleteInvoiceTargetId = null;
+        });
+
+        // ==================== AGING ====================
+
+        ['agingMonthMonth', 'agingMonthYear'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                const month = document.getElementById('agingMonthMonth').value;
+                const year = document.getElementById('agingMonthYear').value;
+                if (month && year) {
+                    Database.setAsOfMonth('aging', `${year}-${month}`);
+                }
+                this.refreshAging();
+            });
+        });
+
+        ['agingType', 'agingGroupBy'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.refreshAging();
+            });
+        });
+
+        document.getElementById('exportAgingCsvBtn').addEventListener('click', () => {
+            this.handleExportAgingCsv();
+        });
+
+        // ==================== SALES TAX ====================
+
+        ['salesTaxPeriod', 'salesTaxYear'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.refreshSalesTax();
+            });
+        });
+
+        document.getElementById('exportSalesTaxCsvBtn').addEventListener('click', () => {
+            this.handleExportSalesTaxCsv();
+        });
+
+        document.getElementById('salesTaxReturnContent').addEventListener('click', (e) => {
+            const row = e.target.closest('.sales-tax-row');
+            if (!row) return;
+            const key = row.dataset.rateId;
+            this.selectedSalesTaxRateKey = this.selectedSalesTaxRateKey === key ? null : key;
+            this.refreshSalesTax();
+        });
+
+        document.getElementById('addSalesTaxRateBtn').addEventListener('click', () => {
+            this.openSalesTaxRateModal();
+        });
+
+        document.getElementById('salesTaxRatesList').addEventListener('click', (e) => {
+            const editBtn = e.target.closest('.edit-sales-tax-rate-btn');
+            const deleteBtn = e.target.closest('.delete-sales-tax-rate-btn');
+
+            if (editBtn) {
+                const rate = Database.getSalesTaxRateById(parseInt(editBtn.dataset.id));
+                if (rate) this.openSalesTaxRateModal(rate);
+            } else if (deleteBtn && !deleteBtn.disabled) {
+                this.handleDeleteSalesTaxRate(parseInt(deleteBtn.dataset.id));
+            }
+        });
+
+        document.getElementById('salesTaxRateForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveSalesTaxRate();
+        });
+
+        document.getElementById('cancelSalesTaxRateBtn').addEventListener('click', () => {
+            UI.hideModal('salesTaxRateModal');
+        });
+
+        document.getElementById('confirmDeleteSalesTaxRateBtn').addEventListener('click', () => {
+            this.confirmDeleteSalesTaxRate();
+        });
+
+        document.getElementById('cancelDeleteSalesTaxRateBtn').addEventListener('click', () => {
+            UI.hideModal('deleteSalesTaxRateModal');
+            this.deleteSalesTaxRateTargetId = null;
+        });
+
+        // ==================== TAGS ====================
+
+        ['tagsType', 'tagsYear'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.refreshTagSummary();
+            });
+        });
+
+        document.getElementById('entryTags').addEventListener('input', (e) => {
+            UI.populateTagSuggestions(e.target.value, Database.getTags());
+        });
+        document.getElementById('entryTags').addEventListener('focus', (e) => {
+            UI.populateTagSuggestions(e.target.value, Database.getTags());
+        });
+
         // ==================== BALANCE SHEET ====================
 
         // BS month/year change — persist selection
@@ -1372,39 +2011,180 @@ const App = {
             }
         });
 
-        // ==================== LOANS TAB ====================
+        // ==================== INVENTORY TAB ====================
 
-        document.getElementById('addLoanBtn').addEventListener('click', () => this.openLoanConfigModal());
-        document.getElementById('loanConfigForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleSaveLoanConfig();
+        document.getElementById('addInventoryProductBtn').addEventListener('click', () => this.openInventoryProductModal());
+
+        // Product list click delegation
+        document.getElementById('inventoryListPanel').addEventListener('click', (e) => {
+            const editBtn = e.target.closest('.edit-inventory-product-btn');
+            const deleteBtn = e.target.closest('.delete-inventory-product-btn');
+            const item = e.target.closest('.asset-list-item');
+            if (editBtn) {
+                const product = Database.getInventoryProductById(parseInt(editBtn.dataset.id));
+                if (product) this.openInventoryProductModal(product);
+                return;
+            }
+            if (deleteBtn) {
+                if (!deleteBtn.disabled) this.handleDeleteInventory('product', parseInt(deleteBtn.dataset.id));
+                return;
+            }
+            if (item) {
+                this.selectedInventoryProductId = parseInt(item.dataset.id);
+                this.refreshInventory();
+            }
         });
-        document.getElementById('cancelLoanConfigBtn').addEventListener('click', () => UI.hideModal('loanConfigModal'));
 
-        // Delete loan modal
-        document.getElementById('confirmDeleteLoanBtn').addEventListener('click', () => this.confirmDeleteLoan());
-        document.getElementById('cancelDeleteLoanBtn').addEventListener('click', () => {
-            UI.hideModal('deleteLoanModal');
-            this.deleteLoanTargetId = null;
+        // Purchases and sales of the selected product
+        document.getElementById('inventoryDetailPanel').addEventListener('click', (e) => {
+            const addPurchaseBtn = e.target.closest('.add-inventory-purchase-btn');
+            const addSaleBtn = e.target.closest('.add-inventory-sale-btn');
+            const editBtn = e.target.closest('.edit-inventory-movement-btn');
+            const deleteBtn = e.target.closest('.delete-inventory-movement-btn');
+            if (addPurchaseBtn) {
+                this.openInventoryMovementModal('purchase');
+            } else if (addSaleBtn) {
+                this.openInventoryMovementModal('sale');
+            } else if (editBtn) {
+                const id = parseInt(editBtn.dataset.id);
+                const movement = editBtn.dataset.kind === 'purchase'
+                    ? Database.getInventoryPurchaseById(id) : Database.getInventorySaleById(id);
+                if (movement) this.openInventoryMovementModal(editBtn.dataset.kind, movement);
+            } else if (deleteBtn) {
+                this.handleDeleteInventory(deleteBtn.dataset.kind, parseInt(deleteBtn.dataset.id));
+            }
         });
 
-        // Reset all data
-        document.getElementById('resetAllDataBtn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            document.getElementById('gearPopover').style.display = 'none';
-            document.getElementById('resetConfirmInput').value = '';
-            document.getElementById('confirmResetBtn').disabled = true;
-            UI.showModal('resetAllDataModal');
+        document.getElementById('inventoryProductForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveInventoryProduct();
         });
-        document.getElementById('resetConfirmInput').addEventListener('input', (e) => {
-            document.getElementById('confirmResetBtn').disabled = e.target.value.trim() !== 'RESET';
+        document.getElementById('cancelInventoryProductBtn').addEventListener('click', () => UI.hideModal('inventoryProductModal'));
+
+        document.getElementById('inventoryMovementForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveInventoryMovement();
         });
-        document.getElementById('confirmResetBtn').addEventListener('click', () => {
-            try {
-                Database.resetAllData();
+        document.getElementById('cancelInventoryMovementBtn').addEventListener('click', () => UI.hideModal('inventoryMovementModal'));
+
+        document.getElementById('confirmDeleteInventoryBtn').addEventListener('click', () => this.confirmDeleteInventory());
+        document.getElementById('cancelDeleteInventoryBtn').addEventListener('click', () => {
+            UI.hideModal('deleteInventoryModal');
+            this.deleteInventoryTarget = null;
+        });
+
+        // ==================== PAYROLL TAB ====================
+
+        document.getElementById('addEmployeeBtn').addEventListener('click', () => this.openEmployeeModal());
+        document.getElementById('runPayrollBtn').addEventListener('click', () => this.openPayrollRunModal());
+        document.getElementById('payrollRatesBtn').addEventListener('click', () => this.openPayrollRatesModal());
+        document.getElementById('payrollYear').addEventListener('change', () => this.refreshPayroll());
+
+        // Employee list click delegation
+        document.getElementById('payrollListPanel').addEventListener('click', (e) => {
+            const editBtn = e.target.closest('.edit-employee-btn');
+            const deleteBtn = e.target.closest('.delete-employee-btn');
+            const item = e.target.closest('.asset-list-item');
+            if (editBtn) {
+                const employee = Database.getEmployeeById(parseInt(editBtn.dataset.id));
+                if (employee) this.openEmployeeModal(employee);
+                return;
+            }
+            if (deleteBtn) {
+                if (!deleteBtn.disabled) this.handleDeletePayroll('employee', parseInt(deleteBtn.dataset.id));
+                return;
+            }
+            if (item) {
+                this.selectedEmployeeId = parseInt(item.dataset.id);
+                this.refreshPayroll();
+            }
+        });
+
+        // Payroll register
+        document.getElementById('payrollDetailPanel').addEventListener('click', (e) => {
+            const showAllBtn = e.target.closest('.show-all-payroll-btn');
+            const deleteRunBtn = e.target.closest('.delete-payroll-run-btn');
+            if (showAllBtn) {
+                this.selectedEmployeeId = null;
+                this.refreshPayroll();
+            } else if (deleteRunBtn) {
+                this.handleDeletePayroll('run', parseInt(deleteRunBtn.dataset.id));
+            }
+        });
+
+        document.getElementById('employeeForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveEmployee();
+        });
+        document.getElementById('employeePayType').addEventListener('change', () => this._syncEmployeePayFields());
+        document.getElementById('cancelEmployeeBtn').addEventListener('click', () => UI.hideModal('employeeModal'));
+
+        document.getElementById('payrollRunForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSavePayrollRun();
+        });
+        document.getElementById('payrollRunChecks').addEventListener('input', (e) => {
+            // Hours drive an hourly employee's gross pay; the gross can still be edited for a bonus
+            if (e.target.classList.contains('payroll-check-hours')) {
+                const row = e.target.closest('.payroll-check-row');
+                const employee = Database.getEmployeeById(parseInt(row.dataset.id));
+                if (employee) {
+                    row.querySelector('.payroll-check-gross').value = Utils.computeGrossPay(employee, parseFloat(e.target.value)) || '';
+                }
+            }
+            this.updatePayrollRunPreview();
+        });
+        document.getElementById('payrollRunChecks').addEventListener('change', () => this.updatePayrollRunPreview());
+        document.getElementById('payrollPayDate').addEventListener('change', () => this.updatePayrollRunPreview());
+        document.getElementById('cancelPayrollRunBtn').addEventListener('click', () => UI.hideModal('payrollRunModal'));
+
+        document.getElementById('payrollRatesForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSavePayrollRates();
+        });
+        document.getElementById('cancelPayrollRatesBtn').addEventListener('click', () => UI.hideModal('payrollRatesModal'));
+
+        document.getElementById('confirmDeletePayrollBtn').addEventListener('click', () => this.confirmDeletePayroll());
+        document.getElementById('cancelDeletePayrollBtn').addEventListener('click', () => {
+            UI.hideModal('deletePayrollModal');
+            this.deletePayrollTarget = null;
+        });
+
+        // ==================== LOANS TAB ====================
+
+        document.getElementById('addLoanBtn').addEventListener('click', () => this.openLoanConfigModal());
+        document.getElementById('loanConfigForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveLoanConfig();
+        });
+        document.getElementById('cancelLoanConfigBtn').addEventListener('click', () => UI.hideModal('loanConfigModal'));
+
+        // Delete loan modal
+        document.getElementById('confirmDeleteLoanBtn').addEventListener('click', () => this.confirmDeleteLoan());
+        document.getElementById('cancelDeleteLoanBtn').addEventListener('click', () => {
+            UI.hideModal('deleteLoanModal');
+            this.deleteLoanTargetId = null;
+        });
+
+        // Reset all data
+        document.getElementById('resetAllDataBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            document.getElementById('gearPopover').style.display = 'none';
+            document.getElementById('resetConfirmInput').value = '';
+            document.getElementById('confirmResetBtn').disabled = true;
+            UI.showModal('resetAllDataModal');
+        });
+        document.getElementById('resetConfirmInput').addEventListener('input', (e) => {
+            document.getElementById('confirmResetBtn').disabled = e.target.value.trim() !== 'RESET';
+        });
+        document.getElementById('confirmResetBtn').addEventListener('click', () => {
+            try {
+                Database.resetAllData();
                 UI.hideModal('resetAllDataModal');
                 this.selectedLoanId = null;
                 this.selectedAssetId = null;
+                this.selectedInventoryProductId = null;
+                this.selectedEmployeeId = null;
                 this.selectedBudgetExpenseId = null;
                 this._timeline = null;
                 this.refreshAll();
@@ -1532,6 +2312,34 @@ const App = {
             document.getElementById('recordBudgetDateProcessedGroup').style.display = status !== 'pending' ? '' : 'none';
         });
 
+        // Recurring entries
+        document.getElementById('manageRecurringBtn').addEventListener('click', () => this.openManageRecurring());
+        document.getElementById('closeManageRecurringBtn').addEventListener('click', () => UI.hideModal('manageRecurringModal'));
+        document.getElementById('addNewRecurringBtn').addEventListener('click', () => this.openRecurringTemplateModal());
+        document.getElementById('recurringTemplatesList').addEventListener('click', (e) => {
+            const regenerateBtn = e.target.closest('.regenerate-recurring-btn');
+            const editBtn = e.target.closest('.edit-recurring-btn');
+            const deleteBtn = e.target.closest('.delete-recurring-btn');
+            if (regenerateBtn) {
+                this.handleRegenerateRecurring(parseInt(regenerateBtn.dataset.id));
+            } else if (editBtn) {
+                this.handleEditRecurring(parseInt(editBtn.dataset.id));
+            } else if (deleteBtn) {
+                this.handleDeleteRecurring(parseInt(deleteBtn.dataset.id));
+            }
+        });
+        document.getElementById('recurringTemplateForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveRecurring();
+        });
+        document.getElementById('cancelRecurringBtn').addEventListener('click', () => UI.hideModal('recurringTemplateModal'));
+        document.getElementById('recurringEndMode').addEventListener('change', () => this.updateRecurringEndFields());
+        document.getElementById('confirmDeleteRecurringBtn').addEventListener('click', () => this.confirmDeleteRecurring());
+        document.getElementById('cancelDeleteRecurringBtn').addEventListener('click', () => {
+            UI.hideModal('deleteRecurringModal');
+            this.deleteRecurringTargetId = null;
+        });
+
         // ==================== BREAK-EVEN ====================
         document.getElementById('beConfigBtn').addEventListener('click', () => this.openBeConfigModal());
         document.getElementById('beConfigForm').addEventListener('submit', (e) => {
@@ -1617,6 +2425,7 @@ const App = {
         if (cfViewMode) {
             cfViewMode.addEventListener('change', () => this.refreshCashFlow());
         }
+        document.getElementById('cfCashAccount').addEventListener('change', () => this.refreshCashFlow());
 
         // Per-tab "As of" month pickers
         const pnlAsOfMonth = document.getElementById('pnlAsOfMonth');
@@ -1659,6 +2468,9 @@ const App = {
                     if (modal.id === 'monthPaidPromptModal') {
                         this.cancelMonthPaidPrompt();
                     }
+                    if (modal.id === 'attachmentViewerModal') {
+                        this.closeAttachmentViewer();
+                    }
                 }
             });
         });
@@ -1683,8 +2495,25 @@ const App = {
                     if (modal.id === 'monthPaidPromptModal') {
                         this.cancelMonthPaidPrompt();
                     }
+                    if (modal.id === 'attachmentViewerModal') {
+                        this.closeAttachmentViewer();
+                    }
                 });
                 UI.hideNotesTooltip();
+                return;
+            }
+
+            // Undo / redo, leaving text editing and open dialogs to the browser
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            if (document.querySelector('.modal.active')) return;
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                this.handleRedo();
+            } else {
+                this.handleUndo();
             }
         });
 
@@ -1808,8 +2637,20 @@ const App = {
      * Handle form submission (add/edit transaction)
      */
     handleFormSubmit() {
+        const editingId = document.getElementById('editingId').value;
+        this.submitEntry(UI.getFormData(), editingId ? parseInt(editingId) : null, () => {
+            UI.resetForm(); // This also closes the entry modal
+        });
+    },
+
+    /**
+     * Validate and save one entry, as typed in the entry form or the quick entry bar
+     * @param {Object} data - Entry data in the shape of UI.getFormData
+     * @param {number|null} editingId - Entry being edited, or null to add a new entry
+     * @param {Function} onSaved - Called after the entry is saved, merged or skipped
+     */
+    submitEntry(data, editingId, onSaved) {
         if (this._guardViewOnly()) return;
-        const data = UI.getFormData();
         const validation = UI.validateFormData(data);
 
         if (!validation.valid) {
@@ -1817,23 +2658,120 @@ const App = {
             return;
         }
 
-        const editingId = document.getElementById('editingId').value;
+        if (!editingId) {
+            this.saveNewEntries([data], 'Failed to save transaction', (counts) => {
+                let message = 'Transaction added successfully';
+                if (counts.merged > 0) message = 'Transaction merged into the existing entry';
+                if (counts.skipped > 0) message = 'Duplicate transaction not saved';
+                UI.showNotification(message, 'success');
+                onSaved();
+                this.refreshAll();
+            });
+            return;
+        }
 
         try {
-            if (editingId) {
-                Database.updateTransaction(parseInt(editingId), data);
-                UI.showNotification('Transaction updated successfully', 'success');
-            } else {
-                Database.addTransaction(data);
-                UI.showNotification('Transaction added successfully', 'success');
-            }
+            Database.updateTransaction(editingId, data);
+            UI.showNotification('Transaction updated successfully', 'success');
 
-            UI.resetForm(); // This also closes the entry modal
+            onSaved();
             this.refreshAll();
         } catch (error) {
             console.error('Error saving transaction:', error);
-            UI.showNotification('Failed to save transaction', 'error');
+            UI.showNotification(this._errorMessage(error, 'Failed to save transaction'), 'error');
+        }
+    },
+
+    // ==================== QUICK ENTRY ====================
+
+    /**
+     * Parse the quick entry bar into entry data in the shape of UI.getFormData
+     * @returns {Object|null} {data, category, counterparty}, or null when the bar is empty
+     */
+    parseQuickEntry() {
+        const text = document.getElementById('quickEntryInput').value.trim();
+        if (!text) return null;
+        const parsed = Utils.parseQuickEntry(text, Database.getCategories(), Database.getCounterparties());
+
+        // Naming only a customer or vendor reuses the category of their latest entry
+        if (!parsed.category && parsed.counterparty) {
+            parsed.category = Database.getLatestCounterpartyCategory(parsed.counterparty.id);
+            const defaultType = parsed.category && parsed.category.default_type;
+            if (defaultType && !parsed.typeFromWords && defaultType !== parsed.transaction_type) {
+                parsed.transaction_type = defaultType;
+                if (parsed.status !== 'pending') parsed.status = defaultType === 'receivable' ? 'received' : 'paid';
+            }
         }
+
+        return {
+            category: parsed.category,
+            counterparty: parsed.counterparty,
+            data: {
+                entry_date: parsed.entry_date,
+                category_id: parsed.category ? parsed.category.id : null,
+                amount: parsed.amount,
+                pretax_amount: null,
+                transaction_type: parsed.transaction_type,
+                status: parsed.status,
+                date_processed: parsed.date_processed,
+                month_due: parsed.month_due,
+                month_paid: parsed.month_paid,
+                payment_for_month: null,
+                notes: parsed.unmatched.join(' ') || null,
+                counterparty_id: parsed.counterparty ? parsed.counterparty.id : null,
+                splits: [],
+                tags: []
+            }
+        };
+    },
+
+    /**
+     * Refresh the parsed preview under the quick entry bar
+     */
+    updateQuickEntryPreview() {
+        const quick = this.parseQuickEntry();
+        const validation = quick ? UI.validateFormData(quick.data) : null;
+        UI.renderQuickEntryPreview(quick, validation);
+        document.getElementById('quickEntrySaveBtn').disabled = !validation || !validation.valid;
+        document.getElementById('quickEntryOpenBtn').disabled = !quick;
+    },
+
+    /**
+     * Save the quick entry through the same validation and duplicate checks as the entry form
+     */
+    submitQuickEntry() {
+        const quick = this.parseQuickEntry();
+        if (!quick) return;
+        this.submitEntry(quick.data, null, () => this.clearQuickEntry());
+    },
+
+    /**
+     * Open the quick entry in the entry form to finish it there
+     */
+    openQuickEntryInForm() {
+        if (this._guardViewOnly()) return;
+        const quick = this.parseQuickEntry();
+        if (!quick) return;
+        UI.resetForm();
+        UI.populateFormForEdit({
+            ...quick.data,
+            id: '',
+            category_id: quick.data.category_id || '',
+            amount: quick.data.amount || '',
+            category_is_monthly: quick.category ? quick.category.is_monthly : 0,
+            category_name: quick.category ? quick.category.name : ''
+        });
+        document.getElementById('formTitle').textContent = 'Add New Entry';
+        document.getElementById('submitBtn').textContent = 'Add Entry';
+        this.clearQuickEntry();
+    },
+
+    /**
+     * Empty the quick entry bar and hide its preview
+     */
+    clearQuickEntry() {
+        document.getElementById('quickEntryInput').value = '';
+        this.updateQuickEntryPreview();
     },
 
     // ==================== CATEGORY HANDLERS ====================
@@ -1928,7 +2866,7 @@ const App = {
             if (error.message && error.message.includes('UNIQUE')) {
                 UI.showNotification('A category with this name already exists', 'error');
             } else {
-                UI.showNotification('Failed to save category', 'error');
+                UI.showNotification(this._errorMessage(error, 'Failed to save category'), 'error');
             }
         }
     },
@@ -2159,1232 +3097,4115 @@ const App = {
         this.deleteFolderTargetId = null;
     },
 
-    // ==================== TRANSACTION HANDLERS ====================
+    // ==================== COUNTERPARTY HANDLERS ====================
 
     /**
-     * Handle inline status change from table dropdown
-     * @param {number} id - Transaction ID
-     * @param {string} newStatus - New status value
-     * @param {HTMLElement} selectElement - The select element
+     * Open the customers & vendors modal, defaulting the balance month to the current month
      */
-    handleInlineStatusChange(id, newStatus, selectElement) {
-        if (newStatus === 'pending') {
-            // Reverting to pending - clear processed date and month paid
-            try {
-                Database.updateTransactionStatus(id, newStatus);
-                selectElement.className = `status-select status-${newStatus}`;
-                this.refreshSummary();
-                this.refreshTransactions();
-                if (document.getElementById('cashflowTab').style.display !== 'none') this.refreshCashFlow();
-                if (document.getElementById('pnlTab').style.display !== 'none') this.refreshPnL();
-                UI.showNotification('Status updated', 'success');
-            } catch (error) {
-                console.error('Error updating status:', error);
-                UI.showNotification('Failed to update status', 'error');
-                this.refreshTransactions();
-            }
-        } else {
-            // Changing to paid/received - prompt for month paid
-            this.pendingInlineStatusChange = { id, newStatus, selectElement };
+    openManageCounterparties() {
+        const monthSelect = document.getElementById('counterpartyAsOfMonth');
+        const yearSelect = document.getElementById('counterpartyAsOfYear');
+        if (!yearSelect.value) {
+            const [year, month] = Utils.getCurrentMonth().split('-');
+            monthSelect.value = month;
+            yearSelect.value = year;
+        }
+        this.refreshCounterpartyBalances();
+        UI.showModal('manageCounterpartiesModal');
+    },
 
-            // Pre-fill with current month
-            const currentMonth = Utils.getCurrentMonth();
-            const [year, month] = currentMonth.split('-');
-            document.getElementById('promptMonthPaidMonth').value = month;
-            document.getElementById('promptMonthPaidYear').value = year;
+    /**
+     * Re-render the customers & vendors list for the selected balance month
+     */
+    refreshCounterpartyBalances() {
+        const month = document.getElementById('counterpartyAsOfMonth').value;
+        const year = document.getElementById('counterpartyAsOfYear').value;
+        const asOfMonth = (month && year) ? `${year}-${month}` : Utils.getCurrentMonth();
+        UI.renderCounterpartiesList(Database.getCounterpartyBalancesAsOf(asOfMonth));
+    },
 
-            // Update prompt title and paid today button text
-            const title = newStatus === 'paid' ? 'Month Paid' : 'Month Received';
-            document.getElementById('monthPaidPromptTitle').textContent = title;
-            document.getElementById('paidTodayBtn').textContent =
-                newStatus === 'paid' ? 'Paid Today' : 'Received Today';
+    /**
+     * Open the add/edit counterparty modal
+     * @param {Object|null} counterparty - Counterparty to edit, or null to add
+     */
+    openCounterpartyModal(counterparty = null) {
+        if (this._guardViewOnly()) return;
+        document.getElementById('counterpartyForm').reset();
+        document.getElementById('editingCounterpartyId').value = counterparty ? counterparty.id : '';
+        document.getElementById('counterpartyModalTitle').textContent = counterparty ? 'Edit Customer / Vendor' : 'Add Customer / Vendor';
+        document.getElementById('saveCounterpartyBtn').textContent = counterparty ? 'Save' : 'Add';
+
+        if (counterparty) {
+            document.getElementById('counterpartyName').value = counterparty.name;
+            document.getElementById('counterpartyType').value = counterparty.counterparty_type;
+            document.getElementById('counterpartyTerms').value = counterparty.payment_terms_days !== null ? counterparty.payment_terms_days : '';
+            document.getElementById('counterpartyEmail').value = counterparty.email || '';
+            document.getElementById('counterpartyPhone').value = counterparty.phone || '';
+            document.getElementById('counterpartyAddress').value = counterparty.address || '';
+            document.getElementById('counterpartyNotes').value = counterparty.notes || '';
+        } else if (document.getElementById('entryModal').classList.contains('active')) {
+            // Adding from the entry modal: guess the type from the entry's type
+            const type = document.querySelector('input[name="transactionType"]:checked').value;
+            document.getElementById('counterpartyType').value = type === 'payable' ? 'vendor' : 'customer';
+        }
+
+        UI.showModal('counterpartyModal');
+        document.getElementById('counterpartyName').focus();
+    },
 
-            UI.showModal('monthPaidPromptModal');
+    /**
+     * Handle edit counterparty
+     * @param {number} id - Counterparty ID
+     */
+    handleEditCounterparty(id) {
+        const counterparty = Database.getCounterpartyById(id);
+        if (counterparty) {
+            this.openCounterpartyModal(counterparty);
         }
     },
 
     /**
-     * Confirm the month paid prompt for inline status change
+     * Save the counterparty form (add or update)
      */
-    confirmMonthPaidPrompt() {
-        const promptMonth = document.getElementById('promptMonthPaidMonth').value;
-        const promptYear = document.getElementById('promptMonthPaidYear').value;
+    handleSaveCounterparty() {
+        if (this._guardViewOnly()) return;
+        const name = document.getElementById('counterpartyName').value.trim();
+        const termsRaw = document.getElementById('counterpartyTerms').value;
+        const editingId = document.getElementById('editingCounterpartyId').value;
 
-        if (!promptMonth || !promptYear) {
-            UI.showNotification('Please select both month and year', 'error');
+        if (!name) {
+            UI.showNotification('Please enter a name', 'error');
             return;
         }
 
-        const monthPaid = `${promptYear}-${promptMonth}`;
+        const params = {
+            name,
+            counterparty_type: document.getElementById('counterpartyType').value,
+            payment_terms_days: termsRaw !== '' ? parseInt(termsRaw) : null,
+            email: document.getElementById('counterpartyEmail').value.trim() || null,
+            phone: document.getElementById('counterpartyPhone').value.trim() || null,
+            address: document.getElementById('counterpartyAddress').value.trim() || null,
+            notes: document.getElementById('counterpartyNotes').value.trim() || null
+        };
 
-        if (this.pendingInlineStatusChange) {
-            const { id, newStatus, selectElement } = this.pendingInlineStatusChange;
-            try {
-                Database.updateTransactionStatus(id, newStatus, monthPaid);
-                selectElement.className = `status-select status-${newStatus}`;
-                this.refreshSummary();
-                this.refreshTransactions();
-                if (document.getElementById('cashflowTab').style.display !== 'none') this.refreshCashFlow();
-                if (document.getElementById('pnlTab').style.display !== 'none') this.refreshPnL();
-                UI.showNotification('Status updated', 'success');
-            } catch (error) {
-                console.error('Error updating status:', error);
-                UI.showNotification('Failed to update status', 'error');
-                this.refreshTransactions();
+        try {
+            if (editingId) {
+                Database.updateCounterparty(parseInt(editingId), params);
+                UI.showNotification('Customer/vendor updated', 'success');
+                this.refreshCounterparties();
+            } else {
+                const newId = Database.addCounterparty(params);
+                this.refreshCounterparties();
+                // Select the new counterparty when it was added from the entry modal
+                if (document.getElementById('entryModal').classList.contains('active')) {
+                    document.getElementById('counterparty').value = newId;
+                    document.getElementById('counterparty').dispatchEvent(new Event('change'));
+                }
+                UI.showNotification('Customer/vendor added', 'success');
             }
-        }
 
-        UI.hideModal('monthPaidPromptModal');
-        this.pendingInlineStatusChange = null;
+            UI.hideModal('counterpartyModal');
+            if (document.getElementById('manageCounterpartiesModal').classList.contains('active')) {
+                this.refreshCounterpartyBalances();
+            }
+            this.refreshTransactions();
+        } catch (error) {
+            console.error('Error saving counterparty:', error);
+            UI.showNotification('Failed to save customer/vendor', 'error');
+        }
     },
 
     /**
-     * Quick "Paid Today" / "Received Today" - sets status, month_paid, and date_processed to today
+     * Handle delete counterparty (show confirmation)
+     * @param {number} id - Counterparty ID
      */
-    confirmPaidToday() {
-        if (!this.pendingInlineStatusChange) return;
+    handleDeleteCounterparty(id) {
+        if (this._guardViewOnly()) return;
+        const counterparty = Database.getCounterpartyById(id);
+        if (!counterparty) return;
 
-        const { id, newStatus, selectElement } = this.pendingInlineStatusChange;
-        const today = Utils.getTodayDate();
-        const monthPaid = today.substring(0, 7);
+        this.deleteCounterpartyTargetId = id;
+        document.getElementById('deleteCounterpartyMessage').textContent =
+            `Are you sure you want to delete "${counterparty.name}"?`;
+        UI.showModal('deleteCounterpartyModal');
+    },
 
-        try {
-            Database.updateTransactionStatus(id, newStatus, monthPaid);
-            Database.setTransactionDateProcessed(id, today);
-            selectElement.className = `status-select status-${newStatus}`;
-            this.refreshSummary();
-            this.refreshTransactions();
-            if (document.getElementById('cashflowTab').style.display !== 'none') this.refreshCashFlow();
-            if (document.getElementById('pnlTab').style.display !== 'none') this.refreshPnL();
-            UI.showNotification(`Marked as ${newStatus} today`, 'success');
-        } catch (error) {
-            console.error('Error updating status:', error);
-            UI.showNotification('Failed to update status', 'error');
-            this.refreshTransactions();
+    /**
+     * Confirm and execute counterparty delete
+     */
+    confirmDeleteCounterparty() {
+        if (this.deleteCounterpartyTargetId) {
+            try {
+                const success = Database.deleteCounterparty(this.deleteCounterpartyTargetId);
+                if (success) {
+                    UI.showNotification('Customer/vendor deleted', 'success');
+                    this.refreshCounterparties();
+                    this.refreshCounterpartyBalances();
+                } else {
+                    UI.showNotification('Cannot delete a customer/vendor that has transactions', 'error');
+                }
+            } catch (error) {
+                console.error('Error deleting counterparty:', error);
+                UI.showNotification('Failed to delete customer/vendor', 'error');
+            }
         }
-
-        UI.hideModal('monthPaidPromptModal');
-        this.pendingInlineStatusChange = null;
+        UI.hideModal('deleteCounterpartyModal');
+        this.deleteCounterpartyTargetId = null;
     },
 
+    // ==================== CASH ACCOUNT HANDLERS ====================
+
     /**
-     * Cancel the month paid prompt - revert the select
+     * Open the cash accounts modal
      */
-    cancelMonthPaidPrompt() {
-        if (this.pendingInlineStatusChange) {
-            // Revert the select element to previous status
-            this.refreshTransactions();
-        }
-        UI.hideModal('monthPaidPromptModal');
-        this.pendingInlineStatusChange = null;
+    openManageCashAccounts() {
+        this.refreshCashAccountsList();
+        UI.showModal('manageCashAccountsModal');
     },
 
     /**
-     * Handle edit transaction
-     * @param {number} id - Transaction ID
+     * Re-render the cash accounts (with current balances) and transfers lists
      */
-    handleEditTransaction(id) {
-        const transaction = Database.getTransactionById(id);
-        if (transaction) {
-            UI.populateFormForEdit(transaction);
-        }
+    refreshCashAccountsList() {
+        const asOfMonth = Utils.getCurrentMonth();
+        const accounts = Database.getCashBalancesByAccount(asOfMonth).map(a => ({
+            ...a,
+            usage_count: Database.getCashAccountUsageCount(a.id)
+        }));
+        UI.renderCashAccountsList(accounts, asOfMonth);
+        UI.renderCashTransfersList(Database.getCashTransfers());
     },
 
     /**
-     * Handle delete transaction (show confirmation)
-     * @param {number} id - Transaction ID
+     * Open the add/edit cash account modal
+     * @param {Object|null} account - Cash account to edit, or null to add
      */
-    handleDeleteTransaction(id) {
-        this.deleteTargetId = id;
-        UI.showModal('deleteModal');
+    openCashAccountModal(account = null) {
+        if (this._guardViewOnly()) return;
+        document.getElementById('cashAccountForm').reset();
+        document.getElementById('editingCashAccountId').value = account ? account.id : '';
+        document.getElementById('cashAccountModalTitle').textContent = account ? 'Edit Account' : 'Add Account';
+        document.getElementById('saveCashAccountBtn').textContent = account ? 'Save' : 'Add';
+
+        if (account) {
+            document.getElementById('cashAccountName').value = account.name;
+            document.getElementById('cashAccountType').value = account.account_type;
+            document.getElementById('cashAccountNotes').value = account.notes || '';
+        }
+
+        UI.showModal('cashAccountModal');
+        document.getElementById('cashAccountName').focus();
     },
 
     /**
-     * Confirm and execute delete
+     * Save the cash account form (add or update)
      */
-    confirmDelete() {
-        if (this.deleteTargetId) {
-            try {
-                Database.deleteTransaction(this.deleteTargetId);
-                UI.showNotification('Transaction deleted', 'success');
-                this.refreshAll();
-            } catch (error) {
-                console.error('Error deleting transaction:', error);
-                UI.showNotification('Failed to delete transaction', 'error');
-            }
-        }
-
-        UI.hideModal('deleteModal');
-        this.deleteTargetId = null;
-    },
-
-    // ==================== ADD FOLDER ENTRIES ====================
-
-    /**
-     * Open the Add Folder Entries modal
-     */
-    openAddFolderEntriesModal() {
-        const folders = Database.getFolders();
-        const select = document.getElementById('bulkFolder');
-        select.innerHTML = '<option value="">Select folder...</option>';
-        folders.forEach(f => {
-            const opt = document.createElement('option');
-            opt.value = f.id;
-            opt.textContent = `${f.name} (${UI.capitalizeFirst(f.folder_type)})`;
-            opt.dataset.folderType = f.folder_type;
-            select.appendChild(opt);
-        });
-
-        // Populate year dropdowns
-        const years = Utils.generateYearOptions();
-        ['bulkYear', 'bulkMonthPaidYear'].forEach(selectId => {
-            const yearSelect = document.getElementById(selectId);
-            yearSelect.innerHTML = '<option value="">Year...</option>';
-            years.forEach(y => {
-                const opt = document.createElement('option');
-                opt.value = y;
-                opt.textContent = y;
-                yearSelect.appendChild(opt);
-            });
-        });
+    handleSaveCashAccount() {
+        if (this._guardViewOnly()) return;
+        const name = document.getElementById('cashAccountName').value.trim();
+        const editingId = document.getElementById('editingCashAccountId').value;
 
-        // Pre-fill with current month/year
-        const currentMonth = Utils.getCurrentMonth();
-        const [curYear, curMonth] = currentMonth.split('-');
-        document.getElementById('bulkMonth').value = curMonth;
-        document.getElementById('bulkYear').value = curYear;
+        if (!name) {
+            UI.showNotification('Please enter an account name', 'error');
+            return;
+        }
 
-        // Pre-fill entry date with today
-        document.getElementById('bulkEntryDate').value = Utils.getTodayDate();
+        const duplicate = Database.getCashAccounts().find(a =>
+            a.name.toLowerCase() === name.toLowerCase() && String(a.id) !== editingId);
+        if (duplicate) {
+            UI.showNotification(`An account named "${duplicate.name}" already exists`, 'error');
+            return;
+        }
 
-        // Reset status and hide processed fields
-        document.getElementById('bulkStatus').innerHTML = '<option value="pending">Pending</option>';
-        document.getElementById('bulkStatus').value = 'pending';
-        this.toggleBulkProcessedFields('pending');
+        const params = {
+            name,
+            account_type: document.getElementById('cashAccountType').value,
+            notes: document.getElementById('cashAccountNotes').value.trim() || null
+        };
 
-        // Reset preview and button
-        document.getElementById('bulkPreview').innerHTML = '';
-        document.getElementById('confirmBulkBtn').disabled = true;
+        try {
+            if (editingId) {
+                Database.updateCashAccount(parseInt(editingId), params);
+                UI.showNotification('Account updated', 'success');
+            } else {
+                Database.addCashAccount(params);
+                UI.showNotification('Account added', 'success');
+            }
 
-        UI.showModal('addFolderEntriesModal');
+            UI.hideModal('cashAccountModal');
+            this.refreshCashAccounts();
+            this.refreshCashAccountsList();
+            this.refreshTransactions();
+        } catch (error) {
+            console.error('Error saving cash account:', error);
+            UI.showNotification('Failed to save account', 'error');
+        }
     },
 
     /**
-     * Update bulk status dropdown options based on selected folder type
+     * Handle delete cash account (show confirmation)
+     * @param {number} id - Cash account ID
      */
-    updateBulkStatusOptions() {
-        const select = document.getElementById('bulkFolder');
-        const selectedOption = select.options[select.selectedIndex];
-        const folderType = selectedOption ? selectedOption.dataset.folderType : null;
-        const statusSelect = document.getElementById('bulkStatus');
+    handleDeleteCashAccount(id) {
+        if (this._guardViewOnly()) return;
+        const account = Database.getCashAccountById(id);
+        if (!account) return;
+
+        this.deleteCashTarget = { kind: 'account', id };
+        document.getElementById('deleteCashAccountTitle').textContent = 'Delete Account';
+        document.getElementById('deleteCashAccountMessage').textContent =
+            `Are you sure you want to delete "${account.name}"?`;
+        UI.showModal('deleteCashAccountModal');
+    },
 
-        if (!folderType) {
-            statusSelect.innerHTML = '<option value="pending">Pending</option>';
-            statusSelect.value = 'pending';
-            this.toggleBulkProcessedFields('pending');
+    /**
+     * Open the add/edit transfer modal
+     * @param {Object|null} transfer - Transfer to edit, or null to add
+     */
+    openCashTransferModal(transfer = null) {
+        if (this._guardViewOnly()) return;
+        const accounts = Database.getCashAccounts();
+        if (!transfer && accounts.length < 2) {
+            UI.showNotification('Add a second account before recording a transfer', 'error');
             return;
         }
 
-        if (folderType === 'receivable') {
-            statusSelect.innerHTML = `
-                <option value="pending">Pending</option>
-                <option value="received">Received</option>
-            `;
-            document.getElementById('bulkMonthPaidLabel').textContent = 'Month Received';
-        } else if (folderType === 'payable') {
-            statusSelect.innerHTML = `
-                <option value="pending">Pending</option>
-                <option value="paid">Paid</option>
-            `;
-            document.getElementById('bulkMonthPaidLabel').textContent = 'Month Paid';
+        document.getElementById('cashTransferForm').reset();
+        document.getElementById('editingCashTransferId').value = transfer ? transfer.id : '';
+        document.getElementById('cashTransferModalTitle').textContent = transfer ? 'Edit Transfer' : 'Transfer Between Accounts';
+        document.getElementById('saveCashTransferBtn').textContent = transfer ? 'Save' : 'Add';
+
+        if (transfer) {
+            document.getElementById('transferFromAccount').value = transfer.from_account_id;
+            document.getElementById('transferToAccount').value = transfer.to_account_id;
+            document.getElementById('transferDate').value = transfer.transfer_date;
+            document.getElementById('transferAmount').value = transfer.amount;
+            document.getElementById('transferNotes').value = transfer.notes || '';
         } else {
-            // 'none' type - show all options
-            statusSelect.innerHTML = `
-                <option value="pending">Pending</option>
-                <option value="paid">Paid</option>
-                <option value="received">Received</option>
-            `;
-            document.getElementById('bulkMonthPaidLabel').textContent = 'Month Paid/Received';
+            const fromId = Database.getDefaultCashAccountId();
+            const to = accounts.find(a => a.id !== fromId);
+            document.getElementById('transferFromAccount').value = fromId;
+            document.getElementById('transferToAccount').value = to ? to.id : '';
+            document.getElementById('transferDate').value = Utils.getTodayDate();
         }
 
-        statusSelect.value = 'pending';
-        this.toggleBulkProcessedFields('pending');
+        UI.showModal('cashTransferModal');
+        document.getElementById('transferAmount').focus();
     },
 
     /**
-     * Show/hide date processed and month paid fields in bulk modal
-     * @param {string} status - 'pending', 'paid', or 'received'
+     * Save the transfer form (add or update)
      */
-    toggleBulkProcessedFields(status) {
-        const dateProcessedGroup = document.getElementById('bulkDateProcessedGroup');
-        const monthPaidGroup = document.getElementById('bulkMonthPaidGroup');
+    handleSaveCashTransfer() {
+        if (this._guardViewOnly()) return;
+        const editingId = document.getElementById('editingCashTransferId').value;
+        const params = {
+            from_account_id: parseInt(document.getElementById('transferFromAccount').value) || null,
+            to_account_id: parseInt(document.getElementById('transferToAccount').value) || null,
+            transfer_date: document.getElementById('transferDate').value,
+            amount: parseFloat(document.getElementById('transferAmount').value),
+            notes: document.getElementById('transferNotes').value.trim() || null
+        };
 
-        if (status === 'pending') {
-            dateProcessedGroup.style.display = 'none';
-            monthPaidGroup.style.display = 'none';
-            document.getElementById('bulkDateProcessed').value = '';
-            document.getElementById('bulkMonthPaid').value = '';
-            document.getElementById('bulkMonthPaidYear').value = '';
-        } else {
-            dateProcessedGroup.style.display = 'flex';
-            monthPaidGroup.style.display = 'flex';
+        try {
+            if (editingId) {
+                Database.updateCashTransfer(parseInt(editingId), params);
+                UI.showNotification('Transfer updated', 'success');
+            } else {
+                Database.addCashTransfer(params);
+                UI.showNotification('Transfer recorded', 'success');
+            }
+
+            UI.hideModal('cashTransferModal');
+            this.refreshCashAccountsList();
+            this.refreshAll();
+        } catch (error) {
+            // Validation and reconciliation-lock errors carry a message meant for the user
+            console.error('Error saving transfer:', error);
+            UI.showNotification(error.message || 'Failed to save transfer', 'error');
         }
     },
 
     /**
-     * Update the bulk add preview when folder or month changes
+     * Handle delete transfer (show confirmation)
+     * @param {number} id - Transfer ID
      */
-    updateBulkPreview() {
-        const folderId = document.getElementById('bulkFolder').value;
-        const month = document.getElementById('bulkMonth').value;
-        const year = document.getElementById('bulkYear').value;
-        const status = document.getElementById('bulkStatus').value;
-        const preview = document.getElementById('bulkPreview');
-        const confirmBtn = document.getElementById('confirmBulkBtn');
+    handleDeleteCashTransfer(id) {
+        if (this._guardViewOnly()) return;
+        const transfer = Database.getCashTransferById(id);
+        if (!transfer) return;
+
+        this.deleteCashTarget = { kind: 'transfer', id };
+        document.getElementById('deleteCashAccountTitle').textContent = 'Delete Transfer';
+        document.getElementById('deleteCashAccountMessage').textContent =
+            `Are you sure you want to delete the ${Utils.formatCurrency(transfer.amount)} transfer on ${Utils.formatDate(transfer.transfer_date)}?`;
+        UI.showModal('deleteCashAccountModal');
+    },
 
-        if (!folderId) {
-            preview.innerHTML = '';
-            confirmBtn.disabled = true;
-            return;
+    /**
+     * Confirm and execute the pending cash account or transfer delete
+     */
+    confirmDeleteCashTarget() {
+        const target = this.deleteCashTarget;
+        if (target && target.kind === 'account') {
+            try {
+                if (Database.deleteCashAccount(target.id)) {
+                    UI.showNotification('Account deleted', 'success');
+                    this.refreshCashAccounts();
+                    this.refreshCashAccountsList();
+                } else {
+                    UI.showNotification('Cannot delete an account that money has moved through, or the only account', 'error');
+                }
+            } catch (error) {
+                console.error('Error deleting cash account:', error);
+                UI.showNotification('Failed to delete account', 'error');
+            }
+        } else if (target && target.kind === 'transfer') {
+            try {
+                Database.deleteCashTransfer(target.id);
+                UI.showNotification('Transfer deleted', 'success');
+                this.refreshCashAccountsList();
+                this.refreshAll();
+            } catch (error) {
+                console.error('Error deleting transfer:', error);
+                UI.showNotification(error.message || 'Failed to delete transfer', 'error');
+            }
         }
+        UI.hideModal('deleteCashAccountModal');
+        this.deleteCashTarget = null;
+    },
 
-        const categories = Database.getCategoriesByFolder(parseInt(folderId));
-        const selectedOption = document.getElementById('bulkFolder').options[document.getElementById('bulkFolder').selectedIndex];
-        const folderType = selectedOption.dataset.folderType || 'payable';
+    // ==================== TRANSACTION HANDLERS ====================
 
-        if (categories.length === 0) {
-            preview.innerHTML = '<div class="bulk-preview-empty">No categories in this folder. Add categories to this folder first.</div>';
-            confirmBtn.disabled = true;
+    /**
+     * Handle inline status change from table dropdown
+     * @param {number} id - Transaction ID
+     * @param {string} newStatus - New status value
+     * @param {HTMLElement} selectElement - The select element
+     */
+    handleInlineStatusChange(id, newStatus, selectElement) {
+        if (this._guardReconciled(id) || this._guardVoided(id)) {
+            this.refreshTransactions();
             return;
         }
+        if (newStatus === 'pending') {
+            // Reverting to pending - clear processed date and month paid
+            try {
+                Database.updateTransactionStatus(id, newStatus);
+                selectElement.className = `status-select status-${newStatus}`;
+                this.refreshSummary();
+                this.refreshTransactions();
+                if (document.getElementById('cashflowTab').style.display !== 'none') this.refreshCashFlow();
+                if (document.getElementById('pnlTab').style.display !== 'none') this.refreshPnL();
+                UI.showNotification('Status updated', 'success');
+            } catch (error) {
+                console.error('Error updating status:', error);
+                UI.showNotification(this._errorMessage(error, 'Failed to update status'), 'error');
+                this.refreshTransactions();
+            }
+        } else {
+            // Changing to paid/received - prompt for month paid
+            this.pendingInlineStatusChange = { id, newStatus, selectElement };
 
-        const monthDue = (month && year) ? `${year}-${month}` : null;
-        const monthLabel = monthDue ? Utils.formatMonthDisplay(monthDue) : 'not set';
-        const isNoneType = folderType === 'none';
-        const folderTypeClass = folderType === 'receivable' ? 'type-receivable' : folderType === 'payable' ? 'type-payable' : 'type-none';
-        const folderTypeLabel = isNoneType ? '' : ` &mdash; <span class="type-badge ${folderTypeClass}">${UI.capitalizeFirst(folderType)}</span>`;
+            // Pre-fill with current month
+            const currentMonth = Utils.getCurrentMonth();
+            const [year, month] = currentMonth.split('-');
+            document.getElementById('promptMonthPaidMonth').value = month;
+            document.getElementById('promptMonthPaidYear').value = year;
 
-        let html = `<div class="bulk-preview-header">${categories.length} entr${categories.length === 1 ? 'y' : 'ies'} will be created for ${monthLabel}${folderTypeLabel} &mdash; ${UI.capitalizeFirst(status)}</div>`;
+            // Update prompt title and paid today button text
+            const title = newStatus === 'paid' ? 'Month Paid' : 'Month Received';
+            document.getElementById('monthPaidPromptTitle').textContent = title;
+            document.getElementById('paidTodayBtn').textContent =
+                newStatus === 'paid' ? 'Paid Today' : 'Received Today';
 
-        // Check for categories missing default amounts
-        const missingAmounts = categories.filter(c => !c.default_amount);
-        if (missingAmounts.length > 0) {
-            html += `<div class="bulk-preview-warning">` +
-                `${missingAmounts.length} categor${missingAmounts.length === 1 ? 'y is' : 'ies are'} missing a typical price. ` +
-                `Those will use $0.00 as default. Edit categories to set defaults.</div>`;
+            UI.showModal('monthPaidPromptModal');
         }
-
-        categories.forEach(cat => {
-            const amount = cat.default_amount || 0;
-            const catType = isNoneType ? (cat.default_type || 'payable') : folderType;
-            const catTypeClass = catType === 'receivable' ? 'type-receivable' : 'type-payable';
-            html += `
-                <div class="bulk-preview-item">
-                    <span class="bulk-preview-name">${Utils.escapeHtml(cat.name)}</span>
-                    <div class="bulk-preview-details">
-                        <span class="type-badge ${catTypeClass}">${UI.capitalizeFirst(catType)}</span>
-                        <span>${Utils.formatCurrency(amount)}</span>
-                    </div>
-                </div>
-            `;
-        });
-
-        preview.innerHTML = html;
-        confirmBtn.disabled = false;
     },
 
     /**
-     * Confirm and create all folder entries
+     * Confirm the month paid prompt for inline status change
      */
-    confirmAddFolderEntries() {
-        const folderSelect = document.getElementById('bulkFolder');
-        const folderId = parseInt(folderSelect.value);
-        const month = document.getElementById('bulkMonth').value;
-        const year = document.getElementById('bulkYear').value;
-        const entryDate = document.getElementById('bulkEntryDate').value;
-        const status = document.getElementById('bulkStatus').value;
-        const dateProcessed = document.getElementById('bulkDateProcessed').value || null;
-        const monthPaidMonth = document.getElementById('bulkMonthPaid').value;
-        const monthPaidYear = document.getElementById('bulkMonthPaidYear').value;
+    confirmMonthPaidPrompt() {
+        const promptMonth = document.getElementById('promptMonthPaidMonth').value;
+        const promptYear = document.getElementById('promptMonthPaidYear').value;
 
-        if (!folderId) {
-            UI.showNotification('Please select a folder', 'error');
+        if (!promptMonth || !promptYear) {
+            UI.showNotification('Please select both month and year', 'error');
             return;
         }
 
-        if (!entryDate) {
-            UI.showNotification('Please enter a date recorded', 'error');
-            return;
-        }
+        const monthPaid = `${promptYear}-${promptMonth}`;
+        const cashAccountId = parseInt(document.getElementById('promptCashAccount').value) || null;
 
-        // Get folder type from selected option
-        const selectedOption = folderSelect.options[folderSelect.selectedIndex];
-        const folderType = selectedOption.dataset.folderType || 'payable';
-
-        const monthDue = (month && year) ? `${year}-${month}` : null;
-        const monthPaid = (status !== 'pending' && monthPaidMonth && monthPaidYear)
-            ? `${monthPaidYear}-${monthPaidMonth}` : null;
-        const categories = Database.getCategoriesByFolder(folderId);
-
-        if (categories.length === 0) {
-            UI.showNotification('No categories in this folder', 'error');
-            return;
+        if (this.pendingBulkStatusChange) {
+            this.applyBulkStatusChange(this.pendingBulkStatusChange.ids, 'settled', monthPaid, null, cashAccountId);
+        } else if (this.pendingInlineStatusChange) {
+            const { id, newStatus, selectElement } = this.pendingInlineStatusChange;
+            try {
+                Database.updateTransactionStatus(id, newStatus, monthPaid, cashAccountId);
+                selectElement.className = `status-select status-${newStatus}`;
+                this.refreshSummary();
+                this.refreshTransactions();
+                if (document.getElementById('cashflowTab').style.display !== 'none') this.refreshCashFlow();
+                if (document.getElementById('pnlTab').style.display !== 'none') this.refreshPnL();
+                UI.showNotification('Status updated', 'success');
+            } catch (error) {
+                console.error('Error updating status:', error);
+                UI.showNotification(this._errorMessage(error, 'Failed to update status'), 'error');
+                this.refreshTransactions();
+            }
         }
 
-        // Validate month paid if status is paid/received
-        if (status !== 'pending' && !monthPaid) {
-            UI.showNotification('Please select the month paid/received', 'error');
+        UI.hideModal('monthPaidPromptModal');
+        this.pendingInlineStatusChange = null;
+        this.pendingBulkStatusChange = null;
+    },
+
+    /**
+     * Quick "Paid Today" / "Received Today" - sets status, month_paid, and date_processed to today
+     */
+    confirmPaidToday() {
+        const cashAccountId = parseInt(document.getElementById('promptCashAccount').value) || null;
+        if (this.pendingBulkStatusChange) {
+            const today = Utils.getTodayDate();
+            this.applyBulkStatusChange(this.pendingBulkStatusChange.ids, 'settled', today.substring(0, 7), today, cashAccountId);
+            UI.hideModal('monthPaidPromptModal');
+            this.pendingBulkStatusChange = null;
             return;
         }
+        if (!this.pendingInlineStatusChange) return;
 
-        let count = 0;
-
-        const isNoneType = folderType === 'none';
+        const { id, newStatus, selectElement } = this.pendingInlineStatusChange;
+        const today = Utils.getTodayDate();
+        const monthPaid = today.substring(0, 7);
 
         try {
-            categories.forEach(cat => {
-                const amount = cat.default_amount || 0;
-                const catType = isNoneType ? (cat.default_type || 'payable') : folderType;
-                const paymentForMonth = cat.is_monthly ? monthDue : null;
-
-                Database.addTransaction({
-                    entry_date: entryDate,
-                    category_id: cat.id,
-                    item_description: null,
-                    amount: amount,
-                    transaction_type: catType,
-                    status: status,
-                    date_processed: (status !== 'pending') ? dateProcessed : null,
-                    month_due: monthDue,
-                    month_paid: (status !== 'pending') ? monthPaid : null,
-                    payment_for_month: paymentForMonth,
-                    notes: null
-                });
-                count++;
-            });
-
-            UI.hideModal('addFolderEntriesModal');
-            this.refreshAll();
-            UI.showNotification(`${count} entr${count === 1 ? 'y' : 'ies'} added successfully`, 'success');
+            Database.updateTransactionStatus(id, newStatus, monthPaid, cashAccountId);
+            Database.setTransactionDateProcessed(id, today);
+            selectElement.className = `status-select status-${newStatus}`;
+            this.refreshSummary();
+            this.refreshTransactions();
+            if (document.getElementById('cashflowTab').style.display !== 'none') this.refreshCashFlow();
+            if (document.getElementById('pnlTab').style.display !== 'none') this.refreshPnL();
+            UI.showNotification(`Marked as ${newStatus} today`, 'success');
         } catch (error) {
-            console.error('Error adding folder entries:', error);
-            UI.showNotification('Failed to add entries', 'error');
+            console.error('Error updating status:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to update status'), 'error');
+            this.refreshTransactions();
         }
-    },
 
-    // ==================== BALANCE SHEET ====================
+        UI.hideModal('monthPaidPromptModal');
+        this.pendingInlineStatusChange = null;
+    },
 
     /**
-     * Refresh the Balance Sheet tab
+     * Cancel the month paid prompt - revert the select
      */
-    refreshBalanceSheet() {
-        const month = document.getElementById('bsMonthMonth').value;
-        const year = document.getElementById('bsMonthYear').value;
-
-        if (!month || !year) {
-            document.getElementById('balanceSheetContent').innerHTML =
-                '<p class="empty-state">Select a date to view the Balance Sheet.</p>';
-            const ratiosEl = document.getElementById('bsRatiosContent');
-            if (ratiosEl) ratiosEl.innerHTML = '';
-            return;
+    cancelMonthPaidPrompt() {
+        if (this.pendingInlineStatusChange) {
+            // Revert the select element to previous status
+            this.refreshTransactions();
         }
+        UI.hideModal('monthPaidPromptModal');
+        this.pendingInlineStatusChange = null;
+        this.pendingBulkStatusChange = null;
+        document.getElementById('bulkStatusSelect').value = '';
+    },
 
-        const asOfMonth = `${year}-${month}`;
-        const taxMode = Database.getPLTaxMode();
-
-        // Gather all balance sheet data
-        const cash = Database.getCashAsOf(asOfMonth);
-        const ar = Database.getAccountsReceivableAsOf(asOfMonth);
-        const ap = Database.getAccountsPayableAsOf(asOfMonth);
-        const salesTaxPayable = Database.getSalesTaxPayableAsOf(asOfMonth);
-
-        // Fixed assets and depreciation (using Utils.computeDepreciationSchedule)
-        const fixedAssets = Database.getFixedAssets();
-
-        const round2 = (v) => Math.round(v * 100) / 100;
-        let totalFixedAssetCost = 0;
-        let totalAccumDepr = 0;
-        const assetDetails = fixedAssets.map(asset => {
-            const deprSchedule = Utils.computeDepreciationSchedule(asset);
-            let accumDepr = 0;
-            Object.entries(deprSchedule).forEach(([m, amt]) => {
-                if (m <= asOfMonth) accumDepr = round2(accumDepr + amt);
-            });
-
-            totalFixedAssetCost = round2(totalFixedAssetCost + asset.purchase_cost);
-            totalAccumDepr = round2(totalAccumDepr + accumDepr);
-
-            return {
-                ...asset,
-                accum_depreciation: accumDepr,
-                net_book_value: round2(asset.purchase_cost - accumDepr)
-            };
-        });
-
-        const netFixedAssets = round2(totalFixedAssetCost - totalAccumDepr);
-        const totalAssets = round2(cash + ar + netFixedAssets);
-
-        // Multi-loan balances
-        const loans = Database.getLoans();
-        let totalLoanBalance = 0;
-        const loanDetails = loans.map(loan => {
-            const skipped = Database.getSkippedPayments(loan.id);
-            const overrides = Database.getLoanPaymentOverrides(loan.id);
-            const schedule = Utils.computeAmortizationSchedule({
-                principal: loan.principal,
-                annual_rate: loan.annual_rate,
-                term_months: loan.term_months,
-                payments_per_year: loan.payments_per_year,
-                start_date: loan.start_date,
-                first_payment_date: loan.first_payment_date
-            }, skipped, overrides);
-
-            let balance = loan.principal;
-            for (let i = schedule.length - 1; i >= 0; i--) {
-                if (schedule[i].month <= asOfMonth) {
-                    balance = schedule[i].ending_balance;
-                    break;
-                }
-            }
-            if (schedule.length > 0 && schedule[0].month > asOfMonth) {
-                balance = loan.principal;
-            }
-
-            totalLoanBalance = round2(totalLoanBalance + balance);
-            return { name: loan.name, balance };
-        });
-
-        const totalLiabilities = round2(ap + salesTaxPayable + totalLoanBalance);
-
-        // Equity — only include amounts if as-of month >= effective date
-        const equityConfig = Database.getEquityConfig();
-        const seedEffective = (equityConfig.seed_received_date || equityConfig.seed_expected_date || '');
-        const apicEffective = (equityConfig.apic_received_date || equityConfig.apic_expected_date || '');
-        const seedMonth = seedEffective ? seedEffective.substring(0, 7) : '';
-        const apicMonth = apicEffective ? apicEffective.substring(0, 7) : '';
-
-        const commonStock = (seedMonth && seedMonth > asOfMonth) ? 0 : round2(equityConfig.common_stock_par * equityConfig.common_stock_shares);
-        const apicVal = (apicMonth && apicMonth > asOfMonth) ? 0 : round2(equityConfig.apic || 0);
-
-        const retainedEarnings = round2(Database.getRetainedEarningsAsOf(asOfMonth, taxMode));
-        const totalEquity = round2(commonStock + apicVal + retainedEarnings);
-
-        const totalLiabilitiesAndEquity = round2(totalLiabilities + totalEquity);
-        const isBalanced = Math.abs(totalAssets - totalLiabilitiesAndEquity) < 0.01;
-
-        // AR/AP category breakdowns
-        const arByCategory = Database.getARByCategory(asOfMonth);
-        const apByCategory = Database.getAPByCategory(asOfMonth);
-
-        // P&L totals through as-of month (for financial ratios)
-        const plTotals = Database.getPLTotalsThrough(asOfMonth, taxMode);
-
-        const bsData = {
-            asOfMonth,
-            cash, ar, arByCategory,
-            assetDetails, totalFixedAssetCost, totalAccumDepr, netFixedAssets,
-            totalAssets,
-            ap, apByCategory, salesTaxPayable,
-            loanDetails, totalLoanBalance,
-            totalLiabilities,
-            commonStock, apic: apicVal, retainedEarnings, totalEquity,
-            totalLiabilitiesAndEquity, isBalanced,
-            plTotals
-        };
+    // ==================== BULK ACTIONS ====================
 
-        UI.renderBalanceSheet(bsData);
+    /**
+     * Tick or untick one journal row
+     * @param {number} id - Transaction ID
+     * @param {boolean} selected
+     */
+    handleSelectTransaction(id, selected) {
+        if (selected) {
+            this.selectedTransactionIds.add(id);
+        } else {
+            this.selectedTransactionIds.delete(id);
+        }
+        this.refreshTransactions();
     },
 
     /**
-     * Initialize Balance Sheet month/year dropdowns, restoring saved selection
+     * Tick or untick every row of one journal group
+     * @param {Array<number>} ids - Transaction IDs in the group
+     * @param {boolean} selected
      */
-    initBalanceSheetDate() {
-        const saved = Database.getAsOfMonth('bs');
-        const fallback = Utils.getCurrentMonth();
-        const target = (saved && saved !== 'current') ? saved : fallback;
-        const [year, month] = target.split('-');
-        document.getElementById('bsMonthMonth').value = month;
-
-        // Populate year dropdown (timeline-aware)
-        const yearSelect = document.getElementById('bsMonthYear');
-        const timeline = this.getTimeline();
-        const years = Utils.getYearsInTimeline(timeline.start, timeline.end);
-        yearSelect.innerHTML = '<option value="">Year...</option>';
-        years.forEach(y => {
-            const opt = document.createElement('option');
-            opt.value = y;
-            opt.textContent = y;
-            yearSelect.appendChild(opt);
+    handleSelectTransactionGroup(ids, selected) {
+        ids.forEach(id => {
+            if (selected) {
+                this.selectedTransactionIds.add(id);
+            } else {
+                this.selectedTransactionIds.delete(id);
+            }
         });
-        yearSelect.value = year;
+        this.refreshTransactions();
     },
 
     /**
-     * Persist the current Balance Sheet month/year selection
+     * Untick every journal row
      */
-    _saveBsMonth() {
-        const month = document.getElementById('bsMonthMonth').value;
-        const year = document.getElementById('bsMonthYear').value;
-        if (month && year) {
-            Database.setAsOfMonth('bs', `${year}-${month}`);
-        }
+    clearTransactionSelection() {
+        this.selectedTransactionIds = new Set();
+        this.refreshTransactions();
     },
 
-    // ==================== FIXED ASSETS & LOANS ====================
-
     /**
-     * Refresh the Fixed Assets tab
+     * Show the bulk actions bar while rows are ticked
      */
-    refreshFixedAssets() {
-        const assets = Database.getFixedAssets();
-        UI.renderFixedAssetsTab(assets, this.selectedAssetId);
-        // Also render equity section
-        const equityConfig = Database.getEquityConfig();
-        UI.renderEquitySection(equityConfig);
+    updateBulkActionsBar() {
+        const count = this.selectedTransactionIds.size;
+        document.getElementById('bulkActionsBar').style.display = (count > 0 && !this.isViewOnly) ? '' : 'none';
+        document.getElementById('bulkSelectedCount').textContent = `${count} selected`;
     },
 
     /**
-     * Refresh the Loans tab (multi-loan)
+     * The ticked rows that may be changed: reconciled entries are locked and left out
+     * @returns {Array<number>} Transaction IDs (empty, with a notification, when none can be changed)
      */
-    refreshLoans() {
-        const loans = Database.getLoans();
-        UI.renderLoansTab(loans, this.selectedLoanId);
-    },
-
-    // ==================== FIXED ASSET HANDLERS ====================
-
-    openFixedAssetModal() {
-        document.getElementById('fixedAssetForm').reset();
-        document.getElementById('editingAssetId').value = '';
-        document.getElementById('fixedAssetModalTitle').textContent = 'Add Fixed Asset';
-        document.getElementById('saveAssetBtn').textContent = 'Add Asset';
-        document.getElementById('assetDate').value = Utils.getTodayDate();
-        document.getElementById('assetDeprMethod').value = 'straight_line';
-        document.getElementById('assetAutoTransaction').checked = true;
-        UI.showModal('fixedAssetModal');
-        document.getElementById('assetName').focus();
+    _getBulkEditableIds() {
+        const ids = [...this.selectedTransactionIds];
+        const isVoided = (id) => {
+            const t = Database.getTransactionById(id);
+            return t && (t.voided_by || t.source_type === 'void');
+        };
+        const editable = ids.filter(id => !Database.getTransactionReconciliation(id) && !isVoided(id));
+        if (editable.length === 0) {
+            UI.showNotification('The selected entries are reconciled or voided and can\'t be changed.', 'info');
+        } else if (editable.length < ids.length) {
+            UI.showNotification(`${ids.length - editable.length} reconciled or voided entr${ids.length - editable.length === 1 ? 'y is' : 'ies are'} left unchanged`, 'info');
+        }
+        return editable;
     },
 
-    handleSaveFixedAsset() {
-        const name = document.getElementById('assetName').value.trim();
-        const cost = parseFloat(document.getElementById('assetCost').value);
-        const salvage = parseFloat(document.getElementById('assetSalvage').value) || 0;
-        const life = parseInt(document.getElementById('assetLife').value) || 0;
-        const date = document.getElementById('assetDate').value;
-        const deprMethod = document.getElementById('assetDeprMethod').value;
-        const deprStart = document.getElementById('assetDeprStart').value || null;
-        const isDepreciable = deprMethod !== 'none';
-        const notes = document.getElementById('assetNotes').value.trim() || null;
-        const autoTransaction = document.getElementById('assetAutoTransaction').checked;
-        const editingId = document.getElementById('editingAssetId').value;
-
-        if (!name || isNaN(cost) || !date) {
-            UI.showNotification('Please fill in name, cost, and date', 'error');
+    /**
+     * Change the status of the ticked rows; settling asks for the month paid first
+     * @param {string} status - 'pending' or 'settled'
+     */
+    handleBulkStatusChange(status) {
+        if (!status) return;
+        if (this._guardViewOnly()) return;
+        const ids = this._getBulkEditableIds();
+        if (ids.length === 0) {
+            document.getElementById('bulkStatusSelect').value = '';
             return;
         }
-
-        if (isDepreciable && life <= 0) {
-            UI.showNotification('Depreciable assets need a useful life > 0', 'error');
+        if (status === 'pending') {
+            this.applyBulkStatusChange(ids, 'pending');
             return;
         }
 
-        if (isDepreciable && salvage >= cost) {
-            UI.showNotification('Salvage value must be less than cost for depreciable assets', 'error');
-            return;
-        }
+        this.pendingBulkStatusChange = { ids };
+        const [year, month] = Utils.getCurrentMonth().split('-');
+        document.getElementById('promptMonthPaidMonth').value = month;
+        document.getElementById('promptMonthPaidYear').value = year;
+        document.getElementById('monthPaidPromptTitle').textContent = 'Month Paid / Received';
+        document.getElementById('paidTodayBtn').textContent = 'Paid / Received Today';
+        UI.showModal('monthPaidPromptModal');
+    },
 
+    /**
+     * Change the status of several entries
+     * @param {Array<number>} ids - Transaction IDs
+     * @param {string} status - 'pending' or 'settled'
+     * @param {string|null} monthPaid - Month paid (YYYY-MM) when settling
+     * @param {string|null} dateProcessed - Date processed when settling today
+     * @param {number|null} cashAccountId - Account the money went through when settling
+     */
+    applyBulkStatusChange(ids, status, monthPaid = null, dateProcessed = null, cashAccountId = null) {
         try {
-            if (editingId) {
-                Database.updateFixedAsset(parseInt(editingId), name, cost, life, date, salvage, deprMethod, deprStart, isDepreciable, notes);
-                UI.showNotification('Asset updated', 'success');
-            } else {
-                const assetId = Database.addFixedAsset(name, cost, life, date, salvage, deprMethod, deprStart, isDepreciable, notes);
-                if (autoTransaction) {
-                    this._autoCreateAssetTransaction(assetId, name, cost, date);
-                }
-                UI.showNotification('Asset added', 'success');
-            }
-            UI.hideModal('fixedAssetModal');
-            this.refreshFixedAssets();
-            this.refreshBalanceSheet();
+            Database.bulkUpdateTransactionStatus(ids, status, monthPaid, dateProcessed, cashAccountId);
+            this.refreshAll();
+            UI.showNotification(`Status updated on ${ids.length} entr${ids.length === 1 ? 'y' : 'ies'}`, 'success');
         } catch (error) {
-            console.error('Error saving asset:', error);
-            UI.showNotification('Failed to save asset', 'error');
+            console.error('Error updating status:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to update status'), 'error');
+            this.refreshTransactions();
         }
+        document.getElementById('bulkStatusSelect').value = '';
     },
 
     /**
-     * Auto-create a payable transaction for a fixed asset purchase
+     * Open the bulk edit modal for one action
+     * @param {string} action - 'category', 'shift' or 'duplicate'
      */
-    _autoCreateAssetTransaction(assetId, name, cost, date) {
-        // Find or create an "Asset Purchases" category (hidden from P&L — capital expenditure, not OpEx)
-        let categories = Database.getCategories();
-        let cat = categories.find(c => c.name === 'Asset Purchases');
-        let catId;
-        if (!cat) {
-            // show_on_pl=true means hidden from P&L (inverted semantics)
-            catId = Database.addCategory('Asset Purchases', false, null, 'payable', null, true, false, false, false);
+    openBulkEdit(action) {
+        if (this._guardViewOnly()) return;
+        const count = this.selectedTransactionIds.size;
+        const titles = { category: 'Change Category', shift: 'Shift Month Due', duplicate: 'Duplicate to Month' };
+        const messages = {
+            category: `Move ${count} selected entr${count === 1 ? 'y' : 'ies'} to another category. Split entries keep their lines.`,
+            shift: `Move the month due of ${count} selected entr${count === 1 ? 'y' : 'ies'}. Entries without a month due are left alone.`,
+            duplicate: `Copy ${count} selected entr${count === 1 ? 'y' : 'ies'} into another month as new pending entries.`
+        };
+        this.bulkEditAction = action;
+        document.getElementById('bulkEditTitle').textContent = titles[action];
+        document.getElementById('bulkEditMessage').textContent = messages[action];
+        document.getElementById('bulkCategoryGroup').style.display = action === 'category' ? '' : 'none';
+        document.getElementById('bulkShiftGroup').style.display = action === 'shift' ? '' : 'none';
+        document.getElementById('bulkDuplicateGroup').style.display = action === 'duplicate' ? '' : 'none';
+
+        if (action === 'category') {
+            UI.populateCategoryDropdown(Database.getCategories(), 'bulkCategory');
+            document.getElementById('bulkCategory').value = '';
+        } else if (action === 'shift') {
+            document.getElementById('bulkShiftMonths').value = 1;
         } else {
-            catId = cat.id;
+            const [year, month] = Utils.nextMonth(Utils.getCurrentMonth()).split('-');
+            document.getElementById('bulkDuplicateMonth').value = month;
+            document.getElementById('bulkDuplicateYear').value = year;
         }
+        UI.showModal('bulkEditModal');
+    },
+
+    /**
+     * Apply the bulk edit modal's action to the ticked rows
+     */
+    confirmBulkEdit() {
+        const action = this.bulkEditAction;
+        let message;
+        try {
+            if (action === 'category') {
+                const categoryId = parseInt(document.getElementById('bulkCategory').value);
+                if (!categoryId) {
+                    UI.showNotification('Please select a category', 'error');
+                    return;
+                }
+                const ids = this._getBulkEditableIds();
+                if (ids.length === 0) return;
+                const changed = Database.bulkSetTransactionCategory(ids, categoryId);
+                message = `Category changed on ${changed} entr${changed === 1 ? 'y' : 'ies'}`;
+            } else if (action === 'shift') {
+                const months = parseInt(document.getElementById('bulkShiftMonths').value);
+                if (!months) {
+                    UI.showNotification('Enter a number of months other than zero', 'error');
+                    return;
+                }
+                const ids = this._getBulkEditableIds();
+                if (ids.length === 0) return;
+                const changed = Database.bulkShiftMonthDue(ids, months);
+                message = `Month due moved on ${changed} entr${changed === 1 ? 'y' : 'ies'}`;
+            } else if (action === 'duplicate') {
+                const month = document.getElementById('bulkDuplicateMonth').value;
+                const year = document.getElementById('bulkDuplicateYear').value;
+                if (!month || !year) {
+                    UI.showNotification('Please select both month and year', 'error');
+                    return;
+                }
+                const ids = this._getBulkEditableIds();
+                if (ids.length === 0) return;
+                const newIds = Database.duplicateTransactionsToMonth(ids, `${year}-${month}`);
+                message = `${newIds.length} entr${newIds.length === 1 ? 'y' : 'ies'} copied to ${Utils.formatMonthDisplay(`${year}-${month}`)}`;
+            } else {
+                return;
+            }
+        } catch (error) {
+            console.error('Error applying bulk action:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to update the selected entries'), 'error');
+            return;
+        }
+
+        UI.hideModal('bulkEditModal');
+        this.bulkEditAction = null;
+        this.refreshAll();
+        UI.showNotification(message, 'success');
+    },
+
+    /**
+     * Ask to delete the ticked rows
+     */
+    handleBulkDelete() {
+        if (this._guardViewOnly()) return;
+        const ids = this._getBulkEditableIds();
+        if (ids.length === 0) return;
+        document.getElementById('bulkDeleteMessage').textContent =
+            `Are you sure you want to delete ${ids.length} entr${ids.length === 1 ? 'y' : 'ies'}? Their recorded payments are deleted too.`;
+        UI.showModal('bulkDeleteModal');
+    },
+
+    /**
+     * Delete the ticked rows
+     */
+    confirmBulkDelete() {
+        const ids = this._getBulkEditableIds();
+        if (ids.length === 0) {
+            UI.hideModal('bulkDeleteModal');
+            return;
+        }
+        try {
+            Database.bulkDeleteTransactions(ids);
+            ids.forEach(id => this.selectedTransactionIds.delete(id));
+            UI.showNotification(`${ids.length} entr${ids.length === 1 ? 'y' : 'ies'} deleted`, 'success');
+            this.refreshAll();
+        } catch (error) {
+            console.error('Error deleting transactions:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to delete the selected entries'), 'error');
+        }
+        UI.hideModal('bulkDeleteModal');
+    },
+
+    /**
+     * Export only the ticked rows to CSV
+     */
+    handleBulkExport() {
+        this.handleExportCsv([...this.selectedTransactionIds]);
+    },
+
+    /**
+     * Handle edit transaction
+     * @param {number} id - Transaction ID
+     */
+    handleEditTransaction(id) {
+        if (this._guardReconciled(id) || this._guardVoided(id)) return;
+        const transaction = Database.getTransactionById(id);
+        if (transaction) {
+            UI.populateFormForEdit(transaction);
+        }
+    },
+
+    // ==================== PARTIAL PAYMENT HANDLERS ====================
+
+    /**
+     * Open the payments modal for a transaction
+     * @param {number} id - Transaction ID
+     */
+    openPaymentsModal(id) {
+        const transaction = Database.getTransactionById(id);
+        if (!transaction) return;
+        UI.renderPaymentsModal(transaction, Database.getTransactionRemainingBalance(id));
+        UI.showModal('paymentsModal');
+    },
+
+    /**
+     * Record a partial payment from the payments modal
+     */
+    handleRecordPayment() {
+        if (this._guardViewOnly()) return;
+        const transactionId = parseInt(document.getElementById('paymentTransactionId').value);
+        const paymentDate = document.getElementById('paymentDate').value;
+        const amount = Utils.parseAmount(document.getElementById('paymentAmount').value);
+        const remaining = Database.getTransactionRemainingBalance(transactionId);
+
+        if (!paymentDate) {
+            UI.showNotification('Payment date is required', 'error');
+            return;
+        }
+        if (amount <= 0) {
+            UI.showNotification('Please enter a valid amount', 'error');
+            return;
+        }
+        if (Math.round(amount * 100) > Math.round(remaining * 100)) {
+            UI.showNotification(`Payment exceeds the remaining ${Utils.formatCurrency(remaining)}`, 'error');
+            return;
+        }
+
+        try {
+            Database.addTransactionPayment(transactionId, {
+                payment_date: paymentDate,
+                month_paid: paymentDate.substring(0, 7),
+                amount: amount,
+                notes: document.getElementById('paymentNotes').value.trim() || null,
+                cash_account_id: parseInt(document.getElementById('paymentCashAccount').value) || null
+            });
+            UI.showNotification('Payment recorded', 'success');
+            this.openPaymentsModal(transactionId);
+            this.refreshAll();
+        } catch (error) {
+            console.error('Error recording payment:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to record payment'), 'error');
+        }
+    },
+
+    /**
+     * Delete a partial payment (reopens the transaction if it was settled)
+     * @param {number} paymentId - Payment ID
+     */
+    handleDeletePayment(paymentId) {
+        if (this._guardViewOnly()) return;
+        const transactionId = parseInt(document.getElementById('paymentTransactionId').value);
+        if (this._guardReconciled(transactionId) || this._guardVoided(transactionId)) return;
+        try {
+            Database.deleteTransactionPayment(paymentId);
+            UI.showNotification('Payment deleted', 'success');
+            this.openPaymentsModal(transactionId);
+            this.refreshAll();
+        } catch (error) {
+            console.error('Error deleting payment:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to delete payment'), 'error');
+        }
+    },
+
+    /**
+     * Handle delete transaction (show confirmation)
+     * @param {number} id - Transaction ID
+     */
+    handleDeleteTransaction(id) {
+        if (this._guardReconciled(id) || this._guardVoided(id)) return;
+        this.deleteTargetId = id;
+        UI.showModal('deleteModal');
+    },
+
+    /**
+     * Handle void transaction (show confirmation with what the reversing entry will do)
+     * @param {number} id - Transaction ID
+     */
+    handleVoidTransaction(id) {
+        if (this._guardViewOnly() || this._guardVoided(id)) return;
+        const transaction = Database.getTransactionById(id);
+        if (!transaction) return;
+        const today = Utils.getTodayDate();
+        document.getElementById('voidMessage').textContent =
+            `The entry stays in the months it was reported in. A reversing entry for ${Utils.formatCurrency(-transaction.amount)} ` +
+            `is added on ${Utils.formatDate(today)}, so the two cancel out from ${Utils.formatMonthShort(today.substring(0, 7))} on.`;
+        document.getElementById('voidReason').value = '';
+        this.voidTargetId = id;
+        UI.showModal('voidModal');
+    },
+
+    /**
+     * Confirm and execute void
+     */
+    confirmVoid() {
+        if (this.voidTargetId) {
+            try {
+                Database.voidTransaction(this.voidTargetId, document.getElementById('voidReason').value);
+                UI.showNotification('Entry voided', 'success');
+                this.refreshAll();
+            } catch (error) {
+                console.error('Error voiding transaction:', error);
+                UI.showNotification(error.message, 'error');
+            }
+        }
+
+        UI.hideModal('voidModal');
+        this.voidTargetId = null;
+    },
+
+    /**
+     * Handle refund / credit memo (show the form). A settled entry can be refunded;
+     * an open one gets a credit memo against its remaining balance.
+     * @param {number} id - Transaction ID
+     */
+    handleCreditTransaction(id) {
+        if (this._guardViewOnly() || this._guardVoided(id)) return;
+        const transaction = Database.getTransactionById(id);
+        if (!transaction) return;
+        const amounts = Database.getCreditableAmounts(id);
+        const kind = transaction.status === 'pending' ? 'credit_memo' : 'refund';
+        const limit = kind === 'refund' ? amounts.refundable : amounts.creditable;
+        if (limit <= 0) {
+            UI.showNotification('Nothing is left to refund or credit on this entry', 'error');
+            return;
+        }
+
+        const kindSelect = document.getElementById('creditKind');
+        kindSelect.value = kind;
+        Array.from(kindSelect.options).forEach(option => { option.disabled = option.value !== kind; });
+        document.getElementById('creditMessage').textContent = kind === 'refund'
+            ? `Up to ${Utils.formatCurrency(limit)} of this settled entry can be refunded. The refund is settled on its date and reduces ${transaction.transaction_type === 'receivable' ? 'revenue' : 'expense'} in that month.`
+            : `Up to ${Utils.formatCurrency(limit)} of the open balance can be credited. The credit memo reduces ${transaction.transaction_type === 'receivable' ? 'revenue and receivables' : 'expense and payables'} in its month and settles with this entry.`;
+        document.getElementById('creditAmount').value = limit.toFixed(2);
+        document.getElementById('creditDate').value = Utils.getTodayDate();
+        document.getElementById('creditReason').value = '';
+        this.creditTargetId = id;
+        UI.showModal('creditModal');
+    },
+
+    /**
+     * Confirm and issue the refund or credit memo
+     */
+    confirmCredit() {
+        if (!this.creditTargetId) return;
+        const date = document.getElementById('creditDate').value;
+        if (!date) {
+            UI.showNotification('Please enter a date', 'error');
+            return;
+        }
+        const kind = document.getElementById('creditKind').value;
+        try {
+            Database.addTransactionCredit(this.creditTargetId, {
+                kind,
+                amount: parseFloat(document.getElementById('creditAmount').value),
+                date,
+                reason: document.getElementById('creditReason').value
+            });
+            UI.showNotification(kind === 'refund' ? 'Refund issued' : 'Credit memo issued', 'success');
+            UI.hideModal('creditModal');
+            this.creditTargetId = null;
+            this.refreshAll();
+        } catch (error) {
+            console.error('Error issuing credit:', error);
+            UI.showNotification(error.message, 'error');
+        }
+    },
+
+    // ==================== DUPLICATES ====================
+
+    /**
+     * Add new journal entries, first warning when any of them matches an existing entry on
+     * category, type, amount and month. The user then skips those, merges them into the
+     * entry they match, or saves them anyway; entries without a match are always added.
+     * @param {Array<Object>} entries - Transaction data
+     * @param {string} failMessage - Notification shown when saving fails
+     * @param {Function} onSaved - Called with {added, merged, skipped} once saved
+     */
+    saveNewEntries(entries, failMessage, onSaved) {
+        const conflicts = entries
+            .map(entry => ({ entry, matches: Database.findDuplicateTransactions(entry) }))
+            .filter(conflict => conflict.matches.length > 0);
+
+        if (conflicts.length === 0) {
+            this._saveNewEntries(entries, 'proceed', failMessage, onSaved);
+            return;
+        }
+
+        this.pendingDuplicateSave = { entries, failMessage, onSaved };
+        UI.renderDuplicateWarning(conflicts);
+        UI.showModal('duplicateWarningModal');
+    },
+
+    /**
+     * Finish the save held by the duplicate warning
+     * @param {string} decision - 'skip', 'merge' or 'proceed'
+     */
+    resolveDuplicates(decision) {
+        const pending = this.pendingDuplicateSave;
+        UI.hideModal('duplicateWarningModal');
+        this.pendingDuplicateSave = null;
+        if (!pending) return;
+        this._saveNewEntries(pending.entries, decision, pending.failMessage, pending.onSaved);
+    },
+
+    /**
+     * @param {Array<Object>} entries - Transaction data
+     * @param {string} decision - What to do with entries that match existing ones: 'skip', 'merge' or 'proceed'
+     * @param {string} failMessage - Notification shown when saving fails
+     * @param {Function} onSaved - Called with {added, merged, skipped}
+     */
+    _saveNewEntries(entries, decision, failMessage, onSaved) {
+        const counts = { added: 0, merged: 0, skipped: 0 };
+        try {
+            entries.forEach(entry => {
+                const matches = decision === 'proceed' ? [] : Database.findDuplicateTransactions(entry);
+                if (matches.length === 0) {
+                    Database.addTransaction(entry);
+                    counts.added++;
+                } else if (decision === 'merge') {
+                    Database.mergeIntoTransaction(matches[0].id, entry);
+                    counts.merged++;
+                } else {
+                    counts.skipped++;
+                }
+            });
+        } catch (error) {
+            console.error('Error saving transactions:', error);
+            UI.showNotification(this._errorMessage(error, failMessage), 'error');
+            if (counts.added + counts.merged > 0) this.refreshAll();
+            return;
+        }
+        onSaved(counts);
+    },
+
+    /**
+     * Describe merged and skipped duplicates for a save notification
+     * @param {{merged: number, skipped: number}} counts - From _saveNewEntries
+     * @returns {string} e.g. " (1 merged, 2 skipped as duplicates)", or '' when there were none
+     */
+    _duplicateCountsText(counts) {
+        const parts = [];
+        if (counts.merged > 0) parts.push(`${counts.merged} merged`);
+        if (counts.skipped > 0) parts.push(`${counts.skipped} skipped`);
+        return parts.length > 0 ? ` (${parts.join(', ')} as duplicates)` : '';
+    },
+
+    /**
+     * Open the find duplicates scan of the whole journal
+     */
+    openDuplicatesScan() {
+        UI.renderDuplicateGroups(Database.getDuplicateGroups());
+        UI.showModal('duplicatesScanModal');
+    },
+
+    /**
+     * Merge a duplicate group into the entry the user chose to keep
+     * @param {string} key - Group key (comma-separated transaction IDs)
+     * @param {number} keepId - Transaction ID to keep
+     */
+    handleMergeDuplicateGroup(key, keepId) {
+        if (this._guardViewOnly()) return;
+        const duplicateIds = key.split(',').map(Number).filter(id => id !== keepId);
+        try {
+            Database.mergeDuplicateTransactions(keepId, duplicateIds);
+            UI.showNotification(`${duplicateIds.length} duplicate entr${duplicateIds.length === 1 ? 'y' : 'ies'} merged`, 'success');
+            this.refreshAll();
+        } catch (error) {
+            console.error('Error merging duplicates:', error);
+            UI.showNotification(error.message, 'error');
+        }
+        UI.renderDuplicateGroups(Database.getDuplicateGroups());
+    },
+
+    /**
+     * Stop listing a duplicate group in the scan
+     * @param {string} key - Group key (comma-separated transaction IDs)
+     */
+    handleDismissDuplicateGroup(key) {
+        if (this._guardViewOnly()) return;
+        Database.dismissDuplicateGroup(key);
+        UI.renderDuplicateGroups(Database.getDuplicateGroups());
+    },
+
+    /**
+     * Confirm and execute delete
+     */
+    confirmDelete() {
+        if (this.deleteTargetId) {
+            try {
+                Database.deleteTransaction(this.deleteTargetId);
+                UI.showNotification('Transaction deleted', 'success');
+                this.refreshAll();
+            } catch (error) {
+                console.error('Error deleting transaction:', error);
+                UI.showNotification(this._errorMessage(error, 'Failed to delete transaction'), 'error');
+            }
+        }
+
+        UI.hideModal('deleteModal');
+        this.deleteTargetId = null;
+    },
+
+    // ==================== ADD FOLDER ENTRIES ====================
+
+    /**
+     * Open the Add Folder Entries modal
+     */
+    openAddFolderEntriesModal() {
+        const folders = Database.getFolders();
+        const select = document.getElementById('bulkFolder');
+        select.innerHTML = '<option value="">Select folder...</option>';
+        folders.forEach(f => {
+            const opt = document.createElement('option');
+            opt.value = f.id;
+            opt.textContent = `${f.name} (${UI.capitalizeFirst(f.folder_type)})`;
+            opt.dataset.folderType = f.folder_type;
+            select.appendChild(opt);
+        });
+
+        // Populate year dropdowns
+        const years = Utils.generateYearOptions();
+        ['bulkYear', 'bulkMonthPaidYear'].forEach(selectId => {
+            const yearSelect = document.getElementById(selectId);
+            yearSelect.innerHTML = '<option value="">Year...</option>';
+            years.forEach(y => {
+                const opt = document.createElement('option');
+                opt.value = y;
+                opt.textContent = y;
+                yearSelect.appendChild(opt);
+            });
+        });
+
+        // Pre-fill with current month/year
+        const currentMonth = Utils.getCurrentMonth();
+        const [curYear, curMonth] = currentMonth.split('-');
+        document.getElementById('bulkMonth').value = curMonth;
+        document.getElementById('bulkYear').value = curYear;
+
+        // Pre-fill entry date with today
+        document.getElementById('bulkEntryDate').value = Utils.getTodayDate();
+
+        // Reset status and hide processed fields
+        document.getElementById('bulkStatus').innerHTML = '<option value="pending">Pending</option>';
+        document.getElementById('bulkStatus').value = 'pending';
+        this.toggleBulkProcessedFields('pending');
+
+        // Reset preview and button
+        document.getElementById('bulkPreview').innerHTML = '';
+        document.getElementById('confirmBulkBtn').disabled = true;
+
+        UI.showModal('addFolderEntriesModal');
+    },
+
+    /**
+     * Update bulk status dropdown options based on selected folder type
+     */
+    updateBulkStatusOptions() {
+        const select = document.getElementById('bulkFolder');
+        const selectedOption = select.options[select.selectedIndex];
+        const folderType = selectedOption ? selectedOption.dataset.folderType : null;
+        const statusSelect = document.getElementById('bulkStatus');
+
+        if (!folderType) {
+            statusSelect.innerHTML = '<option value="pending">Pending</option>';
+            statusSelect.value = 'pending';
+            this.toggleBulkProcessedFields('pending');
+            return;
+        }
+
+        if (folderType === 'receivable') {
+            statusSelect.innerHTML = `
+                <option value="pending">Pending</option>
+                <option value="received">Received</option>
+            `;
+            document.getElementById('bulkMonthPaidLabel').textContent = 'Month Received';
+        } else if (folderType === 'payable') {
+            statusSelect.innerHTML = `
+                <option value="pending">Pending</option>
+                <option value="paid">Paid</option>
+            `;
+            document.getElementById('bulkMonthPaidLabel').textContent = 'Month Paid';
+        } else {
+            // 'none' type - show all options
+            statusSelect.innerHTML = `
+                <option value="pending">Pending</option>
+                <option value="paid">Paid</option>
+                <option value="received">Received</option>
+            `;
+            document.getElementById('bulkMonthPaidLabel').textContent = 'Month Paid/Received';
+        }
+
+        statusSelect.value = 'pending';
+        this.toggleBulkProcessedFields('pending');
+    },
+
+    /**
+     * Show/hide date processed and month paid fields in bulk modal
+     * @param {string} status - 'pending', 'paid', or 'received'
+     */
+    toggleBulkProcessedFields(status) {
+        const dateProcessedGroup = document.getElementById('bulkDateProcessedGroup');
+        const monthPaidGroup = document.getElementById('bulkMonthPaidGroup');
+
+        if (status === 'pending') {
+            dateProcessedGroup.style.display = 'none';
+            monthPaidGroup.style.display = 'none';
+            document.getElementById('bulkDateProcessed').value = '';
+            document.getElementById('bulkMonthPaid').value = '';
+            document.getElementById('bulkMonthPaidYear').value = '';
+        } else {
+            dateProcessedGroup.style.display = 'flex';
+            monthPaidGroup.style.display = 'flex';
+        }
+    },
+
+    /**
+     * Update the bulk add preview when folder or month changes
+     */
+    updateBulkPreview() {
+        const folderId = document.getElementById('bulkFolder').value;
+        const month = document.getElementById('bulkMonth').value;
+        const year = document.getElementById('bulkYear').value;
+        const status = document.getElementById('bulkStatus').value;
+        const preview = document.getElementById('bulkPreview');
+        const confirmBtn = document.getElementById('confirmBulkBtn');
+
+        if (!folderId) {
+            preview.innerHTML = '';
+            confirmBtn.disabled = true;
+            return;
+        }
+
+        const categories = Database.getCategoriesByFolder(parseInt(folderId));
+        const selectedOption = document.getElementById('bulkFolder').options[document.getElementById('bulkFolder').selectedIndex];
+        const folderType = selectedOption.dataset.folderType || 'payable';
+
+        if (categories.length === 0) {
+            preview.innerHTML = '<div class="bulk-preview-empty">No categories in this folder. Add categories to this folder first.</div>';
+            confirmBtn.disabled = true;
+            return;
+        }
+
+        const monthDue = (month && year) ? `${year}-${month}` : null;
+        const monthLabel = monthDue ? Utils.formatMonthDisplay(monthDue) : 'not set';
+        const isNoneType = folderType === 'none';
+        const folderTypeClass = folderType === 'receivable' ? 'type-receivable' : folderType === 'payable' ? 'type-payable' : 'type-none';
+        const folderTypeLabel = isNoneType ? '' : ` &mdash; <span class="type-badge ${folderTypeClass}">${UI.capitalizeFirst(folderType)}</span>`;
+
+        let html = `<div class="bulk-preview-header">${categories.length} entr${categories.length === 1 ? 'y' : 'ies'} will be created for ${monthLabel}${folderTypeLabel} &mdash; ${UI.capitalizeFirst(status)}</div>`;
+
+        // Check for categories missing default amounts
+        const missingAmounts = categories.filter(c => !c.default_amount);
+        if (missingAmounts.length > 0) {
+            html += `<div class="bulk-preview-warning">` +
+                `${missingAmounts.length} categor${missingAmounts.length === 1 ? 'y is' : 'ies are'} missing a typical price. ` +
+                `Those will use $0.00 as default. Edit categories to set defaults.</div>`;
+        }
+
+        categories.forEach(cat => {
+            const amount = cat.default_amount || 0;
+            const catType = isNoneType ? (cat.default_type || 'payable') : folderType;
+            const catTypeClass = catType === 'receivable' ? 'type-receivable' : 'type-payable';
+            html += `
+                <div class="bulk-preview-item">
+                    <span class="bulk-preview-name">${Utils.escapeHtml(cat.name)}</span>
+                    <div class="bulk-preview-details">
+                        <span class="type-badge ${catTypeClass}">${UI.capitalizeFirst(catType)}</span>
+                        <span>${Utils.formatCurrency(amount)}</span>
+                    </div>
+                </div>
+            `;
+        });
+
+        preview.innerHTML = html;
+        confirmBtn.disabled = false;
+    },
+
+    /**
+     * Confirm and create all folder entries
+     */
+    confirmAddFolderEntries() {
+        const folderSelect = document.getElementById('bulkFolder');
+        const folderId = parseInt(folderSelect.value);
+        const month = document.getElementById('bulkMonth').value;
+        const year = document.getElementById('bulkYear').value;
+        const entryDate = document.getElementById('bulkEntryDate').value;
+        const status = document.getElementById('bulkStatus').value;
+        const dateProcessed = document.getElementById('bulkDateProcessed').value || null;
+        const monthPaidMonth = document.getElementById('bulkMonthPaid').value;
+        const monthPaidYear = document.getElementById('bulkMonthPaidYear').value;
+
+        if (!folderId) {
+            UI.showNotification('Please select a folder', 'error');
+            return;
+        }
+
+        if (!entryDate) {
+            UI.showNotification('Please enter a date recorded', 'error');
+            return;
+        }
+
+        // Get folder type from selected option
+        const selectedOption = folderSelect.options[folderSelect.selectedIndex];
+        const folderType = selectedOption.dataset.folderType || 'payable';
+
+        const monthDue = (month && year) ? `${year}-${month}` : null;
+        const monthPaid = (status !== 'pending' && monthPaidMonth && monthPaidYear)
+            ? `${monthPaidYear}-${monthPaidMonth}` : null;
+        const categories = Database.getCategoriesByFolder(folderId);
+
+        if (categories.length === 0) {
+            UI.showNotification('No categories in this folder', 'error');
+            return;
+        }
+
+        // Validate month paid if status is paid/received
+        if (status !== 'pending' && !monthPaid) {
+            UI.showNotification('Please select the month paid/received', 'error');
+            return;
+        }
+
+        const isNoneType = folderType === 'none';
+
+        const entries = categories.map(cat => {
+            const amount = cat.default_amount || 0;
+            const catType = isNoneType ? (cat.default_type || 'payable') : folderType;
+            const paymentForMonth = cat.is_monthly ? monthDue : null;
+
+            return {
+                entry_date: entryDate,
+                category_id: cat.id,
+                item_description: null,
+                amount: amount,
+                transaction_type: catType,
+                status: status,
+                date_processed: (status !== 'pending') ? dateProcessed : null,
+                month_due: monthDue,
+                month_paid: (status !== 'pending') ? monthPaid : null,
+                payment_for_month: paymentForMonth,
+                notes: null
+            };
+        });
+
+        this.saveNewEntries(entries, 'Failed to add entries', (counts) => {
+            UI.hideModal('addFolderEntriesModal');
+            this.refreshAll();
+            UI.showNotification(`${counts.added} entr${counts.added === 1 ? 'y' : 'ies'} added successfully` +
+                this._duplicateCountsText(counts), 'success');
+        });
+    },
+
+    // ==================== BALANCE SHEET ====================
+
+    /**
+     * Refresh the Balance Sheet tab
+     */
+    refreshBalanceSheet() {
+        const month = document.getElementById('bsMonthMonth').value;
+        const year = document.getElementById('bsMonthYear').value;
+
+        if (!month || !year) {
+            document.getElementById('balanceSheetContent').innerHTML =
+                '<p class="empty-state">Select a date to view the Balance Sheet.</p>';
+            const ratiosEl = document.getElementById('bsRatiosContent');
+            if (ratiosEl) ratiosEl.innerHTML = '';
+            return;
+        }
+
+        const asOfMonth = `${year}-${month}`;
+        const taxMode = Database.getPLTaxMode();
+        const round2 = (v) => Math.round(v * 100) / 100;
+
+        // Every figure comes from the general ledger, so assets always equal liabilities + equity
+        const balances = Database.getAccountBalancesAsOf(asOfMonth);
+        const bal = (code) => (balances[code] ? balances[code].balance : 0);
+        // Accounts without a dedicated line are listed only when they carry a balance
+        const otherRows = (type, shownCodes) => Object.values(balances)
+            .filter(a => a.account_type === type && !shownCodes.includes(a.code) && a.balance !== 0)
+            .map(a => ({ name: a.name, balance: a.balance }));
+
+        const cash = bal('1000');
+        const cashByAccount = Database.getCashBalancesByAccount(asOfMonth);
+        const ar = bal('1100');
+        const inventory = bal('1400');
+        const inventoryByProduct = Database.getInventorySummary(asOfMonth).filter(p => p.on_hand_value !== 0);
+        const otherCurrentAssets = otherRows('asset', ['1000', '1100', '1400', '1500', '1550']);
+        const totalCurrentAssets = round2(cash + ar + inventory + otherCurrentAssets.reduce((sum, a) => sum + a.balance, 0));
+
+        // Fixed assets: per-asset detail from the depreciation schedule, totals from the ledger
+        const assetDetails = Database.getFixedAssets().map(asset => {
+            const deprSchedule = Utils.computeDepreciationSchedule(asset);
+            let accumDepr = 0;
+            Object.entries(deprSchedule).forEach(([m, amt]) => {
+                if (m <= asOfMonth) accumDepr = round2(accumDepr + amt);
+            });
+            return {
+                ...asset,
+                accum_depreciation: accumDepr,
+                net_book_value: round2(asset.purchase_cost - accumDepr)
+            };
+        }).filter(asset => asset.purchase_date.substring(0, 7) <= asOfMonth);
+
+        const totalFixedAssetCost = bal('1500');
+        const totalAccumDepr = round2(-bal('1550'));
+        const netFixedAssets = round2(totalFixedAssetCost - totalAccumDepr);
+        const totalAssets = round2(totalCurrentAssets + netFixedAssets);
+
+        const ap = bal('2000');
+        const salesTaxPayable = bal('2100');
+        const salesTaxByRate = Database.getSalesTaxBalancesAsOf(asOfMonth);
+        const otherCurrentLiabilities = otherRows('liability', ['2000', '2100', '2500']);
+        const totalCurrentLiabilities = round2(ap + salesTaxPayable + otherCurrentLiabilities.reduce((sum, l) => sum + l.balance, 0));
+
+        const loanDetails = Database.getLoanBalancesAsOf(asOfMonth);
+        const totalLoanBalance = bal('2500');
+        const totalLiabilities = round2(totalCurrentLiabilities + totalLoanBalance);
+
+        const commonStock = bal('3000');
+        const apicVal = bal('3100');
+        const otherEquity = otherRows('equity', ['3000', '3100']);
+        const retainedEarnings = Database.getRetainedEarningsAsOf(asOfMonth);
+        const totalEquity = round2(commonStock + apicVal + otherEquity.reduce((sum, e) => sum + e.balance, 0) + retainedEarnings);
+
+        const totalLiabilitiesAndEquity = round2(totalLiabilities + totalEquity);
+        const isBalanced = Math.abs(totalAssets - totalLiabilitiesAndEquity) < 0.01;
+
+        // AR/AP category breakdowns
+        const arByCategory = Database.getARByCategory(asOfMonth);
+        const apByCategory = Database.getAPByCategory(asOfMonth);
+
+        // P&L totals through as-of month (for financial ratios)
+        const plTotals = Database.getPLTotalsThrough(asOfMonth, taxMode);
+
+        const bsData = {
+            asOfMonth,
+            cash, cashByAccount, ar, arByCategory, inventory, inventoryByProduct, otherCurrentAssets, totalCurrentAssets,
+            assetDetails, totalFixedAssetCost, totalAccumDepr, netFixedAssets,
+            totalAssets,
+            ap, apByCategory, salesTaxPayable, salesTaxByRate, otherCurrentLiabilities, totalCurrentLiabilities,
+            loanDetails, totalLoanBalance,
+            totalLiabilities,
+            commonStock, apic: apicVal, otherEquity, retainedEarnings, totalEquity,
+            totalLiabilitiesAndEquity, isBalanced,
+            plTotals
+        };
+
+        UI.renderBalanceSheet(bsData);
+    },
+
+    /**
+     * Initialize Balance Sheet month/year dropdowns, restoring saved selection
+     */
+    initBalanceSheetDate() {
+        const saved = Database.getAsOfMonth('bs');
+        const fallback = Utils.getCurrentMonth();
+        const target = (saved && saved !== 'current') ? saved : fallback;
+        const [year, month] = target.split('-');
+        document.getElementById('bsMonthMonth').value = month;
+
+        // Populate year dropdown (timeline-aware)
+        const yearSelect = document.getElementById('bsMonthYear');
+        const timeline = this.getTimeline();
+        const years = Utils.getYearsInTimeline(timeline.start, timeline.end);
+        yearSelect.innerHTML = '<option value="">Year...</option>';
+        years.forEach(y => {
+            const opt = document.createElement('option');
+            opt.value = y;
+            opt.textContent = y;
+            yearSelect.appendChild(opt);
+        });
+        yearSelect.value = year;
+    },
+
+    /**
+     * Initialize Aging month/year dropdowns, restoring saved selection
+     */
+    initAgingDate() {
+        const saved = Database.getAsOfMonth('aging');
+        const target = (saved && saved !== 'current') ? saved : Utils.getCurrentMonth();
+        const [year, month] = target.split('-');
+        document.getElementById('agingMonthMonth').value = month;
+        document.getElementById('agingMonthYear').value = year;
+    },
+
+    /**
+     * Get the aging report for the current tab selections
+     * @returns {Object|null} { report, type, groupBy, asOfMonth } or null when no date is selected
+     */
+    _getAgingSelection() {
+        const month = document.getElementById('agingMonthMonth').value;
+        const year = document.getElementById('agingMonthYear').value;
+        if (!month || !year) return null;
+
+        const asOfMonth = `${year}-${month}`;
+        const type = document.getElementById('agingType').value;
+        const groupBy = document.getElementById('agingGroupBy').value;
+        return { report: Database.getAgingReport(asOfMonth, type, groupBy), type, groupBy, asOfMonth };
+    },
+
+    /**
+     * Refresh the Aging tab
+     */
+    refreshAging() {
+        const selection = this._getAgingSelection();
+        if (!selection) {
+            document.getElementById('agingContent').innerHTML =
+                '<p class="empty-state">Select a date to view the Aging Report.</p>';
+            return;
+        }
+        UI.renderAgingReport(selection.report, selection.type, selection.groupBy);
+    },
+
+    /**
+     * Export the current aging report as CSV
+     */
+    handleExportAgingCsv() {
+        const selection = this._getAgingSelection();
+        if (!selection || selection.report.rows.length === 0) {
+            UI.showNotification('Nothing to export', 'error');
+            return;
+        }
+
+        const csv = UI.generateAgingCsv(selection.report, selection.groupBy);
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const owner = document.getElementById('journalOwner').value.trim();
+        const prefix = owner ? Utils.sanitizeFilename(owner) : 'accounting_journal';
+        const kind = selection.type === 'payable' ? 'ap' : 'ar';
+        this.downloadBlob(blob, `${prefix}_${kind}_aging_${selection.asOfMonth}.csv`);
+        UI.showNotification('Aging report exported', 'success');
+    },
+
+    // ==================== SALES TAX ====================
+
+    /**
+     * Get the filing period picked on the Sales Tax tab (defaults to the current year)
+     * @returns {Object|null} { from, to, label } or null when no year is available
+     */
+    _getSalesTaxPeriod() {
+        const yearSelect = document.getElementById('salesTaxYear');
+        if (!yearSelect.value) {
+            yearSelect.value = Utils.getCurrentMonth().substring(0, 4);
+        }
+        const year = yearSelect.value;
+        if (!year) return null;
+
+        const periodSelect = document.getElementById('salesTaxPeriod');
+        const period = periodSelect.value;
+        const range = Utils.getFilingPeriodMonths(year, period);
+        const label = period === 'year' ? year
+            : /^Q/.test(period) ? `${period} ${year}`
+            : Utils.formatMonthShort(range.from);
+        return { ...range, label };
+    },
+
+    /**
+     * Refresh the Sales Tax tab: the return for the chosen period, the selected rate's
+     * ledger, and the list of tax rates
+     */
+    refreshSalesTax() {
+        const rates = Database.getSalesTaxRates();
+        UI.renderSalesTaxRatesList(rates);
+
+        const period = this._getSalesTaxPeriod();
+        if (!period) {
+            document.getElementById('salesTaxReturnContent').innerHTML =
+                '<p class="empty-state">Select a year to view the sales tax return.</p>';
+            UI.renderSalesTaxLedger(null);
+            return;
+        }
+
+        const report = Database.getSalesTaxReturn(period.from, period.to);
+        const selected = report.rows.find(row => (row.id === null ? '' : String(row.id)) === this.selectedSalesTaxRateKey);
+        if (!selected) this.selectedSalesTaxRateKey = null;
+        UI.renderSalesTaxReturn(report, period.label, this.selectedSalesTaxRateKey);
+        UI.renderSalesTaxLedger(
+            selected ? Database.getSalesTaxLedger(selected.id, period.from, period.to) : null,
+            selected ? selected.name : ''
+        );
+    },
+
+    /**
+     * Export the sales tax return for the chosen period as CSV
+     */
+    handleExportSalesTaxCsv() {
+        const period = this._getSalesTaxPeriod();
+        const report = period ? Database.getSalesTaxReturn(period.from, period.to) : null;
+        if (!report || report.rows.length === 0) {
+            UI.showNotification('Nothing to export', 'error');
+            return;
+        }
+
+        const csv = UI.generateSalesTaxCsv(report);
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const owner = document.getElementById('journalOwner').value.trim();
+        const prefix = owner ? Utils.sanitizeFilename(owner) : 'accounting_journal';
+        const range = period.from === period.to ? period.from : `${period.from}_to_${period.to}`;
+        this.downloadBlob(blob, `${prefix}_sales_tax_${range}.csv`);
+        UI.showNotification('Sales tax return exported', 'success');
+    },
+
+    /**
+     * Open the add/edit tax rate modal
+     * @param {Object|null} rate - Rate to edit, or null to add
+     */
+    openSalesTaxRateModal(rate = null) {
+        if (this._guardViewOnly()) return;
+        document.getElementById('salesTaxRateForm').reset();
+        document.getElementById('editingSalesTaxRateId').value = rate ? rate.id : '';
+        document.getElementById('salesTaxRateModalTitle').textContent = rate ? 'Edit Tax Rate' : 'Add Tax Rate';
+        document.getElementById('saveSalesTaxRateBtn').textContent = rate ? 'Save' : 'Add';
+
+        if (rate) {
+            document.getElementById('salesTaxRateName').value = rate.name;
+            document.getElementById('salesTaxRateValue').value = rate.rate;
+            document.getElementById('salesTaxRateJurisdiction').value = rate.jurisdiction || '';
+            document.getElementById('salesTaxRateNotes').value = rate.notes || '';
+            document.getElementById('salesTaxRateActive').checked = !!rate.is_active;
+        }
+
+        UI.showModal('salesTaxRateModal');
+        document.getElementById('salesTaxRateName').focus();
+    },
+
+    /**
+     * Save the tax rate form (add or update)
+     */
+    handleSaveSalesTaxRate() {
+        if (this._guardViewOnly()) return;
+        const name = document.getElementById('salesTaxRateName').value.trim();
+        const editingId = document.getElementById('editingSalesTaxRateId').value;
+
+        if (!name) {
+            UI.showNotification('Please enter a name for the tax rate', 'error');
+            return;
+        }
+
+        const duplicate = Database.getSalesTaxRates().find(r =>
+            r.name.toLowerCase() === name.toLowerCase() && String(r.id) !== editingId);
+        if (duplicate) {
+            UI.showNotification(`A tax rate named "${duplicate.name}" already exists`, 'error');
+            return;
+        }
+
+        const params = {
+            name,
+            rate: parseFloat(document.getElementById('salesTaxRateValue').value),
+            jurisdiction: document.getElementById('salesTaxRateJurisdiction').value.trim() || null,
+            notes: document.getElementById('salesTaxRateNotes').value.trim() || null,
+            is_active: document.getElementById('salesTaxRateActive').checked
+        };
+
+        try {
+            if (editingId) {
+                Database.updateSalesTaxRate(parseInt(editingId), params);
+                UI.showNotification('Tax rate updated', 'success');
+            } else {
+                Database.addSalesTaxRate(params);
+                UI.showNotification('Tax rate added', 'success');
+            }
+
+            UI.hideModal('salesTaxRateModal');
+            this.refreshSalesTaxRates();
+            this.refreshSalesTax();
+        } catch (error) {
+            // Validation errors carry a message meant for the user
+            console.error('Error saving tax rate:', error);
+            UI.showNotification(error.message || 'Failed to save tax rate', 'error');
+        }
+    },
+
+    /**
+     * Handle delete tax rate (show confirmation)
+     * @param {number} id - Rate ID
+     */
+    handleDeleteSalesTaxRate(id) {
+        if (this._guardViewOnly()) return;
+        const rate = Database.getSalesTaxRateById(id);
+        if (!rate) return;
+
+        this.deleteSalesTaxRateTargetId = id;
+        document.getElementById('deleteSalesTaxRateMessage').textContent =
+            `Are you sure you want to delete "${rate.name}"?`;
+        UI.showModal('deleteSalesTaxRateModal');
+    },
+
+    /**
+     * Confirm and execute the pending tax rate delete
+     */
+    confirmDeleteSalesTaxRate() {
+        const id = this.deleteSalesTaxRateTargetId;
+        if (id) {
+            try {
+                if (Database.deleteSalesTaxRate(id)) {
+                    UI.showNotification('Tax rate deleted', 'success');
+                    this.refreshSalesTaxRates();
+                    this.refreshSalesTax();
+                } else {
+                    UI.showNotification('Cannot delete a tax rate entries were taxed at; mark it inactive instead', 'error');
+                }
+            } catch (error) {
+                console.error('Error deleting tax rate:', error);
+                UI.showNotification('Failed to delete tax rate', 'error');
+            }
+        }
+        UI.hideModal('deleteSalesTaxRateModal');
+        this.deleteSalesTaxRateTargetId = null;
+    },
+
+    // ==================== TAG SUMMARY ====================
+
+    /**
+     * Refresh the Tags tab (defaults to the current year)
+     */
+    refreshTagSummary() {
+        const yearSelect = document.getElementById('tagsYear');
+        if (!yearSelect.value) {
+            yearSelect.value = Utils.getCurrentMonth().substring(0, 4);
+        }
+        if (!yearSelect.value) {
+            document.getElementById('tagsContent').innerHTML =
+                '<p class="empty-state">Select a year to view totals by tag.</p>';
+            return;
+        }
+        UI.renderTagSummary(Database.getTagSummary(yearSelect.value, document.getElementById('tagsType').value));
+    },
+
+    /**
+     * Persist the current Balance Sheet month/year selection
+     */
+    _saveBsMonth() {
+        const month = document.getElementById('bsMonthMonth').value;
+        const year = document.getElementById('bsMonthYear').value;
+        if (month && year) {
+            Database.setAsOfMonth('bs', `${year}-${month}`);
+        }
+    },
+
+    // ==================== FIXED ASSETS & LOANS ====================
+
+    /**
+     * Refresh the Fixed Assets tab
+     */
+    refreshFixedAssets() {
+        const assets = Database.getFixedAssets();
+        UI.renderFixedAssetsTab(assets, this.selectedAssetId);
+        // Also render equity section
+        const equityConfig = Database.getEquityConfig();
+        UI.renderEquitySection(equityConfig);
+    },
+
+    /**
+     * Refresh the Inventory tab
+     */
+    refreshInventory() {
+        const products = Database.getInventorySummary();
+        if (!products.some(p => p.id === this.selectedInventoryProductId)) {
+            this.selectedInventoryProductId = null;
+        }
+        const ledger = this.selectedInventoryProductId
+            ? Database.getInventoryLedger(this.selectedInventoryProductId) : null;
+        UI.renderInventoryTab(products, this.selectedInventoryProductId, ledger);
+    },
+
+    /**
+     * Refresh the Loans tab (multi-loan)
+     */
+    refreshLoans() {
+        const loans = Database.getLoans();
+        UI.renderLoansTab(loans, this.selectedLoanId);
+    },
+
+    // ==================== FIXED ASSET HANDLERS ====================
+
+    openFixedAssetModal() {
+        document.getElementById('fixedAssetForm').reset();
+        document.getElementById('editingAssetId').value = '';
+        document.getElementById('fixedAssetModalTitle').textContent = 'Add Fixed Asset';
+        document.getElementById('saveAssetBtn').textContent = 'Add Asset';
+        document.getElementById('assetDate').value = Utils.getTodayDate();
+        document.getElementById('assetDeprMethod').value = 'straight_line';
+        document.getElementById('assetAutoTransaction').checked = true;
+        UI.showModal('fixedAssetModal');
+        document.getElementById('assetName').focus();
+    },
+
+    handleSaveFixedAsset() {
+        const name = document.getElementById('assetName').value.trim();
+        const cost = parseFloat(document.getElementById('assetCost').value);
+        const salvage = parseFloat(document.getElementById('assetSalvage').value) || 0;
+        const life = parseInt(document.getElementById('assetLife').value) || 0;
+        const date = document.getElementById('assetDate').value;
+        const deprMethod = document.getElementById('assetDeprMethod').value;
+        const deprStart = document.getElementById('assetDeprStart').value || null;
+        const isDepreciable = deprMethod !== 'none';
+        const notes = document.getElementById('assetNotes').value.trim() || null;
+        const autoTransaction = document.getElementById('assetAutoTransaction').checked;
+        const editingId = document.getElementById('editingAssetId').value;
+
+        if (!name || isNaN(cost) || !date) {
+            UI.showNotification('Please fill in name, cost, and date', 'error');
+            return;
+        }
+
+        if (isDepreciable && life <= 0) {
+            UI.showNotification('Depreciable assets need a useful life > 0', 'error');
+            return;
+        }
+
+        if (isDepreciable && salvage >= cost) {
+            UI.showNotification('Salvage value must be less than cost for depreciable assets', 'error');
+            return;
+        }
+
+        try {
+            if (editingId) {
+                Database.updateFixedAsset(parseInt(editingId), name, cost, life, date, salvage, deprMethod, deprStart, isDepreciable, notes);
+                UI.showNotification('Asset updated', 'success');
+            } else {
+                const assetId = Database.addFixedAsset(name, cost, life, date, salvage, deprMethod, deprStart, isDepreciable, notes);
+                if (autoTransaction) {
+                    this._autoCreateAssetTransaction(assetId, name, cost, date);
+                }
+                UI.showNotification('Asset added', 'success');
+            }
+            UI.hideModal('fixedAssetModal');
+            this.refreshFixedAssets();
+            this.refreshBalanceSheet();
+        } catch (error) {
+            console.error('Error saving asset:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to save asset'), 'error');
+        }
+    },
+
+    /**
+     * Auto-create a payable transaction for a fixed asset purchase
+     */
+    _autoCreateAssetTransaction(assetId, name, cost, date) {
+        // Find or create an "Asset Purchases" category (hidden from P&L — capital expenditure, not OpEx)
+        let categories = Database.getCategories();
+        let cat = categories.find(c => c.name === 'Asset Purchases');
+        let catId;
+        if (!cat) {
+            // show_on_pl=true means hidden from P&L (inverted semantics)
+            catId = Database.addCategory('Asset Purchases', false, null, 'payable', null, true, false, false, false);
+        } else {
+            catId = cat.id;
+        }
+
+        const month = date.substring(0, 7);
+        const txId = Database.addTransaction({
+            entry_date: date,
+            category_id: catId,
+            item_description: `Purchase: ${name}`,
+            amount: cost,
+            transaction_type: 'payable',
+            status: 'paid',
+            month_due: month,
+            month_paid: month,
+            date_processed: date,
+            source_type: 'asset_purchase',
+            source_id: assetId
+        });
+
+        Database.linkTransactionToAsset(assetId, txId);
+    },
+
+    handleEditFixedAsset(id) {
+        const asset = Database.getFixedAssetById(id);
+        if (!asset) return;
+
+        document.getElementById('editingAssetId').value = asset.id;
+        document.getElementById('assetName').value = asset.name;
+        document.getElementById('assetCost').value = asset.purchase_cost;
+        document.getElementById('assetSalvage').value = asset.salvage_value || 0;
+        document.getElementById('assetLife').value = asset.useful_life_months;
+        document.getElementById('assetDate').value = asset.purchase_date;
+        document.getElementById('assetDeprMethod').value = asset.depreciation_method || 'straight_line';
+        document.getElementById('assetDeprStart').value = asset.dep_start_date || '';
+        document.getElementById('assetNotes').value = asset.notes || '';
+        document.getElementById('assetAutoTransaction').checked = false; // Don't re-create on edit
+        document.getElementById('fixedAssetModalTitle').textContent = 'Edit Fixed Asset';
+        document.getElementById('saveAssetBtn').textContent = 'Save Changes';
+        UI.showModal('fixedAssetModal');
+    },
+
+    handleDeleteFixedAsset(id) {
+        this.deleteAssetTargetId = id;
+        UI.showModal('deleteAssetModal');
+    },
+
+    confirmDeleteFixedAsset() {
+        if (this.deleteAssetTargetId) {
+            Database.deleteFixedAsset(this.deleteAssetTargetId);
+            this.selectedAssetId = null;
+            UI.showNotification('Asset deleted', 'success');
+            this.refreshFixedAssets();
+            this.refreshBalanceSheet();
+        }
+        UI.hideModal('deleteAssetModal');
+        this.deleteAssetTargetId = null;
+    },
+
+    // ==================== INVENTORY HANDLERS ====================
+
+    /**
+     * Open the add/edit product modal
+     * @param {Object|null} product - Product to edit, or null to add
+     */
+    openInventoryProductModal(product = null) {
+        if (this._guardViewOnly()) return;
+        document.getElementById('inventoryProductForm').reset();
+        document.getElementById('editingInventoryProductId').value = product ? product.id : '';
+        document.getElementById('inventoryProductModalTitle').textContent = product ? 'Edit Product' : 'Add Product';
+        document.getElementById('saveInventoryProductBtn').textContent = product ? 'Save Changes' : 'Add';
+
+        if (product) {
+            document.getElementById('inventoryProductName').value = product.name;
+            document.getElementById('inventoryProductSku').value = product.sku || '';
+            document.getElementById('inventoryProductMethod').value = product.costing_method || 'fifo';
+            document.getElementById('inventoryProductNotes').value = product.notes || '';
+        }
+
+        UI.showModal('inventoryProductModal');
+        document.getElementById('inventoryProductName').focus();
+    },
+
+    /**
+     * Save the product form (add or update)
+     */
+    handleSaveInventoryProduct() {
+        if (this._guardViewOnly()) return;
+        const name = document.getElementById('inventoryProductName').value.trim();
+        const editingId = document.getElementById('editingInventoryProductId').value;
+
+        if (!name) {
+            UI.showNotification('Please enter a product name', 'error');
+            return;
+        }
+
+        const duplicate = Database.getInventoryProducts().find(p =>
+            p.name.toLowerCase() === name.toLowerCase() && String(p.id) !== editingId);
+        if (duplicate) {
+            UI.showNotification(`A product named "${duplicate.name}" already exists`, 'error');
+            return;
+        }
+
+        const params = {
+            name,
+            sku: document.getElementById('inventoryProductSku').value.trim() || null,
+            costing_method: document.getElementById('inventoryProductMethod').value,
+            notes: document.getElementById('inventoryProductNotes').value.trim() || null
+        };
+
+        try {
+            if (editingId) {
+                Database.updateInventoryProduct(parseInt(editingId), params);
+                UI.showNotification('Product updated', 'success');
+            } else {
+                this.selectedInventoryProductId = Database.addInventoryProduct(params);
+                UI.showNotification('Product added', 'success');
+            }
+            UI.hideModal('inventoryProductModal');
+            this.refreshAll();
+        } catch (error) {
+            console.error('Error saving product:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to save product'), 'error');
+        }
+    },
+
+    /**
+     * Open the purchase or sale modal for the selected product
+     * @param {string} kind - 'purchase' | 'sale'
+     * @param {Object|null} movement - Purchase lot or sale to edit, or null to add
+     */
+    openInventoryMovementModal(kind, movement = null) {
+        if (this._guardViewOnly()) return;
+        const isPurchase = kind === 'purchase';
+        document.getElementById('inventoryMovementForm').reset();
+        document.getElementById('editingInventoryMovementId').value = movement ? movement.id : '';
+        document.getElementById('inventoryMovementKind').value = kind;
+        document.getElementById('inventoryMovementModalTitle').textContent =
+            (movement ? 'Edit ' : 'Record ') + (isPurchase ? 'Purchase' : 'Sale');
+        document.getElementById('saveInventoryMovementBtn').textContent = movement ? 'Save Changes' : 'Add';
+        document.getElementById('inventoryUnitCostGroup').style.display = isPurchase ? '' : 'none';
+        document.getElementById('inventoryMovementUnitCost').required = isPurchase;
+        // Only a new purchase can create its payable; edits keep whatever entry already exists
+        document.getElementById('inventoryAutoTransactionGroup').style.display = isPurchase && !movement ? '' : 'none';
+        document.getElementById('inventoryAutoTransaction').checked = isPurchase && !movement;
+
+        if (movement) {
+            document.getElementById('inventoryMovementDate').value = isPurchase ? movement.purchase_date : movement.sale_date;
+            document.getElementById('inventoryMovementQuantity').value = movement.quantity;
+            if (isPurchase) document.getElementById('inventoryMovementUnitCost').value = movement.unit_cost;
+            document.getElementById('inventoryMovementNotes').value = movement.notes || '';
+        } else {
+            document.getElementById('inventoryMovementDate').value = Utils.getTodayDate();
+        }
+
+        UI.showModal('inventoryMovementModal');
+        document.getElementById('inventoryMovementQuantity').focus();
+    },
+
+    /**
+     * Save the purchase or sale form (add or update)
+     */
+    handleSaveInventoryMovement() {
+        if (this._guardViewOnly()) return;
+        const productId = this.selectedInventoryProductId;
+        const product = productId ? Database.getInventoryProductById(productId) : null;
+        if (!product) return;
+
+        const kind = document.getElementById('inventoryMovementKind').value;
+        const editingId = document.getElementById('editingInventoryMovementId').value;
+        const date = document.getElementById('inventoryMovementDate').value;
+        const quantity = parseFloat(document.getElementById('inventoryMovementQuantity').value);
+        const notes = document.getElementById('inventoryMovementNotes').value.trim() || null;
+
+        try {
+            if (kind === 'purchase') {
+                const params = {
+                    purchase_date: date,
+                    quantity,
+                    unit_cost: parseFloat(document.getElementById('inventoryMovementUnitCost').value),
+                    notes
+                };
+                if (editingId) {
+                    Database.updateInventoryPurchase(parseInt(editingId), params);
+                    UI.showNotification('Purchase updated', 'success');
+                } else {
+                    const purchaseId = Database.addInventoryPurchase({ ...params, product_id: productId });
+                    if (document.getElementById('inventoryAutoTransaction').checked) {
+                        const cost = Math.round(quantity * params.unit_cost * 100) / 100;
+                        this._autoCreateInventoryTransaction(purchaseId, product.name, cost, date);
+                    }
+                    UI.showNotification('Purchase recorded', 'success');
+                }
+            } else {
+                const params = { sale_date: date, quantity, notes };
+                if (editingId) {
+                    Database.updateInventorySale(parseInt(editingId), params);
+                    UI.showNotification('Sale updated', 'success');
+                } else {
+                    Database.addInventorySale({ ...params, product_id: productId });
+                    UI.showNotification('Sale recorded', 'success');
+                }
+            }
+            UI.hideModal('inventoryMovementModal');
+            this.refreshAll();
+        } catch (error) {
+            // Validation, stock-on-hand and closed-period errors carry a message meant for the user
+            console.error('Error saving inventory movement:', error);
+            UI.showNotification(error.message || 'Failed to save', 'error');
+        }
+    },
+
+    /**
+     * Auto-create a paid payable for an inventory purchase lot
+     */
+    _autoCreateInventoryTransaction(purchaseId, name, cost, date) {
+        // Find or create an "Inventory Purchases" category (hidden from P&L — the cost reaches COGS when sold)
+        let categories = Database.getCategories();
+        let cat = categories.find(c => c.name === 'Inventory Purchases');
+        let catId;
+        if (!cat) {
+            // show_on_pl=true means hidden from P&L (inverted semantics)
+            catId = Database.addCategory('Inventory Purchases', false, null, 'payable', null, true, false, false, false);
+        } else {
+            catId = cat.id;
+        }
+
+        const month = date.substring(0, 7);
+        Database.addTransaction({
+            entry_date: date,
+            category_id: catId,
+            item_description: `Inventory: ${name}`,
+            amount: cost,
+            transaction_type: 'payable',
+            status: 'paid',
+            month_due: month,
+            month_paid: month,
+            date_processed: date,
+            source_type: 'inventory_purchase',
+            source_id: purchaseId
+        });
+    },
+
+    /**
+     * Handle delete product, purchase or sale (show confirmation)
+     * @param {string} kind - 'product' | 'purchase' | 'sale'
+     * @param {number} id - Record ID
+     */
+    handleDeleteInventory(kind, id) {
+        if (this._guardViewOnly()) return;
+        let title, message;
+        if (kind === 'product') {
+            const product = Database.getInventoryProductById(id);
+            if (!product) return;
+            title = 'Delete Product';
+            message = `Are you sure you want to delete "${product.name}"?`;
+        } else if (kind === 'purchase') {
+            const lot = Database.getInventoryPurchaseById(id);
+            if (!lot) return;
+            title = 'Delete Purchase';
+            message = `Delete the purchase of ${lot.quantity} on ${Utils.formatDate(lot.purchase_date)}? Its purchase transaction in the journal will be deleted too.`;
+        } else {
+            const sale = Database.getInventorySaleById(id);
+            if (!sale) return;
+            title = 'Delete Sale';
+            message = `Delete the sale of ${sale.quantity} on ${Utils.formatDate(sale.sale_date)}?`;
+        }
+
+        this.deleteInventoryTarget = { kind, id };
+        document.getElementById('deleteInventoryTitle').textContent = title;
+        document.getElementById('deleteInventoryMessage').textContent = message;
+        UI.showModal('deleteInventoryModal');
+    },
+
+    /**
+     * Confirm and execute the pending product, purchase or sale delete
+     */
+    confirmDeleteInventory() {
+        const target = this.deleteInventoryTarget;
+        if (target) {
+            try {
+                if (target.kind === 'product') {
+                    if (Database.deleteInventoryProduct(target.id)) {
+                        this.selectedInventoryProductId = null;
+                        UI.showNotification('Product deleted', 'success');
+                    } else {
+                        UI.showNotification('Cannot delete a product that has purchases or sales', 'error');
+                    }
+                } else if (target.kind === 'purchase') {
+                    Database.deleteInventoryPurchase(target.id);
+                    UI.showNotification('Purchase deleted', 'success');
+                } else {
+                    Database.deleteInventorySale(target.id);
+                    UI.showNotification('Sale deleted', 'success');
+                }
+                this.refreshAll();
+            } catch (error) {
+                console.error('Error deleting inventory record:', error);
+                UI.showNotification(error.message || 'Failed to delete', 'error');
+            }
+        }
+        UI.hideModal('deleteInventoryModal');
+        this.deleteInventoryTarget = null;
+    },
+
+    // ==================== EQUITY CONFIG HANDLERS ====================
+
+    openEquityModal() {
+        const config = Database.getEquityConfig();
+        document.getElementById('equityPar').value = config.common_stock_par || '';
+        document.getElementById('equityShares').value = config.common_stock_shares || '';
+        document.getElementById('equityApic').value = config.apic || '';
+        document.getElementById('seedExpectedDate').value = config.seed_expected_date || '';
+        document.getElementById('seedReceivedDate').value = config.seed_received_date || '';
+        document.getElementById('apicExpectedDate').value = config.apic_expected_date || '';
+        document.getElementById('apicReceivedDate').value = config.apic_received_date || '';
+        document.getElementById('equityAutoTransaction').checked = true;
+        UI.showModal('equityModal');
+    },
+
+    handleSaveEquity() {
+        const par = parseFloat(document.getElementById('equityPar').value) || 0;
+        const shares = parseInt(document.getElementById('equityShares').value) || 0;
+        const apic = parseFloat(document.getElementById('equityApic').value) || 0;
+        const seedExpected = document.getElementById('seedExpectedDate').value || null;
+        const seedReceived = document.getElementById('seedReceivedDate').value || null;
+        const apicExpected = document.getElementById('apicExpectedDate').value || null;
+        const apicReceived = document.getElementById('apicReceivedDate').value || null;
+        const autoTx = document.getElementById('equityAutoTransaction').checked;
+
+        const config = Database.getEquityConfig();
+        const prevSeedReceived = config.seed_received_date || null;
+        const prevApicReceived = config.apic_received_date || null;
+
+        config.common_stock_par = par;
+        config.common_stock_shares = shares;
+        config.apic = apic;
+        config.seed_expected_date = seedExpected;
+        config.seed_received_date = seedReceived;
+        config.apic_expected_date = apicExpected;
+        config.apic_received_date = apicReceived;
+        try {
+            Database.setEquityConfig(config);
+        } catch (error) {
+            console.error('Error saving equity:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to save equity'), 'error');
+            return;
+        }
+
+        // Auto-create journal entries for newly received amounts
+        if (autoTx) {
+            const seedAmount = Math.round(par * shares * 100) / 100;
+            if (seedReceived && !prevSeedReceived && seedAmount > 0) {
+                this._autoCreateEquityTransaction('Seed Money (Common Stock)', seedAmount, seedExpected || seedReceived, seedReceived);
+            }
+            if (apicReceived && !prevApicReceived && apic > 0) {
+                this._autoCreateEquityTransaction('Additional Paid-In Capital', apic, apicExpected || apicReceived, apicReceived);
+            }
+        }
+
+        UI.hideModal('equityModal');
+        UI.showNotification('Equity saved', 'success');
+        this.refreshFixedAssets();
+    },
+
+    _autoCreateEquityTransaction(description, amount, expectedDate, receivedDate) {
+        // Find or create an "Equity Investment" category (hidden from P&L)
+        let categories = Database.getCategories();
+        let cat = categories.find(c => c.name === 'Equity Investment');
+        let catId;
+        if (!cat) {
+            catId = Database.addCategory('Equity Investment', false, null, 'receivable', null, true, false, false, false);
+        } else {
+            catId = cat.id;
+        }
+
+        const monthDue = expectedDate.substring(0, 7);
+        const monthPaid = receivedDate.substring(0, 7);
+
+        Database.addTransaction({
+            entry_date: expectedDate,
+            category_id: catId,
+            item_description: description,
+            amount: amount,
+            transaction_type: 'receivable',
+            status: 'received',
+            month_due: monthDue,
+            month_paid: monthPaid,
+            date_processed: receivedDate,
+            source_type: 'investment',
+            source_id: null
+        });
+    },
+
+    // ==================== PAYROLL HANDLERS ====================
+
+    /**
+     * Refresh the Payroll tab (defaults to the current year)
+     */
+    refreshPayroll() {
+        const yearSelect = document.getElementById('payrollYear');
+        if (!yearSelect.value) {
+            yearSelect.value = Utils.getCurrentMonth().substring(0, 4);
+        }
+        const year = yearSelect.value || Utils.getCurrentMonth().substring(0, 4);
+        const employees = Database.getEmployees();
+        if (!employees.some(e => e.id === this.selectedEmployeeId)) {
+            this.selectedEmployeeId = null;
+        }
+        UI.renderPayrollTab(employees, this.selectedEmployeeId, Database.getPayrollRegister(year),
+            Database.getPayrollYtdSummary(year), year);
+    },
+
+    /**
+     * Open the add/edit employee modal
+     * @param {Object|null} employee - Employee to edit, or null to add
+     */
+    openEmployeeModal(employee = null) {
+        if (this._guardViewOnly()) return;
+        document.getElementById('employeeForm').reset();
+        document.getElementById('editingEmployeeId').value = employee ? employee.id : '';
+        document.getElementById('employeeModalTitle').textContent = employee ? 'Edit Employee' : 'Add Employee';
+        document.getElementById('saveEmployeeBtn').textContent = employee ? 'Save Changes' : 'Add';
+
+        if (employee) {
+            document.getElementById('employeeName').value = employee.name;
+            document.getElementById('employeePayType').value = employee.pay_type;
+            document.getElementById('employeePayRate').value = employee.pay_rate;
+            document.getElementById('employeePayFrequency').value = employee.pay_frequency;
+            document.getElementById('employeeDefaultHours').value = employee.default_hours || '';
+            document.getElementById('employeeNotes').value = employee.notes || '';
+            document.getElementById('employeeActive').checked = !!employee.is_active;
+        } else {
+            document.getElementById('employeePayFrequency').value = 'biweekly';
+            document.getElementById('employeeActive').checked = true;
+        }
+
+        this._syncEmployeePayFields();
+        UI.showModal('employeeModal');
+        document.getElementById('employeeName').focus();
+    },
+
+    /**
+     * Label the pay rate for the chosen pay type; usual hours only apply to hourly employees
+     */
+    _syncEmployeePayFields() {
+        const hourly = document.getElementById('employeePayType').value === 'hourly';
+        document.getElementById('employeePayRateLabel').textContent = hourly ? 'Hourly Rate' : 'Annual Salary';
+        document.getElementById('employeeHoursGroup').style.display = hourly ? '' : 'none';
+    },
+
+    /**
+     * Save the employee form (add or update)
+     */
+    handleSaveEmployee() {
+        if (this._guardViewOnly()) return;
+        const name = document.getElementById('employeeName').value.trim();
+        const payRate = parseFloat(document.getElementById('employeePayRate').value);
+        const editingId = document.getElementById('editingEmployeeId').value;
+
+        if (!name || isNaN(payRate) || payRate < 0) {
+            UI.showNotification('Please enter a name and pay rate', 'error');
+            return;
+        }
+
+        const duplicate = Database.getEmployees().find(e =>
+            e.name.toLowerCase() === name.toLowerCase() && String(e.id) !== editingId);
+        if (duplicate) {
+            UI.showNotification(`An employee named "${duplicate.name}" already exists`, 'error');
+            return;
+        }
+
+        const params = {
+            name,
+            pay_type: document.getElementById('employeePayType').value,
+            pay_rate: payRate,
+            pay_frequency: document.getElementById('employeePayFrequency').value,
+            default_hours: parseFloat(document.getElementById('employeeDefaultHours').value) || null,
+            is_active: document.getElementById('employeeActive').checked,
+            notes: document.getElementById('employeeNotes').value.trim() || null
+        };
+
+        try {
+            if (editingId) {
+                Database.updateEmployee(parseInt(editingId), params);
+                UI.showNotification('Employee updated', 'success');
+            } else {
+                this.selectedEmployeeId = Database.addEmployee(params);
+                UI.showNotification('Employee added', 'success');
+            }
+            UI.hideModal('employeeModal');
+            this.refreshPayroll();
+        } catch (error) {
+            console.error('Error saving employee:', error);
+            UI.showNotification('Failed to save employee', 'error');
+        }
+    },
+
+    /**
+     * Open the Run Payroll modal with every active employee's usual pay
+     */
+    openPayrollRunModal() {
+        if (this._guardViewOnly()) return;
+        const employees = Database.getEmployees().filter(e => e.is_active);
+        if (employees.length === 0) {
+            UI.showNotification('Add an active employee before running payroll', 'error');
+            return;
+        }
+        document.getElementById('payrollRunForm').reset();
+        document.getElementById('payrollPayDate').value = Utils.getTodayDate();
+        UI.renderPayrollRunChecks(employees);
+        this.updatePayrollRunPreview();
+        UI.showModal('payrollRunModal');
+    },
+
+    /**
+     * Read the included employees' hours and gross pay from the Run Payroll modal
+     * @returns {Array} [{ employee_id, hours, gross_pay }]
+     */
+    _getPayrollRunChecks() {
+        return [...document.querySelectorAll('#payrollRunChecks .payroll-check-row')]
+            .filter(row => row.querySelector('.payroll-check-include').checked)
+            .map(row => {
+                const hoursInput = row.querySelector('.payroll-check-hours');
+                return {
+                    employee_id: parseInt(row.dataset.id),
+                    hours: hoursInput ? parseFloat(hoursInput.value) || null : null,
+                    gross_pay: parseFloat(row.querySelector('.payroll-check-gross').value) || 0
+                };
+            });
+    },
+
+    /**
+     * Recompute the Run Payroll modal's taxes and net pay as hours, pay or the pay date change
+     */
+    updatePayrollRunPreview() {
+        const payDate = document.getElementById('payrollPayDate').value || Utils.getTodayDate();
+        const rates = Database.getPayrollConfig();
+        const previews = {};
+        this._getPayrollRunChecks().forEach(c => {
+            if (c.gross_pay > 0) {
+                previews[c.employee_id] = Utils.computePaycheck(c.gross_pay, Database.getEmployeeYtdGross(c.employee_id, payDate), rates);
+            }
+        });
+        UI.renderPayrollRunPreview(previews);
+    },
+
+    /**
+     * Run payroll from the modal
+     */
+    handleSavePayrollRun() {
+        if (this._guardViewOnly()) return;
+        try {
+            Database.addPayrollRun({
+                pay_date: document.getElementById('payrollPayDate').value,
+                period_start: document.getElementById('payrollPeriodStart').value || null,
+                period_end: document.getElementById('payrollPeriodEnd').value || null,
+                notes: document.getElementById('payrollRunNotes').value.trim() || null,
+                checks: this._getPayrollRunChecks()
+            });
+            UI.hideModal('payrollRunModal');
+            UI.showNotification('Payroll recorded', 'success');
+            this.refreshCategories();
+            this.refreshAll();
+        } catch (error) {
+            // Validation and closed-period errors carry a message meant for the user
+            console.error('Error running payroll:', error);
+            UI.showNotification(error.message || 'Failed to run payroll', 'error');
+        }
+    },
+
+    /** Payroll config keys and the rate form inputs that edit them */
+    PAYROLL_RATE_INPUTS: {
+        federal_withholding_rate: 'rateFederalWithholding',
+        state_withholding_rate: 'rateStateWithholding',
+        social_security_rate: 'rateSocialSecurity',
+        medicare_rate: 'rateMedicare',
+        employer_social_security_rate: 'rateEmployerSocialSecurity',
+        employer_medicare_rate: 'rateEmployerMedicare',
+        futa_rate: 'rateFuta',
+        suta_rate: 'rateSuta',
+        social_security_wage_base: 'wageBaseSocialSecurity',
+        futa_wage_base: 'wageBaseFuta',
+        suta_wage_base: 'wageBaseSuta'
+    },
+
+    /**
+     * Open the payroll tax rates modal
+     */
+    openPayrollRatesModal() {
+        if (this._guardViewOnly()) return;
+        const config = Database.getPayrollConfig();
+        Object.entries(this.PAYROLL_RATE_INPUTS).forEach(([key, inputId]) => {
+            document.getElementById(inputId).value = config[key];
+        });
+        UI.showModal('payrollRatesModal');
+    },
+
+    /**
+     * Save the payroll tax rates
+     */
+    handleSavePayrollRates() {
+        if (this._guardViewOnly()) return;
+        const config = Database.getPayrollConfig();
+        Object.entries(this.PAYROLL_RATE_INPUTS).forEach(([key, inputId]) => {
+            config[key] = Math.max(0, parseFloat(document.getElementById(inputId).value) || 0);
+        });
+        try {
+            Database.setPayrollConfig(config);
+            UI.hideModal('payrollRatesModal');
+            UI.showNotification('Payroll tax rates saved', 'success');
+        } catch (error) {
+            console.error('Error saving payroll rates:', error);
+            UI.showNotification('Failed to save payroll tax rates', 'error');
+        }
+    },
+
+    /**
+     * Handle delete employee or payroll run (show confirmation)
+     * @param {string} kind - 'employee' | 'run'
+     * @param {number} id - Record ID
+     */
+    handleDeletePayroll(kind, id) {
+        if (this._guardViewOnly()) return;
+        let title, message;
+        if (kind === 'employee') {
+            const employee = Database.getEmployeeById(id);
+            if (!employee) return;
+            title = 'Delete Employee';
+            message = `Are you sure you want to delete "${employee.name}"?`;
+        } else {
+            const run = Database.getPayrollRunById(id);
+            if (!run) return;
+            title = 'Delete Payroll Run';
+            message = `Delete the payroll paid on ${Utils.formatDate(run.pay_date)}? Its paychecks and journal entries will be deleted too.`;
+        }
+
+        this.deletePayrollTarget = { kind, id };
+        document.getElementById('deletePayrollTitle').textContent = title;
+        document.getElementById('deletePayrollMessage').textContent = message;
+        UI.showModal('deletePayrollModal');
+    },
+
+    /**
+     * Confirm and execute the pending employee or payroll run delete
+     */
+    confirmDeletePayroll() {
+        const target = this.deletePayrollTarget;
+        if (target && target.kind === 'employee') {
+            try {
+                if (Database.deleteEmployee(target.id)) {
+                    UI.showNotification('Employee deleted', 'success');
+                    this.refreshPayroll();
+                } else {
+                    UI.showNotification('Cannot delete an employee who has been paid; mark them inactive instead', 'error');
+                }
+            } catch (error) {
+                console.error('Error deleting employee:', error);
+                UI.showNotification('Failed to delete employee', 'error');
+            }
+        } else if (target && target.kind === 'run') {
+            try {
+                Database.deletePayrollRun(target.id);
+                UI.showNotification('Payroll run deleted', 'success');
+                this.refreshAll();
+            } catch (error) {
+                console.error('Error deleting payroll run:', error);
+                UI.showNotification(error.message || 'Failed to delete payroll run', 'error');
+            }
+        }
+        UI.hideModal('deletePayrollModal');
+        this.deletePayrollTarget = null;
+    },
+
+    // ==================== LOAN HANDLERS ====================
+
+    openLoanConfigModal(editId) {
+        document.getElementById('loanConfigForm').reset();
+        document.getElementById('editingLoanId').value = '';
+
+        if (editId) {
+            const loan = Database.getLoanById(editId);
+            if (loan) {
+                document.getElementById('editingLoanId').value = loan.id;
+                document.getElementById('loanName').value = loan.name;
+                document.getElementById('loanPrincipal').value = loan.principal;
+                document.getElementById('loanRate').value = loan.annual_rate;
+                document.getElementById('loanTermMonths').value = loan.term_months;
+                document.getElementById('loanPayments').value = loan.payments_per_year;
+                document.getElementById('loanStartDate').value = loan.start_date;
+                document.getElementById('loanFirstPaymentDate').value = loan.first_payment_date || '';
+                document.getElementById('loanNotes').value = loan.notes || '';
+                document.getElementById('loanConfigModalTitle').textContent = 'Edit Loan';
+            }
+        } else {
+            document.getElementById('loanConfigModalTitle').textContent = 'Add Loan';
+            document.getElementById('loanStartDate').value = Utils.getTodayDate();
+        }
+
+        // Show auto-create checkbox only for new loans
+        const autoCreateGroup = document.getElementById('loanAutoCreate').closest('.form-group');
+        if (editId) {
+            autoCreateGroup.style.display = 'none';
+        } else {
+            autoCreateGroup.style.display = '';
+            document.getElementById('loanAutoCreate').checked = true;
+        }
+
+        UI.showModal('loanConfigModal');
+        document.getElementById('loanName').focus();
+    },
+
+    handleSaveLoanConfig() {
+        const name = document.getElementById('loanName').value.trim();
+        const principal = parseFloat(document.getElementById('loanPrincipal').value);
+        const rate = parseFloat(document.getElementById('loanRate').value);
+        const termMonths = parseInt(document.getElementById('loanTermMonths').value);
+        const payments = parseInt(document.getElementById('loanPayments').value);
+        const startDate = document.getElementById('loanStartDate').value;
+        const firstPaymentDate = document.getElementById('loanFirstPaymentDate').value || null;
+        const notes = document.getElementById('loanNotes').value.trim();
+        const editingId = document.getElementById('editingLoanId').value;
+
+        if (!name || isNaN(principal) || isNaN(rate) || isNaN(termMonths) || isNaN(payments) || !startDate) {
+            UI.showNotification('Please fill in all required fields', 'error');
+            return;
+        }
+
+        const params = { name, principal, annual_rate: rate, term_months: termMonths, payments_per_year: payments, start_date: startDate, first_payment_date: firstPaymentDate, notes };
+
+        if (editingId) {
+            Database.updateLoan(parseInt(editingId), params);
+            UI.showNotification('Loan updated', 'success');
+        } else {
+            const loanId = Database.addLoan(params);
+            this.selectedLoanId = loanId;
+            if (document.getElementById('loanAutoCreate').checked) {
+                this._autoCreateLoanBudgetAndCategory(loanId, name, params);
+            }
+            UI.showNotification('Loan added', 'success');
+        }
+
+        UI.hideModal('loanConfigModal');
+        this.refreshLoans();
+    },
+
+    handleDeleteLoan(id) {
+        this.deleteLoanTargetId = id;
+        const loan = Database.getLoanById(id);
+        document.getElementById('deleteLoanMessage').textContent =
+            `Are you sure you want to delete "${loan ? loan.name : 'this loan'}"?`;
+        UI.showModal('deleteLoanModal');
+    },
+
+    confirmDeleteLoan() {
+        if (this.deleteLoanTargetId) {
+            Database.deleteLoan(this.deleteLoanTargetId);
+            if (this.selectedLoanId === this.deleteLoanTargetId) {
+                this.selectedLoanId = null;
+            }
+            UI.showNotification('Loan deleted', 'success');
+            this.refreshLoans();
+        }
+        UI.hideModal('deleteLoanModal');
+        this.deleteLoanTargetId = null;
+    },
+
+    /**
+     * Auto-create a budget expense and journal category for a new loan
+     */
+    _autoCreateLoanBudgetAndCategory(loanId, loanName, params) {
+        const schedule = Utils.computeAmortizationSchedule(
+            { principal: params.principal, annual_rate: params.annual_rate,
+              payments_per_year: params.payments_per_year, term_months: params.term_months,
+              start_date: params.start_date, first_payment_date: params.first_payment_date },
+            new Set(), {}
+        );
+        const monthlyPayment = schedule.length > 0 ? schedule[0].payment : 0;
+        if (monthlyPayment <= 0) return;
+
+        // Find or create a category named after the loan
+        let categories = Database.getCategories();
+        let cat = categories.find(c => c.name === loanName);
+        let catId;
+        if (!cat) {
+            catId = Database.addCategory(loanName, true, monthlyPayment, 'payable');
+        } else {
+            catId = cat.id;
+        }
+
+        // Compute start/end months from amortization schedule
+        const firstPayMonth = schedule[0].month;
+        const lastPayMonth = schedule[schedule.length - 1].month;
+
+        // Create budget expense for the loan payment
+        Database.addBudgetExpense(
+            `${loanName} Payment`,
+            monthlyPayment,
+            firstPayMonth,
+            lastPayMonth,
+            catId,
+            `Auto-created from loan #${loanId}`
+        );
+    },
+
+    // ==================== BUDGET HANDLERS ====================
+
+    refreshBudget() {
+        const expenses = Database.getBudgetExpenses();
+        UI.renderBudgetTab(expenses, this.selectedBudgetExpenseId);
+    },
+
+    openBudgetExpenseModal(editId) {
+        document.getElementById('budgetExpenseForm').reset();
+        document.getElementById('editingBudgetExpenseId').value = editId || '';
+        document.getElementById('budgetExpenseModalTitle').textContent = 'Add Budget Expense';
+        document.getElementById('saveBudgetExpenseBtn').textContent = 'Add Expense';
+
+        // Populate category dropdown
+        const catSelect = document.getElementById('budgetExpenseCategory');
+        catSelect.innerHTML = '<option value="">None (won\'t record)</option>';
+        const categories = Database.getCategories();
+        categories.forEach(cat => {
+            const opt = document.createElement('option');
+            opt.value = cat.id;
+            opt.textContent = cat.folder_name ? `${cat.folder_name} / ${cat.name}` : cat.name;
+            catSelect.appendChild(opt);
+        });
+
+        // Populate year dropdowns
+        this._populateBudgetYearDropdowns();
+
+        if (!editId) {
+            const [year, month] = Utils.getCurrentMonth().split('-');
+            document.getElementById('budgetStartMonth').value = month;
+            document.getElementById('budgetStartYear').value = year;
+        }
+
+        UI.showModal('budgetExpenseModal');
+        document.getElementById('budgetExpenseName').focus();
+    },
+
+    _populateBudgetYearDropdowns() {
+        const yearOptions = Utils.generateYearOptions();
+        const placeholders = { budgetStartYear: 'Year...', budgetEndYear: '\u2014' };
+        ['budgetStartYear', 'budgetEndYear'].forEach(id => {
+            const sel = document.getElementById(id);
+            const currentVal = sel.value;
+            sel.innerHTML = `<option value="">${placeholders[id]}</option>`;
+            yearOptions.forEach(y => {
+                const opt = document.createElement('option');
+                opt.value = y;
+                opt.textContent = y;
+                sel.appendChild(opt);
+            });
+            if (currentVal) sel.value = currentVal;
+        });
+    },
+
+    handleSaveBudgetExpense() {
+        const name = document.getElementById('budgetExpenseName').value.trim();
+        const amount = parseFloat(document.getElementById('budgetExpenseAmount').value);
+        const startMonth = document.getElementById('budgetStartMonth').value;
+        const startYear = document.getElementById('budgetStartYear').value;
+        const endMonth = document.getElementById('budgetEndMonth').value;
+        const endYear = document.getElementById('budgetEndYear').value;
+        const categoryId = document.getElementById('budgetExpenseCategory').value || null;
+        const notes = document.getElementById('budgetExpenseNotes').value.trim() || null;
+        const editingId = document.getElementById('editingBudgetExpenseId').value;
+
+        if (!name || isNaN(amount) || amount <= 0) {
+            UI.showNotification('Please enter a name and valid amount', 'error');
+            return;
+        }
+        if (!startMonth || !startYear) {
+            UI.showNotification('Please select a start month', 'error');
+            return;
+        }
+
+        const start = `${startYear}-${startMonth}`;
+
+        if ((endMonth && !endYear) || (!endMonth && endYear)) {
+            UI.showNotification('Please select both an end month and year, or leave both blank', 'error');
+            return;
+        }
+
+        const end = (endMonth && endYear) ? `${endYear}-${endMonth}` : null;
+
+        if (end && end < start) {
+            UI.showNotification('End month cannot be before start month', 'error');
+            return;
+        }
+
+        try {
+            if (editingId) {
+                Database.updateBudgetExpense(parseInt(editingId), name, amount, start, end, categoryId ? parseInt(categoryId) : null, notes);
+                UI.showNotification('Expense updated', 'success');
+            } else {
+                const id = Database.addBudgetExpense(name, amount, start, end, categoryId ? parseInt(categoryId) : null, notes);
+                this.selectedBudgetExpenseId = id;
+                UI.showNotification('Expense added', 'success');
+            }
+            UI.hideModal('budgetExpenseModal');
+            this.refreshBudget();
+        } catch (error) {
+            console.error('Error saving budget expense:', error);
+            UI.showNotification('Failed to save expense', 'error');
+        }
+    },
+
+    handleEditBudgetExpense(id) {
+        const expense = Database.getBudgetExpenseById(id);
+        if (!expense) return;
+
+        this.openBudgetExpenseModal(id);
+        document.getElementById('editingBudgetExpenseId').value = expense.id;
+        document.getElementById('budgetExpenseName').value = expense.name;
+        document.getElementById('budgetExpenseAmount').value = expense.monthly_amount;
+        document.getElementById('budgetExpenseCategory').value = expense.category_id || '';
+        document.getElementById('budgetExpenseNotes').value = expense.notes || '';
+        document.getElementById('budgetExpenseModalTitle').textContent = 'Edit Budget Expense';
+        document.getElementById('saveBudgetExpenseBtn').textContent = 'Save Changes';
+
+        const [startYear, startMo] = expense.start_month.split('-');
+        document.getElementById('budgetStartMonth').value = startMo;
+        document.getElementById('budgetStartYear').value = startYear;
+
+        if (expense.end_month) {
+            const [endYear, endMo] = expense.end_month.split('-');
+            document.getElementById('budgetEndMonth').value = endMo;
+            document.getElementById('budgetEndYear').value = endYear;
+        }
+    },
+
+    handleDeleteBudgetExpense(id) {
+        this.deleteBudgetExpenseTargetId = id;
+        UI.showModal('deleteBudgetExpenseModal');
+    },
+
+    confirmDeleteBudgetExpense() {
+        if (this.deleteBudgetExpenseTargetId) {
+            Database.deleteBudgetExpense(this.deleteBudgetExpenseTargetId);
+            if (this.selectedBudgetExpenseId === this.deleteBudgetExpenseTargetId) {
+                this.selectedBudgetExpenseId = null;
+            }
+            UI.showNotification('Expense deleted', 'success');
+            this.refreshBudget();
+        }
+        UI.hideModal('deleteBudgetExpenseModal');
+        this.deleteBudgetExpenseTargetId = null;
+    },
+
+    openRecordBudgetModal() {
+        const expenses = Database.getBudgetExpenses();
+        if (expenses.length === 0) {
+            UI.showNotification('No budget expenses to record', 'error');
+            return;
+        }
+
+        // Populate year dropdown
+        const yearSel = document.getElementById('recordBudgetYear');
+        const yearOptions = Utils.generateYearOptions();
+        yearSel.innerHTML = '<option value="">Year...</option>';
+        yearOptions.forEach(y => {
+            const opt = document.createElement('option');
+            opt.value = y;
+            opt.textContent = y;
+            yearSel.appendChild(opt);
+        });
+
+        // Set defaults to current month
+        const [curYear, curMonth] = Utils.getCurrentMonth().split('-');
+        document.getElementById('recordBudgetMonth').value = curMonth;
+        yearSel.value = curYear;
+        document.getElementById('recordBudgetDate').value = Utils.getTodayDate();
+        document.getElementById('recordBudgetStatus').value = 'pending';
+        document.getElementById('recordBudgetDateProcessedGroup').style.display = 'none';
+        document.getElementById('recordBudgetDateProcessed').value = '';
+
+        this.updateRecordBudgetPreview();
+        UI.showModal('recordBudgetModal');
+    },
+
+    updateRecordBudgetPreview() {
+        const month = document.getElementById('recordBudgetMonth').value;
+        const year = document.getElementById('recordBudgetYear').value;
+        const preview = document.getElementById('recordBudgetPreview');
+        const confirmBtn = document.getElementById('confirmRecordBudgetBtn');
 
-        const month = date.substring(0, 7);
-        Database.addTransaction({
-            entry_date: date,
-            category_id: catId,
-            item_description: `Purchase: ${name}`,
-            amount: cost,
-            transaction_type: 'payable',
-            status: 'paid',
-            month_due: month,
-            month_paid: month,
-            date_processed: date,
-            source_type: 'asset_purchase',
-            source_id: assetId
+        if (!month || !year) {
+            preview.innerHTML = '<p class="empty-state">Select a month to see active expenses.</p>';
+            confirmBtn.disabled = true;
+            return;
+        }
+
+        const targetMonth = `${year}-${month}`;
+        const activeExpenses = Database.getActiveBudgetExpensesForMonth(targetMonth);
+
+        if (activeExpenses.length === 0) {
+            preview.innerHTML = '<p class="empty-state">No active expenses for this month.</p>';
+            confirmBtn.disabled = true;
+            return;
+        }
+
+        const withCategory = activeExpenses.filter(e => e.category_id);
+        const withoutCategory = activeExpenses.filter(e => !e.category_id);
+
+        let html = '<div class="bulk-preview-list">';
+        html += `<div class="bulk-preview-header">${activeExpenses.length} active expense${activeExpenses.length > 1 ? 's' : ''} for ${Utils.formatMonthShort(targetMonth)}</div>`;
+
+        activeExpenses.forEach(exp => {
+            const catLabel = exp.category_name
+                ? `<span class="type-badge type-payable">${Utils.escapeHtml(exp.category_name)}</span>`
+                : '<span class="type-badge type-none">No category</span>';
+            html += `<div class="bulk-preview-item">
+                <span class="bulk-preview-name">${Utils.escapeHtml(exp.name)}</span>
+                ${catLabel}
+                <span class="bulk-preview-amount">${Utils.formatCurrency(exp.monthly_amount)}</span>
+            </div>`;
         });
 
-        // Get the last inserted transaction ID and link it back
-        const result = Database.db.exec('SELECT last_insert_rowid() as id');
-        const txId = result[0].values[0][0];
-        Database.linkTransactionToAsset(assetId, txId);
+        const total = activeExpenses.reduce((sum, e) => sum + e.monthly_amount, 0);
+        html += `<div class="bulk-preview-total">Total: ${Utils.formatCurrency(total)}</div>`;
+
+        if (withoutCategory.length > 0) {
+            html += `<div class="bulk-preview-warning">${withoutCategory.length} expense${withoutCategory.length > 1 ? 's' : ''} without a category will be skipped.</div>`;
+        }
+
+        html += '</div>';
+        preview.innerHTML = html;
+        confirmBtn.disabled = withCategory.length === 0;
     },
 
-    handleEditFixedAsset(id) {
-        const asset = Database.getFixedAssetById(id);
-        if (!asset) return;
+    confirmRecordBudget() {
+        const month = document.getElementById('recordBudgetMonth').value;
+        const year = document.getElementById('recordBudgetYear').value;
+        const entryDate = document.getElementById('recordBudgetDate').value;
+        const status = document.getElementById('recordBudgetStatus').value;
+        const dateProcessed = document.getElementById('recordBudgetDateProcessed').value || null;
 
-        document.getElementById('editingAssetId').value = asset.id;
-        document.getElementById('assetName').value = asset.name;
-        document.getElementById('assetCost').value = asset.purchase_cost;
-        document.getElementById('assetSalvage').value = asset.salvage_value || 0;
-        document.getElementById('assetLife').value = asset.useful_life_months;
-        document.getElementById('assetDate').value = asset.purchase_date;
-        document.getElementById('assetDeprMethod').value = asset.depreciation_method || 'straight_line';
-        document.getElementById('assetDeprStart').value = asset.dep_start_date || '';
-        document.getElementById('assetNotes').value = asset.notes || '';
-        document.getElementById('assetAutoTransaction').checked = false; // Don't re-create on edit
-        document.getElementById('fixedAssetModalTitle').textContent = 'Edit Fixed Asset';
-        document.getElementById('saveAssetBtn').textContent = 'Save Changes';
-        UI.showModal('fixedAssetModal');
+        if (!month || !year || !entryDate) {
+            UI.showNotification('Please fill in all required fields', 'error');
+            return;
+        }
+
+        const targetMonth = `${year}-${month}`;
+        const activeExpenses = Database.getActiveBudgetExpensesForMonth(targetMonth);
+        const recordable = activeExpenses.filter(e => e.category_id);
+
+        if (recordable.length === 0) {
+            UI.showNotification('No expenses with categories to record', 'error');
+            return;
+        }
+
+        const entries = recordable.map(exp => ({
+            entry_date: entryDate,
+            category_id: exp.category_id,
+            item_description: exp.name,
+            amount: exp.monthly_amount,
+            transaction_type: 'payable',
+            status: status,
+            date_processed: status !== 'pending' ? dateProcessed : null,
+            month_due: targetMonth,
+            month_paid: status !== 'pending' ? entryDate.substring(0, 7) : null,
+            payment_for_month: targetMonth,
+            notes: null,
+            source_type: 'budget',
+            source_id: exp.id
+        }));
+
+        this.saveNewEntries(entries, 'Failed to record entries', (counts) => {
+            UI.hideModal('recordBudgetModal');
+            this.refreshAll();
+            UI.showNotification(`${counts.added} budget entr${counts.added === 1 ? 'y' : 'ies'} recorded to journal` +
+                this._duplicateCountsText(counts), 'success');
+        });
     },
 
-    handleDeleteFixedAsset(id) {
-        this.deleteAssetTargetId = id;
-        UI.showModal('deleteAssetModal');
+    // ==================== RECURRING HANDLERS ====================
+
+    /**
+     * Last date recurring entries are generated through: today, or the end of the
+     * timeline when it extends into the future (so projections include them)
+     * @returns {string} YYYY-MM-DD
+     */
+    _getRecurringHorizon() {
+        const today = Utils.getTodayDate();
+        const timeline = this.getTimeline();
+        const timelineEnd = Utils.timelineToDateMax(timeline.end);
+        return timelineEnd > today ? timelineEnd : today;
     },
 
-    confirmDeleteFixedAsset() {
-        if (this.deleteAssetTargetId) {
-            Database.deleteFixedAsset(this.deleteAssetTargetId);
-            this.selectedAssetId = null;
-            UI.showNotification('Asset deleted', 'success');
-            this.refreshFixedAssets();
-            this.refreshBalanceSheet();
+    /**
+     * Generate due occurrences of every active recurring template
+     */
+    runRecurringGeneration() {
+        if (this.isViewOnly) return;
+        try {
+            const count = Database.generateRecurringTransactions(this._getRecurringHorizon());
+            if (count > 0) {
+                UI.showNotification(`${count} recurring entr${count === 1 ? 'y' : 'ies'} added to the journal`, 'info');
+            }
+        } catch (error) {
+            console.error('Error generating recurring entries:', error);
         }
-        UI.hideModal('deleteAssetModal');
-        this.deleteAssetTargetId = null;
     },
 
-    // ==================== EQUITY CONFIG HANDLERS ====================
+    /**
+     * Open the recurring entries modal
+     */
+    openManageRecurring() {
+        UI.renderRecurringTemplatesList(Database.getRecurringTemplates());
+        UI.showModal('manageRecurringModal');
+    },
 
-    openEquityModal() {
-        const config = Database.getEquityConfig();
-        document.getElementById('equityPar').value = config.common_stock_par || '';
-        document.getElementById('equityShares').value = config.common_stock_shares || '';
-        document.getElementById('equityApic').value = config.apic || '';
-        document.getElementById('seedExpectedDate').value = config.seed_expected_date || '';
-        document.getElementById('seedReceivedDate').value = config.seed_received_date || '';
-        document.getElementById('apicExpectedDate').value = config.apic_expected_date || '';
-        document.getElementById('apicReceivedDate').value = config.apic_received_date || '';
-        document.getElementById('equityAutoTransaction').checked = true;
-        UI.showModal('equityModal');
+    /**
+     * Show the end date or occurrence count input to match the "Ends" choice
+     */
+    updateRecurringEndFields() {
+        const mode = document.getElementById('recurringEndMode').value;
+        document.getElementById('recurringEndDateGroup').style.display = mode === 'date' ? '' : 'none';
+        document.getElementById('recurringCountGroup').style.display = mode === 'count' ? '' : 'none';
     },
 
-    handleSaveEquity() {
-        const par = parseFloat(document.getElementById('equityPar').value) || 0;
-        const shares = parseInt(document.getElementById('equityShares').value) || 0;
-        const apic = parseFloat(document.getElementById('equityApic').value) || 0;
-        const seedExpected = document.getElementById('seedExpectedDate').value || null;
-        const seedReceived = document.getElementById('seedReceivedDate').value || null;
-        const apicExpected = document.getElementById('apicExpectedDate').value || null;
-        const apicReceived = document.getElementById('apicReceivedDate').value || null;
-        const autoTx = document.getElementById('equityAutoTransaction').checked;
+    /**
+     * Open the add/edit recurring template modal
+     * @param {Object|null} template - Template to edit, or null to add
+     */
+    openRecurringTemplateModal(template = null) {
+        if (this._guardViewOnly()) return;
+        document.getElementById('recurringTemplateForm').reset();
+        UI.populateCategoryDropdown(Database.getCategories(), 'recurringCategory');
+        UI.populateCounterpartyDropdown(Database.getCounterparties(), 'recurringCounterparty');
+        document.getElementById('editingRecurringId').value = template ? template.id : '';
+        document.getElementById('recurringTemplateModalTitle').textContent = template ? 'Edit Recurring Entry' : 'Add Recurring Entry';
+        document.getElementById('saveRecurringBtn').textContent = template ? 'Save' : 'Add';
+
+        if (template) {
+            document.getElementById('recurringName').value = template.name;
+            document.getElementById('recurringType').value = template.transaction_type;
+            document.getElementById('recurringAmount').value = template.amount;
+            document.getElementById('recurringCategory').value = template.category_id;
+            document.getElementById('recurringCounterparty').value = template.counterparty_id || '';
+            document.getElementById('recurringFrequency').value = template.frequency;
+            document.getElementById('recurringStartDate').value = template.start_date;
+            document.getElementById('recurringEndMode').value =
+                template.end_date ? 'date' : (template.occurrence_count ? 'count' : 'never');
+            document.getElementById('recurringEndDate').value = template.end_date || '';
+            document.getElementById('recurringCount').value = template.occurrence_count || '';
+            document.getElementById('recurringNotes').value = template.notes || '';
+            document.getElementById('recurringActive').checked = !!template.is_active;
+        } else {
+            document.getElementById('recurringCategory').value = '';
+            document.getElementById('recurringCounterparty').value = '';
+            document.getElementById('recurringStartDate').value = Utils.getTodayDate();
+        }
 
-        const config = Database.getEquityConfig();
-        const prevSeedReceived = config.seed_received_date || null;
-        const prevApicReceived = config.apic_received_date || null;
+        this.updateRecurringEndFields();
+        UI.showModal('recurringTemplateModal');
+        document.getElementById('recurringName').focus();
+    },
 
-        config.common_stock_par = par;
-        config.common_stock_shares = shares;
-        config.apic = apic;
-        config.seed_expected_date = seedExpected;
-        config.seed_received_date = seedReceived;
-        config.apic_expected_date = apicExpected;
-        config.apic_received_date = apicReceived;
-        Database.setEquityConfig(config);
+    /**
+     * Handle edit recurring template
+     * @param {number} id - Template ID
+     */
+    handleEditRecurring(id) {
+        const template = Database.getRecurringTemplateById(id);
+        if (template) {
+            this.openRecurringTemplateModal(template);
+        }
+    },
 
-        // Auto-create journal entries for newly received amounts
-        if (autoTx) {
-            const seedAmount = Math.round(par * shares * 100) / 100;
-            if (seedReceived && !prevSeedReceived && seedAmount > 0) {
-                this._autoCreateEquityTransaction('Seed Money (Common Stock)', seedAmount, seedExpected || seedReceived, seedReceived);
+    /**
+     * Save the recurring template form. Edits rebuild the template's pending entries
+     * so they match the new settings.
+     */
+    handleSaveRecurring() {
+        if (this._guardViewOnly()) return;
+        const name = document.getElementById('recurringName').value.trim();
+        const amount = parseFloat(document.getElementById('recurringAmount').value);
+        const categoryId = document.getElementById('recurringCategory').value;
+        const counterpartyId = document.getElementById('recurringCounterparty').value;
+        const startDate = document.getElementById('recurringStartDate').value;
+        const endMode = document.getElementById('recurringEndMode').value;
+        const endDate = document.getElementById('recurringEndDate').value;
+        const count = parseInt(document.getElementById('recurringCount').value);
+        const editingId = document.getElementById('editingRecurringId').value;
+
+        if (!name || isNaN(amount) || amount <= 0) {
+            UI.showNotification('Please enter a description and valid amount', 'error');
+            return;
+        }
+        if (!categoryId) {
+            UI.showNotification('Please select a category', 'error');
+            return;
+        }
+        if (!startDate) {
+            UI.showNotification('Please select the first occurrence date', 'error');
+            return;
+        }
+        if (endMode === 'date' && (!endDate || endDate < startDate)) {
+            UI.showNotification('End date must be on or after the first occurrence', 'error');
+            return;
+        }
+        if (endMode === 'count' && (isNaN(count) || count < 1)) {
+            UI.showNotification('Please enter the number of occurrences', 'error');
+            return;
+        }
+
+        const params = {
+            name,
+            category_id: parseInt(categoryId),
+            counterparty_id: counterpartyId ? parseInt(counterpartyId) : null,
+            transaction_type: document.getElementById('recurringType').value,
+            amount,
+            frequency: document.getElementById('recurringFrequency').value,
+            start_date: startDate,
+            end_date: endMode === 'date' ? endDate : null,
+            occurrence_count: endMode === 'count' ? count : null,
+            is_active: document.getElementById('recurringActive').checked,
+            notes: document.getElementById('recurringNotes').value.trim() || null
+        };
+
+        try {
+            let generated;
+            if (editingId) {
+                Database.updateRecurringTemplate(parseInt(editingId), params);
+                generated = Database.regenerateRecurringTransactions(parseInt(editingId), this._getRecurringHorizon());
+                UI.showNotification('Recurring entry updated', 'success');
+            } else {
+                const id = Database.addRecurringTemplate(params);
+                generated = Database.generateRecurringTransactions(this._getRecurringHorizon(), id);
+                UI.showNotification(`Recurring entry added${generated > 0 ? ` (${generated} generated)` : ''}`, 'success');
             }
-            if (apicReceived && !prevApicReceived && apic > 0) {
-                this._autoCreateEquityTransaction('Additional Paid-In Capital', apic, apicExpected || apicReceived, apicReceived);
+
+            UI.hideModal('recurringTemplateModal');
+            UI.renderRecurringTemplatesList(Database.getRecurringTemplates());
+            this.refreshAll();
+        } catch (error) {
+            console.error('Error saving recurring entry:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to save recurring entry'), 'error');
+        }
+    },
+
+    /**
+     * Rebuild a template's pending entries from its current settings
+     * @param {number} id - Template ID
+     */
+    handleRegenerateRecurring(id) {
+        if (this._guardViewOnly()) return;
+        try {
+            const count = Database.regenerateRecurringTransactions(id, this._getRecurringHorizon());
+            UI.renderRecurringTemplatesList(Database.getRecurringTemplates());
+            this.refreshAll();
+            UI.showNotification(`${count} pending entr${count === 1 ? 'y' : 'ies'} regenerated`, 'success');
+        } catch (error) {
+            console.error('Error regenerating recurring entries:', error);
+            UI.showNotification(this._errorMessage(error, 'Failed to regenerate entries'), 'error');
+        }
+    },
+
+    /**
+     * Handle delete recurring template (show confirmation)
+     * @param {number} id - Template ID
+     */
+    handleDeleteRecurring(id) {
+        if (this._guardViewOnly()) return;
+        const template = Database.getRecurringTemplateById(id);
+        if (!template) return;
+
+        this.deleteRecurringTargetId = id;
+        document.getElementById('deleteRecurringMessage').textContent =
+            `Delete "${template.name}"? Its pending journal entries will be removed; paid and received entries are kept.`;
+        UI.showModal('deleteRecurringModal');
+    },
+
+    /**
+     * Confirm and execute recurring template delete
+     */
+    confirmDeleteRecurring() {
+        if (this.deleteRecurringTargetId) {
+            try {
+                Database.deleteRecurringTemplate(this.deleteRecurringTargetId);
+                UI.showNotification('Recurring entry deleted', 'success');
+                UI.renderRecurringTemplatesList(Database.getRecurringTemplates());
+                this.refreshAll();
+            } catch (error) {
+                console.error('Error deleting recurring entry:', error);
+                UI.showNotification(this._errorMessage(error, 'Failed to delete recurring entry'), 'error');
             }
         }
+        UI.hideModal('deleteRecurringModal');
+        this.deleteRecurringTargetId = null;
+    },
 
-        UI.hideModal('equityModal');
-        UI.showNotification('Equity saved', 'success');
-        this.refreshFixedAssets();
+    // ==================== CSV IMPORT ====================
+
+    /**
+     * Journal fields a CSV column can be mapped to. Header names matching the label or an
+     * alias (case-insensitive) are mapped automatically, so the app's own export maps itself.
+     */
+    csvImportFields: [
+        { key: 'entry_date', label: 'Entry Date', required: true, aliases: ['date', 'date recorded', 'transaction date'] },
+        { key: 'category', label: 'Category', required: true, aliases: [] },
+        { key: 'amount', label: 'Amount', required: true, aliases: ['total', 'value'] },
+        { key: 'transaction_type', label: 'Type', required: false, aliases: ['transaction type'] },
+        { key: 'status', label: 'Status', required: false, aliases: [] },
+        { key: 'month_due', label: 'Month Due', required: false, aliases: ['due', 'due month'] },
+        { key: 'month_paid', label: 'Month Paid', required: false, aliases: ['paid', 'month received', 'paid month'] },
+        { key: 'item_description', label: 'Description', required: false, aliases: ['item', 'item description', 'payee', 'memo'] },
+        { key: 'notes', label: 'Notes', required: false, aliases: ['note', 'comments'] }
+    ],
+
+    /**
+     * Open the CSV import wizard
+     */
+    openImportCsvModal() {
+        if (this._guardViewOnly()) return;
+        this._csvImport = null;
+        document.getElementById('importCsvFile').value = '';
+        document.getElementById('importCsvOptions').style.display = 'none';
+        document.getElementById('confirmImportCsvBtn').disabled = true;
+        document.getElementById('confirmImportCsvBtn').textContent = 'Import';
+        UI.showModal('importCsvModal');
     },
 
-    _autoCreateEquityTransaction(description, amount, expectedDate, receivedDate) {
-        // Find or create an "Equity Investment" category (hidden from P&L)
-        let categories = Database.getCategories();
-        let cat = categories.find(c => c.name === 'Equity Investment');
-        let catId;
-        if (!cat) {
-            catId = Database.addCategory('Equity Investment', false, null, 'receivable', null, true, false, false, false);
-        } else {
-            catId = cat.id;
+    /**
+     * Read the chosen CSV file
+     * @param {File} file - Selected file
+     */
+    async handleImportCsvFile(file) {
+        try {
+            this.applyCsvImportFile(await file.text());
+        } catch (error) {
+            console.error('Error reading CSV file:', error);
+            UI.showNotification('Could not read the file', 'error');
+        }
+    },
+
+    /**
+     * Parse CSV text, auto-map columns by header name and show the mapping and preview
+     * @param {string} text - CSV file contents
+     */
+    applyCsvImportFile(text) {
+        const parsed = Utils.parseCsv(text);
+        if (parsed.length === 0) {
+            UI.showNotification('The file is empty', 'error');
+            return;
         }
 
-        const monthDue = expectedDate.substring(0, 7);
-        const monthPaid = receivedDate.substring(0, 7);
+        const hasHeader = document.getElementById('importCsvHasHeader').checked;
+        const width = Math.max(...parsed.map(r => r.length));
+        const headers = hasHeader
+            ? parsed[0].map((h, i) => h.trim() || `Column ${i + 1}`)
+            : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+        while (headers.length < width) headers.push(`Column ${headers.length + 1}`);
+
+        this._csvImport = { text, headers, rows: hasHeader ? parsed.slice(1) : parsed, firstRowNumber: hasHeader ? 2 : 1 };
+
+        const mapping = {};
+        if (hasHeader) {
+            const normalized = headers.map(h => h.toLowerCase());
+            this.csvImportFields.forEach(field => {
+                const names = [field.label.toLowerCase(), ...field.aliases];
+                const index = normalized.findIndex(h => names.includes(h));
+                if (index >= 0 && !Object.values(mapping).includes(index)) mapping[field.key] = index;
+            });
+        }
+
+        UI.renderCsvImportMapping(this.csvImportFields, headers, mapping);
+        document.getElementById('importCsvOptions').style.display = '';
+        this.updateCsvImportPreview();
+    },
+
+    /**
+     * Convert the file's rows to transactions using the current mapping and options,
+     * validating each one the same way the entry form does
+     * @returns {Array} [{rowNumber, data, categoryLabel, isNewCategory, error}]
+     */
+    _buildCsvImportRows() {
+        const mapping = {};
+        document.querySelectorAll('#importCsvMapping .import-map-select').forEach(select => {
+            if (select.value !== '') mapping[select.dataset.field] = parseInt(select.value);
+        });
+
+        const defaultType = document.getElementById('importCsvDefaultType').value;
+        const createCategories = document.getElementById('importCsvCreateCategories').checked;
+        const categoriesByName = {};
+        Database.getCategories().forEach(cat => { categoriesByName[cat.name.trim().toLowerCase()] = cat; });
+
+        return this._csvImport.rows.map((cells, i) => {
+            const get = (key) => (mapping[key] !== undefined ? (cells[mapping[key]] || '').trim() : '');
+
+            const rawAmount = Utils.parseMoney(get('amount'));
+            const rawType = get('transaction_type').toLowerCase();
+            let type;
+            if (rawType) {
+                type = /^(rec|inc|dep|credit|sale)/.test(rawType) ? 'receivable' : 'payable';
+            } else if (defaultType === 'auto') {
+                type = rawAmount !== null && rawAmount < 0 ? 'payable' : 'receivable';
+            } else {
+                type = defaultType;
+            }
+
+            const settled = /^(paid|received|cleared|complete|done|yes)/.test(get('status').toLowerCase());
+            const status = settled ? (type === 'receivable' ? 'received' : 'paid') : 'pending';
+
+            const categoryLabel = get('category');
+            const category = categoriesByName[categoryLabel.toLowerCase()];
+            const isNewCategory = !category && !!categoryLabel && createCategories;
+            const monthDue = Utils.parseMonthValue(get('month_due'));
+
+            const data = {
+                entry_date: Utils.parseDateValue(get('entry_date')),
+                category_id: category ? category.id : null,
+                new_category_name: isNewCategory ? categoryLabel : null,
+                item_description: get('item_description') || null,
+                amount: rawAmount !== null ? Math.round(Math.abs(rawAmount) * 100) / 100 : 0,
+                transaction_type: type,
+                status,
+                date_processed: null,
+                month_due: monthDue,
+                month_paid: settled ? Utils.parseMonthValue(get('month_paid')) : null,
+                payment_for_month: category && category.is_monthly ? monthDue : null,
+                notes: get('notes') || null,
+                source_type: 'csv_import'
+            };
 
-        Database.addTransaction({
-            entry_date: expectedDate,
-            category_id: catId,
-            item_description: description,
-            amount: amount,
-            transaction_type: 'receivable',
-            status: 'received',
-            month_due: monthDue,
-            month_paid: monthPaid,
-            date_processed: receivedDate,
-            source_type: 'investment',
-            source_id: null
+            let error = null;
+            if (get('entry_date') && !data.entry_date) {
+                error = `Unrecognized date "${get('entry_date')}"`;
+            } else if (categoryLabel && !category && !isNewCategory) {
+                error = `Unknown category "${categoryLabel}"`;
+            } else if (get('month_due') && !monthDue) {
+                error = `Unrecognized month due "${get('month_due')}"`;
+            } else {
+                const validation = UI.validateFormData({ ...data, category_id: data.category_id || data.new_category_name });
+                if (!validation.valid) error = validation.message;
+            }
+
+            return { rowNumber: this._csvImport.firstRowNumber + i, data, categoryLabel, isNewCategory, error };
         });
     },
 
-    // ==================== LOAN HANDLERS ====================
+    /**
+     * Re-validate the rows and refresh the preview and Import button
+     */
+    updateCsvImportPreview() {
+        if (!this._csvImport) return;
+        const rows = this._buildCsvImportRows();
+        UI.renderCsvImportPreview(rows);
+
+        const validCount = rows.filter(r => !r.error).length;
+        const confirmBtn = document.getElementById('confirmImportCsvBtn');
+        confirmBtn.disabled = validCount === 0;
+        confirmBtn.textContent = validCount > 0 ? `Import ${validCount} Row${validCount !== 1 ? 's' : ''}` : 'Import';
+    },
 
-    openLoanConfigModal(editId) {
-        document.getElementById('loanConfigForm').reset();
-        document.getElementById('editingLoanId').value = '';
+    /**
+     * Import every valid row in one database transaction
+     */
+    confirmCsvImport() {
+        if (this._guardViewOnly() || !this._csvImport) return;
+        const valid = this._buildCsvImportRows().filter(r => !r.error).map(r => r.data);
+        if (valid.length === 0) return;
 
-        if (editId) {
-            const loan = Database.getLoanById(editId);
-            if (loan) {
-                document.getElementById('editingLoanId').value = loan.id;
-                document.getElementById('loanName').value = loan.name;
-                document.getElementById('loanPrincipal').value = loan.principal;
-                document.getElementById('loanRate').value = loan.annual_rate;
-                document.getElementById('loanTermMonths').value = loan.term_months;
-                document.getElementById('loanPayments').value = loan.payments_per_year;
-                document.getElementById('loanStartDate').value = loan.start_date;
-                document.getElementById('loanFirstPaymentDate').value = loan.first_payment_date || '';
-                document.getElementById('loanNotes').value = loan.notes || '';
-                document.getElementById('loanConfigModalTitle').textContent = 'Edit Loan';
-            }
-        } else {
-            document.getElementById('loanConfigModalTitle').textContent = 'Add Loan';
-            document.getElementById('loanStartDate').value = Utils.getTodayDate();
+        try {
+            const result = Database.importTransactions(valid);
+            UI.hideModal('importCsvModal');
+            this._csvImport = null;
+            this.refreshAll();
+            const created = result.categoriesCreated > 0
+                ? ` and ${result.categoriesCreated} categor${result.categoriesCreated === 1 ? 'y' : 'ies'} created` : '';
+            UI.showNotification(`${result.imported} transaction${result.imported !== 1 ? 's' : ''} imported${created}`, 'success');
+        } catch (error) {
+            console.error('Error importing CSV:', error);
+            UI.showNotification(this._errorMessage(error, 'Import failed; no transactions were added'), 'error');
         }
+    },
 
-        // Show auto-create checkbox only for new loans
-        const autoCreateGroup = document.getElementById('loanAutoCreate').closest('.form-group');
-        if (editId) {
-            autoCreateGroup.style.display = 'none';
-        } else {
-            autoCreateGroup.style.display = '';
-            document.getElementById('loanAutoCreate').checked = true;
+    // ==================== BANK STATEMENT IMPORT ====================
+
+    /**
+     * Open the bank statement import modal
+     */
+    openBankImportModal() {
+        if (this._guardViewOnly()) return;
+        this._bankImport = null;
+        document.getElementById('bankImportFile').value = '';
+        document.getElementById('bankImportReview').style.display = 'none';
+        document.getElementById('confirmBankImportBtn').disabled = true;
+        UI.showModal('bankImportModal');
+    },
+
+    /**
+     * Parse the chosen statement and show its lines with suggested matches
+     * @param {File} file - OFX, QFX or QIF file
+     */
+    async handleBankImportFile(file) {
+        let lines;
+        try {
+            lines = Utils.parseBankStatement(await file.text());
+        } catch (error) {
+            console.error('Error reading statement:', error);
+            UI.showNotification(error.message || 'Could not read the statement', 'error');
+            return;
+        }
+        if (lines.length === 0) {
+            UI.showNotification('No transactions found in the statement', 'error');
+            return;
         }
 
-        UI.showModal('loanConfigModal');
-        document.getElementById('loanName').focus();
+        // A voided entry and its reversal are never settled, and credit memos settle with their entry
+        const pending = Database.getTransactions({ status: 'pending' })
+            .filter(t => !t.voided_by && t.source_type !== 'void' && t.source_type !== 'credit_memo');
+        const cashAccountId = parseInt(document.getElementById('bankImportCashAccount').value) || null;
+        const recorded = {};
+        lines.forEach((line, index) => {
+            const id = Database.findRecordedStatementLine(line.date, line.amount, cashAccountId);
+            if (id !== null) recorded[index] = id;
+        });
+        const unrecordedIndexes = lines.map((_, i) => i).filter(i => recorded[i] === undefined);
+        const suggested = Utils.suggestStatementMatches(unrecordedIndexes.map(i => lines[i]), pending);
+        const matches = {};
+        Object.entries(suggested).forEach(([i, id]) => { matches[unrecordedIndexes[i]] = id; });
+
+        this._bankImport = { lines, pending };
+        UI.renderBankImportLines(lines, pending, matches, recorded, Database.getCategories());
+        document.getElementById('bankImportReview').style.display = '';
+        this.updateBankImportSummary();
     },
 
-    handleSaveLoanConfig() {
-        const name = document.getElementById('loanName').value.trim();
-        const principal = parseFloat(document.getElementById('loanPrincipal').value);
-        const rate = parseFloat(document.getElementById('loanRate').value);
-        const termMonths = parseInt(document.getElementById('loanTermMonths').value);
-        const payments = parseInt(document.getElementById('loanPayments').value);
-        const startDate = document.getElementById('loanStartDate').value;
-        const firstPaymentDate = document.getElementById('loanFirstPaymentDate').value || null;
-        const notes = document.getElementById('loanNotes').value.trim();
-        const editingId = document.getElementById('editingLoanId').value;
+    /**
+     * Read the action chosen for each statement line
+     * @returns {Array<{line: Object, action: string, transactionId: number|null, categoryId: number|null, row: HTMLElement}>}
+     */
+    _getBankImportSelections() {
+        return Array.from(document.querySelectorAll('#bankImportLines tr[data-index]')).map(row => {
+            const value = row.querySelector('.bank-import-action').value;
+            const categoryId = row.querySelector('.bank-import-category').value;
+            return {
+                line: this._bankImport.lines[parseInt(row.dataset.index)],
+                action: value.startsWith('match:') ? 'match' : value,
+                transactionId: value.startsWith('match:') ? parseInt(value.substring(6)) : null,
+                categoryId: categoryId ? parseInt(categoryId) : null,
+                row
+            };
+        });
+    },
 
-        if (!name || isNaN(principal) || isNaN(rate) || isNaN(termMonths) || isNaN(payments) || !startDate) {
-            UI.showNotification('Please fill in all required fields', 'error');
+    /**
+     * Check the current selections, update the summary and enable Apply when they're complete
+     * @returns {string|null} Error message, or null when the selections can be applied
+     */
+    updateBankImportSummary() {
+        if (!this._bankImport) return null;
+        const selections = this._getBankImportSelections();
+        selections.forEach(sel => {
+            sel.row.querySelector('.bank-import-category').disabled = sel.action !== 'create';
+        });
+
+        const matched = selections.filter(sel => sel.action === 'match');
+        const created = selections.filter(sel => sel.action === 'create');
+        const skipped = selections.length - matched.length - created.length;
+
+        let error = null;
+        const matchedIds = matched.map(sel => sel.transactionId);
+        if (new Set(matchedIds).size !== matchedIds.length) {
+            error = 'Two statement lines are matched to the same journal entry';
+        } else if (created.some(sel => !sel.categoryId)) {
+            error = 'Choose a category for each new entry';
+        }
+
+        document.getElementById('bankImportSummary').innerHTML = `
+            ${selections.length} statement line${selections.length !== 1 ? 's' : ''}:
+            ${matched.length} matched &middot; ${created.length} new &middot; ${skipped} skipped
+            ${error ? `&middot; <span class="import-error-count">${Utils.escapeHtml(error)}</span>` : ''}
+        `;
+        document.getElementById('confirmBankImportBtn').disabled = !!error || (matched.length + created.length === 0);
+        return error;
+    },
+
+    /**
+     * Settle matched entries and create entries for the remaining lines
+     */
+    confirmBankImport() {
+        if (this._guardViewOnly() || !this._bankImport) return;
+        const error = this.updateBankImportSummary();
+        if (error) {
+            UI.showNotification(error, 'error');
             return;
         }
 
-        const params = { name, principal, annual_rate: rate, term_months: termMonths, payments_per_year: payments, start_date: startDate, first_payment_date: firstPaymentDate, notes };
-
-        if (editingId) {
-            Database.updateLoan(parseInt(editingId), params);
-            UI.showNotification('Loan updated', 'success');
-        } else {
-            const loanId = Database.addLoan(params);
-            this.selectedLoanId = loanId;
-            if (document.getElementById('loanAutoCreate').checked) {
-                this._autoCreateLoanBudgetAndCategory(loanId, name, params);
+        const selections = this._getBankImportSelections();
+        const matches = selections.filter(sel => sel.action === 'match').map(sel => ({
+            transaction_id: sel.transactionId,
+            date: sel.line.date,
+            amount: Math.abs(sel.line.amount)
+        }));
+
+        const newTransactions = [];
+        for (const sel of selections.filter(s => s.action === 'create')) {
+            const type = sel.line.amount < 0 ? 'payable' : 'receivable';
+            const month = sel.line.date.substring(0, 7);
+            const data = {
+                entry_date: sel.line.date,
+                category_id: sel.categoryId,
+                item_description: sel.line.payee || null,
+                amount: Math.abs(sel.line.amount),
+                transaction_type: type,
+                status: type === 'receivable' ? 'received' : 'paid',
+                date_processed: sel.line.date,
+                month_due: month,
+                month_paid: month,
+                payment_for_month: null,
+                notes: sel.line.memo || null,
+                source_type: 'bank_import'
+            };
+            const validation = UI.validateFormData(data);
+            if (!validation.valid) {
+                UI.showNotification(`${Utils.formatDate(sel.line.date)}: ${validation.message}`, 'error');
+                return;
             }
-            UI.showNotification('Loan added', 'success');
+            newTransactions.push(data);
         }
 
-        UI.hideModal('loanConfigModal');
-        this.refreshLoans();
+        try {
+            const cashAccountId = parseInt(document.getElementById('bankImportCashAccount').value) || null;
+            const result = Database.applyBankStatement(matches, newTransactions, cashAccountId);
+            UI.hideModal('bankImportModal');
+            this._bankImport = null;
+            this.refreshAll();
+            UI.showNotification(`${result.settled} matched, ${result.created} new entr${result.created === 1 ? 'y' : 'ies'} created`, 'success');
+        } catch (err) {
+            console.error('Error applying bank statement:', err);
+            UI.showNotification('Import failed; no changes were made', 'error');
+        }
     },
 
-    handleDeleteLoan(id) {
-        this.deleteLoanTargetId = id;
-        const loan = Database.getLoanById(id);
-        document.getElementById('deleteLoanMessage').textContent =
-            `Are you sure you want to delete "${loan ? loan.name : 'this loan'}"?`;
-        UI.showModal('deleteLoanModal');
+    // ==================== BANK RECONCILIATION ====================
+
+    /**
+     * Open the reconciliation worksheet, resuming any saved draft
+     */
+    openReconcileModal() {
+        const draft = Database.getReconciliationDraft();
+        document.getElementById('reconcileCashAccount').value =
+            (draft && draft.cash_account_id) || Database.getDefaultCashAccountId();
+        document.getElementById('reconcileStatementDate').value =
+            (draft && draft.statement_date) || Utils.getTodayDate();
+        document.getElementById('reconcileStatementBalance').value =
+            draft && draft.statement_balance !== null && draft.statement_balance !== undefined ? draft.statement_balance : '';
+        document.getElementById('reconcileOpeningBalance').value = draft && draft.opening_balance ? draft.opening_balance : 0;
+        this.refreshReconciliation(false);
+        UI.showModal('reconcileModal');
     },
 
-    confirmDeleteLoan() {
-        if (this.deleteLoanTargetId) {
-            Database.deleteLoan(this.deleteLoanTargetId);
-            if (this.selectedLoanId === this.deleteLoanTargetId) {
-                this.selectedLoanId = null;
-            }
-            UI.showNotification('Loan deleted', 'success');
-            this.refreshLoans();
+    /**
+     * Recompute the reconciliation summary from the form and the cleared items
+     * @param {boolean} saveDraft - Persist the statement date and balances so the work can be resumed
+     */
+    refreshReconciliation(saveDraft) {
+        const cashAccountId = parseInt(document.getElementById('reconcileCashAccount').value) || Database.getDefaultCashAccountId();
+        const statementDate = document.getElementById('reconcileStatementDate').value;
+        const openingInput = document.getElementById('reconcileOpeningBalance');
+        const statementInput = document.getElementById('reconcileStatementBalance');
+
+        // After an account's first reconciliation the opening balance is its last statement's ending balance
+        const history = Database.getReconciliations(cashAccountId);
+        if (history.length > 0) {
+            openingInput.value = history[0].statement_balance;
+            openingInput.disabled = true;
+        } else {
+            openingInput.disabled = this.isViewOnly;
+        }
+
+        const items = statementDate ? Database.getReconciliationItems(statementDate, cashAccountId) : [];
+        const opening = Utils.parseAmount(openingInput.value);
+        const statement = Utils.parseAmount(statementInput.value);
+        const cleared = items.filter(item => item.cleared);
+        const deposits = cleared.filter(item => item.amount > 0).reduce((sum, item) => sum + item.amount, 0);
+        const payments = cleared.filter(item => item.amount < 0).reduce((sum, item) => sum - item.amount, 0);
+        const clearedBalance = Math.round((opening + deposits - payments) * 100) / 100;
+        const difference = Math.round((statement - clearedBalance) * 100) / 100;
+
+        UI.renderReconciliation(items, {
+            opening: opening,
+            deposits: deposits,
+            payments: payments,
+            cleared: clearedBalance,
+            statement: statement,
+            difference: difference,
+            bookCash: statementDate ? Database.getCashAsOf(statementDate.substring(0, 7), cashAccountId) : 0
+        }, history);
+
+        document.getElementById('confirmReconcileBtn').disabled =
+            this.isViewOnly || !statementDate || statementInput.value === '' || Math.abs(difference) >= 0.005;
+
+        if (saveDraft && !this.isViewOnly) {
+            Database.setReconciliationDraft({
+                cash_account_id: cashAccountId,
+                statement_date: statementDate,
+                statement_balance: statementInput.value === '' ? null : statement,
+                opening_balance: opening
+            });
         }
-        UI.hideModal('deleteLoanModal');
-        this.deleteLoanTargetId = null;
     },
 
     /**
-     * Auto-create a budget expense and journal category for a new loan
+     * Tick or untick an item as cleared
+     * @param {string} kind - 'payment', 'transaction', 'transfer_out' or 'transfer_in'
+     * @param {number} id - Payment, transaction or transfer ID
+     * @param {boolean} cleared
      */
-    _autoCreateLoanBudgetAndCategory(loanId, loanName, params) {
-        const schedule = Utils.computeAmortizationSchedule(
-            { principal: params.principal, annual_rate: params.annual_rate,
-              payments_per_year: params.payments_per_year, term_months: params.term_months,
-              start_date: params.start_date, first_payment_date: params.first_payment_date },
-            new Set(), {}
-        );
-        const monthlyPayment = schedule.length > 0 ? schedule[0].payment : 0;
-        if (monthlyPayment <= 0) return;
-
-        // Find or create a category named after the loan
-        let categories = Database.getCategories();
-        let cat = categories.find(c => c.name === loanName);
-        let catId;
-        if (!cat) {
-            catId = Database.addCategory(loanName, true, monthlyPayment, 'payable');
-        } else {
-            catId = cat.id;
+    handleToggleReconcileItem(kind, id, cleared) {
+        if (this._guardViewOnly()) {
+            this.refreshReconciliation(false);
+            return;
         }
+        Database.setReconciliationItemCleared(kind, id, cleared);
+        this.refreshReconciliation(false);
+    },
 
-        // Compute start/end months from amortization schedule
-        const firstPayMonth = schedule[0].month;
-        const lastPayMonth = schedule[schedule.length - 1].month;
+    /**
+     * Save the reconciliation once the cleared balance matches the statement
+     */
+    confirmReconciliation() {
+        if (this._guardViewOnly()) return;
+        const statementDate = document.getElementById('reconcileStatementDate').value;
+        const statementBalance = Utils.parseAmount(document.getElementById('reconcileStatementBalance').value);
+        const openingBalance = Utils.parseAmount(document.getElementById('reconcileOpeningBalance').value);
+        const cashAccountId = parseInt(document.getElementById('reconcileCashAccount').value) || null;
 
-        // Create budget expense for the loan payment
-        Database.addBudgetExpense(
-            `${loanName} Payment`,
-            monthlyPayment,
-            firstPayMonth,
-            lastPayMonth,
-            catId,
-            `Auto-created from loan #${loanId}`
-        );
+        try {
+            Database.saveReconciliation(statementDate, statementBalance, openingBalance, cashAccountId);
+            UI.hideModal('reconcileModal');
+            this.refreshTransactions();
+            UI.showNotification('Reconciliation saved; cleared entries are now locked', 'success');
+        } catch (error) {
+            console.error('Error saving reconciliation:', error);
+            UI.showNotification('Failed to save reconciliation', 'error');
+        }
     },
 
-    // ==================== BUDGET HANDLERS ====================
-
-    refreshBudget() {
-        const expenses = Database.getBudgetExpenses();
-        UI.renderBudgetTab(expenses, this.selectedBudgetExpenseId);
+    /**
+     * Undo the most recent reconciliation, unlocking its entries
+     */
+    handleUndoReconciliation() {
+        if (this._guardViewOnly()) return;
+        Database.undoLastReconciliation(parseInt(document.getElementById('reconcileCashAccount').value) || null);
+        this.refreshReconciliation(false);
+        this.refreshTransactions();
+        UI.showNotification('Reconciliation undone; its entries are unlocked', 'success');
     },
 
-    openBudgetExpenseModal(editId) {
-        document.getElementById('budgetExpenseForm').reset();
-        document.getElementById('editingBudgetExpenseId').value = '';
-        document.getElementById('budgetExpenseModalTitle').textContent = 'Add Budget Expense';
-        document.getElementById('saveBudgetExpenseBtn').textContent = 'Add Expense';
+    /**
+     * Block changes to a transaction that belongs to a saved reconciliation
+     * @param {number} transactionId - Transaction ID
+     * @returns {boolean} True if the transaction is locked
+     */
+    _guardReconciled(transactionId) {
+        const reconciliation = Database.getTransactionReconciliation(transactionId);
+        if (reconciliation) {
+            UI.showNotification(`Reconciled on the ${Utils.formatDate(reconciliation.statement_date)} statement. Undo that reconciliation to change this entry.`, 'info');
+            return true;
+        }
+        return false;
+    },
 
-        // Populate category dropdown
-        const catSelect = document.getElementById('budgetExpenseCategory');
-        catSelect.innerHTML = '<option value="">None (won\'t record)</option>';
-        const categories = Database.getCategories();
-        categories.forEach(cat => {
-            const opt = document.createElement('option');
-            opt.value = cat.id;
-            opt.textContent = cat.folder_name ? `${cat.folder_name} / ${cat.name}` : cat.name;
-            catSelect.appendChild(opt);
-        });
+    /**
+     * Block changes to a voided transaction or its reversing entry; the pair is kept as it is
+     * (undo the void to change it)
+     * @param {number} transactionId - Transaction ID
+     * @returns {boolean} True if the transaction is part of a void
+     */
+    _guardVoided(transactionId) {
+        const transaction = Database.getTransactionById(transactionId);
+        if (transaction && (transaction.voided_by || transaction.source_type === 'void')) {
+            UI.showNotification(transaction.voided_by
+                ? 'This entry is voided; its reversing entry cancels it out.'
+                : 'This is the reversing entry of a voided entry.', 'info');
+            return true;
+        }
+        return false;
+    },
 
-        // Populate year dropdowns
-        this._populateBudgetYearDropdowns();
+    // ==================== PERIOD CLOSE ====================
 
-        if (!editId) {
-            const [year, month] = Utils.getCurrentMonth().split('-');
-            document.getElementById('budgetStartMonth').value = month;
-            document.getElementById('budgetStartYear').value = year;
-        }
+    /**
+     * Message for a failed change: why it was refused when it touched a closed period,
+     * otherwise the generic fallback
+     * @param {Error} error - Error thrown by the change
+     * @param {string} fallback - Message for any other error
+     * @returns {string}
+     */
+    _errorMessage(error, fallback) {
+        return error && error.code === 'PERIOD_CLOSED' ? error.message : fallback;
+    },
 
-        UI.showModal('budgetExpenseModal');
-        document.getElementById('budgetExpenseName').focus();
+    /**
+     * Whether this user may reopen a closed period: group admins, or anyone working locally
+     * @returns {boolean}
+     */
+    _canReopenPeriod() {
+        return !SyncService.isConnected || SyncService.memberRole === 'admin';
     },
 
-    _populateBudgetYearDropdowns() {
-        const yearOptions = Utils.generateYearOptions();
-        const placeholders = { budgetStartYear: 'Year...', budgetEndYear: '\u2014' };
-        ['budgetStartYear', 'budgetEndYear'].forEach(id => {
-            const sel = document.getElementById(id);
-            const currentVal = sel.value;
-            sel.innerHTML = `<option value="">${placeholders[id]}</option>`;
-            yearOptions.forEach(y => {
-                const opt = document.createElement('option');
-                opt.value = y;
-                opt.textContent = y;
-                sel.appendChild(opt);
-            });
-            if (currentVal) sel.value = currentVal;
-        });
+    /**
+     * Open the period close dialog, suggesting last month to close and the latest closed
+     * month to reopen
+     */
+    openPeriodClose() {
+        document.getElementById('gearPopover').style.display = 'none';
+        const closedThrough = Database.getClosedThrough();
+        const lastMonth = Utils.addMonths(Utils.getCurrentMonth(), -1);
+        const closeMonth = !closedThrough || closedThrough < lastMonth ? lastMonth : '';
+        document.getElementById('closePeriodMonth').value = closeMonth ? closeMonth.substring(5, 7) : '';
+        document.getElementById('closePeriodYear').value = closeMonth ? closeMonth.substring(0, 4) : '';
+        document.getElementById('reopenPeriodMonth').value = closedThrough ? closedThrough.substring(5, 7) : '';
+        document.getElementById('reopenPeriodYear').value = closedThrough ? closedThrough.substring(0, 4) : '';
+        document.getElementById('reopenPeriodReason').value = '';
+        this.refreshPeriodClose();
+        UI.showModal('periodCloseModal');
     },
 
-    handleSaveBudgetExpense() {
-        const name = document.getElementById('budgetExpenseName').value.trim();
-        const amount = parseFloat(document.getElementById('budgetExpenseAmount').value);
-        const startMonth = document.getElementById('budgetStartMonth').value;
-        const startYear = document.getElementById('budgetStartYear').value;
-        const endMonth = document.getElementById('budgetEndMonth').value;
-        const endYear = document.getElementById('budgetEndYear').value;
-        const categoryId = document.getElementById('budgetExpenseCategory').value || null;
-        const notes = document.getElementById('budgetExpenseNotes').value.trim() || null;
-        const editingId = document.getElementById('editingBudgetExpenseId').value;
+    /**
+     * Re-render the period close status and log
+     */
+    refreshPeriodClose() {
+        UI.renderPeriodClose(Database.getClosedThrough(), Database.getPeriodCloseLog(), this._canReopenPeriod());
+    },
 
-        if (!name || isNaN(amount) || amount <= 0) {
-            UI.showNotification('Please enter a name and valid amount', 'error');
+    /**
+     * Close every month through the chosen one
+     */
+    handleClosePeriod() {
+        if (this._guardViewOnly()) return;
+        const month = document.getElementById('closePeriodMonth').value;
+        const year = document.getElementById('closePeriodYear').value;
+        if (!month || !year) {
+            UI.showNotification('Choose the last month to close', 'error');
             return;
         }
-        if (!startMonth || !startYear) {
-            UI.showNotification('Please select a start month', 'error');
+        try {
+            Database.closePeriod(`${year}-${month}`);
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
             return;
         }
+        this.refreshPeriodClose();
+        UI.showNotification(`Books closed through ${Utils.formatMonthShort(`${year}-${month}`)}`, 'success');
+    },
 
-        const start = `${startYear}-${startMonth}`;
-
-        if ((endMonth && !endYear) || (!endMonth && endYear)) {
-            UI.showNotification('Please select both an end month and year, or leave both blank', 'error');
+    /**
+     * Reopen the chosen month and every later closed month, with the reason given
+     */
+    handleReopenPeriod() {
+        if (this._guardViewOnly()) return;
+        if (!this._canReopenPeriod()) {
+            UI.showNotification('Only a group admin can reopen a closed period.', 'error');
             return;
         }
-
-        const end = (endMonth && endYear) ? `${endYear}-${endMonth}` : null;
-
-        if (end && end < start) {
-            UI.showNotification('End month cannot be before start month', 'error');
+        const month = document.getElementById('reopenPeriodMonth').value;
+        const year = document.getElementById('reopenPeriodYear').value;
+        if (!month || !year) {
+            UI.showNotification('Choose the first month to reopen', 'error');
             return;
         }
-
         try {
-            if (editingId) {
-                Database.updateBudgetExpense(parseInt(editingId), name, amount, start, end, categoryId ? parseInt(categoryId) : null, notes);
-                UI.showNotification('Expense updated', 'success');
-            } else {
-                const id = Database.addBudgetExpense(name, amount, start, end, categoryId ? parseInt(categoryId) : null, notes);
-                this.selectedBudgetExpenseId = id;
-                UI.showNotification('Expense added', 'success');
-            }
-            UI.hideModal('budgetExpenseModal');
-            this.refreshBudget();
+            Database.reopenPeriod(`${year}-${month}`, document.getElementById('reopenPeriodReason').value);
         } catch (error) {
-            console.error('Error saving budget expense:', error);
-            UI.showNotification('Failed to save expense', 'error');
+            UI.showNotification(error.message, 'error');
+            return;
         }
+        document.getElementById('reopenPeriodReason').value = '';
+        this.refreshPeriodClose();
+        UI.showNotification(`${Utils.formatMonthShort(`${year}-${month}`)} onward reopened`, 'success');
     },
 
-    handleEditBudgetExpense(id) {
-        const expense = Database.getBudgetExpenseById(id);
-        if (!expense) return;
+    // ==================== ATTACHMENTS ====================
 
-        this.openBudgetExpenseModal(id);
-        document.getElementById('editingBudgetExpenseId').value = expense.id;
-        document.getElementById('budgetExpenseName').value = expense.name;
-        document.getElementById('budgetExpenseAmount').value = expense.monthly_amount;
-        document.getElementById('budgetExpenseCategory').value = expense.category_id || '';
-        document.getElementById('budgetExpenseNotes').value = expense.notes || '';
-        document.getElementById('budgetExpenseModalTitle').textContent = 'Edit Budget Expense';
-        document.getElementById('saveBudgetExpenseBtn').textContent = 'Save Changes';
+    /**
+     * Open the attachments of a journal entry, fixed asset or loan
+     * @param {string} ownerType - 'transaction', 'asset' or 'loan'
+     * @param {number} ownerId - Owner record ID
+     */
+    openAttachments(ownerType, ownerId) {
+        if (!ownerId) return;
+        const titles = { transaction: 'Journal Entry Attachments', asset: 'Fixed Asset Attachments', loan: 'Loan Attachments' };
+        this._attachmentOwner = { ownerType, ownerId };
+        document.getElementById('attachmentsTitle').textContent = titles[ownerType];
+        document.getElementById('attachmentFileInput').value = '';
+        document.getElementById('attachmentFileInput').closest('.form-group').style.display = this.isViewOnly ? 'none' : '';
+        this.refreshAttachments();
+        UI.showModal('attachmentsModal');
+    },
 
-        const [startYear, startMo] = expense.start_month.split('-');
-        document.getElementById('budgetStartMonth').value = startMo;
-        document.getElementById('budgetStartYear').value = startYear;
+    /**
+     * Re-render the open attachments list
+     */
+    refreshAttachments() {
+        const { ownerType, ownerId } = this._attachmentOwner;
+        UI.renderAttachmentsList(Database.getAttachments(ownerType, ownerId), !this.isViewOnly);
+    },
 
-        if (expense.end_month) {
-            const [endYear, endMo] = expense.end_month.split('-');
-            document.getElementById('budgetEndMonth').value = endMo;
-            document.getElementById('budgetEndYear').value = endYear;
+    /**
+     * Store the chosen files on the open record, with a thumbnail for images
+     * @param {FileList} fileList - Files from the file input
+     */
+    async handleAddAttachments(fileList) {
+        if (this._guardViewOnly() || !this._attachmentOwner) return;
+        const { ownerType, ownerId } = this._attachmentOwner;
+        let added = 0;
+        for (const file of Array.from(fileList)) {
+            try {
+                Database.addAttachment(ownerType, ownerId, {
+                    file_name: file.name,
+                    mime_type: file.type || 'application/octet-stream',
+                    data: new Uint8Array(await file.arrayBuffer()),
+                    thumbnail: await this._createAttachmentThumbnail(file)
+                });
+                added++;
+            } catch (error) {
+                console.error('Error adding attachment:', error);
+                UI.showNotification(error.message, 'error');
+            }
+        }
+        document.getElementById('attachmentFileInput').value = '';
+        this.refreshAttachments();
+        this.refreshTransactions();
+        if (added > 0) {
+            UI.showNotification(`${added} file${added === 1 ? '' : 's'} attached`, 'success');
         }
     },
 
-    handleDeleteBudgetExpense(id) {
-        this.deleteBudgetExpenseTargetId = id;
-        UI.showModal('deleteBudgetExpenseModal');
+    /**
+     * Scale an image down to a small JPEG data URL for previews
+     * @param {File} file - Attached file
+     * @returns {Promise<string|null>} Data URL, or null for PDFs and images the browser can't decode
+     */
+    async _createAttachmentThumbnail(file) {
+        if (!file.type.startsWith('image/')) return null;
+        const url = URL.createObjectURL(file);
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = reject;
+                img.src = url;
+            });
+            const scale = Math.min(1, 160 / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.7);
+        } catch (e) {
+            return null;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
     },
 
-    confirmDeleteBudgetExpense() {
-        if (this.deleteBudgetExpenseTargetId) {
-            Database.deleteBudgetExpense(this.deleteBudgetExpenseTargetId);
-            if (this.selectedBudgetExpenseId === this.deleteBudgetExpenseTargetId) {
-                this.selectedBudgetExpenseId = null;
-            }
-            UI.showNotification('Expense deleted', 'success');
-            this.refreshBudget();
+    /**
+     * Delete an attachment from the open record
+     * @param {number} id - Attachment ID
+     */
+    handleDeleteAttachment(id) {
+        if (this._guardViewOnly()) return;
+        try {
+            Database.deleteAttachment(id);
+            UI.showNotification('Attachment deleted', 'success');
+            this.refreshAttachments();
+            this.refreshTransactions();
+        } catch (error) {
+            console.error('Error deleting attachment:', error);
+            UI.showNotification('Failed to delete attachment', 'error');
         }
-        UI.hideModal('deleteBudgetExpenseModal');
-        this.deleteBudgetExpenseTargetId = null;
     },
 
-    openRecordBudgetModal() {
-        const expenses = Database.getBudgetExpenses();
-        if (expenses.length === 0) {
-            UI.showNotification('No budget expenses to record', 'error');
-            return;
+    /**
+     * Show an attachment full size
+     * @param {number} id - Attachment ID
+     */
+    openAttachmentViewer(id) {
+        const attachment = Database.getAttachment(id);
+        if (!attachment) return;
+        const url = URL.createObjectURL(new Blob([attachment.data], { type: attachment.mime_type }));
+        this._attachmentViewer = { attachment, url };
+        UI.renderAttachmentViewer(attachment, url);
+        UI.showModal('attachmentViewerModal');
+    },
+
+    /**
+     * Close the viewer and release its file
+     */
+    closeAttachmentViewer() {
+        UI.hideModal('attachmentViewerModal');
+        document.getElementById('attachmentViewerBody').innerHTML = '';
+        if (this._attachmentViewer) {
+            URL.revokeObjectURL(this._attachmentViewer.url);
+            this._attachmentViewer = null;
         }
+    },
 
-        // Populate year dropdown
-        const yearSel = document.getElementById('recordBudgetYear');
-        const yearOptions = Utils.generateYearOptions();
-        yearSel.innerHTML = '<option value="">Year...</option>';
-        yearOptions.forEach(y => {
-            const opt = document.createElement('option');
-            opt.value = y;
-            opt.textContent = y;
-            yearSel.appendChild(opt);
-        });
+    /**
+     * Download the attachment shown in the viewer
+     */
+    downloadAttachment() {
+        if (!this._attachmentViewer) return;
+        const { attachment } = this._attachmentViewer;
+        this.downloadBlob(new Blob([attachment.data], { type: attachment.mime_type }), attachment.file_name);
+    },
 
-        // Set defaults to current month
-        const [curYear, curMonth] = Utils.getCurrentMonth().split('-');
-        document.getElementById('recordBudgetMonth').value = curMonth;
-        yearSel.value = curYear;
-        document.getElementById('recordBudgetDate').value = Utils.getTodayDate();
-        document.getElementById('recordBudgetStatus').value = 'pending';
-        document.getElementById('recordBudgetDateProcessedGroup').style.display = 'none';
-        document.getElementById('recordBudgetDateProcessed').value = '';
+    // ==================== UNDO / REDO ====================
 
-        this.updateRecordBudgetPreview();
-        UI.showModal('recordBudgetModal');
+    /**
+     * Undo the most recent change
+     */
+    handleUndo() {
+        this._stepUndoHistory(() => Database.undo(), 'Undid', 'Nothing to undo');
     },
 
-    updateRecordBudgetPreview() {
-        const month = document.getElementById('recordBudgetMonth').value;
-        const year = document.getElementById('recordBudgetYear').value;
-        const preview = document.getElementById('recordBudgetPreview');
-        const confirmBtn = document.getElementById('confirmRecordBudgetBtn');
+    /**
+     * Redo the most recently undone change
+     */
+    handleRedo() {
+        this._stepUndoHistory(() => Database.redo(), 'Redid', 'Nothing to redo');
+    },
 
-        if (!month || !year) {
-            preview.innerHTML = '<p class="empty-state">Select a month to see active expenses.</p>';
-            confirmBtn.disabled = true;
+    /**
+     * Run an undo or redo step and refresh everything it may have touched
+     * @param {Function} step - Database.undo or Database.redo
+     * @param {string} verb - Past-tense verb for the notification
+     * @param {string} emptyMessage - Notification when the stack is empty
+     */
+    _stepUndoHistory(step, verb, emptyMessage) {
+        if (this._guardViewOnly()) return;
+        let entries;
+        try {
+            entries = step();
+        } catch (error) {
+            UI.showNotification(error.message, 'error');
             return;
         }
-
-        const targetMonth = `${year}-${month}`;
-        const activeExpenses = Database.getActiveBudgetExpensesForMonth(targetMonth);
-
-        if (activeExpenses.length === 0) {
-            preview.innerHTML = '<p class="empty-state">No active expenses for this month.</p>';
-            confirmBtn.disabled = true;
+        if (entries.length === 0) {
+            UI.showNotification(emptyMessage, 'info');
             return;
         }
+        const owner = Database.getJournalOwner();
+        document.getElementById('journalOwner').value = owner;
+        UI.updateJournalTitle(owner);
+        this.loadAndApplyTimeline();
+        this.refreshAll();
+        UI.showNotification(`${verb} ${entries.length} change${entries.length === 1 ? '' : 's'}`, 'success');
+    },
 
-        const withCategory = activeExpenses.filter(e => e.category_id);
-        const withoutCategory = activeExpenses.filter(e => !e.category_id);
+    /**
+     * Enable the undo/redo buttons when there is something to step through
+     */
+    updateUndoButtons() {
+        const state = Database.getUndoState();
+        document.getElementById('undoBtn').disabled = !state.canUndo;
+        document.getElementById('redoBtn').disabled = !state.canRedo;
+    },
 
-        let html = '<div class="bulk-preview-list">';
-        html += `<div class="bulk-preview-header">${activeExpenses.length} active expense${activeExpenses.length > 1 ? 's' : ''} for ${Utils.formatMonthShort(targetMonth)}</div>`;
+    // ==================== AUDIT LOG ====================
 
-        activeExpenses.forEach(exp => {
-            const catLabel = exp.category_name
-                ? `<span class="type-badge type-payable">${Utils.escapeHtml(exp.category_name)}</span>`
-                : '<span class="type-badge type-none">No category</span>';
-            html += `<div class="bulk-preview-item">
-                <span class="bulk-preview-name">${Utils.escapeHtml(exp.name)}</span>
-                ${catLabel}
-                <span class="bulk-preview-amount">${Utils.formatCurrency(exp.monthly_amount)}</span>
-            </div>`;
-        });
+    /**
+     * Open the audit log, optionally narrowed to one record's history
+     * @param {string} table - Table name ('' for all)
+     * @param {number|string} recordId - Record ID ('' for all)
+     */
+    openAuditLog(table = '', recordId = '') {
+        document.getElementById('auditLogTable').value = table;
+        document.getElementById('auditLogRecordId').value = recordId;
+        document.getElementById('auditLogSearch').value = '';
+        this.refreshAuditLog();
+        UI.showModal('auditLogModal');
+    },
 
-        const total = activeExpenses.reduce((sum, e) => sum + e.monthly_amount, 0);
-        html += `<div class="bulk-preview-total">Total: ${Utils.formatCurrency(total)}</div>`;
+    /**
+     * Re-run the audit log search from the filter inputs
+     */
+    refreshAuditLog() {
+        UI.renderAuditLog(Database.getAuditLog({
+            table: document.getElementById('auditLogTable').value,
+            recordId: document.getElementById('auditLogRecordId').value.trim(),
+            search: document.getElementById('auditLogSearch').value.trim()
+        }));
+    },
 
-        if (withoutCategory.length > 0) {
-            html += `<div class="bulk-preview-warning">${withoutCategory.length} expense${withoutCategory.length > 1 ? 's' : ''} without a category will be skipped.</div>`;
-        }
+    // ==================== INVOICES ====================
 
-        html += '</div>';
-        preview.innerHTML = html;
-        confirmBtn.disabled = withCategory.length === 0;
+    /**
+     * Open the list of issued invoices
+     */
+    openManageInvoices() {
+        UI.renderInvoicesList(Database.getInvoices());
+        UI.showModal('manageInvoicesModal');
     },
 
-    confirmRecordBudget() {
-        const month = document.getElementById('recordBudgetMonth').value;
-        const year = document.getElementById('recordBudgetYear').value;
-        const entryDate = document.getElementById('recordBudgetDate').value;
-        const status = document.getElementById('recordBudgetStatus').value;
-        const dateProcessed = document.getElementById('recordBudgetDateProcessed').value || null;
+    /**
+     * Open the new invoice form with the next invoice number
+     */
+    openInvoiceModal() {
+        if (this._guardViewOnly()) return;
+        UI.populateCounterpartyDropdown(
+            Database.getCounterparties().filter(cp => cp.counterparty_type !== 'vendor'),
+            'invoiceCounterparty'
+        );
+        document.getElementById('invoiceCounterparty').value = '';
+        document.getElementById('invoiceNumber').value = Database.getNextInvoiceNumber();
+        document.getElementById('invoiceIssueDate').value = Utils.getTodayDate();
+        document.getElementById('invoiceDueDate').value = '';
+        document.getElementById('invoiceNotes').value = '';
+        this._invoiceDraft = { receivables: [], selectedIds: [], dueDateEdited: false };
+        this.refreshInvoiceLines();
+        UI.showModal('invoiceModal');
+    },
 
-        if (!month || !year || !entryDate) {
-            UI.showNotification('Please fill in all required fields', 'error');
+    /**
+     * Reload the billable receivables for the chosen customer and refresh the totals and due date
+     */
+    refreshInvoiceLines() {
+        const draft = this._invoiceDraft;
+        if (!draft) return;
+        const counterpartyId = parseInt(document.getElementById('invoiceCounterparty').value) || null;
+        draft.receivables = Database.getUninvoicedReceivables(counterpartyId);
+        draft.selectedIds = draft.selectedIds.filter(id => draft.receivables.some(t => t.id === id));
+        UI.renderInvoiceLines(draft.receivables, draft.selectedIds);
+
+        if (!draft.dueDateEdited) {
+            document.getElementById('invoiceDueDate').value = this._defaultInvoiceDueDate();
+        }
+        document.getElementById('confirmInvoiceBtn').disabled = draft.selectedIds.length === 0;
+    },
+
+    /**
+     * Tick or untick a receivable on the invoice being built
+     * @param {number} id - Transaction ID
+     * @param {boolean} checked
+     */
+    handleToggleInvoiceLine(id, checked) {
+        const draft = this._invoiceDraft;
+        if (!draft) return;
+        draft.selectedIds = draft.selectedIds.filter(selectedId => selectedId !== id);
+        if (checked) draft.selectedIds.push(id);
+        this.refreshInvoiceLines();
+    },
+
+    /**
+     * Due date for a new invoice: the issue date plus the customer's payment terms, or else
+     * the end of the latest month due among the selected receivables
+     * @returns {string} Date (YYYY-MM-DD) or empty string
+     */
+    _defaultInvoiceDueDate() {
+        const draft = this._invoiceDraft;
+        const issueDate = document.getElementById('invoiceIssueDate').value;
+        const counterparty = Database.getCounterpartyById(parseInt(document.getElementById('invoiceCounterparty').value));
+        if (issueDate && counterparty && counterparty.payment_terms_days !== null) {
+            const due = new Date(issueDate + 'T00:00:00');
+            due.setDate(due.getDate() + counterparty.payment_terms_days);
+            return `${due.getFullYear()}-${String(due.getMonth() + 1).padStart(2, '0')}-${String(due.getDate()).padStart(2, '0')}`;
+        }
+
+        const monthsDue = draft.receivables
+            .filter(t => draft.selectedIds.includes(t.id) && t.month_due)
+            .map(t => t.month_due)
+            .sort();
+        if (monthsDue.length === 0) return '';
+        const [year, month] = monthsDue[monthsDue.length - 1].split('-').map(Number);
+        return `${monthsDue[monthsDue.length - 1]}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Create the invoice, stamp its number on the selected receivables and open it for printing
+     */
+    confirmInvoice() {
+        if (this._guardViewOnly() || !this._invoiceDraft) return;
+        const draft = this._invoiceDraft;
+        const invoiceNumber = document.getElementById('invoiceNumber').value.trim();
+        const issueDate = document.getElementById('invoiceIssueDate').value;
+
+        if (!invoiceNumber) {
+            UI.showNotification('Invoice number is required', 'error');
+            return;
+        }
+        if (!issueDate) {
+            UI.showNotification('Issue date is required', 'error');
+            return;
+        }
+        if (draft.selectedIds.length === 0) {
+            UI.showNotification('Select at least one receivable', 'error');
             return;
         }
 
-        const targetMonth = `${year}-${month}`;
-        const activeExpenses = Database.getActiveBudgetExpensesForMonth(targetMonth);
-        const recordable = activeExpenses.filter(e => e.category_id);
+        // Bill the customer chosen above, or the one customer every selected receivable shares
+        let counterpartyId = parseInt(document.getElementById('invoiceCounterparty').value) || null;
+        if (!counterpartyId) {
+            const customers = [...new Set(draft.receivables
+                .filter(t => draft.selectedIds.includes(t.id))
+                .map(t => t.counterparty_id))];
+            if (customers.length === 1) counterpartyId = customers[0];
+        }
 
-        if (recordable.length === 0) {
-            UI.showNotification('No expenses with categories to record', 'error');
+        try {
+            const id = Database.createInvoice({
+                invoice_number: invoiceNumber,
+                counterparty_id: counterpartyId,
+                issue_date: issueDate,
+                due_date: document.getElementById('invoiceDueDate').value || null,
+                notes: document.getElementById('invoiceNotes').value.trim() || null
+            }, draft.selectedIds);
+            UI.hideModal('invoiceModal');
+            this._invoiceDraft = null;
+            UI.renderInvoicesList(Database.getInvoices());
+            this.refreshTransactions();
+            UI.showNotification(`Invoice #${invoiceNumber} created`, 'success');
+            this.printInvoice(id);
+        } catch (error) {
+            console.error('Error creating invoice:', error);
+            UI.showNotification(error.message || 'Failed to create invoice', 'error');
+        }
+    },
+
+    /**
+     * Open an invoice in a new window and bring up the print dialog
+     * @param {number} id - Invoice ID
+     */
+    printInvoice(id) {
+        const invoice = Database.getInvoice(id);
+        if (!invoice) return;
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            UI.showNotification('Allow pop-ups for this page to print invoices', 'error');
             return;
         }
+        printWindow.document.open();
+        printWindow.document.write(UI.buildInvoiceHtml(invoice, Database.getJournalOwner() || 'Accounting Journal'));
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    },
 
-        let count = 0;
-        try {
-            recordable.forEach(exp => {
-                Database.addTransaction({
-                    entry_date: entryDate,
-                    category_id: exp.category_id,
-                    item_description: exp.name,
-                    amount: exp.monthly_amount,
-                    transaction_type: 'payable',
-                    status: status,
-                    date_processed: status !== 'pending' ? dateProcessed : null,
-                    month_due: targetMonth,
-                    month_paid: status !== 'pending' ? entryDate.substring(0, 7) : null,
-                    payment_for_month: targetMonth,
-                    notes: null,
-                    source_type: 'budget',
-                    source_id: exp.id
-                });
-                count++;
-            });
+    /**
+     * Handle delete invoice (show confirmation)
+     * @param {number} id - Invoice ID
+     */
+    handleDeleteInvoice(id) {
+        if (this._guardViewOnly()) return;
+        const invoice = Database.getInvoices().find(inv => inv.id === id);
+        if (!invoice) return;
 
-            UI.hideModal('recordBudgetModal');
-            this.refreshAll();
-            UI.showNotification(`${count} budget entr${count === 1 ? 'y' : 'ies'} recorded to journal`, 'success');
-        } catch (error) {
-            console.error('Error recording budget entries:', error);
-            UI.showNotification('Failed to record entries', 'error');
+        this.deleteInvoiceTargetId = id;
+        document.getElementById('deleteInvoiceMessage').textContent =
+            `Delete invoice #${invoice.invoice_number}? Its entries are kept and can be invoiced again.`;
+        UI.showModal('deleteInvoiceModal');
+    },
+
+    /**
+     * Confirm and execute invoice delete
+     */
+    confirmDeleteInvoice() {
+        if (this.deleteInvoiceTargetId) {
+            try {
+                Database.deleteInvoice(this.deleteInvoiceTargetId);
+                UI.showNotification('Invoice deleted', 'success');
+                UI.renderInvoicesList(Database.getInvoices());
+                this.refreshTransactions();
+            } catch (error) {
+                console.error('Error deleting invoice:', error);
+                UI.showNotification('Failed to delete invoice', 'error');
+            }
         }
+        UI.hideModal('deleteInvoiceModal');
+        this.deleteInvoiceTargetId = null;
     },
 
     // ==================== EXPORT ====================
 
     /**
-     * Export all transactions as CSV
+     * Export transactions as CSV
+     * @param {Array<number>|null} ids - Only these transactions (null for all)
      */
-    handleExportCsv() {
-        const transactions = Database.getTransactionsForExport();
+    handleExportCsv(ids = null) {
+        const transactions = Database.getTransactionsForExport(ids);
 
         if (transactions.length === 0) {
             UI.showNotification('No transactions to export', 'error');
@@ -5025,8 +8846,10 @@ const App = {
 
     applyViewOnlyRestrictions() {
         const hideIds = [
-            'newEntryBtn', 'addFolderEntriesBtn', 'manageCategoriesBtn',
-            'saveDbBtn', 'saveAsDbBtn', 'loadDbBtn', 'shareBtn'
+            'newEntryBtn', 'addFolderEntriesBtn', 'quickEntryBar', 'quickEntryPreview', 'manageCategoriesBtn', 'manageCounterpartiesBtn', 'manageCashAccountsBtn',
+            'addInventoryProductBtn', 'addEmployeeBtn', 'runPayrollBtn', 'payrollRatesBtn', 'addSalesTaxRateBtn',
+            'manageRecurringBtn', 'importCsvBtn', 'importStatementBtn', 'reconcileBtn', 'addNewInvoiceBtn', 'saveDbBtn', 'saveAsDbBtn', 'loadDbBtn', 'shareBtn',
+            'undoBtn', 'redoBtn'
         ];
         hideIds.forEach(id => {
             const el = document.getElementById(id);
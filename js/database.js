@@ -6,6 +6,7 @@
 const Database = {
     db: null,
     SQL: null,
+    _accountIds: null,
     IDB_NAME: 'AccountingJournalDB',
     IDB_STORE: 'database',
     IDB_KEY: 'sqliteDb',
@@ -24,6 +25,7 @@ const Database = {
         if (savedData) {
             this.db = new this.SQL.Database(savedData);
             this.migrateSchema();
+            this._pruneAttachmentTrash();
             console.log('Database loaded from IndexedDB');
         } else {
             this.db = new this.SQL.Database();
@@ -39,6 +41,7 @@ const Database = {
         this.db.close();
         this.db = new this.SQL.Database();
         this.createSchema();
+        this.clearUndoHistory();
         this.autoSave();
     },
 
@@ -93,9 +96,33 @@ const Database = {
                 notes TEXT,
                 source_type TEXT,
                 source_id INTEGER,
+                counterparty_id INTEGER,
+                cleared INTEGER DEFAULT 0,
+                reconciliation_id INTEGER,
+                invoice_number TEXT,
+                voided_by INTEGER,
+                cash_account_id INTEGER,
+                sales_tax_rate_id INTEGER,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (category_id) REFERENCES categories(id)
+                FOREIGN KEY (category_id) REFERENCES categories(id),
+                FOREIGN KEY (counterparty_id) REFERENCES counterparties(id),
+                FOREIGN KEY (cash_account_id) REFERENCES cash_accounts(id),
+                FOREIGN KEY (sales_tax_rate_id) REFERENCES sales_tax_rates(id)
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS counterparties (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                counterparty_type TEXT NOT NULL DEFAULT 'customer',
+                email TEXT,
+                phone TEXT,
+                address TEXT,
+                payment_terms_days INTEGER,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )
         `);
 
@@ -188,6 +215,298 @@ const Database = {
             )
         `);
 
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS recurring_templates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                category_id INTEGER NOT NULL,
+                counterparty_id INTEGER,
+                transaction_type TEXT NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                frequency TEXT NOT NULL,
+                start_date DATE NOT NULL,
+                end_date DATE,
+                occurrence_count INTEGER,
+                is_active INTEGER DEFAULT 1,
+                generated_through DATE,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (category_id) REFERENCES categories(id),
+                FOREIGN KEY (counterparty_id) REFERENCES counterparties(id)
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS transaction_splits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id INTEGER NOT NULL,
+                category_id INTEGER NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+                FOREIGN KEY (category_id) REFERENCES categories(id)
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS transaction_payments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id INTEGER NOT NULL,
+                payment_date DATE,
+                month_paid TEXT NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                notes TEXT,
+                cleared INTEGER DEFAULT 0,
+                reconciliation_id INTEGER,
+                cash_account_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+                FOREIGN KEY (cash_account_id) REFERENCES cash_accounts(id)
+            )
+        `);
+        this.createTransactionViews();
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS reconciliations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                statement_date DATE NOT NULL,
+                statement_balance DECIMAL(10,2) NOT NULL,
+                opening_balance DECIMAL(10,2) NOT NULL,
+                cash_account_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS cash_accounts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                account_type TEXT NOT NULL DEFAULT 'checking',
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS cash_transfers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transfer_date DATE NOT NULL,
+                from_account_id INTEGER NOT NULL,
+                to_account_id INTEGER NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                notes TEXT,
+                from_cleared INTEGER DEFAULT 0,
+                from_reconciliation_id INTEGER,
+                to_cleared INTEGER DEFAULT 0,
+                to_reconciliation_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (from_account_id) REFERENCES cash_accounts(id),
+                FOREIGN KEY (to_account_id) REFERENCES cash_accounts(id)
+            )
+        `);
+        this.seedDefaultCashAccount();
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS inventory_products (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                sku TEXT,
+                costing_method TEXT NOT NULL DEFAULT 'fifo',
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS inventory_purchases (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                purchase_date DATE NOT NULL,
+                quantity REAL NOT NULL,
+                unit_cost DECIMAL(10,4) NOT NULL,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES inventory_products(id)
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS inventory_sales (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                sale_date DATE NOT NULL,
+                quantity REAL NOT NULL,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES inventory_products(id)
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS employees (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                pay_type TEXT NOT NULL DEFAULT 'salary',
+                pay_rate DECIMAL(10,2) NOT NULL DEFAULT 0,
+                pay_frequency TEXT NOT NULL DEFAULT 'biweekly',
+                default_hours REAL,
+                is_active INTEGER DEFAULT 1,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS payroll_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                pay_date DATE NOT NULL,
+                period_start DATE,
+                period_end DATE,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS paychecks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id INTEGER NOT NULL,
+                employee_id INTEGER NOT NULL,
+                hours REAL,
+                gross_pay DECIMAL(10,2) NOT NULL,
+                federal_withholding DECIMAL(10,2) NOT NULL DEFAULT 0,
+                state_withholding DECIMAL(10,2) NOT NULL DEFAULT 0,
+                social_security DECIMAL(10,2) NOT NULL DEFAULT 0,
+                medicare DECIMAL(10,2) NOT NULL DEFAULT 0,
+                net_pay DECIMAL(10,2) NOT NULL,
+                employer_social_security DECIMAL(10,2) NOT NULL DEFAULT 0,
+                employer_medicare DECIMAL(10,2) NOT NULL DEFAULT 0,
+                futa DECIMAL(10,2) NOT NULL DEFAULT 0,
+                suta DECIMAL(10,2) NOT NULL DEFAULT 0,
+                FOREIGN KEY (run_id) REFERENCES payroll_runs(id),
+                FOREIGN KEY (employee_id) REFERENCES employees(id)
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS sales_tax_rates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                jurisdiction TEXT,
+                rate DECIMAL(7,4) NOT NULL,
+                is_active INTEGER DEFAULT 1,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS invoices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                invoice_number TEXT NOT NULL UNIQUE,
+                counterparty_id INTEGER,
+                issue_date DATE NOT NULL,
+                due_date DATE,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (counterparty_id) REFERENCES counterparties(id)
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS attachments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                owner_type TEXT NOT NULL,
+                owner_id INTEGER NOT NULL,
+                file_name TEXT NOT NULL,
+                mime_type TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                data BLOB NOT NULL,
+                thumbnail TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_attachments_owner ON attachments (owner_type, owner_id)');
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS attachment_trash (
+                attachment_id INTEGER PRIMARY KEY,
+                data BLOB NOT NULL
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS tags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS transaction_tags (
+                transaction_id INTEGER NOT NULL,
+                tag_id INTEGER NOT NULL,
+                PRIMARY KEY (transaction_id, tag_id),
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+                FOREIGN KEY (tag_id) REFERENCES tags(id)
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                user_name TEXT,
+                table_name TEXT NOT NULL,
+                record_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                old_values TEXT,
+                new_values TEXT,
+                batch_id TEXT
+            )
+        `);
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log (table_name, record_id)');
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_batch ON audit_log (batch_id)');
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS period_closes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                action TEXT NOT NULL,
+                closed_through TEXT,
+                reason TEXT,
+                user_name TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS accounts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                account_type TEXT NOT NULL,
+                is_system INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS journal_lines (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source_type TEXT NOT NULL,
+                source_id INTEGER,
+                month TEXT NOT NULL,
+                account_id INTEGER NOT NULL,
+                category_id INTEGER,
+                debit DECIMAL(10,2) NOT NULL DEFAULT 0,
+                credit DECIMAL(10,2) NOT NULL DEFAULT 0,
+                memo TEXT,
+                cash_account_id INTEGER,
+                sales_tax_rate_id INTEGER,
+                FOREIGN KEY (account_id) REFERENCES accounts(id),
+                FOREIGN KEY (cash_account_id) REFERENCES cash_accounts(id),
+                FOREIGN KEY (sales_tax_rate_id) REFERENCES sales_tax_rates(id)
+            )
+        `);
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_journal_lines_source ON journal_lines (source_type, source_id)');
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines (account_id, month)');
+        this.seedChartOfAccounts();
+
         // Create default "Monthly Expenses" folder
         this.db.run('INSERT OR IGNORE INTO category_folders (name, folder_type, sort_order) VALUES (?, ?, ?)', ['Monthly Expenses', 'payable', 0]);
 
@@ -371,6 +690,24 @@ const Database = {
         try { this.db.exec('SELECT source_id FROM transactions LIMIT 1'); }
         catch (e) { this.db.run('ALTER TABLE transactions ADD COLUMN source_id INTEGER'); }
 
+        // === Counterparties (customers/vendors) and counterparty_id on transactions ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS counterparties (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                counterparty_type TEXT NOT NULL DEFAULT 'customer',
+                email TEXT,
+                phone TEXT,
+                address TEXT,
+                payment_terms_days INTEGER,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        try { this.db.exec('SELECT counterparty_id FROM transactions LIMIT 1'); }
+        catch (e) { this.db.run('ALTER TABLE transactions ADD COLUMN counterparty_id INTEGER'); }
+
         // === Create loans table ===
         this.db.run(`
             CREATE TABLE IF NOT EXISTS loans (
@@ -459,66 +796,492 @@ const Database = {
                 FOREIGN KEY (category_id) REFERENCES categories(id)
             )
         `);
-    },
-
-    // ==================== FOLDER OPERATIONS ====================
 
-    /**
-     * Get all category folders
-     * @returns {Array} Array of folder objects
-     */
-    getFolders() {
-        const results = this.db.exec('SELECT * FROM category_folders ORDER BY sort_order ASC, name ASC');
-        if (results.length === 0) return [];
-        return this.rowsToObjects(results[0]);
-    },
+        // === Create recurring_templates table ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS recurring_templates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                category_id INTEGER NOT NULL,
+                counterparty_id INTEGER,
+                transaction_type TEXT NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                frequency TEXT NOT NULL,
+                start_date DATE NOT NULL,
+                end_date DATE,
+                occurrence_count INTEGER,
+                is_active INTEGER DEFAULT 1,
+                generated_through DATE,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (category_id) REFERENCES categories(id),
+                FOREIGN KEY (counterparty_id) REFERENCES counterparties(id)
+            )
+        `);
 
-    /**
-     * Add a new folder
-     * @param {string} name - Folder name
-     * @param {string} type - Folder type ('payable' or 'receivable')
-     * @returns {number} New folder ID
-     */
-    addFolder(name, type = 'payable') {
-        this.db.run('INSERT INTO category_folders (name, folder_type) VALUES (?, ?)', [name.trim(), type]);
-        const result = this.db.exec('SELECT last_insert_rowid() as id');
-        this.autoSave();
-        return result[0].values[0][0];
-    },
+        // === Create transaction_splits/transaction_payments tables and transaction views ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS transaction_splits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id INTEGER NOT NULL,
+                category_id INTEGER NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+                FOREIGN KEY (category_id) REFERENCES categories(id)
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS transaction_payments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id INTEGER NOT NULL,
+                payment_date DATE,
+                month_paid TEXT NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                notes TEXT,
+                cleared INTEGER DEFAULT 0,
+                reconciliation_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id)
+            )
+        `);
 
-    /**
-     * Update a folder
-     * @param {number} id - Folder ID
-     * @param {string} name - New name
-     * @param {string} type - Folder type ('payable' or 'receivable')
-     */
-    updateFolder(id, name, type = 'payable') {
-        this.db.run('UPDATE category_folders SET name = ?, folder_type = ? WHERE id = ?', [name.trim(), type, id]);
-        this.autoSave();
-    },
+        // === Cleared/reconciled flags on transactions and payments, and the reconciliations table ===
+        ['transactions', 'transaction_payments'].forEach(table => {
+            try { this.db.exec(`SELECT cleared FROM ${table} LIMIT 1`); }
+            catch (e) { this.db.run(`ALTER TABLE ${table} ADD COLUMN cleared INTEGER DEFAULT 0`); }
+            try { this.db.exec(`SELECT reconciliation_id FROM ${table} LIMIT 1`); }
+            catch (e) { this.db.run(`ALTER TABLE ${table} ADD COLUMN reconciliation_id INTEGER`); }
+        });
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS reconciliations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                statement_date DATE NOT NULL,
+                statement_balance DECIMAL(10,2) NOT NULL,
+                opening_balance DECIMAL(10,2) NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
 
-    /**
-     * Delete a folder (moves its categories to unfiled)
-     * @param {number} id - Folder ID
-     */
-    deleteFolder(id) {
-        this.db.run('UPDATE categories SET folder_id = NULL WHERE folder_id = ?', [id]);
-        this.db.run('DELETE FROM category_folders WHERE id = ?', [id]);
-        this.autoSave();
-    },
+        // === Invoice numbers on transactions, and the invoices table ===
+        try {
+            this.db.exec('SELECT invoice_number FROM transactions LIMIT 1');
+        } catch (e) {
+            this.db.run('ALTER TABLE transactions ADD COLUMN invoice_number TEXT');
+        }
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS invoices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                invoice_number TEXT NOT NULL UNIQUE,
+                counterparty_id INTEGER,
+                issue_date DATE NOT NULL,
+                due_date DATE,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (counterparty_id) REFERENCES counterparties(id)
+            )
+        `);
 
-    /**
-     * Get folder by ID
-     * @param {number} id - Folder ID
-     * @returns {Object|null} Folder object
-     */
-    getFolderById(id) {
-        const results = this.db.exec('SELECT * FROM category_folders WHERE id = ?', [id]);
-        if (results.length === 0) return null;
-        return this.rowsToObjects(results[0])[0];
-    },
+        // === Voided transactions point to their reversing entry ===
+        try {
+            this.db.exec('SELECT voided_by FROM transactions LIMIT 1');
+        } catch (e) {
+            this.db.run('ALTER TABLE transactions ADD COLUMN voided_by INTEGER');
+        }
 
-    // ==================== CATEGORY OPERATIONS ====================
+        // === Create attachments table ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS attachments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                owner_type TEXT NOT NULL,
+                owner_id INTEGER NOT NULL,
+                file_name TEXT NOT NULL,
+                mime_type TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                data BLOB NOT NULL,
+                thumbnail TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_attachments_owner ON attachments (owner_type, owner_id)');
+
+        // === Deleted attachments' file contents, kept only while the deletion can be undone ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS attachment_trash (
+                attachment_id INTEGER PRIMARY KEY,
+                data BLOB NOT NULL
+            )
+        `);
+
+        // === Create tags tables ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS tags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS transaction_tags (
+                transaction_id INTEGER NOT NULL,
+                tag_id INTEGER NOT NULL,
+                PRIMARY KEY (transaction_id, tag_id),
+                FOREIGN KEY (transaction_id) REFERENCES transactions(id),
+                FOREIGN KEY (tag_id) REFERENCES tags(id)
+            )
+        `);
+
+        // === Create audit_log table ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                user_name TEXT,
+                table_name TEXT NOT NULL,
+                record_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                old_values TEXT,
+                new_values TEXT,
+                batch_id TEXT
+            )
+        `);
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log (table_name, record_id)');
+        try {
+            this.db.exec('SELECT batch_id FROM audit_log LIMIT 1');
+        } catch (e) {
+            this.db.run('ALTER TABLE audit_log ADD COLUMN batch_id TEXT');
+        }
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_batch ON audit_log (batch_id)');
+
+        // === Attachment file contents no longer go into the audit log ===
+        this.db.run(`
+            UPDATE audit_log
+            SET old_values = json_remove(old_values, '$.data'), new_values = json_remove(new_values, '$.data')
+            WHERE table_name = 'attachments'
+              AND (json_extract(old_values, '$.data') IS NOT NULL OR json_extract(new_values, '$.data') IS NOT NULL)
+        `);
+        if (this.db.getRowsModified() > 0) this.db.run('VACUUM');
+
+        // === Named cash accounts, transfers between them, and the account each settlement used ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS cash_accounts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                account_type TEXT NOT NULL DEFAULT 'checking',
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS cash_transfers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transfer_date DATE NOT NULL,
+                from_account_id INTEGER NOT NULL,
+                to_account_id INTEGER NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                notes TEXT,
+                from_cleared INTEGER DEFAULT 0,
+                from_reconciliation_id INTEGER,
+                to_cleared INTEGER DEFAULT 0,
+                to_reconciliation_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (from_account_id) REFERENCES cash_accounts(id),
+                FOREIGN KEY (to_account_id) REFERENCES cash_accounts(id)
+            )
+        `);
+        ['transactions', 'transaction_payments', 'reconciliations'].forEach(table => {
+            try { this.db.exec(`SELECT cash_account_id FROM ${table} LIMIT 1`); }
+            catch (e) { this.db.run(`ALTER TABLE ${table} ADD COLUMN cash_account_id INTEGER`); }
+        });
+        this.seedDefaultCashAccount();
+        // Everything settled before accounts existed went through the one pot, now the default account
+        const defaultCashAccountId = this.getDefaultCashAccountId();
+        this.db.run("UPDATE transactions SET cash_account_id = ? WHERE cash_account_id IS NULL AND status != 'pending'", [defaultCashAccountId]);
+        this.db.run('UPDATE transaction_payments SET cash_account_id = ? WHERE cash_account_id IS NULL', [defaultCashAccountId]);
+        this.db.run('UPDATE reconciliations SET cash_account_id = ? WHERE cash_account_id IS NULL', [defaultCashAccountId]);
+        this.createTransactionViews();
+
+        // === Inventory products, purchase lots and quantities sold ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS inventory_products (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                sku TEXT,
+                costing_method TEXT NOT NULL DEFAULT 'fifo',
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS inventory_purchases (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                purchase_date DATE NOT NULL,
+                quantity REAL NOT NULL,
+                unit_cost DECIMAL(10,4) NOT NULL,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES inventory_products(id)
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS inventory_sales (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                sale_date DATE NOT NULL,
+                quantity REAL NOT NULL,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (product_id) REFERENCES inventory_products(id)
+            )
+        `);
+
+        // === Employees, payroll runs and the paychecks of each run ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS employees (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                pay_type TEXT NOT NULL DEFAULT 'salary',
+                pay_rate DECIMAL(10,2) NOT NULL DEFAULT 0,
+                pay_frequency TEXT NOT NULL DEFAULT 'biweekly',
+                default_hours REAL,
+                is_active INTEGER DEFAULT 1,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS payroll_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                pay_date DATE NOT NULL,
+                period_start DATE,
+                period_end DATE,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS paychecks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id INTEGER NOT NULL,
+                employee_id INTEGER NOT NULL,
+                hours REAL,
+                gross_pay DECIMAL(10,2) NOT NULL,
+                federal_withholding DECIMAL(10,2) NOT NULL DEFAULT 0,
+                state_withholding DECIMAL(10,2) NOT NULL DEFAULT 0,
+                social_security DECIMAL(10,2) NOT NULL DEFAULT 0,
+                medicare DECIMAL(10,2) NOT NULL DEFAULT 0,
+                net_pay DECIMAL(10,2) NOT NULL,
+                employer_social_security DECIMAL(10,2) NOT NULL DEFAULT 0,
+                employer_medicare DECIMAL(10,2) NOT NULL DEFAULT 0,
+                futa DECIMAL(10,2) NOT NULL DEFAULT 0,
+                suta DECIMAL(10,2) NOT NULL DEFAULT 0,
+                FOREIGN KEY (run_id) REFERENCES payroll_runs(id),
+                FOREIGN KEY (employee_id) REFERENCES employees(id)
+            )
+        `);
+
+        // === Named sales tax rates and the rate each entry and ledger line was taxed at ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS sales_tax_rates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                jurisdiction TEXT,
+                rate DECIMAL(7,4) NOT NULL,
+                is_active INTEGER DEFAULT 1,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        try { this.db.exec('SELECT sales_tax_rate_id FROM transactions LIMIT 1'); }
+        catch (e) { this.db.run('ALTER TABLE transactions ADD COLUMN sales_tax_rate_id INTEGER'); }
+        this.createTransactionViews();
+
+        // === Create period_closes table ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS period_closes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                action TEXT NOT NULL,
+                closed_through TEXT,
+                reason TEXT,
+                user_name TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // === Create accounts (chart of accounts) and journal_lines tables ===
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS accounts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                account_type TEXT NOT NULL,
+                is_system INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        this.db.run(`
+            CREATE TABLE IF NOT EXISTS journal_lines (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source_type TEXT NOT NULL,
+                source_id INTEGER,
+                month TEXT NOT NULL,
+                account_id INTEGER NOT NULL,
+                category_id INTEGER,
+                debit DECIMAL(10,2) NOT NULL DEFAULT 0,
+                credit DECIMAL(10,2) NOT NULL DEFAULT 0,
+                memo TEXT,
+                FOREIGN KEY (account_id) REFERENCES accounts(id)
+            )
+        `);
+        try {
+            this.db.exec('SELECT cash_account_id FROM journal_lines LIMIT 1');
+        } catch (e) {
+            this.db.run('ALTER TABLE journal_lines ADD COLUMN cash_account_id INTEGER');
+        }
+        try {
+            this.db.exec('SELECT sales_tax_rate_id FROM journal_lines LIMIT 1');
+        } catch (e) {
+            this.db.run('ALTER TABLE journal_lines ADD COLUMN sales_tax_rate_id INTEGER');
+        }
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_journal_lines_source ON journal_lines (source_type, source_id)');
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines (account_id, month)');
+        this.seedChartOfAccounts();
+
+        // Re-post the ledger from source records so databases saved by older
+        // versions (or edited elsewhere) always load with a consistent ledger
+        this.rebuildLedger();
+    },
+
+    /**
+     * (Re)create the views reports read instead of the transactions table:
+     * - transaction_lines: one row per category line. Split transactions contribute one
+     *   row per split; all others contribute themselves. transaction_amount is the whole
+     *   transaction's amount, for prorating settlements across lines.
+     * - transaction_settlements: when money moved, and through which cash account. One row
+     *   per recorded partial payment, plus, once a transaction is marked paid/received, whatever
+     *   the payments didn't cover, in month_paid. A reversing entry's negative amount settles
+     *   as a negative remainder.
+     */
+    createTransactionViews() {
+        this.db.run('DROP VIEW IF EXISTS transaction_lines');
+        // A split's sales tax (the amount above pretax that isn't already on a sales tax line)
+        // is spread across its other lines in proportion, rounding on the running total so
+        // their pretax amounts add back up to the transaction's exactly
+        this.db.run(`
+            CREATE VIEW transaction_lines AS
+            WITH split_lines AS (
+                SELECT s.id, s.transaction_id, s.category_id, s.amount, COALESCE(c.is_sales_tax, 0) as is_sales_tax,
+                       SUM(CASE WHEN c.is_sales_tax = 1 THEN 0 ELSE s.amount END)
+                           OVER (PARTITION BY s.transaction_id ORDER BY s.id) as taxable_through,
+                       SUM(CASE WHEN c.is_sales_tax = 1 THEN 0 ELSE s.amount END)
+                           OVER (PARTITION BY s.transaction_id) as taxable_total,
+                       SUM(CASE WHEN c.is_sales_tax = 1 THEN s.amount ELSE 0 END)
+                           OVER (PARTITION BY s.transaction_id) as tax_lines_total
+                FROM transaction_splits s
+                LEFT JOIN categories c ON s.category_id = c.id
+            )
+            SELECT t.id, t.entry_date, s.category_id, t.item_description, s.amount,
+                   CASE WHEN t.pretax_amount IS NULL OR s.is_sales_tax = 1 OR s.taxable_total = 0 THEN NULL
+                   ELSE ROUND(s.amount
+                       - ROUND((t.amount - t.pretax_amount - s.tax_lines_total) * s.taxable_through / s.taxable_total, 2)
+                       + ROUND((t.amount - t.pretax_amount - s.tax_lines_total) * (s.taxable_through - s.amount) / s.taxable_total, 2), 2)
+                   END as pretax_amount,
+                   t.transaction_type, t.status, t.date_processed, t.month_due, t.month_paid,
+                   t.payment_for_month, t.notes, t.source_type, t.source_id, s.id as split_id,
+                   t.amount as transaction_amount, t.sales_tax_rate_id
+            FROM transactions t
+            JOIN split_lines s ON s.transaction_id = t.id
+            UNION ALL
+            SELECT t.id, t.entry_date, t.category_id, t.item_description, t.amount, t.pretax_amount,
+                   t.transaction_type, t.status, t.date_processed, t.month_due, t.month_paid,
+                   t.payment_for_month, t.notes, t.source_type, t.source_id, NULL as split_id,
+                   t.amount as transaction_amount, t.sales_tax_rate_id
+            FROM transactions t
+            WHERE NOT EXISTS (SELECT 1 FROM transaction_splits s WHERE s.transaction_id = t.id)
+        `);
+
+        this.db.run('DROP VIEW IF EXISTS transaction_settlements');
+        this.db.run(`
+            CREATE VIEW transaction_settlements AS
+            SELECT p.transaction_id, p.month_paid as month, p.amount, p.id as payment_id, p.cash_account_id
+            FROM transaction_payments p
+            UNION ALL
+            SELECT t.id, t.month_paid, ROUND(t.amount - COALESCE(p.paid, 0), 2), NULL, t.cash_account_id
+            FROM transactions t
+            LEFT JOIN (
+                SELECT transaction_id, SUM(amount) as paid FROM transaction_payments GROUP BY transaction_id
+            ) p ON p.transaction_id = t.id
+            WHERE t.status != 'pending' AND t.month_paid IS NOT NULL
+            AND ROUND(t.amount - COALESCE(p.paid, 0), 2) * t.amount > 0
+        `);
+    },
+
+    // ==================== FOLDER OPERATIONS ====================
+
+    /**
+     * Get all category folders
+     * @returns {Array} Array of folder objects
+     */
+    getFolders() {
+        const results = this.db.exec('SELECT * FROM category_folders ORDER BY sort_order ASC, name ASC');
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Add a new folder
+     * @param {string} name - Folder name
+     * @param {string} type - Folder type ('payable' or 'receivable')
+     * @returns {number} New folder ID
+     */
+    addFolder(name, type = 'payable') {
+        this.db.run('INSERT INTO category_folders (name, folder_type) VALUES (?, ?)', [name.trim(), type]);
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        this._auditCreated('category_folders', result[0].values[0][0]);
+        this.autoSave();
+        return result[0].values[0][0];
+    },
+
+    /**
+     * Update a folder
+     * @param {number} id - Folder ID
+     * @param {string} name - New name
+     * @param {string} type - Folder type ('payable' or 'receivable')
+     */
+    updateFolder(id, name, type = 'payable') {
+        this._audited('category_folders', 'id = ?', [id], () => {
+            this.db.run('UPDATE category_folders SET name = ?, folder_type = ? WHERE id = ?', [name.trim(), type, id]);
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Delete a folder (moves its categories to unfiled)
+     * @param {number} id - Folder ID
+     */
+    deleteFolder(id) {
+        this._audited('categories', 'folder_id = ?', [id], () => {
+            this.db.run('UPDATE categories SET folder_id = NULL WHERE folder_id = ?', [id]);
+        });
+        this._audited('category_folders', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM category_folders WHERE id = ?', [id]);
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Get folder by ID
+     * @param {number} id - Folder ID
+     * @returns {Object|null} Folder object
+     */
+    getFolderById(id) {
+        const results = this.db.exec('SELECT * FROM category_folders WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
+    },
+
+    // ==================== CATEGORY OPERATIONS ====================
 
     /**
      * Get all categories with folder info
@@ -550,6 +1313,7 @@ const Database = {
             [name.trim(), isMonthly ? 1 : 0, defaultAmount, defaultType, folderId, showOnPl ? 1 : 0, isCogs ? 1 : 0, isDepreciation ? 1 : 0, isSalesTax ? 1 : 0, isB2b ? 1 : 0]
         );
         const result = this.db.exec('SELECT last_insert_rowid() as id');
+        this._auditCreated('categories', result[0].values[0][0]);
         this.autoSave();
         return result[0].values[0][0];
     },
@@ -560,11 +1324,17 @@ const Database = {
      * @returns {boolean} Success (false if category is in use)
      */
     deleteCategory(id) {
-        const inUse = this.db.exec('SELECT COUNT(*) as count FROM transactions WHERE category_id = ?', [id]);
+        const inUse = this.db.exec('SELECT COUNT(DISTINCT id) as count FROM transaction_lines WHERE category_id = ?', [id]);
         if (inUse[0].values[0][0] > 0) {
             return false;
         }
-        this.db.run('DELETE FROM categories WHERE id = ?', [id]);
+        const inTemplates = this.db.exec('SELECT COUNT(*) FROM recurring_templates WHERE category_id = ?', [id]);
+        if (inTemplates[0].values[0][0] > 0) {
+            return false;
+        }
+        this._audited('categories', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM categories WHERE id = ?', [id]);
+        });
         this.autoSave();
         return true;
     },
@@ -595,10 +1365,16 @@ const Database = {
      * @param {number|null} folderId - Folder ID
      */
     updateCategory(id, name, isMonthly = false, defaultAmount = null, defaultType = null, folderId = null, showOnPl = false, isCogs = false, isDepreciation = false, isSalesTax = false, isB2b = false) {
-        this.db.run(
-            'UPDATE categories SET name = ?, is_monthly = ?, default_amount = ?, default_type = ?, folder_id = ?, show_on_pl = ?, is_cogs = ?, is_depreciation = ?, is_sales_tax = ?, is_b2b = ? WHERE id = ?',
-            [name.trim(), isMonthly ? 1 : 0, defaultAmount, defaultType, folderId, showOnPl ? 1 : 0, isCogs ? 1 : 0, isDepreciation ? 1 : 0, isSalesTax ? 1 : 0, isB2b ? 1 : 0, id]
-        );
+        // Category flags decide which accounts its transactions post to
+        this._runOpenPeriodChange(() => {
+            this._audited('categories', 'id = ?', [id], () => {
+                this.db.run(
+                    'UPDATE categories SET name = ?, is_monthly = ?, default_amount = ?, default_type = ?, folder_id = ?, show_on_pl = ?, is_cogs = ?, is_depreciation = ?, is_sales_tax = ?, is_b2b = ? WHERE id = ?',
+                    [name.trim(), isMonthly ? 1 : 0, defaultAmount, defaultType, folderId, showOnPl ? 1 : 0, isCogs ? 1 : 0, isDepreciation ? 1 : 0, isSalesTax ? 1 : 0, isB2b ? 1 : 0, id]
+                );
+            });
+            this.rebuildLedger();
+        });
         this.autoSave();
     },
 
@@ -621,11 +1397,13 @@ const Database = {
      * @param {Array<{id: number, sortOrder: number}>} orderList
      */
     updateCashflowSortOrder(orderList) {
-        const stmt = this.db.prepare('UPDATE categories SET cashflow_sort_order = ? WHERE id = ?');
-        orderList.forEach(({ id, sortOrder }) => {
-            stmt.run([sortOrder, id]);
+        this._audited('categories', '1 = 1', [], () => {
+            const stmt = this.db.prepare('UPDATE categories SET cashflow_sort_order = ? WHERE id = ?');
+            orderList.forEach(({ id, sortOrder }) => {
+                stmt.run([sortOrder, id]);
+            });
+            stmt.free();
         });
-        stmt.free();
         this.autoSave();
     },
 
@@ -635,897 +1413,3717 @@ const Database = {
      * @returns {number} Transaction count
      */
     getCategoryUsageCount(categoryId) {
-        const result = this.db.exec('SELECT COUNT(*) as count FROM transactions WHERE category_id = ?', [categoryId]);
+        const result = this.db.exec('SELECT COUNT(DISTINCT id) as count FROM transaction_lines WHERE category_id = ?', [categoryId]);
         return result[0].values[0][0];
     },
 
-    // ==================== TRANSACTION OPERATIONS ====================
+    // ==================== COUNTERPARTY OPERATIONS ====================
 
     /**
-     * Get all transactions
-     * @param {Object} filters - Optional filters
-     * @returns {Array} Array of transaction objects
+     * Get all counterparties (customers and vendors)
+     * @param {string|null} type - Limit to 'customer' or 'vendor' (entries of type 'both' always match)
+     * @returns {Array} Array of counterparty objects
      */
-    getTransactions(filters = {}) {
-        let query = `
-            SELECT t.*, c.name as category_name, c.is_monthly as category_is_monthly
-            FROM transactions t
-            LEFT JOIN categories c ON t.category_id = c.id
-            WHERE 1=1
-        `;
+    getCounterparties(type = null) {
+        let query = 'SELECT * FROM counterparties';
         const params = [];
-
-        if (filters.type) {
-            query += ' AND t.transaction_type = ?';
-            params.push(filters.type);
-        }
-
-        if (filters.status) {
-            query += ' AND t.status = ?';
-            params.push(filters.status);
-        }
-
-        if (filters.month) {
-            query += ' AND substr(t.entry_date, 1, 7) = ?';
-            params.push(filters.month);
-        }
-
-        if (filters.folderId) {
-            if (filters.folderId === 'unfiled') {
-                query += ' AND c.folder_id IS NULL';
-            } else {
-                query += ' AND c.folder_id = ?';
-                params.push(filters.folderId);
-            }
-        }
-
-        if (filters.categoryId) {
-            query += ' AND t.category_id = ?';
-            params.push(filters.categoryId);
+        if (type) {
+            query += " WHERE counterparty_type = ? OR counterparty_type = 'both'";
+            params.push(type);
         }
-
-        query += ' ORDER BY t.entry_date DESC, t.id DESC';
-
+        query += ' ORDER BY name ASC';
         const results = this.db.exec(query, params);
         if (results.length === 0) return [];
-
         return this.rowsToObjects(results[0]);
     },
 
     /**
-     * Get a single transaction by ID
-     * @param {number} id - Transaction ID
-     * @returns {Object|null} Transaction object
+     * Get a counterparty by ID
+     * @param {number} id - Counterparty ID
+     * @returns {Object|null} Counterparty object
      */
-    getTransactionById(id) {
-        const results = this.db.exec(`
-            SELECT t.*, c.name as category_name, c.is_monthly as category_is_monthly
-            FROM transactions t
-            LEFT JOIN categories c ON t.category_id = c.id
-            WHERE t.id = ?
-        `, [id]);
-
+    getCounterpartyById(id) {
+        const results = this.db.exec('SELECT * FROM counterparties WHERE id = ?', [id]);
         if (results.length === 0) return null;
         return this.rowsToObjects(results[0])[0];
     },
 
     /**
-     * Add a new transaction
-     * @param {Object} transaction - Transaction data
-     * @returns {number} New transaction ID
+     * Add a new counterparty
+     * @param {Object} params - { name, counterparty_type, email, phone, address, payment_terms_days, notes }
+     * @returns {number} New counterparty ID
      */
-    addTransaction(transaction) {
-        this.db.run(`
-            INSERT INTO transactions
-            (entry_date, category_id, item_description, amount, pretax_amount, transaction_type,
-             status, date_processed, month_due, month_paid, payment_for_month, notes,
-             source_type, source_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            transaction.entry_date,
-            transaction.category_id,
-            transaction.item_description || null,
-            transaction.amount,
-            transaction.pretax_amount || null,
-            transaction.transaction_type,
-            transaction.status,
-            transaction.date_processed || null,
-            transaction.month_due || null,
-            transaction.month_paid || null,
-            transaction.payment_for_month || null,
-            transaction.notes || null,
-            transaction.source_type || null,
-            transaction.source_id || null
-        ]);
-
+    addCounterparty(params) {
+        this.db.run(
+            `INSERT INTO counterparties (name, counterparty_type, email, phone, address, payment_terms_days, notes)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [params.name.trim(), params.counterparty_type || 'customer', params.email || null, params.phone || null,
+             params.address || null, Number.isInteger(params.payment_terms_days) ? params.payment_terms_days : null, params.notes || null]
+        );
         const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('counterparties', id);
         this.autoSave();
-        return result[0].values[0][0];
+        return id;
     },
 
     /**
-     * Update a transaction
-     * @param {number} id - Transaction ID
-     * @param {Object} transaction - Transaction data
+     * Update a counterparty
+     * @param {number} id - Counterparty ID
+     * @param {Object} params - Fields to update
      */
-    updateTransaction(id, transaction) {
-        this.db.run(`
-            UPDATE transactions SET
-                entry_date = ?,
-                category_id = ?,
-                item_description = ?,
-                amount = ?,
-                pretax_amount = ?,
-                transaction_type = ?,
-                status = ?,
-                date_processed = ?,
-                month_due = ?,
-                month_paid = ?,
-                payment_for_month = ?,
-                notes = ?,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `, [
-            transaction.entry_date,
-            transaction.category_id,
-            transaction.item_description || null,
-            transaction.amount,
-            transaction.pretax_amount || null,
-            transaction.transaction_type,
-            transaction.status,
-            transaction.date_processed || null,
-            transaction.month_due || null,
-            transaction.month_paid || null,
-            transaction.payment_for_month || null,
-            transaction.notes || null,
-            id
-        ]);
+    updateCounterparty(id, params) {
+        this._audited('counterparties', 'id = ?', [id], () => {
+            this.db.run(
+                `UPDATE counterparties SET name = ?, counterparty_type = ?, email = ?, phone = ?, address = ?,
+                 payment_terms_days = ?, notes = ? WHERE id = ?`,
+                [params.name.trim(), params.counterparty_type || 'customer', params.email || null, params.phone || null,
+                 params.address || null, Number.isInteger(params.payment_terms_days) ? params.payment_terms_days : null, params.notes || null, id]
+            );
+        });
         this.autoSave();
     },
 
     /**
-     * Update just the status of a transaction (for inline status changes)
-     * @param {number} id - Transaction ID
-     * @param {string} status - New status
-     * @param {string} monthPaidValue - Optional month paid value (required for paid/received)
+     * Delete a counterparty
+     * @param {number} id - Counterparty ID
+     * @returns {boolean} Success (false if counterparty is on any transaction or recurring template)
      */
-    setTransactionDateProcessed(id, date) {
-        this.db.run('UPDATE transactions SET date_processed = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [date, id]);
-        this.autoSave();
-    },
-
-    updateTransactionStatus(id, status, monthPaidValue = null) {
-        if (status === 'pending') {
-            // Reverting to pending: clear date_processed and month_paid
-            this.db.run(`
-                UPDATE transactions SET
-                    status = ?,
-                    date_processed = NULL,
-                    month_paid = NULL,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `, [status, id]);
-        } else {
-            // Paid/received: set month_paid (required)
-            const monthPaid = monthPaidValue || Utils.getCurrentMonth();
-            this.db.run(`
-                UPDATE transactions SET
-                    status = ?,
-                    month_paid = ?,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `, [status, monthPaid, id]);
+    deleteCounterparty(id) {
+        if (this.getCounterpartyUsageCount(id) > 0) {
+            return false;
         }
+        const inTemplates = this.db.exec('SELECT COUNT(*) FROM recurring_templates WHERE counterparty_id = ?', [id]);
+        if (inTemplates[0].values[0][0] > 0) {
+            return false;
+        }
+        const onInvoices = this.db.exec('SELECT COUNT(*) FROM invoices WHERE counterparty_id = ?', [id]);
+        if (onInvoices[0].values[0][0] > 0) {
+            return false;
+        }
+        this._audited('counterparties', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM counterparties WHERE id = ?', [id]);
+        });
         this.autoSave();
+        return true;
     },
 
     /**
-     * Delete a transaction
-     * @param {number} id - Transaction ID
+     * Get the number of transactions with a counterparty
+     * @param {number} id - Counterparty ID
+     * @returns {number} Transaction count
      */
-    deleteTransaction(id) {
-        this.db.run('DELETE FROM transactions WHERE id = ?', [id]);
-        this.autoSave();
+    getCounterpartyUsageCount(id) {
+        const result = this.db.exec('SELECT COUNT(*) FROM transactions WHERE counterparty_id = ?', [id]);
+        return result[0].values[0][0];
     },
 
-    // ==================== JOURNAL METADATA ====================
-
     /**
-     * Get journal owner name
-     * @returns {string} Journal owner name (empty string if not set)
+     * Get the category of a counterparty's most recent entry
+     * @param {number} id - Counterparty ID
+     * @returns {Object|null} Category object
      */
-    getJournalOwner() {
-        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'journal_owner'");
-        if (result.length === 0 || result[0].values.length === 0) {
-            return '';
-        }
-        return result[0].values[0][0] || '';
+    getLatestCounterpartyCategory(id) {
+        const result = this.db.exec(
+            `SELECT c.* FROM transactions t
+             JOIN categories c ON c.id = t.category_id
+             WHERE t.counterparty_id = ? AND t.voided_by IS NULL AND (t.source_type IS NULL OR t.source_type != 'void')
+             ORDER BY t.entry_date DESC, t.id DESC LIMIT 1`,
+            [id]
+        );
+        if (result.length === 0) return null;
+        return this.rowsToObjects(result[0])[0];
     },
 
     /**
-     * Set journal owner name
-     * @param {string} owner - Owner/company name
+     * Get each counterparty's open receivable and payable balance as of a month, from the
+     * same ledger AR/AP accounts the Balance Sheet reports
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @returns {Array} [{id, name, counterparty_type, receivable, payable, transaction_count}]
      */
-    setJournalOwner(owner) {
-        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('journal_owner', ?)", [owner]);
-        this.autoSave();
+    getCounterpartyBalancesAsOf(asOfMonth) {
+        const results = this.db.exec(`
+            SELECT cp.id, cp.name, cp.counterparty_type,
+                   ROUND(COALESCE(SUM(CASE WHEN a.code = '1100' THEN jl.debit - jl.credit ELSE 0 END), 0), 2) as receivable,
+                   ROUND(COALESCE(SUM(CASE WHEN a.code = '2000' THEN jl.credit - jl.debit ELSE 0 END), 0), 2) as payable,
+                   (SELECT COUNT(*) FROM transactions WHERE counterparty_id = cp.id) as transaction_count
+            FROM counterparties cp
+            LEFT JOIN transactions t ON t.counterparty_id = cp.id
+            LEFT JOIN journal_lines jl ON jl.source_type = 'transaction' AND jl.source_id = t.id AND jl.month <= ?
+            LEFT JOIN accounts a ON jl.account_id = a.id
+            GROUP BY cp.id
+            ORDER BY cp.name ASC
+        `, [asOfMonth]);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
     },
 
+    // ==================== CASH ACCOUNT OPERATIONS ====================
+
+    /** Kinds of cash account, in the order they are offered */
+    CASH_ACCOUNT_TYPES: ['checking', 'savings', 'credit_card', 'petty_cash'],
+
     /**
-     * Get journal name (legacy support)
-     * @returns {string} Journal name
+     * Create the default account when there are none, so settled money always has somewhere to go
      */
-    getJournalName() {
-        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'journal_name'");
-        if (result.length === 0 || result[0].values.length === 0) {
-            return 'Accounting Journal';
+    seedDefaultCashAccount() {
+        const result = this.db.exec('SELECT COUNT(*) FROM cash_accounts');
+        if (result[0].values[0][0] === 0) {
+            this.db.run("INSERT INTO cash_accounts (name, account_type) VALUES ('Checking', 'checking')");
         }
-        return result[0].values[0][0];
     },
 
     /**
-     * Set journal name (legacy support)
-     * @param {string} name - Journal name
+     * Get all cash accounts
+     * @returns {Array} Array of cash account objects, oldest first
      */
-    setJournalName(name) {
-        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('journal_name', ?)", [name]);
-        this.autoSave();
-    },
-
-    // ==================== SYNC CONFIG (localStorage — survives DB replacement) ====================
-
-    getSyncConfig() {
-        try { return JSON.parse(localStorage.getItem('sync_config')); } catch { return null; }
+    getCashAccounts() {
+        const results = this.db.exec('SELECT * FROM cash_accounts ORDER BY id ASC');
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
     },
 
-    setSyncConfig(config) {
-        localStorage.setItem('sync_config', JSON.stringify(config));
+    /**
+     * Get a cash account by ID
+     * @param {number} id - Cash account ID
+     * @returns {Object|null} Cash account object
+     */
+    getCashAccountById(id) {
+        const results = this.db.exec('SELECT * FROM cash_accounts WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
     },
 
-    clearSyncConfig() {
-        localStorage.removeItem('sync_config');
+    /**
+     * Get the account settlements use when none is given (the oldest one)
+     * @returns {number|null} Cash account ID
+     */
+    getDefaultCashAccountId() {
+        const result = this.db.exec('SELECT MIN(id) FROM cash_accounts');
+        return result.length > 0 ? result[0].values[0][0] : null;
     },
 
-    getSupabaseConfig() {
-        try { return JSON.parse(localStorage.getItem('supabase_config')); } catch { return null; }
+    /**
+     * Resolve the account a settlement goes through, falling back to the default account
+     * @param {number|null} cashAccountId - Requested cash account ID
+     * @returns {number|null} Cash account ID
+     */
+    _settlementAccountId(cashAccountId) {
+        if (cashAccountId && this.getCashAccountById(cashAccountId)) return cashAccountId;
+        return this.getDefaultCashAccountId();
     },
 
-    setSupabaseConfig(config) {
-        localStorage.setItem('supabase_config', JSON.stringify(config));
+    /**
+     * Add a new cash account
+     * @param {Object} params - { name, account_type, notes }
+     * @returns {number} New cash account ID
+     */
+    addCashAccount(params) {
+        this.db.run(
+            'INSERT INTO cash_accounts (name, account_type, notes) VALUES (?, ?, ?)',
+            [params.name.trim(), params.account_type || 'checking', params.notes || null]
+        );
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('cash_accounts', id);
+        this.autoSave();
+        return id;
     },
 
-    // ==================== CALCULATIONS ====================
-
     /**
-     * Calculate summary totals
-     * @returns {Object} Summary object with cashBalance, receivables, payables
+     * Update a cash account
+     * @param {number} id - Cash account ID
+     * @param {Object} params - Fields to update
      */
-    calculateSummary() {
-        const receivedResult = this.db.exec(`
-            SELECT COALESCE(SUM(amount), 0) as total
-            FROM transactions
-            WHERE transaction_type = 'receivable' AND status = 'received'
-        `);
-        const totalReceived = receivedResult[0].values[0][0];
-
-        const paidResult = this.db.exec(`
-            SELECT COALESCE(SUM(amount), 0) as total
-            FROM transactions
-            WHERE transaction_type = 'payable' AND status = 'paid'
-        `);
-        const totalPaid = paidResult[0].values[0][0];
-
-        const receivablesResult = this.db.exec(`
-            SELECT COALESCE(SUM(amount), 0) as total
-            FROM transactions
-            WHERE transaction_type = 'receivable' AND status = 'pending'
-        `);
-        const pendingReceivables = receivablesResult[0].values[0][0];
-
-        const payablesResult = this.db.exec(`
-            SELECT COALESCE(SUM(amount), 0) as total
-            FROM transactions
-            WHERE transaction_type = 'payable' AND status = 'pending'
-        `);
-        const pendingPayables = payablesResult[0].values[0][0];
-
-        return {
-            cashBalance: totalReceived - totalPaid,
-            accountsReceivable: pendingReceivables,
-            accountsPayable: pendingPayables
-        };
+    updateCashAccount(id, params) {
+        this._audited('cash_accounts', 'id = ?', [id], () => {
+            this.db.run(
+                'UPDATE cash_accounts SET name = ?, account_type = ?, notes = ? WHERE id = ?',
+                [params.name.trim(), params.account_type || 'checking', params.notes || null, id]
+            );
+        });
+        this.autoSave();
     },
 
     /**
-     * Check if there are any late payments in the completed transactions
-     * @returns {Object} Object with lateReceivedAmount, latePaidAmount
+     * Delete a cash account
+     * @param {number} id - Cash account ID
+     * @returns {boolean} Success (false if money has moved through it, or it is the last account)
      */
-    checkLatePayments() {
-        const lateReceivedResult = this.db.exec(`
-            SELECT COALESCE(SUM(amount), 0) as total FROM transactions
-            WHERE transaction_type = 'receivable'
-            AND status = 'received'
-            AND month_due IS NOT NULL
-            AND month_paid IS NOT NULL
-            AND month_paid > month_due
-        `);
-        const lateReceivedAmount = lateReceivedResult[0].values[0][0];
-
-        const latePaidResult = this.db.exec(`
-            SELECT COALESCE(SUM(amount), 0) as total FROM transactions
-            WHERE transaction_type = 'payable'
-            AND status = 'paid'
-            AND month_due IS NOT NULL
-            AND month_paid IS NOT NULL
-            AND month_paid > month_due
-        `);
-        const latePaidAmount = latePaidResult[0].values[0][0];
-
-        return {
-            lateReceivedAmount,
-            latePaidAmount,
-            hasLateReceivables: lateReceivedAmount > 0,
-            hasLatePayables: latePaidAmount > 0
-        };
+    deleteCashAccount(id) {
+        if (this.getCashAccountUsageCount(id) > 0 || this.getCashAccounts().length <= 1) {
+            return false;
+        }
+        this._audited('cash_accounts', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM cash_accounts WHERE id = ?', [id]);
+        });
+        this.autoSave();
+        return true;
     },
 
     /**
-     * Get monthly summary data (grouped by entry date)
-     * @returns {Array} Array of monthly summary objects
+     * Get the number of settlements, transfers and reconciliations that went through a cash account
+     * @param {number} id - Cash account ID
+     * @returns {number} Usage count
      */
-    getMonthlySummary() {
+    getCashAccountUsageCount(id) {
         const result = this.db.exec(`
-            SELECT
-                substr(entry_date, 1, 7) as month,
-                SUM(CASE WHEN transaction_type = 'receivable' AND status = 'received' THEN amount ELSE 0 END) as received,
-                SUM(CASE WHEN transaction_type = 'payable' AND status = 'paid' THEN amount ELSE 0 END) as paid,
-                SUM(CASE WHEN transaction_type = 'receivable' AND status = 'pending' THEN amount ELSE 0 END) as pending_receivables,
-                SUM(CASE WHEN transaction_type = 'payable' AND status = 'pending' THEN amount ELSE 0 END) as pending_payables,
-                COUNT(*) as total_entries
-            FROM transactions
-            GROUP BY substr(entry_date, 1, 7)
-            ORDER BY month DESC
-        `);
-
-        if (result.length === 0) return [];
-        return this.rowsToObjects(result[0]);
+            SELECT (SELECT COUNT(*) FROM transactions WHERE cash_account_id = ?)
+                 + (SELECT COUNT(*) FROM transaction_payments WHERE cash_account_id = ?)
+                 + (SELECT COUNT(*) FROM cash_transfers WHERE from_account_id = ? OR to_account_id = ?)
+                 + (SELECT COUNT(*) FROM reconciliations WHERE cash_account_id = ?)
+        `, [id, id, id, id, id]);
+        return result[0].values[0][0];
     },
 
     /**
-     * Get cash flow summary grouped by month_paid (when money actually moved)
-     * Only includes completed transactions (paid/received), grouped by the month they were processed
-     * @returns {Array} Array of cash flow summary objects
+     * Get transfers between cash accounts
+     * @param {number|null} cashAccountId - Limit to transfers in or out of one account
+     * @returns {Array} Transfer objects with from_account_name/to_account_name, newest first
      */
-    getCashFlowSummary() {
-        const result = this.db.exec(`
-            SELECT
-                month_paid as month,
-                SUM(CASE WHEN transaction_type = 'receivable' AND status = 'received' THEN amount ELSE 0 END) as cash_in,
-                SUM(CASE WHEN transaction_type = 'payable' AND status = 'paid' THEN amount ELSE 0 END) as cash_out,
-                COUNT(*) as total_entries
-            FROM transactions
-            WHERE month_paid IS NOT NULL
-            AND status != 'pending'
-            GROUP BY month_paid
-            ORDER BY month DESC
-        `);
+    getCashTransfers(cashAccountId = null) {
+        let query = `
+            SELECT ct.*, fa.name as from_account_name, ta.name as to_account_name
+            FROM cash_transfers ct
+            LEFT JOIN cash_accounts fa ON fa.id = ct.from_account_id
+            LEFT JOIN cash_accounts ta ON ta.id = ct.to_account_id
+        `;
+        const params = [];
+        if (cashAccountId !== null) {
+            query += ' WHERE ct.from_account_id = ? OR ct.to_account_id = ?';
+            params.push(cashAccountId, cashAccountId);
+        }
+        query += ' ORDER BY ct.transfer_date DESC, ct.id DESC';
+        const results = this.db.exec(query, params);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
 
-        if (result.length === 0) return [];
-        return this.rowsToObjects(result[0]);
+    /**
+     * Get a transfer by ID
+     * @param {number} id - Transfer ID
+     * @returns {Object|null} Transfer object
+     */
+    getCashTransferById(id) {
+        const results = this.db.exec('SELECT * FROM cash_transfers WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
     },
 
     /**
-     * Get cash flow data broken down by category and month for spreadsheet view
-     * @returns {Object} { months: string[], data: Object[] }
+     * @param {Object} params - { transfer_date, from_account_id, to_account_id, amount }
+     * @throws {Error} If the transfer doesn't move a positive amount between two different accounts
      */
-    getCashFlowSpreadsheet() {
-        // Get all distinct months from month_paid (sorted ASC)
-        const monthsResult = this.db.exec(`
-            SELECT DISTINCT month_paid as month FROM transactions
-            WHERE month_paid IS NOT NULL AND status != 'pending'
-            ORDER BY month ASC
-        `);
-        const months = monthsResult.length > 0 ? monthsResult[0].values.map(r => r[0]) : [];
+    _validateCashTransfer(params) {
+        if (!params.transfer_date) throw new Error('A transfer needs a date.');
+        if (!params.from_account_id || !params.to_account_id || params.from_account_id === params.to_account_id) {
+            throw new Error('A transfer needs two different accounts.');
+        }
+        if (!(params.amount > 0)) throw new Error('A transfer amount must be greater than zero.');
+    },
 
-        // Get per-category, per-month totals for completed transactions
-        const dataResult = this.db.exec(`
-            SELECT c.name as category_name, c.id as category_id,
-                   c.is_b2b, c.is_cogs,
-                   t.transaction_type, t.month_paid as month,
-                   SUM(t.amount) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.status != 'pending' AND t.month_paid IS NOT NULL
-            GROUP BY c.id, t.month_paid, t.transaction_type
-            ORDER BY c.cashflow_sort_order ASC, c.name ASC
-        `);
-        const data = dataResult.length > 0 ? this.rowsToObjects(dataResult[0]) : [];
+    /**
+     * @param {number} id - Transfer ID
+     * @throws {Error} If either side of the transfer is locked by a reconciliation
+     */
+    _assertCashTransferUnreconciled(id) {
+        const transfer = this.getCashTransferById(id);
+        if (transfer && (transfer.from_reconciliation_id || transfer.to_reconciliation_id)) {
+            throw new Error('This transfer is part of a completed reconciliation. Undo the reconciliation to change it.');
+        }
+    },
 
-        return { months, data };
+    /**
+     * Record money moved from one cash account to another
+     * @param {Object} params - { transfer_date, from_account_id, to_account_id, amount, notes }
+     * @returns {number} New transfer ID
+     */
+    addCashTransfer(params) {
+        this._validateCashTransfer(params);
+        this._assertPeriodOpen([params.transfer_date]);
+        this.db.run(`
+            INSERT INTO cash_transfers (transfer_date, from_account_id, to_account_id, amount, notes)
+            VALUES (?, ?, ?, ?, ?)
+        `, [params.transfer_date, params.from_account_id, params.to_account_id, params.amount, params.notes || null]);
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('cash_transfers', id);
+        this.postCashTransferToLedger(id);
+        this.autoSave();
+        return id;
     },
 
     /**
-     * Get all transactions as flat data for CSV export
-     * @returns {Array} Array of transaction objects with all fields
+     * Update a transfer
+     * @param {number} id - Transfer ID
+     * @param {Object} params - { transfer_date, from_account_id, to_account_id, amount, notes }
      */
-    getTransactionsForExport() {
-        const results = this.db.exec(`
-            SELECT
-                t.entry_date,
-                c.name as category,
-                t.transaction_type as type,
-                t.amount,
-                t.pretax_amount,
-                t.status,
-                t.month_due,
-                t.month_paid,
-                t.date_processed,
-                t.payment_for_month,
-                t.notes
+    updateCashTransfer(id, params) {
+        this._validateCashTransfer(params);
+        this._assertCashTransferUnreconciled(id);
+        this._audited('cash_transfers', 'id = ?', [id], () => {
+            this.db.run(`
+                UPDATE cash_transfers SET transfer_date = ?, from_account_id = ?, to_account_id = ?, amount = ?, notes = ?
+                WHERE id = ?
+            `, [params.transfer_date, params.from_account_id, params.to_account_id, params.amount, params.notes || null, id]);
+        });
+        this.postCashTransferToLedger(id);
+        this.autoSave();
+    },
+
+    /**
+     * Delete a transfer
+     * @param {number} id - Transfer ID
+     */
+    deleteCashTransfer(id) {
+        this._assertCashTransferUnreconciled(id);
+        this._audited('cash_transfers', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM cash_transfers WHERE id = ?', [id]);
+        });
+        this.postCashTransferToLedger(id);
+        this.autoSave();
+    },
+
+    // ==================== TRANSACTION OPERATIONS ====================
+
+    /**
+     * Get all transactions
+     * @param {Object} filters - Optional filters
+     * @returns {Array} Array of transaction objects
+     */
+    getTransactions(filters = {}) {
+        let query = `
+            SELECT t.*, c.name as category_name, c.is_monthly as category_is_monthly,
+                   cp.name as counterparty_name,
+                   (SELECT GROUP_CONCAT(sc.name, ', ') FROM transaction_splits s
+                    JOIN categories sc ON s.category_id = sc.id WHERE s.transaction_id = t.id) as split_categories,
+                   (SELECT COALESCE(SUM(p.amount), 0) FROM transaction_payments p
+                    WHERE p.transaction_id = t.id) as amount_paid,
+                   (t.reconciliation_id IS NOT NULL OR EXISTS (SELECT 1 FROM transaction_payments p
+                    WHERE p.transaction_id = t.id AND p.reconciliation_id IS NOT NULL)) as is_reconciled,
+                   (SELECT COUNT(*) FROM attachments a
+                    WHERE a.owner_type = 'transaction' AND a.owner_id = t.id) as attachment_count,
+                   (SELECT a.thumbnail FROM attachments a WHERE a.owner_type = 'transaction' AND a.owner_id = t.id
+                    AND a.thumbnail IS NOT NULL ORDER BY a.id ASC LIMIT 1) as attachment_thumbnail,
+                   (SELECT GROUP_CONCAT(name, ', ') FROM (SELECT tg.name FROM transaction_tags tt
+                    JOIN tags tg ON tt.tag_id = tg.id WHERE tt.transaction_id = t.id ORDER BY tg.name)) as tag_names,
+                   (SELECT o.entry_date FROM transactions o WHERE o.id = t.source_id
+                    AND t.source_type IN ('refund', 'credit_memo')) as credited_entry_date,
+                   ca.name as cash_account_name
             FROM transactions t
             LEFT JOIN categories c ON t.category_id = c.id
-            ORDER BY t.entry_date DESC, t.id DESC
-        `);
+            LEFT JOIN counterparties cp ON t.counterparty_id = cp.id
+            LEFT JOIN cash_accounts ca ON t.cash_account_id = ca.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (filters.type) {
+            query += ' AND t.transaction_type = ?';
+            params.push(filters.type);
+        }
+
+        if (filters.status) {
+            query += ' AND t.status = ?';
+            params.push(filters.status);
+        }
+
+        if (filters.month) {
+            query += ' AND substr(t.entry_date, 1, 7) = ?';
+            params.push(filters.month);
+        }
+
+        // Folder/category filters match any line of a split transaction
+        if (filters.folderId) {
+            if (filters.folderId === 'unfiled') {
+                query += ` AND EXISTS (SELECT 1 FROM transaction_lines tl JOIN categories lc ON tl.category_id = lc.id
+                           WHERE tl.id = t.id AND lc.folder_id IS NULL)`;
+            } else {
+                query += ` AND EXISTS (SELECT 1 FROM transaction_lines tl JOIN categories lc ON tl.category_id = lc.id
+                           WHERE tl.id = t.id AND lc.folder_id = ?)`;
+                params.push(filters.folderId);
+            }
+        }
+
+        if (filters.categoryId) {
+            query += ' AND EXISTS (SELECT 1 FROM transaction_lines tl WHERE tl.id = t.id AND tl.category_id = ?)';
+            params.push(filters.categoryId);
+        }
+
+        if (filters.tagId) {
+            query += ' AND EXISTS (SELECT 1 FROM transaction_tags tt WHERE tt.transaction_id = t.id AND tt.tag_id = ?)';
+            params.push(filters.tagId);
+        }
+
+        if (filters.counterpartyId) {
+            if (filters.counterpartyId === 'none') {
+                query += ' AND t.counterparty_id IS NULL';
+            } else {
+                query += ' AND t.counterparty_id = ?';
+                params.push(filters.counterpartyId);
+            }
+        }
+
+        query += ' ORDER BY t.entry_date DESC, t.id DESC';
+
+        const results = this.db.exec(query, params);
+        if (results.length === 0) return [];
+
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Get a single transaction by ID
+     * @param {number} id - Transaction ID
+     * @returns {Object|null} Transaction object
+     */
+    getTransactionById(id) {
+        const results = this.db.exec(`
+            SELECT t.*, c.name as category_name, c.is_monthly as category_is_monthly,
+                   cp.name as counterparty_name, ca.name as cash_account_name
+            FROM transactions t
+            LEFT JOIN categories c ON t.category_id = c.id
+            LEFT JOIN counterparties cp ON t.counterparty_id = cp.id
+            LEFT JOIN cash_accounts ca ON t.cash_account_id = ca.id
+            WHERE t.id = ?
+        `, [id]);
+
+        if (results.length === 0) return null;
+        const transaction = this.rowsToObjects(results[0])[0];
+        transaction.splits = this.getTransactionSplits(id);
+        transaction.payments = this.getTransactionPayments(id);
+        transaction.tags = this.getTransactionTags(id);
+        return transaction;
+    },
+
+    /**
+     * Get the category split lines of a transaction
+     * @param {number} transactionId - Transaction ID
+     * @returns {Array} [{id, category_id, category_name, amount}] (empty when not split)
+     */
+    getTransactionSplits(transactionId) {
+        const results = this.db.exec(`
+            SELECT s.id, s.category_id, c.name as category_name, s.amount
+            FROM transaction_splits s
+            LEFT JOIN categories c ON s.category_id = c.id
+            WHERE s.transaction_id = ?
+            ORDER BY s.id ASC
+        `, [transactionId]);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Replace a transaction's split lines. Fewer than two lines clears the split.
+     * The transaction's own category_id follows the first line's category.
+     * @param {number} transactionId - Transaction ID
+     * @param {Array<{category_id: number, amount: number}>} splits - Split lines
+     */
+    _saveTransactionSplits(transactionId, splits) {
+        this.db.run('DELETE FROM transaction_splits WHERE transaction_id = ?', [transactionId]);
+        if (!splits || splits.length < 2) return;
+
+        const stmt = this.db.prepare('INSERT INTO transaction_splits (transaction_id, category_id, amount) VALUES (?, ?, ?)');
+        splits.forEach(line => {
+            stmt.run([transactionId, line.category_id, line.amount]);
+        });
+        stmt.free();
+        this.db.run('UPDATE transactions SET category_id = ? WHERE id = ?', [splits[0].category_id, transactionId]);
+    },
+
+    /**
+     * Add a new transaction
+     * @param {Object} transaction - Transaction data
+     * @returns {number} New transaction ID
+     */
+    addTransaction(transaction) {
+        const id = this._insertTransaction(transaction);
+        this.postTransactionToLedger(id);
+        this.autoSave();
+        return id;
+    },
+
+    /**
+     * Insert a transaction row (and its split lines) without posting it to the ledger
+     * @param {Object} transaction - Transaction data
+     * @returns {number} New transaction ID
+     */
+    _insertTransaction(transaction) {
+        this._assertPeriodOpen(this._periodMonthsOf('transactions', transaction));
+        this.db.run(`
+            INSERT INTO transactions
+            (entry_date, category_id, item_description, amount, pretax_amount, transaction_type,
+             status, date_processed, month_due, month_paid, payment_for_month, notes,
+             source_type, source_id, counterparty_id, cash_account_id, sales_tax_rate_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            transaction.entry_date,
+            transaction.category_id,
+            transaction.item_description || null,
+            transaction.amount,
+            transaction.pretax_amount || null,
+            transaction.transaction_type,
+            transaction.status,
+            transaction.date_processed || null,
+            transaction.month_due || null,
+            transaction.month_paid || null,
+            transaction.payment_for_month || null,
+            transaction.notes || null,
+            transaction.source_type || null,
+            transaction.source_id || null,
+            transaction.counterparty_id || null,
+            transaction.status !== 'pending' ? this._settlementAccountId(transaction.cash_account_id) : null,
+            transaction.sales_tax_rate_id || null
+        ]);
+
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        if (transaction.splits) {
+            this._saveTransactionSplits(id, transaction.splits);
+        }
+        if (transaction.tags) {
+            this._saveTransactionTags(id, transaction.tags);
+        }
+        this._auditCreated('transactions', id);
+        return id;
+    },
+
+    /**
+     * Update a transaction
+     * @param {number} id - Transaction ID
+     * @param {Object} transaction - Transaction data
+     */
+    updateTransaction(id, transaction) {
+        this._assertTransactionUnreconciled(id);
+        this._audited('transactions', 'id = ?', [id], () => {
+            this.db.run(`
+                UPDATE transactions SET
+                    entry_date = ?,
+                    category_id = ?,
+                    item_description = ?,
+                    amount = ?,
+                    pretax_amount = ?,
+                    transaction_type = ?,
+                    status = ?,
+                    date_processed = ?,
+                    month_due = ?,
+                    month_paid = ?,
+                    payment_for_month = ?,
+                    notes = ?,
+                    counterparty_id = ?,
+                    cash_account_id = ?,
+                    sales_tax_rate_id = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [
+                transaction.entry_date,
+                transaction.category_id,
+                transaction.item_description || null,
+                transaction.amount,
+                transaction.pretax_amount || null,
+                transaction.transaction_type,
+                transaction.status,
+                transaction.date_processed || null,
+                transaction.month_due || null,
+                transaction.month_paid || null,
+                transaction.payment_for_month || null,
+                transaction.notes || null,
+                transaction.counterparty_id || null,
+                transaction.status !== 'pending' ? this._settlementAccountId(transaction.cash_account_id) : null,
+                transaction.sales_tax_rate_id || null,
+                id
+            ]);
+            // Callers that don't manage splits or tags (no `splits`/`tags` key) leave them untouched
+            if (transaction.splits) {
+                this._saveTransactionSplits(id, transaction.splits);
+            }
+            if (transaction.tags) {
+                this._saveTransactionTags(id, transaction.tags);
+            }
+        });
+        this._deleteUnusedTags();
+        this.postTransactionToLedger(id);
+        this._syncCreditMemos(id);
+        this.autoSave();
+    },
+
+    /**
+     * Update just the status of a transaction (for inline status changes)
+     * @param {number} id - Transaction ID
+     * @param {string} status - New status
+     * @param {string} monthPaidValue - Optional month paid value (required for paid/received)
+     * @param {number|null} cashAccountId - Account the money went through (defaults to the default account)
+     */
+    setTransactionDateProcessed(id, date) {
+        this._audited('transactions', 'id = ?', [id], () => {
+            this.db.run('UPDATE transactions SET date_processed = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [date, id]);
+        });
+        this.autoSave();
+    },
+
+    updateTransactionStatus(id, status, monthPaidValue = null, cashAccountId = null) {
+        this._assertTransactionUnreconciled(id);
+        this._audited('transactions', 'id = ?', [id], () => {
+            if (status === 'pending') {
+                // Reverting to pending: clear date_processed and month_paid
+                this.db.run(`
+                    UPDATE transactions SET
+                        status = ?,
+                        date_processed = NULL,
+                        month_paid = NULL,
+                        cash_account_id = NULL,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [status, id]);
+            } else {
+                // Paid/received: set month_paid (required)
+                const monthPaid = monthPaidValue || Utils.getCurrentMonth();
+                this.db.run(`
+                    UPDATE transactions SET
+                        status = ?,
+                        month_paid = ?,
+                        cash_account_id = ?,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [status, monthPaid, this._settlementAccountId(cashAccountId), id]);
+            }
+        });
+        this.postTransactionToLedger(id);
+        this._syncCreditMemos(id);
+        this.autoSave();
+    },
+
+    /**
+     * Delete a transaction
+     * @param {number} id - Transaction ID
+     */
+    deleteTransaction(id) {
+        const t = this.getTransactionById(id);
+        if (t && (t.voided_by || t.source_type === 'void')) {
+            throw new Error('A voided entry and its reversing entry stay on the books; undo the void to remove them.');
+        }
+        if (this.getTransactionCredits(id).length > 0) {
+            throw new Error('Delete or void the refunds and credit memos issued against this entry first.');
+        }
+        this._assertTransactionUnreconciled(id);
+        this._assertChangesOpen('transactions', this._getAuditRows('transactions', 'id = ?', [id]), {});
+        this._audited('transaction_payments', 'transaction_id = ?', [id], () => {
+            this.db.run('DELETE FROM transaction_payments WHERE transaction_id = ?', [id]);
+        });
+        this._deleteAttachmentsOf('transaction', 'id = ?', [id]);
+        this._audited('transactions', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM transaction_splits WHERE transaction_id = ?', [id]);
+            this.db.run('DELETE FROM transaction_tags WHERE transaction_id = ?', [id]);
+            this.db.run('DELETE FROM transactions WHERE id = ?', [id]);
+        });
+        this._deleteUnusedTags();
+        this.postTransactionToLedger(id);
+        this.autoSave();
+    },
+
+    /**
+     * Void a transaction. It stays in the months it was reported in, and a reversing entry for
+     * the opposite amount is dated today, so the two cancel out from the current month on.
+     * A settled transaction's reversal is settled today too (the money goes back).
+     * @param {number} id - Transaction ID
+     * @param {string} reason - Optional reason, kept in the reversing entry's notes
+     * @returns {number} Reversing entry ID
+     * @throws {Error} When the transaction can't be voided
+     */
+    voidTransaction(id, reason = '') {
+        const t = this.getTransactionById(id);
+        if (!t) throw new Error('Entry not found.');
+        if (t.voided_by || t.source_type === 'void') {
+            throw new Error('This entry is already voided.');
+        }
+        if (t.source_type === 'asset_purchase' || t.source_type === 'investment') {
+            throw new Error('This entry belongs to a fixed asset or equity event; change it on the Assets & Equity tab.');
+        }
+        if (t.source_type === 'inventory_purchase') {
+            throw new Error('This entry belongs to an inventory purchase; change it on the Inventory tab.');
+        }
+        if (t.status === 'pending' && t.payments.length > 0) {
+            throw new Error('Settle this entry or delete its partial payments before voiding it.');
+        }
+        if (this.getTransactionCredits(id).length > 0) {
+            throw new Error('Void the refunds and credit memos issued against this entry first.');
+        }
+
+        const today = Utils.getTodayDate();
+        const month = today.substring(0, 7);
+        const settled = t.status !== 'pending';
+        const note = `Reverses the ${Utils.formatDate(t.entry_date)} entry`;
+        const reversalId = this._insertTransaction({
+            entry_date: today,
+            category_id: t.category_id,
+            item_description: t.item_description,
+            amount: -t.amount,
+            pretax_amount: t.pretax_amount ? -t.pretax_amount : null,
+            transaction_type: t.transaction_type,
+            status: t.status,
+            date_processed: settled ? today : null,
+            month_due: t.month_due ? month : null,
+            month_paid: settled ? month : null,
+            payment_for_month: t.payment_for_month,
+            notes: reason && reason.trim() ? `${note}: ${reason.trim()}` : note,
+            source_type: 'void',
+            source_id: id,
+            counterparty_id: t.counterparty_id,
+            cash_account_id: t.cash_account_id,
+            sales_tax_rate_id: t.sales_tax_rate_id,
+            splits: t.splits.map(line => ({ category_id: line.category_id, amount: -line.amount }))
+        });
+        this._audited('transactions', 'id = ?', [id], () => {
+            this.db.run('UPDATE transactions SET voided_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [reversalId, id]);
+        });
+        this.postTransactionToLedger(reversalId);
+        this.autoSave();
+        return reversalId;
+    },
+
+    // ==================== REFUNDS & CREDIT MEMOS ====================
 
+    /**
+     * Get the refunds and credit memos issued against a transaction (voided ones left out)
+     * @param {number} transactionId - Transaction ID
+     * @returns {Array} Transactions, oldest first
+     */
+    getTransactionCredits(transactionId) {
+        const results = this.db.exec(`
+            SELECT * FROM transactions
+            WHERE source_type IN ('refund', 'credit_memo') AND source_id = ? AND voided_by IS NULL
+            ORDER BY entry_date ASC, id ASC
+        `, [transactionId]);
         if (results.length === 0) return [];
         return this.rowsToObjects(results[0]);
     },
 
-    // ==================== PROFIT & LOSS ====================
-
     /**
-     * Get total actual revenue per month (accrual-based, from receivable non-COGS categories)
-     * @returns {Object} { 'YYYY-MM': totalRevenue, ... }
+     * How much can still be given back on a transaction. A settled entry can be refunded up to
+     * what hasn't been refunded or credited yet; an open one can be credited up to its remaining balance.
+     * @param {number} transactionId - Transaction ID
+     * @returns {{refundable: number, creditable: number}}
+     */
+    getCreditableAmounts(transactionId) {
+        const t = this.getTransactionById(transactionId);
+        if (!t) return { refundable: 0, creditable: 0 };
+        const credited = this.getTransactionCredits(transactionId).reduce((sum, credit) => sum - credit.amount, 0);
+        return {
+            refundable: t.status !== 'pending' ? Math.round((t.amount - credited) * 100) / 100 : 0,
+            creditable: this.getTransactionRemainingBalance(transactionId)
+        };
+    },
+
+    /**
+     * Issue a refund or credit memo against a transaction. It is an entry of the same type and
+     * category for the opposite amount, dated when it's issued, so it reduces revenue or expense
+     * in that month. A refund moves money back and is settled on its date; a credit memo reduces
+     * an open balance and settles together with the entry it was issued against.
+     * @param {number} id - Transaction ID
+     * @param {Object} credit - { kind: 'refund'|'credit_memo', amount, date, reason }
+     * @returns {number} New refund/credit memo ID
+     * @throws {Error} When the transaction can't be refunded or credited
+     */
+    addTransactionCredit(id, credit) {
+        const t = this.getTransactionById(id);
+        if (!t) throw new Error('Entry not found.');
+        if (t.voided_by || ['void', 'refund', 'credit_memo'].includes(t.source_type)) {
+            throw new Error('Refunds and credit memos can only be issued against an original entry.');
+        }
+        if (t.source_type === 'asset_purchase' || t.source_type === 'investment') {
+            throw new Error('This entry belongs to a fixed asset or equity event; change it on the Assets & Equity tab.');
+        }
+        if (t.source_type === 'inventory_purchase') {
+            throw new Error('This entry belongs to an inventory purchase; change it on the Inventory tab.');
+        }
+
+        const isRefund = credit.kind === 'refund';
+        if (isRefund && t.status === 'pending') {
+            throw new Error('Only a paid or received entry can be refunded; issue a credit memo against its open balance.');
+        }
+        if (!isRefund && t.status !== 'pending') {
+            throw new Error('This entry is already settled; issue a refund instead.');
+        }
+        const amounts = this.getCreditableAmounts(id);
+        const limit = isRefund ? amounts.refundable : amounts.creditable;
+        if (!(credit.amount > 0)) throw new Error('Enter an amount greater than zero.');
+        if (Math.round(credit.amount * 100) > Math.round(limit * 100)) {
+            throw new Error(`At most ${Utils.formatCurrency(limit)} can be ${isRefund ? 'refunded' : 'credited'} on this entry.`);
+        }
+
+        // Tax and split lines are given back in proportion to the original
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const ratio = credit.amount / t.amount;
+        const splits = t.splits.map(line => ({ category_id: line.category_id, amount: -round2(line.amount * ratio) }));
+        if (splits.length > 0) {
+            const rest = splits.slice(0, -1).reduce((sum, line) => sum + line.amount, 0);
+            splits[splits.length - 1].amount = round2(-credit.amount - rest);
+        }
+        const month = credit.date.substring(0, 7);
+        const note = `${isRefund ? 'Refund' : 'Credit memo'} for the ${Utils.formatDate(t.entry_date)} entry`;
+        const reason = (credit.reason || '').trim();
+
+        // The credit and the settlement it completes are saved together or not at all
+        const creditId = this._runLedgerBatch(() => {
+            const newId = this._insertTransaction({
+                entry_date: credit.date,
+                category_id: t.category_id,
+                item_description: t.item_description,
+                amount: -credit.amount,
+                pretax_amount: t.pretax_amount ? -round2(t.pretax_amount * ratio) : null,
+                transaction_type: t.transaction_type,
+                status: t.status,
+                date_processed: isRefund ? credit.date : null,
+                month_due: t.month_due ? month : null,
+                month_paid: isRefund ? month : null,
+                payment_for_month: t.payment_for_month,
+                notes: reason ? `${note}: ${reason}` : note,
+                source_type: credit.kind,
+                source_id: id,
+                counterparty_id: t.counterparty_id,
+                cash_account_id: isRefund ? t.cash_account_id : null,
+                sales_tax_rate_id: t.sales_tax_rate_id,
+                splits
+            });
+            this.postTransactionToLedger(newId);
+
+            // Nothing left to collect or pay once credits cover the balance. Set directly rather than
+            // through updateTransactionStatus: payments reconciled earlier stay as they were.
+            if (!isRefund && this.getTransactionRemainingBalance(id) <= 0) {
+                this._audited('transactions', 'id = ?', [id], () => {
+                    this.db.run(`
+                        UPDATE transactions SET
+                            status = CASE WHEN transaction_type = 'receivable' THEN 'received' ELSE 'paid' END,
+                            month_paid = ?,
+                            date_processed = ?,
+                            cash_account_id = ?,
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE id = ?
+                    `, [month, credit.date, this._settlementAccountId(null), id]);
+                });
+                this.postTransactionToLedger(id);
+                this._syncCreditMemos(id);
+            }
+            return newId;
+        });
+        this.autoSave();
+        return creditId;
+    },
+
+    /**
+     * Keep credit memos settled in step with the entry they were issued against: they share its
+     * status, month paid, date processed and cash account. Given a credit memo, it is synced from its original.
+     * @param {number} transactionId - Transaction ID (an original entry or a credit memo)
+     */
+    _syncCreditMemos(transactionId) {
+        const row = this.db.exec('SELECT source_type, source_id FROM transactions WHERE id = ?', [transactionId]);
+        if (row.length === 0) return;
+        const [sourceType, sourceId] = row[0].values[0];
+        const originalId = sourceType === 'credit_memo' ? sourceId : transactionId;
+
+        const original = this.db.exec('SELECT status, month_paid, date_processed, cash_account_id FROM transactions WHERE id = ?', [originalId]);
+        if (original.length === 0) return;
+        const [status, monthPaid, dateProcessed, cashAccountId] = original[0].values[0];
+
+        const condition = `source_type = 'credit_memo' AND source_id = ? AND voided_by IS NULL
+            AND (status IS NOT ? OR month_paid IS NOT ? OR date_processed IS NOT ? OR cash_account_id IS NOT ?)`;
+        const params = [originalId, status, monthPaid, dateProcessed, cashAccountId];
+        const stale = this.db.exec(`SELECT id FROM transactions WHERE ${condition}`, params);
+        if (stale.length === 0) return;
+
+        this._audited('transactions', condition, params, () => {
+            this.db.run(`
+                UPDATE transactions SET status = ?, month_paid = ?, date_processed = ?, cash_account_id = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE ${condition}
+            `, [status, monthPaid, dateProcessed, cashAccountId, ...params]);
+        });
+        stale[0].values.forEach(([memoId]) => this.postTransactionToLedger(memoId));
+    },
+
+    // ==================== DUPLICATES ====================
+
+    /**
+     * SQL for the month a transaction is booked in when looking for duplicates
+     */
+    DUPLICATE_MONTH_SQL: 'COALESCE(t.month_due, substr(t.entry_date, 1, 7))',
+
+    /**
+     * Find existing entries a new transaction would duplicate: same category, type and amount
+     * in the same month. Voided entries and reversals are ignored.
+     * @param {Object} transaction - Transaction data (category_id, transaction_type, amount, entry_date, month_due)
+     * @param {number|null} excludeId - Transaction ID to leave out (the entry being checked itself)
+     * @returns {Array} Matching transactions, newest first
+     */
+    findDuplicateTransactions(transaction, excludeId = null) {
+        const month = transaction.month_due || (transaction.entry_date || '').substring(0, 7);
+        const results = this.db.exec(`
+            SELECT t.id, t.entry_date, t.item_description, t.amount, t.transaction_type, t.status,
+                   t.month_due, t.notes, c.name as category_name, cp.name as counterparty_name
+            FROM transactions t
+            LEFT JOIN categories c ON t.category_id = c.id
+            LEFT JOIN counterparties cp ON t.counterparty_id = cp.id
+            WHERE t.category_id = ? AND t.transaction_type = ?
+              AND ROUND(t.amount, 2) = ROUND(?, 2)
+              AND ${this.DUPLICATE_MONTH_SQL} = ?
+              AND t.voided_by IS NULL AND t.source_type IS NOT 'void'
+              AND t.id IS NOT ?
+            ORDER BY t.entry_date DESC, t.id DESC
+        `, [transaction.category_id, transaction.transaction_type, transaction.amount, month, excludeId]);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Fold a duplicate into an existing entry instead of adding it. The existing entry keeps its
+     * category, amount and dates; blank fields are filled from the duplicate, notes are appended,
+     * tags are combined, and a pending entry takes the duplicate's settlement.
+     * @param {number} existingId - Transaction ID to keep
+     * @param {Object} transaction - Duplicate transaction data
+     */
+    mergeIntoTransaction(existingId, transaction) {
+        const existing = this.getTransactionById(existingId);
+        if (!existing) throw new Error('Entry not found.');
+
+        const notes = [existing.notes, transaction.notes]
+            .map(note => (note || '').trim())
+            .filter((note, i, all) => note && all.indexOf(note) === i)
+            .join('\n');
+        const merged = {
+            ...existing,
+            item_description: existing.item_description || transaction.item_description,
+            pretax_amount: existing.pretax_amount || transaction.pretax_amount,
+            sales_tax_rate_id: existing.sales_tax_rate_id || transaction.sales_tax_rate_id,
+            counterparty_id: existing.counterparty_id || transaction.counterparty_id,
+            payment_for_month: existing.payment_for_month || transaction.payment_for_month,
+            notes: notes || null,
+            splits: undefined,
+            tags: [...existing.tags, ...Utils.parseTagList(transaction.tags || [])]
+        };
+        if (existing.status === 'pending' && transaction.status && transaction.status !== 'pending') {
+            merged.status = transaction.status;
+            merged.month_paid = transaction.month_paid;
+            merged.date_processed = transaction.date_processed;
+            merged.cash_account_id = transaction.cash_account_id;
+        }
+        this.updateTransaction(existingId, merged);
+    },
+
+    /**
+     * Scan the whole journal for groups of entries sharing category, type, amount and month.
+     * Groups the user marked as not duplicates are left out.
+     * @returns {Array<{key: string, entries: Array}>} Groups, most recent month first; entries oldest first
+     */
+    getDuplicateGroups() {
+        const results = this.db.exec(`
+            SELECT GROUP_CONCAT(t.id) as ids
+            FROM transactions t
+            WHERE t.voided_by IS NULL AND t.source_type IS NOT 'void'
+            GROUP BY t.category_id, t.transaction_type, ROUND(t.amount, 2), ${this.DUPLICATE_MONTH_SQL}
+            HAVING COUNT(*) > 1
+            ORDER BY ${this.DUPLICATE_MONTH_SQL} DESC
+        `);
+        if (results.length === 0) return [];
+
+        const dismissed = this.getDismissedDuplicateGroups();
+        return results[0].values
+            .map(row => row[0].split(',').map(Number).sort((a, b) => a - b))
+            .filter(ids => !dismissed.includes(ids.join(',')))
+            .map(ids => ({
+                key: ids.join(','),
+                entries: ids.map(id => this.getTransactionById(id))
+            }));
+    },
+
+    /**
+     * Get the duplicate groups the user marked as not duplicates
+     * @returns {Array<string>} Group keys (comma-separated transaction IDs)
+     */
+    getDismissedDuplicateGroups() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'dismissed_duplicates'");
+        if (result.length === 0 || result[0].values.length === 0) return [];
+        try {
+            return JSON.parse(result[0].values[0][0]) || [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Mark a duplicate group as not duplicates so the scan stops listing it.
+     * A group that later gains or loses an entry is listed again.
+     * @param {string} key - Group key from getDuplicateGroups
+     */
+    dismissDuplicateGroup(key) {
+        const dismissed = this.getDismissedDuplicateGroups();
+        if (dismissed.includes(key)) return;
+        dismissed.push(key);
+        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('dismissed_duplicates', ?)", [JSON.stringify(dismissed)]);
+        this.autoSave();
+    },
+
+    /**
+     * Merge duplicate entries into the one being kept and delete them, all or nothing.
+     * Attachments move to the kept entry. Entries with payments or a reconciliation can't be merged away.
+     * @param {number} keepId - Transaction ID to keep
+     * @param {Array<number>} duplicateIds - Transaction IDs to merge into it
+     * @throws {Error} When a duplicate can't be removed
+     */
+    mergeDuplicateTransactions(keepId, duplicateIds) {
+        this._runLedgerBatch(() => {
+            duplicateIds.forEach(id => {
+                const duplicate = this.getTransactionById(id);
+                if (!duplicate) return;
+                if (duplicate.payments.length > 0) {
+                    throw new Error(`The ${Utils.formatDate(duplicate.entry_date)} entry has partial payments; delete them before merging.`);
+                }
+                if (this.getTransactionReconciliation(id)) {
+                    throw new Error(`The ${Utils.formatDate(duplicate.entry_date)} entry is reconciled and can't be merged away.`);
+                }
+                this.mergeIntoTransaction(keepId, duplicate);
+                const condition = "owner_type = 'transaction' AND owner_id = ?";
+                this._audited('attachments', condition, [id], () => {
+                    this.db.run(`UPDATE attachments SET owner_id = ? WHERE ${condition}`, [keepId, id]);
+                });
+                this.deleteTransaction(id);
+            });
+        });
+        this.autoSave();
+    },
+
+    // ==================== BULK ACTIONS ====================
+
+    /**
+     * Set the status of several transactions, all or nothing. 'settled' marks payables paid and receivables received.
+     * @param {Array<number>} ids - Transaction IDs
+     * @param {string} status - 'pending' or 'settled'
+     * @param {string|null} monthPaid - Month paid (YYYY-MM) when settling
+     * @param {string|null} dateProcessed - Date processed (YYYY-MM-DD) to set when settling, or null to leave it
+     * @param {number|null} cashAccountId - Account the money went through when settling
+     */
+    bulkUpdateTransactionStatus(ids, status, monthPaid = null, dateProcessed = null, cashAccountId = null) {
+        this._runLedgerBatch(() => {
+            ids.forEach(id => {
+                const transaction = this.getTransactionById(id);
+                if (!transaction) return;
+                const newStatus = status === 'pending'
+                    ? 'pending'
+                    : (transaction.transaction_type === 'receivable' ? 'received' : 'paid');
+                this.updateTransactionStatus(id, newStatus, monthPaid, cashAccountId);
+                if (newStatus !== 'pending' && dateProcessed) {
+                    this.setTransactionDateProcessed(id, dateProcessed);
+                }
+            });
+        });
+    },
+
+    /**
+     * Move several transactions to another category. Split transactions keep their lines.
+     * @param {Array<number>} ids - Transaction IDs
+     * @param {number} categoryId - New category ID
+     * @returns {number} Number of transactions changed (split transactions are skipped)
+     */
+    bulkSetTransactionCategory(ids, categoryId) {
+        let changed = 0;
+        this._runLedgerBatch(() => {
+            ids.forEach(id => {
+                if (this.getTransactionSplits(id).length > 0) return;
+                this._audited('transactions', 'id = ?', [id], () => {
+                    this.db.run('UPDATE transactions SET category_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [categoryId, id]);
+                });
+                this.postTransactionToLedger(id);
+                changed++;
+            });
+        });
+        this.autoSave();
+        return changed;
+    },
+
+    /**
+     * Move the month due of several transactions forward or back
+     * @param {Array<number>} ids - Transaction IDs
+     * @param {number} months - Months to shift (negative to move earlier)
+     * @returns {number} Number of transactions changed (those without a month due are skipped)
+     */
+    bulkShiftMonthDue(ids, months) {
+        let changed = 0;
+        this._runLedgerBatch(() => {
+            ids.forEach(id => {
+                const transaction = this.getTransactionById(id);
+                if (!transaction || !transaction.month_due) return;
+                this._audited('transactions', 'id = ?', [id], () => {
+                    this.db.run('UPDATE transactions SET month_due = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                        [Utils.addMonths(transaction.month_due, months), id]);
+                });
+                this.postTransactionToLedger(id);
+                changed++;
+            });
+        });
+        this.autoSave();
+        return changed;
+    },
+
+    /**
+     * Copy several transactions into another month as new pending entries. The entry date keeps
+     * its day of month; month due and payment-for month move by the same number of months.
+     * Reversing entries, refunds and credit memos only make sense against their original and are skipped.
+     * @param {Array<number>} ids - Transaction IDs
+     * @param {string} targetMonth - Month (YYYY-MM) to copy the entries into
+     * @returns {Array<number>} New transaction IDs
+     */
+    duplicateTransactionsToMonth(ids, targetMonth) {
+        const [year, month] = targetMonth.split('-').map(Number);
+        const lastDay = new Date(year, month, 0).getDate();
+        return this._runLedgerBatch(() => ids.map(id => {
+            const t = this.getTransactionById(id);
+            if (!t || ['void', 'refund', 'credit_memo'].includes(t.source_type)) return null;
+            const offset = Utils.monthDiff(t.entry_date.substring(0, 7), targetMonth);
+            const day = Math.min(Number(t.entry_date.substring(8, 10)), lastDay);
+            return this.addTransaction({
+                entry_date: `${targetMonth}-${String(day).padStart(2, '0')}`,
+                category_id: t.category_id,
+                item_description: t.item_description,
+                amount: t.amount,
+                pretax_amount: t.pretax_amount,
+                sales_tax_rate_id: t.sales_tax_rate_id,
+                transaction_type: t.transaction_type,
+                status: 'pending',
+                month_due: t.month_due ? Utils.addMonths(t.month_due, offset) : null,
+                payment_for_month: t.payment_for_month ? Utils.addMonths(t.payment_for_month, offset) : null,
+                notes: t.notes,
+                counterparty_id: t.counterparty_id,
+                splits: t.splits.map(line => ({ category_id: line.category_id, amount: line.amount })),
+                tags: t.tags
+            });
+        }).filter(Boolean));
+    },
+
+    /**
+     * Delete several transactions, all or nothing
+     * @param {Array<number>} ids - Transaction IDs
+     */
+    bulkDeleteTransactions(ids) {
+        this._runLedgerBatch(() => ids.forEach(id => this.deleteTransaction(id)));
+    },
+
+    /**
+     * Import transactions in a single database transaction: either every row is added or none is.
+     * Rows may name a category that doesn't exist yet (`new_category_name`); it is created once
+     * and shared by every row that names it.
+     * @param {Array<Object>} transactions - Transaction data, each with category_id or new_category_name
+     * @returns {{imported: number, categoriesCreated: number}}
+     */
+    importTransactions(transactions) {
+        const createdCategories = {};
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            transactions.forEach(transaction => {
+                let categoryId = transaction.category_id;
+                if (!categoryId && transaction.new_category_name) {
+                    const key = transaction.new_category_name.trim().toLowerCase();
+                    if (!createdCategories[key]) {
+                        createdCategories[key] = this.addCategory(transaction.new_category_name, false, null, transaction.transaction_type);
+                    }
+                    categoryId = createdCategories[key];
+                }
+                this._insertTransaction({ ...transaction, category_id: categoryId });
+            });
+            this.rebuildLedger();
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+
+        this.autoSave();
+        return { imported: transactions.length, categoriesCreated: Object.keys(createdCategories).length };
+    },
+
+    // ==================== PARTIAL PAYMENTS ====================
+
+    /**
+     * Get the partial payments recorded against a transaction
+     * @param {number} transactionId - Transaction ID
+     * @returns {Array} [{id, transaction_id, payment_date, month_paid, amount, notes, cash_account_id, cash_account_name}] oldest first
+     */
+    getTransactionPayments(transactionId) {
+        const results = this.db.exec(`
+            SELECT p.id, p.transaction_id, p.payment_date, p.month_paid, p.amount, p.notes,
+                   p.cash_account_id, ca.name as cash_account_name
+            FROM transaction_payments p
+            LEFT JOIN cash_accounts ca ON p.cash_account_id = ca.id
+            WHERE p.transaction_id = ?
+            ORDER BY p.month_paid ASC, p.payment_date ASC, p.id ASC
+        `, [transactionId]);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Get how much of a transaction is still open after its partial payments
+     * (0 once it is marked paid/received)
+     * @param {number} transactionId - Transaction ID
+     * @returns {number} Remaining balance
+     */
+    getTransactionRemainingBalance(transactionId) {
+        const result = this.db.exec(`
+            SELECT t.status, t.amount - COALESCE((SELECT SUM(amount) FROM transaction_payments WHERE transaction_id = t.id), 0)
+                + COALESCE((SELECT SUM(m.amount) FROM transactions m WHERE m.source_type = 'credit_memo'
+                    AND m.source_id = t.id AND m.voided_by IS NULL), 0)
+            FROM transactions t WHERE t.id = ?
+        `, [transactionId]);
+        if (result.length === 0) return 0;
+        const [status, remaining] = result[0].values[0];
+        return status === 'pending' ? Math.round(remaining * 100) / 100 : 0;
+    },
+
+    /**
+     * Record a partial payment. Once payments cover the full amount the transaction is
+     * marked paid/received, with month_paid/date_processed/cash account taken from the latest payment.
+     * @param {number} transactionId - Transaction ID
+     * @param {Object} payment - { payment_date, month_paid, amount, notes, cash_account_id }
+     * @returns {number} New payment ID
+     */
+    addTransactionPayment(transactionId, payment) {
+        this._assertPeriodOpen([payment.month_paid]);
+        this.db.run(`
+            INSERT INTO transaction_payments (transaction_id, payment_date, month_paid, amount, notes, cash_account_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            transactionId,
+            payment.payment_date || null,
+            payment.month_paid,
+            payment.amount,
+            payment.notes || null,
+            this._settlementAccountId(payment.cash_account_id)
+        ]);
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('transaction_payments', id);
+
+        if (this.getTransactionRemainingBalance(transactionId) <= 0) {
+            const payments = this.getTransactionPayments(transactionId);
+            const latest = payments[payments.length - 1];
+            this._audited('transactions', 'id = ?', [transactionId], () => {
+                this.db.run(`
+                    UPDATE transactions SET
+                        status = CASE WHEN transaction_type = 'receivable' THEN 'received' ELSE 'paid' END,
+                        month_paid = ?,
+                        date_processed = ?,
+                        cash_account_id = ?,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [latest.month_paid, latest.payment_date || null, latest.cash_account_id, transactionId]);
+            });
+        }
+
+        this.postTransactionToLedger(transactionId);
+        this._syncCreditMemos(transactionId);
+        this.autoSave();
+        return id;
+    },
+
+    /**
+     * Delete a partial payment. A transaction that was settled goes back to pending,
+     * since the removed amount is outstanding again.
+     * @param {number} paymentId - Payment ID
+     */
+    deleteTransactionPayment(paymentId) {
+        const result = this.db.exec('SELECT transaction_id FROM transaction_payments WHERE id = ?', [paymentId]);
+        if (result.length === 0) return;
+        const transactionId = result[0].values[0][0];
+        this._assertTransactionUnreconciled(transactionId);
+        // Checked up front: the transaction goes back to pending after the payment is gone
+        const settled = this.db.exec("SELECT month_paid FROM transactions WHERE id = ? AND status != 'pending'", [transactionId]);
+        this._assertPeriodOpen(settled.length > 0 ? [settled[0].values[0][0]] : []);
+
+        this._audited('transaction_payments', 'id = ?', [paymentId], () => {
+            this.db.run('DELETE FROM transaction_payments WHERE id = ?', [paymentId]);
+        });
+        this._audited('transactions', 'id = ?', [transactionId], () => {
+            this.db.run(`
+                UPDATE transactions SET
+                    status = 'pending',
+                    date_processed = NULL,
+                    month_paid = NULL,
+                    cash_account_id = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status != 'pending'
+            `, [transactionId]);
+        });
+        this.postTransactionToLedger(transactionId);
+        this._syncCreditMemos(transactionId);
+        this.autoSave();
+    },
+
+    // ==================== BANK STATEMENT IMPORT ====================
+
+    /**
+     * Find the transaction a statement line has already been applied to: a settled transaction or
+     * a partial payment with the same direction, amount and date, so re-importing a statement
+     * doesn't double up
+     * @param {string} date - Statement date (YYYY-MM-DD)
+     * @param {number} amount - Signed statement amount (negative = money out)
+     * @param {number|null} cashAccountId - Cash account the statement is for (defaults to the default account)
+     * @returns {number|null} Transaction ID
+     */
+    findRecordedStatementLine(date, amount, cashAccountId = null) {
+        const type = amount < 0 ? 'payable' : 'receivable';
+        const value = Math.round(Math.abs(amount) * 100) / 100;
+        const accountId = this._settlementAccountId(cashAccountId);
+        const results = this.db.exec(`
+            SELECT id FROM transactions
+            WHERE status != 'pending' AND date_processed = ? AND transaction_type = ? AND ROUND(amount, 2) = ?
+              AND cash_account_id = ?
+            UNION ALL
+            SELECT p.transaction_id FROM transaction_payments p
+            JOIN transactions t ON p.transaction_id = t.id
+            WHERE p.payment_date = ? AND t.transaction_type = ? AND ROUND(p.amount, 2) = ? AND p.cash_account_id = ?
+            LIMIT 1
+        `, [date, type, value, accountId, date, type, value, accountId]);
+        if (results.length === 0) return null;
+        return results[0].values[0][0];
+    },
+
+    /**
+     * Apply reviewed bank statement lines in a single database transaction.
+     * A line smaller than its matched transaction's open balance is recorded as a partial payment.
+     * Otherwise the transaction is settled on the statement date: one with earlier partial payments
+     * gets a final payment for the remainder, the rest are marked paid/received outright.
+     * @param {Array<{transaction_id: number, date: string, amount: number}>} matches - Pending transactions and the (unsigned) amounts applied
+     * @param {Array<Object>} newTransactions - Transactions to add for unmatched lines
+     * @param {number|null} cashAccountId - Cash account the statement is for (defaults to the default account)
+     * @returns {{settled: number, created: number}}
+     */
+    applyBankStatement(matches, newTransactions, cashAccountId = null) {
+        const accountId = this._settlementAccountId(cashAccountId);
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            matches.forEach(({ transaction_id: id, date, amount }) => {
+                const month = date.substring(0, 7);
+                this._assertPeriodOpen([month]);
+                const remaining = this.getTransactionRemainingBalance(id);
+                const insertPayment = (value) => {
+                    this.db.run(
+                        'INSERT INTO transaction_payments (transaction_id, payment_date, month_paid, amount, notes, cash_account_id) VALUES (?, ?, ?, ?, ?, ?)',
+                        [id, date, month, value, 'Bank statement', accountId]
+                    );
+                    this._auditCreated('transaction_payments', this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0]);
+                };
+                if (Math.round(amount * 100) < Math.round(remaining * 100)) {
+                    insertPayment(amount);
+                    return;
+                }
+                const paidResult = this.db.exec('SELECT COALESCE(SUM(amount), 0) FROM transaction_payments WHERE transaction_id = ?', [id]);
+                if (paidResult[0].values[0][0] > 0) {
+                    insertPayment(remaining);
+                }
+                this._audited('transactions', 'id = ?', [id], () => {
+                    this.db.run(`
+                        UPDATE transactions SET
+                            status = CASE WHEN transaction_type = 'receivable' THEN 'received' ELSE 'paid' END,
+                            month_paid = ?,
+                            date_processed = ?,
+                            cash_account_id = ?,
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE id = ? AND status = 'pending'
+                    `, [month, date, accountId, id]);
+                });
+                this._syncCreditMemos(id);
+            });
+            newTransactions.forEach(transaction => this._insertTransaction({ ...transaction, cash_account_id: accountId }));
+            this.rebuildLedger();
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+
+        this.autoSave();
+        return { settled: matches.length, created: newTransactions.length };
+    },
+
+    // ==================== RECONCILIATION ====================
+
+    /**
+     * Where a reconciliation item's cleared flag and reconciliation lock live. A transfer is
+     * reconciled separately on each side: once on the account it left, once on the one it reached.
+     * @param {string} kind - 'payment', 'transaction', 'transfer_out' or 'transfer_in'
+     * @returns {{table: string, cleared: string, reconciliation: string}}
+     */
+    _reconciliationItemColumns(kind) {
+        if (kind === 'payment') return { table: 'transaction_payments', cleared: 'cleared', reconciliation: 'reconciliation_id' };
+        if (kind === 'transfer_out') return { table: 'cash_transfers', cleared: 'from_cleared', reconciliation: 'from_reconciliation_id' };
+        if (kind === 'transfer_in') return { table: 'cash_transfers', cleared: 'to_cleared', reconciliation: 'to_reconciliation_id' };
+        return { table: 'transactions', cleared: 'cleared', reconciliation: 'reconciliation_id' };
+    },
+
+    /**
+     * Get one cash account's movements not yet reconciled, up to a statement date. Each partial
+     * payment is its own item; a settled transaction contributes whatever its payments didn't cover;
+     * transfers appear on both accounts they touch.
+     * @param {string} statementDate - Statement ending date (YYYY-MM-DD)
+     * @param {number|null} cashAccountId - Cash account (defaults to the default account)
+     * @returns {Array} [{kind: 'payment'|'transaction'|'transfer_out'|'transfer_in', id, transaction_id, date,
+     *                    amount (signed, + = deposit), item_description, category_name, cleared}]
+     */
+    getReconciliationItems(statementDate, cashAccountId = null) {
+        const accountId = this._settlementAccountId(cashAccountId);
+        const results = this.db.exec(`
+            SELECT * FROM (
+                SELECT 'payment' as kind, p.id, t.id as transaction_id,
+                       COALESCE(p.payment_date, p.month_paid || '-01') as date,
+                       CASE WHEN t.transaction_type = 'receivable' THEN p.amount ELSE -p.amount END as amount,
+                       t.item_description, c.name as category_name, p.cleared
+                FROM transaction_payments p
+                JOIN transactions t ON p.transaction_id = t.id
+                LEFT JOIN categories c ON t.category_id = c.id
+                WHERE p.reconciliation_id IS NULL AND p.cash_account_id = ?
+                UNION ALL
+                SELECT 'transaction' as kind, t.id, t.id as transaction_id,
+                       COALESCE(t.date_processed, t.month_paid || '-01') as date,
+                       CASE WHEN t.transaction_type = 'receivable' THEN 1 ELSE -1 END *
+                           (t.amount - (SELECT COALESCE(SUM(p.amount), 0) FROM transaction_payments p WHERE p.transaction_id = t.id)) as amount,
+                       t.item_description, c.name as category_name, t.cleared
+                FROM transactions t
+                LEFT JOIN categories c ON t.category_id = c.id
+                WHERE t.status != 'pending' AND t.reconciliation_id IS NULL AND t.cash_account_id = ?
+                UNION ALL
+                SELECT 'transfer_out' as kind, ct.id, NULL as transaction_id, ct.transfer_date as date, -ct.amount as amount,
+                       'Transfer to ' || COALESCE(ca.name, 'another account') as item_description, NULL as category_name,
+                       ct.from_cleared as cleared
+                FROM cash_transfers ct
+                LEFT JOIN cash_accounts ca ON ca.id = ct.to_account_id
+                WHERE ct.from_reconciliation_id IS NULL AND ct.from_account_id = ?
+                UNION ALL
+                SELECT 'transfer_in' as kind, ct.id, NULL as transaction_id, ct.transfer_date as date, ct.amount as amount,
+                       'Transfer from ' || COALESCE(ca.name, 'another account') as item_description, NULL as category_name,
+                       ct.to_cleared as cleared
+                FROM cash_transfers ct
+                LEFT JOIN cash_accounts ca ON ca.id = ct.from_account_id
+                WHERE ct.to_reconciliation_id IS NULL AND ct.to_account_id = ?
+            )
+            WHERE date <= ? AND ABS(amount) >= 0.005
+            ORDER BY date ASC, transaction_id ASC
+        `, [accountId, accountId, accountId, accountId, statementDate]);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]).map(item => ({ ...item, amount: Math.round(item.amount * 100) / 100 }));
+    },
+
+    /**
+     * Tick or untick a reconciliation item as cleared
+     * @param {string} kind - 'payment', 'transaction', 'transfer_out' or 'transfer_in'
+     * @param {number} id - Payment, transaction or transfer ID
+     * @param {boolean} cleared
+     */
+    setReconciliationItemCleared(kind, id, cleared) {
+        const columns = this._reconciliationItemColumns(kind);
+        this._audited(columns.table, 'id = ?', [id], () => {
+            this.db.run(
+                `UPDATE ${columns.table} SET ${columns.cleared} = ? WHERE id = ? AND ${columns.reconciliation} IS NULL`,
+                [cleared ? 1 : 0, id]
+            );
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Get completed reconciliations, newest first
+     * @param {number|null} cashAccountId - Limit to one cash account
+     * @returns {Array} [{id, statement_date, statement_balance, opening_balance, cash_account_id, created_at, item_count}]
+     */
+    getReconciliations(cashAccountId = null) {
+        let query = `
+            SELECT r.*,
+                   (SELECT COUNT(*) FROM transactions t WHERE t.reconciliation_id = r.id) +
+                   (SELECT COUNT(*) FROM transaction_payments p WHERE p.reconciliation_id = r.id) +
+                   (SELECT COUNT(*) FROM cash_transfers ct WHERE ct.from_reconciliation_id = r.id OR ct.to_reconciliation_id = r.id) as item_count
+            FROM reconciliations r
+        `;
+        const params = [];
+        if (cashAccountId !== null) {
+            query += ' WHERE r.cash_account_id = ?';
+            params.push(cashAccountId);
+        }
+        query += ' ORDER BY r.statement_date DESC, r.id DESC';
+        const results = this.db.exec(query, params);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Save a reconciliation: every cleared item of the account up to the statement date is locked to it
+     * @param {string} statementDate - Statement ending date (YYYY-MM-DD)
+     * @param {number} statementBalance - Statement ending balance
+     * @param {number} openingBalance - Balance the cleared items start from
+     * @param {number|null} cashAccountId - Cash account the statement is for (defaults to the default account)
+     * @returns {number} New reconciliation ID
+     */
+    saveReconciliation(statementDate, statementBalance, openingBalance, cashAccountId = null) {
+        const accountId = this._settlementAccountId(cashAccountId);
+        const cleared = this.getReconciliationItems(statementDate, accountId).filter(item => item.cleared);
+        this.db.run(
+            'INSERT INTO reconciliations (statement_date, statement_balance, opening_balance, cash_account_id) VALUES (?, ?, ?, ?)',
+            [statementDate, statementBalance, openingBalance, accountId]
+        );
+        const id = this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0];
+        this._auditCreated('reconciliations', id);
+        cleared.forEach(item => {
+            const columns = this._reconciliationItemColumns(item.kind);
+            this._audited(columns.table, 'id = ?', [item.id], () => {
+                this.db.run(`UPDATE ${columns.table} SET ${columns.reconciliation} = ? WHERE id = ?`, [id, item.id]);
+            });
+        });
+        this.db.run("DELETE FROM app_meta WHERE key = 'reconciliation_draft'");
+        this.autoSave();
+        return id;
+    },
+
+    /**
+     * Undo an account's most recent reconciliation, unlocking its items (they stay ticked as cleared)
+     * @param {number|null} cashAccountId - Cash account (defaults to the default account)
+     * @returns {boolean} False if there is nothing to undo
+     */
+    undoLastReconciliation(cashAccountId = null) {
+        const last = this.getReconciliations(this._settlementAccountId(cashAccountId))[0];
+        if (!last) return false;
+        ['payment', 'transaction', 'transfer_out', 'transfer_in'].forEach(kind => {
+            const columns = this._reconciliationItemColumns(kind);
+            this._audited(columns.table, `${columns.reconciliation} = ?`, [last.id], () => {
+                this.db.run(`UPDATE ${columns.table} SET ${columns.reconciliation} = NULL WHERE ${columns.reconciliation} = ?`, [last.id]);
+            });
+        });
+        this._audited('reconciliations', 'id = ?', [last.id], () => {
+            this.db.run('DELETE FROM reconciliations WHERE id = ?', [last.id]);
+        });
+        this.autoSave();
+        return true;
+    },
+
+    /**
+     * Get the reconciliation that locks a transaction (directly or through one of its payments)
+     * @param {number} transactionId - Transaction ID
+     * @returns {Object|null} Reconciliation row
+     */
+    getTransactionReconciliation(transactionId) {
+        const results = this.db.exec(`
+            SELECT r.* FROM reconciliations r
+            WHERE r.id IN (
+                SELECT reconciliation_id FROM transactions WHERE id = ?
+                UNION SELECT reconciliation_id FROM transaction_payments WHERE transaction_id = ?
+            )
+            ORDER BY r.statement_date DESC
+            LIMIT 1
+        `, [transactionId, transactionId]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
+    },
+
+    /**
+     * @param {number} transactionId - Transaction ID
+     * @throws {Error} If the transaction or one of its payments is locked by a reconciliation
+     */
+    _assertTransactionUnreconciled(transactionId) {
+        const reconciliation = this.getTransactionReconciliation(transactionId);
+        if (reconciliation) {
+            throw new Error(`Reconciled on the ${Utils.formatDate(reconciliation.statement_date)} statement. Undo that reconciliation to change this entry.`);
+        }
+    },
+
+    /**
+     * Get the in-progress reconciliation's account, statement date and balance
+     * @returns {Object|null} { cash_account_id, statement_date, statement_balance, opening_balance }
+     */
+    getReconciliationDraft() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'reconciliation_draft'");
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        try {
+            return JSON.parse(result[0].values[0][0]);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Save the in-progress reconciliation's account, statement date and balance
+     * @param {Object} draft - { cash_account_id, statement_date, statement_balance, opening_balance }
+     */
+    setReconciliationDraft(draft) {
+        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('reconciliation_draft', ?)", [JSON.stringify(draft)]);
+        this.autoSave();
+    },
+
+    // ==================== TAGS ====================
+
+    /**
+     * Get every tag with how many transactions carry it
+     * @returns {Array} [{id, name, usage_count}] sorted by name
+     */
+    getTags() {
+        const results = this.db.exec(`
+            SELECT tg.id, tg.name, COUNT(tt.transaction_id) as usage_count
+            FROM tags tg
+            LEFT JOIN transaction_tags tt ON tt.tag_id = tg.id
+            GROUP BY tg.id
+            ORDER BY tg.name COLLATE NOCASE
+        `);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Get a transaction's tag names
+     * @param {number} transactionId - Transaction ID
+     * @returns {Array<string>} Tag names sorted alphabetically
+     */
+    getTransactionTags(transactionId) {
+        const results = this.db.exec(`
+            SELECT tg.name FROM transaction_tags tt
+            JOIN tags tg ON tt.tag_id = tg.id
+            WHERE tt.transaction_id = ?
+            ORDER BY tg.name
+        `, [transactionId]);
+        if (results.length === 0) return [];
+        return results[0].values.map(row => row[0]);
+    },
+
+    /**
+     * Replace a transaction's tags, creating tags that don't exist yet (names match case-insensitively)
+     * @param {number} transactionId - Transaction ID
+     * @param {Array<string>|string} tags - Tag names, or a comma-separated list
+     */
+    _saveTransactionTags(transactionId, tags) {
+        this.db.run('DELETE FROM transaction_tags WHERE transaction_id = ?', [transactionId]);
+        Utils.parseTagList(tags).forEach(name => {
+            const existing = this.db.exec('SELECT id FROM tags WHERE name = ?', [name]);
+            let tagId;
+            if (existing.length > 0) {
+                tagId = existing[0].values[0][0];
+            } else {
+                this.db.run('INSERT INTO tags (name) VALUES (?)', [name]);
+                tagId = this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0];
+                this._auditCreated('tags', tagId);
+            }
+            this.db.run('INSERT OR IGNORE INTO transaction_tags (transaction_id, tag_id) VALUES (?, ?)', [transactionId, tagId]);
+        });
+    },
+
+    /**
+     * Remove tags no transaction carries any more
+     */
+    _deleteUnusedTags() {
+        const condition = 'id NOT IN (SELECT tag_id FROM transaction_tags)';
+        this._audited('tags', condition, [], () => {
+            this.db.run(`DELETE FROM tags WHERE ${condition}`);
+        });
+    },
+
+    /**
+     * Totals by tag and month for one year. Entries fall in their month due (their entry month
+     * when they have none); an entry with several tags counts toward each of them.
+     * @param {string} year - Year (YYYY)
+     * @param {string} type - 'net' (receivables less payables), 'receivable' or 'payable'
+     * @returns {Object} { months, rows: [{id, name, amounts, total}], totals, total }
+     *   where `totals` count every tagged entry once
+     */
+    getTagSummary(year, type = 'net') {
+        const months = Array.from({ length: 12 }, (_, i) => `${year}-${String(i + 1).padStart(2, '0')}`);
+        const signedAmount = type === 'net'
+            ? "CASE WHEN t.transaction_type = 'receivable' THEN t.amount ELSE -t.amount END"
+            : 't.amount';
+        const typeFilter = type === 'net' ? '' : 'AND t.transaction_type = ?';
+        const params = type === 'net' ? [year] : [year, type];
+
+        const results = this.db.exec(`
+            SELECT tg.id, tg.name, COALESCE(t.month_due, substr(t.entry_date, 1, 7)) as month,
+                   SUM(${signedAmount}) as total
+            FROM transaction_tags tt
+            JOIN tags tg ON tt.tag_id = tg.id
+            JOIN transactions t ON tt.transaction_id = t.id
+            WHERE substr(COALESCE(t.month_due, t.entry_date), 1, 4) = ? ${typeFilter}
+            GROUP BY tg.id, month
+        `, params);
+
+        const rows = this.getTags().map(tag => ({ id: tag.id, name: tag.name, amounts: months.map(() => 0), total: 0 }));
+        const rowsById = {};
+        rows.forEach(row => { rowsById[row.id] = row; });
+        if (results.length > 0) {
+            this.rowsToObjects(results[0]).forEach(r => {
+                const row = rowsById[r.id];
+                const index = months.indexOf(r.month);
+                if (!row || index === -1) return;
+                row.amounts[index] = Math.round(r.total * 100) / 100;
+                row.total = Math.round((row.total + r.total) * 100) / 100;
+            });
+        }
+
+        const totals = months.map(() => 0);
+        const distinct = this.db.exec(`
+            SELECT COALESCE(t.month_due, substr(t.entry_date, 1, 7)) as month, SUM(${signedAmount}) as total
+            FROM transactions t
+            WHERE t.id IN (SELECT transaction_id FROM transaction_tags)
+              AND substr(COALESCE(t.month_due, t.entry_date), 1, 4) = ? ${typeFilter}
+            GROUP BY month
+        `, params);
+        if (distinct.length > 0) {
+            this.rowsToObjects(distinct[0]).forEach(r => {
+                const index = months.indexOf(r.month);
+                if (index !== -1) totals[index] = Math.round(r.total * 100) / 100;
+            });
+        }
+
+        return {
+            months,
+            rows: rows.filter(row => row.amounts.some(v => v !== 0)),
+            totals,
+            total: Math.round(totals.reduce((sum, v) => sum + v, 0) * 100) / 100
+        };
+    },
+
+    // ==================== ATTACHMENTS ====================
+
+    /** Largest file that may be attached (bytes) */
+    ATTACHMENT_MAX_BYTES: 5 * 1024 * 1024,
+
+    /**
+     * Tables attachments can belong to, by owner type
+     */
+    ATTACHMENT_OWNER_TABLES: {
+        transaction: 'transactions',
+        asset: 'balance_sheet_assets',
+        loan: 'loans'
+    },
+
+    /**
+     * Attach a receipt or document to a transaction, fixed asset or loan
+     * @param {string} ownerType - 'transaction', 'asset' or 'loan'
+     * @param {number} ownerId - Owner record ID
+     * @param {Object} file - { file_name, mime_type, data (Uint8Array), thumbnail (data URL or null) }
+     * @returns {number} New attachment ID
+     * @throws {Error} When the file isn't an image or PDF, is too large, or the owner doesn't exist
+     */
+    addAttachment(ownerType, ownerId, file) {
+        const ownerTable = this.ATTACHMENT_OWNER_TABLES[ownerType];
+        if (!ownerTable) throw new Error(`Unknown attachment owner: ${ownerType}`);
+        if (!file.mime_type.startsWith('image/') && file.mime_type !== 'application/pdf') {
+            throw new Error(`${file.file_name} is not an image or PDF`);
+        }
+        if (file.data.length > this.ATTACHMENT_MAX_BYTES) {
+            throw new Error(`${file.file_name} is larger than ${this.ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB`);
+        }
+        const owner = this.db.exec(`SELECT id FROM ${ownerTable} WHERE id = ?`, [ownerId]);
+        if (owner.length === 0) throw new Error('The record to attach to no longer exists');
+
+        this.db.run(
+            'INSERT INTO attachments (owner_type, owner_id, file_name, mime_type, size, data, thumbnail) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [ownerType, ownerId, file.file_name, file.mime_type, file.data.length, file.data, file.thumbnail || null]
+        );
+        const id = this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0];
+        this._auditCreated('attachments', id);
+        this.autoSave();
+        return id;
+    },
+
+    /**
+     * List a record's attachments without their file contents
+     * @param {string} ownerType - 'transaction', 'asset' or 'loan'
+     * @param {number} ownerId - Owner record ID
+     * @returns {Array} [{id, file_name, mime_type, size, thumbnail, created_at}]
+     */
+    getAttachments(ownerType, ownerId) {
+        const results = this.db.exec(`
+            SELECT id, file_name, mime_type, size, thumbnail, created_at
+            FROM attachments
+            WHERE owner_type = ? AND owner_id = ?
+            ORDER BY id ASC
+        `, [ownerType, ownerId]);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Get one attachment with its file contents
+     * @param {number} id - Attachment ID
+     * @returns {Object|null} {id, owner_type, owner_id, file_name, mime_type, size, data (Uint8Array)}
+     */
+    getAttachment(id) {
+        const results = this.db.exec(
+            'SELECT id, owner_type, owner_id, file_name, mime_type, size, data FROM attachments WHERE id = ?',
+            [id]
+        );
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
+    },
+
+    /**
+     * Delete an attachment
+     * @param {number} id - Attachment ID
+     */
+    deleteAttachment(id) {
+        this._audited('attachments', 'id = ?', [id], () => {
+            this._trashAttachments('id = ?', [id]);
+            this.db.run('DELETE FROM attachments WHERE id = ?', [id]);
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Delete the attachments of the owner records matching a condition (used when the owners are deleted)
+     * @param {string} ownerType - 'transaction', 'asset' or 'loan'
+     * @param {string} where - SQL condition on the owner table
+     * @param {Array} params - Condition parameters
+     */
+    _deleteAttachmentsOf(ownerType, where, params) {
+        const condition = `owner_type = ? AND owner_id IN (SELECT id FROM ${this.ATTACHMENT_OWNER_TABLES[ownerType]} WHERE ${where})`;
+        this._audited('attachments', condition, [ownerType, ...params], () => {
+            this._trashAttachments(condition, [ownerType, ...params]);
+            this.db.run(`DELETE FROM attachments WHERE ${condition}`, [ownerType, ...params]);
+        });
+    },
+
+    /**
+     * Move the file contents of attachments about to be deleted to attachment_trash. The audit
+     * log leaves them out, so this is where undoing the deletion restores them from.
+     * @param {string} where - SQL condition on attachments
+     * @param {Array} params - Condition parameters
+     */
+    _trashAttachments(where, params) {
+        this.db.run(
+            `INSERT OR REPLACE INTO attachment_trash (attachment_id, data) SELECT id, data FROM attachments WHERE ${where}`,
+            params
+        );
+    },
+
+    /**
+     * Drop trashed file contents once no deletion on the undo or redo stack can bring them back
+     */
+    _pruneAttachmentTrash() {
+        if (this.db.exec('SELECT 1 FROM attachment_trash LIMIT 1').length === 0) return;
+        const history = this._getUndoHistory();
+        const batchIds = [...history.undo, ...history.redo];
+        this.db.run(`
+            DELETE FROM attachment_trash
+            WHERE attachment_id NOT IN (
+                SELECT CAST(record_id AS INTEGER) FROM audit_log
+                WHERE table_name = 'attachments' AND batch_id IN (${batchIds.map(() => '?').join(', ')})
+            )
+        `, batchIds);
+    },
+
+    // ==================== INVOICES ====================
+
+    /**
+     * Suggest the next invoice number: one more than the highest numeric invoice number so far
+     * @returns {string} Invoice number (starts at 1001)
+     */
+    getNextInvoiceNumber() {
+        const result = this.db.exec("SELECT MAX(CAST(invoice_number AS INTEGER)) FROM invoices WHERE invoice_number GLOB '[0-9]*'");
+        const highest = result.length > 0 ? result[0].values[0][0] : null;
+        return String(highest ? highest + 1 : 1001);
+    },
+
+    /**
+     * Get receivables not yet on an invoice, optionally for one customer
+     * @param {number|null} counterpartyId - Customer ID (null for all)
+     * @returns {Array} Transactions, oldest month due first
+     */
+    getUninvoicedReceivables(counterpartyId = null) {
+        let query = `
+            SELECT t.*, c.name as category_name, cp.name as counterparty_name
+            FROM transactions t
+            LEFT JOIN categories c ON t.category_id = c.id
+            LEFT JOIN counterparties cp ON t.counterparty_id = cp.id
+            WHERE t.transaction_type = 'receivable' AND t.invoice_number IS NULL
+              AND t.voided_by IS NULL AND COALESCE(t.source_type, '') NOT IN ('void', 'refund', 'credit_memo')
+        `;
+        const params = [];
+        if (counterpartyId) {
+            query += ' AND t.counterparty_id = ?';
+            params.push(counterpartyId);
+        }
+        query += ' ORDER BY t.month_due ASC, t.entry_date ASC, t.id ASC';
+        const results = this.db.exec(query, params);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Get all invoices with their customer and totals, newest first
+     * @returns {Array} [{id, invoice_number, counterparty_id, counterparty_name, issue_date, due_date, notes, line_count, total}]
+     */
+    getInvoices() {
+        const results = this.db.exec(`
+            SELECT i.*, cp.name as counterparty_name,
+                   (SELECT COUNT(*) FROM transactions t WHERE t.invoice_number = i.invoice_number) as line_count,
+                   (SELECT COALESCE(SUM(t.amount), 0) FROM transactions t WHERE t.invoice_number = i.invoice_number) as total
+            FROM invoices i
+            LEFT JOIN counterparties cp ON i.counterparty_id = cp.id
+            ORDER BY i.issue_date DESC, i.id DESC
+        `);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Get an invoice with its customer and line items. Each receivable is one line; the sales tax
+     * on a line is whatever its amount carries above the pretax amount.
+     * @param {number} id - Invoice ID
+     * @returns {Object|null} { ...invoice, counterparty, lines: [{transaction_id, description, month_due, pretax, tax, amount}],
+     *                          subtotal, sales_tax, total }
+     */
+    getInvoice(id) {
+        const results = this.db.exec('SELECT * FROM invoices WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        const invoice = this.rowsToObjects(results[0])[0];
+        invoice.counterparty = invoice.counterparty_id ? this.getCounterpartyById(invoice.counterparty_id) : null;
+
+        const lineResults = this.db.exec(`
+            SELECT t.id, t.item_description, t.amount, t.pretax_amount, t.month_due, t.payment_for_month,
+                   c.name as category_name
+            FROM transactions t
+            LEFT JOIN categories c ON t.category_id = c.id
+            WHERE t.invoice_number = ?
+            ORDER BY t.month_due ASC, t.entry_date ASC, t.id ASC
+        `, [invoice.invoice_number]);
+        const rows = lineResults.length > 0 ? this.rowsToObjects(lineResults[0]) : [];
+
+        invoice.lines = rows.map(row => {
+            const pretax = row.pretax_amount !== null && row.pretax_amount !== undefined ? row.pretax_amount : row.amount;
+            return {
+                transaction_id: row.id,
+                description: row.item_description || row.category_name || '',
+                month_due: row.month_due,
+                payment_for_month: row.payment_for_month,
+                pretax: pretax,
+                tax: Math.round((row.amount - pretax) * 100) / 100,
+                amount: row.amount
+            };
+        });
+        invoice.subtotal = Math.round(invoice.lines.reduce((sum, line) => sum + line.pretax, 0) * 100) / 100;
+        invoice.sales_tax = Math.round(invoice.lines.reduce((sum, line) => sum + line.tax, 0) * 100) / 100;
+        invoice.total = Math.round(invoice.lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+        return invoice;
+    },
+
+    /**
+     * Create an invoice from receivables and stamp its number on each of them
+     * @param {Object} params - { invoice_number, counterparty_id, issue_date, due_date, notes }
+     * @param {Array<number>} transactionIds - Receivables to bill (none may already be invoiced)
+     * @returns {number} New invoice ID
+     */
+    createInvoice(params, transactionIds) {
+        const invoiceNumber = String(params.invoice_number).trim();
+        const taken = this.db.exec('SELECT COUNT(*) FROM invoices WHERE invoice_number = ?', [invoiceNumber]);
+        if (taken[0].values[0][0] > 0) {
+            throw new Error(`Invoice number ${invoiceNumber} is already used`);
+        }
+
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            transactionIds.forEach(transactionId => {
+                const check = this.db.exec(
+                    "SELECT COUNT(*) FROM transactions WHERE id = ? AND transaction_type = 'receivable' AND invoice_number IS NULL AND voided_by IS NULL AND COALESCE(source_type, '') NOT IN ('void', 'refund', 'credit_memo')",
+                    [transactionId]
+                );
+                if (check[0].values[0][0] === 0) {
+                    throw new Error(`Transaction #${transactionId} is not an uninvoiced receivable`);
+                }
+                this._audited('transactions', 'id = ?', [transactionId], () => {
+                    this.db.run('UPDATE transactions SET invoice_number = ? WHERE id = ?', [invoiceNumber, transactionId]);
+                });
+            });
+            this.db.run(
+                'INSERT INTO invoices (invoice_number, counterparty_id, issue_date, due_date, notes) VALUES (?, ?, ?, ?, ?)',
+                [invoiceNumber, params.counterparty_id || null, params.issue_date, params.due_date || null, params.notes || null]
+            );
+            const id = this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0];
+            this._auditCreated('invoices', id);
+            this.db.run('COMMIT');
+            this.autoSave();
+            return id;
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+    },
+
+    /**
+     * Delete an invoice; its receivables become available to invoice again
+     * @param {number} id - Invoice ID
+     */
+    deleteInvoice(id) {
+        const results = this.db.exec('SELECT invoice_number FROM invoices WHERE id = ?', [id]);
+        if (results.length === 0) return;
+        this._audited('transactions', 'invoice_number = ?', [results[0].values[0][0]], () => {
+            this.db.run('UPDATE transactions SET invoice_number = NULL WHERE invoice_number = ?', [results[0].values[0][0]]);
+        });
+        this._audited('invoices', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM invoices WHERE id = ?', [id]);
+        });
+        this.autoSave();
+    },
+
+    // ==================== JOURNAL METADATA ====================
+
+    /**
+     * Get journal owner name
+     * @returns {string} Journal owner name (empty string if not set)
+     */
+    getJournalOwner() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'journal_owner'");
+        if (result.length === 0 || result[0].values.length === 0) {
+            return '';
+        }
+        return result[0].values[0][0] || '';
+    },
+
+    /**
+     * Set journal owner name
+     * @param {string} owner - Owner/company name
+     */
+    setJournalOwner(owner) {
+        this._audited('app_meta', 'key = ?', ['journal_owner'], () => {
+            this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('journal_owner', ?)", [owner]);
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Get journal name (legacy support)
+     * @returns {string} Journal name
+     */
+    getJournalName() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'journal_name'");
+        if (result.length === 0 || result[0].values.length === 0) {
+            return 'Accounting Journal';
+        }
+        return result[0].values[0][0];
+    },
+
+    /**
+     * Set journal name (legacy support)
+     * @param {string} name - Journal name
+     */
+    setJournalName(name) {
+        this._audited('app_meta', 'key = ?', ['journal_name'], () => {
+            this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('journal_name', ?)", [name]);
+        });
+        this.autoSave();
+    },
+
+    // ==================== PERIOD CLOSE ====================
+
+    /**
+     * Get the last closed month. It and every earlier month are locked.
+     * @returns {string|null} Month (YYYY-MM), or null when no period is closed
+     */
+    getClosedThrough() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'closed_through'");
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        return result[0].values[0][0] || null;
+    },
+
+    /**
+     * Whether a month is in the closed period
+     * @param {string|null} month - Month (YYYY-MM) or date (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    isMonthClosed(month) {
+        const closedThrough = this.getClosedThrough();
+        return Boolean(month && closedThrough && month.substring(0, 7) <= closedThrough);
+    },
+
+    /**
+     * Close every month up to and including `month`. The lock is not audited, so undo can't
+     * lift it; only reopenPeriod can.
+     * @param {string} month - Month (YYYY-MM)
+     * @throws {Error} When the month is already closed or hasn't started yet
+     */
+    closePeriod(month) {
+        const closedThrough = this.getClosedThrough();
+        if (closedThrough && month <= closedThrough) {
+            throw new Error(`The books are already closed through ${Utils.formatMonthShort(closedThrough)}.`);
+        }
+        if (month > Utils.getCurrentMonth()) {
+            throw new Error(`${Utils.formatMonthShort(month)} hasn't started yet; only past and current months can be closed.`);
+        }
+        this._setClosedThrough('close', month, null);
+    },
+
+    /**
+     * Reopen `month` and every closed month after it
+     * @param {string} month - First month to reopen (YYYY-MM)
+     * @param {string} reason - Why the period is reopened, kept in the period close log
+     * @throws {Error} When the month isn't closed or no reason is given
+     */
+    reopenPeriod(month, reason) {
+        const closedThrough = this.getClosedThrough();
+        if (!closedThrough || month > closedThrough) {
+            throw new Error(`${Utils.formatMonthShort(month)} is not closed.`);
+        }
+        if (!reason || !reason.trim()) {
+            throw new Error('Give a reason for reopening the period.');
+        }
+        this._setClosedThrough('reopen', Utils.addMonths(month, -1), reason.trim());
+    },
+
+    /**
+     * Move the lock and log who moved it
+     * @param {string} action - 'close' or 'reopen'
+     * @param {string} closedThrough - New last closed month (YYYY-MM)
+     * @param {string|null} reason - Reason (reopening only)
+     */
+    _setClosedThrough(action, closedThrough, reason) {
+        const user = typeof SyncService !== 'undefined' ? SyncService.currentUser : '';
+        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('closed_through', ?)", [closedThrough]);
+        this.db.run(
+            'INSERT INTO period_closes (action, closed_through, reason, user_name) VALUES (?, ?, ?, ?)',
+            [action, closedThrough, reason, user || null]
+        );
+        this.autoSave();
+    },
+
+    /**
+     * Get every close and reopen, newest first
+     * @returns {Array} [{id, action, closed_through, reason, user_name, created_at}]
+     */
+    getPeriodCloseLog() {
+        const results = this.db.exec('SELECT * FROM period_closes ORDER BY id DESC');
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Months a record affects, for the tables whose changes reach the statements
+     * @param {string} table - Table name
+     * @param {Object} row - Record (or the values about to be inserted)
+     * @returns {Array<string|null>} Months (YYYY-MM) or dates (YYYY-MM-DD)
+     */
+    _periodMonthsOf(table, row) {
+        if (table === 'transactions') return [row.entry_date, row.month_due, row.month_paid];
+        if (table === 'transaction_payments') return [row.month_paid];
+        if (table === 'cash_transfers') return [row.transfer_date];
+        if (table === 'inventory_purchases') return [row.purchase_date];
+        if (table === 'inventory_sales') return [row.sale_date];
+        if (table === 'payroll_runs') return [row.pay_date];
+        if (table === 'paychecks') {
+            const run = this.getPayrollRunById(row.run_id);
+            return [run ? run.pay_date : null];
+        }
+        if (table === 'pl_overrides' || table === 'cashflow_overrides') return [row.month];
+        if (table === 'balance_sheet_assets') return [row.purchase_date, row.dep_start_date];
+        if (table === 'loans') return [row.start_date];
+        if (table === 'loan_skipped_payments' || table === 'loan_payment_overrides') {
+            // A schedule change only matters from the month that payment falls in
+            const loan = this.getLoanById(row.loan_id);
+            const payment = loan && Utils.computeAmortizationSchedule(loan)[row.payment_number - 1];
+            return [payment ? payment.month : null];
+        }
+        return [];
+    },
+
+    /**
+     * @param {Array<string|null>} months - Months (YYYY-MM) or dates (YYYY-MM-DD) a change touches
+     * @throws {Error} With code 'PERIOD_CLOSED' when any of them is closed
+     */
+    _assertPeriodOpen(months) {
+        const closedThrough = this.getClosedThrough();
+        if (!closedThrough) return;
+        const closed = months
+            .filter(month => month && month.substring(0, 7) <= closedThrough)
+            .map(month => month.substring(0, 7))
+            .sort()[0];
+        if (closed) {
+            const label = closed === this.LEDGER_OPENING_MONTH ? 'The opening balance' : Utils.formatMonthShort(closed);
+            const error = new Error(`${label} is in a closed period (the books are closed through ${Utils.formatMonthShort(closedThrough)}). Reopen the period to change it.`);
+            error.code = 'PERIOD_CLOSED';
+            throw error;
+        }
+    },
+
+    /**
+     * Transaction columns that only matter in the month the money moved, so entries from a
+     * closed period can still be settled in an open one
+     */
+    PERIOD_SETTLEMENT_COLUMNS: ['status', 'month_paid', 'date_processed', 'cash_account_id'],
+
+    /**
+     * Transaction columns that don't reach the statements, so entries from a closed period
+     * can still be invoiced or voided
+     */
+    PERIOD_FREE_COLUMNS: ['invoice_number', 'voided_by', 'updated_at'],
+
+    /**
+     * @param {string} table - Table name
+     * @param {Object} before - Records before the change, keyed by record ID as returned by _getAuditRows
+     * @param {Object} after - The same records after the change ({} for a delete)
+     * @throws {Error} With code 'PERIOD_CLOSED' when the change touches a closed month
+     */
+    _assertChangesOpen(table, before, after) {
+        if (!this.getClosedThrough()) return;
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(recordId => {
+            const oldRow = before[recordId];
+            const newRow = after[recordId];
+            if (table === 'transactions' && oldRow && newRow) {
+                const changed = Object.keys(newRow).filter(column =>
+                    !this.PERIOD_FREE_COLUMNS.includes(column) && String(oldRow[column]) !== String(newRow[column]));
+                if (changed.length === 0) return;
+                if (changed.every(column => this.PERIOD_SETTLEMENT_COLUMNS.includes(column))) {
+                    this._assertPeriodOpen([oldRow.month_paid, newRow.month_paid]);
+                    return;
+                }
+            }
+            this._assertPeriodOpen([
+                ...(oldRow ? this._periodMonthsOf(table, oldRow) : []),
+                ...(newRow ? this._periodMonthsOf(table, newRow) : [])
+            ]);
+        });
+    },
+
+    /**
+     * Run a change that re-posts the ledger from settings rather than from dated records
+     * (category flags, the tax mode, equity), refusing it when it would move any posting
+     * in a closed month. Changes that only reach open months go through.
+     * @param {Function} change - Performs the change and re-posts the ledger
+     * @returns {*} Whatever `change` returns
+     * @throws {Error} With code 'PERIOD_CLOSED' when a closed month's postings would change
+     */
+    _runOpenPeriodChange(change) {
+        const closedThrough = this.getClosedThrough();
+        if (!closedThrough) return change();
+
+        const closedPostings = () => {
+            const results = this.db.exec(`
+                SELECT month || ':' || account_id || ':' || COALESCE(category_id, ''), ROUND(SUM(debit - credit), 2)
+                FROM journal_lines
+                WHERE month <= ?
+                GROUP BY month, account_id, category_id
+            `, [closedThrough]);
+            const postings = {};
+            if (results.length > 0) {
+                results[0].values.forEach(([key, net]) => { if (net !== 0) postings[key] = net; });
+            }
+            return postings;
+        };
+
+        const before = closedPostings();
+        this.db.run('SAVEPOINT open_period_change');
+        let result;
+        try {
+            result = change();
+            const after = closedPostings();
+            const changedMonths = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                .filter(key => before[key] !== after[key])
+                .map(key => key.split(':')[0]);
+            this._assertPeriodOpen(changedMonths);
+        } catch (error) {
+            this.db.run('ROLLBACK TO open_period_change');
+            this.db.run('RELEASE open_period_change');
+            throw error;
+        }
+        this.db.run('RELEASE open_period_change');
+        return result;
+    },
+
+    // ==================== SYNC CONFIG (localStorage — survives DB replacement) ====================
+
+    getSyncConfig() {
+        try { return JSON.parse(localStorage.getItem('sync_config')); } catch { return null; }
+    },
+
+    setSyncConfig(config) {
+        localStorage.setItem('sync_config', JSON.stringify(config));
+    },
+
+    clearSyncConfig() {
+        localStorage.removeItem('sync_config');
+    },
+
+    getSupabaseConfig() {
+        try { return JSON.parse(localStorage.getItem('supabase_config')); } catch { return null; }
+    },
+
+    setSupabaseConfig(config) {
+        localStorage.setItem('supabase_config', JSON.stringify(config));
+    },
+
+    // ==================== CALCULATIONS ====================
+
+    /**
+     * Calculate summary totals
+     * @returns {Object} Summary object with cashBalance, receivables, payables
+     */
+    calculateSummary() {
+        // Money moved: partial payments plus settled transactions (see transaction_settlements)
+        const settledResult = this.db.exec(`
+            SELECT
+                COALESCE(SUM(CASE WHEN t.transaction_type = 'receivable' THEN s.amount ELSE 0 END), 0) as received,
+                COALESCE(SUM(CASE WHEN t.transaction_type = 'payable' THEN s.amount ELSE 0 END), 0) as paid
+            FROM transaction_settlements s
+            JOIN transactions t ON s.transaction_id = t.id
+        `);
+        const [totalReceived, totalPaid] = settledResult[0].values[0];
+
+        // Open balances: pending amounts less what has been paid on them so far
+        const openResult = this.db.exec(`
+            SELECT
+                COALESCE(SUM(CASE WHEN t.transaction_type = 'receivable' THEN t.amount - COALESCE(p.paid, 0) ELSE 0 END), 0),
+                COALESCE(SUM(CASE WHEN t.transaction_type = 'payable' THEN t.amount - COALESCE(p.paid, 0) ELSE 0 END), 0)
+            FROM transactions t
+            LEFT JOIN (
+                SELECT transaction_id, SUM(amount) as paid FROM transaction_payments GROUP BY transaction_id
+            ) p ON p.transaction_id = t.id
+            WHERE t.status = 'pending'
+        `);
+        const [pendingReceivables, pendingPayables] = openResult[0].values[0];
+
+        return {
+            cashBalance: totalReceived - totalPaid,
+            accountsReceivable: pendingReceivables,
+            accountsPayable: pendingPayables
+        };
+    },
+
+    /**
+     * Check if there are any late payments in the completed transactions
+     * @returns {Object} Object with lateReceivedAmount, latePaidAmount
+     */
+    checkLatePayments() {
+        const lateReceivedResult = this.db.exec(`
+            SELECT COALESCE(SUM(amount), 0) as total FROM transactions
+            WHERE transaction_type = 'receivable'
+            AND status = 'received'
+            AND voided_by IS NULL AND COALESCE(source_type, '') NOT IN ('void', 'credit_memo')
+            AND month_due IS NOT NULL
+            AND month_paid IS NOT NULL
+            AND month_paid > month_due
+        `);
+        const lateReceivedAmount = lateReceivedResult[0].values[0][0];
+
+        const latePaidResult = this.db.exec(`
+            SELECT COALESCE(SUM(amount), 0) as total FROM transactions
+            WHERE transaction_type = 'payable'
+            AND status = 'paid'
+            AND voided_by IS NULL AND COALESCE(source_type, '') NOT IN ('void', 'credit_memo')
+            AND month_due IS NOT NULL
+            AND month_paid IS NOT NULL
+            AND month_paid > month_due
+        `);
+        const latePaidAmount = latePaidResult[0].values[0][0];
+
+        return {
+            lateReceivedAmount,
+            latePaidAmount,
+            hasLateReceivables: lateReceivedAmount > 0,
+            hasLatePayables: latePaidAmount > 0
+        };
+    },
+
+    /**
+     * Get monthly summary data (grouped by entry date). Money received/paid counts partial
+     * payments, and voided entries are left out together with their reversing entries.
+     * @returns {Array} Array of monthly summary objects
+     */
+    getMonthlySummary() {
+        const result = this.db.exec(`
+            SELECT
+                substr(t.entry_date, 1, 7) as month,
+                SUM(CASE WHEN t.transaction_type = 'receivable' THEN COALESCE(s.settled, 0) ELSE 0 END) as received,
+                SUM(CASE WHEN t.transaction_type = 'payable' THEN COALESCE(s.settled, 0) ELSE 0 END) as paid,
+                SUM(CASE WHEN t.transaction_type = 'receivable' AND t.status = 'pending' THEN t.amount - COALESCE(s.settled, 0) ELSE 0 END) as pending_receivables,
+                SUM(CASE WHEN t.transaction_type = 'payable' AND t.status = 'pending' THEN t.amount - COALESCE(s.settled, 0) ELSE 0 END) as pending_payables,
+                COUNT(*) as total_entries
+            FROM transactions t
+            LEFT JOIN (
+                SELECT transaction_id, SUM(amount) as settled FROM transaction_settlements GROUP BY transaction_id
+            ) s ON s.transaction_id = t.id
+            WHERE t.voided_by IS NULL AND t.source_type IS NOT 'void'
+            GROUP BY substr(t.entry_date, 1, 7)
+            ORDER BY month DESC
+        `);
+
+        if (result.length === 0) return [];
+        return this.rowsToObjects(result[0]);
+    },
+
+    /**
+     * Get cash flow summary grouped by the month money actually moved (see transaction_settlements),
+     * so partial payments count in the month they were made. Voided entries are left out together
+     * with their reversing entries.
+     * @returns {Array} Array of cash flow summary objects
+     */
+    getCashFlowSummary() {
+        const result = this.db.exec(`
+            SELECT
+                s.month as month,
+                SUM(CASE WHEN t.transaction_type = 'receivable' THEN s.amount ELSE 0 END) as cash_in,
+                SUM(CASE WHEN t.transaction_type = 'payable' THEN s.amount ELSE 0 END) as cash_out,
+                COUNT(DISTINCT t.id) as total_entries
+            FROM transaction_settlements s
+            JOIN transactions t ON s.transaction_id = t.id
+            WHERE t.voided_by IS NULL AND t.source_type IS NOT 'void'
+            GROUP BY s.month
+            ORDER BY month DESC
+        `);
+
+        if (result.length === 0) return [];
+        return this.rowsToObjects(result[0]);
+    },
+
+    /**
+     * Get cash flow data broken down by category and month for spreadsheet view
+     * @param {number|null} cashAccountId - Limit to money through one cash account
+     * @returns {Object} { months: string[], data: Object[] }, plus for one account
+     *                   transfers: { month: { in, out } } and cashAccount
+     */
+    getCashFlowSpreadsheet(cashAccountId = null) {
+        const accountFilter = cashAccountId !== null ? ' AND s.cash_account_id = ?' : '';
+        const params = cashAccountId !== null ? [cashAccountId] : [];
+
+        // Get all distinct months money moved in (sorted ASC)
+        const monthsResult = this.db.exec(`
+            SELECT DISTINCT month FROM transaction_settlements s
+            WHERE 1=1${accountFilter}
+            ORDER BY month ASC
+        `, params);
+        const months = monthsResult.length > 0 ? monthsResult[0].values.map(r => r[0]) : [];
+
+        // Get per-category, per-month totals of settlements (partial payments included),
+        // prorated across the lines of split transactions
+        const dataResult = this.db.exec(`
+            SELECT c.name as category_name, c.id as category_id,
+                   c.is_b2b, c.is_cogs,
+                   t.transaction_type, s.month as month,
+                   ROUND(SUM(s.amount * t.amount / t.transaction_amount), 2) as total
+            FROM transaction_lines t
+            JOIN transaction_settlements s ON s.transaction_id = t.id
+            JOIN categories c ON t.category_id = c.id
+            WHERE t.transaction_amount != 0${accountFilter}
+            GROUP BY c.id, s.month, t.transaction_type
+            ORDER BY c.cashflow_sort_order ASC, c.name ASC
+        `, params);
+        const data = dataResult.length > 0 ? this.rowsToObjects(dataResult[0]) : [];
+
+        if (cashAccountId === null) return { months, data };
+
+        // Transfers only move money between accounts, so they show up for one account at a time
+        const transfers = {};
+        this.getCashTransfers(cashAccountId).forEach(transfer => {
+            const month = transfer.transfer_date.substring(0, 7);
+            const entry = transfers[month] = transfers[month] || { in: 0, out: 0 };
+            if (transfer.to_account_id === cashAccountId) entry.in += transfer.amount;
+            if (transfer.from_account_id === cashAccountId) entry.out += transfer.amount;
+            if (!months.includes(month)) months.push(month);
+        });
+        months.sort();
+
+        return { months, data, transfers, cashAccount: this.getCashAccountById(cashAccountId) };
+    },
+
+    /**
+     * Get all transactions as flat data for CSV export
+     * @param {Array<number>|null} ids - Only these transactions (null for all)
+     * @returns {Array} Array of transaction objects with all fields
+     */
+    getTransactionsForExport(ids = null) {
+        const idFilter = ids ? `WHERE t.id IN (${ids.map(() => '?').join(', ')})` : '';
+        const results = this.db.exec(`
+            SELECT
+                t.entry_date,
+                c.name as category,
+                cp.name as counterparty,
+                t.transaction_type as type,
+                t.amount,
+                t.pretax_amount,
+                t.status,
+                t.month_due,
+                t.month_paid,
+                t.date_processed,
+                ca.name as cash_account,
+                t.payment_for_month,
+                t.notes,
+                (SELECT GROUP_CONCAT(sc.name || ' (' || printf('%.2f', s.amount) || ')', '; ')
+                 FROM transaction_splits s JOIN categories sc ON s.category_id = sc.id
+                 WHERE s.transaction_id = t.id) as splits,
+                (SELECT GROUP_CONCAT(name, ', ') FROM (SELECT tg.name FROM transaction_tags tt
+                 JOIN tags tg ON tt.tag_id = tg.id WHERE tt.transaction_id = t.id ORDER BY tg.name)) as tags,
+                CASE WHEN t.source_type IN ('refund', 'credit_memo') THEN t.source_type END as credit_type,
+                (SELECT o.entry_date FROM transactions o WHERE o.id = t.source_id
+                 AND t.source_type IN ('refund', 'credit_memo')) as credited_entry_date
+            FROM transactions t
+            LEFT JOIN categories c ON t.category_id = c.id
+            LEFT JOIN counterparties cp ON t.counterparty_id = cp.id
+            LEFT JOIN cash_accounts ca ON t.cash_account_id = ca.id
+            ${idFilter}
+            ORDER BY t.entry_date DESC, t.id DESC
+        `, ids || []);
+
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    // ==================== PROFIT & LOSS ====================
+
+    /**
+     * Get what transactions posted to the P&L accounts, by category and month. It reads
+     * the ledger, so the P&L routes every entry exactly as retained earnings do: loan
+     * payments, hidden categories and entries without a month_due stay off it, and a
+     * receivable in a COGS category reduces COGS. Revenue totals are credits, the rest debits.
+     * @returns {Object} { revenue, cogs, opex, depreciation } - Rows of {category_id, category_name, is_b2b, month, total}
+     */
+    _getPLTransactionRows() {
+        const sections = { '4000': 'revenue', '5000': 'cogs', '6000': 'opex', '6100': 'depreciation' };
+        const rows = { revenue: [], cogs: [], opex: [], depreciation: [] };
+        const result = this.db.exec(`
+            SELECT c.id as category_id, c.name as category_name, c.is_b2b, jl.month, a.code,
+                   SUM(jl.debit - jl.credit) as net
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            JOIN categories c ON jl.category_id = c.id
+            WHERE jl.source_type = 'transaction' AND a.code IN ('4000', '5000', '6000', '6100')
+            GROUP BY c.id, jl.month, a.code
+            ORDER BY c.cashflow_sort_order ASC, c.name ASC, jl.month ASC
+        `);
+        if (result.length === 0) return rows;
+        this.rowsToObjects(result[0]).forEach(({ code, net, ...row }) => {
+            const total = Math.round((code === '4000' ? -net : net) * 100) / 100;
+            rows[sections[code]].push({ ...row, total });
+        });
+        return rows;
+    },
+
+    /**
+     * Get total actual revenue per month (accrual-based, as posted to the Revenue account)
+     * @returns {Object} { 'YYYY-MM': totalRevenue, ... }
+     */
+    getActualRevenueByMonth() {
+        const map = {};
+        this._getPLTransactionRows().revenue.forEach(row => {
+            map[row.month] = (map[row.month] || 0) + row.total;
+        });
+        return map;
+    },
+
+    /**
+     * Get P&L-consistent revenue by month, respecting pl_overrides.
+     * Returns total per month and optional B2B/consumer split (via is_b2b flag).
+     * Matches P&L revenue computation so progress tracker aligns with P&L tab.
+     * @returns {Object} { total: { 'YYYY-MM': number }, b2b: { 'YYYY-MM': number }, consumer: { 'YYYY-MM': number } }
+     */
+    getPLRevenueByMonth() {
+        const overrides = this.getAllPLOverrides();
+
+        // Revenue per category per month (same rows as the P&L spreadsheet)
+        const revenue = this._getPLTransactionRows().revenue;
+
+        const total = {}, b2b = {}, consumer = {};
+        revenue.forEach(row => {
+            // Apply P&L override if one exists for this category+month
+            const overrideKey = `${row.category_id}-${row.month}`;
+            const amount = (overrideKey in overrides) ? overrides[overrideKey] : row.total;
+
+            total[row.month] = (total[row.month] || 0) + amount;
+            if (row.is_b2b) {
+                b2b[row.month] = (b2b[row.month] || 0) + amount;
+            } else {
+                consumer[row.month] = (consumer[row.month] || 0) + amount;
+            }
+        });
+
+        // Also include override-only categories (categories with overrides but no transactions)
+        Object.keys(overrides).forEach(key => {
+            const [catIdStr, month] = key.split('-');
+            const catId = parseInt(catIdStr);
+            if (catId < 0) return; // skip tax override
+            // Check if this is a revenue category we haven't already counted
+            const alreadyCounted = revenue.some(row => row.category_id === catId && row.month === month);
+            if (!alreadyCounted) {
+                const catResult = this.db.exec(
+                    `SELECT is_b2b FROM categories WHERE id = ? AND is_cogs = 0 AND show_on_pl != 1`, [catId]
+                );
+                if (catResult.length > 0 && catResult[0].values.length > 0) {
+                    const isB2b = catResult[0].values[0][0];
+                    const amount = overrides[key];
+                    total[month] = (total[month] || 0) + amount;
+                    if (isB2b) {
+                        b2b[month] = (b2b[month] || 0) + amount;
+                    } else {
+                        consumer[month] = (consumer[month] || 0) + amount;
+                    }
+                }
+            }
+        });
+
+        return { total, b2b, consumer };
+    },
+
+    /**
+     * Get P&L spreadsheet data (accrual-based: uses month_due, includes all statuses)
+     * Revenue is the pretax amount posted to the Revenue account.
+     * @returns {Object} { months, revenue, cogs, opex, depreciation, ... }
+     */
+    getPLSpreadsheet() {
+        // Get all distinct months from month_due (accrual basis)
+        const monthsResult = this.db.exec(`
+            SELECT DISTINCT t.month_due as month FROM transactions t
+            WHERE t.month_due IS NOT NULL
+            ORDER BY month ASC
+        `);
+        const months = monthsResult.length > 0 ? monthsResult[0].values.map(r => r[0]) : [];
+
+        // Revenue, COGS, OpEx and depreciation as the transactions posted them to the ledger
+        const { revenue, cogs, opex, depreciation: deprRows } = this._getPLTransactionRows();
+
+        // Depreciation: every category flagged is_depreciation=1, shown regardless of show_on_pl,
+        // with what was posted to it (a P&L override replaces a month's value)
+        const deprByCategory = {};
+        deprRows.forEach(row => {
+            (deprByCategory[row.category_id] = deprByCategory[row.category_id] || {})[row.month] = row.total;
+        });
+        const depreciationResult = this.db.exec(`
+            SELECT id as category_id, name as category_name
+            FROM categories
+            WHERE is_depreciation = 1
+            ORDER BY cashflow_sort_order ASC, name ASC
+        `);
+        const depreciation = depreciationResult.length > 0
+            ? this.rowsToObjects(depreciationResult[0]).map(cat => ({ ...cat, months: deprByCategory[cat.category_id] || {} }))
+            : [];
+
+        // Computed asset depreciation, cost of inventory sold and loan interest by month
+        const assetDeprByMonth = this.getAssetDepreciationByMonth(null);
+        const inventoryCogsByMonth = this.getInventoryCogsByMonth(null);
+        const loanInterestByMonth = this.getLoanInterestByMonth(null);
+
+        // Merge their month keys into the master months array
+        const allMonths = new Set(months);
+        Object.keys(assetDeprByMonth).forEach(m => allMonths.add(m));
+        Object.keys(inventoryCogsByMonth).forEach(m => allMonths.add(m));
+        Object.keys(loanInterestByMonth).forEach(m => allMonths.add(m));
+        const mergedMonths = Array.from(allMonths).sort();
+
+        return { months: mergedMonths, revenue, cogs, opex, depreciation, assetDeprByMonth, inventoryCogsByMonth, loanInterestByMonth };
+    },
+
+    /**
+     * Compute total operating expenses per month, matching P&L renderer exactly.
+     * Sums: opex categories (with overrides), depreciation categories (from overrides),
+     * asset depreciation, and loan interest.
+     * @param {string[]} months - Array of month strings (YYYY-MM)
+     * @returns {{ [month: string]: number }} Per-month total operating expenses
+     */
+    getMonthlyTotalOpex(months) {
+        const plData = this.getPLSpreadsheet();
+        const overrides = this.getAllPLOverrides();
+        const result = {};
+        months.forEach(m => { result[m] = 0; });
+
+        // Group opex by category → { catId: { months: { m: total } } }
+        const opexByCat = {};
+        (plData.opex || []).forEach(row => {
+            if (!opexByCat[row.category_id]) opexByCat[row.category_id] = {};
+            opexByCat[row.category_id][row.month] = (opexByCat[row.category_id][row.month] || 0) + row.total;
+        });
+
+        // Opex categories (with overrides)
+        Object.entries(opexByCat).forEach(([catId, catMonths]) => {
+            months.forEach(m => {
+                const key = `${catId}-${m}`;
+                const computed = catMonths[m] || 0;
+                const val = (key in overrides) ? overrides[key] : computed;
+                result[m] += val;
+            });
+        });
+
+        // Depreciation categories (with overrides)
+        (plData.depreciation || []).forEach(cat => {
+            months.forEach(m => {
+                const key = `${cat.category_id}-${m}`;
+                const val = (key in overrides) ? overrides[key] : (cat.months[m] || 0);
+                result[m] += val;
+            });
+        });
+
+        // Asset depreciation
+        const assetDepr = plData.assetDeprByMonth || {};
+        months.forEach(m => { result[m] += (assetDepr[m] || 0); });
+
+        // Loan interest
+        const loanInt = plData.loanInterestByMonth || {};
+        months.forEach(m => { result[m] += (loanInt[m] || 0); });
+
+        return result;
+    },
+
+    /**
+     * Get P&L tax mode setting
+     * @returns {string} 'corporate' or 'passthrough'
+     */
+    getPLTaxMode() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'pl_tax_mode'");
+        if (result.length === 0 || result[0].values.length === 0) {
+            return 'corporate';
+        }
+        return result[0].values[0][0] || 'corporate';
+    },
+
+    /**
+     * Set P&L tax mode setting
+     * @param {string} mode - 'corporate' or 'passthrough'
+     */
+    setPLTaxMode(mode) {
+        this._runOpenPeriodChange(() => {
+            this._audited('app_meta', 'key = ?', ['pl_tax_mode'], () => {
+                this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('pl_tax_mode', ?)", [mode]);
+            });
+            this.postScheduledLedgerEntries();
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Get/set persisted as-of month for a given tab
+     * @param {string} tab - 'pnl' or 'cf'
+     */
+    getAsOfMonth(tab) {
+        const key = tab + '_as_of_month';
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = ?", [key]);
+        if (result.length === 0 || result[0].values.length === 0) return 'current';
+        return result[0].values[0][0] || 'current';
+    },
+
+    setAsOfMonth(tab, value) {
+        const key = tab + '_as_of_month';
+        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES (?, ?)", [key, value]);
+        this.autoSave();
+    },
+
+    // ==================== THEME SETTINGS ====================
+
+    /**
+     * Get theme preset name
+     * @returns {string} Preset name (default, ocean, forest, sunset, midnight, custom)
+     */
+    getThemePreset() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'theme_preset'");
+        if (result.length === 0 || result[0].values.length === 0) return 'default';
+        return result[0].values[0][0] || 'default';
+    },
+
+    /**
+     * Set theme preset name
+     * @param {string} name - Preset name
+     */
+    setThemePreset(name) {
+        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('theme_preset', ?)", [name]);
+        this.autoSave();
+    },
+
+    /**
+     * Get custom theme colors
+     * @returns {Object|null} Color object {c1, c2, c3, c4} or null
+     */
+    getThemeColors() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'theme_colors'");
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        try {
+            return JSON.parse(result[0].values[0][0]);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Set custom theme colors
+     * @param {Object} colors - Color object {c1, c2, c3, c4}
+     */
+    setThemeColors(colors) {
+        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('theme_colors', ?)", [JSON.stringify(colors)]);
+        this.autoSave();
+    },
+
+    /**
+     * Get dark mode setting
+     * @returns {boolean} True if dark mode enabled
+     */
+    getThemeDark() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'theme_dark'");
+        if (result.length === 0 || result[0].values.length === 0) return false;
+        return result[0].values[0][0] === '1';
+    },
+
+    /**
+     * Set dark mode setting
+     * @param {boolean} isDark - True for dark mode
+     */
+    setThemeDark(isDark) {
+        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('theme_dark', ?)", [isDark ? '1' : '0']);
+        this.autoSave();
+    },
+
+    // ==================== FIXED ASSETS ====================
+
+    /**
+     * Get all fixed assets
+     * @returns {Array} Array of fixed asset objects
+     */
+    getFixedAssets() {
+        const results = this.db.exec('SELECT * FROM balance_sheet_assets ORDER BY purchase_date ASC, name ASC');
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Get total purchase cost of all fixed assets
+     * @returns {number} Sum of purchase_cost from balance_sheet_assets
+     */
+    getTotalAssetPurchaseCost() {
+        const result = this.db.exec('SELECT COALESCE(SUM(purchase_cost), 0) AS total FROM balance_sheet_assets');
+        return (result.length > 0 && result[0].values.length > 0) ? result[0].values[0][0] : 0;
+    },
+
+    /**
+     * Add a fixed asset
+     * @param {string} name - Asset name
+     * @param {number} purchaseCost - Purchase cost
+     * @param {number} usefulLifeMonths - Useful life in months
+     * @param {string} purchaseDate - Purchase date (YYYY-MM-DD)
+     * @param {number} salvageValue - Salvage value
+     * @param {string} depreciationMethod - 'straight_line' | 'double_declining' | 'none'
+     * @param {string|null} depStartDate - Depreciation start date (YYYY-MM-DD) or null
+     * @param {boolean} isDepreciable - Whether the asset depreciates
+     * @param {string|null} notes - Notes
+     * @returns {number} New asset ID
+     */
+    addFixedAsset(name, purchaseCost, usefulLifeMonths, purchaseDate, salvageValue = 0, depreciationMethod = 'straight_line', depStartDate = null, isDepreciable = true, notes = null) {
+        this._assertPeriodOpen([purchaseDate, depStartDate]);
+        this.db.run(
+            `INSERT INTO balance_sheet_assets (name, purchase_cost, useful_life_months, purchase_date, salvage_value, depreciation_method, dep_start_date, is_depreciable, notes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name.trim(), purchaseCost, usefulLifeMonths, purchaseDate, salvageValue, depreciationMethod, depStartDate, isDepreciable ? 1 : 0, notes]
+        );
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('balance_sheet_assets', id);
+        this.postScheduledLedgerEntries();
+        this.autoSave();
+        return id;
+    },
+
+    /**
+     * Update a fixed asset
+     * @param {number} id - Asset ID
+     * @param {string} name - Asset name
+     * @param {number} purchaseCost - Purchase cost
+     * @param {number} usefulLifeMonths - Useful life in months
+     * @param {string} purchaseDate - Purchase date (YYYY-MM-DD)
+     * @param {number} salvageValue - Salvage value
+     * @param {string} depreciationMethod - Depreciation method
+     * @param {string|null} depStartDate - Depreciation start date
+     * @param {boolean} isDepreciable - Whether the asset depreciates
+     * @param {string|null} notes - Notes
+     */
+    updateFixedAsset(id, name, purchaseCost, usefulLifeMonths, purchaseDate, salvageValue = 0, depreciationMethod = 'straight_line', depStartDate = null, isDepreciable = true, notes = null) {
+        this._audited('balance_sheet_assets', 'id = ?', [id], () => {
+            this.db.run(
+                `UPDATE balance_sheet_assets SET name = ?, purchase_cost = ?, useful_life_months = ?, purchase_date = ?,
+                 salvage_value = ?, depreciation_method = ?, dep_start_date = ?, is_depreciable = ?, notes = ? WHERE id = ?`,
+                [name.trim(), purchaseCost, usefulLifeMonths, purchaseDate, salvageValue, depreciationMethod, depStartDate, isDepreciable ? 1 : 0, notes, id]
+            );
+        });
+        this.postScheduledLedgerEntries();
+        this.autoSave();
+    },
+
+    /**
+     * Delete a fixed asset (and its linked transaction if any)
+     * @param {number} id - Asset ID
+     */
+    deleteFixedAsset(id) {
+        this._assertChangesOpen('balance_sheet_assets', this._getAuditRows('balance_sheet_assets', 'id = ?', [id]), {});
+        this._assertChangesOpen('transactions', this._getAuditRows('transactions', "source_type = 'asset_purchase' AND source_id = ?", [id]), {});
+        // Remove linked transaction
+        this._audited('transaction_payments', "transaction_id IN (SELECT id FROM transactions WHERE source_type = 'asset_purchase' AND source_id = ?)", [id], () => {
+            this.db.run("DELETE FROM transaction_payments WHERE transaction_id IN (SELECT id FROM transactions WHERE source_type = 'asset_purchase' AND source_id = ?)", [id]);
+        });
+        this._deleteAttachmentsOf('transaction', "source_type = 'asset_purchase' AND source_id = ?", [id]);
+        this._deleteAttachmentsOf('asset', 'id = ?', [id]);
+        this._audited('transactions', "source_type = 'asset_purchase' AND source_id = ?", [id], () => {
+            this.db.run("DELETE FROM transaction_splits WHERE transaction_id IN (SELECT id FROM transactions WHERE source_type = 'asset_purchase' AND source_id = ?)", [id]);
+            this.db.run("DELETE FROM transaction_tags WHERE transaction_id IN (SELECT id FROM transactions WHERE source_type = 'asset_purchase' AND source_id = ?)", [id]);
+            this.db.run("DELETE FROM transactions WHERE source_type = 'asset_purchase' AND source_id = ?", [id]);
+        });
+        this._deleteUnusedTags();
+        this._audited('balance_sheet_assets', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM balance_sheet_assets WHERE id = ?', [id]);
+        });
+        this.rebuildLedger();
+        this.autoSave();
+    },
+
+    /**
+     * Get a fixed asset by ID
+     * @param {number} id - Asset ID
+     * @returns {Object|null} Asset object
+     */
+    getFixedAssetById(id) {
+        const results = this.db.exec('SELECT * FROM balance_sheet_assets WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
+    },
+
+    /**
+     * Link a transaction ID to a fixed asset
+     * @param {number} assetId - Asset ID
+     * @param {number} transactionId - Transaction ID
+     */
+    linkTransactionToAsset(assetId, transactionId) {
+        this._audited('balance_sheet_assets', 'id = ?', [assetId], () => {
+            this.db.run('UPDATE balance_sheet_assets SET linked_transaction_id = ? WHERE id = ?', [transactionId, assetId]);
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Get aggregated asset depreciation by month.
+     * For each depreciable asset, computes its schedule and aggregates.
+     * @param {string|null} asOfMonth - If provided, only returns months <= asOfMonth
+     * @returns {Object} Map of { [YYYY-MM]: totalDepreciation }
+     */
+    getAssetDepreciationByMonth(asOfMonth) {
+        const assets = this.getFixedAssets();
+        const result = {};
+
+        assets.forEach(asset => {
+            const schedule = Utils.computeDepreciationSchedule(asset);
+            Object.entries(schedule).forEach(([month, amount]) => {
+                if (asOfMonth && month > asOfMonth) return;
+                result[month] = Math.round(((result[month] || 0) + amount) * 100) / 100;
+            });
+        });
+
+        return result;
+    },
+
+    // ==================== INVENTORY ====================
+
+    /** How a product's sales are costed: oldest lots first, or the moving weighted average */
+    INVENTORY_COSTING_METHODS: ['fifo', 'average'],
+
+    /**
+     * Get all inventory products
+     * @returns {Array} Array of product objects ordered by name
+     */
+    getInventoryProducts() {
+        const results = this.db.exec('SELECT * FROM inventory_products ORDER BY name ASC');
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Get an inventory product by ID
+     * @param {number} id - Product ID
+     * @returns {Object|null} Product object
+     */
+    getInventoryProductById(id) {
+        const results = this.db.exec('SELECT * FROM inventory_products WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
+    },
+
+    /**
+     * Add an inventory product
+     * @param {Object} params - { name, sku, costing_method, notes }
+     * @returns {number} New product ID
+     */
+    addInventoryProduct(params) {
+        this.db.run(
+            'INSERT INTO inventory_products (name, sku, costing_method, notes) VALUES (?, ?, ?, ?)',
+            [params.name.trim(), params.sku || null, params.costing_method || 'fifo', params.notes || null]
+        );
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('inventory_products', id);
+        this.autoSave();
+        return id;
+    },
+
+    /**
+     * Update an inventory product. Changing the costing method re-costs every sale,
+     * so it is refused while any of them falls in a closed period.
+     * @param {number} id - Product ID
+     * @param {Object} params - { name, sku, costing_method, notes }
      */
-    getActualRevenueByMonth() {
-        const result = this.db.exec(`
-            SELECT t.month_due as month,
-                   SUM(COALESCE(t.pretax_amount, t.amount)) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL
-            AND t.transaction_type = 'receivable'
-            AND c.is_cogs = 0
-            AND c.show_on_pl != 1
-            GROUP BY t.month_due
-        `);
-        const map = {};
-        if (result.length > 0) {
-            result[0].values.forEach(row => { map[row[0]] = row[1]; });
+    updateInventoryProduct(id, params) {
+        const product = this.getInventoryProductById(id);
+        const costingMethod = params.costing_method || 'fifo';
+        if (product && product.costing_method !== costingMethod) {
+            this._assertPeriodOpen(this._getInventoryMovements(id).sales.map(s => s.sale_date));
         }
-        return map;
+        this._audited('inventory_products', 'id = ?', [id], () => {
+            this.db.run(
+                'UPDATE inventory_products SET name = ?, sku = ?, costing_method = ?, notes = ? WHERE id = ?',
+                [params.name.trim(), params.sku || null, costingMethod, params.notes || null, id]
+            );
+        });
+        this.postScheduledLedgerEntries();
+        this.autoSave();
     },
 
     /**
-     * Get P&L-consistent revenue by month, respecting pl_overrides.
-     * Returns total per month and optional B2B/consumer split (via is_b2b flag).
-     * Matches P&L revenue computation so progress tracker aligns with P&L tab.
-     * @returns {Object} { total: { 'YYYY-MM': number }, b2b: { 'YYYY-MM': number }, consumer: { 'YYYY-MM': number } }
+     * Delete an inventory product
+     * @param {number} id - Product ID
+     * @returns {boolean} Success (false if it has purchases or sales)
      */
-    getPLRevenueByMonth() {
-        const overrides = this.getAllPLOverrides();
-
-        // Revenue per category per month (same query as P&L spreadsheet)
-        const result = this.db.exec(`
-            SELECT c.id as category_id, c.is_b2b, t.month_due as month,
-                   SUM(COALESCE(t.pretax_amount, t.amount)) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL
-            AND t.transaction_type = 'receivable'
-            AND c.is_cogs = 0 AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
-        `);
-
-        const total = {}, b2b = {}, consumer = {};
-        if (result.length > 0) {
-            result[0].values.forEach(row => {
-                const catId = row[0];
-                const isB2b = row[1];
-                const month = row[2];
-                let amount = row[3];
-
-                // Apply P&L override if one exists for this category+month
-                const overrideKey = `${catId}-${month}`;
-                if (overrideKey in overrides) {
-                    amount = overrides[overrideKey];
-                }
-
-                total[month] = (total[month] || 0) + amount;
-                if (isB2b) {
-                    b2b[month] = (b2b[month] || 0) + amount;
-                } else {
-                    consumer[month] = (consumer[month] || 0) + amount;
-                }
-            });
+    deleteInventoryProduct(id) {
+        const { purchases, sales } = this._getInventoryMovements(id);
+        if (purchases.length > 0 || sales.length > 0) {
+            return false;
         }
-
-        // Also include override-only categories (categories with overrides but no transactions)
-        Object.keys(overrides).forEach(key => {
-            const [catIdStr, month] = key.split('-');
-            const catId = parseInt(catIdStr);
-            if (catId < 0) return; // skip tax override
-            // Check if this is a revenue category we haven't already counted
-            const alreadyCounted = result.length > 0 && result[0].values.some(
-                row => row[0] === catId && row[2] === month
-            );
-            if (!alreadyCounted) {
-                const catResult = this.db.exec(
-                    `SELECT is_b2b FROM categories WHERE id = ? AND is_cogs = 0 AND show_on_pl != 1`, [catId]
-                );
-                if (catResult.length > 0 && catResult[0].values.length > 0) {
-                    const isB2b = catResult[0].values[0][0];
-                    const amount = overrides[key];
-                    total[month] = (total[month] || 0) + amount;
-                    if (isB2b) {
-                        b2b[month] = (b2b[month] || 0) + amount;
-                    } else {
-                        consumer[month] = (consumer[month] || 0) + amount;
-                    }
-                }
-            }
+        this._audited('inventory_products', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM inventory_products WHERE id = ?', [id]);
         });
-
-        return { total, b2b, consumer };
+        this.autoSave();
+        return true;
     },
 
     /**
-     * Get P&L spreadsheet data (accrual-based: uses month_due, includes all statuses)
-     * Revenue uses COALESCE(pretax_amount, amount) for receivable categories.
-     * @returns {Object} { months, revenue, cogs, opex }
+     * Get a product's purchase lots and sales, oldest first
+     * @param {number} productId - Product ID
+     * @returns {Object} { purchases, sales }
      */
-    getPLSpreadsheet() {
-        // Get all distinct months from month_due (accrual basis)
-        const monthsResult = this.db.exec(`
-            SELECT DISTINCT t.month_due as month FROM transactions t
-            WHERE t.month_due IS NOT NULL
-            ORDER BY month ASC
-        `);
-        const months = monthsResult.length > 0 ? monthsResult[0].values.map(r => r[0]) : [];
+    _getInventoryMovements(productId) {
+        const purchaseResult = this.db.exec(
+            'SELECT * FROM inventory_purchases WHERE product_id = ? ORDER BY purchase_date ASC, id ASC', [productId]);
+        const saleResult = this.db.exec(
+            'SELECT * FROM inventory_sales WHERE product_id = ? ORDER BY sale_date ASC, id ASC', [productId]);
+        return {
+            purchases: purchaseResult.length > 0 ? this.rowsToObjects(purchaseResult[0]) : [],
+            sales: saleResult.length > 0 ? this.rowsToObjects(saleResult[0]) : []
+        };
+    },
 
-        // Revenue: receivable categories (not COGS, not hidden), using pretax_amount if available
-        const revenueResult = this.db.exec(`
-            SELECT c.id as category_id, c.name as category_name,
-                   c.is_b2b,
-                   t.month_due as month,
-                   SUM(COALESCE(t.pretax_amount, t.amount)) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL
-            AND t.transaction_type = 'receivable'
-            AND c.is_cogs = 0
-            AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
-            ORDER BY c.cashflow_sort_order ASC, c.name ASC
-        `);
-        const revenue = revenueResult.length > 0 ? this.rowsToObjects(revenueResult[0]) : [];
+    /**
+     * Get a purchase lot by ID
+     * @param {number} id - Purchase ID
+     * @returns {Object|null} Purchase object
+     */
+    getInventoryPurchaseById(id) {
+        const results = this.db.exec('SELECT * FROM inventory_purchases WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
+    },
 
-        // COGS: is_cogs=1 categories (not hidden), accrual basis
-        const cogsResult = this.db.exec(`
-            SELECT c.id as category_id, c.name as category_name,
-                   c.is_b2b,
-                   t.month_due as month,
-                   SUM(t.amount) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL
-            AND c.is_cogs = 1
-            AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
-            ORDER BY c.cashflow_sort_order ASC, c.name ASC
-        `);
-        const cogs = cogsResult.length > 0 ? this.rowsToObjects(cogsResult[0]) : [];
+    /**
+     * Get a sale by ID
+     * @param {number} id - Sale ID
+     * @returns {Object|null} Sale object
+     */
+    getInventorySaleById(id) {
+        const results = this.db.exec('SELECT * FROM inventory_sales WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
+    },
 
-        // OpEx: all payable categories that are not COGS, not depreciation, not sales tax, not hidden, accrual basis
-        const opexResult = this.db.exec(`
-            SELECT c.id as category_id, c.name as category_name,
-                   t.month_due as month,
-                   SUM(t.amount) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL
-            AND t.transaction_type = 'payable'
-            AND c.is_cogs = 0
-            AND c.is_depreciation = 0
-            AND c.is_sales_tax = 0
-            AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
-            ORDER BY c.cashflow_sort_order ASC, c.name ASC
-        `);
-        const opex = opexResult.length > 0 ? this.rowsToObjects(opexResult[0]) : [];
+    /**
+     * @param {Object} params - { date, quantity, unit_cost? }
+     * @throws {Error} If the date is missing or the quantity/cost isn't a usable number
+     */
+    _validateInventoryMovement(params) {
+        if (!params.date) throw new Error('Please enter a date.');
+        if (!(params.quantity > 0)) throw new Error('The quantity must be greater than zero.');
+        if ('unit_cost' in params && !(params.unit_cost >= 0)) throw new Error('The unit cost can\'t be negative.');
+    },
 
-        // Depreciation: categories flagged is_depreciation=1, shown regardless of show_on_pl
-        // Values are manually entered via pl_overrides (no transaction aggregation)
-        const depreciationResult = this.db.exec(`
-            SELECT id as category_id, name as category_name
-            FROM categories
-            WHERE is_depreciation = 1
-            ORDER BY cashflow_sort_order ASC, name ASC
-        `);
-        const depreciation = depreciationResult.length > 0 ? this.rowsToObjects(depreciationResult[0]) : [];
+    /**
+     * Check that every sale of a product would still be covered by what was bought before it
+     * @param {number} productId - Product ID
+     * @param {Array} purchases - The product's purchase lots after the change
+     * @param {Array} sales - The product's sales after the change
+     * @throws {Error} If any sale would take more than was on hand
+     */
+    _assertInventoryCovered(productId, purchases, sales) {
+        const product = this.getInventoryProductById(productId);
+        const costs = Utils.computeInventoryCosts(purchases, sales, product ? product.costing_method : 'fifo');
+        const short = costs.movements.find(m => m.short > 0);
+        if (short) {
+            throw new Error(`Not enough ${product ? product.name : 'stock'} on hand: the sale on ${Utils.formatDate(short.date)} is ${short.short} more than was bought by then.`);
+        }
+    },
 
-        // Computed asset depreciation and loan interest by month
-        const assetDeprByMonth = this.getAssetDepreciationByMonth(null);
-        const loanInterestByMonth = this.getLoanInterestByMonth(null);
+    /**
+     * Record a purchase lot
+     * @param {Object} params - { product_id, purchase_date, quantity, unit_cost, notes }
+     * @returns {number} New purchase ID
+     */
+    addInventoryPurchase(params) {
+        this._validateInventoryMovement({ date: params.purchase_date, quantity: params.quantity, unit_cost: params.unit_cost });
+        this._assertPeriodOpen([params.purchase_date]);
+        this.db.run(
+            'INSERT INTO inventory_purchases (product_id, purchase_date, quantity, unit_cost, notes) VALUES (?, ?, ?, ?, ?)',
+            [params.product_id, params.purchase_date, params.quantity, params.unit_cost, params.notes || null]
+        );
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('inventory_purchases', id);
+        this.postScheduledLedgerEntries();
+        this.autoSave();
+        return id;
+    },
 
-        // Merge their month keys into the master months array
-        const allMonths = new Set(months);
-        Object.keys(assetDeprByMonth).forEach(m => allMonths.add(m));
-        Object.keys(loanInterestByMonth).forEach(m => allMonths.add(m));
-        const mergedMonths = Array.from(allMonths).sort();
+    /**
+     * Update a purchase lot
+     * @param {number} id - Purchase ID
+     * @param {Object} params - { purchase_date, quantity, unit_cost, notes }
+     */
+    updateInventoryPurchase(id, params) {
+        this._validateInventoryMovement({ date: params.purchase_date, quantity: params.quantity, unit_cost: params.unit_cost });
+        const lot = this.getInventoryPurchaseById(id);
+        if (!lot) return;
+        const { purchases, sales } = this._getInventoryMovements(lot.product_id);
+        this._assertInventoryCovered(lot.product_id,
+            purchases.map(p => (p.id === id ? { ...p, ...params } : p)), sales);
+        this._audited('inventory_purchases', 'id = ?', [id], () => {
+            this.db.run(
+                'UPDATE inventory_purchases SET purchase_date = ?, quantity = ?, unit_cost = ?, notes = ? WHERE id = ?',
+                [params.purchase_date, params.quantity, params.unit_cost, params.notes || null, id]
+            );
+        });
+        this.postScheduledLedgerEntries();
+        this.autoSave();
+    },
 
-        return { months: mergedMonths, revenue, cogs, opex, depreciation, assetDeprByMonth, loanInterestByMonth };
+    /**
+     * Delete a purchase lot (and its linked journal entry if any)
+     * @param {number} id - Purchase ID
+     */
+    deleteInventoryPurchase(id) {
+        const lot = this.getInventoryPurchaseById(id);
+        if (!lot) return;
+        const { purchases, sales } = this._getInventoryMovements(lot.product_id);
+        this._assertInventoryCovered(lot.product_id, purchases.filter(p => p.id !== id), sales);
+        this._assertChangesOpen('transactions', this._getAuditRows('transactions', "source_type = 'inventory_purchase' AND source_id = ?", [id]), {});
+        // Remove linked transaction
+        this._audited('transaction_payments', "transaction_id IN (SELECT id FROM transactions WHERE source_type = 'inventory_purchase' AND source_id = ?)", [id], () => {
+            this.db.run("DELETE FROM transaction_payments WHERE transaction_id IN (SELECT id FROM transactions WHERE source_type = 'inventory_purchase' AND source_id = ?)", [id]);
+        });
+        this._deleteAttachmentsOf('transaction', "source_type = 'inventory_purchase' AND source_id = ?", [id]);
+        this._audited('transactions', "source_type = 'inventory_purchase' AND source_id = ?", [id], () => {
+            this.db.run("DELETE FROM transaction_splits WHERE transaction_id IN (SELECT id FROM transactions WHERE source_type = 'inventory_purchase' AND source_id = ?)", [id]);
+            this.db.run("DELETE FROM transaction_tags WHERE transaction_id IN (SELECT id FROM transactions WHERE source_type = 'inventory_purchase' AND source_id = ?)", [id]);
+            this.db.run("DELETE FROM transactions WHERE source_type = 'inventory_purchase' AND source_id = ?", [id]);
+        });
+        this._deleteUnusedTags();
+        this._audited('inventory_purchases', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM inventory_purchases WHERE id = ?', [id]);
+        });
+        this.rebuildLedger();
+        this.autoSave();
     },
 
     /**
-     * Compute total operating expenses per month, matching P&L renderer exactly.
-     * Sums: opex categories (with overrides), depreciation categories (from overrides),
-     * asset depreciation, and loan interest.
-     * @param {string[]} months - Array of month strings (YYYY-MM)
-     * @returns {{ [month: string]: number }} Per-month total operating expenses
+     * Record a quantity sold
+     * @param {Object} params - { product_id, sale_date, quantity, notes }
+     * @returns {number} New sale ID
      */
-    getMonthlyTotalOpex(months) {
-        const plData = this.getPLSpreadsheet();
-        const overrides = this.getAllPLOverrides();
-        const result = {};
-        months.forEach(m => { result[m] = 0; });
+    addInventorySale(params) {
+        this._validateInventoryMovement({ date: params.sale_date, quantity: params.quantity });
+        this._assertPeriodOpen([params.sale_date]);
+        const { purchases, sales } = this._getInventoryMovements(params.product_id);
+        this._assertInventoryCovered(params.product_id, purchases, [...sales, { ...params, id: Infinity }]);
+        this.db.run(
+            'INSERT INTO inventory_sales (product_id, sale_date, quantity, notes) VALUES (?, ?, ?, ?)',
+            [params.product_id, params.sale_date, params.quantity, params.notes || null]
+        );
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('inventory_sales', id);
+        this.postScheduledLedgerEntries();
+        this.autoSave();
+        return id;
+    },
 
-        // Group opex by category → { catId: { months: { m: total } } }
-        const opexByCat = {};
-        (plData.opex || []).forEach(row => {
-            if (!opexByCat[row.category_id]) opexByCat[row.category_id] = {};
-            opexByCat[row.category_id][row.month] = (opexByCat[row.category_id][row.month] || 0) + row.total;
+    /**
+     * Update a sale
+     * @param {number} id - Sale ID
+     * @param {Object} params - { sale_date, quantity, notes }
+     */
+    updateInventorySale(id, params) {
+        this._validateInventoryMovement({ date: params.sale_date, quantity: params.quantity });
+        const sale = this.getInventorySaleById(id);
+        if (!sale) return;
+        const { purchases, sales } = this._getInventoryMovements(sale.product_id);
+        this._assertInventoryCovered(sale.product_id, purchases,
+            sales.map(s => (s.id === id ? { ...s, ...params } : s)));
+        this._audited('inventory_sales', 'id = ?', [id], () => {
+            this.db.run(
+                'UPDATE inventory_sales SET sale_date = ?, quantity = ?, notes = ? WHERE id = ?',
+                [params.sale_date, params.quantity, params.notes || null, id]
+            );
         });
+        this.postScheduledLedgerEntries();
+        this.autoSave();
+    },
 
-        // Opex categories (with overrides)
-        Object.entries(opexByCat).forEach(([catId, catMonths]) => {
-            months.forEach(m => {
-                const key = `${catId}-${m}`;
-                const computed = catMonths[m] || 0;
-                const val = (key in overrides) ? overrides[key] : computed;
-                result[m] += val;
-            });
+    /**
+     * Delete a sale
+     * @param {number} id - Sale ID
+     */
+    deleteInventorySale(id) {
+        this._audited('inventory_sales', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM inventory_sales WHERE id = ?', [id]);
         });
+        this.postScheduledLedgerEntries();
+        this.autoSave();
+    },
 
-        // Depreciation categories (values from pl_overrides only)
-        (plData.depreciation || []).forEach(cat => {
-            months.forEach(m => {
-                const key = `${cat.category_id}-${m}`;
-                const val = (key in overrides) ? overrides[key] : 0;
-                result[m] += val;
-            });
+    /**
+     * Get each product with its stock on hand and cost of goods sold through a month
+     * @param {string|null} asOfMonth - Only count movements through this month (YYYY-MM)
+     * @returns {Array} Products with on_hand_quantity, on_hand_value, average_unit_cost, cogs and movement_count
+     */
+    getInventorySummary(asOfMonth = null) {
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const through = (date) => !asOfMonth || date.substring(0, 7) <= asOfMonth;
+        return this.getInventoryProducts().map(product => {
+            const { purchases, sales } = this._getInventoryMovements(product.id);
+            const costs = Utils.computeInventoryCosts(
+                purchases.filter(p => through(p.purchase_date)),
+                sales.filter(s => through(s.sale_date)),
+                product.costing_method
+            );
+            return {
+                ...product,
+                on_hand_quantity: costs.onHandQuantity,
+                on_hand_value: costs.onHandValue,
+                average_unit_cost: costs.onHandQuantity > 0 ? round2(costs.onHandValue / costs.onHandQuantity) : 0,
+                cogs: round2(Object.values(costs.cogsByMonth).reduce((sum, v) => sum + v, 0)),
+                movement_count: purchases.length + sales.length
+            };
         });
+    },
 
-        // Asset depreciation
-        const assetDepr = plData.assetDeprByMonth || {};
-        months.forEach(m => { result[m] += (assetDepr[m] || 0); });
-
-        // Loan interest
-        const loanInt = plData.loanInterestByMonth || {};
-        months.forEach(m => { result[m] += (loanInt[m] || 0); });
-
-        return result;
+    /**
+     * Get a product's purchases and sales in the order they were costed, with the cost of
+     * each sale and what was left on hand after each movement
+     * @param {number} productId - Product ID
+     * @returns {Object} computeInventoryCosts result, with each movement's notes
+     */
+    getInventoryLedger(productId) {
+        const product = this.getInventoryProductById(productId);
+        const { purchases, sales } = this._getInventoryMovements(productId);
+        const costs = Utils.computeInventoryCosts(purchases, sales, product ? product.costing_method : 'fifo');
+        const notes = {};
+        purchases.forEach(p => { notes[`purchase-${p.id}`] = p.notes; });
+        sales.forEach(s => { notes[`sale-${s.id}`] = s.notes; });
+        costs.movements = costs.movements.map(m => ({ ...m, notes: notes[`${m.kind}-${m.id}`] || null }));
+        return costs;
     },
 
     /**
-     * Get P&L tax mode setting
-     * @returns {string} 'corporate' or 'passthrough'
+     * Get cost of inventory sold by month, across all products
+     * @param {string|null} asOfMonth - If provided, only returns months <= asOfMonth
+     * @returns {Object} Map of { [YYYY-MM]: totalCogs }
      */
-    getPLTaxMode() {
-        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'pl_tax_mode'");
-        if (result.length === 0 || result[0].values.length === 0) {
-            return 'corporate';
-        }
-        return result[0].values[0][0] || 'corporate';
+    getInventoryCogsByMonth(asOfMonth) {
+        const result = {};
+        this.getInventoryProducts().forEach(product => {
+            const { purchases, sales } = this._getInventoryMovements(product.id);
+            const costs = Utils.computeInventoryCosts(purchases, sales, product.costing_method);
+            Object.entries(costs.cogsByMonth).forEach(([month, amount]) => {
+                if (asOfMonth && month > asOfMonth) return;
+                result[month] = Math.round(((result[month] || 0) + amount) * 100) / 100;
+            });
+        });
+        return result;
     },
 
+    // ==================== PAYROLL ====================
+
+    /** How an employee is paid, and how often */
+    EMPLOYEE_PAY_TYPES: ['salary', 'hourly'],
+    EMPLOYEE_PAY_FREQUENCIES: ['weekly', 'biweekly', 'semimonthly', 'monthly'],
+
     /**
-     * Set P&L tax mode setting
-     * @param {string} mode - 'corporate' or 'passthrough'
+     * Get default payroll tax rates (percent) and yearly wage bases
+     * @returns {Object} Default payroll config
      */
-    setPLTaxMode(mode) {
-        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('pl_tax_mode', ?)", [mode]);
-        this.autoSave();
+    _defaultPayrollConfig() {
+        return {
+            federal_withholding_rate: 10,
+            state_withholding_rate: 4,
+            social_security_rate: 6.2,
+            medicare_rate: 1.45,
+            employer_social_security_rate: 6.2,
+            employer_medicare_rate: 1.45,
+            futa_rate: 0.6,
+            suta_rate: 2.7,
+            social_security_wage_base: 176100,
+            futa_wage_base: 7000,
+            suta_wage_base: 7000
+        };
     },
 
     /**
-     * Get/set persisted as-of month for a given tab
-     * @param {string} tab - 'pnl' or 'cf'
+     * Get payroll tax rates, merged with defaults
+     * @returns {Object} Payroll config
      */
-    getAsOfMonth(tab) {
-        const key = tab + '_as_of_month';
-        const result = this.db.exec("SELECT value FROM app_meta WHERE key = ?", [key]);
-        if (result.length === 0 || result[0].values.length === 0) return 'current';
-        return result[0].values[0][0] || 'current';
+    getPayrollConfig() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'payroll_config'");
+        if (result.length === 0 || result[0].values.length === 0) {
+            return this._defaultPayrollConfig();
+        }
+        try {
+            return Object.assign(this._defaultPayrollConfig(), JSON.parse(result[0].values[0][0]));
+        } catch (e) {
+            return this._defaultPayrollConfig();
+        }
     },
 
-    setAsOfMonth(tab, value) {
-        const key = tab + '_as_of_month';
-        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES (?, ?)", [key, value]);
+    /**
+     * Save payroll tax rates. Paychecks already run keep the amounts they were computed with.
+     * @param {Object} config - Payroll config to persist
+     */
+    setPayrollConfig(config) {
+        this._audited('app_meta', 'key = ?', ['payroll_config'], () => {
+            this.db.run(
+                "INSERT OR REPLACE INTO app_meta (key, value) VALUES ('payroll_config', ?)",
+                [JSON.stringify(config)]
+            );
+        });
         this.autoSave();
     },
 
-    // ==================== THEME SETTINGS ====================
-
     /**
-     * Get theme preset name
-     * @returns {string} Preset name (default, ocean, forest, sunset, midnight, custom)
+     * Get all employees
+     * @returns {Array} Employees ordered by name, with paycheck_count
      */
-    getThemePreset() {
-        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'theme_preset'");
-        if (result.length === 0 || result[0].values.length === 0) return 'default';
-        return result[0].values[0][0] || 'default';
+    getEmployees() {
+        const results = this.db.exec(`
+            SELECT e.*, (SELECT COUNT(*) FROM paychecks p WHERE p.employee_id = e.id) as paycheck_count
+            FROM employees e
+            ORDER BY e.name ASC
+        `);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
     },
 
     /**
-     * Set theme preset name
-     * @param {string} name - Preset name
+     * Get an employee by ID
+     * @param {number} id - Employee ID
+     * @returns {Object|null} Employee object
      */
-    setThemePreset(name) {
-        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('theme_preset', ?)", [name]);
-        this.autoSave();
+    getEmployeeById(id) {
+        const results = this.db.exec('SELECT * FROM employees WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
     },
 
     /**
-     * Get custom theme colors
-     * @returns {Object|null} Color object {c1, c2, c3, c4} or null
+     * Column values shared by add/update of an employee
+     * @param {Object} params - { name, pay_type, pay_rate, pay_frequency, default_hours, is_active, notes }
+     * @returns {Array}
      */
-    getThemeColors() {
-        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'theme_colors'");
-        if (result.length === 0 || result[0].values.length === 0) return null;
-        try {
-            return JSON.parse(result[0].values[0][0]);
-        } catch (e) {
-            return null;
-        }
+    _employeeValues(params) {
+        return [
+            params.name.trim(),
+            params.pay_type === 'hourly' ? 'hourly' : 'salary',
+            params.pay_rate || 0,
+            params.pay_frequency || 'biweekly',
+            params.pay_type === 'hourly' && params.default_hours > 0 ? params.default_hours : null,
+            params.is_active === false ? 0 : 1,
+            params.notes || null
+        ];
     },
 
     /**
-     * Set custom theme colors
-     * @param {Object} colors - Color object {c1, c2, c3, c4}
+     * Add an employee
+     * @param {Object} params - { name, pay_type, pay_rate, pay_frequency, default_hours, is_active, notes }
+     * @returns {number} New employee ID
      */
-    setThemeColors(colors) {
-        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('theme_colors', ?)", [JSON.stringify(colors)]);
+    addEmployee(params) {
+        this.db.run(
+            `INSERT INTO employees (name, pay_type, pay_rate, pay_frequency, default_hours, is_active, notes)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            this._employeeValues(params)
+        );
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('employees', id);
         this.autoSave();
+        return id;
     },
 
     /**
-     * Get dark mode setting
-     * @returns {boolean} True if dark mode enabled
+     * Update an employee. Paychecks already run are not changed.
+     * @param {number} id - Employee ID
+     * @param {Object} params - Same fields as addEmployee
      */
-    getThemeDark() {
-        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'theme_dark'");
-        if (result.length === 0 || result[0].values.length === 0) return false;
-        return result[0].values[0][0] === '1';
+    updateEmployee(id, params) {
+        this._audited('employees', 'id = ?', [id], () => {
+            this.db.run(
+                `UPDATE employees SET name = ?, pay_type = ?, pay_rate = ?, pay_frequency = ?, default_hours = ?,
+                 is_active = ?, notes = ? WHERE id = ?`,
+                [...this._employeeValues(params), id]
+            );
+        });
+        this.autoSave();
     },
 
     /**
-     * Set dark mode setting
-     * @param {boolean} isDark - True for dark mode
+     * Delete an employee
+     * @param {number} id - Employee ID
+     * @returns {boolean} Success (false if they have been paid; mark them inactive instead)
      */
-    setThemeDark(isDark) {
-        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('theme_dark', ?)", [isDark ? '1' : '0']);
+    deleteEmployee(id) {
+        const inUse = this.db.exec('SELECT COUNT(*) FROM paychecks WHERE employee_id = ?', [id]);
+        if (inUse[0].values[0][0] > 0) {
+            return false;
+        }
+        this._audited('employees', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM employees WHERE id = ?', [id]);
+        });
         this.autoSave();
+        return true;
     },
 
-    // ==================== FIXED ASSETS ====================
+    /**
+     * Gross an employee has been paid in a pay date's calendar year, up to and including that date
+     * @param {number} employeeId - Employee ID
+     * @param {string} payDate - YYYY-MM-DD
+     * @returns {number}
+     */
+    getEmployeeYtdGross(employeeId, payDate) {
+        const results = this.db.exec(`
+            SELECT COALESCE(SUM(p.gross_pay), 0) FROM paychecks p
+            JOIN payroll_runs r ON p.run_id = r.id
+            WHERE p.employee_id = ? AND r.pay_date >= ? AND r.pay_date <= ?
+        `, [employeeId, payDate.substring(0, 4) + '-01-01', payDate]);
+        return results[0].values[0][0];
+    },
 
     /**
-     * Get all fixed assets
-     * @returns {Array} Array of fixed asset objects
+     * Find a payable category by name, creating it if it doesn't exist
+     * @param {string} name - Category name
+     * @returns {number} Category ID
      */
-    getFixedAssets() {
-        const results = this.db.exec('SELECT * FROM balance_sheet_assets ORDER BY purchase_date ASC, name ASC');
-        if (results.length === 0) return [];
-        return this.rowsToObjects(results[0]);
+    _findOrCreatePayrollCategory(name) {
+        const existing = this.getCategories().find(c => c.name.toLowerCase() === name.toLowerCase());
+        return existing ? existing.id : this.addCategory(name, false, null, 'payable');
     },
 
     /**
-     * Get total purchase cost of all fixed assets
-     * @returns {number} Sum of purchase_cost from balance_sheet_assets
+     * Get a payroll run by ID
+     * @param {number} id - Run ID
+     * @returns {Object|null} Run object
      */
-    getTotalAssetPurchaseCost() {
-        const result = this.db.exec('SELECT COALESCE(SUM(purchase_cost), 0) AS total FROM balance_sheet_assets');
-        return (result.length > 0 && result[0].values.length > 0) ? result[0].values[0][0] : 0;
+    getPayrollRunById(id) {
+        const results = this.db.exec('SELECT * FROM payroll_runs WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
     },
 
     /**
-     * Add a fixed asset
-     * @param {string} name - Asset name
-     * @param {number} purchaseCost - Purchase cost
-     * @param {number} usefulLifeMonths - Useful life in months
-     * @param {string} purchaseDate - Purchase date (YYYY-MM-DD)
-     * @param {number} salvageValue - Salvage value
-     * @param {string} depreciationMethod - 'straight_line' | 'double_declining' | 'none'
-     * @param {string|null} depStartDate - Depreciation start date (YYYY-MM-DD) or null
-     * @param {boolean} isDepreciable - Whether the asset depreciates
-     * @param {string|null} notes - Notes
-     * @returns {number} New asset ID
+     * Run payroll: compute each paycheck's withholding and employer taxes from the current
+     * rates, then record the journal entries. Each employee's net pay is a paid entry under
+     * "Salary"; the taxes withheld (also wages, so under "Salary") and the employer's taxes
+     * (under "Payroll Taxes") are pending payables until they are remitted.
+     * @param {Object} params - { pay_date, period_start, period_end, notes, checks: [{ employee_id, hours, gross_pay }] }
+     * @returns {number} New run ID
+     * @throws {Error} If the run has no pay date or no paycheck with gross pay
      */
-    addFixedAsset(name, purchaseCost, usefulLifeMonths, purchaseDate, salvageValue = 0, depreciationMethod = 'straight_line', depStartDate = null, isDepreciable = true, notes = null) {
-        this.db.run(
-            `INSERT INTO balance_sheet_assets (name, purchase_cost, useful_life_months, purchase_date, salvage_value, depreciation_method, dep_start_date, is_depreciable, notes)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [name.trim(), purchaseCost, usefulLifeMonths, purchaseDate, salvageValue, depreciationMethod, depStartDate, isDepreciable ? 1 : 0, notes]
-        );
-        const result = this.db.exec('SELECT last_insert_rowid() as id');
+    addPayrollRun(params) {
+        if (!params.pay_date) throw new Error('Please enter a pay date.');
+        if (params.period_start && params.period_end && params.period_start > params.period_end) {
+            throw new Error('The pay period must start before it ends.');
+        }
+        const checks = (params.checks || []).filter(c => c.gross_pay > 0);
+        if (checks.length === 0) throw new Error('Include at least one employee with gross pay.');
+        this._assertPeriodOpen([params.pay_date]);
+
+        // The run, its paychecks and their journal entries are saved together or not at all
+        const runId = this._runLedgerBatch(() => {
+            this.db.run(
+                'INSERT INTO payroll_runs (pay_date, period_start, period_end, notes) VALUES (?, ?, ?, ?)',
+                [params.pay_date, params.period_start || null, params.period_end || null, params.notes || null]
+            );
+            const newId = this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0];
+            this._auditCreated('payroll_runs', newId);
+
+            const rates = this.getPayrollConfig();
+            checks.forEach(c => {
+                // Checks already inserted for this run count toward the wage bases too
+                const pay = Utils.computePaycheck(c.gross_pay, this.getEmployeeYtdGross(c.employee_id, params.pay_date), rates);
+                this.db.run(
+                    `INSERT INTO paychecks (run_id, employee_id, hours, gross_pay, federal_withholding, state_withholding,
+                     social_security, medicare, net_pay, employer_social_security, employer_medicare, futa, suta)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [newId, c.employee_id, c.hours || null, pay.gross_pay, pay.federal_withholding, pay.state_withholding,
+                        pay.social_security, pay.medicare, pay.net_pay, pay.employer_social_security, pay.employer_medicare,
+                        pay.futa, pay.suta]
+                );
+                this._auditCreated('paychecks', this.db.exec('SELECT last_insert_rowid() as id')[0].values[0][0]);
+            });
+
+            this._addPayrollTransactions(newId);
+            return newId;
+        });
         this.autoSave();
-        return result[0].values[0][0];
+        return runId;
     },
 
     /**
-     * Update a fixed asset
-     * @param {number} id - Asset ID
-     * @param {string} name - Asset name
-     * @param {number} purchaseCost - Purchase cost
-     * @param {number} usefulLifeMonths - Useful life in months
-     * @param {string} purchaseDate - Purchase date (YYYY-MM-DD)
-     * @param {number} salvageValue - Salvage value
-     * @param {string} depreciationMethod - Depreciation method
-     * @param {string|null} depStartDate - Depreciation start date
-     * @param {boolean} isDepreciable - Whether the asset depreciates
-     * @param {string|null} notes - Notes
+     * Record a payroll run's journal entries (source_type 'payroll', source_id = run ID)
+     * @param {number} runId - Run ID
      */
-    updateFixedAsset(id, name, purchaseCost, usefulLifeMonths, purchaseDate, salvageValue = 0, depreciationMethod = 'straight_line', depStartDate = null, isDepreciable = true, notes = null) {
-        this.db.run(
-            `UPDATE balance_sheet_assets SET name = ?, purchase_cost = ?, useful_life_months = ?, purchase_date = ?,
-             salvage_value = ?, depreciation_method = ?, dep_start_date = ?, is_depreciable = ?, notes = ? WHERE id = ?`,
-            [name.trim(), purchaseCost, usefulLifeMonths, purchaseDate, salvageValue, depreciationMethod, depStartDate, isDepreciable ? 1 : 0, notes, id]
-        );
-        this.autoSave();
+    _addPayrollTransactions(runId) {
+        const run = this.getPayrollRunById(runId);
+        const paychecks = this.getPaychecks({ runId });
+        const month = run.pay_date.substring(0, 7);
+        const wagesCategoryId = this._findOrCreatePayrollCategory('Salary');
+        const entry = (categoryId, description, amount, paid) => {
+            if (!(amount > 0)) return;
+            this.addTransaction({
+                entry_date: run.pay_date,
+                category_id: categoryId,
+                item_description: description,
+                amount,
+                transaction_type: 'payable',
+                status: paid ? 'paid' : 'pending',
+                month_due: month,
+                month_paid: paid ? month : null,
+                date_processed: paid ? run.pay_date : null,
+                source_type: 'payroll',
+                source_id: runId
+            });
+        };
+
+        const round2 = (v) => Math.round(v * 100) / 100;
+        let withheld = 0, employerTaxes = 0;
+        paychecks.forEach(p => {
+            entry(wagesCategoryId, `Net pay: ${p.employee_name}`, p.net_pay, true);
+            withheld = round2(withheld + p.federal_withholding + p.state_withholding + p.social_security + p.medicare);
+            employerTaxes = round2(employerTaxes + p.employer_social_security + p.employer_medicare + p.futa + p.suta);
+        });
+        const payDate = Utils.formatDate(run.pay_date);
+        entry(wagesCategoryId, `Payroll taxes withheld (${payDate})`, withheld, false);
+        if (employerTaxes > 0) {
+            entry(this._findOrCreatePayrollCategory('Payroll Taxes'), `Employer payroll taxes (${payDate})`, employerTaxes, false);
+        }
     },
 
     /**
-     * Delete a fixed asset (and its linked transaction if any)
-     * @param {number} id - Asset ID
+     * Delete a payroll run with its paychecks and journal entries
+     * @param {number} id - Run ID
      */
-    deleteFixedAsset(id) {
-        // Remove linked transaction
-        this.db.run("DELETE FROM transactions WHERE source_type = 'asset_purchase' AND source_id = ?", [id]);
-        this.db.run('DELETE FROM balance_sheet_assets WHERE id = ?', [id]);
+    deletePayrollRun(id) {
+        this._assertPeriodOpen([(this.getPayrollRunById(id) || {}).pay_date]);
+        const results = this.db.exec("SELECT id FROM transactions WHERE source_type = 'payroll' AND source_id = ?", [id]);
+        const txIds = results.length > 0 ? results[0].values.map(row => row[0]) : [];
+        // Check up front so a refunded paycheck doesn't leave the run half deleted
+        if (txIds.some(txId => this.getTransactionCredits(txId).length > 0)) {
+            throw new Error('Delete or void the refunds and credit memos issued against this payroll\'s entries first.');
+        }
+        // ...or a reconciled one leaves its statement short an item
+        const reconciliation = txIds.map(txId => this.getTransactionReconciliation(txId)).find(r => r);
+        if (reconciliation) {
+            throw new Error(`This payroll was reconciled on the ${Utils.formatDate(reconciliation.statement_date)} statement. Undo that reconciliation to delete it.`);
+        }
+        // ...or a voided one leaves its reversing entry reversing nothing
+        if (txIds.some(txId => this.getTransactionById(txId).voided_by)) {
+            throw new Error('This payroll has voided entries, which stay on the books with their reversing entries. It can\'t be deleted.');
+        }
+        this._runLedgerBatch(() => {
+            txIds.forEach(txId => this.deleteTransaction(txId));
+            this._audited('paychecks', 'run_id = ?', [id], () => {
+                this.db.run('DELETE FROM paychecks WHERE run_id = ?', [id]);
+            });
+            this._audited('payroll_runs', 'id = ?', [id], () => {
+                this.db.run('DELETE FROM payroll_runs WHERE id = ?', [id]);
+            });
+        });
         this.autoSave();
     },
 
     /**
-     * Get a fixed asset by ID
-     * @param {number} id - Asset ID
-     * @returns {Object|null} Asset object
+     * Get paychecks with their run's pay date and the employee's name, newest run first
+     * @param {Object} filters - { runId, employeeId, year }
+     * @returns {Array} Paychecks with pay_date, period_start, period_end and employee_name
      */
-    getFixedAssetById(id) {
-        const results = this.db.exec('SELECT * FROM balance_sheet_assets WHERE id = ?', [id]);
-        if (results.length === 0) return null;
-        return this.rowsToObjects(results[0])[0];
+    getPaychecks(filters = {}) {
+        const where = [];
+        const params = [];
+        if (filters.runId) {
+            where.push('p.run_id = ?');
+            params.push(filters.runId);
+        }
+        if (filters.employeeId) {
+            where.push('p.employee_id = ?');
+            params.push(filters.employeeId);
+        }
+        if (filters.year) {
+            where.push('substr(r.pay_date, 1, 4) = ?');
+            params.push(String(filters.year));
+        }
+        const results = this.db.exec(`
+            SELECT p.*, r.pay_date, r.period_start, r.period_end, e.name as employee_name
+            FROM paychecks p
+            JOIN payroll_runs r ON p.run_id = r.id
+            JOIN employees e ON p.employee_id = e.id
+            ${where.length > 0 ? 'WHERE ' + where.join(' AND ') : ''}
+            ORDER BY r.pay_date DESC, r.id DESC, e.name ASC
+        `, params);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
     },
 
     /**
-     * Link a transaction ID to a fixed asset
-     * @param {number} assetId - Asset ID
-     * @param {number} transactionId - Transaction ID
+     * Get the payroll register for a year: each run with its paychecks, newest first
+     * @param {number|string} year - Calendar year (YYYY)
+     * @returns {Array} Runs with a paychecks array
      */
-    linkTransactionToAsset(assetId, transactionId) {
-        this.db.run('UPDATE balance_sheet_assets SET linked_transaction_id = ? WHERE id = ?', [transactionId, assetId]);
-        this.autoSave();
+    getPayrollRegister(year) {
+        const results = this.db.exec(
+            'SELECT * FROM payroll_runs WHERE substr(pay_date, 1, 4) = ? ORDER BY pay_date DESC, id DESC', [String(year)]
+        );
+        if (results.length === 0) return [];
+        const paychecks = this.getPaychecks({ year });
+        return this.rowsToObjects(results[0]).map(run => ({
+            ...run,
+            paychecks: paychecks.filter(p => p.run_id === run.id)
+        }));
     },
 
     /**
-     * Get aggregated asset depreciation by month.
-     * For each depreciable asset, computes its schedule and aggregates.
-     * @param {string|null} asOfMonth - If provided, only returns months <= asOfMonth
-     * @returns {Object} Map of { [YYYY-MM]: totalDepreciation }
+     * Get each employee's year-to-date payroll totals
+     * @param {number|string} year - Calendar year (YYYY)
+     * @returns {Array} Employees paid that year, with summed paycheck amounts and paycheck_count
      */
-    getAssetDepreciationByMonth(asOfMonth) {
-        const assets = this.getFixedAssets();
-        const result = {};
-
-        assets.forEach(asset => {
-            const schedule = Utils.computeDepreciationSchedule(asset);
-            Object.entries(schedule).forEach(([month, amount]) => {
-                if (asOfMonth && month > asOfMonth) return;
-                result[month] = Math.round(((result[month] || 0) + amount) * 100) / 100;
+    getPayrollYtdSummary(year) {
+        const results = this.db.exec(`
+            SELECT e.id as employee_id, e.name as employee_name, COUNT(p.id) as paycheck_count,
+                   SUM(p.hours) as hours, SUM(p.gross_pay) as gross_pay,
+                   SUM(p.federal_withholding) as federal_withholding, SUM(p.state_withholding) as state_withholding,
+                   SUM(p.social_security) as social_security, SUM(p.medicare) as medicare, SUM(p.net_pay) as net_pay,
+                   SUM(p.employer_social_security) as employer_social_security, SUM(p.employer_medicare) as employer_medicare,
+                   SUM(p.futa) as futa, SUM(p.suta) as suta
+            FROM paychecks p
+            JOIN payroll_runs r ON p.run_id = r.id
+            JOIN employees e ON p.employee_id = e.id
+            WHERE substr(r.pay_date, 1, 4) = ?
+            GROUP BY e.id
+            ORDER BY e.name ASC
+        `, [String(year)]);
+        if (results.length === 0) return [];
+        const round2 = (v) => Math.round((v || 0) * 100) / 100;
+        return this.rowsToObjects(results[0]).map(row => {
+            const summary = { ...row };
+            ['gross_pay', 'federal_withholding', 'state_withholding', 'social_security', 'medicare', 'net_pay',
+                'employer_social_security', 'employer_medicare', 'futa', 'suta'].forEach(key => {
+                summary[key] = round2(row[key]);
             });
+            return summary;
         });
-
-        return result;
     },
 
     // ==================== LOANS ====================
@@ -1557,14 +5155,19 @@ const Database = {
      * @returns {number} New loan ID
      */
     addLoan(params) {
+        this._assertPeriodOpen([params.start_date]);
         this.db.run(
             `INSERT INTO loans (name, principal, annual_rate, term_months, payments_per_year, start_date, first_payment_date, notes)
              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
             [params.name.trim(), params.principal, params.annual_rate, params.term_months, params.payments_per_year || 12, params.start_date, params.first_payment_date || null, params.notes || null]
         );
         const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('loans', id);
+        // Loan names decide which categories carry loan payments, so re-post everything
+        this.rebuildLedger();
         this.autoSave();
-        return result[0].values[0][0];
+        return id;
     },
 
     /**
@@ -1573,11 +5176,14 @@ const Database = {
      * @param {Object} params - Fields to update
      */
     updateLoan(id, params) {
-        this.db.run(
-            `UPDATE loans SET name = ?, principal = ?, annual_rate = ?, term_months = ?,
-             payments_per_year = ?, start_date = ?, first_payment_date = ?, notes = ? WHERE id = ?`,
-            [params.name.trim(), params.principal, params.annual_rate, params.term_months, params.payments_per_year || 12, params.start_date, params.first_payment_date || null, params.notes || null, id]
-        );
+        this._audited('loans', 'id = ?', [id], () => {
+            this.db.run(
+                `UPDATE loans SET name = ?, principal = ?, annual_rate = ?, term_months = ?,
+                 payments_per_year = ?, start_date = ?, first_payment_date = ?, notes = ? WHERE id = ?`,
+                [params.name.trim(), params.principal, params.annual_rate, params.term_months, params.payments_per_year || 12, params.start_date, params.first_payment_date || null, params.notes || null, id]
+            );
+        });
+        this.rebuildLedger();
         this.autoSave();
     },
 
@@ -1586,9 +5192,18 @@ const Database = {
      * @param {number} id - Loan ID
      */
     deleteLoan(id) {
-        this.db.run('DELETE FROM loans WHERE id = ?', [id]);
-        this.db.run('DELETE FROM loan_skipped_payments WHERE loan_id = ?', [id]);
-        this.db.run('DELETE FROM loan_payment_overrides WHERE loan_id = ?', [id]);
+        this._assertChangesOpen('loans', this._getAuditRows('loans', 'id = ?', [id]), {});
+        this._deleteAttachmentsOf('loan', 'id = ?', [id]);
+        this._audited('loans', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM loans WHERE id = ?', [id]);
+        });
+        this._audited('loan_skipped_payments', 'loan_id = ?', [id], () => {
+            this.db.run('DELETE FROM loan_skipped_payments WHERE loan_id = ?', [id]);
+        });
+        this._audited('loan_payment_overrides', 'loan_id = ?', [id], () => {
+            this.db.run('DELETE FROM loan_payment_overrides WHERE loan_id = ?', [id]);
+        });
+        this.rebuildLedger();
         this.autoSave();
     },
 
@@ -1616,11 +5231,14 @@ const Database = {
             'SELECT 1 FROM loan_skipped_payments WHERE loan_id = ? AND payment_number = ?',
             [loanId, paymentNumber]
         );
-        if (existing.length > 0 && existing[0].values.length > 0) {
-            this.db.run('DELETE FROM loan_skipped_payments WHERE loan_id = ? AND payment_number = ?', [loanId, paymentNumber]);
-        } else {
-            this.db.run('INSERT INTO loan_skipped_payments (loan_id, payment_number) VALUES (?, ?)', [loanId, paymentNumber]);
-        }
+        this._audited('loan_skipped_payments', 'loan_id = ? AND payment_number = ?', [loanId, paymentNumber], () => {
+            if (existing.length > 0 && existing[0].values.length > 0) {
+                this.db.run('DELETE FROM loan_skipped_payments WHERE loan_id = ? AND payment_number = ?', [loanId, paymentNumber]);
+            } else {
+                this.db.run('INSERT INTO loan_skipped_payments (loan_id, payment_number) VALUES (?, ?)', [loanId, paymentNumber]);
+            }
+        });
+        this.postScheduledLedgerEntries();
         this.autoSave();
     },
 
@@ -1645,14 +5263,17 @@ const Database = {
      * @param {number|null} amount - null to remove override
      */
     setLoanPaymentOverride(loanId, paymentNumber, amount) {
-        if (amount === null || amount === undefined) {
-            this.db.run('DELETE FROM loan_payment_overrides WHERE loan_id = ? AND payment_number = ?', [loanId, paymentNumber]);
-        } else {
-            this.db.run(
-                'INSERT OR REPLACE INTO loan_payment_overrides (loan_id, payment_number, override_amount) VALUES (?, ?, ?)',
-                [loanId, paymentNumber, amount]
-            );
-        }
+        this._audited('loan_payment_overrides', 'loan_id = ? AND payment_number = ?', [loanId, paymentNumber], () => {
+            if (amount === null || amount === undefined) {
+                this.db.run('DELETE FROM loan_payment_overrides WHERE loan_id = ? AND payment_number = ?', [loanId, paymentNumber]);
+            } else {
+                this.db.run(
+                    'INSERT OR REPLACE INTO loan_payment_overrides (loan_id, payment_number, override_amount) VALUES (?, ?, ?)',
+                    [loanId, paymentNumber, amount]
+                );
+            }
+        });
+        this.postScheduledLedgerEntries();
         this.autoSave();
     },
 
@@ -1730,58 +5351,258 @@ const Database = {
      * @param {string|null} notes
      * @returns {number} New ID
      */
-    addBudgetExpense(name, monthlyAmount, startMonth, endMonth = null, categoryId = null, notes = null) {
+    addBudgetExpense(name, monthlyAmount, startMonth, endMonth = null, categoryId = null, notes = null) {
+        this.db.run(
+            'INSERT INTO budget_expenses (name, monthly_amount, start_month, end_month, category_id, notes) VALUES (?, ?, ?, ?, ?, ?)',
+            [name.trim(), monthlyAmount, startMonth, endMonth || null, categoryId || null, notes || null]
+        );
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        this._auditCreated('budget_expenses', result[0].values[0][0]);
+        this.autoSave();
+        return result[0].values[0][0];
+    },
+
+    /**
+     * Update a budget expense
+     * @param {number} id
+     * @param {string} name
+     * @param {number} monthlyAmount
+     * @param {string} startMonth
+     * @param {string|null} endMonth
+     * @param {number|null} categoryId
+     * @param {string|null} notes
+     */
+    updateBudgetExpense(id, name, monthlyAmount, startMonth, endMonth = null, categoryId = null, notes = null) {
+        this._audited('budget_expenses', 'id = ?', [id], () => {
+            this.db.run(
+                'UPDATE budget_expenses SET name = ?, monthly_amount = ?, start_month = ?, end_month = ?, category_id = ?, notes = ? WHERE id = ?',
+                [name.trim(), monthlyAmount, startMonth, endMonth || null, categoryId || null, notes || null, id]
+            );
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Delete a budget expense
+     * @param {number} id
+     */
+    deleteBudgetExpense(id) {
+        this._audited('budget_expenses', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM budget_expenses WHERE id = ?', [id]);
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Get active budget expenses for a given month
+     * @param {string} month - YYYY-MM
+     * @returns {Array} Expenses where start_month <= month AND (end_month IS NULL OR end_month >= month)
+     */
+    getActiveBudgetExpensesForMonth(month) {
+        const results = this.db.exec(`
+            SELECT be.*, c.name as category_name
+            FROM budget_expenses be
+            LEFT JOIN categories c ON be.category_id = c.id
+            WHERE be.start_month <= ? AND (be.end_month IS NULL OR be.end_month >= ?)
+            ORDER BY be.name ASC
+        `, [month, month]);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    // ==================== RECURRING TEMPLATES ====================
+
+    /**
+     * Get all recurring transaction templates
+     * @returns {Array} Templates with category/counterparty names and generated_count
+     */
+    getRecurringTemplates() {
+        const results = this.db.exec(`
+            SELECT rt.*, c.name as category_name, c.is_monthly as category_is_monthly,
+                   cp.name as counterparty_name, cp.payment_terms_days,
+                   (SELECT COUNT(*) FROM transactions t
+                    WHERE t.source_type = 'recurring' AND t.source_id = rt.id) as generated_count
+            FROM recurring_templates rt
+            LEFT JOIN categories c ON rt.category_id = c.id
+            LEFT JOIN counterparties cp ON rt.counterparty_id = cp.id
+            ORDER BY rt.name ASC
+        `);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Get a recurring template by ID
+     * @param {number} id
+     * @returns {Object|null}
+     */
+    getRecurringTemplateById(id) {
+        const results = this.db.exec('SELECT * FROM recurring_templates WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
+    },
+
+    /**
+     * Add a recurring template
+     * @param {Object} params - { name, category_id, counterparty_id, transaction_type, amount, frequency,
+     *                           start_date, end_date, occurrence_count, is_active, notes }
+     * @returns {number} New ID
+     */
+    addRecurringTemplate(params) {
         this.db.run(
-            'INSERT INTO budget_expenses (name, monthly_amount, start_month, end_month, category_id, notes) VALUES (?, ?, ?, ?, ?, ?)',
-            [name.trim(), monthlyAmount, startMonth, endMonth || null, categoryId || null, notes || null]
+            `INSERT INTO recurring_templates (name, category_id, counterparty_id, transaction_type, amount, frequency,
+             start_date, end_date, occurrence_count, is_active, notes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            this._recurringTemplateValues(params)
         );
         const result = this.db.exec('SELECT last_insert_rowid() as id');
+        this._auditCreated('recurring_templates', result[0].values[0][0]);
         this.autoSave();
         return result[0].values[0][0];
     },
 
     /**
-     * Update a budget expense
+     * Update a recurring template. Already-generated transactions are left alone;
+     * call regenerateRecurringTransactions to rebuild the pending ones.
      * @param {number} id
-     * @param {string} name
-     * @param {number} monthlyAmount
-     * @param {string} startMonth
-     * @param {string|null} endMonth
-     * @param {number|null} categoryId
-     * @param {string|null} notes
+     * @param {Object} params - Same fields as addRecurringTemplate
      */
-    updateBudgetExpense(id, name, monthlyAmount, startMonth, endMonth = null, categoryId = null, notes = null) {
-        this.db.run(
-            'UPDATE budget_expenses SET name = ?, monthly_amount = ?, start_month = ?, end_month = ?, category_id = ?, notes = ? WHERE id = ?',
-            [name.trim(), monthlyAmount, startMonth, endMonth || null, categoryId || null, notes || null, id]
-        );
+    updateRecurringTemplate(id, params) {
+        this._audited('recurring_templates', 'id = ?', [id], () => {
+            this.db.run(
+                `UPDATE recurring_templates SET name = ?, category_id = ?, counterparty_id = ?, transaction_type = ?,
+                 amount = ?, frequency = ?, start_date = ?, end_date = ?, occurrence_count = ?, is_active = ?, notes = ?
+                 WHERE id = ?`,
+                [...this._recurringTemplateValues(params), id]
+            );
+        });
         this.autoSave();
     },
 
     /**
-     * Delete a budget expense
+     * Column values shared by add/update of a recurring template
+     * @param {Object} params
+     * @returns {Array}
+     */
+    _recurringTemplateValues(params) {
+        return [
+            params.name.trim(),
+            params.category_id,
+            params.counterparty_id || null,
+            params.transaction_type,
+            params.amount,
+            params.frequency,
+            params.start_date,
+            params.end_date || null,
+            Number.isInteger(params.occurrence_count) && params.occurrence_count > 0 ? params.occurrence_count : null,
+            params.is_active === false ? 0 : 1,
+            params.notes || null
+        ];
+    },
+
+    /**
+     * Delete a recurring template and its still-pending generated transactions.
+     * Settled transactions stay in the journal.
      * @param {number} id
      */
-    deleteBudgetExpense(id) {
-        this.db.run('DELETE FROM budget_expenses WHERE id = ?', [id]);
+    deleteRecurringTemplate(id) {
+        this._deletePendingRecurringTransactions(id);
+        this._audited('recurring_templates', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM recurring_templates WHERE id = ?', [id]);
+        });
         this.autoSave();
     },
 
     /**
-     * Get active budget expenses for a given month
-     * @param {string} month - YYYY-MM
-     * @returns {Array} Expenses where start_month <= month AND (end_month IS NULL OR end_month >= month)
+     * Delete the pending transactions a template has generated, all or nothing. Kept are those in a
+     * closed period, voided ones, those with refunds or credit memos issued against them, and those
+     * with partial payments locked by a reconciliation.
+     * @param {number} templateId
+     * @returns {number} Number deleted
      */
-    getActiveBudgetExpensesForMonth(month) {
+    _deletePendingRecurringTransactions(templateId) {
         const results = this.db.exec(`
-            SELECT be.*, c.name as category_name
-            FROM budget_expenses be
-            LEFT JOIN categories c ON be.category_id = c.id
-            WHERE be.start_month <= ? AND (be.end_month IS NULL OR be.end_month >= ?)
-            ORDER BY be.name ASC
-        `, [month, month]);
-        if (results.length === 0) return [];
-        return this.rowsToObjects(results[0]);
+            SELECT id, entry_date, month_due FROM transactions
+            WHERE source_type = 'recurring' AND source_id = ? AND status = 'pending' AND voided_by IS NULL
+        `, [templateId]);
+        if (results.length === 0) return 0;
+        const ids = this.rowsToObjects(results[0])
+            .filter(t => !this.isMonthClosed(t.entry_date) && !this.isMonthClosed(t.month_due))
+            .filter(t => this.getTransactionCredits(t.id).length === 0 && !this.getTransactionReconciliation(t.id))
+            .map(t => t.id);
+        this._runLedgerBatch(() => ids.forEach(id => this.deleteTransaction(id)));
+        return ids.length;
+    },
+
+    /**
+     * Generate pending journal transactions for every active template's occurrences up to a date.
+     * Each template remembers how far it has generated, so occurrences are created once even if
+     * the user later deletes the generated entry; dates that already have an entry are skipped.
+     * @param {string} throughDate - Last occurrence date to generate (YYYY-MM-DD)
+     * @param {number|null} templateId - Limit to one template
+     * @returns {number} Number of transactions created
+     */
+    generateRecurringTransactions(throughDate, templateId = null) {
+        let count = 0;
+        this.getRecurringTemplates()
+            .filter(rt => rt.is_active && (templateId === null || rt.id === templateId))
+            .forEach(rt => {
+                if (rt.generated_through && rt.generated_through >= throughDate) return;
+
+                const existingResults = this.db.exec(
+                    "SELECT entry_date FROM transactions WHERE source_type = 'recurring' AND source_id = ?", [rt.id]
+                );
+                const existing = new Set(existingResults.length > 0 ? existingResults[0].values.map(row => row[0]) : []);
+                // Occurrences that fall in a closed period are not back-filled
+                const dates = Utils.computeRecurringDates(rt.frequency, rt.start_date, throughDate, rt.end_date, rt.occurrence_count)
+                    .filter(date => (!rt.generated_through || date > rt.generated_through) && !existing.has(date) && !this.isMonthClosed(date));
+
+                dates.forEach(date => {
+                    // Month due follows the counterparty's payment terms, like the entry form
+                    const due = new Date(date + 'T00:00:00');
+                    due.setDate(due.getDate() + (rt.payment_terms_days || 0));
+                    const monthDue = `${due.getFullYear()}-${String(due.getMonth() + 1).padStart(2, '0')}`;
+
+                    this.addTransaction({
+                        entry_date: date,
+                        category_id: rt.category_id,
+                        item_description: rt.name,
+                        amount: rt.amount,
+                        transaction_type: rt.transaction_type,
+                        status: 'pending',
+                        month_due: monthDue,
+                        payment_for_month: rt.category_is_monthly ? date.substring(0, 7) : null,
+                        notes: rt.notes,
+                        source_type: 'recurring',
+                        source_id: rt.id,
+                        counterparty_id: rt.counterparty_id
+                    });
+                    count++;
+                });
+
+                this._audited('recurring_templates', 'id = ?', [rt.id], () => {
+                    this.db.run('UPDATE recurring_templates SET generated_through = ? WHERE id = ?', [throughDate, rt.id]);
+                });
+            });
+
+        if (count > 0) this.autoSave();
+        return count;
+    },
+
+    /**
+     * Rebuild a template's pending transactions from its current settings
+     * (settled ones are kept and their dates are not generated again)
+     * @param {number} templateId
+     * @param {string} throughDate - Last occurrence date to generate (YYYY-MM-DD)
+     * @returns {number} Number of transactions created
+     */
+    regenerateRecurringTransactions(templateId, throughDate) {
+        this._deletePendingRecurringTransactions(templateId);
+        this._audited('recurring_templates', 'id = ?', [templateId], () => {
+            this.db.run('UPDATE recurring_templates SET generated_through = NULL WHERE id = ?', [templateId]);
+        });
+        const count = this.generateRecurringTransactions(throughDate, templateId);
+        this.autoSave();
+        return count;
     },
 
     // ==================== BREAK-EVEN CONFIG ====================
@@ -1823,10 +5644,12 @@ const Database = {
      * @param {Object} config - Break-even config to persist
      */
     setBreakevenConfig(config) {
-        this.db.run(
-            "INSERT OR REPLACE INTO app_meta (key, value) VALUES ('breakeven_config', ?)",
-            [JSON.stringify(config)]
-        );
+        this._audited('app_meta', 'key = ?', ['breakeven_config'], () => {
+            this.db.run(
+                "INSERT OR REPLACE INTO app_meta (key, value) VALUES ('breakeven_config', ?)",
+                [JSON.stringify(config)]
+            );
+        });
         this.autoSave();
     },
 
@@ -1884,10 +5707,12 @@ const Database = {
     },
 
     setProjectedSalesConfig(config) {
-        this.db.run(
-            "INSERT OR REPLACE INTO app_meta (key, value) VALUES ('projected_sales_config', ?)",
-            [JSON.stringify(config)]
-        );
+        this._audited('app_meta', 'key = ?', ['projected_sales_config'], () => {
+            this.db.run(
+                "INSERT OR REPLACE INTO app_meta (key, value) VALUES ('projected_sales_config', ?)",
+                [JSON.stringify(config)]
+            );
+        });
         this.autoSave();
     },
 
@@ -1949,507 +5774,1298 @@ const Database = {
     },
 
     /**
-     * Set equity config
-     * @param {Object} config - { common_stock_par, common_stock_shares, apic }
+     * Set equity config
+     * @param {Object} config - { common_stock_par, common_stock_shares, apic }
+     */
+    setEquityConfig(config) {
+        this._runOpenPeriodChange(() => {
+            this._audited('app_meta', 'key = ?', ['equity_config'], () => {
+                this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('equity_config', ?)", [JSON.stringify(config)]);
+            });
+            this.postScheduledLedgerEntries();
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Get loan config (single loan)
+     * @returns {Object|null} { principal, annual_rate, term_years, payments_per_year, start_date } or null
+     */
+    getLoanConfig() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'loan_config'");
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        try {
+            return JSON.parse(result[0].values[0][0]);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Set loan config (kept for backward compat)
+     * @param {Object|null} config - Loan config object or null to clear
+     */
+    setLoanConfig(config) {
+        this._audited('app_meta', 'key = ?', ['loan_config'], () => {
+            if (config === null) {
+                this.db.run("DELETE FROM app_meta WHERE key = 'loan_config'");
+            } else {
+                this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('loan_config', ?)", [JSON.stringify(config)]);
+            }
+        });
+        this.autoSave();
+    },
+
+    // ==================== TAB ORDER ====================
+
+    /**
+     * Get saved tab order
+     * @returns {Array|null} Array of tab names or null if not set
+     */
+    getTabOrder() {
+        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'tab_order'");
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        try {
+            return JSON.parse(result[0].values[0][0]);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Save tab order
+     * @param {Array} order - Array of tab name strings
+     */
+    setTabOrder(order) {
+        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('tab_order', ?)", [JSON.stringify(order)]);
+        this.autoSave();
+    },
+
+    // ==================== TIMELINE ====================
+
+    /**
+     * Get timeline settings
+     * @returns {Object} { start: 'YYYY-MM' | null, end: 'YYYY-MM' | null }
+     */
+    getTimeline() {
+        const startResult = this.db.exec("SELECT value FROM app_meta WHERE key = 'timeline_start'");
+        const endResult = this.db.exec("SELECT value FROM app_meta WHERE key = 'timeline_end'");
+        return {
+            start: (startResult.length > 0 && startResult[0].values.length > 0) ? startResult[0].values[0][0] : null,
+            end: (endResult.length > 0 && endResult[0].values.length > 0) ? endResult[0].values[0][0] : null
+        };
+    },
+
+    /**
+     * Set timeline start month
+     * @param {string|null} month - 'YYYY-MM' or null to clear
+     */
+    setTimelineStart(month) {
+        this._audited('app_meta', 'key = ?', ['timeline_start'], () => {
+            if (month) {
+                this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('timeline_start', ?)", [month]);
+            } else {
+                this.db.run("DELETE FROM app_meta WHERE key = 'timeline_start'");
+            }
+        });
+        this.autoSave();
+    },
+
+    /**
+     * Set timeline end month
+     * @param {string|null} month - 'YYYY-MM' or null to clear
+     */
+    setTimelineEnd(month) {
+        this._audited('app_meta', 'key = ?', ['timeline_end'], () => {
+            if (month) {
+                this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('timeline_end', ?)", [month]);
+            } else {
+                this.db.run("DELETE FROM app_meta WHERE key = 'timeline_end'");
+            }
+        });
+        this.autoSave();
+    },
+
+    // ==================== CASH FLOW OVERRIDES ====================
+
+    /**
+     * Get all cash flow overrides
+     * @returns {Object} Map of "categoryId-month" => override_amount
+     */
+    getAllCashFlowOverrides() {
+        const results = this.db.exec('SELECT category_id, month, override_amount FROM cashflow_overrides');
+        if (results.length === 0) return {};
+        const overrides = {};
+        this.rowsToObjects(results[0]).forEach(row => {
+            overrides[`${row.category_id}-${row.month}`] = row.override_amount;
+        });
+        return overrides;
+    },
+
+    /**
+     * Set a cash flow override value for a category+month
+     * @param {number} categoryId - Category ID
+     * @param {string} month - Month (YYYY-MM)
+     * @param {number|null} amount - Override amount (null to remove)
+     */
+    setCashFlowOverride(categoryId, month, amount) {
+        this._audited('cashflow_overrides', 'category_id = ? AND month = ?', [categoryId, month], () => {
+            if (amount === null || amount === '') {
+                this.db.run('DELETE FROM cashflow_overrides WHERE category_id = ? AND month = ?', [categoryId, month]);
+            } else {
+                this.db.run(
+                    'INSERT OR REPLACE INTO cashflow_overrides (category_id, month, override_amount) VALUES (?, ?, ?)',
+                    [categoryId, month, parseFloat(amount)]
+                );
+            }
+        });
+        this.autoSave();
+    },
+
+    // ==================== GENERAL LEDGER ====================
+
+    /**
+     * System chart of accounts. Postings reference accounts by code.
+     * Clearing accounts (1200, 1250, 2050, 2060, 2400) are credited/debited by the
+     * Assets, Equity, Inventory and Loans tabs and settled by the matching journal entries.
+     */
+    CHART_OF_ACCOUNTS: [
+        { code: '1000', name: 'Cash', account_type: 'asset' },
+        { code: '1100', name: 'Accounts Receivable', account_type: 'asset' },
+        { code: '1200', name: 'Stock Subscriptions Receivable', account_type: 'asset' },
+        { code: '1250', name: 'Loan Proceeds Receivable', account_type: 'asset' },
+        { code: '1300', name: 'Prepaid Expenses', account_type: 'asset' },
+        { code: '1400', name: 'Inventory', account_type: 'asset' },
+        { code: '1500', name: 'Fixed Assets', account_type: 'asset' },
+        { code: '1550', name: 'Accumulated Depreciation', account_type: 'asset' },
+        { code: '2000', name: 'Accounts Payable', account_type: 'liability' },
+        { code: '2050', name: 'Asset Purchases Payable', account_type: 'liability' },
+        { code: '2060', name: 'Inventory Purchases Payable', account_type: 'liability' },
+        { code: '2100', name: 'Sales Tax Payable', account_type: 'liability' },
+        { code: '2200', name: 'Income Tax Payable', account_type: 'liability' },
+        { code: '2300', name: 'Accrued Adjustments', account_type: 'liability' },
+        { code: '2400', name: 'Loan Payments Due', account_type: 'liability' },
+        { code: '2500', name: 'Loans Payable', account_type: 'liability' },
+        { code: '2600', name: 'Customer Deposits', account_type: 'liability' },
+        { code: '3000', name: 'Common Stock', account_type: 'equity' },
+        { code: '3100', name: 'Additional Paid-In Capital', account_type: 'equity' },
+        { code: '3200', name: 'Owner Contributions & Draws', account_type: 'equity' },
+        { code: '4000', name: 'Revenue', account_type: 'revenue' },
+        { code: '5000', name: 'Cost of Goods Sold', account_type: 'expense' },
+        { code: '6000', name: 'Operating Expenses', account_type: 'expense' },
+        { code: '6100', name: 'Depreciation Expense', account_type: 'expense' },
+        { code: '6200', name: 'Interest Expense', account_type: 'expense' },
+        { code: '6900', name: 'Income Tax Expense', account_type: 'expense' }
+    ],
+
+    /** Posting month for undated events (e.g. equity with no dates) — sorts before every real month */
+    LEDGER_OPENING_MONTH: '0000-00',
+
+    /** Ledger sources re-posted from schedules/config rather than from individual transactions */
+    SCHEDULED_LEDGER_SOURCES: ['fixed_asset', 'depreciation', 'inventory', 'loan', 'equity', 'pl_override', 'income_tax'],
+
+    /**
+     * Insert any missing system accounts
+     */
+    seedChartOfAccounts() {
+        const stmt = this.db.prepare('INSERT OR IGNORE INTO accounts (code, name, account_type, is_system) VALUES (?, ?, ?, 1)');
+        this.CHART_OF_ACCOUNTS.forEach(acct => {
+            stmt.run([acct.code, acct.name, acct.account_type]);
+        });
+        stmt.free();
+        this._accountIds = null;
+    },
+
+    /**
+     * Get the chart of accounts
+     * @returns {Array} Array of account objects ordered by code
+     */
+    getAccounts() {
+        const results = this.db.exec('SELECT * FROM accounts ORDER BY code ASC');
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Map of account code => id (cached until the chart of accounts is re-seeded)
+     * @returns {Object}
+     */
+    _getAccountIds() {
+        if (!this._accountIds) {
+            this._accountIds = {};
+            const results = this.db.exec('SELECT code, id FROM accounts');
+            if (results.length > 0) {
+                results[0].values.forEach(([code, id]) => { this._accountIds[code] = id; });
+            }
+        }
+        return this._accountIds;
+    },
+
+    /**
+     * Write one balanced journal entry.
+     * @param {string} sourceType - What produced the entry ('transaction', 'loan', ...)
+     * @param {number|null} sourceId - ID of the producing record
+     * @param {string} month - Posting month (YYYY-MM)
+     * @param {Array<{code: string, amount: number, category_id?: number, cash_account_id?: number}>} lines - Debits positive, credits negative; 2100 lines may also carry sales_tax_rate_id
+     * @param {string|null} memo - Description stored on every line
+     * @throws {Error} If debits and credits do not balance
+     */
+    _postJournalEntry(sourceType, sourceId, month, lines, memo = null) {
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const posted = lines
+            .map(line => ({ ...line, amount: round2(line.amount || 0) }))
+            .filter(line => line.amount !== 0);
+        if (posted.length === 0) return;
+
+        const net = round2(posted.reduce((sum, line) => sum + line.amount, 0));
+        if (net !== 0) {
+            throw new Error(`Unbalanced journal entry for ${sourceType} #${sourceId} (${month}): off by ${net}`);
+        }
+
+        const accountIds = this._getAccountIds();
+        const stmt = this.db.prepare(
+            'INSERT INTO journal_lines (source_type, source_id, month, account_id, category_id, debit, credit, memo, cash_account_id, sales_tax_rate_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
+        );
+        posted.forEach(line => {
+            if (!accountIds[line.code]) {
+                stmt.free();
+                throw new Error(`Unknown ledger account ${line.code}`);
+            }
+            stmt.run([
+                sourceType, sourceId, month, accountIds[line.code], line.category_id || null,
+                line.amount > 0 ? line.amount : 0,
+                line.amount < 0 ? -line.amount : 0,
+                memo, line.cash_account_id || null, line.sales_tax_rate_id || null
+            ]);
+        });
+        stmt.free();
+    },
+
+    /**
+     * Get transaction lines (one per split) joined with the category flags that decide their accounts
+     * @param {number|null} id - Limit to one transaction
+     * @returns {Array} Transaction line rows
+     */
+    _getLedgerTransactions(id = null) {
+        let query = `
+            SELECT t.*, c.name as category_name, c.show_on_pl, c.is_cogs, c.is_depreciation, c.is_sales_tax
+            FROM transaction_lines t
+            JOIN categories c ON t.category_id = c.id
+        `;
+        const params = [];
+        if (id !== null) {
+            query += ' WHERE t.id = ?';
+            params.push(id);
+        }
+        const results = this.db.exec(query, params);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]);
+    },
+
+    /**
+     * Names of categories that carry loan activity (the category auto-created for a loan shares its name)
+     * @returns {Set<string>}
+     */
+    _getLoanCategoryNames() {
+        return new Set(this.getLoans().map(loan => loan.name));
+    },
+
+    /**
+     * Accounts a transaction's revenue/expense side posts to, before the debit/credit sign is applied
+     * @param {Object} t - Row from _getLedgerTransactions
+     * @param {number} amount - Rounded transaction amount
+     * @param {Set<string>} loanCategoryNames
+     * @returns {Array<{code: string, amount: number}>}
+     */
+    _getCounterLines(t, amount, loanCategoryNames) {
+        const isReceivable = t.transaction_type === 'receivable';
+        if (t.source_type === 'asset_purchase') return [{ code: '2050', amount }];
+        if (t.source_type === 'inventory_purchase') return [{ code: '2060', amount }];
+        if (t.source_type === 'investment') return [{ code: '1200', amount }];
+        if (t.is_sales_tax) return [{ code: '2100', amount }];
+        if (loanCategoryNames.has(t.category_name)) return [{ code: isReceivable ? '1250' : '2400', amount }];
+        // show_on_pl=1 means hidden from P&L: the money moves through equity instead
+        if (t.show_on_pl && !t.is_depreciation) return [{ code: '3200', amount }];
+        // The P&L only counts entries with a month_due, so the rest go through equity too
+        // and retained earnings stay equal to cumulative net income
+        const plCode = (code) => t.month_due ? code : '3200';
+        if (t.is_cogs) return [{ code: plCode('5000'), amount }];
+        if (t.is_depreciation) return [{ code: plCode('6100'), amount }];
+        if (!isReceivable) return [{ code: plCode('6000'), amount }];
+
+        // Revenue is the pretax amount; the rest was collected on behalf of the tax authority
+        const pretax = t.pretax_amount ? Math.round(t.pretax_amount * 100) / 100 : amount;
+        return [
+            { code: plCode('4000'), amount: pretax },
+            { code: '2100', amount: amount - pretax }
+        ];
+    },
+
+    /**
+     * Get when each transaction's money moved, from the transaction_settlements view
+     * @param {number|null} id - Limit to one transaction
+     * @returns {Object} Map of transaction ID => [{month, amount, cash_account_id}] oldest first
+     */
+    _getLedgerSettlements(id = null) {
+        let query = 'SELECT transaction_id, month, amount, cash_account_id FROM transaction_settlements';
+        const params = [];
+        if (id !== null) {
+            query += ' WHERE transaction_id = ?';
+            params.push(id);
+        }
+        query += ' ORDER BY transaction_id, month, payment_id IS NULL, payment_id';
+        const results = this.db.exec(query, params);
+        const byTransaction = {};
+        if (results.length === 0) return byTransaction;
+        results[0].values.forEach(([transactionId, month, amount, cashAccountId]) => {
+            (byTransaction[transactionId] = byTransaction[transactionId] || []).push({ month, amount, cash_account_id: cashAccountId });
+        });
+        return byTransaction;
+    },
+
+    /**
+     * Post the journal entries for one transaction line. Revenue/expense is recognised in
+     * month_due against AR/AP, and each settlement (partial payment or the final paid/received
+     * status) clears its share against the Cash account it went through, in the month it happened. Money that moves
+     * before month_due waits in Customer Deposits / Prepaid Expenses until then. Entries
+     * without a month_due (and sales tax remittances, which clear an existing liability)
+     * post straight to Cash as they are settled, against equity since the P&L leaves them out.
+     * @param {Object} t - Row from _getLedgerTransactions
+     * @param {Set<string>} loanCategoryNames
+     * @param {Array} settlements - The transaction's [{month, amount, cash_account_id}] from _getLedgerSettlements
+     */
+    _postTransactionEntries(t, loanCategoryNames, settlements = []) {
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const amount = round2(t.amount || 0);
+        if (!amount) return;
+
+        const isReceivable = t.transaction_type === 'receivable';
+        const memo = t.item_description || t.category_name;
+        // Cash moves in for receipts (+ debit) and out for payments (- credit)
+        const sign = isReceivable ? 1 : -1;
+        const cashAmount = sign * amount;
+        // Sales tax lines remember which rate they were collected or remitted under
+        const line = (code, value) => ({
+            code, amount: value, category_id: t.category_id,
+            sales_tax_rate_id: code === '2100' ? t.sales_tax_rate_id : null
+        });
+        const cashLine = (s, value) => ({ ...line('1000', value), cash_account_id: s.cash_account_id });
+        const counter = this._getCounterLines(t, amount, loanCategoryNames)
+            .map(l => line(l.code, isReceivable ? -l.amount : l.amount));
+
+        // This line's share of each settlement. Working from the running total means a
+        // fully settled transaction settles exactly the line amount, with no rounding residue.
+        const share = t.transaction_amount ? amount / t.transaction_amount : 1;
+        let settledTotal = 0;
+        const lineSettlements = settlements.map(s => {
+            const before = round2(settledTotal * share);
+            settledTotal += s.amount;
+            return { month: s.month, amount: round2(settledTotal * share) - before, cash_account_id: s.cash_account_id };
+        });
+
+        const direct = !t.month_due || (t.is_sales_tax && !isReceivable);
+        if (direct) {
+            lineSettlements.forEach(s => {
+                // Recognise the counter accounts in proportion; the last line absorbs rounding
+                const cash = sign * s.amount;
+                const lines = counter.map(l => line(l.code, round2(l.amount * s.amount / amount)));
+                const residue = round2(cash + lines.reduce((sum, l) => sum + l.amount, 0));
+                lines[lines.length - 1].amount -= residue;
+                this._postJournalEntry('transaction', t.id, s.month, [cashLine(s, cash), ...lines], memo);
+            });
+            return;
+        }
+
+        const accrual = isReceivable ? '1100' : '2000';
+        const deferral = isReceivable ? '2600' : '1300';
+        this._postJournalEntry('transaction', t.id, t.month_due, [line(accrual, cashAmount), ...counter], memo);
+        lineSettlements.forEach(s => {
+            const cash = sign * s.amount;
+            if (s.month < t.month_due) {
+                this._postJournalEntry('transaction', t.id, s.month, [cashLine(s, cash), line(deferral, -cash)], memo);
+                this._postJournalEntry('transaction', t.id, t.month_due, [line(deferral, cash), line(accrual, -cash)], memo);
+            } else {
+                this._postJournalEntry('transaction', t.id, s.month, [cashLine(s, cash), line(accrual, -cash)], memo);
+            }
+        });
+    },
+
+    /**
+     * Re-post one transaction (or remove its lines if it no longer exists)
+     * @param {number} id - Transaction ID
      */
-    setEquityConfig(config) {
-        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('equity_config', ?)", [JSON.stringify(config)]);
-        this.autoSave();
+    postTransactionToLedger(id) {
+        this._postTransactionsToLedger([id]);
     },
 
     /**
-     * Get loan config (single loan)
-     * @returns {Object|null} { principal, annual_rate, term_years, payments_per_year, start_date } or null
+     * Re-post transactions (removing the lines of any that no longer exist), then refresh
+     * the P&L overrides and income tax of the months they touched, which depend on P&L
+     * totals. Inside _runLedgerBatch the IDs are collected and posted once at the end.
+     * @param {Array<number>} ids - Transaction IDs
      */
-    getLoanConfig() {
-        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'loan_config'");
-        if (result.length === 0 || result[0].values.length === 0) return null;
-        try {
-            return JSON.parse(result[0].values[0][0]);
-        } catch (e) {
-            return null;
+    _postTransactionsToLedger(ids) {
+        if (this._ledgerBatchIds) {
+            ids.forEach(id => this._ledgerBatchIds.add(id));
+            return;
         }
-    },
+        if (ids.length === 0) return;
+
+        const placeholders = ids.map(() => '?').join(', ');
+        const months = new Set();
+        const categoryIds = new Set();
+        const collectTouched = () => {
+            const results = this.db.exec(`
+                SELECT DISTINCT month, category_id FROM journal_lines
+                WHERE source_type = 'transaction' AND source_id IN (${placeholders})
+            `, ids);
+            if (results.length === 0) return;
+            results[0].values.forEach(([month, categoryId]) => {
+                months.add(month);
+                if (categoryId !== null) categoryIds.add(categoryId);
+            });
+        };
 
-    /**
-     * Set loan config (kept for backward compat)
-     * @param {Object|null} config - Loan config object or null to clear
-     */
-    setLoanConfig(config) {
-        if (config === null) {
-            this.db.run("DELETE FROM app_meta WHERE key = 'loan_config'");
-        } else {
-            this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('loan_config', ?)", [JSON.stringify(config)]);
+        collectTouched();
+        this.db.run(`DELETE FROM journal_lines WHERE source_type = 'transaction' AND source_id IN (${placeholders})`, ids);
+        const loanCategoryNames = this._getLoanCategoryNames();
+        ids.forEach(id => {
+            const settlements = this._getLedgerSettlements(id);
+            this._getLedgerTransactions(id).forEach(t => this._postTransactionEntries(t, loanCategoryNames, settlements[t.id]));
+        });
+        collectTouched();
+
+        // Which account a category's overrides post to follows its entries in any month
+        if (categoryIds.size > 0) {
+            const categories = [...categoryIds];
+            const results = this.db.exec(
+                `SELECT DISTINCT month FROM pl_overrides WHERE category_id IN (${categories.map(() => '?').join(', ')})`,
+                categories
+            );
+            if (results.length > 0) results[0].values.forEach(([month]) => months.add(month));
         }
-        this.autoSave();
+        this._postPLAdjustments([...months]);
     },
 
-    // ==================== TAB ORDER ====================
-
     /**
-     * Get saved tab order
-     * @returns {Array|null} Array of tab names or null if not set
+     * Run several transaction changes as one database transaction: either all of them
+     * happen or none does, and the affected transactions are posted to the ledger once
+     * at the end instead of after every change.
+     * @param {Function} change - Performs the changes
+     * @returns {*} Whatever `change` returns
      */
-    getTabOrder() {
-        const result = this.db.exec("SELECT value FROM app_meta WHERE key = 'tab_order'");
-        if (result.length === 0 || result[0].values.length === 0) return null;
+    _runLedgerBatch(change) {
+        this._ledgerBatchIds = new Set();
+        this.db.run('BEGIN TRANSACTION');
         try {
-            return JSON.parse(result[0].values[0][0]);
-        } catch (e) {
-            return null;
+            const result = change();
+            const ids = [...this._ledgerBatchIds];
+            this._ledgerBatchIds = null;
+            this._postTransactionsToLedger(ids);
+            this.db.run('COMMIT');
+            return result;
+        } catch (error) {
+            this._ledgerBatchIds = null;
+            this.db.run('ROLLBACK');
+            throw error;
         }
     },
 
     /**
-     * Save tab order
-     * @param {Array} order - Array of tab name strings
+     * Post a transfer between two cash accounts: Cash moves from one account to the
+     * other in the transfer's month, so the Cash total and P&L are untouched.
+     * @param {Object} transfer - cash_transfers row
      */
-    setTabOrder(order) {
-        this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('tab_order', ?)", [JSON.stringify(order)]);
-        this.autoSave();
+    _postCashTransferEntries(transfer) {
+        this._postJournalEntry('transfer', transfer.id, transfer.transfer_date.substring(0, 7), [
+            { code: '1000', amount: transfer.amount, cash_account_id: transfer.to_account_id },
+            { code: '1000', amount: -transfer.amount, cash_account_id: transfer.from_account_id }
+        ], transfer.notes || 'Transfer');
     },
 
-    // ==================== TIMELINE ====================
-
     /**
-     * Get timeline settings
-     * @returns {Object} { start: 'YYYY-MM' | null, end: 'YYYY-MM' | null }
+     * Re-post one cash transfer (or remove its lines if it no longer exists)
+     * @param {number} id - Transfer ID
      */
-    getTimeline() {
-        const startResult = this.db.exec("SELECT value FROM app_meta WHERE key = 'timeline_start'");
-        const endResult = this.db.exec("SELECT value FROM app_meta WHERE key = 'timeline_end'");
-        return {
-            start: (startResult.length > 0 && startResult[0].values.length > 0) ? startResult[0].values[0][0] : null,
-            end: (endResult.length > 0 && endResult[0].values.length > 0) ? endResult[0].values[0][0] : null
-        };
+    postCashTransferToLedger(id) {
+        this.db.run("DELETE FROM journal_lines WHERE source_type = 'transfer' AND source_id = ?", [id]);
+        const transfer = this.getCashTransferById(id);
+        if (transfer) this._postCashTransferEntries(transfer);
     },
 
     /**
-     * Set timeline start month
-     * @param {string|null} month - 'YYYY-MM' or null to clear
+     * Re-post everything derived from schedules and config: fixed asset purchases and
+     * depreciation, loan proceeds and payments, equity issues, P&L overrides and income tax.
      */
-    setTimelineStart(month) {
-        if (month) {
-            this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('timeline_start', ?)", [month]);
-        } else {
-            this.db.run("DELETE FROM app_meta WHERE key = 'timeline_start'");
-        }
-        this.autoSave();
+    postScheduledLedgerEntries() {
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const sources = this.SCHEDULED_LEDGER_SOURCES;
+        this.db.run(`DELETE FROM journal_lines WHERE source_type IN (${sources.map(() => '?').join(', ')})`, sources);
+
+        // Fixed assets: capitalise cost against Asset Purchases Payable, then depreciate monthly
+        this.getFixedAssets().forEach(asset => {
+            this._postJournalEntry('fixed_asset', asset.id, asset.purchase_date.substring(0, 7), [
+                { code: '1500', amount: asset.purchase_cost },
+                { code: '2050', amount: -asset.purchase_cost }
+            ], `Purchase: ${asset.name}`);
+
+            Object.entries(Utils.computeDepreciationSchedule(asset)).forEach(([month, amt]) => {
+                this._postJournalEntry('depreciation', asset.id, month, [
+                    { code: '6100', amount: amt },
+                    { code: '1550', amount: -amt }
+                ], `Depreciation: ${asset.name}`);
+            });
+        });
+
+        // Inventory: capitalise each lot against Inventory Purchases Payable, then move the
+        // cost of what was sold into COGS in the month of the sale
+        this.getInventoryProducts().forEach(product => {
+            const { purchases, sales } = this._getInventoryMovements(product.id);
+            purchases.forEach(lot => {
+                const cost = round2(lot.quantity * lot.unit_cost);
+                this._postJournalEntry('inventory', lot.id, lot.purchase_date.substring(0, 7), [
+                    { code: '1400', amount: cost },
+                    { code: '2060', amount: -cost }
+                ], `Purchase: ${product.name}`);
+            });
+            Utils.computeInventoryCosts(purchases, sales, product.costing_method).movements
+                .filter(m => m.kind === 'sale')
+                .forEach(sale => {
+                    this._postJournalEntry('inventory', sale.id, sale.date.substring(0, 7), [
+                        { code: '5000', amount: sale.cost },
+                        { code: '1400', amount: -sale.cost }
+                    ], `Sold: ${product.name}`);
+                });
+        });
+
+        // Loans: proceeds due from the lender, then interest + principal per scheduled payment
+        this.getLoans().forEach(loan => {
+            this._postJournalEntry('loan', loan.id, loan.start_date.substring(0, 7), [
+                { code: '1250', amount: loan.principal },
+                { code: '2500', amount: -loan.principal }
+            ], `Loan proceeds: ${loan.name}`);
+
+            const schedule = Utils.computeAmortizationSchedule({
+                principal: loan.principal,
+                annual_rate: loan.annual_rate,
+                term_months: loan.term_months,
+                payments_per_year: loan.payments_per_year,
+                start_date: loan.start_date,
+                first_payment_date: loan.first_payment_date
+            }, this.getSkippedPayments(loan.id), this.getLoanPaymentOverrides(loan.id));
+
+            schedule.forEach(entry => {
+                // Skipped payments capitalise their interest into the loan balance
+                const lines = entry.skipped
+                    ? [{ code: '6200', amount: entry.interest }, { code: '2500', amount: -entry.interest }]
+                    : [
+                        { code: '6200', amount: entry.interest },
+                        { code: '2500', amount: entry.principal },
+                        { code: '2400', amount: -round2(entry.interest + entry.principal) }
+                    ];
+                this._postJournalEntry('loan', loan.id, entry.month, lines, `Payment #${entry.number}: ${loan.name}`);
+            });
+        });
+
+        // Equity: stock issued against subscriptions receivable as of its effective date
+        const equity = this.getEquityConfig();
+        const effectiveMonth = (received, expected) => {
+            const date = received || expected;
+            return date ? date.substring(0, 7) : this.LEDGER_OPENING_MONTH;
+        };
+        const commonStock = round2((equity.common_stock_par || 0) * (equity.common_stock_shares || 0));
+        this._postJournalEntry('equity', null, effectiveMonth(equity.seed_received_date, equity.seed_expected_date), [
+            { code: '1200', amount: commonStock },
+            { code: '3000', amount: -commonStock }
+        ], 'Common stock issued');
+        this._postJournalEntry('equity', null, effectiveMonth(equity.apic_received_date, equity.apic_expected_date), [
+            { code: '1200', amount: equity.apic || 0 },
+            { code: '3100', amount: -(equity.apic || 0) }
+        ], 'Additional paid-in capital');
+
+        this._postPLOverrideEntries();
+        this._postIncomeTaxEntries();
     },
 
     /**
-     * Set timeline end month
-     * @param {string|null} month - 'YYYY-MM' or null to clear
+     * Re-post the P&L override and income tax entries of some months
+     * @param {Array<string>} months - Months (YYYY-MM) whose P&L totals changed
      */
-    setTimelineEnd(month) {
-        if (month) {
-            this.db.run("INSERT OR REPLACE INTO app_meta (key, value) VALUES ('timeline_end', ?)", [month]);
-        } else {
-            this.db.run("DELETE FROM app_meta WHERE key = 'timeline_end'");
-        }
-        this.autoSave();
+    _postPLAdjustments(months) {
+        if (months.length === 0) return;
+        const placeholders = months.map(() => '?').join(', ');
+        this.db.run(
+            `DELETE FROM journal_lines WHERE source_type IN ('pl_override', 'income_tax') AND month IN (${placeholders})`,
+            months
+        );
+        this._postPLOverrideEntries(months);
+        this._postIncomeTaxEntries(months);
     },
 
-    // ==================== CASH FLOW OVERRIDES ====================
-
     /**
-     * Get all cash flow overrides
-     * @returns {Object} Map of "categoryId-month" => override_amount
+     * Post the difference between each P&L override and what the transactions posted
+     * for that category/month, against Accrued Adjustments.
+     * @param {Array<string>|null} months - Limit to these months (null = all)
      */
-    getAllCashFlowOverrides() {
-        const results = this.db.exec('SELECT category_id, month, override_amount FROM cashflow_overrides');
-        if (results.length === 0) return {};
-        const overrides = {};
-        this.rowsToObjects(results[0]).forEach(row => {
-            overrides[`${row.category_id}-${row.month}`] = row.override_amount;
+    _postPLOverrideEntries(months = null) {
+        const monthFilter = months ? ` AND o.month IN (${months.map(() => '?').join(', ')})` : '';
+        const overrideResult = this.db.exec(`
+            SELECT o.category_id, o.month, o.override_amount, c.is_cogs, c.is_depreciation
+            FROM pl_overrides o
+            JOIN categories c ON o.category_id = c.id
+            WHERE c.is_sales_tax = 0 AND (c.show_on_pl != 1 OR c.is_depreciation = 1)${monthFilter}
+        `, months || []);
+        if (overrideResult.length === 0) return;
+
+        const postedResult = this.db.exec(`
+            SELECT jl.category_id, jl.month, a.code, a.account_type, SUM(jl.debit - jl.credit) as net
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            WHERE jl.source_type = 'transaction' AND a.account_type IN ('revenue', 'expense')
+            GROUP BY jl.category_id, jl.month, a.code
+        `);
+        const codeByCategory = {};
+        const posted = {};
+        if (postedResult.length > 0) {
+            this.rowsToObjects(postedResult[0]).forEach(row => {
+                if (!codeByCategory[row.category_id]) codeByCategory[row.category_id] = row.code;
+                const key = `${row.category_id}-${row.month}-${row.code}`;
+                posted[key] = row.account_type === 'revenue' ? -row.net : row.net;
+            });
+        }
+
+        this.rowsToObjects(overrideResult[0]).forEach(o => {
+            const code = codeByCategory[o.category_id] || (o.is_cogs ? '5000' : o.is_depreciation ? '6100' : '6000');
+            const delta = o.override_amount - (posted[`${o.category_id}-${o.month}-${code}`] || 0);
+            const lines = code === '4000'
+                ? [{ code: '2300', amount: delta }, { code: '4000', amount: -delta }]
+                : [{ code, amount: delta }, { code: '2300', amount: -delta }];
+            this._postJournalEntry('pl_override', o.category_id, o.month,
+                lines.map(l => ({ ...l, category_id: o.category_id })), 'P&L override');
         });
-        return overrides;
     },
 
     /**
-     * Set a cash flow override value for a category+month
-     * @param {number} categoryId - Category ID
-     * @param {string} month - Month (YYYY-MM)
-     * @param {number|null} amount - Override amount (null to remove)
+     * Post monthly income tax (corporate mode: 21% of positive NIBT unless overridden)
+     * @param {Array<string>|null} months - Limit to these months (null = all)
      */
-    setCashFlowOverride(categoryId, month, amount) {
-        if (amount === null || amount === '') {
-            this.db.run('DELETE FROM cashflow_overrides WHERE category_id = ? AND month = ?', [categoryId, month]);
-        } else {
-            this.db.run(
-                'INSERT OR REPLACE INTO cashflow_overrides (category_id, month, override_amount) VALUES (?, ?, ?)',
-                [categoryId, month, parseFloat(amount)]
-            );
+    _postIncomeTaxEntries(months = null) {
+        if (this.getPLTaxMode() !== 'corporate') return;
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const monthList = months ? months.map(() => '?').join(', ') : null;
+
+        const nibtByMonth = {};
+        const nibtResult = this.db.exec(`
+            SELECT jl.month, SUM(jl.credit - jl.debit) as nibt
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            WHERE a.account_type IN ('revenue', 'expense') AND a.code != '6900'${monthList ? ` AND jl.month IN (${monthList})` : ''}
+            GROUP BY jl.month
+        `, months || []);
+        if (nibtResult.length > 0) {
+            nibtResult[0].values.forEach(([month, nibt]) => { nibtByMonth[month] = round2(nibt); });
         }
-        this.autoSave();
-    },
 
-    // ==================== BALANCE SHEET QUERIES ====================
+        const taxOverrides = {};
+        const overrideResult = this.db.exec(
+            `SELECT month, override_amount FROM pl_overrides WHERE category_id = -1${monthList ? ` AND month IN (${monthList})` : ''}`,
+            months || []
+        );
+        if (overrideResult.length > 0) {
+            overrideResult[0].values.forEach(([month, amount]) => { taxOverrides[month] = amount; });
+        }
+
+        new Set([...Object.keys(nibtByMonth), ...Object.keys(taxOverrides)]).forEach(month => {
+            const nibt = nibtByMonth[month] || 0;
+            const tax = (month in taxOverrides) ? taxOverrides[month] : (nibt > 0 ? nibt * 0.21 : 0);
+            this._postJournalEntry('income_tax', null, month, [
+                { code: '6900', amount: tax },
+                { code: '2200', amount: -tax }
+            ], 'Income tax');
+        });
+    },
 
     /**
-     * Get cash balance as of a given month (sum of received - sum of paid where month_paid <= asOfMonth)
-     * @param {string} asOfMonth - Month in YYYY-MM format
-     * @returns {number} Cash balance
+     * Discard and re-post the whole ledger from transactions, schedules and config
      */
-    getCashAsOf(asOfMonth) {
-        const result = this.db.exec(`
-            SELECT
-                COALESCE(SUM(CASE WHEN transaction_type = 'receivable' AND status = 'received' THEN amount ELSE 0 END), 0)
-                - COALESCE(SUM(CASE WHEN transaction_type = 'payable' AND status = 'paid' THEN amount ELSE 0 END), 0) as cash
-            FROM transactions
-            WHERE month_paid IS NOT NULL AND month_paid <= ?
-        `, [asOfMonth]);
-        return result[0].values[0][0];
+    rebuildLedger() {
+        this.db.run('DELETE FROM journal_lines');
+        const loanCategoryNames = this._getLoanCategoryNames();
+        const settlements = this._getLedgerSettlements();
+        this._getLedgerTransactions().forEach(t => this._postTransactionEntries(t, loanCategoryNames, settlements[t.id]));
+        this.getCashTransfers().forEach(transfer => this._postCashTransferEntries(transfer));
+        this.postScheduledLedgerEntries();
     },
 
     /**
-     * Get accounts receivable as of a given month
-     * (receivable transactions where month_due <= asOfMonth AND still unpaid as of that month)
+     * Get every account's balance as of a month, signed to the account's normal side
+     * (debit for assets/expenses, credit for liabilities/equity/revenue)
      * @param {string} asOfMonth - Month in YYYY-MM format
-     * @returns {number} AR balance
+     * @returns {Object} Map of code => { code, name, account_type, balance }
      */
-    getAccountsReceivableAsOf(asOfMonth) {
-        const result = this.db.exec(`
-            SELECT COALESCE(SUM(amount), 0) as total
-            FROM transactions
-            WHERE transaction_type = 'receivable'
-            AND month_due IS NOT NULL
-            AND month_due <= ?
-            AND (status = 'pending' OR (status = 'received' AND month_paid > ?))
-        `, [asOfMonth, asOfMonth]);
-        return result[0].values[0][0];
+    getAccountBalancesAsOf(asOfMonth) {
+        const results = this.db.exec(`
+            SELECT a.code, a.name, a.account_type,
+                   COALESCE(SUM(jl.debit), 0) - COALESCE(SUM(jl.credit), 0) as net
+            FROM accounts a
+            LEFT JOIN journal_lines jl ON jl.account_id = a.id AND jl.month <= ?
+            GROUP BY a.id
+            ORDER BY a.code ASC
+        `, [asOfMonth]);
+        const balances = {};
+        if (results.length === 0) return balances;
+        this.rowsToObjects(results[0]).forEach(row => {
+            const debitNormal = row.account_type === 'asset' || row.account_type === 'expense';
+            balances[row.code] = {
+                code: row.code,
+                name: row.name,
+                account_type: row.account_type,
+                balance: Math.round((debitNormal ? row.net : -row.net) * 100) / 100
+            };
+        });
+        return balances;
     },
 
     /**
-     * Get accounts payable as of a given month (non-sales-tax categories)
+     * Get one account's balance as of a month (signed to its normal side)
+     * @param {string} code - Account code
      * @param {string} asOfMonth - Month in YYYY-MM format
-     * @returns {number} AP balance
+     * @returns {number} Balance
      */
-    getAccountsPayableAsOf(asOfMonth) {
-        const result = this.db.exec(`
-            SELECT COALESCE(SUM(t.amount), 0) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.transaction_type = 'payable'
-            AND c.is_sales_tax = 0
-            AND t.month_due IS NOT NULL
-            AND t.month_due <= ?
-            AND (t.status = 'pending' OR (t.status = 'paid' AND t.month_paid > ?))
-        `, [asOfMonth, asOfMonth]);
-        return result[0].values[0][0];
+    getAccountBalanceAsOf(code, asOfMonth) {
+        const balances = this.getAccountBalancesAsOf(asOfMonth);
+        return balances[code] ? balances[code].balance : 0;
     },
 
     /**
-     * Get sales tax payable as of a given month (only sales tax categories)
+     * Get each loan's outstanding balance as of a month from the ledger
      * @param {string} asOfMonth - Month in YYYY-MM format
-     * @returns {number} Sales tax payable balance
+     * @returns {Array} [{name, balance}]
      */
-    getSalesTaxPayableAsOf(asOfMonth) {
-        const result = this.db.exec(`
-            SELECT COALESCE(SUM(t.amount), 0) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.transaction_type = 'payable'
-            AND c.is_sales_tax = 1
-            AND t.month_due IS NOT NULL
-            AND t.month_due <= ?
-            AND (t.status = 'pending' OR (t.status = 'paid' AND t.month_paid > ?))
-        `, [asOfMonth, asOfMonth]);
-        return result[0].values[0][0];
+    getLoanBalancesAsOf(asOfMonth) {
+        const results = this.db.exec(`
+            SELECT l.name, COALESCE(SUM(jl.credit - jl.debit), 0) as balance
+            FROM loans l
+            LEFT JOIN journal_lines jl ON jl.source_type = 'loan' AND jl.source_id = l.id AND jl.month <= ?
+                AND jl.account_id = (SELECT id FROM accounts WHERE code = '2500')
+            WHERE l.is_active = 1
+            GROUP BY l.id
+            ORDER BY l.start_date ASC
+        `, [asOfMonth]);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]).map(row => ({
+            name: row.name,
+            balance: Math.round(row.balance * 100) / 100
+        }));
     },
 
     /**
-     * Get accounts receivable broken down by category as of a given month
+     * Get a ledger account's balance broken down by transaction category
+     * @param {string} code - Account code
      * @param {string} asOfMonth - Month in YYYY-MM format
+     * @param {number} sign - 1 for debit-normal accounts, -1 for credit-normal
      * @returns {Array} [{category_id, category_name, total}]
      */
-    getARByCategory(asOfMonth) {
+    _getAccountBalanceByCategory(code, asOfMonth, sign) {
         const results = this.db.exec(`
             SELECT c.id as category_id, c.name as category_name,
-                   COALESCE(SUM(t.amount), 0) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.transaction_type = 'receivable'
-            AND t.month_due IS NOT NULL
-            AND t.month_due <= ?
-            AND (t.status = 'pending' OR (t.status = 'received' AND t.month_paid > ?))
+                   ROUND(COALESCE(SUM(jl.debit - jl.credit), 0) * ?, 2) as total
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            JOIN categories c ON jl.category_id = c.id
+            WHERE a.code = ? AND jl.month <= ?
             GROUP BY c.id, c.name
             HAVING total > 0
             ORDER BY c.name ASC
-        `, [asOfMonth, asOfMonth]);
+        `, [sign, code, asOfMonth]);
         if (results.length === 0) return [];
         return this.rowsToObjects(results[0]);
     },
 
+    // ==================== AGING ====================
+
+    /** Aging buckets by days past due; max is inclusive, null means open-ended */
+    AGING_BUCKETS: [
+        { label: 'Current', max: 0 },
+        { label: '1–30', max: 30 },
+        { label: '31–60', max: 60 },
+        { label: '61–90', max: 90 },
+        { label: '90+', max: null }
+    ],
+
     /**
-     * Get accounts payable broken down by category as of a given month (excludes sales tax)
+     * Build an AR or AP aging report as of a month. Open amounts come from each
+     * transaction's lines on the ledger AR/AP account, so the report total equals the
+     * Balance Sheet figure; each is aged by its month_due.
      * @param {string} asOfMonth - Month in YYYY-MM format
-     * @returns {Array} [{category_id, category_name, total}]
+     * @param {string} type - 'receivable' or 'payable'
+     * @param {string} groupBy - 'category' or 'counterparty'
+     * @returns {Object} { buckets: string[], rows: [{id, name, amounts: number[], total}], totals: number[], total }
      */
-    getAPByCategory(asOfMonth) {
+    getAgingReport(asOfMonth, type = 'receivable', groupBy = 'category') {
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const code = type === 'payable' ? '2000' : '1100';
+        const sign = type === 'payable' ? -1 : 1;
+        const groupSelect = groupBy === 'counterparty'
+            ? "t.counterparty_id as group_id, COALESCE(cp.name, 'No Customer/Vendor') as group_name"
+            : "jl.category_id as group_id, COALESCE(c.name, 'Uncategorized') as group_name";
+
         const results = this.db.exec(`
-            SELECT c.id as category_id, c.name as category_name,
-                   COALESCE(SUM(t.amount), 0) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.transaction_type = 'payable'
-            AND c.is_sales_tax = 0
-            AND t.month_due IS NOT NULL
-            AND t.month_due <= ?
-            AND (t.status = 'pending' OR (t.status = 'paid' AND t.month_paid > ?))
-            GROUP BY c.id, c.name
-            HAVING total > 0
-            ORDER BY c.name ASC
-        `, [asOfMonth, asOfMonth]);
+            SELECT ${groupSelect}, t.month_due,
+                   SUM(jl.debit - jl.credit) * ? as open_amount
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            JOIN transactions t ON jl.source_type = 'transaction' AND jl.source_id = t.id
+            LEFT JOIN categories c ON jl.category_id = c.id
+            LEFT JOIN counterparties cp ON t.counterparty_id = cp.id
+            WHERE a.code = ? AND jl.month <= ?
+              -- A voided entry and its reversal cancel out once the reversal is in the period
+              AND t.source_type IS NOT 'void'
+              AND NOT EXISTS (SELECT 1 FROM transactions r WHERE r.id = t.voided_by AND substr(r.entry_date, 1, 7) <= ?)
+            GROUP BY jl.source_id, jl.category_id
+            HAVING ROUND(open_amount, 2) != 0
+        `, [sign, code, asOfMonth, asOfMonth]);
+        const openItems = results.length > 0 ? this.rowsToObjects(results[0]) : [];
+
+        const bucketIndex = (days) => {
+            const idx = this.AGING_BUCKETS.findIndex(b => b.max === null || days <= b.max);
+            return idx === -1 ? this.AGING_BUCKETS.length - 1 : idx;
+        };
+
+        const groups = {};
+        openItems.forEach(item => {
+            const key = item.group_id === null ? 'none' : item.group_id;
+            if (!groups[key]) {
+                groups[key] = { id: item.group_id, name: item.group_name, amounts: this.AGING_BUCKETS.map(() => 0), total: 0 };
+            }
+            const idx = bucketIndex(Utils.daysPastDue(item.month_due, asOfMonth));
+            groups[key].amounts[idx] = round2(groups[key].amounts[idx] + item.open_amount);
+            groups[key].total = round2(groups[key].total + item.open_amount);
+        });
+
+        const rows = Object.values(groups).sort((a, b) => a.name.localeCompare(b.name));
+        const totals = this.AGING_BUCKETS.map((_, i) => round2(rows.reduce((sum, r) => sum + r.amounts[i], 0)));
+
+        return {
+            buckets: this.AGING_BUCKETS.map(b => b.label),
+            rows,
+            totals,
+            total: round2(totals.reduce((sum, v) => sum + v, 0))
+        };
+    },
+
+    // ==================== SALES TAX ====================
+
+    /**
+     * Get all sales tax rates
+     * @param {boolean} activeOnly - Leave out rates no longer offered on new entries
+     * @returns {Array} Rate objects with usage_count, by name
+     */
+    getSalesTaxRates(activeOnly = false) {
+        const results = this.db.exec(`
+            SELECT r.*, (SELECT COUNT(*) FROM transactions t WHERE t.sales_tax_rate_id = r.id) as usage_count
+            FROM sales_tax_rates r
+            ${activeOnly ? 'WHERE r.is_active = 1' : ''}
+            ORDER BY r.name COLLATE NOCASE ASC
+        `);
         if (results.length === 0) return [];
         return this.rowsToObjects(results[0]);
     },
 
     /**
-     * Get retained earnings as of a given month (cumulative P&L net income through asOfMonth).
-     * This recomputes P&L with overrides to match what the P&L statement shows.
-     * @param {string} asOfMonth - Month in YYYY-MM format
-     * @param {string} taxMode - 'corporate' or 'passthrough'
-     * @returns {number} Retained earnings (cumulative net income after tax)
+     * Get a sales tax rate by ID
+     * @param {number} id - Rate ID
+     * @returns {Object|null} Rate object
      */
-    getRetainedEarningsAsOf(asOfMonth, taxMode) {
-        // Get all months up to and including asOfMonth (from transactions)
-        const monthsResult = this.db.exec(`
-            SELECT DISTINCT t.month_due as month FROM transactions t
-            WHERE t.month_due IS NOT NULL AND t.month_due <= ?
-            ORDER BY month ASC
-        `, [asOfMonth]);
-        const txMonths = monthsResult.length > 0 ? monthsResult[0].values.map(r => r[0]) : [];
-
-        // Also include months from asset depreciation and loan interest
-        const assetDeprByMonth = this.getAssetDepreciationByMonth(asOfMonth);
-        const loanInterestByMonth = this.getLoanInterestByMonth(asOfMonth);
-
-        const allMonths = new Set(txMonths);
-        Object.keys(assetDeprByMonth).forEach(m => allMonths.add(m));
-        Object.keys(loanInterestByMonth).forEach(m => allMonths.add(m));
-        const months = Array.from(allMonths).sort();
+    getSalesTaxRateById(id) {
+        const results = this.db.exec('SELECT * FROM sales_tax_rates WHERE id = ?', [id]);
+        if (results.length === 0) return null;
+        return this.rowsToObjects(results[0])[0];
+    },
 
-        if (months.length === 0) return 0;
+    /**
+     * @param {Object} params - { name, jurisdiction, rate, is_active, notes }
+     * @returns {Array} Column values in table order
+     * @throws {Error} If the name is blank or the rate is not a percentage
+     */
+    _salesTaxRateValues(params) {
+        const name = (params.name || '').trim();
+        if (!name) throw new Error('A tax rate needs a name.');
+        const rate = Number(params.rate);
+        if (!(rate >= 0 && rate < 100)) throw new Error('The rate must be a percentage from 0 to 100.');
+        return [
+            name,
+            (params.jurisdiction || '').trim() || null,
+            rate,
+            params.is_active === false || params.is_active === 0 ? 0 : 1,
+            params.notes || null
+        ];
+    },
 
-        const overrides = this.getAllPLOverrides();
+    /**
+     * Add a sales tax rate
+     * @param {Object} params - { name, jurisdiction, rate, is_active, notes }
+     * @returns {number} New rate ID
+     */
+    addSalesTaxRate(params) {
+        this.db.run(
+            'INSERT INTO sales_tax_rates (name, jurisdiction, rate, is_active, notes) VALUES (?, ?, ?, ?, ?)',
+            this._salesTaxRateValues(params)
+        );
+        const result = this.db.exec('SELECT last_insert_rowid() as id');
+        const id = result[0].values[0][0];
+        this._auditCreated('sales_tax_rates', id);
+        this.autoSave();
+        return id;
+    },
 
-        // Helper: get value with override
-        const getVal = (catId, month, computed) => {
-            const key = `${catId}-${month}`;
-            return (key in overrides) ? overrides[key] : computed;
-        };
+    /**
+     * Update a sales tax rate. Entries already taxed at it keep the amounts they were saved with.
+     * @param {number} id - Rate ID
+     * @param {Object} params - { name, jurisdiction, rate, is_active, notes }
+     */
+    updateSalesTaxRate(id, params) {
+        const values = this._salesTaxRateValues(params);
+        this._audited('sales_tax_rates', 'id = ?', [id], () => {
+            this.db.run(
+                'UPDATE sales_tax_rates SET name = ?, jurisdiction = ?, rate = ?, is_active = ?, notes = ? WHERE id = ?',
+                [...values, id]
+            );
+        });
+        this.autoSave();
+    },
 
-        // Revenue per category per month (accrual, pretax)
-        const revenueResult = this.db.exec(`
-            SELECT c.id as category_id, t.month_due as month,
-                   SUM(COALESCE(t.pretax_amount, t.amount)) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL AND t.month_due <= ?
-            AND t.transaction_type = 'receivable'
-            AND c.is_cogs = 0 AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
-        `, [asOfMonth]);
-        const revenue = revenueResult.length > 0 ? this.rowsToObjects(revenueResult[0]) : [];
+    /**
+     * Delete a sales tax rate
+     * @param {number} id - Rate ID
+     * @returns {boolean} Success (false if any entry was taxed at it; deactivate it instead)
+     */
+    deleteSalesTaxRate(id) {
+        const result = this.db.exec('SELECT COUNT(*) FROM transactions WHERE sales_tax_rate_id = ?', [id]);
+        if (result[0].values[0][0] > 0) return false;
+        this._audited('sales_tax_rates', 'id = ?', [id], () => {
+            this.db.run('DELETE FROM sales_tax_rates WHERE id = ?', [id]);
+        });
+        this.autoSave();
+        return true;
+    },
 
-        // COGS
-        const cogsResult = this.db.exec(`
-            SELECT c.id as category_id, t.month_due as month, SUM(t.amount) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL AND t.month_due <= ?
-            AND c.is_cogs = 1 AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
+    /**
+     * Get the Sales Tax Payable balance of each rate as of a month. Tax collected or
+     * remitted without a rate is grouped under id null.
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @returns {Array} [{id, name, jurisdiction, balance}] by name, unassigned last
+     */
+    getSalesTaxBalancesAsOf(asOfMonth) {
+        const results = this.db.exec(`
+            SELECT jl.sales_tax_rate_id as id, r.name, r.jurisdiction,
+                   ROUND(SUM(jl.credit - jl.debit), 2) as balance
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            LEFT JOIN sales_tax_rates r ON jl.sales_tax_rate_id = r.id
+            WHERE a.code = '2100' AND jl.month <= ?
+            GROUP BY jl.sales_tax_rate_id
+            HAVING balance != 0
+            ORDER BY jl.sales_tax_rate_id IS NULL, r.name COLLATE NOCASE
         `, [asOfMonth]);
-        const cogs = cogsResult.length > 0 ? this.rowsToObjects(cogsResult[0]) : [];
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]).map(row => ({ ...row, name: row.name || 'No tax rate' }));
+    },
 
-        // OpEx (non-COGS, non-depreciation, non-sales-tax payables)
-        const opexResult = this.db.exec(`
-            SELECT c.id as category_id, t.month_due as month, SUM(t.amount) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL AND t.month_due <= ?
-            AND t.transaction_type = 'payable'
-            AND c.is_cogs = 0 AND c.is_depreciation = 0 AND c.is_sales_tax = 0 AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
-        `, [asOfMonth]);
-        const opex = opexResult.length > 0 ? this.rowsToObjects(opexResult[0]) : [];
+    /**
+     * Build a sales tax return for a filing period, one row per rate. Taxable sales are the
+     * revenue recognised on taxed receivables in the period; tax collected and remitted are
+     * the period's Sales Tax Payable credits from receivables and debits from payments, so
+     * each row's closing balance agrees with the ledger.
+     * @param {string} fromMonth - First month of the period (YYYY-MM)
+     * @param {string} toMonth - Last month of the period (YYYY-MM)
+     * @returns {Object} { rows: [{id, name, jurisdiction, rate, taxable_sales, tax_collected,
+     *   tax_remitted, opening_balance, closing_balance}], totals }
+     */
+    getSalesTaxReturn(fromMonth, toMonth) {
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const rows = {};
+        const rowFor = (id) => {
+            const key = id === null ? 'none' : id;
+            if (!rows[key]) {
+                const rate = id === null ? null : this.getSalesTaxRateById(id);
+                rows[key] = {
+                    id,
+                    name: rate ? rate.name : 'No tax rate',
+                    jurisdiction: rate ? rate.jurisdiction : null,
+                    rate: rate ? rate.rate : null,
+                    taxable_sales: 0, tax_collected: 0, tax_remitted: 0, opening_balance: 0, closing_balance: 0
+                };
+            }
+            return rows[key];
+        };
 
-        // Depreciation categories (values from overrides only)
-        const deprResult = this.db.exec(`SELECT id as category_id FROM categories WHERE is_depreciation = 1`);
-        const deprCats = deprResult.length > 0 ? deprResult[0].values.map(r => r[0]) : [];
+        const liability = this.db.exec(`
+            SELECT jl.sales_tax_rate_id as id,
+                   SUM(CASE WHEN jl.month < ? THEN jl.credit - jl.debit ELSE 0 END) as opening,
+                   SUM(CASE WHEN jl.month >= ? AND t.transaction_type = 'receivable' THEN jl.credit - jl.debit ELSE 0 END) as collected,
+                   SUM(CASE WHEN jl.month >= ? AND t.transaction_type IS NOT 'receivable' THEN jl.debit - jl.credit ELSE 0 END) as remitted
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            LEFT JOIN transactions t ON jl.source_type = 'transaction' AND jl.source_id = t.id
+            WHERE a.code = '2100' AND jl.month <= ?
+            GROUP BY jl.sales_tax_rate_id
+        `, [fromMonth, fromMonth, fromMonth, toMonth]);
+        if (liability.length > 0) {
+            this.rowsToObjects(liability[0]).forEach(r => {
+                const row = rowFor(r.id);
+                row.opening_balance = round2(r.opening);
+                row.tax_collected = round2(r.collected);
+                row.tax_remitted = round2(r.remitted);
+            });
+        }
 
-        // Build lookup maps
-        const buildMap = (rows) => {
-            const map = {};
-            rows.forEach(r => {
-                const key = `${r.category_id}-${r.month}`;
-                map[key] = (map[key] || 0) + r.total;
+        // Revenue on receivables that carry a rate or collected any tax at all
+        // (sales with no month due post to equity rather than Revenue, but were still taxable)
+        const sales = this.db.exec(`
+            SELECT t.sales_tax_rate_id as id, SUM(jl.credit - jl.debit) as taxable
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            JOIN transactions t ON jl.source_type = 'transaction' AND jl.source_id = t.id
+            WHERE (a.code = '4000' OR (a.code = '3200' AND t.month_due IS NULL))
+              AND jl.month >= ? AND jl.month <= ?
+              AND t.transaction_type = 'receivable'
+              AND (t.sales_tax_rate_id IS NOT NULL OR EXISTS (
+                  SELECT 1 FROM journal_lines tl JOIN accounts ta ON tl.account_id = ta.id
+                  WHERE ta.code = '2100' AND tl.source_type = 'transaction' AND tl.source_id = t.id
+              ))
+            GROUP BY t.sales_tax_rate_id
+        `, [fromMonth, toMonth]);
+        if (sales.length > 0) {
+            this.rowsToObjects(sales[0]).forEach(r => {
+                rowFor(r.id).taxable_sales = round2(r.taxable);
             });
-            return map;
-        };
+        }
 
-        const revMap = buildMap(revenue);
-        const cogsMap = buildMap(cogs);
-        const opexMap = buildMap(opex);
+        const list = Object.values(rows)
+            .map(row => ({ ...row, closing_balance: round2(row.opening_balance + row.tax_collected - row.tax_remitted) }))
+            .filter(row => row.taxable_sales || row.tax_collected || row.tax_remitted || row.opening_balance || row.closing_balance)
+            .sort((a, b) => (a.id === null) - (b.id === null) || a.name.localeCompare(b.name));
+        const total = (field) => round2(list.reduce((sum, row) => sum + row[field], 0));
+        return {
+            rows: list,
+            totals: {
+                taxable_sales: total('taxable_sales'),
+                tax_collected: total('tax_collected'),
+                tax_remitted: total('tax_remitted'),
+                opening_balance: total('opening_balance'),
+                closing_balance: total('closing_balance')
+            }
+        };
+    },
 
-        // Compute cumulative net income
+    /**
+     * Get the Sales Tax Payable ledger lines of one rate in a period with a running balance
+     * @param {number|null} rateId - Rate ID, or null for tax recorded without a rate
+     * @param {string} fromMonth - First month (YYYY-MM)
+     * @param {string} toMonth - Last month (YYYY-MM)
+     * @returns {Object} { opening_balance, lines: [{month, transaction_id, memo, entry_date,
+     *   transaction_type, collected, remitted, balance}], closing_balance }
+     */
+    getSalesTaxLedger(rateId, fromMonth, toMonth) {
         const round2 = (v) => Math.round(v * 100) / 100;
-        let cumulative = 0;
+        const rateFilter = rateId === null ? 'jl.sales_tax_rate_id IS NULL' : 'jl.sales_tax_rate_id = ?';
+        const rateParams = rateId === null ? [] : [rateId];
 
-        // Get unique category IDs per section from transactions
-        const revCatIds = [...new Set(revenue.map(r => r.category_id))];
-        const cogsCatIds = [...new Set(cogs.map(r => r.category_id))];
-        const opexCatIds = [...new Set(opex.map(r => r.category_id))];
+        const opening = this.db.exec(`
+            SELECT COALESCE(SUM(jl.credit - jl.debit), 0)
+            FROM journal_lines jl JOIN accounts a ON jl.account_id = a.id
+            WHERE a.code = '2100' AND ${rateFilter} AND jl.month < ?
+        `, [...rateParams, fromMonth]);
+        let balance = round2(opening[0].values[0][0]);
+        const openingBalance = balance;
 
-        // Also include categories that have overrides but no transactions
-        // (override-only categories would otherwise be missed)
-        Object.keys(overrides).forEach(key => {
-            const [catIdStr] = key.split('-');
-            const catId = parseInt(catIdStr);
-            if (catId < 0) return; // skip tax override key (-1)
-            if (!revCatIds.includes(catId) && !cogsCatIds.includes(catId) &&
-                !opexCatIds.includes(catId) && !deprCats.includes(catId)) {
-                // Check if this category is an opex category (non-hidden, non-cogs, non-depr, non-sales-tax payable-eligible)
-                const catResult = this.db.exec(`
-                    SELECT id FROM categories
-                    WHERE id = ? AND is_cogs = 0 AND is_depreciation = 0 AND is_sales_tax = 0 AND show_on_pl != 1
-                `, [catId]);
-                if (catResult.length > 0 && catResult[0].values.length > 0) {
-                    opexCatIds.push(catId);
-                }
-            }
+        const results = this.db.exec(`
+            SELECT jl.month, jl.source_id as transaction_id, jl.memo, t.entry_date, t.transaction_type,
+                   SUM(jl.credit - jl.debit) as net
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            LEFT JOIN transactions t ON jl.source_type = 'transaction' AND jl.source_id = t.id
+            WHERE a.code = '2100' AND ${rateFilter} AND jl.month >= ? AND jl.month <= ?
+            GROUP BY jl.month, jl.source_type, jl.source_id
+            HAVING ROUND(net, 2) != 0
+            ORDER BY jl.month ASC, t.entry_date ASC, jl.source_id ASC
+        `, [...rateParams, fromMonth, toMonth]);
+        const lines = results.length === 0 ? [] : this.rowsToObjects(results[0]).map(row => {
+            const net = round2(row.net);
+            balance = round2(balance + net);
+            const isCollection = row.transaction_type === 'receivable';
+            return {
+                month: row.month,
+                transaction_id: row.transaction_id,
+                memo: row.memo,
+                entry_date: row.entry_date,
+                transaction_type: row.transaction_type,
+                collected: isCollection ? net : 0,
+                remitted: isCollection ? 0 : -net,
+                balance
+            };
         });
+        return { opening_balance: openingBalance, lines, closing_balance: balance };
+    },
 
-        months.forEach(month => {
-            let monthRev = 0;
-            revCatIds.forEach(catId => {
-                monthRev += getVal(catId, month, revMap[`${catId}-${month}`] || 0);
-            });
-
-            let monthCogs = 0;
-            cogsCatIds.forEach(catId => {
-                monthCogs += getVal(catId, month, cogsMap[`${catId}-${month}`] || 0);
-            });
+    // ==================== BALANCE SHEET QUERIES ====================
 
-            let monthOpex = 0;
-            opexCatIds.forEach(catId => {
-                monthOpex += getVal(catId, month, opexMap[`${catId}-${month}`] || 0);
-            });
+    /**
+     * Get cash balance as of a given month (ledger Cash account)
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @param {number|null} cashAccountId - Limit to one cash account
+     * @returns {number} Cash balance
+     */
+    getCashAsOf(asOfMonth, cashAccountId = null) {
+        if (cashAccountId === null) return this.getAccountBalanceAsOf('1000', asOfMonth);
+        const account = this.getCashBalancesByAccount(asOfMonth).find(a => a.id === cashAccountId);
+        return account ? account.balance : 0;
+    },
 
-            // Depreciation from overrides (manual depreciation categories)
-            deprCats.forEach(catId => {
-                monthOpex += getVal(catId, month, 0);
-            });
+    /**
+     * Get each cash account's balance as of a given month. A credit card's balance
+     * goes negative as it is charged, which is what it owes.
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @returns {Array} Cash account objects with a balance, in getCashAccounts order
+     */
+    getCashBalancesByAccount(asOfMonth) {
+        const results = this.db.exec(`
+            SELECT jl.cash_account_id, COALESCE(SUM(jl.debit), 0) - COALESCE(SUM(jl.credit), 0) as net
+            FROM journal_lines jl
+            JOIN accounts a ON a.id = jl.account_id
+            WHERE a.code = '1000' AND jl.month <= ?
+            GROUP BY jl.cash_account_id
+        `, [asOfMonth]);
+        const netByAccount = {};
+        if (results.length > 0) {
+            results[0].values.forEach(([cashAccountId, net]) => { netByAccount[cashAccountId] = net; });
+        }
+        return this.getCashAccounts().map(account => ({
+            ...account,
+            balance: Math.round((netByAccount[account.id] || 0) * 100) / 100
+        }));
+    },
 
-            // Asset depreciation (computed from fixed assets)
-            if (assetDeprByMonth[month]) {
-                monthOpex += assetDeprByMonth[month];
-            }
+    /**
+     * Get accounts receivable as of a given month
+     * (receivables recognised by month_due and not yet received as of that month)
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @returns {number} AR balance
+     */
+    getAccountsReceivableAsOf(asOfMonth) {
+        return this.getAccountBalanceAsOf('1100', asOfMonth);
+    },
 
-            // Loan interest (computed from active loans)
-            if (loanInterestByMonth[month]) {
-                monthOpex += loanInterestByMonth[month];
-            }
+    /**
+     * Get accounts payable as of a given month (sales tax remittances are not accrued here)
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @returns {number} AP balance
+     */
+    getAccountsPayableAsOf(asOfMonth) {
+        return this.getAccountBalanceAsOf('2000', asOfMonth);
+    },
 
-            const nibt = round2(monthRev - monthCogs - monthOpex);
+    /**
+     * Get sales tax payable as of a given month
+     * (tax collected on receivables less sales tax remittances paid)
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @param {number|null} salesTaxRateId - Limit to one rate (null = tax recorded without a rate)
+     * @returns {number} Sales tax payable balance
+     */
+    getSalesTaxPayableAsOf(asOfMonth, salesTaxRateId = undefined) {
+        if (salesTaxRateId === undefined) return this.getAccountBalanceAsOf('2100', asOfMonth);
+        const match = this.getSalesTaxBalancesAsOf(asOfMonth).find(row => row.id === salesTaxRateId);
+        return match ? match.balance : 0;
+    },
 
-            let tax = 0;
-            if (taxMode === 'corporate') {
-                const autoTax = round2(nibt > 0 ? nibt * 0.21 : 0);
-                tax = getVal(-1, month, autoTax);
-            }
+    /**
+     * Get accounts receivable broken down by category as of a given month
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @returns {Array} [{category_id, category_name, total}]
+     */
+    getARByCategory(asOfMonth) {
+        return this._getAccountBalanceByCategory('1100', asOfMonth, 1);
+    },
 
-            cumulative = round2(cumulative + nibt - tax);
-        });
+    /**
+     * Get accounts payable broken down by category as of a given month
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @returns {Array} [{category_id, category_name, total}]
+     */
+    getAPByCategory(asOfMonth) {
+        return this._getAccountBalanceByCategory('2000', asOfMonth, -1);
+    },
 
-        return cumulative;
+    /**
+     * Get retained earnings as of a given month: net of every revenue and expense
+     * account posted through asOfMonth (P&L overrides and income tax included).
+     * @param {string} asOfMonth - Month in YYYY-MM format
+     * @returns {number} Retained earnings (cumulative net income after tax)
+     */
+    getRetainedEarningsAsOf(asOfMonth) {
+        const result = this.db.exec(`
+            SELECT COALESCE(SUM(jl.credit - jl.debit), 0)
+            FROM journal_lines jl
+            JOIN accounts a ON jl.account_id = a.id
+            WHERE a.account_type IN ('revenue', 'expense') AND jl.month <= ?
+        `, [asOfMonth]);
+        return Math.round(result[0].values[0][0] * 100) / 100;
     },
 
     /**
      * Get cumulative P&L totals for all months through asOfMonth.
-     * Mirrors getRetainedEarningsAsOf logic but returns full breakdown for financial ratios.
+     * Recomputes the P&L statement (with overrides) and returns the full breakdown for financial ratios.
      */
     getPLTotalsThrough(asOfMonth, taxMode) {
         const round2 = (v) => Math.round(v * 100) / 100;
-        const monthsResult = this.db.exec(`
-            SELECT DISTINCT t.month_due as month FROM transactions t
-            WHERE t.month_due IS NOT NULL AND t.month_due <= ?
-            ORDER BY month ASC
-        `, [asOfMonth]);
-        const txMonths = monthsResult.length > 0 ? monthsResult[0].values.map(r => r[0]) : [];
+        // Rows for every month, so a category keeps the section it posts to even where
+        // its only entry through asOfMonth is an override
+        const rows = this._getPLTransactionRows();
+        const overrides = this.getAllPLOverrides();
 
         const assetDeprByMonth = this.getAssetDepreciationByMonth(asOfMonth);
+        const inventoryCogsByMonth = this.getInventoryCogsByMonth(asOfMonth);
         const loanInterestByMonth = this.getLoanInterestByMonth(asOfMonth);
 
-        const allMonths = new Set(txMonths);
+        // Overridden months count too: the ledger posts an override even where nothing else happened
+        const allMonths = new Set(Object.keys(overrides).map(key => key.slice(-7)));
+        Object.values(rows).forEach(section => section.forEach(r => allMonths.add(r.month)));
         Object.keys(assetDeprByMonth).forEach(m => allMonths.add(m));
+        Object.keys(inventoryCogsByMonth).forEach(m => allMonths.add(m));
         Object.keys(loanInterestByMonth).forEach(m => allMonths.add(m));
-        const months = Array.from(allMonths).sort();
+        const months = Array.from(allMonths).filter(m => m <= asOfMonth).sort();
 
         const zero = { totalRevenue: 0, totalCogs: 0, totalGP: 0, totalNIBT: 0, totalTax: 0, totalNIAT: 0, totalLoanInterest: 0 };
         if (months.length === 0) return zero;
 
-        const overrides = this.getAllPLOverrides();
         const getVal = (catId, month, computed) => {
             const key = `${catId}-${month}`;
             return (key in overrides) ? overrides[key] : computed;
         };
 
-        const revenueResult = this.db.exec(`
-            SELECT c.id as category_id, t.month_due as month,
-                   SUM(COALESCE(t.pretax_amount, t.amount)) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL AND t.month_due <= ?
-            AND t.transaction_type = 'receivable'
-            AND c.is_cogs = 0 AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
-        `, [asOfMonth]);
-        const revenue = revenueResult.length > 0 ? this.rowsToObjects(revenueResult[0]) : [];
-
-        const cogsResult = this.db.exec(`
-            SELECT c.id as category_id, t.month_due as month, SUM(t.amount) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL AND t.month_due <= ?
-            AND c.is_cogs = 1 AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
-        `, [asOfMonth]);
-        const cogs = cogsResult.length > 0 ? this.rowsToObjects(cogsResult[0]) : [];
-
-        const opexResult = this.db.exec(`
-            SELECT c.id as category_id, t.month_due as month, SUM(t.amount) as total
-            FROM transactions t
-            JOIN categories c ON t.category_id = c.id
-            WHERE t.month_due IS NOT NULL AND t.month_due <= ?
-            AND t.transaction_type = 'payable'
-            AND c.is_cogs = 0 AND c.is_depreciation = 0 AND c.is_sales_tax = 0 AND c.show_on_pl != 1
-            GROUP BY c.id, t.month_due
-        `, [asOfMonth]);
-        const opex = opexResult.length > 0 ? this.rowsToObjects(opexResult[0]) : [];
-
         const deprResult = this.db.exec(`SELECT id as category_id FROM categories WHERE is_depreciation = 1`);
         const deprCats = deprResult.length > 0 ? deprResult[0].values.map(r => r[0]) : [];
 
-        const buildMap = (rows) => {
+        const buildMap = (sectionRows) => {
             const map = {};
-            rows.forEach(r => {
+            sectionRows.forEach(r => {
                 const key = `${r.category_id}-${r.month}`;
                 map[key] = (map[key] || 0) + r.total;
             });
             return map;
         };
 
-        const revMap = buildMap(revenue);
-        const cogsMap = buildMap(cogs);
-        const opexMap = buildMap(opex);
+        const revMap = buildMap(rows.revenue);
+        const cogsMap = buildMap(rows.cogs);
+        const opexMap = buildMap(rows.opex);
+        const deprMap = buildMap(rows.depreciation);
 
-        const revCatIds = [...new Set(revenue.map(r => r.category_id))];
-        const cogsCatIds = [...new Set(cogs.map(r => r.category_id))];
-        const opexCatIds = [...new Set(opex.map(r => r.category_id))];
+        const revCatIds = [...new Set(rows.revenue.map(r => r.category_id))];
+        const cogsCatIds = [...new Set(rows.cogs.map(r => r.category_id))];
+        const opexCatIds = [...new Set(rows.opex.map(r => r.category_id))];
 
+        // Override-only categories land where the ledger posts them: COGS or OpEx
         Object.keys(overrides).forEach(key => {
             const [catIdStr] = key.split('-');
             const catId = parseInt(catIdStr);
@@ -2457,11 +7073,11 @@ const Database = {
             if (!revCatIds.includes(catId) && !cogsCatIds.includes(catId) &&
                 !opexCatIds.includes(catId) && !deprCats.includes(catId)) {
                 const catResult = this.db.exec(`
-                    SELECT id FROM categories
-                    WHERE id = ? AND is_cogs = 0 AND is_depreciation = 0 AND is_sales_tax = 0 AND show_on_pl != 1
+                    SELECT is_cogs FROM categories
+                    WHERE id = ? AND is_depreciation = 0 AND is_sales_tax = 0 AND show_on_pl != 1
                 `, [catId]);
                 if (catResult.length > 0 && catResult[0].values.length > 0) {
-                    opexCatIds.push(catId);
+                    (catResult[0].values[0][0] ? cogsCatIds : opexCatIds).push(catId);
                 }
             }
         });
@@ -2478,13 +7094,14 @@ const Database = {
             cogsCatIds.forEach(catId => {
                 monthCogs += getVal(catId, month, cogsMap[`${catId}-${month}`] || 0);
             });
+            if (inventoryCogsByMonth[month]) monthCogs += inventoryCogsByMonth[month];
 
             let monthOpex = 0;
             opexCatIds.forEach(catId => {
                 monthOpex += getVal(catId, month, opexMap[`${catId}-${month}`] || 0);
             });
             deprCats.forEach(catId => {
-                monthOpex += getVal(catId, month, 0);
+                monthOpex += getVal(catId, month, deprMap[`${catId}-${month}`] || 0);
             });
             if (assetDeprByMonth[month]) monthOpex += assetDeprByMonth[month];
             if (loanInterestByMonth[month]) {
@@ -2530,27 +7147,446 @@ const Database = {
      * @param {number|null} amount - Override amount (null to remove override)
      */
     setPLOverride(categoryId, month, amount) {
-        if (amount === null || amount === '') {
-            this.db.run('DELETE FROM pl_overrides WHERE category_id = ? AND month = ?', [categoryId, month]);
-        } else {
-            this.db.run(
-                'INSERT OR REPLACE INTO pl_overrides (category_id, month, override_amount) VALUES (?, ?, ?)',
-                [categoryId, month, parseFloat(amount)]
-            );
-        }
+        this._audited('pl_overrides', 'category_id = ? AND month = ?', [categoryId, month], () => {
+            if (amount === null || amount === '') {
+                this.db.run('DELETE FROM pl_overrides WHERE category_id = ? AND month = ?', [categoryId, month]);
+            } else {
+                this.db.run(
+                    'INSERT OR REPLACE INTO pl_overrides (category_id, month, override_amount) VALUES (?, ?, ?)',
+                    [categoryId, month, parseFloat(amount)]
+                );
+            }
+        });
+        this.postScheduledLedgerEntries();
         this.autoSave();
     },
 
     clearPLOverridesFrom(startMonth) {
-        this.db.run('DELETE FROM pl_overrides WHERE month >= ?', [startMonth]);
+        this._audited('pl_overrides', 'month >= ?', [startMonth], () => {
+            this.db.run('DELETE FROM pl_overrides WHERE month >= ?', [startMonth]);
+        });
+        this.postScheduledLedgerEntries();
         this.autoSave();
     },
 
     clearCashFlowOverridesFrom(startMonth) {
-        this.db.run('DELETE FROM cashflow_overrides WHERE month >= ?', [startMonth]);
+        this._audited('cashflow_overrides', 'month >= ?', [startMonth], () => {
+            this.db.run('DELETE FROM cashflow_overrides WHERE month >= ?', [startMonth]);
+        });
         this.autoSave();
     },
 
+    // ==================== AUDIT LOG ====================
+
+    /**
+     * Key columns of audited tables that have no `id` column
+     */
+    AUDIT_RECORD_KEYS: {
+        pl_overrides: ['category_id', 'month'],
+        cashflow_overrides: ['category_id', 'month'],
+        loan_skipped_payments: ['loan_id', 'payment_number'],
+        loan_payment_overrides: ['loan_id', 'payment_number'],
+        app_meta: ['key']
+    },
+
+    /**
+     * Columns left out of the audit log. An attachment's file contents are stored once, in
+     * attachments, or in attachment_trash while its deletion can be undone.
+     */
+    AUDIT_OMITTED_COLUMNS: {
+        attachments: ['data']
+    },
+
+    /**
+     * Read rows for the audit log, keyed by record ID (key columns joined with ':').
+     * Transactions carry their split lines and tags so edits to them show up as changes.
+     * @param {string} table - Table name
+     * @param {string} where - SQL condition
+     * @param {Array} params - Condition parameters
+     * @returns {Object} { [recordId]: row }
+     */
+    _getAuditRows(table, where, params) {
+        const results = this.db.exec(`SELECT * FROM ${table} WHERE ${where}`, params);
+        const rows = {};
+        if (results.length === 0) return rows;
+        const keys = this.AUDIT_RECORD_KEYS[table] || ['id'];
+        const omittedColumns = this.AUDIT_OMITTED_COLUMNS[table] || [];
+        this.rowsToObjects(results[0]).forEach(row => {
+            omittedColumns.forEach(column => delete row[column]);
+            if (table === 'transactions') {
+                const splits = this.db.exec(
+                    "SELECT GROUP_CONCAT(category_id || '=' || amount, ', ') FROM transaction_splits WHERE transaction_id = ?",
+                    [row.id]
+                );
+                row.splits = splits.length > 0 ? splits[0].values[0][0] : null;
+                row.tags = this.getTransactionTags(row.id).join(', ') || null;
+            }
+            rows[keys.map(key => row[key]).join(':')] = row;
+        });
+        return rows;
+    },
+
+    /**
+     * Run a change and write an audit entry for every record it created, changed or deleted.
+     * `where` selects the records the change may touch; they are re-read by key afterwards,
+     * so the change may modify the columns `where` filters on.
+     * @param {string} table - Table name
+     * @param {string} where - SQL condition selecting the affected records
+     * @param {Array} params - Condition parameters
+     * @param {Function} change - Performs the change
+     * @returns {*} Whatever `change` returns
+     * @throws {Error} With code 'PERIOD_CLOSED' when the change touches a closed month
+     */
+    _audited(table, where, params, change) {
+        const before = this._getAuditRows(table, where, params);
+        // Whether a change touches a closed period is only known once it has run, so it runs
+        // in a savepoint that is rolled back when it does
+        this.db.run('SAVEPOINT audited_change');
+        let result;
+        let after;
+        try {
+            result = change();
+            after = this._getAuditRows(table, where, params);
+            const keys = this.AUDIT_RECORD_KEYS[table] || ['id'];
+            Object.keys(before).filter(recordId => !after[recordId]).forEach(recordId => {
+                Object.assign(after, this._getAuditRows(
+                    table,
+                    keys.map(key => `${key} = ?`).join(' AND '),
+                    keys.map(key => before[recordId][key])
+                ));
+            });
+            this._assertChangesOpen(table, before, after);
+        } catch (error) {
+            this.db.run('ROLLBACK TO audited_change');
+            this.db.run('RELEASE audited_change');
+            throw error;
+        }
+        this.db.run('RELEASE audited_change');
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(recordId => {
+            this._writeAuditEntry(table, recordId, before[recordId] || null, after[recordId] || null);
+        });
+        return result;
+    },
+
+    /**
+     * Write the audit entry for a newly inserted row
+     * @param {string} table - Table name
+     * @param {number} id - New row ID
+     */
+    _auditCreated(table, id) {
+        const rows = this._getAuditRows(table, 'id = ?', [id]);
+        this._writeAuditEntry(table, String(id), null, rows[id] || null);
+    },
+
+    /**
+     * Record one change. Updates keep only the columns that changed; nothing is written when
+     * nothing did. The user is the current Group Sync member (empty when working locally).
+     * @param {string} table - Table name
+     * @param {string} recordId - Record ID
+     * @param {Object|null} before - Row before the change (null when created)
+     * @param {Object|null} after - Row after the change (null when deleted)
+     */
+    _writeAuditEntry(table, recordId, before, after) {
+        if (!before && !after) return;
+        let action = 'update';
+        let oldValues = before;
+        let newValues = after;
+        if (!before) {
+            action = 'create';
+        } else if (!after) {
+            action = 'delete';
+        } else {
+            oldValues = {};
+            newValues = {};
+            Object.keys(after).forEach(column => {
+                if (column === 'updated_at' || before[column] === after[column]) return;
+                oldValues[column] = before[column];
+                newValues[column] = after[column];
+            });
+            if (Object.keys(newValues).length === 0) return;
+        }
+
+        const user = typeof SyncService !== 'undefined' ? SyncService.currentUser : '';
+        this.db.run(
+            'INSERT INTO audit_log (user_name, table_name, record_id, action, old_values, new_values, batch_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [user || null, table, recordId, action, oldValues ? JSON.stringify(oldValues) : null, newValues ? JSON.stringify(newValues) : null, this._getAuditBatchId()]
+        );
+    },
+
+    /**
+     * Batch ID shared by every audit entry written in the current task, so one user action
+     * (e.g. deleting an asset together with its purchase entry) is undone as a unit.
+     * A new batch goes onto the undo stack and clears the redo stack.
+     * @returns {string} Batch ID
+     */
+    _getAuditBatchId() {
+        if (!this._auditBatchId) {
+            this._auditBatchId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            setTimeout(() => {
+                this._auditBatchId = null;
+                if (this.db) this._pruneAttachmentTrash();
+            }, 0);
+            if (!this._replayingHistory) {
+                const history = this._getUndoHistory();
+                history.undo.push(this._auditBatchId);
+                history.undo = history.undo.slice(-this.UNDO_LIMIT);
+                history.redo = [];
+                this._setUndoHistory(history);
+            }
+        }
+        return this._auditBatchId;
+    },
+
+    /**
+     * Search the audit log, newest first
+     * @param {Object} filters - { table, recordId, search (matches user, record ID and values), limit }
+     * @returns {Array} [{id, changed_at, user_name, table_name, record_id, action, old_values, new_values}] with values parsed
+     */
+    getAuditLog(filters = {}) {
+        let query = 'SELECT * FROM audit_log WHERE 1=1';
+        const params = [];
+
+        if (filters.table) {
+            query += ' AND table_name = ?';
+            params.push(filters.table);
+        }
+        if (filters.recordId !== undefined && filters.recordId !== null && filters.recordId !== '') {
+            query += ' AND record_id = ?';
+            params.push(String(filters.recordId));
+        }
+        if (filters.search) {
+            const like = `%${filters.search}%`;
+            query += ' AND (user_name LIKE ? OR record_id = ? OR old_values LIKE ? OR new_values LIKE ?)';
+            params.push(like, filters.search, like, like);
+        }
+        query += ' ORDER BY id DESC LIMIT ?';
+        params.push(filters.limit || 500);
+
+        const results = this.db.exec(query, params);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]).map(entry => ({
+            ...entry,
+            old_values: entry.old_values ? JSON.parse(entry.old_values) : null,
+            new_values: entry.new_values ? JSON.parse(entry.new_values) : null
+        }));
+    },
+
+    // ==================== UNDO / REDO ====================
+
+    /** Number of actions kept on the undo stack */
+    UNDO_LIMIT: 100,
+
+    /** sessionStorage key of the undo/redo stacks (batch IDs), so they survive a refresh of the tab */
+    UNDO_STORAGE_KEY: 'undo_history',
+
+    /** @type {Function|null} Callback when the undo/redo stacks change */
+    onHistoryChange: null,
+
+    /**
+     * Read the undo/redo stacks
+     * @returns {{undo: Array<string>, redo: Array<string>}}
+     */
+    _getUndoHistory() {
+        try {
+            const history = JSON.parse(sessionStorage.getItem(this.UNDO_STORAGE_KEY));
+            if (history && Array.isArray(history.undo) && Array.isArray(history.redo)) {
+                return history;
+            }
+        } catch (e) {
+            // Fall through to empty stacks
+        }
+        return { undo: [], redo: [] };
+    },
+
+    /**
+     * Store the undo/redo stacks and notify the listener
+     * @param {{undo: Array<string>, redo: Array<string>}} history
+     */
+    _setUndoHistory(history) {
+        sessionStorage.setItem(this.UNDO_STORAGE_KEY, JSON.stringify(history));
+        if (this.onHistoryChange) this.onHistoryChange();
+    },
+
+    /**
+     * Forget every undoable action (after the database is replaced)
+     */
+    clearUndoHistory() {
+        this._auditBatchId = null;
+        this._setUndoHistory({ undo: [], redo: [] });
+        if (this.db) this._pruneAttachmentTrash();
+    },
+
+    /**
+     * @returns {{canUndo: boolean, canRedo: boolean}}
+     */
+    getUndoState() {
+        const history = this._getUndoHistory();
+        return { canUndo: history.undo.length > 0, canRedo: history.redo.length > 0 };
+    },
+
+    /**
+     * Get the audit entries of one batch in the order they were written
+     * @param {string} batchId - Batch ID
+     * @returns {Array} Audit entries with values parsed
+     */
+    _getAuditBatch(batchId) {
+        const results = this.db.exec('SELECT * FROM audit_log WHERE batch_id = ? ORDER BY id ASC', [batchId]);
+        if (results.length === 0) return [];
+        return this.rowsToObjects(results[0]).map(entry => ({
+            ...entry,
+            old_values: entry.old_values ? JSON.parse(entry.old_values) : null,
+            new_values: entry.new_values ? JSON.parse(entry.new_values) : null
+        }));
+    },
+
+    /**
+     * Undo the most recent action
+     * @returns {Array} The reverted audit entries (empty when there is nothing to undo)
+     * @throws {Error} When a record was changed since or is in a closed period; the action stays on the undo stack
+     */
+    undo() {
+        return this._stepHistory('undo', 'redo');
+    },
+
+    /**
+     * Redo the most recently undone action
+     * @returns {Array} The re-applied audit entries (empty when there is nothing to redo)
+     * @throws {Error} When a record was changed since or is in a closed period; the action stays on the redo stack
+     */
+    redo() {
+        return this._stepHistory('redo', 'undo');
+    },
+
+    /**
+     * Pop a batch from one stack, replay it and push it onto the other. Batches with no
+     * entries in this database (rolled back, or from a database since replaced) are skipped.
+     * A batch that fails to replay goes back where it came from, so both stacks are kept.
+     * @param {string} from - Stack to pop ('undo' or 'redo')
+     * @param {string} to - Stack to push
+     * @returns {Array} Replayed audit entries
+     */
+    _stepHistory(from, to) {
+        const history = this._getUndoHistory();
+        while (history[from].length > 0) {
+            const batchId = history[from].pop();
+            const entries = this._getAuditBatch(batchId);
+            if (entries.length === 0) continue;
+            try {
+                this._replayAuditBatch(from === 'undo' ? entries.slice().reverse() : entries, from === 'undo');
+            } catch (error) {
+                history[from].push(batchId);
+                this._setUndoHistory(history);
+                throw error;
+            }
+            history[to].push(batchId);
+            this._setUndoHistory(history);
+            this.autoSave();
+            return entries;
+        }
+        this._setUndoHistory(history);
+        return [];
+    },
+
+    /**
+     * Apply a batch of audit entries backwards (undo) or forwards (redo) in one database
+     * transaction. The replay is itself audited, but in a batch of its own that is not
+     * pushed onto the undo stack.
+     * @param {Array} entries - Audit entries in the order to apply them
+     * @param {boolean} backwards - true to restore old values, false to re-apply new ones
+     * @throws {Error} When a record no longer matches the state the entry left it in
+     */
+    _replayAuditBatch(entries, backwards) {
+        this._replayingHistory = true;
+        this._auditBatchId = null;
+        this.db.run('BEGIN TRANSACTION');
+        try {
+            entries.forEach(entry => {
+                const expected = backwards ? entry.new_values : entry.old_values;
+                const target = backwards ? entry.old_values : entry.new_values;
+                this._applyAuditState(entry.table_name, entry.record_id, expected, target);
+            });
+            this.rebuildLedger();
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        } finally {
+            this._auditBatchId = null;
+            this._replayingHistory = false;
+        }
+    },
+
+    /**
+     * Move one record from the state `expected` to `target`. Either may be null (record absent);
+     * for updates both hold only the changed columns.
+     * @param {string} table - Table name
+     * @param {string} recordId - Record ID (key columns joined with ':')
+     * @param {Object|null} expected - Values the record must currently have
+     * @param {Object|null} target - Values to give it
+     * @throws {Error} When the record doesn't match `expected`
+     */
+    _applyAuditState(table, recordId, expected, target) {
+        const keys = this.AUDIT_RECORD_KEYS[table] || ['id'];
+        const keyValues = recordId.split(':');
+        const where = keys.map(key => `${key} = ?`).join(' AND ');
+        const current = this._getAuditRows(table, where, keyValues)[recordId] || null;
+
+        const matches = expected
+            ? current && Object.keys(expected).every(column =>
+                column === 'created_at' || column === 'updated_at' || String(current[column]) === String(expected[column]))
+            : !current;
+        if (!matches) {
+            throw new Error(`${table} record ${recordId} has been changed since; it can no longer be undone or redone.`);
+        }
+
+        this._audited(table, where, keyValues, () => {
+            if (!target) {
+                if (table === 'transactions') {
+                    this.db.run('DELETE FROM transaction_splits WHERE transaction_id = ?', keyValues);
+                    this.db.run('DELETE FROM transaction_tags WHERE transaction_id = ?', keyValues);
+                }
+                if (table === 'attachments') this._trashAttachments(where, keyValues);
+                this.db.run(`DELETE FROM ${table} WHERE ${where}`, keyValues);
+                return;
+            }
+            const columns = Object.keys(target).filter(column => column !== 'splits' && column !== 'tags');
+            const values = columns.map(column => target[column]);
+            if (!expected && table === 'attachments') {
+                const trashed = this.db.exec('SELECT data FROM attachment_trash WHERE attachment_id = ?', keyValues);
+                if (trashed.length === 0) {
+                    throw new Error(`The file of attachment ${recordId} is no longer kept; it can no longer be undone or redone.`);
+                }
+                columns.push('data');
+                values.push(trashed[0].values[0][0]);
+                this.db.run('DELETE FROM attachment_trash WHERE attachment_id = ?', keyValues);
+            }
+            if (!expected) {
+                this.db.run(
+                    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                    values
+                );
+            } else if (columns.length > 0) {
+                this.db.run(
+                    `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${where}`,
+                    [...values, ...keyValues]
+                );
+            }
+            if (table === 'transactions' && 'splits' in target) {
+                this.db.run('DELETE FROM transaction_splits WHERE transaction_id = ?', keyValues);
+                (target.splits || '').split(', ').filter(Boolean).forEach(split => {
+                    const [categoryId, amount] = split.split('=');
+                    this.db.run(
+                        'INSERT INTO transaction_splits (transaction_id, category_id, amount) VALUES (?, ?, ?)',
+                        [keyValues[0], categoryId, amount]
+                    );
+                });
+            }
+            if (table === 'transactions' && 'tags' in target) {
+                this._saveTransactionTags(Number(keyValues[0]), target.tags || '');
+            }
+        });
+    },
+
     // ==================== PERSISTENCE ====================
 
     /**
@@ -2643,6 +7679,7 @@ const Database = {
         const uint8Array = new Uint8Array(buffer);
         this.db = new this.SQL.Database(uint8Array);
         this.migrateSchema();
+        this.clearUndoHistory();
         await this.saveToIndexedDB();
     },
 
@@ -61,7 +61,11 @@ const UI = {
         const yearSelects = [
             'monthDueYear',
             'monthPaidYear',
-            'promptMonthPaidYear'
+            'promptMonthPaidYear',
+            'counterpartyAsOfYear',
+            'bulkDuplicateYear',
+            'closePeriodYear',
+            'reopenPeriodYear'
         ];
 
         yearSelects.forEach(selectId => {
@@ -132,6 +136,7 @@ const UI = {
                 option.dataset.isMonthly = cat.is_monthly ? '1' : '0';
                 option.dataset.defaultAmount = cat.default_amount || '';
                 option.dataset.defaultType = cat.default_type || '';
+                option.dataset.isSalesTax = cat.is_sales_tax ? '1' : '0';
                 optgroup.appendChild(option);
             });
             select.appendChild(optgroup);
@@ -145,6 +150,7 @@ const UI = {
             option.dataset.isMonthly = cat.is_monthly ? '1' : '0';
             option.dataset.defaultAmount = cat.default_amount || '';
             option.dataset.defaultType = cat.default_type || '';
+            option.dataset.isSalesTax = cat.is_sales_tax ? '1' : '0';
             select.appendChild(option);
         });
 
@@ -191,6 +197,78 @@ const UI = {
         }
     },
 
+    /**
+     * Turn split mode on/off in the entry form. Split mode replaces the single
+     * category with a list of category/amount lines; a receivable's pretax amount
+     * still applies to the whole entry and is spread across the lines.
+     * @param {boolean} enabled - Whether the transaction is split
+     * @param {Array} splits - Existing lines [{category_id, amount}] to load
+     */
+    toggleSplitMode(enabled, splits = []) {
+        const categorySelect = document.getElementById('category');
+        document.getElementById('splitToggle').checked = enabled;
+        document.getElementById('splitLinesGroup').style.display = enabled ? 'flex' : 'none';
+        document.getElementById('splitLines').innerHTML = '';
+        categorySelect.disabled = enabled;
+        categorySelect.required = !enabled;
+
+        this.updateSalesTaxRateVisibility();
+        if (!enabled) return;
+
+        if (splits.length > 0) {
+            splits.forEach(line => this.addSplitLine(line.category_id, line.amount));
+        } else {
+            // Start with the chosen category carrying the full amount, plus an empty line
+            this.addSplitLine(categorySelect.value, document.getElementById('amount').value);
+            this.addSplitLine();
+        }
+        this.updateSplitRemaining();
+    },
+
+    /**
+     * Append a category/amount line to the split editor
+     * @param {number|string} categoryId - Preselected category
+     * @param {number|string} amount - Line amount
+     */
+    addSplitLine(categoryId = '', amount = '') {
+        const row = document.createElement('div');
+        row.className = 'split-line';
+        row.innerHTML = `
+            <select class="split-category">${document.getElementById('category').innerHTML}</select>
+            <input type="number" class="split-amount" step="0.01" min="0" placeholder="0.00" value="${amount}">
+            <button type="button" class="btn btn-small split-remove-btn" title="Remove line">&times;</button>
+        `;
+        row.querySelector('.split-category').value = categoryId || '';
+        document.getElementById('splitLines').appendChild(row);
+        this.updateSplitRemaining();
+    },
+
+    /**
+     * Read the split editor lines
+     * @returns {Array} [{category_id, amount}]
+     */
+    getSplitLines() {
+        return Array.from(document.querySelectorAll('#splitLines .split-line')).map(row => ({
+            category_id: parseInt(row.querySelector('.split-category').value) || null,
+            amount: Utils.parseAmount(row.querySelector('.split-amount').value)
+        }));
+    },
+
+    /**
+     * Show how much of the total amount is not yet allocated to a split line
+     */
+    updateSplitRemaining() {
+        const label = document.getElementById('splitRemaining');
+        const total = Utils.parseAmount(document.getElementById('amount').value);
+        const allocated = this.getSplitLines().reduce((sum, line) => sum + line.amount, 0);
+        const remaining = Math.round((total - allocated) * 100) / 100;
+
+        label.textContent = remaining === 0
+            ? 'Fully allocated'
+            : `${Utils.formatCurrency(Math.abs(remaining))} ${remaining > 0 ? 'unallocated' : 'over-allocated'}`;
+        label.classList.toggle('unbalanced', remaining !== 0);
+    },
+
     /**
      * Update form field visibility based on status
      * Shows/hides dateProcessed and monthPaid groups
@@ -199,10 +277,12 @@ const UI = {
     updateFormFieldVisibility(status) {
         const dateProcessedGroup = document.getElementById('dateProcessedGroup');
         const monthPaidGroup = document.getElementById('monthPaidGroup');
+        const cashAccountGroup = document.getElementById('cashAccountGroup');
 
         if (status === 'pending') {
             dateProcessedGroup.style.display = 'none';
             monthPaidGroup.style.display = 'none';
+            cashAccountGroup.style.display = 'none';
             // Clear values when switching to pending
             document.getElementById('dateProcessed').value = '';
             document.getElementById('monthPaidMonth').value = '';
@@ -210,6 +290,7 @@ const UI = {
         } else {
             dateProcessedGroup.style.display = 'flex';
             monthPaidGroup.style.display = 'flex';
+            cashAccountGroup.style.display = 'flex';
         }
     },
 
@@ -306,14 +387,31 @@ const UI = {
     },
 
     /**
-     * Render transactions table grouped by the selected sort mode
+     * Journals longer than `threshold` rows are windowed: each group only renders the rows near
+     * the viewport (plus `overscan` either side), with spacer rows standing in for the rest
+     */
+    JOURNAL_WINDOW: { threshold: 300, overscan: 20, estimatedRowHeight: 49 },
+
+    /**
+     * The journal as last rendered: {sortMode, layoutKey, groups: [{key, rows, range}], rowKeys, selectedIds,
+     * windowed, rowHeights}. Kept so a refresh that leaves the layout alone only touches changed rows.
+     */
+    _journal: null,
+    _journalWindowBound: false,
+
+    /**
+     * Render transactions table grouped by the selected sort mode. When the groups and row order are
+     * unchanged since the last render (an edit, status change or selection), only the rows whose
+     * data changed are redrawn.
      * @param {Array} transactions - Array of transaction objects
      * @param {string} sortMode - 'entryDate', 'monthDue', or 'category'
+     * @param {Set<number>} selectedIds - Transactions ticked for bulk actions
      */
-    renderTransactions(transactions, sortMode = 'entryDate') {
+    renderTransactions(transactions, sortMode = 'entryDate', selectedIds = new Set()) {
         const container = document.getElementById('transactionsContainer');
 
         if (transactions.length === 0) {
+            this._journal = null;
             container.innerHTML = '<p class="empty-state">No transactions yet. Add your first entry above.</p>';
             return;
         }
@@ -337,15 +435,39 @@ const UI = {
                 break;
         }
 
+        const groups = Object.entries(grouped).map(([key, rows]) => ({ key, rows, range: null }));
+        const layoutKey = sortMode + '|' + groups.map(group => `${group.key}:${group.rows.map(t => t.id).join(',')}`).join('|');
+        const rowKeys = new Map(transactions.map(t => [t.id, JSON.stringify(t) + (selectedIds.has(t.id) ? '|selected' : '')]));
+        const previous = this._journal;
+
+        if (previous && previous.layoutKey === layoutKey && container.querySelector('.month-group')) {
+            this._updateJournalRows(groups, rowKeys, selectedIds);
+            return;
+        }
+
+        this._journal = {
+            sortMode,
+            layoutKey,
+            groups,
+            rowKeys,
+            selectedIds,
+            windowed: transactions.length > this.JOURNAL_WINDOW.threshold,
+            rowHeights: previous ? previous.rowHeights : new Map()
+        };
+
         let html = '';
 
-        for (const [key, groupTransactions] of Object.entries(grouped)) {
+        groups.forEach((group, index) => {
+            const allSelected = group.rows.every(t => selectedIds.has(t.id));
             html += `
-                <div class="month-group">
-                    <div class="month-header">${formatHeader(key)}</div>
+                <div class="month-group" data-group-index="${index}">
+                    <div class="month-header">${formatHeader(group.key)}</div>
                     <table class="transaction-table">
                         <thead>
                             <tr>
+                                <th class="select-cell">
+                                    <input type="checkbox" class="group-select" title="Select all in this group" ${allSelected ? 'checked' : ''}>
+                                </th>
                                 <th>Date</th>
                                 <th>Category</th>
                                 <th>Type</th>
@@ -357,23 +479,223 @@ const UI = {
                             </tr>
                         </thead>
                         <tbody>
-                            ${groupTransactions.map(t => this.renderTransactionRow(t)).join('')}
+                            ${this._journal.windowed ? '' : group.rows.map(t => this.renderTransactionRow(t, selectedIds.has(t.id))).join('')}
                         </tbody>
                     </table>
                 </div>
             `;
+        });
+
+        container.innerHTML = html;
+
+        if (this._journal.windowed) {
+            this._bindJournalWindow();
+            this.updateJournalWindow(true);
+        }
+    },
+
+    /**
+     * Redraw only the journal rows whose data or selection changed; the layout is the same
+     * @param {Array} groups - Groups from renderTransactions
+     * @param {Map<number, string>} rowKeys - Row content keys by transaction ID
+     * @param {Set<number>} selectedIds - Transactions ticked for bulk actions
+     */
+    _updateJournalRows(groups, rowKeys, selectedIds) {
+        const journal = this._journal;
+        const container = document.getElementById('transactionsContainer');
+
+        groups.forEach((group, index) => {
+            group.range = journal.groups[index].range;
+            const groupEl = container.querySelector(`.month-group[data-group-index="${index}"]`);
+            groupEl.querySelector('.group-select').checked = group.rows.every(t => selectedIds.has(t.id));
+
+            group.rows.forEach(t => {
+                const rowEl = groupEl.querySelector(`tr[data-id="${t.id}"]`);
+                // Rows outside the window are drawn from the new data when they scroll in
+                if (!rowEl) return;
+                // An inline status change that was cancelled or refused leaves the select showing it
+                const unchanged = journal.rowKeys.get(t.id) === rowKeys.get(t.id) &&
+                    rowEl.querySelector('.status-select').value === t.status;
+                if (unchanged) return;
+                rowEl.outerHTML = this.renderTransactionRow(t, selectedIds.has(t.id));
+                this._measureJournalRows(groupEl.querySelector(`tr[data-id="${t.id}"]`));
+            });
+        });
+
+        journal.groups = groups;
+        journal.rowKeys = rowKeys;
+        journal.selectedIds = selectedIds;
+    },
+
+    /**
+     * Get every transaction ID of a journal group, including rows outside the window
+     * @param {HTMLElement} groupEl - The group's .month-group element
+     * @returns {Array<number>} Transaction IDs
+     */
+    getJournalGroupIds(groupEl) {
+        if (!this._journal || !groupEl) return [];
+        const group = this._journal.groups[parseInt(groupEl.dataset.groupIndex)];
+        return group ? group.rows.map(t => t.id) : [];
+    },
+
+    /**
+     * Re-window the journal on scroll and resize, at most once per frame
+     */
+    _bindJournalWindow() {
+        if (this._journalWindowBound) return;
+        this._journalWindowBound = true;
+        let scheduled = false;
+        const update = () => {
+            if (scheduled) return;
+            scheduled = true;
+            requestAnimationFrame(() => {
+                scheduled = false;
+                this.updateJournalWindow();
+            });
+        };
+        window.addEventListener('scroll', update, { passive: true });
+        window.addEventListener('resize', update);
+    },
+
+    /**
+     * Render the rows of each group that are in or near the viewport. Row positions come from
+     * measured heights where a row has been drawn before, and an estimate otherwise.
+     * @param {boolean} force - Redraw every group even if its window hasn't moved
+     */
+    updateJournalWindow(force = false) {
+        const journal = this._journal;
+        if (!journal || !journal.windowed) return;
+        const container = document.getElementById('transactionsContainer');
+        // A hidden journal (another tab is open) has no layout to window against
+        if (container.offsetParent === null) return;
+        const { overscan, estimatedRowHeight } = this.JOURNAL_WINDOW;
+        const rowHeight = (t) => journal.rowHeights.get(t.id) || estimatedRowHeight;
+        const viewBottom = window.innerHeight;
+
+        journal.groups.forEach((group, index) => {
+            const groupEl = container.querySelector(`.month-group[data-group-index="${index}"]`);
+            if (!groupEl) return;
+            const tbody = groupEl.querySelector('tbody');
+
+            const { start, end } = Utils.computeWindowRange(group.rows.length, i => rowHeight(group.rows[i]),
+                tbody.getBoundingClientRect().top, viewBottom, overscan);
+            if (!force && group.range && group.range.start === start && group.range.end === end) return;
+            group.range = { start, end };
+
+            const spacer = (rows) => {
+                const height = rows.reduce((sum, t) => sum + rowHeight(t), 0);
+                return height > 0
+                    ? `<tr class="journal-spacer" aria-hidden="true"><td colspan="9" style="height: ${height}px"></td></tr>`
+                    : '';
+            };
+            tbody.innerHTML = spacer(group.rows.slice(0, start)) +
+                group.rows.slice(start, end).map(t => this.renderTransactionRow(t, journal.selectedIds.has(t.id))).join('') +
+                spacer(group.rows.slice(end));
+
+            this._measureJournalRows(...tbody.querySelectorAll('tr[data-id]'));
+        });
+    },
+
+    /**
+     * Remember the drawn height of journal rows for windowing
+     * @param {...HTMLElement} rowEls - Row elements
+     */
+    _measureJournalRows(...rowEls) {
+        if (!this._journal) return;
+        rowEls.forEach(rowEl => {
+            if (rowEl && rowEl.offsetHeight > 0) {
+                this._journal.rowHeights.set(parseInt(rowEl.dataset.id), rowEl.offsetHeight);
+            }
+        });
+    },
+
+    /**
+     * Populate the journal's tag filter
+     * @param {Array} tags - From Database.getTags
+     */
+    populateFilterTags(tags) {
+        const select = document.getElementById('filterTag');
+        const currentValue = select.value;
+
+        select.innerHTML = '<option value="">All Tags</option>';
+        tags.forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag.id;
+            option.textContent = tag.name;
+            select.appendChild(option);
+        });
+
+        if (currentValue) {
+            select.value = currentValue;
+        }
+    },
+
+    /**
+     * Offer tag completions for the last name being typed in a comma-separated tag input
+     * @param {string} inputValue - Current input value
+     * @param {Array} tags - From Database.getTags
+     */
+    populateTagSuggestions(inputValue, tags) {
+        const parts = inputValue.split(',');
+        const prefix = parts.slice(0, -1).map(part => part.trim()).filter(Boolean);
+        const used = new Set(prefix.map(name => name.toLowerCase()));
+        const lead = prefix.length > 0 ? `${prefix.join(', ')}, ` : '';
+
+        document.getElementById('tagSuggestions').innerHTML = tags
+            .filter(tag => !used.has(tag.name.toLowerCase()))
+            .map(tag => `<option value="${Utils.escapeHtml(lead + tag.name)}"></option>`)
+            .join('');
+    },
+
+    /**
+     * Render the tag summary: one row per tag, one column per month
+     * @param {Object} summary - Result of Database.getTagSummary()
+     */
+    renderTagSummary(summary) {
+        const container = document.getElementById('tagsContent');
+
+        if (summary.rows.length === 0) {
+            container.innerHTML = '<p class="empty-state">No tagged entries in this year.</p>';
+            return;
         }
 
+        const amountCell = (v) => `<td>${v ? Utils.formatCurrency(v) : '-'}</td>`;
+        let html = '<table class="aging-table"><thead><tr><th>Tag</th>';
+        summary.months.forEach(month => { html += `<th>${Utils.formatMonthShort(month)}</th>`; });
+        html += '<th>Total</th></tr></thead><tbody>';
+
+        summary.rows.forEach(row => {
+            html += `<tr><td>${Utils.escapeHtml(row.name)}</td>`;
+            row.amounts.forEach(v => { html += amountCell(v); });
+            html += `<td class="aging-row-total">${Utils.formatCurrency(row.total)}</td></tr>`;
+        });
+
+        // Entries with several tags appear on each of their rows but only once here
+        html += '</tbody><tfoot><tr><td title="Each tagged entry counted once">All tagged entries</td>';
+        summary.totals.forEach(v => { html += amountCell(v); });
+        html += `<td>${Utils.formatCurrency(summary.total)}</td></tr></tfoot></table>`;
+
         container.innerHTML = html;
     },
 
+    /**
+     * Journal labels for entries issued against another entry (by source_type)
+     */
+    CREDIT_LABELS: { refund: 'Refund', credit_memo: 'Credit Memo' },
+
     /**
      * Render a single transaction row
      * @param {Object} t - Transaction object
+     * @param {boolean} selected - Whether the row is ticked for bulk actions
      * @returns {string} HTML string
      */
-    renderTransactionRow(t) {
-        const isOverdue = Utils.isOverdue(t.month_due, t.status);
+    renderTransactionRow(t, selected = false) {
+        // A voided entry and its reversing entry cancel out, so neither is ever overdue or late
+        const isVoided = Boolean(t.voided_by) || t.source_type === 'void';
+        // Refunds and credit memos are issued against an original entry; a credit memo settles with it
+        const creditLabel = this.CREDIT_LABELS[t.source_type] || '';
+        const isCreditMemo = t.source_type === 'credit_memo';
+        const isOverdue = !isVoided && Utils.isOverdue(t.month_due, t.status);
         const statusClass = isOverdue ? 'status-overdue' : `status-${t.status}`;
         const amountClass = t.transaction_type === 'receivable' ? 'amount-receivable' : 'amount-payable';
         const typeClass = `type-${t.transaction_type}`;
@@ -383,8 +705,13 @@ const UI = {
             ? ['pending', 'received']
             : ['pending', 'paid'];
 
+        // Reconciled and voided transactions are locked: the status can't be changed inline
+        let lockedTitle = '';
+        if (t.is_reconciled) lockedTitle = 'Reconciled';
+        else if (isVoided) lockedTitle = 'Voided';
+        else if (isCreditMemo) lockedTitle = 'Settles with the original entry';
         const statusDropdown = `
-            <select class="status-select ${statusClass}" data-id="${t.id}">
+            <select class="status-select ${statusClass}" data-id="${t.id}" ${lockedTitle ? `disabled title="${lockedTitle}"` : ''}>
                 ${statusOptions.map(s => `
                     <option value="${s}" ${t.status === s ? 'selected' : ''}>
                         ${this.capitalizeFirst(s)}
@@ -394,16 +721,31 @@ const UI = {
         `;
 
         // Late payment info
-        const isPaidLate = Utils.isPaidLate(t.month_due, t.month_paid);
+        const isPaidLate = !isVoided && !isCreditMemo && Utils.isPaidLate(t.month_due, t.month_paid);
         const lateInfo = isPaidLate
             ? `<span class="late-info">in ${Utils.formatMonthShort(t.month_paid)}</span>`
             : '';
 
-        // Category name with payment for month if applicable
-        let categoryDisplay = Utils.escapeHtml(t.category_name || 'Unknown');
+        // Category name (every line's category for splits) with payment for month if applicable
+        let categoryDisplay = t.split_categories
+            ? `<span class="split-badge">Split</span>${Utils.escapeHtml(t.split_categories)}`
+            : Utils.escapeHtml(t.category_name || 'Unknown');
         if (t.payment_for_month) {
             categoryDisplay += `<span class="payment-for-label"> for ${Utils.formatMonthShort(t.payment_for_month)}</span>`;
         }
+        if (t.counterparty_name) {
+            categoryDisplay += `<span class="counterparty-label">${Utils.escapeHtml(t.counterparty_name)}</span>`;
+        }
+        if (creditLabel && t.credited_entry_date) {
+            categoryDisplay += `<span class="counterparty-label">${creditLabel} for the ${Utils.formatDateShort(t.credited_entry_date)} entry</span>`;
+        }
+        if (t.invoice_number) {
+            categoryDisplay += `<span class="counterparty-label">Invoice #${Utils.escapeHtml(t.invoice_number)}</span>`;
+        }
+        if (t.tag_names) {
+            categoryDisplay += `<span class="tag-list">${t.tag_names.split(', ').map(name =>
+                `<span class="tag-badge">${Utils.escapeHtml(name)}</span>`).join('')}</span>`;
+        }
 
         // Notes indicator icon (shown only when notes exist)
         const notesIcon = t.notes ? `
@@ -419,35 +761,72 @@ const UI = {
             ? `<span class="month-due-badge ${isOverdue ? 'overdue' : ''}">${Utils.formatMonthShort(t.month_due)}</span>`
             : '-';
 
-        // Processed date display
-        const processedDisplay = t.date_processed ? Utils.formatDateShort(t.date_processed) : '-';
+        // Processed date display, with the account the money went through
+        const processedDisplay = (t.date_processed ? Utils.formatDateShort(t.date_processed) : '-') +
+            (t.status !== 'pending' && t.cash_account_name
+                ? `<span class="cash-account-label">${Utils.escapeHtml(t.cash_account_name)}</span>` : '');
 
-        // Row class for late payment shade
-        const rowClass = isPaidLate ? 'late-payment-row' : '';
+        // Remaining balance once partial payments have been recorded
+        const remaining = Math.round((t.amount - (t.amount_paid || 0)) * 100) / 100;
+        const remainingInfo = (t.status === 'pending' && t.amount_paid > 0)
+            ? `<span class="remaining-balance">${Utils.formatCurrency(remaining)} remaining</span>`
+            : '';
+
+        const voidBadge = isVoided
+            ? `<span class="voided-badge">${t.voided_by ? 'Voided' : 'Reversal'}</span>`
+            : '';
+
+        // Row class for late payment shade, or strike-through for voided entries
+        const rowClass = isVoided ? 'row-voided' : (isPaidLate ? 'late-payment-row' : '');
 
         return `
-            <tr data-id="${t.id}" class="${rowClass}">
+            <tr data-id="${t.id}" class="${rowClass} ${selected ? 'row-selected' : ''}">
+                <td class="select-cell"><input type="checkbox" class="row-select" data-id="${t.id}" ${selected ? 'checked' : ''}></td>
                 <td>${Utils.formatDateShort(t.entry_date)}</td>
                 <td>${categoryDisplay} ${notesIcon}</td>
                 <td>
-                    <span class="type-badge ${typeClass}">
-                        ${this.capitalizeFirst(t.transaction_type)}
+                    <span class="type-badge ${typeClass} ${creditLabel ? 'type-credit' : ''}" ${creditLabel ? `title="${this.capitalizeFirst(t.transaction_type)} ${creditLabel.toLowerCase()}"` : ''}>
+                        ${creditLabel || this.capitalizeFirst(t.transaction_type)}
                     </span>
                 </td>
-                <td class="${amountClass}">${Utils.formatCurrency(t.amount)}</td>
+                <td class="${amountClass}">
+                    ${Utils.formatCurrency(t.amount)}
+                    ${remainingInfo}
+                </td>
                 <td>${monthDueDisplay}</td>
                 <td>
                     ${statusDropdown}
                     ${lateInfo}
+                    ${t.is_reconciled ? '<span class="reconciled-badge" title="Included in a saved bank reconciliation">Reconciled</span>' : ''}
+                    ${voidBadge}
                 </td>
                 <td>${processedDisplay}</td>
                 <td class="actions-cell">
+                    ${this.renderAttachmentsButton(t)}
+                    <button class="btn-icon payments-btn" data-id="${t.id}" title="Payments">
+                        <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                            <rect x="2" y="5" width="20" height="14" rx="2"></rect>
+                            <line x1="2" y1="10" x2="22" y2="10"></line>
+                        </svg>
+                    </button>
                     <button class="btn-icon edit-btn" data-id="${t.id}" title="Edit">
                         <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
                             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                             <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                         </svg>
                     </button>
+                    ${isVoided || creditLabel ? '' : `<button class="btn-icon credit-btn" data-id="${t.id}" title="Refund / Credit Memo">
+                        <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                            <polyline points="1 4 1 10 7 10"></polyline>
+                            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                        </svg>
+                    </button>`}
+                    ${isVoided ? '' : `<button class="btn-icon void-btn" data-id="${t.id}" title="Void">
+                        <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                            <circle cx="12" cy="12" r="10"></circle>
+                            <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"></line>
+                        </svg>
+                    </button>`}
                     <button class="btn-icon delete-btn" data-id="${t.id}" title="Delete">
                         <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
                             <polyline points="3 6 5 6 21 6"></polyline>
@@ -461,6 +840,90 @@ const UI = {
         `;
     },
 
+    /**
+     * Render a journal row's attachments button: the first image's thumbnail (or a document
+     * icon) with the count once something is attached, otherwise a paperclip shown on hover
+     * @param {Object} t - Transaction object with attachment_count and attachment_thumbnail
+     * @returns {string} HTML string
+     */
+    renderAttachmentsButton(t) {
+        if (!t.attachment_count) {
+            return `
+                <button class="btn-icon attachments-btn" data-id="${t.id}" title="Attachments">
+                    <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                        <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"></path>
+                    </svg>
+                </button>
+            `;
+        }
+        const preview = t.attachment_thumbnail
+            ? `<img class="attachment-row-thumb" src="${Utils.escapeHtml(t.attachment_thumbnail)}" alt="">`
+            : this.renderDocumentIcon(16);
+        return `
+            <button class="btn-icon always-visible attachments-btn has-attachments" data-id="${t.id}"
+                    title="${t.attachment_count} attachment${t.attachment_count === 1 ? '' : 's'}">
+                ${preview}<span class="attachment-count">${t.attachment_count}</span>
+            </button>
+        `;
+    },
+
+    /**
+     * Document icon for attachments without a thumbnail (PDFs)
+     * @param {number} size - Icon size in pixels
+     * @returns {string} SVG markup
+     */
+    renderDocumentIcon(size) {
+        return `
+            <svg width="${size}" height="${size}" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+                <polyline points="14 2 14 8 20 8"></polyline>
+            </svg>
+        `;
+    },
+
+    /**
+     * Render a record's attachments as a grid of thumbnails
+     * @param {Array} attachments - From Database.getAttachments
+     * @param {boolean} canDelete - Show delete buttons
+     */
+    renderAttachmentsList(attachments, canDelete) {
+        const container = document.getElementById('attachmentsList');
+
+        if (attachments.length === 0) {
+            container.innerHTML = '<p class="empty-state">Nothing attached yet.</p>';
+            return;
+        }
+
+        const formatSize = (bytes) => bytes >= 1024 * 1024
+            ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+            : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+        container.innerHTML = `<div class="attachments-grid">
+            ${attachments.map(a => `
+                <div class="attachment-item">
+                    <button type="button" class="attachment-preview view-attachment-btn" data-id="${a.id}" title="View">
+                        ${a.thumbnail ? `<img src="${Utils.escapeHtml(a.thumbnail)}" alt="">` : this.renderDocumentIcon(40)}
+                    </button>
+                    <div class="attachment-name" title="${Utils.escapeHtml(a.file_name)}">${Utils.escapeHtml(a.file_name)}</div>
+                    <div class="attachment-meta">${formatSize(a.size)}</div>
+                    ${canDelete ? `<button type="button" class="btn btn-danger btn-small delete-attachment-btn" data-id="${a.id}">Delete</button>` : ''}
+                </div>
+            `).join('')}
+        </div>`;
+    },
+
+    /**
+     * Show an attachment in the viewer: images inline, PDFs in the browser's PDF viewer
+     * @param {Object} attachment - {file_name, mime_type}
+     * @param {string} url - Object URL of the file contents
+     */
+    renderAttachmentViewer(attachment, url) {
+        document.getElementById('attachmentViewerTitle').textContent = attachment.file_name;
+        document.getElementById('attachmentViewerBody').innerHTML = attachment.mime_type === 'application/pdf'
+            ? `<iframe src="${url}" title="${Utils.escapeHtml(attachment.file_name)}"></iframe>`
+            : `<img src="${url}" alt="${Utils.escapeHtml(attachment.file_name)}">`;
+    },
+
     /**
      * Render a single category item HTML
      * @param {Object} cat - Category object
@@ -620,15 +1083,359 @@ const UI = {
         }
     },
 
+    // ==================== COUNTERPARTIES ====================
+
+    /**
+     * Populate the counterparty picker in the entry modal (grouped by type)
+     * @param {Array} counterparties - Array of counterparty objects
+     * @param {string} selectId - ID of the select element
+     */
+    populateCounterpartyDropdown(counterparties, selectId = 'counterparty') {
+        const select = document.getElementById(selectId);
+        const currentValue = select.value;
+
+        select.innerHTML = '<option value="">None</option>';
+
+        const groups = [
+            { type: 'customer', label: 'Customers' },
+            { type: 'vendor', label: 'Vendors' },
+            { type: 'both', label: 'Customers & Vendors' }
+        ];
+        groups.forEach(({ type, label }) => {
+            const members = counterparties.filter(cp => cp.counterparty_type === type);
+            if (members.length === 0) return;
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            members.forEach(cp => {
+                const option = document.createElement('option');
+                option.value = cp.id;
+                option.textContent = cp.name;
+                option.dataset.terms = cp.payment_terms_days !== null ? cp.payment_terms_days : '';
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
+        });
+
+        if (currentValue) {
+            select.value = currentValue;
+        }
+    },
+
+    /**
+     * Populate the journal counterparty filter
+     * @param {Array} counterparties - Array of counterparty objects
+     */
+    populateFilterCounterparties(counterparties) {
+        const select = document.getElementById('filterCounterparty');
+        const currentValue = select.value;
+
+        select.innerHTML = `
+            <option value="">All Customers/Vendors</option>
+            <option value="none">No Customer/Vendor</option>
+        `;
+        counterparties.forEach(cp => {
+            const option = document.createElement('option');
+            option.value = cp.id;
+            option.textContent = cp.name;
+            select.appendChild(option);
+        });
+
+        if (currentValue) {
+            select.value = currentValue;
+        }
+    },
+
+    /**
+     * Render the customers & vendors list with open AR/AP balances
+     * @param {Array} balances - Rows from Database.getCounterpartyBalancesAsOf()
+     */
+    renderCounterpartiesList(balances) {
+        const container = document.getElementById('counterpartiesList');
+
+        if (balances.length === 0) {
+            container.innerHTML = '<p class="empty-state">No customers or vendors yet.</p>';
+            return;
+        }
+
+        const typeLabels = { customer: 'Customer', vendor: 'Vendor', both: 'Customer & Vendor' };
+        const totalReceivable = balances.reduce((sum, cp) => sum + cp.receivable, 0);
+        const totalPayable = balances.reduce((sum, cp) => sum + cp.payable, 0);
+
+        container.innerHTML = balances.map(cp => {
+            const balanceParts = [];
+            if (cp.receivable) balanceParts.push(`<span class="amount-receivable">Owes you ${Utils.formatCurrency(cp.receivable)}</span>`);
+            if (cp.payable) balanceParts.push(`<span class="amount-payable">You owe ${Utils.formatCurrency(cp.payable)}</span>`);
+            if (balanceParts.length === 0) balanceParts.push('No open balance');
+
+            return `
+                <div class="category-item" data-id="${cp.id}">
+                    <div class="category-info">
+                        <span class="category-name">${Utils.escapeHtml(cp.name)} <span class="category-badge default-type">${typeLabels[cp.counterparty_type] || ''}</span></span>
+                        <span class="category-meta">
+                            ${balanceParts.join(' &middot; ')} &middot;
+                            ${cp.transaction_count} transaction${cp.transaction_count !== 1 ? 's' : ''}
+                        </span>
+                    </div>
+                    <div class="category-actions">
+                        <button class="btn btn-small view-counterparty-btn" data-id="${cp.id}" title="Show in Journal">Journal</button>
+                        <button class="btn-icon always-visible edit-counterparty-btn" data-id="${cp.id}" title="Edit">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                            </svg>
+                        </button>
+                        <button class="btn-icon always-visible delete-counterparty-btn" data-id="${cp.id}" title="Delete"
+                                ${cp.transaction_count > 0 ? 'disabled style="opacity:0.3;cursor:not-allowed;"' : ''}>
+                            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                                <polyline points="3 6 5 6 21 6"></polyline>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('') + `
+            <div class="counterparty-totals">
+                Total receivable: <strong>${Utils.formatCurrency(totalReceivable)}</strong> &middot;
+                Total payable: <strong>${Utils.formatCurrency(totalPayable)}</strong>
+            </div>
+        `;
+    },
+
+    // ==================== CASH ACCOUNTS ====================
+
+    CASH_ACCOUNT_TYPE_LABELS: {
+        checking: 'Checking',
+        savings: 'Savings',
+        credit_card: 'Credit Card',
+        petty_cash: 'Petty Cash'
+    },
+
+    /**
+     * Fill every cash account picker. The entry, payment, bank import and reconcile pickers
+     * default to the first (default) account; the Cash Flow filter also offers all accounts.
+     * @param {Array} accounts - Cash account objects from Database.getCashAccounts()
+     */
+    populateCashAccountDropdowns(accounts) {
+        const options = accounts.map(a =>
+            `<option value="${a.id}">${Utils.escapeHtml(a.name)}</option>`).join('');
+        ['cashAccount', 'promptCashAccount', 'paymentCashAccount', 'bankImportCashAccount',
+         'reconcileCashAccount', 'transferFromAccount', 'transferToAccount', 'cfCashAccount'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const currentValue = select.value;
+            select.innerHTML = (id === 'cfCashAccount' ? '<option value="">All Accounts</option>' : '') + options;
+            if (currentValue && accounts.some(a => String(a.id) === currentValue)) {
+                select.value = currentValue;
+            }
+        });
+    },
+
+    /**
+     * Fill the entry form's sales tax rate picker. Inactive rates stay selectable
+     * programmatically (for entries already taxed at them) but are hidden from the list.
+     * @param {Array} rates - Rate objects from Database.getSalesTaxRates()
+     */
+    populateSalesTaxRateDropdown(rates) {
+        const select = document.getElementById('salesTaxRate');
+        if (!select) return;
+        const currentValue = select.value;
+        select.innerHTML = '<option value="">No tax rate</option>' + rates.map(r =>
+            `<option value="${r.id}" data-rate="${r.rate}"${r.is_active ? '' : ' hidden'}>${Utils.escapeHtml(r.name)} (${r.rate}%)</option>`
+        ).join('');
+        if (currentValue && rates.some(r => String(r.id) === currentValue)) {
+            select.value = currentValue;
+        }
+    },
+
+    /**
+     * Show the tax rate picker where tax is recorded: on receivables with a pretax amount
+     * (split or not), and on entries in a sales tax category (remittances).
+     */
+    updateSalesTaxRateVisibility() {
+        const group = document.getElementById('salesTaxRateGroup');
+        if (!group) return;
+        const category = document.getElementById('category');
+        const option = category.options[category.selectedIndex];
+        const isSplit = document.getElementById('splitToggle').checked;
+        const pretaxShown = document.getElementById('pretaxAmountGroup').style.display !== 'none';
+        const isSalesTaxCategory = !!option && option.dataset.isSalesTax === '1';
+        const visible = pretaxShown || (!isSplit && isSalesTaxCategory);
+        group.style.display = visible ? 'flex' : 'none';
+        if (!visible) document.getElementById('salesTaxRate').value = '';
+    },
+
+    /**
+     * Fill in the amount from the pretax amount and the chosen tax rate
+     */
+    applySalesTaxRate() {
+        const select = document.getElementById('salesTaxRate');
+        const option = select.options[select.selectedIndex];
+        const pretax = Utils.parseAmount(document.getElementById('pretaxAmount').value);
+        if (!option || !option.value || !pretax || document.getElementById('pretaxAmountGroup').style.display === 'none') return;
+        const tax = Utils.computeSalesTax(pretax, parseFloat(option.dataset.rate));
+        document.getElementById('amount').value = (Math.round((pretax + tax) * 100) / 100).toFixed(2);
+    },
+
+    /**
+     * Render the cash accounts list with each account's balance
+     * @param {Array} accounts - Rows from Database.getCashBalancesByAccount() with usage_count
+     * @param {string} asOfMonth - Month the balances are as of (YYYY-MM)
+     */
+    renderCashAccountsList(accounts, asOfMonth) {
+        const container = document.getElementById('cashAccountsList');
+        const total = accounts.reduce((sum, a) => sum + a.balance, 0);
+
+        container.innerHTML = accounts.map(a => {
+            const locked = a.usage_count > 0 || accounts.length <= 1;
+            return `
+                <div class="category-item" data-id="${a.id}">
+                    <div class="category-info">
+                        <span class="category-name">${Utils.escapeHtml(a.name)} <span class="category-badge default-type">${this.CASH_ACCOUNT_TYPE_LABELS[a.account_type] || ''}</span></span>
+                        <span class="category-meta">
+                            <span class="${a.balance < 0 ? 'amount-payable' : 'amount-receivable'}">${Utils.formatCurrency(a.balance)}</span>
+                            ${a.notes ? ` &middot; ${Utils.escapeHtml(a.notes)}` : ''}
+                        </span>
+                    </div>
+                    <div class="category-actions">
+                        <button class="btn-icon always-visible edit-cash-account-btn" data-id="${a.id}" title="Edit">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                            </svg>
+                        </button>
+                        <button class="btn-icon always-visible delete-cash-account-btn" data-id="${a.id}" title="Delete"
+                                ${locked ? 'disabled style="opacity:0.3;cursor:not-allowed;"' : ''}>
+                            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                                <polyline points="3 6 5 6 21 6"></polyline>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('') + `
+            <div class="counterparty-totals">
+                Total cash as of ${Utils.formatMonthShort(asOfMonth)}: <strong>${Utils.formatCurrency(total)}</strong>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the transfers between cash accounts
+     * @param {Array} transfers - Rows from Database.getCashTransfers()
+     */
+    renderCashTransfersList(transfers) {
+        const container = document.getElementById('cashTransfersList');
+
+        if (transfers.length === 0) {
+            container.innerHTML = '<p class="empty-state">No transfers yet.</p>';
+            return;
+        }
+
+        container.innerHTML = transfers.map(t => {
+            const reconciled = t.from_reconciliation_id || t.to_reconciliation_id;
+            return `
+                <div class="category-item" data-id="${t.id}">
+                    <div class="category-info">
+                        <span class="category-name">${Utils.escapeHtml(t.from_account_name || '')} &rarr; ${Utils.escapeHtml(t.to_account_name || '')}</span>
+                        <span class="category-meta">
+                            ${Utils.formatDate(t.transfer_date)} &middot; <strong>${Utils.formatCurrency(t.amount)}</strong>
+                            ${t.notes ? ` &middot; ${Utils.escapeHtml(t.notes)}` : ''}
+                            ${reconciled ? ' &middot; Reconciled' : ''}
+                        </span>
+                    </div>
+                    <div class="category-actions">
+                        <button class="btn-icon always-visible edit-cash-transfer-btn" data-id="${t.id}" title="Edit"
+                                ${reconciled ? 'disabled style="opacity:0.3;cursor:not-allowed;"' : ''}>
+                            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                            </svg>
+                        </button>
+                        <button class="btn-icon always-visible delete-cash-transfer-btn" data-id="${t.id}" title="Delete"
+                                ${reconciled ? 'disabled style="opacity:0.3;cursor:not-allowed;"' : ''}>
+                            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                                <polyline points="3 6 5 6 21 6"></polyline>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // ==================== RECURRING TEMPLATES ====================
+
+    /**
+     * Render the recurring templates list
+     * @param {Array} templates - Rows from Database.getRecurringTemplates()
+     */
+    renderRecurringTemplatesList(templates) {
+        const container = document.getElementById('recurringTemplatesList');
+
+        if (templates.length === 0) {
+            container.innerHTML = '<p class="empty-state">No recurring entries yet.</p>';
+            return;
+        }
+
+        const frequencyLabels = { weekly: 'Weekly', monthly: 'Monthly', quarterly: 'Quarterly', annually: 'Annually' };
+
+        container.innerHTML = templates.map(rt => {
+            let ends = 'no end date';
+            if (rt.end_date) ends = `until ${Utils.formatDate(rt.end_date)}`;
+            else if (rt.occurrence_count) ends = `${rt.occurrence_count} time${rt.occurrence_count !== 1 ? 's' : ''}`;
+
+            return `
+                <div class="category-item${rt.is_active ? '' : ' recurring-inactive'}" data-id="${rt.id}">
+                    <div class="category-info">
+                        <span class="category-name">
+                            ${Utils.escapeHtml(rt.name)}
+                            <span class="category-badge default-type">${frequencyLabels[rt.frequency] || rt.frequency}</span>
+                            ${rt.is_active ? '' : '<span class="category-badge">Paused</span>'}
+                        </span>
+                        <span class="category-meta">
+                            <span class="amount-${rt.transaction_type}">${Utils.formatCurrency(rt.amount)}</span> &middot;
+                            ${Utils.escapeHtml(rt.category_name || 'No category')}${rt.counterparty_name ? ` &middot; ${Utils.escapeHtml(rt.counterparty_name)}` : ''} &middot;
+                            from ${Utils.formatDate(rt.start_date)}, ${ends} &middot;
+                            ${rt.generated_count} generated
+                        </span>
+                    </div>
+                    <div class="category-actions">
+                        <button class="btn btn-small regenerate-recurring-btn" data-id="${rt.id}" title="Rebuild pending entries from the current settings">Regenerate</button>
+                        <button class="btn-icon always-visible edit-recurring-btn" data-id="${rt.id}" title="Edit">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                            </svg>
+                        </button>
+                        <button class="btn-icon always-visible delete-recurring-btn" data-id="${rt.id}" title="Delete">
+                            <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                                <polyline points="3 6 5 6 21 6"></polyline>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
     /**
      * Render the cash flow spreadsheet table (categories as rows, months as columns)
      * @param {Object} spreadsheetData - { months: string[], data: Object[] } from getCashFlowSpreadsheet()
      * @param {Object} [cfOverrides] - Map of "categoryId-month" => override_amount
      * @param {string} [currentMonth] - Current month YYYY-MM (for projection styling)
+     *
+     * When spreadsheetData carries a cashAccount the view is limited to that account:
+     * transfers in and out get their own rows and nothing is editable.
      */
     renderCashFlowSpreadsheet(spreadsheetData, cfOverrides, currentMonth, projectedSales) {
         const container = document.getElementById('cashflowSpreadsheet');
         let { months, data } = spreadsheetData;
+        const transfers = spreadsheetData.transfers || null;
+        const accountView = !!spreadsheetData.cashAccount;
         cfOverrides = cfOverrides || {};
 
         // Merge projected sales months into timeline (fills gaps like missing current month)
@@ -734,13 +1541,19 @@ const UI = {
             });
         }
 
+        // Net transfers between the business's own accounts (single-account view only)
+        const transferIn = (m) => (transfers && transfers[m] && transfers[m].in) || 0;
+        const transferOut = (m) => (transfers && transfers[m] && transfers[m].out) || 0;
+        const monthNet = (m) => monthReceipts[m] - monthPayments[m] + transferIn(m) - transferOut(m);
+
         // Calculate running beginning balance (ending balance of previous month)
         const beginningBalance = {};
         let runningBalance = 0;
         months.forEach(m => {
             beginningBalance[m] = runningBalance;
-            runningBalance += monthReceipts[m] - monthPayments[m];
+            runningBalance += monthNet(m);
         });
+        const endingBalance = (m) => beginningBalance[m] + monthNet(m);
 
         let html = '<table class="cashflow-table"><thead><tr>';
         html += '<th></th>';
@@ -789,7 +1602,7 @@ const UI = {
                     rowTotal += amt;
                     const overClass = isCFOverridden(catId, m) ? ' pnl-overridden' : '';
                     const projClass = isFuture(m) && !isCFOverridden(catId, m) ? ' cashflow-projected' : '';
-                    const editClass = isFuture(m) ? ' cf-editable' : '';
+                    const editClass = isFuture(m) && !accountView ? ' cf-editable' : '';
                     html += `<td class="amount-receivable${overClass}${projClass}${editClass}" data-cat-id="${catId}" data-month="${m}">${amt ? fmtAmt(amt) : ''}</td>`;
                 }
             });
@@ -866,7 +1679,7 @@ const UI = {
                 rowTotal += amt;
                 const overClass = isCFOverridden(catId, m) ? ' pnl-overridden' : '';
                 const projClass = isFuture(m) && !isCFOverridden(catId, m) ? ' cashflow-projected' : '';
-                const editClass = isFuture(m) ? ' cf-editable' : '';
+                const editClass = isFuture(m) && !accountView ? ' cf-editable' : '';
                 html += `<td class="amount-payable${overClass}${projClass}${editClass}" data-cat-id="${catId}" data-month="${m}">${amt ? fmtAmt(amt) : ''}</td>`;
             });
             html += `<td class="amount-payable">${fmtAmt(rowTotal)}</td></tr>`;
@@ -887,23 +1700,39 @@ const UI = {
         });
         html += `<td class="amount-payable">${fmtAmt(totalAllPayments)}</td></tr>`;
 
+        // Transfers between the business's own accounts
+        let totalTransfers = 0;
+        if (transfers) {
+            html += '<tr class="cashflow-section-header"><td colspan="' + (months.length + 2) + '">Transfers</td></tr>';
+            [['Transfers In', transferIn, 'amount-receivable', 1], ['Transfers Out', transferOut, 'amount-payable', -1]].forEach(([label, getAmt, amtClass, sign]) => {
+                let rowTotal = 0;
+                html += `<tr><td class="cashflow-indent">${label}</td>`;
+                months.forEach(m => {
+                    const amt = getAmt(m);
+                    rowTotal += amt;
+                    html += `<td class="${amtClass}">${amt ? fmtAmt(amt) : ''}</td>`;
+                });
+                totalTransfers += sign * rowTotal;
+                html += `<td class="${amtClass}">${fmtAmt(rowTotal)}</td></tr>`;
+            });
+        }
+
         // Ending Cash Balance total row
         html += '<tr class="cashflow-total"><td>Ending Cash Balance</td>';
         months.forEach(m => {
-            const ending = beginningBalance[m] + monthReceipts[m] - monthPayments[m];
-            html += `<td>${fmtAmt(ending)}</td>`;
+            html += `<td>${fmtAmt(endingBalance(m))}</td>`;
         });
-        const netTotal = totalAllReceipts - totalAllPayments;
+        const netTotal = totalAllReceipts - totalAllPayments + totalTransfers;
         html += `<td>${fmtAmt(netTotal)}</td></tr>`;
 
         // Net Cash Inflow (Outflow) row
         html += '<tr class="cashflow-subtotal"><td>Net Cash Inflow (Outflow)</td>';
         months.forEach(m => {
-            const netCash = monthReceipts[m] - monthPayments[m];
+            const netCash = monthNet(m);
             const colorClass = netCash >= 0 ? 'amount-receivable' : 'amount-payable';
             html += `<td class="${colorClass}">${fmtAmt(netCash)}</td>`;
         });
-        const totalNetCash = totalAllReceipts - totalAllPayments;
+        const totalNetCash = netTotal;
         const totalNetClass = totalNetCash >= 0 ? 'amount-receivable' : 'amount-payable';
         html += `<td class="${totalNetClass}">${fmtAmt(totalNetCash)}</td></tr>`;
 
@@ -922,13 +1751,11 @@ const UI = {
             const startingCash = beginningBalance[months[0]] || 0;
 
             // Actuals ending cash (ending balance of last actual month)
-            const actualsEndingCash = lastActualMonth
-                ? (beginningBalance[lastActualMonth] + monthReceipts[lastActualMonth] - monthPayments[lastActualMonth])
-                : startingCash;
+            const actualsEndingCash = lastActualMonth ? endingBalance(lastActualMonth) : startingCash;
 
             // Projected ending cash (ending balance of last month)
             const lastMonth = months[months.length - 1];
-            const projectedEndingCash = beginningBalance[lastMonth] + monthReceipts[lastMonth] - monthPayments[lastMonth];
+            const projectedEndingCash = endingBalance(lastMonth);
 
             // Actuals total change
             const actualsChange = actualsEndingCash - startingCash;
@@ -945,8 +1772,8 @@ const UI = {
             // Build monthly cards
             let summaryHtml = '<div class="cashflow-summary-months">';
             months.forEach(m => {
-                const net = monthReceipts[m] - monthPayments[m];
-                const ending = beginningBalance[m] + monthReceipts[m] - monthPayments[m];
+                const net = monthNet(m);
+                const ending = endingBalance(m);
                 const future = isFuture(m);
                 const netClass = net >= 0 ? 'cf-net-positive' : 'cf-net-negative';
                 const prefix = net >= 0 ? '+' : '';
@@ -1010,7 +1837,7 @@ const UI = {
      */
     renderProfitLossSpreadsheet(plData, overrides, taxMode, currentMonth, projectedSales) {
         const container = document.getElementById('pnlSpreadsheet');
-        let { months, revenue, cogs, opex, depreciation, assetDeprByMonth, loanInterestByMonth } = plData;
+        let { months, revenue, cogs, opex, depreciation, assetDeprByMonth, inventoryCogsByMonth, loanInterestByMonth } = plData;
 
         // Merge projected sales months into timeline (fills gaps like missing current month)
         if (projectedSales && projectedSales.enabled && projectedSales.byMonth) {
@@ -1216,6 +2043,19 @@ const UI = {
             html += `<td>${fmtAmt(rowTotal)}</td></tr>`;
         });
 
+        // Computed: cost of units sold from the Inventory tab
+        if (inventoryCogsByMonth && Object.keys(inventoryCogsByMonth).length > 0) {
+            let rowTotal = 0;
+            html += '<tr class="pnl-indent pnl-computed-row"><td>Inventory Sold</td>';
+            months.forEach(m => {
+                const val = inventoryCogsByMonth[m] || 0;
+                monthCogs[m] += val;
+                rowTotal += val;
+                html += `<td>${fmtAmt(val)}</td>`;
+            });
+            html += `<td>${fmtAmt(rowTotal)}</td></tr>`;
+        }
+
         // Total COGS
         let totalCogs = 0;
         html += '<tr class="pnl-subtotal"><td>Total Cost of Goods Sold</td>';
@@ -1268,12 +2108,12 @@ const UI = {
             html += `<td>${fmtAmt(rowTotal)}</td></tr>`;
         });
 
-        // Depreciation rows (manual input only — values come from pl_overrides)
+        // Depreciation rows (posted entries, or the pl_overrides typed over them)
         depreciation.forEach(cat => {
             let rowTotal = 0;
             html += `<tr class="pnl-indent"><td>${Utils.escapeHtml(cat.category_name)}</td>`;
             months.forEach(m => {
-                const val = getVal(cat.category_id, m, 0);
+                const val = getVal(cat.category_id, m, cat.months[m] || 0);
                 monthOpex[m] += val;
                 rowTotal += val;
                 const overriddenClass = isOverridden(cat.category_id, m) ? ' pnl-overridden' : '';
@@ -1410,15 +2250,29 @@ const UI = {
         // Current Assets
         html += '<tr class="bs-subsection"><td colspan="2">Current Assets</td></tr>';
         html += `<tr class="bs-indent"><td>Cash</td><td>${fmtAmt(data.cash)}</td></tr>`;
+        // One line per account once there is more than one; a credit card shows what it owes as a negative
+        if (data.cashByAccount && data.cashByAccount.length > 1) {
+            data.cashByAccount.forEach(acct => {
+                html += `<tr class="bs-detail-indent"><td>${Utils.escapeHtml(acct.name)}</td><td>${fmtAmt(acct.balance)}</td></tr>`;
+            });
+        }
         html += `<tr class="bs-indent"><td>Accounts Receivable</td><td>${fmtAmt(data.ar)}</td></tr>`;
         if (data.arByCategory && data.arByCategory.length > 0) {
             data.arByCategory.forEach(cat => {
                 html += `<tr class="bs-detail-indent"><td>${Utils.escapeHtml(cat.category_name)}</td><td>${fmtAmt(cat.total)}</td></tr>`;
             });
         }
+        if (data.inventory) {
+            html += `<tr class="bs-indent"><td>Inventory</td><td>${fmtAmt(data.inventory)}</td></tr>`;
+            (data.inventoryByProduct || []).forEach(product => {
+                html += `<tr class="bs-detail-indent"><td>${Utils.escapeHtml(product.name)}</td><td>${fmtAmt(product.on_hand_value)}</td></tr>`;
+            });
+        }
+        (data.otherCurrentAssets || []).forEach(acct => {
+            html += `<tr class="bs-indent"><td>${Utils.escapeHtml(acct.name)}</td><td>${fmtAmt(acct.balance)}</td></tr>`;
+        });
 
-        const totalCurrentAssets = data.cash + data.ar;
-        html += `<tr class="bs-subtotal"><td>Total Current Assets</td><td>${fmtAmt(totalCurrentAssets)}</td></tr>`;
+        html += `<tr class="bs-subtotal"><td>Total Current Assets</td><td>${fmtAmt(data.totalCurrentAssets)}</td></tr>`;
 
         // Fixed Assets
         html += '<tr class="bs-subsection"><td colspan="2">Fixed Assets</td></tr>';
@@ -1452,9 +2306,17 @@ const UI = {
             });
         }
         html += `<tr class="bs-indent"><td>Sales Tax Payable</td><td>${fmtAmt(data.salesTaxPayable)}</td></tr>`;
+        // Per-rate detail once any tax has been recorded against a named rate
+        if ((data.salesTaxByRate || []).some(rate => rate.id !== null)) {
+            data.salesTaxByRate.forEach(rate => {
+                html += `<tr class="bs-detail-indent"><td>${Utils.escapeHtml(rate.name)}</td><td>${fmtAmt(rate.balance)}</td></tr>`;
+            });
+        }
+        (data.otherCurrentLiabilities || []).forEach(acct => {
+            html += `<tr class="bs-indent"><td>${Utils.escapeHtml(acct.name)}</td><td>${fmtAmt(acct.balance)}</td></tr>`;
+        });
 
-        const totalCurrentLiabilities = data.ap + data.salesTaxPayable;
-        html += `<tr class="bs-subtotal"><td>Total Current Liabilities</td><td>${fmtAmt(totalCurrentLiabilities)}</td></tr>`;
+        html += `<tr class="bs-subtotal"><td>Total Current Liabilities</td><td>${fmtAmt(data.totalCurrentLiabilities)}</td></tr>`;
 
         // Long-Term Liabilities
         if (data.loanDetails && data.loanDetails.length > 0) {
@@ -1478,6 +2340,9 @@ const UI = {
         html += '<tr class="bs-section-header"><td colspan="2">Stockholders\' Equity</td></tr>';
         html += `<tr class="bs-indent"><td>Common Stock</td><td>${fmtAmt(data.commonStock)}</td></tr>`;
         html += `<tr class="bs-indent"><td>Additional Paid-In Capital</td><td>${fmtAmt(data.apic)}</td></tr>`;
+        (data.otherEquity || []).forEach(acct => {
+            html += `<tr class="bs-indent"><td>${Utils.escapeHtml(acct.name)}</td><td>${fmtAmt(acct.balance)}</td></tr>`;
+        });
         html += `<tr class="bs-indent"><td>Retained Earnings</td><td>${fmtAmt(data.retainedEarnings)}</td></tr>`;
         html += `<tr class="bs-subtotal"><td>Total Stockholders' Equity</td><td>${fmtAmt(data.totalEquity)}</td></tr>`;
 
@@ -1514,8 +2379,9 @@ const UI = {
         const totalEquity = data.totalEquity || 0;
         const totalAssets = data.totalAssets || 0;
         const totalLiabilities = data.totalLiabilities || 0;
-        const currentAssets = (data.cash || 0) + (data.ar || 0);
-        const currentLiabilities = (data.ap || 0) + (data.salesTaxPayable || 0);
+        const currentAssets = data.totalCurrentAssets || 0;
+        const currentLiabilities = data.totalCurrentLiabilities || 0;
+        const inventory = data.inventory || 0;
 
         const fmtPct = (num, den) => {
             if (!den || den === 0) return '<span class="ratio-na">N/A</span>';
@@ -1574,6 +2440,11 @@ const UI = {
         const liqCls = currentLiabilities > 0
             ? ((currentAssets / currentLiabilities) >= 1 ? ' ratio-positive' : ' ratio-negative')
             : '';
+        const quickAssets = currentAssets - inventory;
+        const quickVal = currentLiabilities > 0 ? fmtX(quickAssets, currentLiabilities) : '<span class="ratio-na">N/A</span>';
+        const quickCls = currentLiabilities > 0
+            ? ((quickAssets / currentLiabilities) >= 1 ? ' ratio-positive' : ' ratio-negative')
+            : '';
 
         html += `
         <div class="bs-ratios-group">
@@ -1586,8 +2457,8 @@ const UI = {
                 </div>
                 <div class="bs-ratio-card">
                     <span class="bs-ratio-label">Quick Ratio</span>
-                    <span class="bs-ratio-value${liqCls}">${liqVal}</span>
-                    <span class="bs-ratio-formula">Same as Current Ratio (no inventory tracked)</span>
+                    <span class="bs-ratio-value${quickCls}">${quickVal}</span>
+                    <span class="bs-ratio-formula">(Current Assets - Inventory) / Current Liabilities</span>
                 </div>
             </div>
         </div>`;
@@ -1632,104 +2503,580 @@ const UI = {
         container.innerHTML = html;
     },
 
+    /**
+     * Render the AR/AP aging report table
+     * @param {Object} report - Result of Database.getAgingReport()
+     * @param {string} type - 'receivable' or 'payable'
+     * @param {string} groupBy - 'category' or 'counterparty'
+     */
+    renderAgingReport(report, type, groupBy) {
+        const container = document.getElementById('agingContent');
+        const noun = type === 'payable' ? 'payables' : 'receivables';
+
+        if (report.rows.length === 0) {
+            container.innerHTML = `<p class="empty-state">No open ${noun} as of this month.</p>`;
+            return;
+        }
+
+        const amountCell = (v) => `<td>${v ? Utils.formatCurrency(v) : '-'}</td>`;
+        let html = '<table class="aging-table"><thead><tr>';
+        html += `<th>${groupBy === 'counterparty' ? 'Customer/Vendor' : 'Category'}</th>`;
+        report.buckets.forEach(label => { html += `<th>${label}</th>`; });
+        html += '<th>Total</th></tr></thead><tbody>';
+
+        report.rows.forEach(row => {
+            html += `<tr><td>${Utils.escapeHtml(row.name)}</td>`;
+            row.amounts.forEach(v => { html += amountCell(v); });
+            html += `<td class="aging-row-total">${Utils.formatCurrency(row.total)}</td></tr>`;
+        });
+
+        html += '</tbody><tfoot><tr><td>Total</td>';
+        report.totals.forEach(v => { html += amountCell(v); });
+        html += `<td>${Utils.formatCurrency(report.total)}</td></tr>`;
+
+        // Share of the total in each bucket
+        html += '<tr class="aging-percent-row"><td>% of total</td>';
+        report.totals.forEach(v => {
+            html += `<td>${report.total ? Math.round(v / report.total * 1000) / 10 : 0}%</td>`;
+        });
+        html += '<td></td></tr></tfoot></table>';
+
+        container.innerHTML = html;
+    },
+
+    /**
+     * Generate CSV for an aging report
+     * @param {Object} report - Result of Database.getAgingReport()
+     * @param {string} groupBy - 'category' or 'counterparty'
+     * @returns {string} CSV string
+     */
+    generateAgingCsv(report, groupBy) {
+        const escapeCsvField = (val) => {
+            const str = String(val);
+            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+                return '"' + str.replace(/"/g, '""') + '"';
+            }
+            return str;
+        };
+        const headers = [groupBy === 'counterparty' ? 'Customer/Vendor' : 'Category', ...report.buckets, 'Total'];
+        const rows = report.rows.map(row => [row.name, ...row.amounts, row.total]);
+        rows.push(['Total', ...report.totals, report.total]);
+        return [headers, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\n');
+    },
+
+    /**
+     * Render the sales tax return for a filing period. Rows can be clicked to show that
+     * rate's liability ledger underneath.
+     * @param {Object} report - Result of Database.getSalesTaxReturn()
+     * @param {string} periodLabel - e.g. 'Q1 2026'
+     * @param {string|null} selectedKey - Selected row ('' for no rate, rate ID as a string), or null
+     */
+    renderSalesTaxReturn(report, periodLabel, selectedKey) {
+        const container = document.getElementById('salesTaxReturnContent');
+        if (report.rows.length === 0) {
+            container.innerHTML = `<p class="empty-state">No sales tax collected or remitted in ${Utils.escapeHtml(periodLabel)}.</p>`;
+            return;
+        }
+
+        const amountCell = (v) => `<td>${v ? Utils.formatCurrency(v) : '-'}</td>`;
+        let html = '<table class="aging-table sales-tax-table"><thead><tr>';
+        html += '<th>Tax Rate</th><th>Jurisdiction</th><th>Rate</th><th>Opening</th><th>Taxable Sales</th>';
+        html += '<th>Tax Collected</th><th>Tax Remitted</th><th>Balance Due</th></tr></thead><tbody>';
+
+        report.rows.forEach(row => {
+            const key = row.id === null ? '' : String(row.id);
+            html += `<tr class="sales-tax-row${key === selectedKey ? ' row-selected' : ''}" data-rate-id="${key}">`;
+            html += `<td>${Utils.escapeHtml(row.name)}</td>`;
+            html += `<td>${row.jurisdiction ? Utils.escapeHtml(row.jurisdiction) : '-'}</td>`;
+            html += `<td>${row.rate !== null ? `${row.rate}%` : '-'}</td>`;
+            html += amountCell(row.opening_balance) + amountCell(row.taxable_sales)
+                + amountCell(row.tax_collected) + amountCell(row.tax_remitted);
+            html += `<td class="aging-row-total">${Utils.formatCurrency(row.closing_balance)}</td></tr>`;
+        });
+
+        const t = report.totals;
+        html += '</tbody><tfoot><tr><td>Total</td><td></td><td></td>';
+        html += amountCell(t.opening_balance) + amountCell(t.taxable_sales) + amountCell(t.tax_collected) + amountCell(t.tax_remitted);
+        html += `<td>${Utils.formatCurrency(t.closing_balance)}</td></tr></tfoot></table>`;
+
+        container.innerHTML = html;
+    },
+
+    /**
+     * Render one rate's Sales Tax Payable ledger for the period
+     * @param {Object|null} ledger - Result of Database.getSalesTaxLedger(), or null to clear
+     * @param {string} rateName - Name shown in the heading
+     */
+    renderSalesTaxLedger(ledger, rateName) {
+        const container = document.getElementById('salesTaxLedgerContent');
+        if (!ledger) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const amountCell = (v) => `<td>${v ? Utils.formatCurrency(v) : '-'}</td>`;
+        let html = `<h4 class="import-section-title">${Utils.escapeHtml(rateName)} &middot; Liability Ledger</h4>`;
+        html += '<table class="aging-table"><thead><tr>';
+        html += '<th>Month</th><th>Entry</th><th>Collected</th><th>Remitted</th><th>Balance</th></tr></thead><tbody>';
+        html += `<tr><td>Opening balance</td><td></td><td></td><td></td><td>${Utils.formatCurrency(ledger.opening_balance)}</td></tr>`;
+        ledger.lines.forEach(line => {
+            const entry = line.entry_date
+                ? `${Utils.formatDate(line.entry_date)} &middot; ${Utils.escapeHtml(line.memo || '')}`
+                : Utils.escapeHtml(line.memo || '');
+            html += `<tr><td>${Utils.formatMonthShort(line.month)}</td><td>${entry}</td>`;
+            html += amountCell(line.collected) + amountCell(line.remitted);
+            html += `<td>${Utils.formatCurrency(line.balance)}</td></tr>`;
+        });
+        html += `</tbody><tfoot><tr><td>Closing balance</td><td></td><td></td><td></td><td>${Utils.formatCurrency(ledger.closing_balance)}</td></tr></tfoot></table>`;
+
+        container.innerHTML = html;
+    },
+
+    /**
+     * Render the tax rates list on the Sales Tax tab
+     * @param {Array} rates - Rate objects from Database.getSalesTaxRates()
+     */
+    renderSalesTaxRatesList(rates) {
+        const container = document.getElementById('salesTaxRatesList');
+        if (rates.length === 0) {
+            container.innerHTML = '<p class="empty-state">No tax rates yet. Click "+ Tax Rate" to add the rates you collect.</p>';
+            return;
+        }
+
+        container.innerHTML = rates.map(r => `
+            <div class="category-item" data-id="${r.id}">
+                <div class="category-info">
+                    <span class="category-name">${Utils.escapeHtml(r.name)} <span class="category-badge default-type">${r.rate}%</span>${r.is_active ? '' : ' <span class="category-badge">Inactive</span>'}</span>
+                    <span class="category-meta">
+                        ${r.jurisdiction ? Utils.escapeHtml(r.jurisdiction) : 'No jurisdiction'}
+                        &middot; ${r.usage_count} ${r.usage_count === 1 ? 'entry' : 'entries'}
+                        ${r.notes ? ` &middot; ${Utils.escapeHtml(r.notes)}` : ''}
+                    </span>
+                </div>
+                <div class="category-actions">
+                    <button class="btn-icon always-visible edit-sales-tax-rate-btn" data-id="${r.id}" title="Edit">
+                        <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                        </svg>
+                    </button>
+                    <button class="btn-icon always-visible delete-sales-tax-rate-btn" data-id="${r.id}" title="Delete"
+                            ${r.usage_count > 0 ? 'disabled style="opacity:0.3;cursor:not-allowed;"' : ''}>
+                        <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Generate CSV for a sales tax return
+     * @param {Object} report - Result of Database.getSalesTaxReturn()
+     * @returns {string} CSV string
+     */
+    generateSalesTaxCsv(report) {
+        const escapeCsvField = (val) => {
+            const str = String(val === null || val === undefined ? '' : val);
+            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+                return '"' + str.replace(/"/g, '""') + '"';
+            }
+            return str;
+        };
+        const headers = ['Tax Rate', 'Jurisdiction', 'Rate %', 'Opening Balance', 'Taxable Sales',
+            'Tax Collected', 'Tax Remitted', 'Balance Due'];
+        const rows = report.rows.map(row => [row.name, row.jurisdiction, row.rate, row.opening_balance,
+            row.taxable_sales, row.tax_collected, row.tax_remitted, row.closing_balance]);
+        const t = report.totals;
+        rows.push(['Total', '', '', t.opening_balance, t.taxable_sales, t.tax_collected, t.tax_remitted, t.closing_balance]);
+        return [headers, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\n');
+    },
+
     /**
      * Render the Fixed Assets tab with list/detail layout
      * @param {Array} assets - Array of asset objects
      * @param {number|null} selectedAssetId - Currently selected asset ID
      */
-    renderFixedAssetsTab(assets, selectedAssetId) {
+    renderFixedAssetsTab(assets, selectedAssetId) {
+        const fmtAmt = (amt) => Utils.formatCurrency(amt);
+
+        // Summary cards
+        let totalCost = 0, totalAccumDepr = 0;
+        assets.forEach(asset => {
+            totalCost += asset.purchase_cost;
+            const schedule = Utils.computeDepreciationSchedule(asset);
+            const currentMonth = Utils.getCurrentMonth();
+            let accumDepr = 0;
+            Object.entries(schedule).forEach(([m, amt]) => {
+                if (m <= currentMonth) accumDepr += amt;
+            });
+            asset._accumDepr = accumDepr;
+            asset._nbv = asset.purchase_cost - accumDepr;
+            totalAccumDepr += accumDepr;
+        });
+
+        const summaryContainer = document.getElementById('assetsSummaryCards');
+        summaryContainer.innerHTML = `
+            <div class="assets-summary-card"><span class="assets-summary-label">Total Cost</span><span class="assets-summary-value">${fmtAmt(totalCost)}</span></div>
+            <div class="assets-summary-card"><span class="assets-summary-label">Accum. Depreciation</span><span class="assets-summary-value amount-payable">${fmtAmt(totalAccumDepr)}</span></div>
+            <div class="assets-summary-card"><span class="assets-summary-label">Net Book Value</span><span class="assets-summary-value">${fmtAmt(totalCost - totalAccumDepr)}</span></div>
+        `;
+
+        // Left panel: asset list
+        const listPanel = document.getElementById('assetsListPanel');
+        if (assets.length === 0) {
+            listPanel.innerHTML = '<p class="empty-state">No fixed assets yet. Click "+ Add Asset" to begin.</p>';
+        } else {
+            listPanel.innerHTML = assets.map(asset => {
+                const selected = asset.id === selectedAssetId ? ' selected' : '';
+                const methodLabel = asset.depreciation_method === 'none' ? 'Non-depreciable'
+                    : asset.depreciation_method === 'double_declining' ? 'DDB' : 'SL';
+                return `<div class="asset-list-item${selected}" data-id="${asset.id}">
+                    <div class="asset-list-name">${Utils.escapeHtml(asset.name)}</div>
+                    <div class="asset-list-meta">${fmtAmt(asset.purchase_cost)} &middot; ${methodLabel}</div>
+                    <div class="asset-list-actions">
+                        <button class="btn-icon edit-asset-btn" data-id="${asset.id}" title="Edit">&#9998;</button>
+                        <button class="btn-icon delete-asset-btn" data-id="${asset.id}" title="Delete">&times;</button>
+                    </div>
+                </div>`;
+            }).join('');
+        }
+
+        // Right panel: selected asset detail
+        const detailPanel = document.getElementById('assetsDetailPanel');
+        const selectedAsset = assets.find(a => a.id === selectedAssetId);
+        if (!selectedAsset) {
+            detailPanel.innerHTML = '<p class="empty-state">Select an asset to view its depreciation schedule.</p>';
+            return;
+        }
+
+        const schedule = Utils.computeDepreciationSchedule(selectedAsset);
+        const scheduleEntries = Object.entries(schedule).sort((a, b) => a[0].localeCompare(b[0]));
+
+        let html = `<div class="asset-detail-header">
+            <h4>${Utils.escapeHtml(selectedAsset.name)}</h4>
+            <div class="asset-detail-meta">
+                <span>Cost: ${fmtAmt(selectedAsset.purchase_cost)}</span>
+                <span>Salvage: ${fmtAmt(selectedAsset.salvage_value || 0)}</span>
+                <span>Life: ${selectedAsset.useful_life_months} mo</span>
+                <span>Purchased: ${Utils.formatDate(selectedAsset.purchase_date)}</span>
+            </div>
+        </div>`;
+
+        if (scheduleEntries.length === 0) {
+            html += '<p class="empty-state">This asset is non-depreciable.</p>';
+        } else {
+            html += '<div class="asset-depr-table-wrapper"><table class="asset-depr-table"><thead><tr>';
+            html += '<th>Month</th><th>Depreciation</th><th>Accumulated</th><th>Net Book Value</th>';
+            html += '</tr></thead><tbody>';
+
+            let accumDepr = 0;
+            scheduleEntries.forEach(([month, depr]) => {
+                accumDepr += depr;
+                const nbv = selectedAsset.purchase_cost - accumDepr;
+                html += `<tr>
+                    <td>${Utils.formatMonthShort(month)}</td>
+                    <td>${fmtAmt(depr)}</td>
+                    <td>${fmtAmt(accumDepr)}</td>
+                    <td>${fmtAmt(nbv)}</td>
+                </tr>`;
+            });
+
+            html += '</tbody></table></div>';
+        }
+
+        if (selectedAsset.notes) {
+            html += `<div class="asset-detail-notes">Notes: ${Utils.escapeHtml(selectedAsset.notes)}</div>`;
+        }
+
+        detailPanel.innerHTML = html;
+    },
+
+    /**
+     * Render the Inventory tab with list/detail layout
+     * @param {Array} products - Products from Database.getInventorySummary()
+     * @param {number|null} selectedProductId - Currently selected product ID
+     * @param {Object|null} ledger - Database.getInventoryLedger() result for the selected product
+     */
+    renderInventoryTab(products, selectedProductId, ledger) {
+        const fmtAmt = (amt) => Utils.formatCurrency(amt);
+        const fmtQty = (qty) => String(Math.round(qty * 10000) / 10000);
+        const methodLabel = (method) => (method === 'average' ? 'Weighted avg' : 'FIFO');
+
+        // Summary cards
+        let totalValue = 0, totalCogs = 0;
+        products.forEach(p => {
+            totalValue += p.on_hand_value;
+            totalCogs += p.cogs;
+        });
+
+        const summaryContainer = document.getElementById('inventorySummaryCards');
+        summaryContainer.innerHTML = `
+            <div class="assets-summary-card"><span class="assets-summary-label">Products</span><span class="assets-summary-value">${products.length}</span></div>
+            <div class="assets-summary-card"><span class="assets-summary-label">Inventory Value</span><span class="assets-summary-value">${fmtAmt(totalValue)}</span></div>
+            <div class="assets-summary-card"><span class="assets-summary-label">Cost of Goods Sold</span><span class="assets-summary-value amount-payable">${fmtAmt(totalCogs)}</span></div>
+        `;
+
+        // Left panel: product list
+        const listPanel = document.getElementById('inventoryListPanel');
+        if (products.length === 0) {
+            listPanel.innerHTML = '<p class="empty-state">No products yet. Click "+ Add Product" to begin.</p>';
+        } else {
+            listPanel.innerHTML = products.map(p => {
+                const selected = p.id === selectedProductId ? ' selected' : '';
+                const sku = p.sku ? `${Utils.escapeHtml(p.sku)} &middot; ` : '';
+                const deleteDisabled = p.movement_count > 0 ? ' disabled title="Delete its purchases and sales first"' : ' title="Delete"';
+                return `<div class="asset-list-item${selected}" data-id="${p.id}">
+                    <div class="asset-list-name">${Utils.escapeHtml(p.name)}</div>
+                    <div class="asset-list-meta">${sku}${fmtQty(p.on_hand_quantity)} on hand &middot; ${fmtAmt(p.on_hand_value)} &middot; ${methodLabel(p.costing_method)}</div>
+                    <div class="asset-list-actions">
+                        <button class="btn-icon edit-inventory-product-btn" data-id="${p.id}" title="Edit">&#9998;</button>
+                        <button class="btn-icon delete-inventory-product-btn" data-id="${p.id}"${deleteDisabled}>&times;</button>
+                    </div>
+                </div>`;
+            }).join('');
+        }
+
+        // Right panel: selected product's purchases and sales
+        const detailPanel = document.getElementById('inventoryDetailPanel');
+        const product = products.find(p => p.id === selectedProductId);
+        if (!product || !ledger) {
+            detailPanel.innerHTML = '<p class="empty-state">Select a product to view its purchases and sales.</p>';
+            return;
+        }
+
+        let html = `<div class="asset-detail-header">
+            <h4>${Utils.escapeHtml(product.name)}</h4>
+            <div class="asset-detail-meta">
+                <span>Costing: ${methodLabel(product.costing_method)}</span>
+                <span>On hand: ${fmtQty(ledger.onHandQuantity)}</span>
+                <span>Value: ${fmtAmt(ledger.onHandValue)}</span>
+                <span>Avg. unit cost: ${fmtAmt(product.average_unit_cost)}</span>
+            </div>
+            <div class="assets-controls">
+                <button class="btn btn-secondary btn-small add-inventory-purchase-btn" data-id="${product.id}">+ Purchase</button>
+                <button class="btn btn-secondary btn-small add-inventory-sale-btn" data-id="${product.id}">+ Sale</button>
+            </div>
+        </div>`;
+
+        if (ledger.movements.length === 0) {
+            html += '<p class="empty-state">No purchases or sales yet.</p>';
+        } else {
+            html += '<div class="asset-depr-table-wrapper"><table class="asset-depr-table"><thead><tr>';
+            html += '<th>Date</th><th>Movement</th><th>Qty</th><th>Unit Cost</th><th>Cost</th><th>On Hand</th><th>Value</th><th>Notes</th><th></th>';
+            html += '</tr></thead><tbody>';
+
+            ledger.movements.forEach(m => {
+                const isPurchase = m.kind === 'purchase';
+                // FIFO lots show how much of them is still unsold
+                const remaining = isPurchase && product.costing_method === 'fifo' && ledger.remainingByLot[m.id] !== m.quantity
+                    ? ` <span class="asset-list-meta">(${fmtQty(ledger.remainingByLot[m.id] || 0)} left)</span>` : '';
+                html += `<tr>
+                    <td>${Utils.formatDate(m.date)}</td>
+                    <td>${isPurchase ? 'Purchase' : 'Sale'}${remaining}</td>
+                    <td>${isPurchase ? '' : '-'}${fmtQty(m.quantity)}</td>
+                    <td>${isPurchase ? fmtAmt(m.unit_cost) : ''}</td>
+                    <td${isPurchase ? '' : ' class="amount-payable"'}>${fmtAmt(m.cost)}</td>
+                    <td>${fmtQty(m.on_hand_quantity)}</td>
+                    <td>${fmtAmt(m.on_hand_value)}</td>
+                    <td>${m.notes ? Utils.escapeHtml(m.notes) : ''}</td>
+                    <td>
+                        <button class="btn-icon edit-inventory-movement-btn" data-kind="${m.kind}" data-id="${m.id}" title="Edit">&#9998;</button>
+                        <button class="btn-icon delete-inventory-movement-btn" data-kind="${m.kind}" data-id="${m.id}" title="Delete">&times;</button>
+                    </td>
+                </tr>`;
+            });
+
+            html += '</tbody></table></div>';
+        }
+
+        if (product.notes) {
+            html += `<div class="asset-detail-notes">Notes: ${Utils.escapeHtml(product.notes)}</div>`;
+        }
+
+        detailPanel.innerHTML = html;
+    },
+
+    /**
+     * Render the Payroll tab: employee list, payroll register and year-to-date summary
+     * @param {Array} employees - Employees from Database.getEmployees()
+     * @param {number|null} selectedEmployeeId - Employee whose paychecks the register is narrowed to
+     * @param {Array} register - Database.getPayrollRegister() result for the year
+     * @param {Array} ytd - Database.getPayrollYtdSummary() result for the year
+     * @param {string} year - Year shown (YYYY)
+     */
+    renderPayrollTab(employees, selectedEmployeeId, register, ytd, year) {
         const fmtAmt = (amt) => Utils.formatCurrency(amt);
+        const withheldOf = (p) => p.federal_withholding + p.state_withholding + p.social_security + p.medicare;
+        const employerOf = (p) => p.employer_social_security + p.employer_medicare + p.futa + p.suta;
+        const frequencyLabels = { weekly: 'Weekly', biweekly: 'Every 2 weeks', semimonthly: 'Twice a month', monthly: 'Monthly' };
 
         // Summary cards
-        let totalCost = 0, totalAccumDepr = 0;
-        assets.forEach(asset => {
-            totalCost += asset.purchase_cost;
-            const schedule = Utils.computeDepreciationSchedule(asset);
-            const currentMonth = Utils.getCurrentMonth();
-            let accumDepr = 0;
-            Object.entries(schedule).forEach(([m, amt]) => {
-                if (m <= currentMonth) accumDepr += amt;
-            });
-            asset._accumDepr = accumDepr;
-            asset._nbv = asset.purchase_cost - accumDepr;
-            totalAccumDepr += accumDepr;
+        const totals = { gross: 0, withheld: 0, employer: 0, net: 0 };
+        ytd.forEach(row => {
+            totals.gross += row.gross_pay;
+            totals.withheld += withheldOf(row);
+            totals.employer += employerOf(row);
+            totals.net += row.net_pay;
         });
-
-        const summaryContainer = document.getElementById('assetsSummaryCards');
-        summaryContainer.innerHTML = `
-            <div class="assets-summary-card"><span class="assets-summary-label">Total Cost</span><span class="assets-summary-value">${fmtAmt(totalCost)}</span></div>
-            <div class="assets-summary-card"><span class="assets-summary-label">Accum. Depreciation</span><span class="assets-summary-value amount-payable">${fmtAmt(totalAccumDepr)}</span></div>
-            <div class="assets-summary-card"><span class="assets-summary-label">Net Book Value</span><span class="assets-summary-value">${fmtAmt(totalCost - totalAccumDepr)}</span></div>
+        document.getElementById('payrollSummaryCards').innerHTML = `
+            <div class="assets-summary-card"><span class="assets-summary-label">Active Employees</span><span class="assets-summary-value">${employees.filter(e => e.is_active).length}</span></div>
+            <div class="assets-summary-card"><span class="assets-summary-label">Gross Pay ${year}</span><span class="assets-summary-value">${fmtAmt(totals.gross)}</span></div>
+            <div class="assets-summary-card"><span class="assets-summary-label">Taxes Withheld</span><span class="assets-summary-value">${fmtAmt(totals.withheld)}</span></div>
+            <div class="assets-summary-card"><span class="assets-summary-label">Employer Taxes</span><span class="assets-summary-value amount-payable">${fmtAmt(totals.employer)}</span></div>
+            <div class="assets-summary-card"><span class="assets-summary-label">Net Pay</span><span class="assets-summary-value">${fmtAmt(totals.net)}</span></div>
         `;
 
-        // Left panel: asset list
-        const listPanel = document.getElementById('assetsListPanel');
-        if (assets.length === 0) {
-            listPanel.innerHTML = '<p class="empty-state">No fixed assets yet. Click "+ Add Asset" to begin.</p>';
+        // Left panel: employee list
+        const listPanel = document.getElementById('payrollListPanel');
+        if (employees.length === 0) {
+            listPanel.innerHTML = '<p class="empty-state">No employees yet. Click "+ Add Employee" to begin.</p>';
         } else {
-            listPanel.innerHTML = assets.map(asset => {
-                const selected = asset.id === selectedAssetId ? ' selected' : '';
-                const methodLabel = asset.depreciation_method === 'none' ? 'Non-depreciable'
-                    : asset.depreciation_method === 'double_declining' ? 'DDB' : 'SL';
-                return `<div class="asset-list-item${selected}" data-id="${asset.id}">
-                    <div class="asset-list-name">${Utils.escapeHtml(asset.name)}</div>
-                    <div class="asset-list-meta">${fmtAmt(asset.purchase_cost)} &middot; ${methodLabel}</div>
+            listPanel.innerHTML = employees.map(e => {
+                const selected = e.id === selectedEmployeeId ? ' selected' : '';
+                const rate = e.pay_type === 'hourly' ? `${fmtAmt(e.pay_rate)}/hr` : `${fmtAmt(e.pay_rate)}/yr`;
+                const deleteDisabled = e.paycheck_count > 0 ? ' disabled title="Employees who have been paid can be marked inactive instead"' : ' title="Delete"';
+                return `<div class="asset-list-item${selected}" data-id="${e.id}">
+                    <div class="asset-list-name">${Utils.escapeHtml(e.name)}${e.is_active ? '' : ' <span class="asset-list-meta">(inactive)</span>'}</div>
+                    <div class="asset-list-meta">${rate} &middot; ${frequencyLabels[e.pay_frequency] || e.pay_frequency}</div>
                     <div class="asset-list-actions">
-                        <button class="btn-icon edit-asset-btn" data-id="${asset.id}" title="Edit">&#9998;</button>
-                        <button class="btn-icon delete-asset-btn" data-id="${asset.id}" title="Delete">&times;</button>
+                        <button class="btn-icon edit-employee-btn" data-id="${e.id}" title="Edit">&#9998;</button>
+                        <button class="btn-icon delete-employee-btn" data-id="${e.id}"${deleteDisabled}>&times;</button>
                     </div>
                 </div>`;
             }).join('');
         }
 
-        // Right panel: selected asset detail
-        const detailPanel = document.getElementById('assetsDetailPanel');
-        const selectedAsset = assets.find(a => a.id === selectedAssetId);
-        if (!selectedAsset) {
-            detailPanel.innerHTML = '<p class="empty-state">Select an asset to view its depreciation schedule.</p>';
-            return;
-        }
-
-        const schedule = Utils.computeDepreciationSchedule(selectedAsset);
-        const scheduleEntries = Object.entries(schedule).sort((a, b) => a[0].localeCompare(b[0]));
+        // Right panel: payroll register, narrowed to the selected employee
+        const detailPanel = document.getElementById('payrollDetailPanel');
+        const selectedEmployee = employees.find(e => e.id === selectedEmployeeId);
+        const runs = register
+            .map(run => ({ ...run, paychecks: run.paychecks.filter(p => !selectedEmployee || p.employee_id === selectedEmployee.id) }))
+            .filter(run => run.paychecks.length > 0);
 
         let html = `<div class="asset-detail-header">
-            <h4>${Utils.escapeHtml(selectedAsset.name)}</h4>
-            <div class="asset-detail-meta">
-                <span>Cost: ${fmtAmt(selectedAsset.purchase_cost)}</span>
-                <span>Salvage: ${fmtAmt(selectedAsset.salvage_value || 0)}</span>
-                <span>Life: ${selectedAsset.useful_life_months} mo</span>
-                <span>Purchased: ${Utils.formatDate(selectedAsset.purchase_date)}</span>
-            </div>
+            <h4>Payroll Register${selectedEmployee ? ` &mdash; ${Utils.escapeHtml(selectedEmployee.name)}` : ''}</h4>
+            ${selectedEmployee ? '<div class="assets-controls"><button class="btn btn-secondary btn-small show-all-payroll-btn">Show All Employees</button></div>' : ''}
         </div>`;
 
-        if (scheduleEntries.length === 0) {
-            html += '<p class="empty-state">This asset is non-depreciable.</p>';
+        if (runs.length === 0) {
+            html += `<p class="empty-state">No payroll run in ${year}.</p>`;
         } else {
             html += '<div class="asset-depr-table-wrapper"><table class="asset-depr-table"><thead><tr>';
-            html += '<th>Month</th><th>Depreciation</th><th>Accumulated</th><th>Net Book Value</th>';
+            html += '<th>Employee</th><th>Hours</th><th>Gross</th><th>Federal</th><th>State</th><th>Soc. Sec.</th><th>Medicare</th><th>Net Pay</th><th>Employer Taxes</th>';
             html += '</tr></thead><tbody>';
 
-            let accumDepr = 0;
-            scheduleEntries.forEach(([month, depr]) => {
-                accumDepr += depr;
-                const nbv = selectedAsset.purchase_cost - accumDepr;
-                html += `<tr>
-                    <td>${Utils.formatMonthShort(month)}</td>
-                    <td>${fmtAmt(depr)}</td>
-                    <td>${fmtAmt(accumDepr)}</td>
-                    <td>${fmtAmt(nbv)}</td>
+            runs.forEach(run => {
+                const period = run.period_start && run.period_end
+                    ? ` &middot; ${Utils.formatDate(run.period_start)} &ndash; ${Utils.formatDate(run.period_end)}` : '';
+                html += `<tr class="payroll-run-row">
+                    <td colspan="8"><strong>${Utils.formatDate(run.pay_date)}</strong>${period}${run.notes ? ` &middot; ${Utils.escapeHtml(run.notes)}` : ''}</td>
+                    <td><button class="btn-icon delete-payroll-run-btn" data-id="${run.id}" title="Delete this payroll run">&times;</button></td>
                 </tr>`;
+                run.paychecks.forEach(p => {
+                    html += `<tr>
+                        <td>${Utils.escapeHtml(p.employee_name)}</td>
+                        <td>${p.hours || ''}</td>
+                        <td>${fmtAmt(p.gross_pay)}</td>
+                        <td>${fmtAmt(p.federal_withholding)}</td>
+                        <td>${fmtAmt(p.state_withholding)}</td>
+                        <td>${fmtAmt(p.social_security)}</td>
+                        <td>${fmtAmt(p.medicare)}</td>
+                        <td>${fmtAmt(p.net_pay)}</td>
+                        <td>${fmtAmt(employerOf(p))}</td>
+                    </tr>`;
+                });
             });
 
             html += '</tbody></table></div>';
         }
+        detailPanel.innerHTML = html;
+
+        // Year-to-date summary per employee
+        const ytdPanel = document.getElementById('payrollYtdPanel');
+        if (ytd.length === 0) {
+            ytdPanel.innerHTML = '';
+            return;
+        }
+        const columns = ['gross_pay', 'federal_withholding', 'state_withholding', 'social_security', 'medicare', 'net_pay'];
+        let ytdHtml = `<h4 class="import-section-title">Year-to-Date Summary ${year}</h4>`;
+        ytdHtml += '<table class="aging-table"><thead><tr><th>Employee</th><th>Paychecks</th><th>Gross</th><th>Federal</th><th>State</th><th>Soc. Sec.</th><th>Medicare</th><th>Net Pay</th><th>Employer Taxes</th></tr></thead><tbody>';
+        const footer = { paycheck_count: 0, employer: 0 };
+        columns.forEach(c => { footer[c] = 0; });
+        ytd.forEach(row => {
+            footer.paycheck_count += row.paycheck_count;
+            footer.employer += employerOf(row);
+            columns.forEach(c => { footer[c] += row[c]; });
+            ytdHtml += `<tr><td>${Utils.escapeHtml(row.employee_name)}</td><td>${row.paycheck_count}</td>`;
+            ytdHtml += columns.map(c => `<td>${fmtAmt(row[c])}</td>`).join('');
+            ytdHtml += `<td class="aging-row-total">${fmtAmt(employerOf(row))}</td></tr>`;
+        });
+        ytdHtml += `</tbody><tfoot><tr><td>Total</td><td>${footer.paycheck_count}</td>`;
+        ytdHtml += columns.map(c => `<td>${fmtAmt(footer[c])}</td>`).join('');
+        ytdHtml += `<td>${fmtAmt(footer.employer)}</td></tr></tfoot></table>`;
+        ytdPanel.innerHTML = ytdHtml;
+    },
 
-        if (selectedAsset.notes) {
-            html += `<div class="asset-detail-notes">Notes: ${Utils.escapeHtml(selectedAsset.notes)}</div>`;
+    /**
+     * Render the employee rows of the Run Payroll modal, prefilled with each one's usual pay
+     * @param {Array} employees - Active employees
+     */
+    renderPayrollRunChecks(employees) {
+        const container = document.getElementById('payrollRunChecks');
+        if (employees.length === 0) {
+            container.innerHTML = '<p class="empty-state">No active employees. Add an employee first.</p>';
+            return;
         }
+        let html = '<table class="aging-table payroll-run-table"><thead><tr>';
+        html += '<th></th><th>Employee</th><th>Hours</th><th>Gross Pay</th><th>Taxes Withheld</th><th>Net Pay</th><th>Employer Taxes</th>';
+        html += '</tr></thead><tbody>';
+        employees.forEach(e => {
+            const hourly = e.pay_type === 'hourly';
+            const gross = Utils.computeGrossPay(e, e.default_hours);
+            html += `<tr class="payroll-check-row" data-id="${e.id}">
+                <td><input type="checkbox" class="payroll-check-include" checked></td>
+                <td>${Utils.escapeHtml(e.name)}</td>
+                <td>${hourly ? `<input type="number" class="payroll-check-hours" step="0.25" min="0" value="${e.default_hours || ''}">` : ''}</td>
+                <td><input type="number" class="payroll-check-gross" step="0.01" min="0" value="${gross || ''}"></td>
+                <td class="payroll-check-withheld"></td>
+                <td class="payroll-check-net"></td>
+                <td class="payroll-check-employer"></td>
+            </tr>`;
+        });
+        html += '</tbody><tfoot><tr><td></td><td>Total</td><td></td><td id="payrollRunTotalGross"></td><td id="payrollRunTotalWithheld"></td><td id="payrollRunTotalNet"></td><td id="payrollRunTotalEmployer"></td></tr></tfoot></table>';
+        container.innerHTML = html;
+    },
 
-        detailPanel.innerHTML = html;
+    /**
+     * Fill in the computed taxes and net pay of the Run Payroll modal
+     * @param {Object} previews - { [employeeId]: Utils.computePaycheck() result, or null when left out }
+     */
+    renderPayrollRunPreview(previews) {
+        const fmtAmt = (amt) => Utils.formatCurrency(amt);
+        const totals = { gross: 0, withheld: 0, net: 0, employer: 0 };
+        document.querySelectorAll('#payrollRunChecks .payroll-check-row').forEach(row => {
+            const pay = previews[row.dataset.id];
+            const withheld = pay ? pay.federal_withholding + pay.state_withholding + pay.social_security + pay.medicare : 0;
+            row.querySelector('.payroll-check-withheld').textContent = pay ? fmtAmt(withheld) : '';
+            row.querySelector('.payroll-check-net').textContent = pay ? fmtAmt(pay.net_pay) : '';
+            row.querySelector('.payroll-check-employer').textContent = pay ? fmtAmt(pay.employer_taxes) : '';
+            if (pay) {
+                totals.gross += pay.gross_pay;
+                totals.withheld += withheld;
+                totals.net += pay.net_pay;
+                totals.employer += pay.employer_taxes;
+            }
+        });
+        const setTotal = (id, amount) => {
+            const cell = document.getElementById(id);
+            if (cell) cell.textContent = fmtAmt(amount);
+        };
+        setTotal('payrollRunTotalGross', totals.gross);
+        setTotal('payrollRunTotalWithheld', totals.withheld);
+        setTotal('payrollRunTotalNet', totals.net);
+        setTotal('payrollRunTotalEmployer', totals.employer);
     },
 
     /**
@@ -2009,6 +3356,7 @@ const UI = {
         const headers = [
             'Entry Date',
             'Category',
+            'Customer/Vendor',
             'Type',
             'Amount',
             'Pretax Amount',
@@ -2016,8 +3364,13 @@ const UI = {
             'Month Due',
             'Month Paid',
             'Date Processed',
+            'Account',
             'Payment For',
-            'Notes'
+            'Notes',
+            'Splits',
+            'Tags',
+            'Refund/Credit',
+            'Original Entry Date'
         ];
 
         const escapeCsvField = (val) => {
@@ -2032,6 +3385,7 @@ const UI = {
         const rows = transactions.map(t => [
             t.entry_date || '',
             t.category || '',
+            t.counterparty || '',
             t.type || '',
             t.amount || 0,
             t.pretax_amount || '',
@@ -2039,8 +3393,13 @@ const UI = {
             t.month_due ? Utils.formatMonthShort(t.month_due) : '',
             t.month_paid ? Utils.formatMonthShort(t.month_paid) : '',
             t.date_processed || '',
+            t.cash_account || '',
             t.payment_for_month ? Utils.formatMonthShort(t.payment_for_month) : '',
-            t.notes || ''
+            t.notes || '',
+            t.splits || '',
+            t.tags || '',
+            this.CREDIT_LABELS[t.credit_type] || '',
+            t.credited_entry_date || ''
         ]);
 
         const csvLines = [
@@ -2051,6 +3410,595 @@ const UI = {
         return csvLines.join('\n');
     },
 
+    /**
+     * Render the CSV import column-mapping selects
+     * @param {Array<{key: string, label: string, required: boolean}>} fields - Importable fields
+     * @param {Array<string>} headers - Column names from the file
+     * @param {Object} mapping - Map of field key => column index (pre-selected columns)
+     */
+    renderCsvImportMapping(fields, headers, mapping) {
+        const container = document.getElementById('importCsvMapping');
+        const columnOptions = headers.map((header, i) =>
+            `<option value="${i}">${Utils.escapeHtml(header)}</option>`
+        ).join('');
+
+        container.innerHTML = fields.map(field => `
+            <div class="form-group">
+                <label for="importMap_${field.key}">${field.label}${field.required ? '' : ' <span class="label-hint">(optional)</span>'}</label>
+                <select id="importMap_${field.key}" class="import-map-select" data-field="${field.key}">
+                    <option value="">&mdash; Not mapped &mdash;</option>
+                    ${columnOptions}
+                </select>
+            </div>
+        `).join('');
+
+        fields.forEach(field => {
+            if (mapping[field.key] !== undefined) {
+                document.getElementById(`importMap_${field.key}`).value = mapping[field.key];
+            }
+        });
+    },
+
+    /**
+     * Render the CSV import preview table
+     * @param {Array} rows - [{rowNumber, data, categoryLabel, isNewCategory, error}]
+     */
+    renderCsvImportPreview(rows) {
+        const container = document.getElementById('importCsvPreview');
+        const PREVIEW_LIMIT = 200;
+
+        if (rows.length === 0) {
+            container.innerHTML = '<p class="empty-state">No data rows in this file.</p>';
+            return;
+        }
+
+        const errorCount = rows.filter(r => r.error).length;
+        const newCategories = new Set(rows.filter(r => !r.error && r.isNewCategory).map(r => r.categoryLabel.toLowerCase()));
+
+        let html = `<div class="import-preview-summary">
+            ${rows.length - errorCount} of ${rows.length} row${rows.length !== 1 ? 's' : ''} ready to import
+            ${errorCount > 0 ? `&middot; <span class="import-error-count">${errorCount} with errors will be skipped</span>` : ''}
+            ${newCategories.size > 0 ? `&middot; ${newCategories.size} new categor${newCategories.size === 1 ? 'y' : 'ies'}` : ''}
+        </div>`;
+
+        html += `<div class="import-preview-scroll"><table class="import-preview-table">
+            <thead><tr>
+                <th>Row</th><th>Date</th><th>Category</th><th>Type</th><th>Amount</th>
+                <th>Status</th><th>Due</th><th>Paid</th><th>Notes</th><th></th>
+            </tr></thead><tbody>`;
+
+        rows.slice(0, PREVIEW_LIMIT).forEach(row => {
+            const d = row.data;
+            html += `<tr class="${row.error ? 'import-row-error' : ''}">
+                <td>${row.rowNumber}</td>
+                <td>${d.entry_date ? Utils.formatDate(d.entry_date) : ''}</td>
+                <td>${Utils.escapeHtml(row.categoryLabel)}${row.isNewCategory ? ' <span class="category-badge">New</span>' : ''}</td>
+                <td>${this.capitalizeFirst(d.transaction_type)}</td>
+                <td class="amount-${d.transaction_type}">${d.amount ? Utils.formatCurrency(d.amount) : ''}</td>
+                <td>${this.capitalizeFirst(d.status)}</td>
+                <td>${d.month_due ? Utils.formatMonthShort(d.month_due) : ''}</td>
+                <td>${d.month_paid ? Utils.formatMonthShort(d.month_paid) : ''}</td>
+                <td>${Utils.escapeHtml(d.notes || d.item_description || '')}</td>
+                <td>${row.error ? `<span class="import-row-message">${Utils.escapeHtml(row.error)}</span>` : '&#10003;'}</td>
+            </tr>`;
+        });
+
+        html += '</tbody></table></div>';
+        if (rows.length > PREVIEW_LIMIT) {
+            html += `<div class="import-preview-more">Showing the first ${PREVIEW_LIMIT} rows.</div>`;
+        }
+
+        container.innerHTML = html;
+    },
+
+    /**
+     * Render bank statement lines beside the pending journal entries they can settle. Each line
+     * gets an action select (match a pending entry, create a new entry, or skip) and a category
+     * select used when creating.
+     * @param {Array} lines - Statement lines from Utils.parseBankStatement()
+     * @param {Array} pending - Pending transactions (with amount_paid)
+     * @param {Object} matches - Suggested matches: line index => transaction ID
+     * @param {Object} recorded - Lines already in the journal: line index => transaction ID
+     * @param {Array} categories - Categories for the create-new picker
+     */
+    renderBankImportLines(lines, pending, matches, recorded, categories) {
+        const container = document.getElementById('bankImportLines');
+        const categoryOptions = categories.map(cat =>
+            `<option value="${cat.id}">${Utils.escapeHtml(cat.folder_name ? `${cat.folder_name} / ${cat.name}` : cat.name)}</option>`
+        ).join('');
+
+        const selections = [];
+        let html = `<table class="import-preview-table bank-import-table">
+            <thead><tr>
+                <th>Date</th><th>Description</th><th>Amount</th><th>Journal Entry</th><th>Category (new entries)</th>
+            </tr></thead><tbody>`;
+
+        lines.forEach((line, index) => {
+            const type = line.amount < 0 ? 'payable' : 'receivable';
+            const cents = Math.round(Math.abs(line.amount) * 100);
+            const candidates = pending.filter(t =>
+                t.transaction_type === type && Math.round((t.amount - (t.amount_paid || 0)) * 100) >= cents
+            );
+            selections.push(matches[index] !== undefined ? `match:${matches[index]}`
+                : (recorded[index] !== undefined ? 'skip' : 'create'));
+
+            const matchOptions = candidates.map(t => {
+                const open = t.amount - (t.amount_paid || 0);
+                const label = [
+                    t.item_description || t.category_name,
+                    t.month_due ? `due ${Utils.formatMonthShort(t.month_due)}` : Utils.formatDate(t.entry_date),
+                    `${Utils.formatCurrency(open)} open`
+                ].join(' · ');
+                return `<option value="match:${t.id}">${Utils.escapeHtml(label)}</option>`;
+            }).join('');
+
+            const description = [line.payee, line.memo].filter(Boolean).join(' — ');
+
+            html += `<tr data-index="${index}">
+                <td>${Utils.formatDate(line.date)}</td>
+                <td>${Utils.escapeHtml(description)}${recorded[index] !== undefined ? ' <span class="category-badge">Already recorded</span>' : ''}</td>
+                <td class="amount-${type}">${Utils.formatCurrency(line.amount)}</td>
+                <td>
+                    <select class="bank-import-action">
+                        <option value="create">Create new entry</option>
+                        <option value="skip">Skip</option>
+                        ${matchOptions ? `<optgroup label="Match pending entry">${matchOptions}</optgroup>` : ''}
+                    </select>
+                </td>
+                <td>
+                    <select class="bank-import-category">
+                        <option value="">Select category...</option>
+                        ${categoryOptions}
+                    </select>
+                </td>
+            </tr>`;
+        });
+
+        html += '</tbody></table>';
+        container.innerHTML = html;
+
+        container.querySelectorAll('tr[data-index]').forEach(row => {
+            row.querySelector('.bank-import-action').value = selections[parseInt(row.dataset.index)];
+        });
+    },
+
+    /**
+     * Render the reconciliation worksheet: running summary, the items to tick, and past reconciliations
+     * @param {Array} items - From Database.getReconciliationItems
+     * @param {Object} summary - { opening, deposits, payments, cleared, statement, difference, bookCash }
+     * @param {Array} history - From Database.getReconciliations
+     */
+    renderReconciliation(items, summary, history) {
+        const summaryEl = document.getElementById('reconcileSummary');
+        const differenceClass = Math.abs(summary.difference) < 0.005 ? 'reconcile-balanced' : 'import-error-count';
+        summaryEl.innerHTML = `
+            Opening ${Utils.formatCurrency(summary.opening)} &middot;
+            cleared deposits ${Utils.formatCurrency(summary.deposits)} &middot;
+            cleared payments ${Utils.formatCurrency(summary.payments)} &middot;
+            cleared balance <strong>${Utils.formatCurrency(summary.cleared)}</strong> &middot;
+            statement ${Utils.formatCurrency(summary.statement)} &middot;
+            <span class="${differenceClass}">difference ${Utils.formatCurrency(summary.difference)}</span>
+            <br>Book cash at statement month: ${Utils.formatCurrency(summary.bookCash)}
+        `;
+
+        const itemsEl = document.getElementById('reconcileItems');
+        if (items.length === 0) {
+            itemsEl.innerHTML = '<p class="empty-state">No unreconciled cash movements up to this date.</p>';
+        } else {
+            itemsEl.innerHTML = `<table class="import-preview-table">
+                <thead><tr>
+                    <th>Cleared</th><th>Date</th><th>Description</th><th>Category</th><th>Amount</th>
+                </tr></thead><tbody>
+                ${items.map(item => `<tr>
+                    <td><input type="checkbox" class="reconcile-cleared" data-kind="${item.kind}" data-id="${item.id}" ${item.cleared ? 'checked' : ''}></td>
+                    <td>${Utils.formatDate(item.date)}</td>
+                    <td>${Utils.escapeHtml(item.item_description || '')}${item.kind === 'payment' ? ' <span class="category-badge">Payment</span>' : ''}${item.kind === 'transfer_in' || item.kind === 'transfer_out' ? ' <span class="category-badge">Transfer</span>' : ''}</td>
+                    <td>${Utils.escapeHtml(item.category_name || '')}</td>
+                    <td class="amount-${item.amount < 0 ? 'payable' : 'receivable'}">${Utils.formatCurrency(item.amount)}</td>
+                </tr>`).join('')}
+                </tbody></table>`;
+        }
+
+        const historyEl = document.getElementById('reconcileHistory');
+        if (history.length === 0) {
+            historyEl.innerHTML = '<p class="empty-state">No completed reconciliations yet.</p>';
+            return;
+        }
+        historyEl.innerHTML = history.map((r, index) => `
+            <div class="category-item">
+                <div class="category-info">
+                    <span class="category-name">Statement ${Utils.formatDate(r.statement_date)}</span>
+                    <span class="category-meta">
+                        ${Utils.formatCurrency(r.opening_balance)} &rarr; ${Utils.formatCurrency(r.statement_balance)} &middot;
+                        ${r.item_count} item${r.item_count !== 1 ? 's' : ''}
+                    </span>
+                </div>
+                <div class="category-actions">
+                    ${index === 0 ? '<button class="btn btn-small undo-reconcile-btn" title="Unlock the items in this reconciliation">Undo</button>' : ''}
+                </div>
+            </div>
+        `).join('');
+    },
+
+    // ==================== INVOICES ====================
+
+    /**
+     * Render the list of issued invoices
+     * @param {Array} invoices - From Database.getInvoices
+     */
+    renderInvoicesList(invoices) {
+        const container = document.getElementById('invoicesList');
+
+        if (invoices.length === 0) {
+            container.innerHTML = '<p class="empty-state">No invoices yet.</p>';
+            return;
+        }
+
+        container.innerHTML = invoices.map(inv => `
+            <div class="category-item" data-id="${inv.id}">
+                <div class="category-info">
+                    <span class="category-name">
+                        Invoice #${Utils.escapeHtml(inv.invoice_number)}
+                        ${inv.counterparty_name ? `<span class="category-badge">${Utils.escapeHtml(inv.counterparty_name)}</span>` : ''}
+                    </span>
+                    <span class="category-meta">
+                        <span class="amount-receivable">${Utils.formatCurrency(inv.total)}</span> &middot;
+                        issued ${Utils.formatDate(inv.issue_date)}${inv.due_date ? `, due ${Utils.formatDate(inv.due_date)}` : ''} &middot;
+                        ${inv.line_count} line${inv.line_count !== 1 ? 's' : ''}
+                    </span>
+                </div>
+                <div class="category-actions">
+                    <button class="btn btn-small print-invoice-btn" data-id="${inv.id}">Print</button>
+                    <button class="btn-icon always-visible delete-invoice-btn" data-id="${inv.id}" title="Delete (the entries can be invoiced again)">
+                        <svg width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Render the receivables that can go on a new invoice, with a running total of the ticked ones
+     * @param {Array} receivables - From Database.getUninvoicedReceivables
+     * @param {Array<number>} selectedIds - Ticked transaction IDs
+     */
+    renderInvoiceLines(receivables, selectedIds) {
+        const container = document.getElementById('invoiceLines');
+        const totals = document.getElementById('invoiceTotals');
+
+        if (receivables.length === 0) {
+            container.innerHTML = '<p class="empty-state">No receivables left to invoice for this customer.</p>';
+            totals.textContent = '';
+            return;
+        }
+
+        let subtotal = 0;
+        let tax = 0;
+        container.innerHTML = `<table class="import-preview-table">
+            <thead><tr>
+                <th></th><th>Description</th><th>Month Due</th><th>Pretax</th><th>Sales Tax</th><th>Amount</th>
+            </tr></thead><tbody>
+            ${receivables.map(t => {
+                const pretax = t.pretax_amount !== null && t.pretax_amount !== undefined ? t.pretax_amount : t.amount;
+                const checked = selectedIds.includes(t.id);
+                if (checked) {
+                    subtotal += pretax;
+                    tax += t.amount - pretax;
+                }
+                return `<tr>
+                    <td><input type="checkbox" class="invoice-line-check" data-id="${t.id}" ${checked ? 'checked' : ''}></td>
+                    <td>${Utils.escapeHtml(t.item_description || t.category_name || '')}${t.counterparty_name ? `<span class="counterparty-label">${Utils.escapeHtml(t.counterparty_name)}</span>` : ''}</td>
+                    <td>${t.month_due ? Utils.formatMonthShort(t.month_due) : '-'}</td>
+                    <td>${Utils.formatCurrency(pretax)}</td>
+                    <td>${Utils.formatCurrency(t.amount - pretax)}</td>
+                    <td class="amount-receivable">${Utils.formatCurrency(t.amount)}</td>
+                </tr>`;
+            }).join('')}
+            </tbody></table>`;
+
+        totals.textContent = `${selectedIds.length} selected · subtotal ${Utils.formatCurrency(subtotal)} · ` +
+            `sales tax ${Utils.formatCurrency(tax)} · total ${Utils.formatCurrency(subtotal + tax)}`;
+    },
+
+    /**
+     * Build a standalone, print-ready HTML document for an invoice
+     * @param {Object} invoice - From Database.getInvoice
+     * @param {string} companyName - Journal owner shown in the header
+     * @returns {string} HTML document
+     */
+    buildInvoiceHtml(invoice, companyName) {
+        const esc = (value) => Utils.escapeHtml(value);
+        const customer = invoice.counterparty;
+        const billTo = customer
+            ? [customer.name, customer.address, customer.email, customer.phone].filter(Boolean).map(esc).join('<br>')
+            : '';
+
+        const rows = invoice.lines.map(line => `
+            <tr>
+                <td>${esc(line.description)}${line.payment_for_month ? ` (for ${Utils.formatMonthShort(line.payment_for_month)})` : ''}</td>
+                <td>${line.month_due ? Utils.formatMonthShort(line.month_due) : ''}</td>
+                <td class="num">${Utils.formatCurrency(line.pretax)}</td>
+                <td class="num">${line.tax ? Utils.formatCurrency(line.tax) : ''}</td>
+                <td class="num">${Utils.formatCurrency(line.amount)}</td>
+            </tr>
+        `).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Invoice ${esc(invoice.invoice_number)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; margin: 40px; font-size: 14px; }
+    .header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 32px; }
+    .company { font-size: 22px; font-weight: 700; }
+    .title { font-size: 28px; font-weight: 300; letter-spacing: 2px; text-align: right; }
+    .meta { text-align: right; margin-top: 8px; line-height: 1.6; }
+    .bill-to { margin-bottom: 24px; line-height: 1.5; }
+    .label { font-size: 11px; text-transform: uppercase; color: #777; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; font-size: 11px; text-transform: uppercase; color: #777; border-bottom: 2px solid #222; padding: 6px 4px; }
+    td { padding: 8px 4px; border-bottom: 1px solid #ddd; }
+    .num { text-align: right; }
+    th.num { text-align: right; }
+    .totals { margin-left: auto; margin-top: 16px; width: 280px; }
+    .totals td { border: none; padding: 4px; }
+    .totals .grand td { border-top: 2px solid #222; font-weight: 700; font-size: 16px; }
+    .notes { margin-top: 32px; white-space: pre-wrap; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+    <div class="header">
+        <div class="company">${esc(companyName)}</div>
+        <div>
+            <div class="title">INVOICE</div>
+            <div class="meta">
+                Invoice #${esc(invoice.invoice_number)}<br>
+                Issued ${Utils.formatDate(invoice.issue_date)}<br>
+                ${invoice.due_date ? `Due ${Utils.formatDate(invoice.due_date)}` : ''}
+            </div>
+        </div>
+    </div>
+    ${billTo ? `<div class="bill-to"><div class="label">Bill To</div>${billTo}</div>` : ''}
+    <table>
+        <thead><tr><th>Description</th><th>Month Due</th><th class="num">Amount</th><th class="num">Sales Tax</th><th class="num">Total</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>
+    <table class="totals">
+        <tr><td>Subtotal</td><td class="num">${Utils.formatCurrency(invoice.subtotal)}</td></tr>
+        <tr><td>Sales Tax</td><td class="num">${Utils.formatCurrency(invoice.sales_tax)}</td></tr>
+        <tr class="grand"><td>Total Due</td><td class="num">${Utils.formatCurrency(invoice.total)}</td></tr>
+    </table>
+    ${invoice.notes ? `<div class="notes"><div class="label">Notes</div>${esc(invoice.notes)}</div>` : ''}
+</body>
+</html>`;
+    },
+
+    // ==================== AUDIT LOG ====================
+
+    /**
+     * Render audit log entries: who changed what, and each changed field's old and new value
+     * @param {Array} entries - From Database.getAuditLog
+     */
+    renderAuditLog(entries) {
+        const container = document.getElementById('auditLogEntries');
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="empty-state">No changes recorded.</p>';
+            return;
+        }
+
+        const tableSelect = document.getElementById('auditLogTable');
+        const tableLabels = {};
+        Array.from(tableSelect.options).forEach(option => { tableLabels[option.value] = option.textContent; });
+        const actionLabels = { create: 'Created', update: 'Changed', delete: 'Deleted' };
+        const formatValue = (value) => {
+            if (value === null || value === undefined || value === '') return '(empty)';
+            const text = String(value);
+            return Utils.escapeHtml(text.length > 80 ? text.substring(0, 77) + '...' : text);
+        };
+
+        container.innerHTML = `<table class="import-preview-table">
+            <thead><tr>
+                <th>When</th><th>User</th><th>Record</th><th>Action</th><th>Changes</th>
+            </tr></thead><tbody>
+            ${entries.map(entry => {
+                const values = entry.new_values || entry.old_values || {};
+                // File contents are kept for undo but aren't readable here
+                const changes = Object.keys(values)
+                    .filter(column => column !== 'created_at' && column !== 'updated_at')
+                    .filter(column => entry.table_name !== 'attachments' || (column !== 'data' && column !== 'thumbnail'))
+                    .filter(column => entry.action === 'update' || (values[column] !== null && values[column] !== ''))
+                    .map(column => {
+                        if (entry.action === 'update') {
+                            return `<li>${Utils.escapeHtml(column)}: <span class="audit-old">${formatValue(entry.old_values[column])}</span> &rarr; ${formatValue(entry.new_values[column])}</li>`;
+                        }
+                        return `<li>${Utils.escapeHtml(column)}: ${formatValue(values[column])}</li>`;
+                    }).join('');
+                const changedAt = new Date(entry.changed_at.replace(' ', 'T') + 'Z');
+                return `<tr>
+                    <td>${changedAt.toLocaleString('en-US')}</td>
+                    <td>${Utils.escapeHtml(entry.user_name || 'Local')}</td>
+                    <td>${Utils.escapeHtml(tableLabels[entry.table_name] || entry.table_name)} #${Utils.escapeHtml(entry.record_id)}</td>
+                    <td>${actionLabels[entry.action] || entry.action}</td>
+                    <td><ul class="audit-changes">${changes}</ul></td>
+                </tr>`;
+            }).join('')}
+            </tbody></table>`;
+    },
+
+    /**
+     * Render the period close dialog: the current lock, the reopen controls and the close/reopen log
+     * @param {string|null} closedThrough - Last closed month (YYYY-MM)
+     * @param {Array} log - Period close log entries, newest first
+     * @param {boolean} canReopen - Whether this user may reopen a period
+     */
+    renderPeriodClose(closedThrough, log, canReopen) {
+        document.getElementById('periodCloseStatus').textContent = closedThrough
+            ? `The books are closed through ${Utils.formatMonthShort(closedThrough)}. Entries and overrides in those months can't be added, changed or deleted.`
+            : 'No period is closed.';
+        document.getElementById('reopenPeriodSection').style.display = closedThrough ? '' : 'none';
+        document.getElementById('confirmReopenPeriodBtn').disabled = !canReopen;
+        document.getElementById('reopenPeriodAdminNote').style.display = canReopen ? 'none' : '';
+
+        const container = document.getElementById('periodCloseLog');
+        if (log.length === 0) {
+            container.innerHTML = '<p class="empty-state">No periods closed yet.</p>';
+            return;
+        }
+        container.innerHTML = `<table class="import-preview-table">
+            <thead><tr>
+                <th>When</th><th>User</th><th>Action</th><th>Reason</th>
+            </tr></thead><tbody>
+            ${log.map(entry => {
+                const createdAt = new Date(entry.created_at.replace(' ', 'T') + 'Z');
+                const action = entry.action === 'close'
+                    ? `Closed through ${Utils.formatMonthShort(entry.closed_through)}`
+                    : `Reopened from ${Utils.formatMonthShort(Utils.addMonths(entry.closed_through, 1))}`;
+                return `<tr>
+                    <td>${createdAt.toLocaleString('en-US')}</td>
+                    <td>${Utils.escapeHtml(entry.user_name || 'Local')}</td>
+                    <td>${action}</td>
+                    <td>${Utils.escapeHtml(entry.reason || '')}</td>
+                </tr>`;
+            }).join('')}
+            </tbody></table>`;
+    },
+
+    /**
+     * Render a short table of journal entries for the duplicate modals
+     * @param {Array} entries - Transactions
+     * @param {Function|null} leadCell - Optional first-column cell for each entry
+     * @returns {string} HTML
+     */
+    _duplicateEntriesTable(entries, leadCell = null) {
+        return `<table class="import-preview-table">
+            <thead><tr>
+                ${leadCell ? '<th>Keep</th>' : ''}<th>Date</th><th>Description</th><th>Counterparty</th><th>Status</th><th>Amount</th>
+            </tr></thead><tbody>
+            ${entries.map(entry => `<tr>
+                ${leadCell ? `<td>${leadCell(entry)}</td>` : ''}
+                <td>${Utils.formatDate(entry.entry_date)}</td>
+                <td>${Utils.escapeHtml(entry.item_description || '')}</td>
+                <td>${Utils.escapeHtml(entry.counterparty_name || '')}</td>
+                <td>${this.capitalizeFirst(entry.status)}</td>
+                <td>${Utils.formatCurrency(entry.amount)}</td>
+            </tr>`).join('')}
+            </tbody></table>`;
+    },
+
+    /**
+     * Render the warning shown before saving entries that match existing ones
+     * @param {Array<{entry: Object, matches: Array}>} conflicts - New entries and the entries they match
+     */
+    renderDuplicateWarning(conflicts) {
+        document.getElementById('duplicateWarningMessage').textContent = conflicts.length === 1
+            ? 'This entry matches an existing entry with the same category, amount and month.'
+            : `${conflicts.length} of these entries match existing entries with the same category, amount and month.`;
+        document.getElementById('duplicateWarningList').innerHTML = conflicts.map(({ entry, matches }) => `
+            <div class="duplicate-group">
+                <div class="duplicate-group-header">
+                    ${Utils.escapeHtml(matches[0].category_name || 'Uncategorized')} &middot;
+                    ${Utils.formatCurrency(entry.amount)} &middot;
+                    ${Utils.formatMonthShort(entry.month_due || entry.entry_date.substring(0, 7))}
+                </div>
+                ${this._duplicateEntriesTable(matches)}
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Render the result of the find duplicates scan
+     * @param {Array<{key: string, entries: Array}>} groups - From Database.getDuplicateGroups
+     */
+    renderDuplicateGroups(groups) {
+        const container = document.getElementById('duplicateGroupsList');
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="empty-state">No duplicate entries found.</p>';
+            return;
+        }
+        container.innerHTML = groups.map(group => {
+            const first = group.entries[0];
+            const radioName = `duplicateKeep-${group.key.replace(/,/g, '-')}`;
+            return `<div class="duplicate-group" data-key="${group.key}">
+                <div class="duplicate-group-header">
+                    ${Utils.escapeHtml(first.category_name || 'Uncategorized')} &middot;
+                    ${this.capitalizeFirst(first.transaction_type)} &middot;
+                    ${Utils.formatCurrency(first.amount)} &middot;
+                    ${Utils.formatMonthShort(first.month_due || first.entry_date.substring(0, 7))}
+                </div>
+                ${this._duplicateEntriesTable(group.entries, entry =>
+                    `<input type="radio" name="${radioName}" value="${entry.id}" ${entry.id === first.id ? 'checked' : ''}>`)}
+                <div class="duplicate-group-actions">
+                    <button type="button" class="btn btn-secondary btn-small dismiss-duplicates-btn">Not Duplicates</button>
+                    <button type="button" class="btn btn-primary btn-small merge-duplicates-btn">Merge into Kept Entry</button>
+                </div>
+            </div>`;
+        }).join('');
+    },
+
+    /**
+     * Render the payments modal for a transaction: summary, recorded payments, and
+     * the form for the next one (hidden once nothing remains)
+     * @param {Object} transaction - Transaction from Database.getTransactionById
+     * @param {number} remaining - Open balance after payments
+     */
+    renderPaymentsModal(transaction, remaining) {
+        const verb = transaction.transaction_type === 'receivable' ? 'received' : 'paid';
+        const paid = transaction.payments.reduce((sum, p) => sum + p.amount, 0);
+
+        document.getElementById('paymentsModalTitle').textContent =
+            `Payments: ${transaction.category_name || 'Transaction'}`;
+        document.getElementById('paymentsSummary').textContent =
+            `${Utils.formatCurrency(paid)} of ${Utils.formatCurrency(transaction.amount)} ${verb} in payments` +
+            (transaction.status === 'pending' ? `, ${Utils.formatCurrency(remaining)} remaining` : ` (marked ${verb})`);
+
+        const list = document.getElementById('paymentsList');
+        if (transaction.payments.length === 0) {
+            list.innerHTML = '<p class="empty-state">No partial payments recorded yet.</p>';
+        } else {
+            list.innerHTML = `
+                <table class="transaction-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Month</th>
+                            <th>Amount</th>
+                            <th>Account</th>
+                            <th>Notes</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${transaction.payments.map(p => `
+                            <tr>
+                                <td>${p.payment_date ? Utils.formatDateShort(p.payment_date) : '-'}</td>
+                                <td>${Utils.formatMonthShort(p.month_paid)}</td>
+                                <td>${Utils.formatCurrency(p.amount)}</td>
+                                <td>${Utils.escapeHtml(p.cash_account_name || '')}</td>
+                                <td>${Utils.escapeHtml(p.notes || '')}</td>
+                                <td class="actions-cell">
+                                    <button class="btn-icon always-visible delete-payment-btn" data-id="${p.id}" title="Delete payment">&times;</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        document.getElementById('paymentTransactionId').value = transaction.id;
+        document.getElementById('paymentDate').value = Utils.getTodayDate();
+        document.getElementById('paymentAmount').value = remaining > 0 ? remaining : '';
+        document.getElementById('paymentNotes').value = '';
+        document.getElementById('paymentFormFields').style.display = transaction.status === 'pending' ? '' : 'none';
+        document.getElementById('recordPaymentBtn').style.display = transaction.status === 'pending' ? '' : 'none';
+    },
+
     /**
      * Show the notes tooltip near the target element
      * @param {string} notes - The notes text
@@ -2088,7 +4036,12 @@ const UI = {
      * @param {string} modalId - ID of the modal element
      */
     showModal(modalId) {
-        document.getElementById(modalId).classList.add('active');
+        const modal = document.getElementById(modalId);
+        // History and attachments are only offered when the form is editing a saved record
+        modal.querySelectorAll('.record-history-btn, .record-attachments-btn').forEach(btn => {
+            btn.style.display = document.getElementById(btn.dataset.recordInput).value ? '' : 'none';
+        });
+        modal.classList.add('active');
     },
 
     /**
@@ -2122,9 +4075,14 @@ const UI = {
         // Hide payment for month field
         this.togglePaymentForMonth(false);
 
-        // Hide and clear pretax amount
+        // Hide and clear pretax amount and tax rate
         document.getElementById('pretaxAmountGroup').style.display = 'none';
         document.getElementById('pretaxAmount').value = '';
+        document.getElementById('salesTaxRate').value = '';
+        this.updateSalesTaxRateVisibility();
+
+        // Clear split lines
+        this.toggleSplitMode(false);
 
         // Clear month due/paid selects
         document.getElementById('monthDueMonth').value = '';
@@ -2147,6 +4105,9 @@ const UI = {
         document.getElementById('amount').value = transaction.amount;
         document.getElementById('dateProcessed').value = transaction.date_processed || '';
         document.getElementById('notes').value = transaction.notes || '';
+        document.getElementById('entryTags').value = (transaction.tags || []).join(', ');
+        document.getElementById('counterparty').value = transaction.counterparty_id || '';
+        document.getElementById('cashAccount').value = transaction.cash_account_id || Database.getDefaultCashAccountId() || '';
 
         // Set transaction type radio
         const typeRadio = document.querySelector(`input[name="transactionType"][value="${transaction.transaction_type}"]`);
@@ -2189,6 +4150,13 @@ const UI = {
             document.getElementById('pretaxAmount').value = '';
         }
 
+        // Load split lines
+        const splits = transaction.splits || [];
+        this.toggleSplitMode(splits.length > 0, splits);
+
+        document.getElementById('salesTaxRate').value = transaction.sales_tax_rate_id || '';
+        this.updateSalesTaxRateVisibility();
+
         // Handle payment for month if category is monthly
         if (transaction.category_is_monthly) {
             this.togglePaymentForMonth(true, transaction.category_name);
@@ -2258,19 +4226,35 @@ const UI = {
         const pretaxAmount = (pretaxGroup && pretaxGroup.style.display !== 'none')
             ? Utils.parseAmount(document.getElementById('pretaxAmount').value) || null
             : null;
+        const salesTaxRateGroup = document.getElementById('salesTaxRateGroup');
+        const salesTaxRateId = (salesTaxRateGroup && salesTaxRateGroup.style.display !== 'none')
+            ? parseInt(document.getElementById('salesTaxRate').value) || null
+            : null;
+
+        // Split lines; the transaction's own category is the first line's.
+        // An empty array (rather than omitting the key) clears any existing split on save.
+        const splits = document.getElementById('splitToggle').checked ? this.getSplitLines() : [];
+        const categoryId = splits.length > 0
+            ? splits[0].category_id
+            : parseInt(document.getElementById('category').value);
 
         return {
             entry_date: document.getElementById('entryDate').value,
-            category_id: parseInt(document.getElementById('category').value),
+            category_id: categoryId,
             amount: Utils.parseAmount(document.getElementById('amount').value),
             pretax_amount: pretaxAmount,
+            sales_tax_rate_id: salesTaxRateId,
             transaction_type: transactionType,
             status: status,
             date_processed: (status !== 'pending') ? (document.getElementById('dateProcessed').value || null) : null,
             month_due: month_due,
             month_paid: (status !== 'pending') ? month_paid : null,
             payment_for_month: paymentForMonth,
-            notes: document.getElementById('notes').value.trim() || null
+            notes: document.getElementById('notes').value.trim() || null,
+            counterparty_id: parseInt(document.getElementById('counterparty').value) || null,
+            cash_account_id: (status !== 'pending') ? (parseInt(document.getElementById('cashAccount').value) || null) : null,
+            splits: splits,
+            tags: Utils.parseTagList(document.getElementById('entryTags').value)
         };
     },
 
@@ -2289,13 +4273,65 @@ const UI = {
         if (!data.amount || data.amount <= 0) {
             return { valid: false, message: 'Please enter a valid amount' };
         }
+        if (data.splits && data.splits.length > 0) {
+            if (data.splits.length < 2) {
+                return { valid: false, message: 'A split needs at least two lines' };
+            }
+            if (data.splits.some(line => !line.category_id || !(line.amount > 0))) {
+                return { valid: false, message: 'Each split line needs a category and an amount' };
+            }
+            const allocated = data.splits.reduce((sum, line) => sum + line.amount, 0);
+            if (Math.round(allocated * 100) !== Math.round(data.amount * 100)) {
+                return { valid: false, message: 'Split lines must add up to the total amount' };
+            }
+        }
         // Require month paid when status is paid or received
         if (data.status !== 'pending' && !data.month_paid) {
             return { valid: false, message: 'Month paid/received is required when status is not pending' };
         }
+        // The form always says which account the money went through (null = none chosen)
+        if (data.status !== 'pending' && data.cash_account_id === null) {
+            return { valid: false, message: 'Please select the account the money went through' };
+        }
         return { valid: true };
     },
 
+    /**
+     * Render what the quick entry bar will save
+     * @param {Object|null} quick - From App.parseQuickEntry (null hides the preview)
+     * @param {Object|null} validation - From validateFormData
+     */
+    renderQuickEntryPreview(quick, validation) {
+        const container = document.getElementById('quickEntryPreview');
+        if (!quick) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const data = quick.data;
+        const missing = '<span class="quick-entry-missing">not recognised</span>';
+        const fields = [
+            ['Date', Utils.formatDate(data.entry_date)],
+            ['Category', quick.category ? Utils.escapeHtml(quick.category.name) : missing],
+            ['Amount', data.amount ? Utils.formatCurrency(data.amount) : missing],
+            ['Type', this.capitalizeFirst(data.transaction_type)],
+            ['Status', this.capitalizeFirst(data.status) +
+                (data.month_paid ? ` (${Utils.formatMonthShort(data.month_paid)})` : '')]
+        ];
+        if (data.month_due) fields.push(['Due', Utils.formatMonthShort(data.month_due)]);
+        if (quick.counterparty) fields.push(['Customer/Vendor', Utils.escapeHtml(quick.counterparty.name)]);
+        if (data.notes) fields.push(['Notes', Utils.escapeHtml(data.notes)]);
+
+        const hint = validation.valid
+            ? '<span class="quick-entry-hint">Press Enter to add</span>'
+            : `<span class="quick-entry-hint quick-entry-error">${Utils.escapeHtml(validation.message)}</span>`;
+        container.innerHTML = fields
+            .map(([label, value]) => `<span class="quick-entry-field"><span class="quick-entry-label">${label}</span> ${value}</span>`)
+            .join('') + hint;
+        container.style.display = '';
+    },
+
     /**
      * Show notification message
      * @param {string} message - Message to show
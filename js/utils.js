@@ -208,6 +208,30 @@ const Utils = {
         return `${y}-${String(m + 1).padStart(2, '0')}`;
     },
 
+    /**
+     * Move a month forward or back
+     * @param {string} month - YYYY-MM string
+     * @param {number} count - Months to add (negative to go back)
+     * @returns {string} YYYY-MM string
+     */
+    addMonths(month, count) {
+        const [y, m] = month.split('-').map(Number);
+        const monthIndex = y * 12 + (m - 1) + count;
+        return `${Math.floor(monthIndex / 12)}-${String((monthIndex % 12) + 1).padStart(2, '0')}`;
+    },
+
+    /**
+     * Number of months from one month to another
+     * @param {string} fromMonth - YYYY-MM string
+     * @param {string} toMonth - YYYY-MM string
+     * @returns {number} Months (negative when toMonth is earlier)
+     */
+    monthDiff(fromMonth, toMonth) {
+        const [fy, fm] = fromMonth.split('-').map(Number);
+        const [ty, tm] = toMonth.split('-').map(Number);
+        return (ty - fy) * 12 + (tm - fm);
+    },
+
     /**
      * Convert YYYY-MM to first day of month for date picker min
      * @param {string} month - YYYY-MM string
@@ -254,6 +278,57 @@ const Utils = {
         return monthDue < currentMonth;
     },
 
+    /**
+     * Days an item due in one month is past due as of another, measured from the end of
+     * the due month to the end of the as-of month (0 when not yet past due)
+     * @param {string} monthDue - Month due (YYYY-MM)
+     * @param {string} asOfMonth - As-of month (YYYY-MM)
+     * @returns {number} Days past due
+     */
+    daysPastDue(monthDue, asOfMonth) {
+        if (!monthDue || monthDue >= asOfMonth) return 0;
+        const [dueYear, dueMonth] = monthDue.split('-').map(Number);
+        const [asOfYear, asOfMonthNum] = asOfMonth.split('-').map(Number);
+        const dueEnd = Date.UTC(dueYear, dueMonth, 0);
+        const asOfEnd = Date.UTC(asOfYear, asOfMonthNum, 0);
+        return Math.round((asOfEnd - dueEnd) / 86400000);
+    },
+
+    /**
+     * Compute the occurrence dates of a recurring schedule up to a cutoff.
+     * Monthly/quarterly/annual dates keep the start date's day, clamped to short months.
+     * @param {string} frequency - 'weekly' | 'monthly' | 'quarterly' | 'annually'
+     * @param {string} startDate - First occurrence (YYYY-MM-DD)
+     * @param {string} throughDate - Last date to include (YYYY-MM-DD)
+     * @param {string|null} endDate - Schedule end date (YYYY-MM-DD), or null
+     * @param {number|null} occurrenceCount - Maximum number of occurrences, or null
+     * @returns {Array<string>} Occurrence dates (YYYY-MM-DD), oldest first
+     */
+    computeRecurringDates(frequency, startDate, throughDate, endDate = null, occurrenceCount = null) {
+        const monthStep = { monthly: 1, quarterly: 3, annually: 12 }[frequency];
+        if (frequency !== 'weekly' && !monthStep) return [];
+
+        const lastDate = (endDate && endDate < throughDate) ? endDate : throughDate;
+        const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+        const dates = [];
+
+        for (let i = 0; !occurrenceCount || i < occurrenceCount; i++) {
+            let date;
+            if (frequency === 'weekly') {
+                date = new Date(Date.UTC(startYear, startMonth - 1, startDay + i * 7)).toISOString().split('T')[0];
+            } else {
+                const monthIndex = (startMonth - 1) + i * monthStep;
+                const y = startYear + Math.floor(monthIndex / 12);
+                const m = (monthIndex % 12) + 1;
+                const d = Math.min(startDay, new Date(y, m, 0).getDate());
+                date = `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+            }
+            if (date > lastDate) break;
+            dates.push(date);
+        }
+        return dates;
+    },
+
     /**
      * Parse a numeric string to a float
      * @param {string|number} value - Value to parse
@@ -264,6 +339,233 @@ const Utils = {
         return isNaN(parsed) ? 0 : parsed;
     },
 
+    /**
+     * Parse CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line endings)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows, with blank lines dropped
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const src = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (inQuotes) {
+                if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+                else if (ch === '"') inQuotes = false;
+                else field += ch;
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && src[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(r => r.some(f => f.trim() !== ''));
+    },
+
+    /**
+     * Parse a money string such as "$1,234.50" or "(45.00)" (parentheses mean negative)
+     * @param {string} value - Raw value
+     * @returns {number|null} Amount, or null if not a number
+     */
+    parseMoney(value) {
+        if (value === null || value === undefined) return null;
+        let str = String(value).trim();
+        const negative = /^\(.*\)$/.test(str);
+        str = str.replace(/[()$,\s]/g, '');
+        if (str === '' || isNaN(Number(str))) return null;
+        return negative ? -Math.abs(Number(str)) : Number(str);
+    },
+
+    /**
+     * Parse a date string to YYYY-MM-DD. Accepts YYYY-MM-DD, YYYY/MM/DD and US M/D/YYYY or M/D/YY.
+     * @param {string} value - Raw value
+     * @returns {string|null} Date string, or null if not recognised
+     */
+    parseDateValue(value) {
+        if (!value) return null;
+        const str = String(value).trim();
+        let y, m, d;
+        let match = str.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+        if (match) {
+            [, y, m, d] = match.map(Number);
+        } else {
+            match = str.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{2}|\d{4})$/);
+            if (!match) return null;
+            [, m, d, y] = match.map(Number);
+            if (y < 100) y += 2000;
+        }
+        if (m < 1 || m > 12 || d < 1 || d > new Date(y, m, 0).getDate()) return null;
+        return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+    },
+
+    /**
+     * Parse a month string to YYYY-MM. Accepts YYYY-MM, MM/YYYY, "Jan 2025", "January 2025" or a full date.
+     * @param {string} value - Raw value
+     * @returns {string|null} Month string, or null if not recognised
+     */
+    parseMonthValue(value) {
+        if (!value) return null;
+        const str = String(value).trim();
+        const date = this.parseDateValue(str);
+        if (date) return date.substring(0, 7);
+
+        let match = str.match(/^(\d{4})[-/](\d{1,2})$/);
+        if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+            return `${match[1]}-${match[2].padStart(2, '0')}`;
+        }
+        match = str.match(/^(\d{1,2})[-/](\d{4})$/);
+        if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+            return `${match[2]}-${match[1].padStart(2, '0')}`;
+        }
+        match = str.match(/^([A-Za-z]{3,})\.?\s+(\d{4})$/);
+        if (match) {
+            const names = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+            const index = names.indexOf(match[1].substring(0, 3).toLowerCase());
+            if (index >= 0) return `${match[2]}-${String(index + 1).padStart(2, '0')}`;
+        }
+        return null;
+    },
+
+    /**
+     * Parse a bank statement file. OFX and QFX (SGML or XML flavour) and QIF are detected from the content.
+     * @param {string} text - File contents
+     * @returns {Array<{date: string, amount: number, payee: string, memo: string, fitId: string|null}>}
+     *          Statement lines, amount signed (negative = money out), oldest first
+     * @throws {Error} If the format isn't recognised
+     */
+    parseBankStatement(text) {
+        let lines;
+        if (/<OFX>|OFXHEADER/i.test(text)) {
+            lines = this._parseOfx(text);
+        } else if (/^\s*!Type:/i.test(text)) {
+            lines = this._parseQif(text);
+        } else {
+            throw new Error('Unrecognized statement format (expected OFX, QFX or QIF)');
+        }
+        return lines
+            .filter(line => line.date && line.amount !== null && line.amount !== 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * Parse the STMTTRN blocks of an OFX/QFX file
+     * @param {string} text - File contents
+     * @returns {Array} Statement lines
+     */
+    _parseOfx(text) {
+        const tag = (block, name) => {
+            const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : '';
+        };
+        return text.split(/<STMTTRN>/i).slice(1).map(block => {
+            const body = block.split(/<\/STMTTRN>/i)[0];
+            const posted = tag(body, 'DTPOSTED');
+            return {
+                date: posted.length >= 8 ? this.parseDateValue(`${posted.substring(0, 4)}-${posted.substring(4, 6)}-${posted.substring(6, 8)}`) : null,
+                amount: this.parseMoney(tag(body, 'TRNAMT')),
+                payee: tag(body, 'NAME') || tag(body, 'PAYEE'),
+                memo: tag(body, 'MEMO'),
+                fitId: tag(body, 'FITID') || null
+            };
+        });
+    },
+
+    /**
+     * Parse the records of a QIF file
+     * @param {string} text - File contents
+     * @returns {Array} Statement lines
+     */
+    _parseQif(text) {
+        const lines = [];
+        let record = {};
+        text.split(/\r?\n/).forEach(raw => {
+            const code = raw.charAt(0);
+            const value = raw.substring(1).trim();
+            if (code === '^') {
+                if (record.date !== undefined) lines.push(record);
+                record = {};
+            } else if (code === 'D') {
+                record.date = this.parseDateValue(value.replace(/'/g, '/').replace(/\s/g, ''));
+            } else if (code === 'T' || code === 'U') {
+                record.amount = this.parseMoney(value);
+            } else if (code === 'P') {
+                record.payee = value;
+            } else if (code === 'M') {
+                record.memo = value;
+            }
+        });
+        return lines.map(r => ({
+            date: r.date,
+            amount: r.amount !== undefined ? r.amount : null,
+            payee: r.payee || '',
+            memo: r.memo || '',
+            fitId: null
+        }));
+    },
+
+    /**
+     * Suggest which pending journal transaction each statement line settles. A candidate must run
+     * the same direction (money out = payable) and its open amount must equal the line's amount;
+     * among those the one closest in date wins (distance to the month due, else the entry date),
+     * within maxDays. Each transaction is suggested at most once.
+     * @param {Array} statementLines - From parseBankStatement()
+     * @param {Array} pending - Pending transactions with amount, amount_paid, transaction_type, entry_date, month_due
+     * @param {number} maxDays - Largest date distance to suggest
+     * @returns {Object} Map of statement line index => transaction ID
+     */
+    suggestStatementMatches(statementLines, pending, maxDays = 45) {
+        const dayMs = 86400000;
+        const toTime = (date) => Date.parse(date + 'T00:00:00Z');
+        const distance = (date, t) => {
+            const time = toTime(date);
+            if (t.month_due) {
+                const start = toTime(`${t.month_due}-01`);
+                const end = toTime(this.timelineToDateMax(t.month_due));
+                if (time < start) return (start - time) / dayMs;
+                if (time > end) return (time - end) / dayMs;
+                return 0;
+            }
+            return Math.abs(time - toTime(t.entry_date)) / dayMs;
+        };
+
+        const pairs = [];
+        statementLines.forEach((line, index) => {
+            const type = line.amount < 0 ? 'payable' : 'receivable';
+            const cents = Math.round(Math.abs(line.amount) * 100);
+            pending.forEach(t => {
+                if (t.transaction_type !== type) return;
+                if (Math.round((t.amount - (t.amount_paid || 0)) * 100) !== cents) return;
+                const days = distance(line.date, t);
+                if (days <= maxDays) pairs.push({ index, id: t.id, days });
+            });
+        });
+
+        const matches = {};
+        const used = new Set();
+        pairs.sort((a, b) => a.days - b.days).forEach(pair => {
+            if (matches[pair.index] !== undefined || used.has(pair.id)) return;
+            matches[pair.index] = pair.id;
+            used.add(pair.id);
+        });
+        return matches;
+    },
+
     /**
      * Generate a unique ID for temporary use
      * @returns {string} Unique ID
@@ -272,6 +574,269 @@ const Utils = {
         return 'temp_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
     },
 
+    /**
+     * Normalize tag input: split on commas, trim and collapse spaces, drop blanks and
+     * case-insensitive duplicates (the first spelling wins)
+     * @param {string|Array<string>} value - Comma-separated tags or a list of names
+     * @returns {Array<string>} Tag names
+     */
+    parseTagList(value) {
+        const parts = Array.isArray(value) ? value : String(value || '').split(',');
+        const seen = new Set();
+        const tags = [];
+        parts.forEach(part => {
+            const name = String(part).replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+            if (!name || seen.has(name.toLowerCase())) return;
+            seen.add(name.toLowerCase());
+            tags.push(name);
+        });
+        return tags;
+    },
+
+    /**
+     * Words the quick entry parser understands. Type and status words may be overridden by the
+     * category's default type; filler words are dropped before names are matched.
+     */
+    QUICK_ENTRY_WORDS: {
+        receivable: ['invoice', 'invoiced', 'sale', 'sold', 'income', 'revenue', 'billed'],
+        payable: ['bill', 'expense', 'bought', 'purchase', 'purchased', 'spent'],
+        settled: ['paid', 'received', 'settled'],
+        pending: ['pending', 'unpaid', 'owed', 'owe', 'outstanding'],
+        filler: ['for', 'to', 'from', 'on', 'at', 'the', 'a', 'an', 'of', 'in', 'with', 'and', 'by', 'via', 'dated', 'due']
+    },
+
+    /**
+     * Parse a quick entry phrase such as "utilities 240 paid today" or "invoice Acme 1500 due next month".
+     * The amount is the first number; "due ..." sets the month due, "paid/received ..." the settlement,
+     * "on ..." (or a bare date or month) the entry date, which otherwise follows a past settlement date.
+     * Dates may be today, yesterday, tomorrow, this/next/last month, "in 30 days", a month name with or
+     * without a day ("march 3"), or a written date. The remaining words are matched loosely against
+     * customer/vendor names first, then category names.
+     * @param {string} text - Phrase typed by the user
+     * @param {Array} categories - From Database.getCategories
+     * @param {Array} counterparties - From Database.getCounterparties
+     * @param {string} today - Today's date (YYYY-MM-DD)
+     * @returns {Object} {entry_date, amount, transaction_type, status ('pending'|'paid'|'received'), date_processed,
+     *          month_due, month_paid, category, counterparty, typeFromWords, unmatched: Array<string>}
+     */
+    parseQuickEntry(text, categories, counterparties, today = this.getTodayDate()) {
+        const words = this.QUICK_ENTRY_WORDS;
+        const tokens = String(text || '').toLowerCase().replace(/[^\w$.,/\-\s]/g, ' ').split(/\s+/).filter(Boolean)
+            .map(token => token.replace(/[.,]+$/, ''));
+        const result = {
+            entry_date: null,
+            amount: null,
+            transaction_type: null,
+            status: null,
+            date_processed: null,
+            month_due: null,
+            month_paid: null,
+            category: null,
+            counterparty: null,
+            typeFromWords: null,
+            unmatched: []
+        };
+        let settledCue = null;
+        const nameWords = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const next = this._parseQuickEntryWhen(tokens, i + 1, today);
+
+            if (result.amount === null && /^\$?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?k?$/.test(token)) {
+                const value = parseFloat(token.replace(/[$,k]/g, ''));
+                result.amount = Math.round(value * (token.endsWith('k') ? 1000 : 1) * 100) / 100;
+            } else if (token === 'due') {
+                if (next) {
+                    result.month_due = next.month;
+                    i += next.length;
+                }
+                if (!result.status) result.status = 'pending';
+            } else if (words.settled.includes(token)) {
+                result.status = 'settled';
+                if (token !== 'settled') settledCue = token === 'received' ? 'receivable' : 'payable';
+                if (next) {
+                    result.month_paid = next.month;
+                    result.date_processed = next.date;
+                    i += next.length;
+                }
+            } else if (words.pending.includes(token)) {
+                result.status = 'pending';
+            } else if (words.receivable.includes(token) || words.payable.includes(token)) {
+                result.typeFromWords = words.receivable.includes(token) ? 'receivable' : 'payable';
+            } else if ((token === 'on' || token === 'dated') && next && next.date) {
+                result.entry_date = next.date;
+                i += next.length;
+            } else {
+                // A bare month dates the entry on its first day (today when it is this month)
+                const when = this._parseQuickEntryWhen(tokens, i, today);
+                if (when && !result.entry_date) {
+                    result.entry_date = when.date || (when.month === today.substring(0, 7) ? today : `${when.month}-01`);
+                    i += when.length - 1;
+                } else if (!words.filler.includes(token) && /[a-z]/.test(token)) {
+                    nameWords.push(token);
+                }
+            }
+        }
+
+        // Customer/vendor names must match closely; categories may match on part of the name
+        const used = new Set();
+        const counterparty = this._bestQuickEntryMatch(counterparties, nameWords, used, 0.75);
+        if (counterparty) {
+            result.counterparty = counterparty.item;
+            counterparty.used.forEach(index => used.add(index));
+        }
+        const category = this._bestQuickEntryMatch(categories, nameWords, used, 0.6);
+        if (category) {
+            result.category = category.item;
+            category.used.forEach(index => used.add(index));
+        }
+        result.unmatched = nameWords.filter((word, index) => !used.has(index));
+
+        const counterpartyType = result.counterparty
+            ? { customer: 'receivable', vendor: 'payable' }[result.counterparty.counterparty_type]
+            : null;
+        result.transaction_type = result.typeFromWords ||
+            (result.category && result.category.default_type) || settledCue || counterpartyType || 'payable';
+        // "paid yesterday" happened yesterday; a settlement still to come leaves the entry dated today
+        if (!result.entry_date && result.date_processed && result.date_processed < today) {
+            result.entry_date = result.date_processed;
+        }
+        result.entry_date = result.entry_date || today;
+        if (result.status === 'settled') {
+            result.status = result.transaction_type === 'receivable' ? 'received' : 'paid';
+            if (!result.month_paid) {
+                result.month_paid = result.entry_date.substring(0, 7);
+                result.date_processed = result.entry_date;
+            }
+        }
+        result.status = result.status || 'pending';
+        if (!result.month_due && result.counterparty && Number.isInteger(result.counterparty.payment_terms_days)) {
+            const due = new Date(result.entry_date + 'T00:00:00');
+            due.setDate(due.getDate() + result.counterparty.payment_terms_days);
+            result.month_due = `${due.getFullYear()}-${String(due.getMonth() + 1).padStart(2, '0')}`;
+        }
+        return result;
+    },
+
+    /**
+     * Read a date or month expression at a token position (see parseQuickEntry)
+     * @param {Array<string>} tokens - Lowercased words
+     * @param {number} index - Position to read from
+     * @param {string} today - Today's date (YYYY-MM-DD)
+     * @returns {{date: string|null, month: string, length: number}|null} The expression and how many tokens it used
+     */
+    _parseQuickEntryWhen(tokens, index, today) {
+        const token = tokens[index];
+        if (!token) return null;
+        const shiftDays = (days) => {
+            const date = new Date(today + 'T00:00:00');
+            date.setDate(date.getDate() + days);
+            const iso = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+            return { date: iso, month: iso.substring(0, 7) };
+        };
+        const month = today.substring(0, 7);
+        const nextToken = tokens[index + 1];
+
+        const dayOffsets = { today: 0, yesterday: -1, tomorrow: 1 };
+        if (token in dayOffsets) return { ...shiftDays(dayOffsets[token]), length: 1 };
+
+        const monthOffsets = { this: 0, next: 1, last: -1 };
+        if (token in monthOffsets && nextToken === 'month') {
+            return { date: null, month: this.addMonths(month, monthOffsets[token]), length: 2 };
+        }
+
+        // "in 30 days", "in 2 weeks", "in 3 months"
+        const count = parseInt(nextToken);
+        const unit = tokens[index + 2];
+        if (token === 'in' && String(count) === nextToken && unit) {
+            if (/^days?$/.test(unit)) return { ...shiftDays(count), length: 3 };
+            if (/^weeks?$/.test(unit)) return { ...shiftDays(count * 7), length: 3 };
+            if (/^months?$/.test(unit)) return { date: null, month: this.addMonths(month, count), length: 3 };
+        }
+
+        // Month name, optionally followed by a day ("march 3", "march 3rd") and a year
+        const names = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const nameIndex = /^[a-z]{3,9}$/.test(token) ? names.indexOf(token.substring(0, 3)) : -1;
+        const fullNames = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+        if (nameIndex >= 0 && fullNames[nameIndex].startsWith(token)) {
+            const monthNumber = String(nameIndex + 1).padStart(2, '0');
+            const dayMatch = /^(\d{1,2})(st|nd|rd|th)?$/.exec(nextToken || '');
+            const dayYear = dayMatch && /^\d{4}$/.test(tokens[index + 2] || '') ? tokens[index + 2] : null;
+            const dayDate = dayMatch
+                ? this.parseDateValue(`${dayYear || today.substring(0, 4)}-${monthNumber}-${dayMatch[1].padStart(2, '0')}`)
+                : null;
+            if (dayDate) return { date: dayDate, month: dayDate.substring(0, 7), length: dayYear ? 3 : 2 };
+            const hasYear = /^\d{4}$/.test(nextToken || '');
+            const year = hasYear ? nextToken : today.substring(0, 4);
+            return { date: null, month: `${year}-${monthNumber}`, length: hasYear ? 2 : 1 };
+        }
+
+        // Written dates: 2026-03-15, 3/15/2026, 3/15 (this year), or a month such as 2026-03
+        const date = this.parseDateValue(token) ||
+            (/^\d{1,2}\/\d{1,2}$/.test(token) ? this.parseDateValue(`${token}/${today.substring(0, 4)}`) : null);
+        if (date) return { date, month: date.substring(0, 7), length: 1 };
+        if (/^\d{4}-\d{2}$/.test(token)) {
+            const parsedMonth = this.parseMonthValue(token);
+            if (parsedMonth) return { date: null, month: parsedMonth, length: 1 };
+        }
+        return null;
+    },
+
+    /**
+     * Find the name that best matches the free words of a quick entry. Each word of a name is scored
+     * against the closest free word (exact, prefix such as "util" for "utilities", or a near spelling);
+     * matching every word of a name scores higher than matching some of them.
+     * @param {Array<{name: string}>} items - Categories or counterparties
+     * @param {Array<string>} nameWords - Free words from the phrase
+     * @param {Set<number>} taken - Word positions already used by another match
+     * @param {number} threshold - Lowest score accepted (0-1)
+     * @returns {{item: Object, used: Array<number>}|null} Best match and the word positions it used
+     */
+    _bestQuickEntryMatch(items, nameWords, taken, threshold) {
+        const similarity = (a, b) => {
+            if (a === b) return 1;
+            if (Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a))) return 0.9;
+            const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+            for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+            for (let i = 1; i <= a.length; i++) {
+                for (let j = 1; j <= b.length; j++) {
+                    rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1,
+                        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                }
+            }
+            return 1 - rows[a.length][b.length] / Math.max(a.length, b.length);
+        };
+
+        let best = null;
+        items.forEach(item => {
+            const nameTokens = String(item.name).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+            if (nameTokens.length === 0) return;
+            const used = [];
+            let total = 0;
+            let top = 0;
+            nameTokens.forEach(nameToken => {
+                let match = null;
+                nameWords.forEach((word, index) => {
+                    if (taken.has(index) || used.includes(index)) return;
+                    const score = similarity(nameToken, word);
+                    if (score >= 0.75 && (!match || score > match.score)) match = { index, score };
+                });
+                if (match) {
+                    used.push(match.index);
+                    total += match.score;
+                    top = Math.max(top, match.score);
+                }
+            });
+            if (used.length === 0) return;
+            const score = 0.5 * (total / nameTokens.length) + 0.5 * top;
+            const better = !best || score > best.score ||
+                (score === best.score && nameTokens.length < best.length);
+            if (score >= threshold && better) best = { item, used, score, length: nameTokens.length };
+        });
+        return best ? { item: best.item, used: best.used } : null;
+    },
+
     /**
      * Debounce a function
      * @param {Function} func - Function to debounce
@@ -290,6 +855,32 @@ const Utils = {
         };
     },
 
+    /**
+     * Find the slice of a list of stacked rows to draw: the rows overlapping the viewport,
+     * plus `overscan` rows either side. Heights are read no further than the viewport's bottom.
+     * @param {number} count - Number of rows
+     * @param {Function} heightAt - (index) => row height in pixels
+     * @param {number} top - Viewport position of the first row's top edge
+     * @param {number} viewBottom - Viewport height
+     * @param {number} overscan - Extra rows to draw above and below
+     * @returns {{start: number, end: number}} Rows start to end (exclusive); empty when none are visible
+     */
+    computeWindowRange(count, heightAt, top, viewBottom, overscan) {
+        let y = top;
+        let first = -1;
+        let last = -1;
+        for (let i = 0; i < count && y < viewBottom; i++) {
+            const height = heightAt(i);
+            if (y + height > 0) {
+                if (first === -1) first = i;
+                last = i;
+            }
+            y += height;
+        }
+        if (first === -1) return { start: 0, end: 0 };
+        return { start: Math.max(0, first - overscan), end: Math.min(count, last + 1 + overscan) };
+    },
+
     /**
      * Sort transactions by date (newest first)
      * @param {Array} transactions - Array of transactions
@@ -640,6 +1231,160 @@ const Utils = {
         return schedule;
     },
 
+    /**
+     * Cost a product's sales from its purchase lots, replaying both in date order
+     * (purchases before sales on the same day). FIFO draws the oldest lots down first;
+     * 'average' costs each sale at the moving weighted average of what is on hand.
+     * A sale that empties the shelf takes whatever value is left, so no rounding residue
+     * stays behind. Quantity sold beyond what is on hand is costed at zero and reported
+     * as the sale's shortfall.
+     * @param {Array} purchases - [{ id, purchase_date, quantity, unit_cost }]
+     * @param {Array} sales - [{ id, sale_date, quantity }]
+     * @param {string} method - 'fifo' | 'average'
+     * @returns {Object} { movements, cogsByMonth, remainingByLot, onHandQuantity, onHandValue, shortfall }
+     */
+    computeInventoryCosts(purchases, sales, method = 'fifo') {
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const round4 = (v) => Math.round(v * 10000) / 10000;
+
+        const events = [
+            ...purchases.map(p => ({ kind: 'purchase', id: p.id, date: p.purchase_date, quantity: p.quantity, unit_cost: p.unit_cost })),
+            ...sales.map(s => ({ kind: 'sale', id: s.id, date: s.sale_date, quantity: s.quantity }))
+        ].sort((a, b) => a.date.localeCompare(b.date)
+            || (a.kind === b.kind ? a.id - b.id : (a.kind === 'purchase' ? -1 : 1)));
+
+        const lots = [];
+        const remainingByLot = {};
+        const cogsByMonth = {};
+        let onHandQuantity = 0;
+        let onHandValue = 0;
+        let shortfall = 0;
+
+        const movements = events.map(e => {
+            let cost;
+            let short = 0;
+            if (e.kind === 'purchase') {
+                cost = round2(e.quantity * e.unit_cost);
+                lots.push({ id: e.id, quantity: e.quantity, unit_cost: e.unit_cost });
+                remainingByLot[e.id] = e.quantity;
+                onHandQuantity = round4(onHandQuantity + e.quantity);
+                onHandValue = round2(onHandValue + cost);
+            } else {
+                const taken = Math.min(e.quantity, onHandQuantity);
+                short = round4(e.quantity - taken);
+                shortfall = round4(shortfall + short);
+
+                // FIFO: draw down lots oldest first (also tracks what is left of each lot)
+                let fifoCost = 0;
+                let remaining = taken;
+                while (remaining > 0 && lots.length > 0) {
+                    const lot = lots[0];
+                    const take = Math.min(remaining, lot.quantity);
+                    fifoCost += take * lot.unit_cost;
+                    lot.quantity = round4(lot.quantity - take);
+                    remainingByLot[lot.id] = lot.quantity;
+                    remaining = round4(remaining - take);
+                    if (lot.quantity <= 0) lots.shift();
+                }
+
+                if (taken === onHandQuantity) {
+                    cost = onHandValue;
+                } else if (method === 'average') {
+                    cost = round2(onHandValue * taken / onHandQuantity);
+                } else {
+                    cost = round2(fifoCost);
+                }
+                onHandQuantity = round4(onHandQuantity - taken);
+                onHandValue = round2(onHandValue - cost);
+
+                const month = e.date.substring(0, 7);
+                cogsByMonth[month] = round2((cogsByMonth[month] || 0) + cost);
+            }
+            return { ...e, cost, short, on_hand_quantity: onHandQuantity, on_hand_value: onHandValue };
+        });
+
+        return { movements, cogsByMonth, remainingByLot, onHandQuantity, onHandValue, shortfall };
+    },
+
+    /** Paychecks per year for each pay schedule */
+    PAY_PERIODS_PER_YEAR: { weekly: 52, biweekly: 26, semimonthly: 24, monthly: 12 },
+
+    /**
+     * Default gross pay for one paycheck: a salary spread evenly over the year's
+     * pay periods, or the hourly rate times the hours worked.
+     * @param {Object} employee - { pay_type, pay_rate, pay_frequency }
+     * @param {number} hours - Hours worked this period (hourly employees)
+     * @returns {number} Gross pay
+     */
+    computeGrossPay(employee, hours) {
+        if (employee.pay_type === 'hourly') {
+            return Math.round(employee.pay_rate * (hours || 0) * 100) / 100;
+        }
+        const periods = this.PAY_PERIODS_PER_YEAR[employee.pay_frequency] || 12;
+        return Math.round(employee.pay_rate / periods * 100) / 100;
+    },
+
+    /**
+     * Compute one paycheck's withholding, employer taxes and net pay from a gross amount.
+     * Percent rates come from the payroll settings. Social Security, FUTA and SUTA stop at
+     * their yearly wage bases, so the year-to-date gross paid before this check matters.
+     * @param {number} gross - Gross pay for this check
+     * @param {number} ytdGross - Gross already paid to the employee earlier in the calendar year
+     * @param {Object} rates - Database.getPayrollConfig() result
+     * @returns {Object} { gross_pay, federal_withholding, state_withholding, social_security, medicare,
+     *                     net_pay, employer_social_security, employer_medicare, futa, suta, employer_taxes }
+     */
+    computePaycheck(gross, ytdGross, rates) {
+        const round2 = (v) => Math.round(v * 100) / 100;
+        const pct = (amount, rate) => round2(amount * (rate || 0) / 100);
+        // Part of this check that still falls under a yearly wage base (no base = all of it)
+        const taxable = (base) => (base > 0 ? Math.max(0, Math.min(gross, base - ytdGross)) : gross);
+
+        const ssWages = taxable(rates.social_security_wage_base);
+        const check = {
+            gross_pay: round2(gross),
+            federal_withholding: pct(gross, rates.federal_withholding_rate),
+            state_withholding: pct(gross, rates.state_withholding_rate),
+            social_security: pct(ssWages, rates.social_security_rate),
+            medicare: pct(gross, rates.medicare_rate),
+            employer_social_security: pct(ssWages, rates.employer_social_security_rate),
+            employer_medicare: pct(gross, rates.employer_medicare_rate),
+            futa: pct(taxable(rates.futa_wage_base), rates.futa_rate),
+            suta: pct(taxable(rates.suta_wage_base), rates.suta_rate)
+        };
+        check.net_pay = round2(gross - check.federal_withholding - check.state_withholding - check.social_security - check.medicare);
+        check.employer_taxes = round2(check.employer_social_security + check.employer_medicare + check.futa + check.suta);
+        return check;
+    },
+
+    /**
+     * Sales tax due on a pretax amount at a percent rate
+     * @param {number} pretax - Taxable amount
+     * @param {number} ratePercent - Tax rate, e.g. 8.25 for 8.25%
+     * @returns {number} Tax, rounded to cents
+     */
+    computeSalesTax(pretax, ratePercent) {
+        return Math.round((pretax || 0) * (ratePercent || 0)) / 100;
+    },
+
+    /**
+     * First and last month of a sales tax filing period
+     * @param {string|number} year - Four-digit year
+     * @param {string} period - 'year', 'Q1'..'Q4', or a two-digit month '01'..'12'
+     * @returns {{from: string, to: string}} Months in YYYY-MM format
+     */
+    getFilingPeriodMonths(year, period) {
+        if (/^Q[1-4]$/.test(period)) {
+            const first = (Number(period[1]) - 1) * 3 + 1;
+            return {
+                from: `${year}-${String(first).padStart(2, '0')}`,
+                to: `${year}-${String(first + 2).padStart(2, '0')}`
+            };
+        }
+        if (/^\d{2}$/.test(period)) return { from: `${year}-${period}`, to: `${year}-${period}` };
+        return { from: `${year}-01`, to: `${year}-12` };
+    },
+
     /**
      * Get a specific month's interest from a pre-computed amortization schedule.
      * @param {Array} schedule - Amortization schedule from computeAmortizationSchedule
@@ -0,0 +1,1491 @@
+/**
+ * Ledger Test Suite
+ *
+ * Posts entries into a fresh in-memory database and checks the resulting
+ * balances against the reports. Open ledger.test.html in a browser to run.
+ */
+
+// ==================== HELPERS ====================
+
+let SQL = null;
+
+/**
+ * Give Database a fresh in-memory schema that never touches IndexedDB
+ */
+function resetDatabase() {
+    Database.SQL = SQL;
+    Database.db = new SQL.Database();
+    Database.autoSave = () => {};
+    Database.createSchema();
+}
+
+function categoryId(name) {
+    return Database.getCategories().find(c => c.name === name).id;
+}
+
+function accountBalance(code, month) {
+    const account = Object.values(Database.getAccountBalancesAsOf(month)).find(a => a.code === code);
+    return account ? account.balance : 0;
+}
+
+/**
+ * Let the current task end, so the next change starts a new undo batch
+ */
+function nextTask() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Every journal line in a stable order, to compare against a full rebuild
+ */
+function journalSnapshot() {
+    const results = Database.db.exec(`
+        SELECT source_type, source_id, month, account_id, category_id, debit, credit FROM journal_lines
+        ORDER BY source_type, source_id, month, account_id, category_id, debit, credit
+    `);
+    return results.length > 0 ? JSON.stringify(results[0].values) : '[]';
+}
+
+/**
+ * Two receivables and a payable in separate months, under corporate tax with a loan running
+ * @returns {Array<number>} Transaction IDs
+ */
+function addSalesAndUtilities() {
+    Database.addCategory('Sales', false, null, 'receivable');
+    Database.setPLTaxMode('corporate');
+    Database.addLoan({ name: 'Bank Loan', principal: 10000, annual_rate: 6, term_months: 12, start_date: '2025-01-01' });
+    return [
+        Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+            transaction_type: 'receivable', status: 'pending', month_due: '2025-01' }),
+        Database.addTransaction({ entry_date: '2025-02-05', category_id: categoryId('Sales'), amount: 600,
+            transaction_type: 'receivable', status: 'pending', month_due: '2025-02' }),
+        Database.addTransaction({ entry_date: '2025-02-05', category_id: categoryId('Utilities'), amount: 200,
+            transaction_type: 'payable', status: 'pending', month_due: '2025-02' })
+    ];
+}
+
+// ==================== TESTS ====================
+
+(async function runAllTests() {
+    const T = TestRunner;
+    SQL = await initSqlJs({
+        locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${file}`
+    });
+
+    // ---- Retained earnings ----
+
+    T.suite('Retained earnings');
+
+        const RETAINED_EARNINGS_CASES = [
+            { name: 'accrued revenue only', taxMode: 'passthrough', entries: [
+                { category: 'Sales', amount: 1000, type: 'receivable', status: 'pending', month_due: '2025-01' }
+            ] },
+            { name: 'paid expense with no month due', taxMode: 'passthrough', entries: [
+                { category: 'Sales', amount: 1000, type: 'receivable', status: 'pending', month_due: '2025-01' },
+                { category: 'Utilities', amount: 240, type: 'payable', status: 'paid', month_paid: '2025-01' }
+            ] },
+            { name: 'taxed receipt with no month due', taxMode: 'passthrough', entries: [
+                { category: 'Sales', amount: 108, pretax_amount: 100, type: 'receivable', status: 'received', month_paid: '2025-02' }
+            ] },
+            { name: 'mixed entries under corporate tax', taxMode: 'corporate', entries: [
+                { category: 'Sales', amount: 1000, type: 'receivable', status: 'received', month_due: '2025-01', month_paid: '2025-02' },
+                { category: 'Utilities', amount: 240, type: 'payable', status: 'paid', month_paid: '2025-01' },
+                { category: 'Utilities', amount: 300, type: 'payable', status: 'pending', month_due: '2025-02' }
+            ] }
+        ];
+
+        RETAINED_EARNINGS_CASES.forEach(c => {
+            T.test(`equal cumulative net income: ${c.name}`, () => {
+                resetDatabase();
+                Database.addCategory('Sales', false, null, 'receivable');
+                Database.setPLTaxMode(c.taxMode);
+                c.entries.forEach(e => Database.addTransaction({
+                    entry_date: '2025-01-05', category_id: categoryId(e.category), amount: e.amount,
+                    pretax_amount: e.pretax_amount || null, transaction_type: e.type, status: e.status,
+                    month_due: e.month_due || null, month_paid: e.month_paid || null
+                }));
+                Database.rebuildLedger();
+                ['2025-01', '2025-02', '2025-03'].forEach(month => {
+                    T.assertEqual(Database.getRetainedEarningsAsOf(month),
+                        Database.getPLTotalsThrough(month, c.taxMode).totalNIAT, month);
+                });
+            });
+        });
+
+        T.test('equal cumulative net income: payment under a loan category', () => {
+            resetDatabase();
+            Database.setPLTaxMode('corporate');
+            Database.addLoan({ name: 'Bank Loan', principal: 10000, annual_rate: 6, term_months: 12, start_date: '2025-01-01' });
+            Database.addCategory('Bank Loan', true, 860.66, 'payable');
+            Database.addTransaction({
+                entry_date: '2025-02-01', category_id: categoryId('Bank Loan'), amount: 860.66,
+                transaction_type: 'payable', status: 'paid', month_due: '2025-02', month_paid: '2025-02'
+            });
+            ['2025-01', '2025-02', '2025-03'].forEach(month => {
+                T.assertEqual(Database.getRetainedEarningsAsOf(month),
+                    Database.getPLTotalsThrough(month, 'corporate').totalNIAT, month);
+            });
+        });
+
+        T.test('equal cumulative net income: receivable in a COGS category', () => {
+            resetDatabase();
+            Database.setPLTaxMode('corporate');
+            Database.addCategory('Freight', false, null, 'payable', null, false, true);
+            Database.addTransaction({
+                entry_date: '2025-01-05', category_id: categoryId('Freight'), amount: 100,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01'
+            });
+            const totals = Database.getPLTotalsThrough('2025-01', 'corporate');
+            T.assertEqual(totals.totalCogs, -100, 'COGS credited');
+            T.assertEqual(Database.getRetainedEarningsAsOf('2025-01'), totals.totalNIAT, 'net income');
+        });
+
+        T.test('equal cumulative net income: payable in a depreciation category', () => {
+            resetDatabase();
+            Database.setPLTaxMode('passthrough');
+            Database.addCategory('Vehicle Depreciation', false, null, 'payable', null, false, false, true);
+            Database.addTransaction({
+                entry_date: '2025-01-05', category_id: categoryId('Vehicle Depreciation'), amount: 70,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01'
+            });
+            T.assertEqual(Database.getPLTotalsThrough('2025-01', 'passthrough').totalNIAT, -70, 'depreciation expensed');
+            T.assertEqual(Database.getRetainedEarningsAsOf('2025-01'), -70, 'retained earnings');
+
+            Database.setPLOverride(categoryId('Vehicle Depreciation'), '2025-01', 50);
+            T.assertEqual(Database.getPLTotalsThrough('2025-01', 'passthrough').totalNIAT, -50, 'override replaces it');
+            T.assertEqual(Database.getRetainedEarningsAsOf('2025-01'), -50, 'retained earnings with override');
+        });
+
+        T.test('equal cumulative net income: income tax override in a quiet month', () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            Database.setPLTaxMode('corporate');
+            Database.addTransaction({
+                entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01'
+            });
+            Database.setPLOverride(-1, '2025-03', 40);
+            ['2025-02', '2025-03'].forEach(month => {
+                T.assertEqual(Database.getRetainedEarningsAsOf(month),
+                    Database.getPLTotalsThrough(month, 'corporate').totalNIAT, month);
+            });
+            T.assertEqual(Database.getPLTotalsThrough('2025-03', 'corporate').totalTax, 250, 'tax');
+        });
+
+    // ---- Posting ----
+
+    T.suite('Posting');
+
+        T.test('a receivable accrues in its month due and moves to cash when received', () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            Database.setPLTaxMode('passthrough');
+            Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'received', month_due: '2025-01', month_paid: '2025-02' });
+
+            T.assertEqual(Database.getAccountsReceivableAsOf('2025-01'), 1000, 'January receivable');
+            T.assertEqual(Database.getCashAsOf('2025-01'), 0, 'January cash');
+            T.assertEqual(Database.getAccountsReceivableAsOf('2025-02'), 0, 'February receivable');
+            T.assertEqual(Database.getCashAsOf('2025-02'), 1000, 'February cash');
+            T.assertEqual(Database.getRetainedEarningsAsOf('2025-01'), 1000, 'earned when due');
+        });
+
+        T.test('every entry posts equal debits and credits', () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 108, pretax_amount: 100,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            Database.addTransaction({ entry_date: '2025-01-10', category_id: categoryId('Utilities'), amount: 240,
+                transaction_type: 'payable', status: 'paid', month_due: '2025-01', month_paid: '2025-02' });
+            Database.addLoan({ name: 'Bank Loan', principal: 10000, annual_rate: 6, term_months: 12, start_date: '2025-01-01' });
+
+            const totals = Database.db.exec('SELECT ROUND(SUM(debit), 2), ROUND(SUM(credit), 2) FROM journal_lines')[0].values[0];
+            T.assertEqual(totals[0], totals[1], 'debits and credits');
+            T.assertEqual(Database.getSalesTaxPayableAsOf('2025-01'), 8, 'sales tax payable');
+            T.assertEqual(Database.getAccountsPayableAsOf('2025-01'), 240, 'payable until paid');
+            T.assertEqual(Database.getCashAsOf('2025-02'), -240, 'paid in February');
+        });
+
+        T.test('a transaction change leaves the schedules alone and matches a full rebuild', () => {
+            resetDatabase();
+            const [first] = addSalesAndUtilities();
+            let reposts = 0;
+            const postScheduled = Database.postScheduledLedgerEntries;
+            Database.postScheduledLedgerEntries = function() { reposts++; return postScheduled.apply(this, arguments); };
+            try {
+                Database.updateTransactionStatus(first, 'received', '2025-03');
+                Database.setPLOverride(categoryId('Sales'), '2025-01', 900);
+                reposts = 0;
+                const t = Database.getTransactionById(first);
+                Database.updateTransaction(first, { ...t, month_due: '2025-02' });
+            } finally {
+                Database.postScheduledLedgerEntries = postScheduled;
+            }
+            T.assertEqual(reposts, 0, 'schedule re-posts');
+            const posted = journalSnapshot();
+            Database.rebuildLedger();
+            T.assertEqual(posted, journalSnapshot(), 'journal lines');
+        });
+
+        T.test('bulk status changes post once and match a full rebuild', () => {
+            resetDatabase();
+            const ids = addSalesAndUtilities();
+            let posts = 0;
+            const postTransactions = Database._postTransactionsToLedger;
+            Database._postTransactionsToLedger = function(batch) {
+                if (!this._ledgerBatchIds) posts++;
+                return postTransactions.apply(this, arguments);
+            };
+            try {
+                Database.bulkUpdateTransactionStatus(ids, 'settled', '2025-03', '2025-03-10');
+            } finally {
+                Database._postTransactionsToLedger = postTransactions;
+            }
+            T.assertEqual(posts, 1, 'ledger posts');
+            T.assertEqual(Database.getTransactions().filter(t => t.status === 'pending').length, 0, 'all settled');
+            const posted = journalSnapshot();
+            Database.rebuildLedger();
+            T.assertEqual(posted, journalSnapshot(), 'journal lines');
+        });
+
+        T.test('bulk delete is all or nothing', async () => {
+            resetDatabase();
+            const ids = addSalesAndUtilities();
+            Database.updateTransactionStatus(ids[0], 'received', '2025-01');
+            Database.addTransactionCredit(ids[0], { kind: 'refund', amount: 100, date: '2025-01-20' });
+            const before = journalSnapshot();
+
+            await T.assertThrows(() => Database.bulkDeleteTransactions([ids[2], ids[0]]), 'entry with a refund');
+            T.assertTrue(Database.getTransactionById(ids[2]), 'first entry kept');
+            T.assertEqual(journalSnapshot(), before, 'journal lines');
+        });
+
+    // ---- Split sales tax ----
+
+    T.suite('Split sales tax');
+
+        const SPLIT_TAX_CASES = [
+            { name: 'even split', amount: 2080, pretax: 2000, lines: [['Sales', 1040], ['Services', 1040]], revenue: 2000, tax: 80 },
+            { name: 'uneven thirds', amount: 100, pretax: 90, lines: [['Sales', 33.33], ['Services', 33.33], ['Sales', 33.34]], revenue: 90, tax: 10 },
+            { name: 'tax on its own line', amount: 1080, pretax: 1000, lines: [['Sales', 1000], ['Tax Collected', 80]], revenue: 1000, tax: 80 }
+        ];
+
+        SPLIT_TAX_CASES.forEach(c => {
+            T.test(`split receivable keeps its sales tax: ${c.name}`, () => {
+                resetDatabase();
+                Database.addCategory('Sales', false, null, 'receivable');
+                Database.addCategory('Services', false, null, 'receivable');
+                Database.addCategory('Tax Collected', false, null, 'receivable', null, false, false, false, true);
+                Database.addTransaction({
+                    entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: c.amount, pretax_amount: c.pretax,
+                    transaction_type: 'receivable', status: 'pending', month_due: '2025-01',
+                    splits: c.lines.map(([name, amount]) => ({ category_id: categoryId(name), amount }))
+                });
+                T.assertEqual(accountBalance('4000', '2025-01'), c.revenue, 'revenue');
+                T.assertEqual(Database.getSalesTaxPayableAsOf('2025-01'), c.tax, 'sales tax payable');
+                T.assertEqual(Database.getRetainedEarningsAsOf('2025-01'),
+                    Database.getPLTotalsThrough('2025-01', Database.getPLTaxMode()).totalNIAT, 'net income');
+            });
+        });
+
+    // ---- Void and reversing entries ----
+
+    T.suite('Void and reversing entries');
+
+        T.test('voiding keeps the entry and books a reversal dated today', () => {
+            resetDatabase();
+            Database.setPLTaxMode('passthrough');
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 200,
+                transaction_type: 'payable', status: 'paid', month_due: '2025-01', month_paid: '2025-01' });
+            const reversalId = Database.voidTransaction(id, 'Billed twice');
+            const month = Utils.getCurrentMonth();
+
+            T.assertEqual(Database.getTransactionById(id).voided_by, reversalId, 'original points at its reversal');
+            const reversal = Database.getTransactionById(reversalId);
+            T.assertEqual(reversal.amount, -200, 'reversal amount');
+            T.assertEqual(reversal.month_due, month, 'reversal month due');
+            T.assertTrue(reversal.notes.endsWith('Billed twice'), 'reason kept');
+            T.assertEqual(accountBalance('1000', '2025-01'), -200, 'cash before the void');
+            T.assertEqual(accountBalance('1000', month), 0, 'cash after the void');
+            T.assertEqual(Database.getRetainedEarningsAsOf(month), 0, 'expense reversed');
+        });
+
+        T.test('an entry can only be voided once', async () => {
+            resetDatabase();
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 200,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' });
+            const reversalId = Database.voidTransaction(id);
+            await T.assertThrows(() => Database.voidTransaction(id), 'original');
+            await T.assertThrows(() => Database.voidTransaction(reversalId), 'reversal');
+        });
+
+        T.test('a voided entry and its reversal cannot be deleted, one at a time or in bulk', async () => {
+            resetDatabase();
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 200,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' });
+            const other = Database.addTransaction({ entry_date: '2025-01-06', category_id: categoryId('Utilities'), amount: 50,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' });
+            const reversalId = Database.voidTransaction(id);
+
+            await T.assertThrows(() => Database.deleteTransaction(id), 'original');
+            await T.assertThrows(() => Database.deleteTransaction(reversalId), 'reversal');
+            await T.assertThrows(() => Database.bulkDeleteTransactions([other, reversalId]), 'bulk');
+            T.assertTrue(Database.getTransactionById(other), 'bulk delete undone');
+            T.assertEqual(Database.getTransactionById(id).voided_by, reversalId, 'pair kept');
+        });
+
+        T.test('removing a recurring template keeps voided and credited occurrences', async () => {
+            resetDatabase();
+            const templateId = Database.addRecurringTemplate({ name: 'Office rent', category_id: categoryId('Utilities'),
+                transaction_type: 'payable', amount: 900, frequency: 'monthly', start_date: '2025-01-15' });
+            Database.generateRecurringTransactions('2025-03-31');
+            const [january, february] = Database.getTransactions().filter(t => t.source_type === 'recurring')
+                .sort((a, b) => a.entry_date.localeCompare(b.entry_date));
+            const reversalId = Database.voidTransaction(january.id);
+            Database.addTransactionCredit(february.id, { kind: 'credit_memo', amount: 100, date: '2025-02-20' });
+
+            T.assertEqual(Database.regenerateRecurringTransactions(templateId, '2025-03-31'), 1, 'only March rebuilt');
+            Database.deleteRecurringTemplate(templateId);
+            const left = Database.getTransactions().filter(t => t.source_type === 'recurring');
+            T.assertEqual(left.map(t => t.entry_date).sort().join(','), '2025-01-15,2025-02-15', 'kept');
+            T.assertEqual(Database.getTransactionById(reversalId).source_id, january.id, 'reversal kept');
+        });
+
+        T.test('partly paid entries and fixed asset purchases cannot be voided', async () => {
+            resetDatabase();
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 200,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' });
+            Database.addTransactionPayment(id, { payment_date: '2025-01-20', month_paid: '2025-01', amount: 50 });
+            await T.assertThrows(() => Database.voidTransaction(id), 'partly paid');
+            T.assertEqual(Database.getTransactionById(id).voided_by, null, 'not voided');
+
+            const assetId = Database.addFixedAsset('Laptop', 1500, 36, '2025-01-10');
+            const purchase = Database.addTransaction({ entry_date: '2025-01-10', category_id: categoryId('Supplies'), amount: 1500,
+                transaction_type: 'payable', status: 'paid', month_paid: '2025-01', source_type: 'asset_purchase', source_id: assetId });
+            await T.assertThrows(() => Database.voidTransaction(purchase), 'asset purchase');
+            await T.assertThrows(() => Database.voidTransaction(id + 1000), 'missing entry');
+        });
+
+        T.test('a voided split entry reverses every line', () => {
+            resetDatabase();
+            Database.setPLTaxMode('passthrough');
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 300,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01',
+                splits: [{ category_id: categoryId('Utilities'), amount: 200 }, { category_id: categoryId('Supplies'), amount: 100 }] });
+            const reversal = Database.getTransactionById(Database.voidTransaction(id));
+
+            T.assertEqual(reversal.splits.map(line => line.amount).join(','), '-200,-100', 'reversed lines');
+            T.assertEqual(accountBalance('2000', Utils.getCurrentMonth()), 0, 'payable cleared');
+            T.assertEqual(Database.getRetainedEarningsAsOf(Utils.getCurrentMonth()), 0, 'expense reversed');
+        });
+
+        T.test('summaries count partial payments and leave voided entries out', () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const sale = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            Database.addTransactionPayment(sale, { payment_date: '2025-02-10', month_paid: '2025-02', amount: 400 });
+            const bill = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 200,
+                transaction_type: 'payable', status: 'paid', month_due: '2025-01', month_paid: '2025-01' });
+            Database.voidTransaction(bill);
+
+            const cashFlow = Database.getCashFlowSummary();
+            T.assertEqual(cashFlow.length, 1, 'cash flow months');
+            T.assertEqual(cashFlow[0].month, '2025-02', 'payment month');
+            T.assertEqual(cashFlow[0].cash_in, 400, 'cash in');
+            T.assertEqual(cashFlow[0].cash_out, 0, 'cash out');
+
+            const monthly = Database.getMonthlySummary();
+            T.assertEqual(monthly.length, 1, 'entry months');
+            T.assertEqual(monthly[0].received, 400, 'received');
+            T.assertEqual(monthly[0].pending_receivables, 600, 'still open');
+            T.assertEqual(monthly[0].paid, 0, 'paid');
+            T.assertEqual(monthly[0].total_entries, 1, 'entries');
+        });
+
+    // ---- Period close ----
+
+    T.suite('Period close');
+
+        /**
+         * Revenue in January under corporate tax, with the books closed through January
+         */
+        function closeJanuaryWithSales() {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            Database.setPLTaxMode('corporate');
+            Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            Database.closePeriod('2025-01');
+        }
+
+        T.test('entries touching a closed month are refused until it is reopened with a reason', async () => {
+            closeJanuaryWithSales();
+            const entry = { entry_date: '2025-02-03', category_id: categoryId('Utilities'), amount: 100,
+                transaction_type: 'payable', status: 'paid', month_due: '2025-01', month_paid: '2025-02' };
+            T.assertTrue(Database.isMonthClosed('2025-01-31'), 'January closed');
+            T.assertEqual(Database.isMonthClosed('2025-02'), false, 'February open');
+
+            const error = await T.assertThrows(() => Database.addTransaction(entry), 'due in January');
+            T.assertEqual(error.code, 'PERIOD_CLOSED', 'error code');
+            Database.addTransaction({ ...entry, month_due: '2025-02' });
+            await T.assertThrows(() => Database.closePeriod('2024-12'), 'already closed');
+            await T.assertThrows(() => Database.reopenPeriod('2025-01', ' '), 'no reason');
+
+            Database.reopenPeriod('2025-01', 'Missed bill');
+            T.assertEqual(Database.getClosedThrough(), '2024-12', 'closed through');
+            Database.addTransaction(entry);
+            const log = Database.getPeriodCloseLog();
+            T.assertEqual(log.map(row => `${row.action}:${row.closed_through}`).join(','), 'reopen:2024-12,close:2025-01', 'log');
+            T.assertEqual(log[0].reason, 'Missed bill', 'reason');
+        });
+
+        T.test('switching the tax mode is refused when it changes a closed month', async () => {
+            closeJanuaryWithSales();
+            const error = await T.assertThrows(() => Database.setPLTaxMode('passthrough'), 'tax mode');
+            T.assertEqual(error.code, 'PERIOD_CLOSED', 'error code');
+            T.assertEqual(Database.getPLTaxMode(), 'corporate', 'tax mode kept');
+            T.assertEqual(Database.getRetainedEarningsAsOf('2025-01'), 790, 'retained earnings');
+        });
+
+        T.test('category flags that move closed postings are refused; the rest go through', async () => {
+            closeJanuaryWithSales();
+            const sales = Database.getCategoryById(categoryId('Sales'));
+            const update = (changes) => {
+                const c = { ...sales, ...changes };
+                Database.updateCategory(c.id, c.name, c.is_monthly, c.default_amount, c.default_type, c.folder_id,
+                    c.show_on_pl, c.is_cogs, c.is_depreciation, c.is_sales_tax, c.is_b2b);
+            };
+            const error = await T.assertThrows(() => update({ is_cogs: 1 }), 'COGS flag');
+            T.assertEqual(error.code, 'PERIOD_CLOSED', 'error code');
+            T.assertEqual(Database.getCategoryById(sales.id).is_cogs, 0, 'flag kept');
+            await T.assertThrows(() => update({ show_on_pl: 1 }), 'hidden from P&L');
+
+            update({ name: 'Product Sales', is_b2b: 1 });
+            T.assertEqual(Database.getCategoryById(sales.id).name, 'Product Sales', 'renamed');
+            T.assertEqual(Database.getRetainedEarningsAsOf('2025-01'), 790, 'retained earnings');
+        });
+
+        T.test('equity dated in an open month goes through; undated equity is refused', async () => {
+            closeJanuaryWithSales();
+            Database.setEquityConfig({ common_stock_par: 1, common_stock_shares: 1000, apic: 0, seed_expected_date: '2025-03-01' });
+            T.assertEqual(accountBalance('3000', '2025-03'), 1000, 'common stock');
+
+            const error = await T.assertThrows(() => Database.setEquityConfig({ common_stock_par: 1, common_stock_shares: 1000, apic: 500 }), 'undated');
+            T.assertTrue(error.message.startsWith('The opening balance'), error.message);
+            T.assertEqual(Database.getEquityConfig().apic, 0, 'equity kept');
+        });
+
+    // ---- Undo and redo ----
+
+    T.suite('Undo and redo');
+
+        T.test('undo restores an edited entry and redo re-applies it', async () => {
+            resetDatabase();
+            Database.clearUndoHistory();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            await nextTask();
+            Database.updateTransaction(id, { ...Database.getTransactionById(id), amount: 1500 });
+            await nextTask();
+
+            Database.undo();
+            T.assertEqual(Database.getTransactionById(id).amount, 1000, 'amount after undo');
+            T.assertEqual(accountBalance('1100', '2025-01'), 1000, 'receivable after undo');
+            Database.redo();
+            T.assertEqual(Database.getTransactionById(id).amount, 1500, 'amount after redo');
+            T.assertEqual(accountBalance('1100', '2025-01'), 1500, 'receivable after redo');
+        });
+
+        T.test('an undo refused by a closed period keeps both stacks', async () => {
+            resetDatabase();
+            Database.clearUndoHistory();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const january = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            await nextTask();
+            Database.addTransaction({ entry_date: '2025-03-05', category_id: categoryId('Sales'), amount: 300,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-03' });
+            await nextTask();
+            Database.undo();
+            Database.closePeriod('2025-01');
+
+            const error = await T.assertThrows(() => Database.undo(), 'undo into a closed month');
+            T.assertEqual(error.code, 'PERIOD_CLOSED', 'error code');
+            const state = Database.getUndoState();
+            T.assertTrue(state.canUndo, 'undo stack kept');
+            T.assertTrue(state.canRedo, 'redo stack kept');
+            T.assertTrue(Database.getTransactionById(january), 'entry kept');
+
+            Database.reopenPeriod('2025-01', 'Late correction');
+            Database.undo();
+            T.assertEqual(Database.getTransactionById(january), null, 'undone once reopened');
+        });
+
+        T.test('undoing a delete restores the entry with its splits, tags and postings in one step', async () => {
+            resetDatabase();
+            Database.clearUndoHistory();
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 300,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01', tags: ['Office'],
+                splits: [{ category_id: categoryId('Utilities'), amount: 200 }, { category_id: categoryId('Supplies'), amount: 100 }] });
+            await nextTask();
+            const before = journalSnapshot();
+            Database.deleteTransaction(id);
+            await nextTask();
+            T.assertEqual(accountBalance('2000', '2025-01'), 0, 'payable after delete');
+
+            Database.undo();
+            const restored = Database.getTransactionById(id);
+            T.assertEqual(restored.splits.map(s => s.amount).join(','), '200,100', 'splits');
+            T.assertEqual(restored.tags.join(','), 'Office', 'tags');
+            T.assertEqual(journalSnapshot(), before, 'postings');
+            T.assertTrue(Database.getUndoState().canUndo, 'the add is still undoable');
+
+            Database.undo();
+            T.assertEqual(Database.getTransactionById(id), null, 'add undone');
+            T.assertEqual(Database.getUndoState().canUndo, false, 'nothing left to undo');
+            T.assertEqual(Database.undo().length, 0, 'undo with an empty stack');
+        });
+
+    // ---- Reconciliation lock ----
+
+    T.suite('Reconciliation lock');
+
+        T.test('a payroll run with reconciled net pay cannot be deleted', async () => {
+            resetDatabase();
+            const employeeId = Database.addEmployee({ name: 'Ann', pay_type: 'salary', pay_rate: 52000, pay_frequency: 'biweekly' });
+            const runId = Database.addPayrollRun({ pay_date: '2026-02-15', checks: [{ employee_id: employeeId, gross_pay: 4000 }] });
+            const netPay = Database.getTransactions().find(t => t.item_description.startsWith('Net pay'));
+            Database.setReconciliationItemCleared('transaction', netPay.id, true);
+            Database.saveReconciliation('2026-02-28', -netPay.amount, 0);
+
+            await T.assertThrows(() => Database.deletePayrollRun(runId), 'reconciled run');
+            T.assertTrue(Database.getPayrollRunById(runId), 'run kept');
+            T.assertEqual(Database.getTransactions().filter(t => t.source_type === 'payroll').length, 3, 'entries kept');
+            T.assertEqual(Database.getReconciliations()[0].item_count, 1, 'reconciliation item count');
+        });
+
+        T.test('saving locks the cleared items and undoing the reconciliation unlocks them', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const invoice = Database.addTransaction({ entry_date: '2025-02-01', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-02' });
+            const payment = Database.addTransactionPayment(invoice, { payment_date: '2025-02-10', month_paid: '2025-02', amount: 400 });
+            const bill = Database.addTransaction({ entry_date: '2025-02-03', category_id: categoryId('Utilities'), amount: 100,
+                transaction_type: 'payable', status: 'paid', date_processed: '2025-02-20', month_due: '2025-02', month_paid: '2025-02' });
+
+            const items = Database.getReconciliationItems('2025-02-28');
+            T.assertEqual(items.map(item => `${item.kind}:${item.amount}`).join(','), 'payment:400,transaction:-100', 'items');
+            Database.setReconciliationItemCleared('payment', payment, true);
+            Database.saveReconciliation('2025-02-28', 400, 0);
+
+            T.assertEqual(Database.getReconciliationItems('2025-02-28').length, 1, 'bill still open');
+            T.assertEqual(Database.getTransactionReconciliation(invoice).statement_date, '2025-02-28', 'invoice locked');
+            T.assertEqual(Database.getTransactionReconciliation(bill), null, 'bill not locked');
+
+            T.assertTrue(Database.undoLastReconciliation(), 'undone');
+            const reopened = Database.getReconciliationItems('2025-02-28');
+            T.assertEqual(reopened.length, 2, 'both open again');
+            T.assertTrue(reopened.find(item => item.kind === 'payment').cleared, 'still ticked');
+            Database.deleteTransactionPayment(payment);
+            T.assertEqual(Database.getTransactionRemainingBalance(invoice), 1000, 'payment deleted once unlocked');
+        });
+
+        T.test('a reconciled entry cannot be edited, resettled or deleted, nor its payments removed', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const data = { entry_date: '2025-02-01', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-02' };
+            const invoice = Database.addTransaction(data);
+            const payment = Database.addTransactionPayment(invoice, { payment_date: '2025-02-10', month_paid: '2025-02', amount: 400 });
+            Database.setReconciliationItemCleared('payment', payment, true);
+            Database.saveReconciliation('2025-02-28', 400, 0);
+
+            await T.assertThrows(() => Database.updateTransaction(invoice, { ...data, amount: 300 }), 'edit');
+            await T.assertThrows(() => Database.updateTransactionStatus(invoice, 'received', '2025-02'), 'status');
+            await T.assertThrows(() => Database.deleteTransactionPayment(payment), 'payment delete');
+            await T.assertThrows(() => Database.deleteTransaction(invoice), 'delete');
+            T.assertEqual(Database.getTransactionById(invoice).amount, 1000, 'amount kept');
+            T.assertEqual(Database.getTransactionRemainingBalance(invoice), 600, 'payment kept');
+            T.assertEqual(Database.getReconciliations()[0].item_count, 1, 'reconciliation item count');
+
+            Database.addTransactionCredit(invoice, { kind: 'credit_memo', amount: 600, date: '2025-03-05' });
+            T.assertEqual(Database.getTransactionById(invoice).status, 'received', 'a credit memo still settles the rest');
+        });
+
+        T.test('removing a recurring template keeps occurrences with reconciled payments', async () => {
+            resetDatabase();
+            const templateId = Database.addRecurringTemplate({ name: 'Office rent', category_id: categoryId('Utilities'),
+                transaction_type: 'payable', amount: 900, frequency: 'monthly', start_date: '2025-01-15' });
+            Database.generateRecurringTransactions('2025-02-28');
+            const january = Database.getTransactions().find(t => t.entry_date === '2025-01-15');
+            const payment = Database.addTransactionPayment(january.id, { payment_date: '2025-01-20', month_paid: '2025-01', amount: 300 });
+            Database.setReconciliationItemCleared('payment', payment, true);
+            Database.saveReconciliation('2025-01-31', -300, 0);
+
+            Database.deleteRecurringTemplate(templateId);
+            const left = Database.getTransactions().filter(t => t.source_type === 'recurring');
+            T.assertEqual(left.map(t => t.entry_date).join(','), '2025-01-15', 'reconciled occurrence kept');
+            T.assertEqual(Database.getReconciliations()[0].item_count, 1, 'reconciliation item count');
+        });
+
+    // ---- Payroll ----
+
+    T.suite('Payroll');
+
+        T.test('a payroll run with a voided entry cannot be deleted', async () => {
+            resetDatabase();
+            const employeeId = Database.addEmployee({ name: 'Ann', pay_type: 'salary', pay_rate: 52000, pay_frequency: 'biweekly' });
+            const runId = Database.addPayrollRun({ pay_date: '2026-02-15', checks: [{ employee_id: employeeId, gross_pay: 4000 }] });
+            const netPay = Database.getTransactions().find(t => t.item_description.startsWith('Net pay'));
+            const reversalId = Database.voidTransaction(netPay.id, 'Check lost');
+
+            await T.assertThrows(() => Database.deletePayrollRun(runId), 'voided run');
+            T.assertTrue(Database.getPayrollRunById(runId), 'run kept');
+            T.assertTrue(Database.getTransactionById(netPay.id), 'voided entry kept');
+            T.assertTrue(Database.getTransactionById(reversalId), 'reversal kept');
+        });
+
+        T.test('a payroll run is deleted all or nothing', async () => {
+            resetDatabase();
+            const employeeId = Database.addEmployee({ name: 'Ann', pay_type: 'salary', pay_rate: 52000, pay_frequency: 'biweekly' });
+            const runId = Database.addPayrollRun({ pay_date: '2026-02-15', checks: [{ employee_id: employeeId, gross_pay: 4000 }] });
+            const paychecks = Database.getPaychecks({ runId }).length;
+            const run = Database.db.run.bind(Database.db);
+            Database.db.run = (sql, params) => {
+                if (sql.startsWith('DELETE FROM payroll_runs')) throw new Error('disk full');
+                return run(sql, params);
+            };
+            try {
+                await T.assertThrows(() => Database.deletePayrollRun(runId), 'failing delete');
+            } finally {
+                Database.db.run = run;
+            }
+            T.assertTrue(Database.getPayrollRunById(runId), 'run kept');
+            T.assertEqual(Database.getPaychecks({ runId }).length, paychecks, 'paychecks kept');
+            T.assertEqual(Database.getTransactions().filter(t => t.source_type === 'payroll').length, 3, 'entries kept');
+
+            Database.deletePayrollRun(runId);
+            T.assertEqual(Database.getPayrollRunById(runId), null, 'run deleted');
+            T.assertEqual(Database.getTransactions().filter(t => t.source_type === 'payroll').length, 0, 'entries deleted');
+            T.assertEqual(accountBalance('1000', '2026-02'), 0, 'cash');
+        });
+
+        T.test('a payroll run pays net wages and leaves the taxes owed until remitted', async () => {
+            resetDatabase();
+            const employeeId = Database.addEmployee({ name: 'Ann', pay_type: 'salary', pay_rate: 52000, pay_frequency: 'biweekly' });
+            const firstRun = Database.addPayrollRun({ pay_date: '2026-02-15', checks: [{ employee_id: employeeId, gross_pay: 4000 }] });
+            const first = Database.getPaychecks({ runId: firstRun })[0];
+            T.assertEqual(first.net_pay, 3134, 'gross less 866 withheld');
+            T.assertEqual(first.futa, 24, 'FUTA on the whole check');
+
+            T.assertEqual(accountBalance('1000', '2026-02'), -3134, 'net pay paid');
+            T.assertEqual(accountBalance('2000', '2026-02'), 1304, 'withholding and 438 employer taxes owed');
+            T.assertEqual(Database.getPLTotalsThrough('2026-02', 'passthrough').totalNIBT, -4438, 'wages and employer taxes expensed');
+
+            const secondRun = Database.addPayrollRun({ pay_date: '2026-03-15', checks: [{ employee_id: employeeId, gross_pay: 4000 }] });
+            const second = Database.getPaychecks({ runId: secondRun })[0];
+            T.assertEqual(Database.getEmployeeYtdGross(employeeId, '2026-03-15'), 8000, 'year to date');
+            T.assertEqual(second.futa, 18, 'FUTA stops at the 7000 wage base');
+            T.assertEqual(second.social_security, 248, 'Social Security base not reached');
+
+            T.assertEqual(Database.getPayrollRegister(2026).map(run => run.id).join(','), `${secondRun},${firstRun}`, 'register newest first');
+            const ytd = Database.getPayrollYtdSummary(2026)[0];
+            T.assertEqual(ytd.paycheck_count, 2);
+            T.assertEqual(ytd.gross_pay, 8000);
+            T.assertEqual(ytd.futa, 42);
+            T.assertEqual(Database.getPayrollYtdSummary(2025).length, 0, 'other years left out');
+        });
+
+        T.test('a run is not kept when one of its journal entries fails', async () => {
+            resetDatabase();
+            const employeeId = Database.addEmployee({ name: 'Ann', pay_type: 'salary', pay_rate: 52000, pay_frequency: 'biweekly' });
+            const before = journalSnapshot();
+
+            const addTransaction = Database.addTransaction;
+            let added = 0;
+            Database.addTransaction = function(transaction) {
+                if (++added > 1) throw new Error('Save failed');
+                return addTransaction.call(this, transaction);
+            };
+            try {
+                await T.assertThrows(() => Database.addPayrollRun({ pay_date: '2026-02-15', checks: [{ employee_id: employeeId, gross_pay: 4000 }] }));
+            } finally {
+                Database.addTransaction = addTransaction;
+            }
+            T.assertEqual(Database.getPayrollRegister(2026).length, 0, 'no run');
+            T.assertEqual(Database.getPaychecks().length, 0, 'no paychecks');
+            T.assertEqual(Database.getTransactions().length, 0, 'no entries');
+            T.assertEqual(journalSnapshot(), before, 'ledger untouched');
+        });
+
+    // ---- Attachments ----
+
+    T.suite('Attachments');
+
+        T.test('file contents stay out of the audit log and are dropped once the deletion cannot be undone', async () => {
+            resetDatabase();
+            Database.clearUndoHistory();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            const data = new Uint8Array(4096).fill(7);
+            const attachmentId = Database.addAttachment('transaction', id, { file_name: 'receipt.pdf', mime_type: 'application/pdf', data });
+            await nextTask();
+            Database.deleteAttachment(attachmentId);
+            await nextTask();
+
+            const logged = Database.db.exec("SELECT SUM(LENGTH(old_values) + LENGTH(new_values)) FROM audit_log WHERE table_name = 'attachments'");
+            T.assertTrue(logged[0].values[0][0] < 1000, 'audit log size');
+            T.assertEqual(Database.getAuditLog({ table: 'attachments' }).filter(e => 'data' in (e.old_values || e.new_values)).length, 0, 'no data column');
+            T.assertEqual(Database.db.exec('SELECT COUNT(*) FROM attachment_trash')[0].values[0][0], 1, 'kept for undo');
+
+            Database.clearUndoHistory();
+            T.assertEqual(Database.db.exec('SELECT COUNT(*) FROM attachment_trash')[0].values[0][0], 0, 'dropped');
+        });
+
+        T.test('undoing a deletion restores the file and redoing it deletes it again', async () => {
+            resetDatabase();
+            Database.clearUndoHistory();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            const data = new Uint8Array([1, 2, 3, 250]);
+            const attachmentId = Database.addAttachment('transaction', id, { file_name: 'receipt.png', mime_type: 'image/png', data });
+            await nextTask();
+            Database.deleteTransaction(id);
+            await nextTask();
+            T.assertEqual(Database.getAttachment(attachmentId), null, 'deleted with its transaction');
+
+            Database.undo();
+            await nextTask();
+            T.assertEqual(Array.from(Database.getAttachment(attachmentId).data).join(','), '1,2,3,250', 'restored');
+            T.assertEqual(Database.db.exec('SELECT COUNT(*) FROM attachment_trash')[0].values[0][0], 0, 'trash emptied');
+
+            Database.redo();
+            await nextTask();
+            T.assertEqual(Database.getAttachment(attachmentId), null, 'deleted again');
+            Database.undo();
+            T.assertEqual(Database.getAttachment(attachmentId).size, 4, 'restored again');
+        });
+
+        T.test('only images and PDFs within the size limit attach to existing records', async () => {
+            resetDatabase();
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 100,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' });
+            const file = { file_name: 'receipt.png', mime_type: 'image/png', data: new Uint8Array(10), thumbnail: 'data:image/png;base64,' };
+
+            await T.assertThrows(() => Database.addAttachment('transaction', id, { ...file, file_name: 'notes.txt', mime_type: 'text/plain' }), 'text file');
+            await T.assertThrows(() => Database.addAttachment('transaction', id,
+                { ...file, data: new Uint8Array(Database.ATTACHMENT_MAX_BYTES + 1) }), 'too large');
+            await T.assertThrows(() => Database.addAttachment('transaction', id + 1, file), 'missing record');
+            await T.assertThrows(() => Database.addAttachment('invoice', id, file), 'unknown owner');
+
+            Database.addAttachment('transaction', id, file);
+            const listed = Database.getAttachments('transaction', id);
+            T.assertEqual(listed.length, 1, 'attached');
+            T.assertEqual(listed[0].size, 10, 'size');
+            T.assertTrue(!('data' in listed[0]), 'listed without contents');
+            T.assertEqual(Database.getTransactions()[0].attachment_count, 1, 'journal count');
+        });
+
+    // ---- Splits ----
+
+    T.suite('Splits');
+
+        T.test('a split entry posts each line to its own category', async () => {
+            resetDatabase();
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 300,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01',
+                splits: [{ category_id: categoryId('Utilities'), amount: 200 }, { category_id: categoryId('Supplies'), amount: 100 }] });
+
+            const opex = Database.getPLSpreadsheet().opex;
+            T.assertEqual(opex.find(row => row.category_name === 'Utilities').total, 200, 'utilities');
+            T.assertEqual(opex.find(row => row.category_name === 'Supplies').total, 100, 'supplies');
+            T.assertEqual(accountBalance('2000', '2025-01'), 300, 'payable');
+            T.assertEqual(Database.getTransactionSplits(id).length, 2, 'split lines');
+        });
+
+        T.test('saving a single line clears the split', async () => {
+            resetDatabase();
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 300,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01',
+                splits: [{ category_id: categoryId('Supplies'), amount: 200 }, { category_id: categoryId('Utilities'), amount: 100 }] });
+            T.assertEqual(Database.getTransactionById(id).category_id, categoryId('Supplies'), 'category follows the first line');
+
+            Database.updateTransaction(id, { ...Database.getTransactionById(id), splits: [{ category_id: categoryId('Supplies'), amount: 300 }] });
+            T.assertEqual(Database.getTransactionSplits(id).length, 0, 'split lines');
+            const opex = Database.getPLSpreadsheet().opex;
+            T.assertEqual(opex.length, 1, 'one category');
+            T.assertEqual(opex[0].total, 300, 'whole amount');
+        });
+
+    // ---- Partial payments ----
+
+    T.suite('Partial payments');
+
+        T.test('payments reduce the receivable until the last one settles it', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+
+            Database.addTransactionPayment(id, { payment_date: '2025-02-10', month_paid: '2025-02', amount: 400 });
+            T.assertEqual(Database.getTransactionRemainingBalance(id), 600, 'remaining');
+            T.assertEqual(accountBalance('1100', '2025-02'), 600, 'receivable');
+            T.assertEqual(accountBalance('1000', '2025-02'), 400, 'cash');
+            T.assertEqual(Database.getTransactionById(id).status, 'pending', 'still pending');
+
+            Database.addTransactionPayment(id, { payment_date: '2025-03-12', month_paid: '2025-03', amount: 600 });
+            const settled = Database.getTransactionById(id);
+            T.assertEqual(settled.status, 'received', 'settled');
+            T.assertEqual(settled.month_paid, '2025-03', 'month paid');
+            T.assertEqual(settled.date_processed, '2025-03-12', 'date processed');
+            T.assertEqual(accountBalance('1100', '2025-03'), 0, 'receivable cleared');
+            T.assertEqual(accountBalance('1000', '2025-03'), 1000, 'cash');
+        });
+
+        T.test('deleting a payment reopens a settled entry', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            Database.addTransactionPayment(id, { payment_date: '2025-02-10', month_paid: '2025-02', amount: 400 });
+            const last = Database.addTransactionPayment(id, { payment_date: '2025-03-12', month_paid: '2025-03', amount: 600 });
+
+            Database.deleteTransactionPayment(last);
+            const reopened = Database.getTransactionById(id);
+            T.assertEqual(reopened.status, 'pending', 'pending again');
+            T.assertEqual(reopened.month_paid, null, 'month paid cleared');
+            T.assertEqual(Database.getTransactionRemainingBalance(id), 600, 'remaining');
+            T.assertEqual(accountBalance('1100', '2025-03'), 600, 'receivable');
+            T.assertEqual(accountBalance('1000', '2025-03'), 400, 'cash');
+        });
+
+    // ---- Customers and vendors ----
+
+    T.suite('Customers and vendors');
+
+        T.test('balances follow the ledger receivable and payable of each counterparty', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const acme = Database.addCounterparty({ name: 'Acme', counterparty_type: 'customer' });
+            const power = Database.addCounterparty({ name: 'Power Co', counterparty_type: 'vendor' });
+            const invoice = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01', counterparty_id: acme });
+            Database.addTransaction({ entry_date: '2025-01-08', category_id: categoryId('Utilities'), amount: 150,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01', counterparty_id: power });
+            Database.addTransactionPayment(invoice, { payment_date: '2025-02-10', month_paid: '2025-02', amount: 250 });
+
+            const january = Database.getCounterpartyBalancesAsOf('2025-01');
+            T.assertEqual(january.find(c => c.id === acme).receivable, 1000, 'Acme in January');
+            T.assertEqual(january.find(c => c.id === power).payable, 150, 'Power Co in January');
+            const february = Database.getCounterpartyBalancesAsOf('2025-02');
+            T.assertEqual(february.find(c => c.id === acme).receivable, 750, 'Acme after a payment');
+            T.assertEqual(february.find(c => c.id === acme).transaction_count, 1, 'Acme entries');
+        });
+
+        T.test('a counterparty with entries cannot be deleted', async () => {
+            resetDatabase();
+            const power = Database.addCounterparty({ name: 'Power Co', counterparty_type: 'vendor' });
+            const id = Database.addTransaction({ entry_date: '2025-01-08', category_id: categoryId('Utilities'), amount: 150,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01', counterparty_id: power });
+
+            T.assertEqual(Database.deleteCounterparty(power), false, 'refused');
+            T.assertTrue(Database.getCounterpartyById(power), 'kept');
+            Database.deleteTransaction(id);
+            T.assertEqual(Database.deleteCounterparty(power), true, 'deleted once unused');
+        });
+
+    // ---- Aging ----
+
+    T.suite('Aging');
+
+        T.test('open receivables fall into buckets by month due and total the ledger receivable', async () => {
+            resetDatabase();
+            Database.setPLTaxMode('passthrough');
+            Database.addCategory('Sales', false, null, 'receivable');
+            const sale = (month, amount) => Database.addTransaction({ entry_date: `${month}-05`, category_id: categoryId('Sales'),
+                amount, transaction_type: 'receivable', status: 'pending', month_due: month });
+            const january = sale('2025-01', 1000);
+            sale('2025-03', 600);
+            sale('2025-04', 200);
+            Database.addTransactionPayment(january, { payment_date: '2025-02-10', month_paid: '2025-02', amount: 250 });
+
+            const report = Database.getAgingReport('2025-04', 'receivable');
+            T.assertEqual(report.buckets.join(','), 'Current,1–30,31–60,61–90,90+', 'buckets');
+            T.assertEqual(report.totals.join(','), '200,600,0,750,0', 'bucket totals');
+            T.assertEqual(report.total, accountBalance('1100', '2025-04'), 'equals the balance sheet');
+        });
+
+        T.test('a voided receivable leaves the report once its reversal is in the period', async () => {
+            resetDatabase();
+            Database.setPLTaxMode('passthrough');
+            Database.addCategory('Sales', false, null, 'receivable');
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            const reversal = Database.voidTransaction(id, 'Billed twice');
+            const voidMonth = Database.getTransactionById(reversal).entry_date.substring(0, 7);
+
+            T.assertEqual(Database.getAgingReport(voidMonth, 'receivable').total, 0, 'nothing open');
+            T.assertEqual(Database.getAgingReport(voidMonth, 'receivable').rows.length, 0, 'no rows');
+        });
+
+    // ---- Recurring entries ----
+
+    T.suite('Recurring entries');
+
+        T.test('each occurrence is generated once, clamped to short months, due on the vendor terms', async () => {
+            resetDatabase();
+            const landlord = Database.addCounterparty({ name: 'Landlord', counterparty_type: 'vendor', payment_terms_days: 30 });
+            const templateId = Database.addRecurringTemplate({ name: 'Office rent', category_id: categoryId('Utilities'),
+                counterparty_id: landlord, transaction_type: 'payable', amount: 900, frequency: 'monthly', start_date: '2025-01-31' });
+
+            T.assertEqual(Database.generateRecurringTransactions('2025-04-30'), 4, 'generated');
+            const entries = Database.getTransactions().filter(t => t.source_type === 'recurring')
+                .sort((a, b) => a.entry_date.localeCompare(b.entry_date));
+            T.assertEqual(entries.map(t => t.entry_date).join(','), '2025-01-31,2025-02-28,2025-03-31,2025-04-30', 'dates');
+            T.assertEqual(entries[0].month_due, '2025-03', 'due 30 days later');
+            T.assertEqual(accountBalance('2000', '2025-05'), 3600, 'payable');
+
+            Database.deleteTransaction(entries[1].id);
+            T.assertEqual(Database.generateRecurringTransactions('2025-04-30'), 0, 'a deleted occurrence stays deleted');
+            T.assertEqual(Database.generateRecurringTransactions('2025-05-31'), 1, 'the next month');
+            T.assertEqual(Database.getRecurringTemplates().find(rt => rt.id === templateId).generated_count, 4, 'generated count');
+        });
+
+        T.test('regenerating rebuilds the pending entries and keeps the settled ones', async () => {
+            resetDatabase();
+            const template = { name: 'Office rent', category_id: categoryId('Utilities'), transaction_type: 'payable',
+                amount: 900, frequency: 'monthly', start_date: '2025-01-15' };
+            const templateId = Database.addRecurringTemplate(template);
+            Database.generateRecurringTransactions('2025-03-31');
+            const first = Database.getTransactions().find(t => t.entry_date === '2025-01-15');
+            Database.updateTransactionStatus(first.id, 'paid', '2025-01');
+
+            Database.updateRecurringTemplate(templateId, { ...template, amount: 950 });
+            T.assertEqual(Database.regenerateRecurringTransactions(templateId, '2025-03-31'), 2, 'regenerated');
+            const amounts = Database.getTransactions().filter(t => t.source_type === 'recurring')
+                .sort((a, b) => a.entry_date.localeCompare(b.entry_date)).map(t => t.amount);
+            T.assertEqual(amounts.join(','), '900,950,950', 'amounts');
+
+            Database.deleteRecurringTemplate(templateId);
+            T.assertEqual(Database.getTransactions().filter(t => t.source_type === 'recurring').length, 1, 'settled entry kept');
+        });
+
+    // ---- CSV import ----
+
+    T.suite('CSV import');
+
+        T.test('imported rows post to the ledger and share a new category', async () => {
+            resetDatabase();
+            const row = { entry_date: '2025-01-05', amount: 100, transaction_type: 'receivable', status: 'pending', month_due: '2025-01' };
+            const result = Database.importTransactions([
+                { ...row, new_category_name: 'Consulting' },
+                { ...row, amount: 250, new_category_name: 'consulting' },
+                { ...row, amount: 40, transaction_type: 'payable', category_id: categoryId('Supplies') }
+            ]);
+
+            T.assertEqual(result.imported, 3, 'imported');
+            T.assertEqual(result.categoriesCreated, 1, 'one category created');
+            T.assertEqual(Database.getTransactions().filter(t => t.category_id === categoryId('Consulting')).length, 2, 'shared category');
+            T.assertEqual(accountBalance('1100', '2025-01'), 350, 'receivable');
+            T.assertEqual(accountBalance('2000', '2025-01'), 40, 'payable');
+        });
+
+        T.test('an import with a row in a closed period adds nothing', async () => {
+            resetDatabase();
+            Database.closePeriod('2025-01');
+            const row = { entry_date: '2025-02-05', amount: 100, transaction_type: 'payable', status: 'pending',
+                month_due: '2025-02', category_id: categoryId('Supplies') };
+
+            await T.assertThrows(() => Database.importTransactions([row, { ...row, entry_date: '2025-01-20', month_due: '2025-01' }]),
+                'closed month');
+            T.assertEqual(Database.getTransactions().length, 0, 'nothing imported');
+            T.assertEqual(accountBalance('2000', '2025-02'), 0, 'nothing posted');
+        });
+
+    // ---- Bank statement import ----
+
+    T.suite('Bank statement import');
+
+        T.test('statement lines settle, part-pay and add entries, and are recognised when imported again', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const bill = Database.addTransaction({ entry_date: '2025-03-01', category_id: categoryId('Utilities'), amount: 42.5,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-03' });
+            const invoice = Database.addTransaction({ entry_date: '2025-02-01', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-02' });
+
+            const result = Database.applyBankStatement(
+                [{ transaction_id: bill, date: '2025-03-10', amount: 42.5 }, { transaction_id: invoice, date: '2025-03-02', amount: 600 }],
+                [{ entry_date: '2025-03-15', category_id: categoryId('Supplies'), amount: 20, transaction_type: 'payable',
+                    status: 'paid', date_processed: '2025-03-15', month_due: '2025-03', month_paid: '2025-03' }]
+            );
+
+            T.assertEqual(result.settled, 2, 'settled');
+            T.assertEqual(result.created, 1, 'created');
+            T.assertEqual(Database.getTransactionById(bill).status, 'paid', 'bill paid');
+            T.assertEqual(Database.getTransactionById(bill).date_processed, '2025-03-10', 'on the statement date');
+            T.assertEqual(Database.getTransactionRemainingBalance(invoice), 400, 'invoice part-paid');
+            T.assertEqual(accountBalance('1000', '2025-03'), 537.5, 'cash');
+            T.assertEqual(Database.findRecordedStatementLine('2025-03-10', -42.5), bill, 'settled line');
+            T.assertEqual(Database.findRecordedStatementLine('2025-03-02', 600), invoice, 'payment line');
+            T.assertEqual(Database.findRecordedStatementLine('2025-03-02', -600), null, 'other direction');
+        });
+
+    // ---- Invoices ----
+
+    T.suite('Invoices');
+
+        T.test('an invoice bills its receivables once and totals their tax', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const acme = Database.addCounterparty({ name: 'Acme', counterparty_type: 'customer' });
+            const sale = (amount, pretax) => Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'),
+                amount, pretax_amount: pretax, transaction_type: 'receivable', status: 'pending', month_due: '2025-01', counterparty_id: acme });
+            const taxed = sale(108, 100);
+            const plain = sale(50, null);
+            T.assertEqual(Database.getNextInvoiceNumber(), '1001', 'first number');
+
+            const id = Database.createInvoice({ invoice_number: '1001', counterparty_id: acme, issue_date: '2025-01-31' }, [taxed, plain]);
+            const invoice = Database.getInvoice(id);
+            T.assertEqual(invoice.lines.length, 2, 'lines');
+            T.assertEqual(invoice.subtotal, 150, 'subtotal');
+            T.assertEqual(invoice.sales_tax, 8, 'sales tax');
+            T.assertEqual(invoice.total, 158, 'total');
+            T.assertEqual(invoice.counterparty.name, 'Acme', 'customer');
+            T.assertEqual(Database.getUninvoicedReceivables(acme).length, 0, 'nothing left to bill');
+            T.assertEqual(Database.getNextInvoiceNumber(), '1002', 'next number');
+
+            await T.assertThrows(() => Database.createInvoice({ invoice_number: '1001', issue_date: '2025-02-01' }, []), 'number taken');
+            await T.assertThrows(() => Database.createInvoice({ invoice_number: '1002', issue_date: '2025-02-01' }, [plain]), 'billed twice');
+            T.assertEqual(Database.getInvoices().length, 1, 'no second invoice');
+        });
+
+        T.test('deleting an invoice frees its receivables', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 50,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            const invoiceId = Database.createInvoice({ invoice_number: '1001', issue_date: '2025-01-31' }, [id]);
+
+            Database.deleteInvoice(invoiceId);
+            T.assertEqual(Database.getInvoice(invoiceId), null, 'deleted');
+            T.assertEqual(Database.getTransactionById(id).invoice_number, null, 'number cleared');
+            T.assertEqual(Database.getUninvoicedReceivables().length, 1, 'billable again');
+        });
+
+    // ---- Audit trail ----
+
+    T.suite('Audit trail');
+
+        T.test('creates, edits and deletes are logged with the changed values only', async () => {
+            resetDatabase();
+            const id = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 200,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01', tags: ['Office'] });
+            Database.updateTransaction(id, { ...Database.getTransactionById(id), amount: 250, tags: ['Office', 'Q1'] });
+            Database.updateTransaction(id, { ...Database.getTransactionById(id) });
+            Database.deleteTransaction(id);
+
+            const log = Database.getAuditLog({ table: 'transactions', recordId: id });
+            T.assertEqual(log.map(entry => entry.action).join(','), 'delete,update,create', 'one entry per change, newest first');
+            const update = log[1];
+            T.assertEqual(Object.keys(update.new_values).sort().join(','), 'amount,tags', 'changed columns only');
+            T.assertEqual(update.old_values.amount, 200, 'old amount');
+            T.assertEqual(update.new_values.tags, 'Office, Q1', 'new tags');
+            T.assertEqual(log[0].old_values.amount, 250, 'deleted values');
+            T.assertEqual(log[0].new_values, null, 'nothing after a delete');
+        });
+
+        T.test('the log can be searched by value', async () => {
+            resetDatabase();
+            Database.addCounterparty({ name: 'Acme', counterparty_type: 'customer' });
+            Database.addCounterparty({ name: 'Power Co', counterparty_type: 'vendor' });
+
+            T.assertEqual(Database.getAuditLog({ search: 'Power' }).length, 1, 'matches');
+            T.assertEqual(Database.getAuditLog({ table: 'counterparties' }).length, 2, 'by table');
+            T.assertEqual(Database.getAuditLog({ table: 'counterparties', limit: 1 }).length, 1, 'limit');
+        });
+
+    // ---- Bulk actions ----
+
+    T.suite('Bulk actions');
+
+        T.test('recategorizing skips split entries; shifting skips entries without a month due', async () => {
+            resetDatabase();
+            const plain = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 100,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' });
+            const split = Database.addTransaction({ entry_date: '2025-01-06', category_id: categoryId('Utilities'), amount: 300,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01',
+                splits: [{ category_id: categoryId('Utilities'), amount: 200 }, { category_id: categoryId('Supplies'), amount: 100 }] });
+            const undated = Database.addTransaction({ entry_date: '2025-01-07', category_id: categoryId('Utilities'), amount: 40,
+                transaction_type: 'payable', status: 'paid', month_paid: '2025-01' });
+
+            T.assertEqual(Database.bulkSetTransactionCategory([plain, split], categoryId('Supplies')), 1, 'recategorized');
+            T.assertEqual(Database.getTransactionById(plain).category_id, categoryId('Supplies'), 'moved');
+            T.assertEqual(Database.getTransactionSplits(split).length, 2, 'split kept');
+
+            T.assertEqual(Database.bulkShiftMonthDue([plain, split, undated], 2), 2, 'shifted');
+            T.assertEqual(Database.getTransactionById(split).month_due, '2025-03', 'month due');
+            T.assertEqual(accountBalance('2000', '2025-02'), 0, 'nothing due in February');
+            T.assertEqual(accountBalance('2000', '2025-03'), 400, 'due in March');
+        });
+
+        T.test('duplicating into a month keeps the day where it exists and moves the months along', async () => {
+            resetDatabase();
+            const id = Database.addTransaction({ entry_date: '2025-01-31', category_id: categoryId('Utilities'), amount: 100,
+                transaction_type: 'payable', status: 'paid', month_due: '2025-02', month_paid: '2025-02', tags: ['Office'] });
+
+            const [copyId] = Database.duplicateTransactionsToMonth([id], '2025-04');
+            const copy = Database.getTransactionById(copyId);
+            T.assertEqual(copy.entry_date, '2025-04-30', 'entry date');
+            T.assertEqual(copy.month_due, '2025-05', 'month due');
+            T.assertEqual(copy.status, 'pending', 'pending');
+            T.assertEqual(copy.tags.join(','), 'Office', 'tags');
+            T.assertEqual(accountBalance('2000', '2025-05'), 100, 'payable');
+        });
+
+        T.test('duplicating into a month skips reversing entries, refunds and credit memos', async () => {
+            resetDatabase();
+            const paid = Database.addTransaction({ entry_date: '2025-01-10', category_id: categoryId('Utilities'), amount: 100,
+                transaction_type: 'payable', status: 'paid', month_due: '2025-01', month_paid: '2025-01' });
+            const open = Database.addTransaction({ entry_date: '2025-01-12', category_id: categoryId('Utilities'), amount: 80,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' });
+            const voided = Database.addTransaction({ entry_date: '2025-01-14', category_id: categoryId('Utilities'), amount: 60,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' });
+            const refund = Database.addTransactionCredit(paid, { kind: 'refund', amount: 20, date: '2025-01-20' });
+            const memo = Database.addTransactionCredit(open, { kind: 'credit_memo', amount: 30, date: '2025-01-21' });
+            const reversal = Database.voidTransaction(voided);
+
+            const payable = accountBalance('2000', '2025-03');
+            const copies = Database.duplicateTransactionsToMonth([paid, refund, memo, reversal], '2025-03');
+            T.assertEqual(copies.length, 1, 'only the original copied');
+            T.assertEqual(Database.getTransactionById(copies[0]).amount, 100, 'copy');
+            T.assertEqual(accountBalance('2000', '2025-03') - payable, 100, 'only the copy added to what is payable');
+        });
+
+    // ---- Tags ----
+
+    T.suite('Tags');
+
+        T.test('tags are shared case-insensitively and dropped once unused', async () => {
+            resetDatabase();
+            const first = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 100,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01', tags: 'Office, q1, office' });
+            const second = Database.addTransaction({ entry_date: '2025-01-06', category_id: categoryId('Supplies'), amount: 50,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01', tags: ['OFFICE'] });
+
+            T.assertEqual(Database.getTransactionTags(first).join(','), 'Office,q1', 'duplicates dropped');
+            T.assertEqual(Database.getTransactionTags(second).join(','), 'Office', 'first spelling kept');
+            T.assertEqual(Database.getTags().map(tag => `${tag.name}:${tag.usage_count}`).join(','), 'Office:2,q1:1', 'usage');
+
+            Database.updateTransaction(first, { ...Database.getTransactionById(first), tags: ['Office'] });
+            T.assertEqual(Database.getTags().map(tag => tag.name).join(','), 'Office', 'unused tag dropped');
+        });
+
+        T.test('the summary counts an entry under each tag and once in the totals', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 500,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-02', tags: ['Event', 'Online'] });
+            Database.addTransaction({ entry_date: '2025-02-10', category_id: categoryId('Utilities'), amount: 120,
+                transaction_type: 'payable', status: 'paid', month_paid: '2025-02', tags: ['Event'] });
+            Database.addTransaction({ entry_date: '2024-12-20', category_id: categoryId('Utilities'), amount: 80,
+                transaction_type: 'payable', status: 'pending', month_due: '2024-12', tags: ['Event'] });
+
+            const summary = Database.getTagSummary('2025');
+            const event = summary.rows.find(row => row.name === 'Event');
+            T.assertEqual(event.amounts[1], 380, 'Event in February');
+            T.assertEqual(event.total, 380, 'other years left out');
+            T.assertEqual(summary.rows.find(row => row.name === 'Online').total, 500, 'Online');
+            T.assertEqual(summary.totals[1], 380, 'entries counted once');
+            T.assertEqual(Database.getTagSummary('2025', 'payable').rows.find(row => row.name === 'Event').total, 120, 'payables only');
+        });
+
+    // ---- Duplicates ----
+
+    T.suite('Duplicates');
+
+        T.test('entries matching on category, type, amount and month are found; voided ones are not', async () => {
+            resetDatabase();
+            const entry = { entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 120,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' };
+            const first = Database.addTransaction(entry);
+            const second = Database.addTransaction({ ...entry, entry_date: '2025-01-20' });
+            Database.addTransaction({ ...entry, month_due: '2025-02' });
+            Database.addTransaction({ ...entry, amount: 121 });
+
+            T.assertEqual(Database.findDuplicateTransactions(entry).length, 2, 'matches');
+            T.assertEqual(Database.findDuplicateTransactions(entry, first)[0].id, second, 'excluding itself');
+            const groups = Database.getDuplicateGroups();
+            T.assertEqual(groups.length, 1, 'groups');
+            T.assertEqual(groups[0].key, `${first},${second}`, 'group key');
+
+            Database.dismissDuplicateGroup(groups[0].key);
+            T.assertEqual(Database.getDuplicateGroups().length, 0, 'dismissed');
+            Database.voidTransaction(second);
+            T.assertEqual(Database.findDuplicateTransactions(entry).length, 1, 'voided entry ignored');
+        });
+
+        T.test('merging keeps one entry with the other\'s details, tags, settlement and attachments', async () => {
+            resetDatabase();
+            const keep = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 120,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01', notes: 'From the bill', tags: ['Office'] });
+            const duplicate = Database.addTransaction({ entry_date: '2025-01-20', category_id: categoryId('Utilities'), amount: 120,
+                transaction_type: 'payable', status: 'paid', date_processed: '2025-01-20', month_due: '2025-01', month_paid: '2025-01',
+                item_description: 'Power', notes: 'From the bank', tags: ['Q1'] });
+            const attachment = Database.addAttachment('transaction', duplicate,
+                { file_name: 'bill.pdf', mime_type: 'application/pdf', data: new Uint8Array(3) });
+
+            Database.mergeDuplicateTransactions(keep, [duplicate]);
+            const kept = Database.getTransactionById(keep);
+            T.assertEqual(Database.getTransactionById(duplicate), null, 'duplicate deleted');
+            T.assertEqual(kept.item_description, 'Power', 'blank field filled');
+            T.assertEqual(kept.notes, 'From the bill\nFrom the bank', 'notes appended');
+            T.assertEqual(kept.tags.join(','), 'Office,Q1', 'tags combined');
+            T.assertEqual(kept.status, 'paid', 'settlement taken');
+            T.assertEqual(Database.getAttachment(attachment).owner_id, keep, 'attachment moved');
+            T.assertEqual(accountBalance('1000', '2025-01'), -120, 'paid once');
+            T.assertEqual(accountBalance('2000', '2025-01'), 0, 'nothing owed');
+        });
+
+        T.test('an entry with partial payments is not merged away', async () => {
+            resetDatabase();
+            const entry = { entry_date: '2025-01-05', category_id: categoryId('Utilities'), amount: 120,
+                transaction_type: 'payable', status: 'pending', month_due: '2025-01' };
+            const keep = Database.addTransaction(entry);
+            const plain = Database.addTransaction(entry);
+            const partlyPaid = Database.addTransaction(entry);
+            Database.addTransactionPayment(partlyPaid, { payment_date: '2025-01-25', month_paid: '2025-01', amount: 20 });
+
+            await T.assertThrows(() => Database.mergeDuplicateTransactions(keep, [plain, partlyPaid]), 'partly paid');
+            T.assertTrue(Database.getTransactionById(plain), 'nothing merged');
+            T.assertEqual(accountBalance('2000', '2025-01'), 340, 'payable unchanged');
+        });
+
+    // ---- Refunds and credit memos ----
+
+    T.suite('Refunds and credit memos');
+
+        T.test('a refund gives cash back in its own month, up to what was received', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const sale = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'received', date_processed: '2025-01-05', month_due: '2025-01', month_paid: '2025-01' });
+
+            const refund = Database.addTransactionCredit(sale, { kind: 'refund', amount: 300, date: '2025-02-10', reason: 'Damaged' });
+            T.assertEqual(Database.getTransactionById(refund).month_paid, '2025-02', 'settled on its date');
+            T.assertEqual(accountBalance('1000', '2025-01'), 1000, 'January cash untouched');
+            T.assertEqual(accountBalance('1000', '2025-02'), 700, 'cash given back');
+            T.assertEqual(Database.getPLTotalsThrough('2025-02', 'passthrough').totalRevenue, 700, 'revenue reduced');
+            T.assertEqual(Database.getCreditableAmounts(sale).refundable, 700, 'refundable left');
+
+            await T.assertThrows(() => Database.addTransactionCredit(sale, { kind: 'refund', amount: 700.01, date: '2025-02-11' }), 'over the limit');
+            await T.assertThrows(() => Database.addTransactionCredit(sale, { kind: 'credit_memo', amount: 10, date: '2025-02-11' }), 'settled entry');
+            await T.assertThrows(() => Database.addTransactionCredit(refund, { kind: 'refund', amount: 10, date: '2025-02-11' }), 'refund of a refund');
+            await T.assertThrows(() => Database.deleteTransaction(sale), 'delete with a refund');
+
+            Database.voidTransaction(refund);
+            T.assertEqual(Database.getCreditableAmounts(sale).refundable, 1000, 'voided refund given back');
+        });
+
+        T.test('a credit memo lowers the open balance and settles with its entry', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const sale = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            await T.assertThrows(() => Database.addTransactionCredit(sale, { kind: 'refund', amount: 10, date: '2025-01-20' }), 'pending refund');
+
+            const memo = Database.addTransactionCredit(sale, { kind: 'credit_memo', amount: 250, date: '2025-01-20' });
+            T.assertEqual(Database.getTransactionRemainingBalance(sale), 750, 'balance lowered');
+            T.assertEqual(accountBalance('1100', '2025-01'), 750, 'receivable lowered');
+            T.assertEqual(Database.getTransactionById(memo).status, 'pending', 'open with its entry');
+
+            Database.addTransactionCredit(sale, { kind: 'credit_memo', amount: 750, date: '2025-02-03' });
+            const settled = Database.getTransactionById(sale);
+            T.assertEqual(settled.status, 'received', 'fully credited');
+            T.assertEqual(settled.month_paid, '2025-02', 'settled when credited');
+            T.assertEqual(Database.getTransactionById(memo).status, 'received', 'memo settled too');
+            T.assertEqual(accountBalance('1100', '2025-02'), 0, 'nothing to collect');
+            T.assertEqual(accountBalance('1000', '2025-02'), 0, 'no cash moved');
+        });
+
+        T.test('a credit memo is not kept when settling its entry fails', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const sale = Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+            const before = journalSnapshot();
+
+            const syncCreditMemos = Database._syncCreditMemos;
+            Database._syncCreditMemos = () => { throw new Error('Sync failed'); };
+            try {
+                await T.assertThrows(() => Database.addTransactionCredit(sale, { kind: 'credit_memo', amount: 1000, date: '2025-01-20' }));
+            } finally {
+                Database._syncCreditMemos = syncCreditMemos;
+            }
+            T.assertEqual(Database.getTransactionCredits(sale).length, 0, 'no memo');
+            T.assertEqual(Database.getTransactionById(sale).status, 'pending', 'still open');
+            T.assertEqual(journalSnapshot(), before, 'ledger untouched');
+        });
+
+    // ---- Cash accounts and transfers ----
+
+    T.suite('Cash accounts and transfers');
+
+        T.test('settlements land in their account and transfers move cash between accounts', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            const checking = Database.getDefaultCashAccountId();
+            const card = Database.addCashAccount({ name: 'Card', account_type: 'credit_card' });
+            Database.addTransaction({ entry_date: '2025-01-05', category_id: categoryId('Sales'), amount: 1000,
+                transaction_type: 'receivable', status: 'received', date_processed: '2025-01-05', month_due: '2025-01', month_paid: '2025-01' });
+            Database.addTransaction({ entry_date: '2025-01-10', category_id: categoryId('Utilities'), amount: 150,
+                transaction_type: 'payable', status: 'paid', date_processed: '2025-01-10', month_due: '2025-01', month_paid: '2025-01',
+                cash_account_id: card });
+
+            T.assertEqual(Database.getCashAsOf('2025-01', checking), 1000, 'default account');
+            T.assertEqual(Database.getCashAsOf('2025-01', card), -150, 'card owes what was charged');
+
+            const transfer = Database.addCashTransfer({ transfer_date: '2025-02-01', from_account_id: checking, to_account_id: card, amount: 150 });
+            const balances = Database.getCashBalancesByAccount('2025-02');
+            T.assertEqual(balances.find(a => a.id === checking).balance, 850, 'paid from checking');
+            T.assertEqual(balances.find(a => a.id === card).balance, 0, 'card paid off');
+            T.assertEqual(Database.getCashAsOf('2025-01', card), -150, 'January untouched');
+            T.assertEqual(accountBalance('1000', '2025-02'), 850, 'total cash unchanged');
+
+            Database.updateCashTransfer(transfer, { transfer_date: '2025-02-01', from_account_id: checking, to_account_id: card, amount: 100 });
+            T.assertEqual(Database.getCashAsOf('2025-02', card), -50, 'edited transfer re-posted');
+            Database.deleteCashTransfer(transfer);
+            T.assertEqual(Database.getCashAsOf('2025-02', checking), 1000, 'deleted transfer removed');
+        });
+
+        T.test('a transfer needs two accounts and a positive amount', async () => {
+            resetDatabase();
+            const checking = Database.getDefaultCashAccountId();
+            const savings = Database.addCashAccount({ name: 'Savings', account_type: 'savings' });
+            await T.assertThrows(() => Database.addCashTransfer({ transfer_date: '2025-02-01', from_account_id: checking, to_account_id: checking, amount: 10 }), 'same account');
+            await T.assertThrows(() => Database.addCashTransfer({ transfer_date: '2025-02-01', from_account_id: checking, to_account_id: savings, amount: 0 }), 'zero');
+            T.assertEqual(Database.getCashTransfers().length, 0, 'nothing recorded');
+        });
+
+        T.test('only an unused account that is not the last one can be deleted', async () => {
+            resetDatabase();
+            const checking = Database.getDefaultCashAccountId();
+            const savings = Database.addCashAccount({ name: 'Savings', account_type: 'savings' });
+            const spare = Database.addCashAccount({ name: 'Spare', account_type: 'petty_cash' });
+            Database.addCashTransfer({ transfer_date: '2025-02-01', from_account_id: checking, to_account_id: savings, amount: 10 });
+
+            T.assertEqual(Database.deleteCashAccount(savings), false, 'used in a transfer');
+            T.assertEqual(Database.deleteCashAccount(spare), true, 'unused');
+            Database.deleteCashTransfer(Database.getCashTransfers()[0].id);
+            T.assertEqual(Database.deleteCashAccount(savings), true, 'unused once the transfer is gone');
+            T.assertEqual(Database.deleteCashAccount(checking), false, 'last account');
+        });
+
+    // ---- Inventory ----
+
+    T.suite('Inventory');
+
+        T.test('lots are capitalised and sales move their cost into COGS', async () => {
+            resetDatabase();
+            const product = Database.addInventoryProduct({ name: 'Widget', costing_method: 'fifo' });
+            Database.addInventoryPurchase({ product_id: product, purchase_date: '2025-01-05', quantity: 10, unit_cost: 2 });
+            Database.addInventoryPurchase({ product_id: product, purchase_date: '2025-02-05', quantity: 10, unit_cost: 4 });
+            Database.addInventorySale({ product_id: product, sale_date: '2025-02-10', quantity: 15 });
+
+            T.assertEqual(accountBalance('1400', '2025-01'), 20, 'first lot');
+            T.assertEqual(accountBalance('1400', '2025-02'), 20, 'what is left');
+            T.assertEqual(Database.getInventoryCogsByMonth('2025-02')['2025-02'], 40, 'FIFO cost');
+            T.assertEqual(Database.getPLTotalsThrough('2025-02', 'passthrough').totalCogs, 40, 'P&L COGS');
+            const summary = Database.getInventorySummary('2025-02')[0];
+            T.assertEqual(summary.on_hand_quantity, 5);
+            T.assertEqual(summary.average_unit_cost, 4);
+            T.assertEqual(Database.getInventorySummary('2025-01')[0].cogs, 0, 'nothing sold by January');
+
+            Database.updateInventoryProduct(product, { name: 'Widget', costing_method: 'average' });
+            T.assertEqual(Database.getInventoryCogsByMonth('2025-02')['2025-02'], 45, 're-costed at the average');
+            T.assertEqual(accountBalance('1400', '2025-02'), 15, 'inventory re-costed');
+        });
+
+        T.test('a change that would sell more than was bought is refused', async () => {
+            resetDatabase();
+            const product = Database.addInventoryProduct({ name: 'Widget' });
+            const lot = Database.addInventoryPurchase({ product_id: product, purchase_date: '2025-01-05', quantity: 10, unit_cost: 2 });
+            await T.assertThrows(() => Database.addInventorySale({ product_id: product, sale_date: '2025-01-04', quantity: 1 }), 'sold before bought');
+            const sale = Database.addInventorySale({ product_id: product, sale_date: '2025-01-10', quantity: 8 });
+
+            await T.assertThrows(() => Database.updateInventoryPurchase(lot, { purchase_date: '2025-01-05', quantity: 7, unit_cost: 2 }), 'lot shrunk');
+            await T.assertThrows(() => Database.deleteInventoryPurchase(lot), 'lot deleted');
+            await T.assertThrows(() => Database.updateInventorySale(sale, { sale_date: '2025-01-10', quantity: 11 }), 'sale grown');
+            T.assertEqual(Database.deleteInventoryProduct(product), false, 'product with movements');
+            T.assertEqual(Database.getInventorySummary()[0].on_hand_quantity, 2, 'nothing changed');
+        });
+
+    // ---- Sales tax rates and returns ----
+
+    T.suite('Sales tax rates and returns');
+
+        T.test('tax is collected and remitted per rate, and each return agrees with the ledger', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            Database.addCategory('Sales Tax', false, null, 'payable', null, false, false, false, true);
+            const state = Database.addSalesTaxRate({ name: 'State', jurisdiction: 'ST', rate: 6.25 });
+            const city = Database.addSalesTaxRate({ name: 'City', rate: 2 });
+            const sale = (date, pretax, rateId, percent) => Database.addTransaction({
+                entry_date: date, category_id: categoryId('Sales'), amount: pretax + Utils.computeSalesTax(pretax, percent),
+                pretax_amount: pretax, sales_tax_rate_id: rateId,
+                transaction_type: 'receivable', status: 'pending', month_due: date.substring(0, 7) });
+            sale('2025-01-10', 1000, state, 6.25);
+            sale('2025-02-10', 400, city, 2);
+            Database.addTransaction({ entry_date: '2025-04-15', category_id: categoryId('Sales Tax'), amount: 62.5,
+                sales_tax_rate_id: state, transaction_type: 'payable', status: 'paid', date_processed: '2025-04-15',
+                month_due: '2025-04', month_paid: '2025-04' });
+
+            const q1 = Database.getSalesTaxReturn('2025-01', '2025-03');
+            T.assertEqual(q1.rows.map(row => row.name).join(','), 'City,State', 'one row per rate');
+            const q1State = q1.rows.find(row => row.id === state);
+            T.assertEqual(q1State.taxable_sales, 1000);
+            T.assertEqual(q1State.tax_collected, 62.5);
+            T.assertEqual(q1.totals.closing_balance, 70.5, 'both rates owed');
+            T.assertEqual(Database.getSalesTaxPayableAsOf('2025-03'), 70.5, 'agrees with the ledger');
+
+            const q2 = Database.getSalesTaxReturn('2025-04', '2025-06');
+            const q2State = q2.rows.find(row => row.id === state);
+            T.assertEqual(q2State.opening_balance, 62.5);
+            T.assertEqual(q2State.tax_remitted, 62.5);
+            T.assertEqual(q2State.closing_balance, 0);
+            T.assertEqual(q2.totals.taxable_sales, 0, 'nothing sold in Q2');
+
+            const ledger = Database.getSalesTaxLedger(state, '2025-01', '2025-06');
+            T.assertEqual(ledger.lines.map(line => `${line.collected}/${line.remitted}/${line.balance}`).join(','),
+                '62.5/0/62.5,0/62.5/0', 'running balance');
+            const balances = Database.getSalesTaxBalancesAsOf('2025-04');
+            T.assertEqual(balances.length, 1, 'paid-off rate left out');
+            T.assertEqual(balances[0].id, city);
+            T.assertEqual(Database.getSalesTaxPayableAsOf('2025-04', city), 8);
+        });
+
+        T.test('a rate needs a name and a percentage, and a used rate is kept', async () => {
+            resetDatabase();
+            Database.addCategory('Sales', false, null, 'receivable');
+            await T.assertThrows(() => Database.addSalesTaxRate({ name: ' ', rate: 5 }), 'blank name');
+            await T.assertThrows(() => Database.addSalesTaxRate({ name: 'State', rate: 100 }), 'not a percentage');
+            const used = Database.addSalesTaxRate({ name: 'State', rate: 5 });
+            const unused = Database.addSalesTaxRate({ name: 'County', rate: 1, is_active: false });
+            Database.addTransaction({ entry_date: '2025-01-10', category_id: categoryId('Sales'), amount: 105, pretax_amount: 100,
+                sales_tax_rate_id: used, transaction_type: 'receivable', status: 'pending', month_due: '2025-01' });
+
+            T.assertEqual(Database.getSalesTaxRates(true).length, 1, 'inactive rate left out');
+            T.assertEqual(Database.deleteSalesTaxRate(used), false, 'used');
+            T.assertEqual(Database.deleteSalesTaxRate(unused), true, 'unused');
+            Database.updateSalesTaxRate(used, { name: 'State', rate: 6 });
+            T.assertEqual(Database.getSalesTaxPayableAsOf('2025-01', used), 5, 'entries keep their tax');
+        });
+
+    // ---- Run all queued tests ----
+    await T.runAll();
+
+})();
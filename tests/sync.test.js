@@ -5,90 +5,6 @@
  * mock backend. Open sync.test.html in a browser to run.
  */
 
-// ==================== MINI TEST FRAMEWORK ====================
-
-const TestRunner = {
-    results: [],
-    currentSuite: '',
-    _queue: [],
-
-    suite(name) {
-        this.currentSuite = name;
-    },
-
-    test(name, fn) {
-        const suiteName = this.currentSuite;
-        this._queue.push(async () => {
-            try {
-                await fn();
-                this.results.push({ suite: suiteName, name, passed: true });
-            } catch (err) {
-                this.results.push({ suite: suiteName, name, passed: false, error: err.message });
-            }
-        });
-    },
-
-    async runAll() {
-        for (const testFn of this._queue) {
-            await testFn();
-        }
-        this.render();
-    },
-
-    assertEqual(actual, expected, msg = '') {
-        if (actual !== expected) {
-            throw new Error(`${msg ? msg + ': ' : ''}Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
-        }
-    },
-
-    assertTrue(value, msg = '') {
-        if (!value) throw new Error(`${msg ? msg + ': ' : ''}Expected truthy, got ${JSON.stringify(value)}`);
-    },
-
-    assertFalse(value, msg = '') {
-        if (value) throw new Error(`${msg ? msg + ': ' : ''}Expected falsy, got ${JSON.stringify(value)}`);
-    },
-
-    async assertThrows(fn, msg = '') {
-        try {
-            await fn();
-            throw new Error(`${msg ? msg + ': ' : ''}Expected function to throw, but it did not`);
-        } catch (err) {
-            if (err.message.includes('Expected function to throw')) throw err;
-            return err;
-        }
-    },
-
-    render() {
-        const container = document.getElementById('results');
-        const suites = {};
-        this.results.forEach(r => {
-            if (!suites[r.suite]) suites[r.suite] = [];
-            suites[r.suite].push(r);
-        });
-
-        let html = '';
-        for (const [suiteName, tests] of Object.entries(suites)) {
-            html += `<div class="suite"><div class="suite-title">${suiteName}</div>`;
-            tests.forEach(t => {
-                html += `<div class="test ${t.passed ? 'pass' : 'fail'}">${t.name}</div>`;
-                if (!t.passed) {
-                    html += `<div class="error-detail">${t.error}</div>`;
-                }
-            });
-            html += `</div>`;
-        }
-        container.innerHTML = html;
-
-        const passed = this.results.filter(r => r.passed).length;
-        const failed = this.results.filter(r => !r.passed).length;
-        const total = this.results.length;
-        const summaryEl = document.getElementById('summary');
-        summaryEl.className = `summary ${failed > 0 ? 'has-fail' : 'all-pass'}`;
-        summaryEl.textContent = `${passed}/${total} passed, ${failed} failed`;
-    }
-};
-
 // ==================== MOCK BACKEND ====================
 
 /**
@@ -0,0 +1,299 @@
+/**
+ * Utils Test Suite
+ *
+ * Tests the parsing and calculation helpers on fixed inputs. Open utils.test.html in a browser to run.
+ */
+
+// ==================== HELPERS ====================
+
+const TODAY = '2026-06-10';
+
+const CATEGORIES = [
+    { id: 1, name: 'Rent', default_type: 'payable' },
+    { id: 2, name: 'Sales', default_type: 'receivable' }
+];
+
+const COUNTERPARTIES = [
+    { id: 1, name: 'Acme Corp', counterparty_type: 'customer', payment_terms_days: 30 }
+];
+
+function quickEntry(text) {
+    return Utils.parseQuickEntry(text, CATEGORIES, COUNTERPARTIES, TODAY);
+}
+
+// ==================== TESTS ====================
+
+(async function runAllTests() {
+    const T = TestRunner;
+
+    // ---- Quick entry ----
+
+    T.suite('Quick entry');
+
+        T.test('a relative day dates the entry', async () => {
+            const entry = quickEntry('rent 900 yesterday');
+            T.assertEqual(entry.entry_date, '2026-06-09');
+            T.assertEqual(entry.amount, 900);
+            T.assertEqual(entry.category.name, 'Rent');
+        });
+
+        T.test('the amount, category and settlement words are picked out', async () => {
+            const received = quickEntry('sales 500 received');
+            T.assertEqual(received.category.name, 'Sales');
+            T.assertEqual(received.transaction_type, 'receivable', 'from the category');
+            T.assertEqual(received.status, 'received');
+            T.assertEqual(received.month_paid, '2026-06');
+
+            const paid = quickEntry('rent 1.5k paid today');
+            T.assertEqual(paid.amount, 1500);
+            T.assertEqual(paid.status, 'paid');
+            T.assertEqual(paid.date_processed, TODAY);
+        });
+
+        T.test('a customer is matched by name and their payment terms set the month due', async () => {
+            const entry = quickEntry('acme 1500');
+            T.assertEqual(entry.counterparty.name, 'Acme Corp');
+            T.assertEqual(entry.transaction_type, 'receivable');
+            T.assertEqual(entry.month_due, '2026-07');
+            T.assertEqual(quickEntry('invoice acme 1500 due in 3 months').month_due, '2026-09', 'a stated month due wins');
+        });
+
+        T.test('an exact date is used as is and unknown words are left unmatched', async () => {
+            const entry = quickEntry('paperclips $2,400.50 on 2026-05-02');
+            T.assertEqual(entry.amount, 2400.5);
+            T.assertEqual(entry.entry_date, '2026-05-02');
+            T.assertEqual(entry.category, null);
+            T.assertEqual(entry.unmatched.join(','), 'paperclips');
+        });
+
+        T.test('a past settlement dates the entry, a future one does not', async () => {
+            const paid = quickEntry('rent 900 paid yesterday');
+            T.assertEqual(paid.status, 'paid');
+            T.assertEqual(paid.date_processed, '2026-06-09');
+            T.assertEqual(paid.entry_date, '2026-06-09');
+
+            const later = quickEntry('sales 500 received in 30 days');
+            T.assertEqual(later.date_processed, '2026-07-10');
+            T.assertEqual(later.entry_date, TODAY);
+
+            const dated = quickEntry('rent 900 on 2026-05-02 paid yesterday');
+            T.assertEqual(dated.entry_date, '2026-05-02');
+        });
+
+        T.test('a bare month name dates the entry on its first day', async () => {
+            const entry = quickEntry('may rent 900');
+            T.assertEqual(entry.entry_date, '2026-05-01');
+            T.assertEqual(entry.unmatched.length, 0);
+            T.assertEqual(quickEntry('june rent 900').entry_date, TODAY);
+        });
+
+        T.test('a month name with a day is a date', async () => {
+            const entry = quickEntry('15 rent on march 3');
+            T.assertEqual(entry.entry_date, '2026-03-03');
+            T.assertEqual(entry.amount, 15);
+            T.assertEqual(entry.unmatched.length, 0);
+            T.assertEqual(quickEntry('rent march 3rd 2025 900').entry_date, '2025-03-03');
+            T.assertEqual(quickEntry('rent 900 due march 3').month_due, '2026-03');
+        });
+
+        T.test('a number after a month name that is not a day stays the amount', async () => {
+            const entry = quickEntry('may 900 rent');
+            T.assertEqual(entry.entry_date, '2026-05-01');
+            T.assertEqual(entry.amount, 900);
+        });
+
+    // ---- CSV import ----
+
+    T.suite('CSV import');
+
+        T.test('quoted fields keep commas, quotes and line breaks', async () => {
+            const rows = Utils.parseCsv('\uFEFFDate,Description,Amount\r\n2025-01-05,"Paper, ""A4""",12.50\n\n3/7/25,"Two\nlines",(4.00)\n');
+            T.assertEqual(rows.length, 3, 'blank lines dropped');
+            T.assertEqual(rows[0][0], 'Date', 'byte order mark stripped');
+            T.assertEqual(rows[1][1], 'Paper, "A4"');
+            T.assertEqual(rows[2][1], 'Two\nlines');
+        });
+
+        T.test('money accepts symbols, separators and parentheses', async () => {
+            T.assertEqual(Utils.parseMoney('$1,234.50'), 1234.5);
+            T.assertEqual(Utils.parseMoney('(45.00)'), -45);
+            T.assertEqual(Utils.parseMoney('-7'), -7);
+            T.assertEqual(Utils.parseMoney('n/a'), null);
+            T.assertEqual(Utils.parseMoney(''), null);
+        });
+
+        T.test('dates and months accept ISO, US and named forms', async () => {
+            T.assertEqual(Utils.parseDateValue('2025/3/7'), '2025-03-07');
+            T.assertEqual(Utils.parseDateValue('3/7/25'), '2025-03-07');
+            T.assertEqual(Utils.parseDateValue('2/30/2025'), null, 'no such day');
+            T.assertEqual(Utils.parseMonthValue('03/2025'), '2025-03');
+            T.assertEqual(Utils.parseMonthValue('Sept 2025'), '2025-09');
+            T.assertEqual(Utils.parseMonthValue('2025-13'), null, 'no such month');
+        });
+
+    // ---- Bank statement import ----
+
+    T.suite('Bank statement import');
+
+        T.test('OFX lines are read from SGML blocks, oldest first', async () => {
+            const ofx = [
+                'OFXHEADER:100', 'DATA:OFXSGML', '', '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+                '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250310120000<TRNAMT>-42.50<FITID>b2<NAME>POWER CO<MEMO>March bill',
+                '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250302<TRNAMT>1,000.00<FITID>b1<NAME>ACME',
+                '<STMTTRN><TRNTYPE>OTHER<DTPOSTED>20250303<TRNAMT>0.00<FITID>b0<NAME>ZERO',
+                '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+            ].join('\n');
+            const lines = Utils.parseBankStatement(ofx);
+            T.assertEqual(lines.length, 2, 'zero amounts dropped');
+            T.assertEqual(lines[0].date, '2025-03-02');
+            T.assertEqual(lines[0].amount, 1000);
+            T.assertEqual(lines[0].fitId, 'b1');
+            T.assertEqual(lines[1].amount, -42.5);
+            T.assertEqual(lines[1].payee, 'POWER CO');
+            T.assertEqual(lines[1].memo, 'March bill');
+        });
+
+        T.test('QIF records are read up to each caret', async () => {
+            const qif = "!Type:Bank\nD3/10'25\nT-42.50\nPPOWER CO\nMMarch bill\n^\nD03/02/2025\nT1,000.00\nPACME\n^\n";
+            const lines = Utils.parseBankStatement(qif);
+            T.assertEqual(lines.length, 2);
+            T.assertEqual(lines[0].date, '2025-03-02');
+            T.assertEqual(lines[1].date, '2025-03-10');
+            T.assertEqual(lines[1].amount, -42.5);
+            T.assertEqual(lines[1].fitId, null);
+        });
+
+        T.test('other files are refused', async () => {
+            await T.assertThrows(() => Utils.parseBankStatement('Date,Amount\n2025-03-02,10'));
+        });
+
+        T.test('lines match the closest pending entry of the same direction and open amount', async () => {
+            const lines = [
+                { date: '2025-03-10', amount: -42.5 },
+                { date: '2025-03-12', amount: -42.5 },
+                { date: '2025-03-02', amount: 600 }
+            ];
+            const pending = [
+                { id: 1, transaction_type: 'payable', amount: 42.5, entry_date: '2025-01-05', month_due: '2025-01' },
+                { id: 2, transaction_type: 'payable', amount: 42.5, entry_date: '2025-03-01', month_due: '2025-03' },
+                { id: 3, transaction_type: 'receivable', amount: 1000, amount_paid: 400, entry_date: '2025-02-01', month_due: '2025-02' },
+                { id: 4, transaction_type: 'receivable', amount: 42.5, entry_date: '2025-03-10', month_due: '2025-03' }
+            ];
+            const matches = Utils.suggestStatementMatches(lines, pending);
+            T.assertEqual(matches[0], 2, 'same month wins');
+            T.assertEqual(matches[1], 1, 'each entry used once');
+            T.assertEqual(matches[2], 3, 'open amount after partial payments');
+            T.assertEqual(Utils.suggestStatementMatches(lines, pending, 10)[1], undefined, 'too far apart');
+        });
+
+    // ---- Journal window ----
+
+    T.suite('Journal window');
+
+        const windowOf = (heights, top, viewBottom, overscan) =>
+            Utils.computeWindowRange(heights.length, i => heights[i], top, viewBottom, overscan);
+
+        T.test('the rows overlapping the viewport are drawn with overscan either side', async () => {
+            const heights = Array(100).fill(50);
+            const range = windowOf(heights, -1000, 500, 5);
+            T.assertEqual(range.start, 15, 'row 20 is the first visible');
+            T.assertEqual(range.end, 35, 'row 29 is the last visible');
+            T.assertEqual(windowOf(heights, 200, 500, 5).start, 0, 'clamped at the top');
+            T.assertEqual(windowOf(heights, -4800, 500, 5).end, 100, 'clamped at the bottom');
+        });
+
+        T.test('measured heights move the window and rows out of view draw nothing', async () => {
+            const heights = [400, 400, 50, 50, 50];
+            const range = windowOf(heights, -820, 100, 0);
+            T.assertEqual(range.start, 2);
+            T.assertEqual(range.end, 5);
+            T.assertEqual(windowOf(heights, 600, 500, 5).end, 0, 'below the viewport');
+            T.assertEqual(windowOf(heights, -2000, 500, 5).end, 0, 'above the viewport');
+        });
+
+        T.test('rows past the bottom of the viewport are not measured', async () => {
+            const read = [];
+            const range = Utils.computeWindowRange(10000, i => { read.push(i); return 50; }, 0, 500, 5);
+            T.assertEqual(read.length, 10, 'rows read');
+            T.assertEqual(range.end, 15);
+        });
+
+    // ---- Inventory costing ----
+
+    T.suite('Inventory costing');
+
+        const LOTS = [
+            { id: 1, purchase_date: '2025-01-05', quantity: 10, unit_cost: 2 },
+            { id: 2, purchase_date: '2025-02-05', quantity: 10, unit_cost: 4 }
+        ];
+
+        T.test('FIFO draws the oldest lots first', async () => {
+            const costs = Utils.computeInventoryCosts(LOTS, [{ id: 1, sale_date: '2025-02-10', quantity: 15 }], 'fifo');
+            T.assertEqual(costs.cogsByMonth['2025-02'], 40, '10 at 2 and 5 at 4');
+            T.assertEqual(costs.remainingByLot[1], 0);
+            T.assertEqual(costs.remainingByLot[2], 5);
+            T.assertEqual(costs.onHandValue, 20);
+        });
+
+        T.test('the average method costs each sale at the running average', async () => {
+            const sales = [{ id: 1, sale_date: '2025-01-20', quantity: 4 }, { id: 2, sale_date: '2025-02-10', quantity: 12 }];
+            const costs = Utils.computeInventoryCosts(LOTS, sales, 'average');
+            T.assertEqual(costs.cogsByMonth['2025-01'], 8);
+            T.assertEqual(costs.cogsByMonth['2025-02'], 39, '12 of 16 units worth 52');
+            T.assertEqual(costs.onHandQuantity, 4);
+            T.assertEqual(costs.onHandValue, 13, 'what is left carries the rest of the value');
+        });
+
+        T.test('a purchase on the day of a sale is costed first and overselling is a shortfall', async () => {
+            const costs = Utils.computeInventoryCosts(LOTS, [{ id: 1, sale_date: '2025-02-05', quantity: 25 }], 'fifo');
+            T.assertEqual(costs.cogsByMonth['2025-02'], 60, 'every lot taken');
+            T.assertEqual(costs.shortfall, 5);
+            T.assertEqual(costs.movements[2].short, 5);
+            T.assertEqual(costs.onHandQuantity, 0);
+        });
+
+    // ---- Payroll ----
+
+    T.suite('Payroll');
+
+        T.test('salaried gross pay is split over the pay periods, hourly over the hours', async () => {
+            T.assertEqual(Utils.computeGrossPay({ pay_type: 'salary', pay_rate: 52000, pay_frequency: 'biweekly' }), 2000);
+            T.assertEqual(Utils.computeGrossPay({ pay_type: 'salary', pay_rate: 50000, pay_frequency: 'semimonthly' }), 2083.33);
+            T.assertEqual(Utils.computeGrossPay({ pay_type: 'hourly', pay_rate: 22.5, pay_frequency: 'weekly' }, 37.5), 843.75);
+        });
+
+        T.test('taxes with a wage base stop once the year-to-date gross reaches it', async () => {
+            const rates = { federal_withholding_rate: 10, state_withholding_rate: 0, social_security_rate: 6.2, medicare_rate: 1.45,
+                employer_social_security_rate: 6.2, employer_medicare_rate: 1.45, futa_rate: 0.6, suta_rate: 0,
+                social_security_wage_base: 10000, futa_wage_base: 7000, suta_wage_base: 0 };
+            const check = Utils.computePaycheck(3000, 8000, rates);
+            T.assertEqual(check.social_security, 124, 'only 2000 under the base');
+            T.assertEqual(check.futa, 0, 'base already reached');
+            T.assertEqual(check.medicare, 43.5, 'no base');
+            T.assertEqual(check.net_pay, 2532.5);
+            T.assertEqual(check.employer_taxes, 167.5);
+        });
+
+    // ---- Sales tax ----
+
+    T.suite('Sales tax');
+
+        T.test('tax is rounded to cents', async () => {
+            T.assertEqual(Utils.computeSalesTax(1000, 8.25), 82.5);
+            T.assertEqual(Utils.computeSalesTax(19.99, 8.25), 1.65);
+            T.assertEqual(Utils.computeSalesTax(null, 8.25), 0);
+        });
+
+        T.test('filing periods cover a year, a quarter or a month', async () => {
+            const q2 = Utils.getFilingPeriodMonths(2025, 'Q2');
+            T.assertEqual(`${q2.from}..${q2.to}`, '2025-04..2025-06');
+            const july = Utils.getFilingPeriodMonths('2025', '07');
+            T.assertEqual(`${july.from}..${july.to}`, '2025-07..2025-07');
+            const year = Utils.getFilingPeriodMonths(2025, 'year');
+            T.assertEqual(`${year.from}..${year.to}`, '2025-01..2025-12');
+        });
+
+    // ---- Run all queued tests ----
+    await T.runAll();
+
+})();